@@ -15,6 +15,13 @@ import shopifyGraphQLRoutes from './src/routes/shopifyGraphQLRoutesNew.js';
 import collectionRoutes from './src/routes/collectionRoutes.js';
 import inventoryRoutes from './src/routes/inventoryRoutes.js';
 import storeRoutes from './src/routes/storeRoutes.js';
+import syncJobRoutes from './src/routes/syncJobRoutes.js';
+import catalogImportRoutes from './src/routes/catalogImportRoutes.js';
+import orderBackfillRoutes from './src/routes/orderBackfillRoutes.js';
+import workspaceRoutes from './src/routes/workspaceRoutes.js';
+import productMatchingRoutes from './src/routes/productMatchingRoutes.js';
+import mediaLibraryRoutes from './src/routes/mediaLibraryRoutes.js';
+import masterCollectionRoutes from './src/routes/masterCollectionRoutes.js';
 // Import webhook handlers directly for early middleware setup
 import { 
   handleAppUninstalled,
@@ -94,7 +101,7 @@ app.use(
     },
     credentials: true,
     methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization", "X-Requested-With", "X-Shopify-*"],
+    allowedHeaders: ["Content-Type", "Authorization", "X-Requested-With", "X-Workspace-Id", "X-Shopify-*"],
     exposedHeaders: ["Set-Cookie"],
     preflightContinue: false,
     optionsSuccessStatus: 200,
@@ -152,8 +159,15 @@ app.use('/api/shopify', shopifyRoutes);
 app.use('/api/products', productRoutes);
 app.use('/api/shopify-admin', shopifyGraphQLRoutes);
 app.use('/api/collections', collectionRoutes);
+app.use('/api/master-collections', masterCollectionRoutes);
 app.use('/api/inventory', inventoryRoutes);
 app.use('/api/stores', storeRoutes);
+app.use('/api/sync-jobs', syncJobRoutes);
+app.use('/api/catalog-imports', catalogImportRoutes);
+app.use('/api/order-backfills', orderBackfillRoutes);
+app.use('/api/workspaces', workspaceRoutes);
+app.use('/api/product-matching', productMatchingRoutes);
+app.use('/api/media', mediaLibraryRoutes);
 
 // Future routes will be added here
 // app.use('/api/stores', storeRoutes);
@@ -173,6 +187,7 @@ app.use((err, req, res, next) => {
     res.status(err.statuscode || 500).json({
         success: false,
         message: err.message || 'Internal server error',
+        ...(err.errors?.length > 0 && { errors: err.errors }),
         ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
     });
 });
@@ -12,7 +12,15 @@ import cookie from 'cookie';
 
 import { app } from './app.js';
 import { User } from './src/models/User.js';
+import { Workspace } from './src/models/Workspace.js';
 import { initializeNotificationSockets } from './src/services/notification.service.js';
+import { initializeSyncJobs, syncJobService } from './src/services/syncJob.service.js';
+import { syncSchedulerService } from './src/services/syncScheduler.service.js';
+import { initializeCatalogImports, catalogImportService } from './src/services/catalogImport.service.js';
+import { initializeOrderBackfills, orderBackfillService } from './src/services/orderBackfill.service.js';
+import { inventoryLedgerService } from './src/services/inventoryLedger.service.js';
+import { initializeWorkspaces } from './src/services/workspace.service.js';
+import { initializeSessions, sessionRoom, sessionService } from './src/services/session.service.js';
 import { connectDB } from './src/config/database.js';
 
 
@@ -30,6 +38,7 @@ const io = new Server(server, {
 });
 
 // Socket authentication middleware with token refresh capability
+// Tokens are only accepted while their session (models/UserSession.js) is active, like authenticateUser
 const authenticateSocket = async (socket, next) => {
     try {
         const cookies = socket.handshake.headers.cookie;
@@ -52,11 +61,14 @@ const authenticateSocket = async (socket, next) => {
         try {
             decoded = jwt.verify(accessToken, process.env.ACCESS_TOKEN_SECRET);
             user = await User.findById(decoded._id);
+            const session = user && await sessionService.findActiveSession(decoded.sid, user._id);
             
-            if (user) {
+            if (user && session) {
                 socket.user = user;
+                socket.sessionId = session._id;
                 return next();
             }
+            return next(new Error(user ? 'Session has been signed out' : 'User not found'));
         } catch (tokenError) {
             console.log('Access token invalid or expired, trying refresh token');
             
@@ -65,11 +77,14 @@ const authenticateSocket = async (socket, next) => {
                 try {
                     const refreshDecoded = jwt.verify(refreshToken, process.env.REFRESH_TOKEN_SECRET);
                     const refreshUser = await User.findById(refreshDecoded._id);
+                    const session = refreshUser && await sessionService.findActiveSession(refreshDecoded.sid, refreshUser._id);
                     
-                    if (refreshUser && refreshUser.refreshToken === refreshToken) {
+                    // Only the current generation; rotation and reuse detection stay with /api/auth/refresh-token
+                    if (session && session.generation === refreshDecoded.gen) {
                         // Refresh token is valid, but we can't set new cookies in socket middleware
                         // Instead, we'll allow the connection and let the client handle refresh
                         socket.user = refreshUser;
+                        socket.sessionId = session._id;
                         socket.emit('token_refresh_needed'); // Tell client to refresh token
                         return next();
                     }
@@ -81,8 +96,6 @@ const authenticateSocket = async (socket, next) => {
             // Both tokens failed
             return next(new Error('Authentication failed'));
         }
-
-        return next(new Error('User not found'));
     } catch (error) {
         console.error('Socket authentication error:', error);
         return next(new Error('Authentication failed'));
@@ -93,11 +106,23 @@ const authenticateSocket = async (socket, next) => {
 io.use(authenticateSocket);
 
 // Socket connection handlers
-io.on('connection', (socket) => {
+io.on('connection', async (socket) => {
     console.log(`User ${socket.user.email} (${socket.user._id}) connected`);
     
     // Join user to their own room for private notifications
     socket.join(socket.user._id.toString());
+
+    // Signing out the session (another device, reuse detection) disconnects this socket
+    socket.join(sessionRoom(socket.sessionId));
+
+    // Join the user's own workspace and every workspace they are a member of, for job progress events
+    socket.join(Workspace.room(socket.user._id));
+    try {
+        const workspaces = await Workspace.find({ 'members.user': socket.user._id }).select('owner').lean();
+        workspaces.forEach(workspace => socket.join(Workspace.room(workspace.owner)));
+    } catch (error) {
+        console.error('Failed to join workspace rooms:', error.message);
+    }
     
     socket.on('disconnect', () => {
         console.log(`User ${socket.user.email} (${socket.user._id}) disconnected`);
@@ -107,9 +132,33 @@ io.on('connection', (socket) => {
 // Initialize notification sockets
 initializeNotificationSockets({ io });
 
+// Initialize sync job progress streaming
+initializeSyncJobs({ io });
+
+// Initialize catalog import progress streaming
+initializeCatalogImports({ io });
+
+// Initialize workspace membership changes (socket room joins)
+initializeWorkspaces({ io });
+
+// Initialize order backfill progress streaming
+initializeOrderBackfills({ io });
+
+// Initialize socket disconnects for revoked sessions
+initializeSessions({ io });
+
 // Connect to database and start server
 connectDB()
-    .then(() => {
+    .then(async () => {
+        // Pick up jobs left queued or interrupted by the previous process
+        await syncJobService.resumeJobs();
+        await catalogImportService.resumeImports();
+        await orderBackfillService.resumeBackfills();
+        await inventoryLedgerService.flushPendingMovements();
+
+        // Scheduled syncs for stores and products with a syncFrequency
+        syncSchedulerService.start();
+
         server.listen(process.env.PORT || 5000, () => {
             console.log(`🚀 Server running on port ${process.env.PORT || 5000}`);
             console.log(`📱 Frontend URL: ${process.env.FRONTEND_URL || 'http://localhost:5173'}`);
@@ -1,8 +1,9 @@
 import dotenv from 'dotenv';
-import { shopifyApi, LATEST_API_VERSION } from '@shopify/shopify-api';
+import { shopifyApi, LATEST_API_VERSION, AuthScopes, Session } from '@shopify/shopify-api';
 import { restResources } from '@shopify/shopify-api/rest/admin/2024-04';
 import '@shopify/shopify-api/adapters/node';
 import { MongoDBSessionStorage } from '@shopify/shopify-app-session-storage-mongodb';
+import { encryptToken, decryptToken } from '../utils/tokenEncryption.js';
 
 // Load environment variables first
 dotenv.config();
@@ -15,8 +16,32 @@ if (missing.length > 0) {
   throw new Error(`Cannot initialize Shopify API Library. Missing values for: ${missing.join(', ')}`);
 }
 
+// Sessions carry the store's access token; keep it encrypted at rest like Store.accessToken
+// (see utils/tokenEncryption.js). Plaintext sessions saved earlier still load; `npm run tokens:migrate` encrypts them.
+const decryptSession = (session) => {
+  session.accessToken = decryptToken(session.accessToken);
+  return session;
+};
+
+class EncryptedMongoDBSessionStorage extends MongoDBSessionStorage {
+  async storeSession(session) {
+    const encrypted = new Session({ ...session.toObject(), accessToken: encryptToken(session.accessToken) });
+    return super.storeSession(encrypted);
+  }
+
+  async loadSession(id) {
+    const session = await super.loadSession(id);
+    return session && decryptSession(session);
+  }
+
+  async findSessionsByShop(shop) {
+    const sessions = await super.findSessionsByShop(shop);
+    return sessions.map(decryptSession);
+  }
+}
+
 // MongoDB session storage configuration
-const sessionStorage = new MongoDBSessionStorage(
+export const sessionStorage = new EncryptedMongoDBSessionStorage(
   process.env.MONGODB_URI,
   process.env.SHOPIFY_API_SECRET
 );
@@ -37,7 +62,10 @@ export const shopify = shopifyApi({
     'write_files',
     'read_inventory',
     'write_inventory',
-    'read_locations'
+    'read_locations',
+    'read_orders',
+    // Without it Shopify only returns the last 60 days of orders (order history import)
+    'read_all_orders'
   ],
   
   // App URL configuration
@@ -91,6 +119,12 @@ export const createSession = async (shop, accessToken, scopes) => {
   }
 };
 
+// Scopes the app requests that a store has not granted (stores connected before a scope was added)
+export const getMissingScopes = (grantedScopes = []) => {
+  const granted = new AuthScopes(grantedScopes);
+  return shopify.config.scopes.toArray().filter(scope => !granted.has(scope));
+};
+
 // Helper to validate webhook with proper secret
 export const validateWebhook = (rawBody, signature) => {
   return shopify.webhooks.verify({
@@ -2,6 +2,9 @@ import { User } from '../models/User.js';
 import { ApiError } from '../utils/ApiError.js';
 import { ApiResponse } from '../utils/ApiResponse.js';
 import asyncHandler from '../utils/AsyncHanlde.js';
+import { authService } from '../services/auth.service.js';
+import { twoFactorService } from '../services/twoFactor.service.js';
+import { sessionService } from '../services/session.service.js';
 import jwt from 'jsonwebtoken';
 
 // Cookie options helper (supports cross-site cookies when using ngrok/https)
@@ -20,22 +23,45 @@ const getCookieOptions = () => {
     };
 };
 
-// Generate access and refresh tokens
-const generateTokens = async (userId) => {
+// Start a session (device) and generate its access and refresh tokens
+const generateTokens = async (user, req) => {
     try {
-        const user = await User.findById(userId);
-        const accessToken = user.generateAccessToken();
-        const refreshToken = user.generateRefreshToken();
-
-        user.refreshToken = refreshToken;
-        await user.save({ validateBeforeSave: false });
-
+        const { accessToken, refreshToken } = await sessionService.createSession(user, req);
         return { accessToken, refreshToken };
     } catch (error) {
         throw new ApiError(500, 'Something went wrong while generating tokens');
     }
 };
 
+// Issue tokens and cookies for a user whose credentials (and second factor) checked out
+const startSession = async (req, res, user, message) => {
+    const { accessToken, refreshToken } = await generateTokens(user, req);
+
+    // Update last login
+    await User.updateOne({ _id: user._id }, { $set: { lastLogin: new Date() } });
+
+    // Get user without password
+    const loggedInUser = await User.findById(user._id).select(
+        '-password -refreshToken'
+    );
+
+    return res
+        .status(200)
+    .cookie('accessToken', accessToken, getCookieOptions())
+    .cookie('refreshToken', refreshToken, getCookieOptions())
+        .json(
+            new ApiResponse(
+                200,
+                {
+                    user: loggedInUser,
+                    accessToken,
+                    refreshToken
+                },
+                message
+            )
+        );
+};
+
 // Register user
 export const registerUser = asyncHandler(async (req, res) => {
     const { fullName, username, email, password } = req.body;
@@ -63,10 +89,12 @@ export const registerUser = asyncHandler(async (req, res) => {
         fullName: fullName.trim(),
         username: cleanUsername,
         email: cleanEmail,
-        password,
-        isVerified: true // Auto-verify for simplicity
+        password
     });
 
+    // Signing in works right away; the address is confirmed through the emailed link
+    await authService.sendVerificationEmail(user);
+
     // Get user without password
     const createdUser = await User.findById(user._id).select(
         '-password -refreshToken'
@@ -77,7 +105,7 @@ export const registerUser = asyncHandler(async (req, res) => {
     }
 
     // Generate tokens
-    const { accessToken, refreshToken } = await generateTokens(user._id);
+    const { accessToken, refreshToken } = await generateTokens(user, req);
 
     return res
         .status(201)
@@ -91,7 +119,7 @@ export const registerUser = asyncHandler(async (req, res) => {
                     accessToken,
                     refreshToken
                 },
-                'User registered successfully'
+                'Account created. Check your inbox to verify your email address.'
             )
         );
 });
@@ -135,60 +163,60 @@ export const loginUser = asyncHandler(async (req, res) => {
         throw new ApiError(401, 'Invalid user credentials');
     }
 
-    // Generate tokens
-    const { accessToken, refreshToken } = await generateTokens(user._id);
-
-    // Update last login
-    user.lastLogin = new Date();
-    await user.save({ validateBeforeSave: false });
-
-    // Get user without password
-    const loggedInUser = await User.findById(user._id).select(
-        '-password -refreshToken'
-    );
+    // With two-factor enabled no session is issued yet; the client finishes at /2fa/verify
+    if (user.twoFactor?.enabled) {
+        const challengeToken = await twoFactorService.createChallenge(user);
 
-    return res
-        .status(200)
-    .cookie('accessToken', accessToken, getCookieOptions())
-    .cookie('refreshToken', refreshToken, getCookieOptions())
-        .json(
+        return res.status(200).json(
             new ApiResponse(
                 200,
-                {
-                    user: loggedInUser,
-                    accessToken,
-                    refreshToken
-                },
-                'User logged in successfully'
+                { twoFactorRequired: true, challengeToken },
+                'Enter the code from your authenticator app'
             )
         );
+    }
+
+    return startSession(req, res, user, 'User logged in successfully');
+});
+
+// Second login step: exchange the challenge token and an authenticator or recovery code for a session
+export const verifyTwoFactorLogin = asyncHandler(async (req, res) => {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || typeof challengeToken !== 'string' || (!code && !recoveryCode)) {
+        throw new ApiError(400, 'Challenge token and code are required');
+    }
+
+    const { user, method } = await twoFactorService.verifyChallenge({ challengeToken, code, recoveryCode });
+
+    return startSession(req, res, user, method === 'recovery'
+        ? 'Signed in with a recovery code. Consider generating new recovery codes.'
+        : 'User logged in successfully');
 });
 
 // Logout user - handles expired tokens
 export const logoutUser = asyncHandler(async (req, res) => {
     try {
-        // Get token from cookies or header
+        // Get token from cookies or header; the refresh token still names the session once the access token expired
         const token = req.cookies?.accessToken || req.header('Authorization')?.replace('Bearer ', '');
-        
-        if (token) {
+        const candidates = [
+            [token, process.env.ACCESS_TOKEN_SECRET],
+            [req.cookies?.refreshToken, process.env.REFRESH_TOKEN_SECRET]
+        ];
+
+        for (const [candidate, secret] of candidates) {
+            if (!candidate) continue;
             try {
                 // Try to verify token - if it fails, we still proceed with logout
-                const decodedToken = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
-                
-                // If token is valid, clear refresh token from database
-                if (decodedToken?._id) {
-                    await User.findByIdAndUpdate(
-                        decodedToken._id,
-                        {
-                            $unset: {
-                                refreshToken: 1 // Remove refresh token from DB
-                            }
-                        },
-                        { new: true }
-                    );
+                const decodedToken = jwt.verify(candidate, secret);
+
+                // End this device's session; other devices stay signed in
+                if (decodedToken?._id && decodedToken.sid) {
+                    await sessionService.revokeSession(decodedToken._id, decodedToken.sid, 'logout');
+                    break;
                 }
             } catch (error) {
-                // Token is expired or invalid, but we still want to clear cookies
+                // Token is expired or invalid (or the session is already gone), but we still want to clear cookies
                 console.log('Token expired or invalid during logout, proceeding with cookie cleanup');
             }
         }
@@ -208,7 +236,7 @@ export const logoutUser = asyncHandler(async (req, res) => {
     }
 });
 
-// Refresh access token
+// Refresh access token; the refresh token is rotated and an old one presented again revokes the session
 export const refreshAccessToken = asyncHandler(async (req, res) => {
     const incomingRefreshToken = req.cookies.refreshToken || req.body.refreshToken;
 
@@ -216,42 +244,31 @@ export const refreshAccessToken = asyncHandler(async (req, res) => {
         throw new ApiError(401, 'Unauthorized request');
     }
 
+    let tokens;
     try {
-        const decodedToken = jwt.verify(
-            incomingRefreshToken,
-            process.env.REFRESH_TOKEN_SECRET
-        );
-
-        const user = await User.findById(decodedToken?._id);
-
-        if (!user) {
-            throw new ApiError(401, 'Invalid refresh token');
-        }
-
-        if (incomingRefreshToken !== user?.refreshToken) {
-            throw new ApiError(401, 'Refresh token is expired or used');
-        }
-
-        // Generate new tokens
-        const { accessToken, refreshToken } = await generateTokens(user._id);
-
-        return res
-            .status(200)
-            .cookie('accessToken', accessToken, getCookieOptions())
-            .cookie('refreshToken', refreshToken, getCookieOptions())
-            .json(
-                new ApiResponse(
-                    200,
-                    { accessToken, refreshToken },
-                    'Access token refreshed'
-                )
-            );
+        tokens = await sessionService.rotateSession(incomingRefreshToken, req);
     } catch (error) {
+        // The cookies belong to a dead session; drop them so the client stops retrying
+        res.clearCookie('accessToken', getCookieOptions());
+        res.clearCookie('refreshToken', getCookieOptions());
         throw new ApiError(401, error?.message || 'Invalid refresh token');
     }
-});
 
+    const { accessToken, refreshToken } = tokens;
+    res.status(200).cookie('accessToken', accessToken, getCookieOptions());
+    // Missing when another tab rotated the token a moment ago; the browser already has the new cookie
+    if (refreshToken) {
+        res.cookie('refreshToken', refreshToken, getCookieOptions());
+    }
 
+    return res.json(
+        new ApiResponse(
+            200,
+            { accessToken, refreshToken },
+            'Access token refreshed'
+        )
+    );
+});
 
 // Get current user (for token validation and fresh user data)
 export const getCurrentUser = asyncHandler(async (req, res) => {
@@ -285,9 +302,60 @@ export const changeCurrentPassword = asyncHandler(async (req, res) => {
     user.password = newPassword;
     await user.save({ validateBeforeSave: false });
 
+    // Other devices signed in with the old password are signed out
+    await sessionService.revokeAllSessions(user._id, { except: req.sessionId, reason: 'password_changed' });
+
     return res
         .status(200)
         .json(new ApiResponse(200, {}, 'Password changed successfully'));
 });
 
+// Confirm email address from the verification link
+export const verifyEmail = asyncHandler(async (req, res) => {
+    const { token } = req.body;
 
+    if (!token || typeof token !== 'string') {
+        throw new ApiError(400, 'Verification token is required');
+    }
+
+    const user = await authService.verifyEmail(token);
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { user }, 'Email verified successfully'));
+});
+
+// Send a new verification link to the signed-in user
+export const resendVerificationEmail = asyncHandler(async (req, res) => {
+    await authService.resendVerification(req.user);
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, {}, `Verification email sent to ${req.user.email}`));
+});
+
+// Email a password reset link (same response whether or not the account exists)
+export const forgotPassword = asyncHandler(async (req, res) => {
+    await authService.requestPasswordReset(req.body.email);
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, {}, 'If an account exists for this email, a password reset link has been sent'));
+});
+
+// Set a new password from the reset link
+export const resetPassword = asyncHandler(async (req, res) => {
+    const { token, password } = req.body;
+
+    if (!token || typeof token !== 'string') {
+        throw new ApiError(400, 'Reset token is required');
+    }
+
+    await authService.resetPassword(token, password);
+
+    return res
+        .status(200)
+        .clearCookie('accessToken', getCookieOptions())
+        .clearCookie('refreshToken', getCookieOptions())
+        .json(new ApiResponse(200, {}, 'Password reset successfully. Please sign in with your new password.'));
+});
@@ -0,0 +1,130 @@
+import { CatalogImport } from '../models/CatalogImport.js';
+import { CatalogImportItem } from '../models/CatalogImportItem.js';
+import { Store } from '../models/Store.js';
+import { ApiError } from '../utils/ApiError.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import asyncHandler from '../utils/AsyncHanlde.js';
+import { catalogImportService } from '../services/catalogImport.service.js';
+
+const DUPLICATE_MODES = ['skip', 'link', 'create'];
+
+// Start an import (or dry-run preview) of a store's existing Shopify catalog
+export const startCatalogImport = asyncHandler(async (req, res) => {
+    const userId = req.accountId;
+    const { storeId, dryRun = false, onDuplicate = 'skip', query } = req.body;
+
+    if (!storeId) {
+        throw new ApiError(400, 'Store ID is required');
+    }
+    if (!DUPLICATE_MODES.includes(onDuplicate)) {
+        throw new ApiError(400, `onDuplicate must be one of: ${DUPLICATE_MODES.join(', ')}`);
+    }
+
+    const store = await Store.findOne({ _id: storeId, userId, isActive: true });
+    if (!store) {
+        throw new ApiError(404, 'Store not found or not accessible');
+    }
+
+    const active = await CatalogImport.findOne({ userId, store: storeId, status: { $in: ['queued', 'running'] } });
+    if (active) {
+        throw new ApiError(409, 'An import is already in progress for this store');
+    }
+
+    const job = await catalogImportService.enqueueImport({
+        userId,
+        storeId,
+        dryRun: Boolean(dryRun),
+        onDuplicate,
+        query: typeof query === 'string' ? query.trim() : undefined
+    });
+
+    return res.status(202).json(
+        new ApiResponse(202, job.toProgressPayload(), dryRun ? 'Import preview started' : 'Catalog import started')
+    );
+});
+
+// List the user's imports, newest first
+export const getCatalogImports = asyncHandler(async (req, res) => {
+    const userId = req.accountId;
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const { storeId, status } = req.query;
+
+    const filter = { userId };
+    if (storeId) filter.store = storeId;
+    if (status) filter.status = status;
+
+    const [imports, total] = await Promise.all([
+        CatalogImport.find(filter)
+            .sort({ createdAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit),
+        CatalogImport.countDocuments(filter)
+    ]);
+
+    return res.status(200).json(
+        new ApiResponse(200, {
+            imports: imports.map(job => job.toProgressPayload()),
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit)
+            }
+        }, 'Catalog imports retrieved successfully')
+    );
+});
+
+// Get one import with a page of its per-product plan/results
+export const getCatalogImport = asyncHandler(async (req, res) => {
+    const { importId } = req.params;
+    const { itemStatus, action } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+
+    const job = await CatalogImport.findOne({ _id: importId, userId: req.accountId });
+    if (!job) {
+        throw new ApiError(404, 'Catalog import not found');
+    }
+
+    const filter = { catalogImport: job._id };
+    if (itemStatus) filter.status = itemStatus;
+    if (action) filter.action = action;
+
+    const [items, total] = await Promise.all([
+        CatalogImportItem.find(filter)
+            .select('-catalogImport')
+            .sort({ createdAt: 1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .lean(),
+        CatalogImportItem.countDocuments(filter)
+    ]);
+
+    return res.status(200).json(
+        new ApiResponse(200, {
+            ...job.toProgressPayload(),
+            items,
+            itemsPagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit)
+            }
+        }, 'Catalog import retrieved successfully')
+    );
+});
+
+// Cancel a queued or running import
+export const cancelCatalogImport = asyncHandler(async (req, res) => {
+    const { importId } = req.params;
+
+    const job = await catalogImportService.cancelImport(importId, req.accountId);
+    if (!job) {
+        throw new ApiError(404, 'Catalog import not found or already finished');
+    }
+
+    return res.status(200).json(
+        new ApiResponse(200, job.toProgressPayload(), 'Catalog import cancellation requested')
+    );
+});
@@ -51,7 +51,7 @@ export const getStoreCollections = asyncHandler(async (req, res) => {
   // Find the store and validate ownership
   const store = await Store.findOne({
     _id: storeId,
-    userId: req.user._id,
+    userId: req.accountId,
     isActive: true
   });
 
@@ -138,7 +138,7 @@ export const getCollectionDetails = asyncHandler(async (req, res) => {
   // Find the store and validate ownership
   const store = await Store.findOne({
     _id: storeId,
-    userId: req.user._id,
+    userId: req.accountId,
     status: 'active'
   });
 
@@ -219,7 +219,7 @@ export const createStoreCollection = asyncHandler(async (req, res) => {
   // Find the store and validate ownership
   const store = await Store.findOne({
     _id: storeId,
-    userId: req.user._id,
+    userId: req.accountId,
     status: 'active'
   });
 
@@ -283,7 +283,7 @@ export const addProductsToStoreCollection = asyncHandler(async (req, res) => {
   // Find the store and validate ownership
   const store = await Store.findOne({
     _id: storeId,
-    userId: req.user._id,
+    userId: req.accountId,
     status: 'active'
   });
 
@@ -338,7 +338,7 @@ export const removeProductsFromStoreCollection = asyncHandler(async (req, res) =
   // Find the store and validate ownership
   const store = await Store.findOne({
     _id: storeId,
-    userId: req.user._id,
+    userId: req.accountId,
     status: 'active'
   });
 
@@ -395,7 +395,7 @@ export const searchCollectionsAcrossStores = asyncHandler(async (req, res) => {
 
   // Get all active stores for the user
   const stores = await Store.find({
-    userId: req.user._id,
+    userId: req.accountId,
     status: 'active'
   }).select('_id displayName shopifyDomain accessToken scope isOnline');
 
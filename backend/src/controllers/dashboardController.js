@@ -3,6 +3,7 @@ import { Store } from '../models/Store.js';
 import { Product } from '../models/ProductOptimized.js';
 import { ProductMap } from '../models/ProductMap.js';
 import { UserNotification } from '../models/Notification.js';
+import { salesAnalyticsService } from '../services/salesAnalytics.service.js';
 import { ApiError } from '../utils/ApiError.js';
 import { ApiResponse } from '../utils/ApiResponse.js';
 import asyncHandler from '../utils/AsyncHanlde.js';
@@ -20,6 +21,7 @@ import asyncHandler from '../utils/AsyncHanlde.js';
  * - Store connection status
  * - Product sync status
  * - Quick action insights
+ * - Sales analytics from stored Shopify orders
  */
 
 /**
@@ -29,7 +31,7 @@ import asyncHandler from '../utils/AsyncHanlde.js';
  * @access Private
  */
 export const getDashboardStats = asyncHandler(async (req, res) => {
-  const userId = req.user._id;
+  const userId = req.accountId;
 
   try {
     // Get total products count (for this user)
@@ -91,7 +93,7 @@ export const getDashboardStats = asyncHandler(async (req, res) => {
  * @access Private
  */
 export const getUnpushedProducts = asyncHandler(async (req, res) => {
-  const userId = req.user._id;
+  const userId = req.accountId;
   const limit = parseInt(req.query.limit) || 10;
 
   try {
@@ -124,4 +126,77 @@ export const getUnpushedProducts = asyncHandler(async (req, res) => {
   }
 });
 
+/**
+ * Get Sales Summary
+ * @route GET /api/dashboard/sales/summary
+ * @desc Orders, units sold and revenue for a date range (query: storeId, from, to, days)
+ * @access Private
+ */
+export const getSalesSummary = asyncHandler(async (req, res) => {
+  const { storeId, from, to, days } = req.query;
+  const summary = await salesAnalyticsService.getSummary({ userId: req.accountId, storeId, from, to, days });
+
+  return res.status(200).json(
+    new ApiResponse(200, summary, 'Sales summary retrieved successfully')
+  );
+});
+
+/**
+ * Get Sales by Product
+ * @route GET /api/dashboard/sales/by-product
+ * @desc Units sold and revenue per dashboard product (query: storeId, from, to, days, limit, sort=revenue|units)
+ * @access Private
+ */
+export const getSalesByProduct = asyncHandler(async (req, res) => {
+  const { storeId, from, to, days, limit, sort } = req.query;
+  const data = await salesAnalyticsService.getSalesByProduct({ userId: req.accountId, storeId, from, to, days, limit, sort });
+
+  return res.status(200).json(
+    new ApiResponse(200, data, 'Sales by product retrieved successfully')
+  );
+});
+
+/**
+ * Get Sales by Store
+ * @route GET /api/dashboard/sales/by-store
+ * @desc Orders, units sold and revenue per connected store (query: from, to, days)
+ * @access Private
+ */
+export const getSalesByStore = asyncHandler(async (req, res) => {
+  const { from, to, days } = req.query;
+  const data = await salesAnalyticsService.getSalesByStore({ userId: req.accountId, from, to, days });
+
+  return res.status(200).json(
+    new ApiResponse(200, data, 'Sales by store retrieved successfully')
+  );
+});
+
+/**
+ * Get Sales by Day
+ * @route GET /api/dashboard/sales/by-day
+ * @desc Daily orders, units sold and revenue (query: storeId, productId, from, to, days)
+ * @access Private
+ */
+export const getSalesByDay = asyncHandler(async (req, res) => {
+  const { storeId, productId, from, to, days } = req.query;
+  const data = await salesAnalyticsService.getSalesByDay({ userId: req.accountId, storeId, productId, from, to, days });
 
+  return res.status(200).json(
+    new ApiResponse(200, data, 'Daily sales retrieved successfully')
+  );
+});
+
+/**
+ * Get Sell-Through
+ * @route GET /api/dashboard/sales/sell-through
+ * @desc Units sold against inventory still assigned, per product and store (query: storeId, from, to, days, limit)
+ * @access Private
+ */
+export const getSellThrough = asyncHandler(async (req, res) => {
+  const { storeId, from, to, days, limit } = req.query;
+  const data = await salesAnalyticsService.getSellThrough({ userId: req.accountId, storeId, from, to, days, limit });
+
+  return res.status(200).json(
+    new ApiResponse(200, data, 'Sell-through retrieved successfully')
+  );
+});
@@ -9,6 +9,9 @@ import { ApiResponse } from '../utils/ApiResponse.js';
 import { Product } from '../models/ProductOptimized.js';
 import { ProductMap } from '../models/ProductMap.js';
 import { Store } from '../models/Store.js';
+import { inventoryLedgerService } from '../services/inventoryLedger.service.js';
+import { inventoryPushService } from '../services/inventoryPush.service.js';
+import { inventoryPoolService } from '../services/inventoryPool.service.js';
 import { 
   getProductInventory,
   getLiveInventoryLevel, 
@@ -16,7 +19,7 @@ import {
   getInventoryAllocationSummary, 
   getRealTimeInventoryForAllocation 
 } from '../graphql/queries/productQueries.js';
-import { getLocations } from '../graphql/queries/locationQueries.js';
+import { getLocations, getPrimaryLocationId } from '../graphql/queries/locationQueries.js';
 
 /**
  * Get Store Locations for Specific Store
@@ -33,7 +36,7 @@ export const getStoreLocations = asyncHandler(async (req, res) => {
     // Get the store to verify it exists and belongs to user
     const store = await Store.findOne({
       _id: storeId,
-      userId: req.user._id,
+      userId: req.accountId,
       isActive: true
     });
 
@@ -77,11 +80,13 @@ export const getStoreLocations = asyncHandler(async (req, res) => {
 
 /**
  * Assign Inventory to Store
- * Assigns inventory from master product to specific store
+ * Reserves the quantities from the master stock pool for the store location (409 when other
+ * stores already hold the units) and, unless applyToShopify is false, sets them at the Shopify
+ * location right away (mode 'set' or 'adjust', see inventoryPush.service.js)
  */
 export const assignInventoryToStore = asyncHandler(async (req, res) => {
   const { productId, storeId } = req.params;
-  const { variantInventory, locationId } = req.body;
+  const { variantInventory, locationId, mode = 'set', applyToShopify = true } = req.body;
 
   // variantInventory format: [{ variantIndex: 0, assignedQuantity: 100 }, ...]
 
@@ -101,12 +106,12 @@ export const assignInventoryToStore = asyncHandler(async (req, res) => {
     }
 
     // Get master product to check available inventory
-    const product = await Product.findById(productId).populate('variants');
+    const product = await Product.findOne({ _id: productId, createdBy: req.accountId });
     if (!product) {
       throw new ApiError(404, 'Product not found');
     }
 
-    // Validate and assign inventory
+    // Validate assignments; availability is checked against the pool below
     const assignments = [];
     for (const varInv of variantInventory) {
       const { variantIndex, assignedQuantity } = varInv;
@@ -115,24 +120,11 @@ export const assignInventoryToStore = asyncHandler(async (req, res) => {
       if (!product.variants[variantIndex]) {
         throw new ApiError(400, `Variant at index ${variantIndex} not found`);
       }
-
-      const masterVariant = product.variants[variantIndex];
-      
-      // Check if master has enough inventory (if tracked)
-      if (masterVariant.inventoryQuantity !== undefined && 
-          assignedQuantity > masterVariant.inventoryQuantity) {
-        throw new ApiError(400, 
-          `Cannot assign ${assignedQuantity} units. Master variant only has ${masterVariant.inventoryQuantity} available.`);
+      if (!Number.isInteger(assignedQuantity) || assignedQuantity < 0) {
+        throw new ApiError(400, `Assigned quantity for variant ${variantIndex} must be a whole number of 0 or more`);
       }
 
-      // Assign inventory to store
-      await mapping.assignInventoryToStore(
-        storeId, 
-        variantIndex, 
-        assignedQuantity, 
-        locationId, 
-        req.user?.id
-      );
+      const masterVariant = product.variants[variantIndex];
 
       assignments.push({
         variantIndex,
@@ -142,26 +134,86 @@ export const assignInventoryToStore = asyncHandler(async (req, res) => {
       });
     }
 
+    // Reserve the units first so two stores cannot be given the same stock
+    const targetLocationId = applyToShopify ? (locationId || await getPrimaryLocationId(req.session)) : (locationId || null);
+    const reserved = await inventoryPoolService.allocate({
+      productId,
+      storeId,
+      locationId: targetLocationId,
+      assignments: assignments.map(({ variantIndex, assignedQuantity }) => ({ variantIndex, quantity: assignedQuantity }))
+    });
+    reserved.forEach((reservation, i) => {
+      assignments[i].unallocated = reservation.unallocated;
+    });
+
+    let shopifyPush = null;
+    if (applyToShopify) {
+      try {
+        shopifyPush = await inventoryPushService.pushAssignments({
+          session: req.session,
+          mapping,
+          storeId,
+          locationId: targetLocationId,
+          assignments: assignments.map(({ variantIndex, assignedQuantity }) => ({ variantIndex, quantity: assignedQuantity })),
+          mode,
+          userId: req.user._id
+        });
+      } catch (pushError) {
+        await inventoryPoolService.allocate({
+          productId,
+          storeId,
+          locationId: targetLocationId,
+          assignments: reserved.map(r => ({ variantIndex: r.variantIndex, quantity: r.previousQuantity })),
+          enforce: false
+        });
+        throw pushError;
+      }
+
+      // Units that never reached the store go back to the pool
+      const notApplied = new Set(shopifyPush.results.filter(r => ['conflict', 'failed'].includes(r.status)).map(r => r.variantIndex));
+      if (notApplied.size > 0) {
+        await inventoryPoolService.allocate({
+          productId,
+          storeId,
+          locationId: targetLocationId,
+          assignments: reserved.filter(r => notApplied.has(r.variantIndex)).map(r => ({ variantIndex: r.variantIndex, quantity: r.previousQuantity })),
+          enforce: false
+        });
+      }
+    } else {
+      assignments.forEach(({ variantIndex, assignedQuantity }) => {
+        mapping.assignInventoryToStore(storeId, variantIndex, assignedQuantity, targetLocationId, req.user._id);
+      });
+    }
+
+    // Saving also records the movements in the inventory ledger
+    await mapping.save();
+
     // Get updated inventory summary
     const inventorySummary = mapping.getInventorySummary(storeId);
+    const problems = (shopifyPush?.results || []).filter(result => result.status !== 'applied');
 
     const response = {
-      success: true,
+      success: problems.length === 0,
       assignments: assignments,
+      shopify: shopifyPush,
       summary: inventorySummary,
+      pool: await inventoryPoolService.getPool({ productId, userId: req.accountId }),
       storeId: storeId,
       productId: productId,
       executionTime: new Date()
     };
 
     res.status(200).json(
-      new ApiResponse(200, response, 'Inventory assigned to store successfully')
+      new ApiResponse(200, response, problems.length === 0
+        ? 'Inventory assigned to store successfully'
+        : `Inventory assigned; ${problems.length} variant(s) did not match in Shopify`)
     );
 
   } catch (error) {
     console.error('Inventory assignment failed:', error);
     throw new ApiError(
-      error.status || 500,
+      error.statuscode || error.status || 500,
       `Failed to assign inventory: ${error.message}`
     );
   }
@@ -324,78 +376,84 @@ export const getInventorySummary = asyncHandler(async (req, res) => {
 });
 
 /**
- * Get Inventory History
- * Returns inventory change history for a product in a store
+ * Get Inventory Pool
+ * Master on-hand, allocated and unallocated units per variant, with each store location's allocation
  */
-export const getInventoryHistory = asyncHandler(async (req, res) => {
-  const { productId, storeId } = req.params;
-  const { variantIndex, limit = 50 } = req.query;
+export const getInventoryPool = asyncHandler(async (req, res) => {
+  const pool = await inventoryPoolService.getPool({ productId: req.params.productId, userId: req.accountId });
 
-  try {
-    const mapping = await ProductMap.findOne({
-      dashboardProduct: productId,
-      'storeMappings.store': storeId
-    });
+  res.status(200).json(
+    new ApiResponse(200, { pool }, 'Inventory pool retrieved successfully')
+  );
+});
 
-    if (!mapping) {
-      throw new ApiError(404, 'Product mapping not found');
-    }
+/**
+ * Update Inventory Pool settings
+ * sharedPool: split the remaining stock between the stores again after every sale
+ */
+export const updateInventoryPool = asyncHandler(async (req, res) => {
+  const { sharedPool } = req.body;
 
-    const storeMapping = mapping.getStoreMapping(storeId);
-    if (!storeMapping) {
-      throw new ApiError(404, 'Store mapping not found');
-    }
+  if (typeof sharedPool !== 'boolean') {
+    throw new ApiError(400, 'sharedPool must be true or false');
+  }
 
-    let history = [];
+  const pool = await inventoryPoolService.setSharedPool({
+    productId: req.params.productId,
+    userId: req.accountId,
+    enabled: sharedPool
+  });
 
-    if (variantIndex !== undefined) {
-      // Get history for specific variant
-      const variant = storeMapping.variantMappings.find(
-        vm => vm.dashboardVariantIndex === parseInt(variantIndex)
-      );
-      
-      if (variant && variant.inventoryTracking.inventoryHistory) {
-        history = variant.inventoryTracking.inventoryHistory
-          .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
-          .slice(0, parseInt(limit));
-      }
-    } else {
-      // Get history for all variants
-      storeMapping.variantMappings.forEach(variant => {
-        if (variant.inventoryTracking.inventoryHistory) {
-          history.push(...variant.inventoryTracking.inventoryHistory.map(h => ({
-            ...h.toObject(),
-            variantIndex: variant.dashboardVariantIndex
-          })));
-        }
-      });
-      
-      history = history
-        .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
-        .slice(0, parseInt(limit));
-    }
+  res.status(200).json(
+    new ApiResponse(200, { pool }, sharedPool ? 'Shared pool enabled' : 'Shared pool disabled')
+  );
+});
 
-    const response = {
-      success: true,
-      history: history,
-      productId: productId,
-      storeId: storeId,
-      variantIndex: variantIndex,
-      totalRecords: history.length,
-      executionTime: new Date()
-    };
+/**
+ * Get Inventory History
+ * Returns inventory movements for a product in a store from the InventoryMovement ledger
+ * Query: variantIndex, action (comma separated), locationId, from, to, page, limit; format=csv downloads every match
+ */
+export const getInventoryHistory = asyncHandler(async (req, res) => {
+  const { productId, storeId } = req.params;
+  const { variantIndex, action, locationId, from, to, page, limit, format } = req.query;
+
+  const mapping = await ProductMap.exists({
+    dashboardProduct: productId,
+    createdBy: req.accountId,
+    'storeMappings.store': storeId
+  });
+  if (!mapping) {
+    throw new ApiError(404, 'Product mapping not found');
+  }
 
-    res.status(200).json(
-      new ApiResponse(200, response, 'Inventory history retrieved successfully')
-    );
+  const filters = { productId, storeId, variantIndex, action, locationId, from, to };
 
-  } catch (error) {
-    console.error('Inventory history fetch failed:', error);
-    throw new ApiError(
-      error.status || 500,
-      `Failed to get inventory history: ${error.message}`
-    );
+  if (format === 'csv') {
+    const csv = await inventoryLedgerService.exportHistoryCsv(filters);
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="inventory-history-${productId}-${storeId}.csv"`);
+    return res.status(200).send(csv);
   }
+
+  const { history, totals, variantTotals, pagination } = await inventoryLedgerService.getHistory({ ...filters, page, limit });
+
+  const response = {
+    success: true,
+    history,
+    totals,
+    variantTotals,
+    pagination,
+    productId: productId,
+    storeId: storeId,
+    variantIndex: variantIndex,
+    totalRecords: pagination.total,
+    executionTime: new Date()
+  };
+
+  res.status(200).json(
+    new ApiResponse(200, response, 'Inventory history retrieved successfully')
+  );
 });
 
 /**
@@ -406,7 +464,7 @@ export const getLiveShopifyInventory = asyncHandler(async (req, res) => {
   try {
     const { productId, storeId } = req.params;
     const { locationIds } = req.body;
-    const userId = req.user._id;
+    const userId = req.accountId;
 
     if (!productId) {
       throw new ApiError(400, 'Product ID is required');
@@ -0,0 +1,378 @@
+import mongoose from 'mongoose';
+import { ApiError } from '../utils/ApiError.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import asyncHandler from '../utils/AsyncHanlde.js';
+import { Collection } from '../models/Collection.js';
+import { Product } from '../models/ProductOptimized.js';
+import { collectionSyncService } from '../services/collectionSync.service.js';
+import { collectionRulesService } from '../services/collectionRules.service.js';
+
+/**
+ * MASTER COLLECTION CONTROLLER
+ * ============================
+ *
+ * Dashboard master collections (models/Collection.js) and their push to stores.
+ * Store-only collections are handled by collectionController.js.
+ *
+ * Edits to a collection that is already in stores are pushed to those stores
+ * right away (pass propagate=false to skip); per-store results are returned.
+ */
+
+const EDITABLE_FIELDS = [
+  'title', 'descriptionHtml', 'handle', 'collectionType', 'ruleSet', 'sortOrder',
+  'seo', 'image', 'templateSuffix', 'metafields', 'published', 'color'
+];
+
+const pickEditableFields = (body) => EDITABLE_FIELDS.reduce((fields, key) => {
+  if (body[key] !== undefined) fields[key] = body[key];
+  return fields;
+}, {});
+
+const findUserCollection = async (userId, collectionId) => {
+  if (!mongoose.isValidObjectId(collectionId)) {
+    throw new ApiError(400, 'Invalid collection ID');
+  }
+
+  const collection = await Collection.findOne({ _id: collectionId, createdBy: userId });
+  if (!collection) {
+    throw new ApiError(404, 'Collection not found');
+  }
+  return collection;
+};
+
+/**
+ * Only the user's own dashboard products can be members
+ * @returns {Promise<string[]>} Product IDs as strings
+ */
+const validateProductIds = async (userId, productIds) => {
+  if (!Array.isArray(productIds)) {
+    throw new ApiError(400, 'productIds must be an array');
+  }
+
+  const ids = Array.from(new Set(productIds.map(String)));
+  const invalid = ids.filter(id => !mongoose.isValidObjectId(id));
+  if (invalid.length > 0) {
+    throw new ApiError(400, `Invalid product IDs: ${invalid.join(', ')}`);
+  }
+
+  const found = await Product.find({ _id: { $in: ids }, createdBy: userId }).select('_id');
+  if (found.length !== ids.length) {
+    const foundIds = new Set(found.map(product => product._id.toString()));
+    throw new ApiError(404, `Products not found: ${ids.filter(id => !foundIds.has(id)).join(', ')}`);
+  }
+
+  return ids;
+};
+
+const saveCollection = async (collection) => {
+  try {
+    await collection.save();
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new ApiError(409, `A collection with handle "${collection.handle}" already exists`);
+    }
+    if (error.name === 'ValidationError' || /must have at least one rule/.test(error.message)) {
+      throw new ApiError(400, error.message);
+    }
+    throw error;
+  }
+};
+
+// Push edits to the stores the collection is already in
+const propagate = async (req, collection) => {
+  if (req.query.propagate === 'false' || collection.storeMappings.length === 0) return [];
+  return collectionSyncService.pushCollection({ userId: req.accountId, collection });
+};
+
+const summarizeResults = (storeResults) => {
+  const failed = storeResults.filter(result => !result.success).length;
+  if (storeResults.length === 0) return '';
+  return failed > 0
+    ? ` Sync failed for ${failed} of ${storeResults.length} store(s)`
+    : ` Synced to ${storeResults.length} store(s)`;
+};
+
+// ==============================================
+// CRUD
+// ==============================================
+
+/**
+ * List master collections
+ * @route GET /api/master-collections
+ * @query page, limit, search, collectionType
+ */
+export const getMasterCollections = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  const { search, collectionType } = req.query;
+
+  const filter = { createdBy: req.accountId };
+  if (collectionType) filter.collectionType = collectionType;
+  if (search) {
+    filter.title = { $regex: search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+  }
+
+  const [collections, total] = await Promise.all([
+    Collection.find(filter)
+      .populate('storeMappings.store', 'shopName shopDomain')
+      .sort({ updatedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Collection.countDocuments(filter)
+  ]);
+
+  res.status(200).json(
+    new ApiResponse(200, {
+      collections,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    }, 'Collections fetched successfully')
+  );
+});
+
+/**
+ * Get a master collection with its member products
+ * @route GET /api/master-collections/:id
+ */
+export const getMasterCollection = asyncHandler(async (req, res) => {
+  const collection = await findUserCollection(req.accountId, req.params.id);
+  await collection.populate('storeMappings.store', 'shopName shopDomain');
+
+  const products = await Product.find({ _id: { $in: collection.productIds }, createdBy: req.accountId })
+    .select('title handle status media storeCount');
+
+  res.status(200).json(
+    new ApiResponse(200, { ...collection.toObject(), products }, 'Collection fetched successfully')
+  );
+});
+
+/**
+ * Create a master collection
+ * @route POST /api/master-collections
+ * @body title, descriptionHtml?, handle?, collectionType?, ruleSet?, productIds?, sortOrder?, seo?, image?, metafields?
+ */
+export const createMasterCollection = asyncHandler(async (req, res) => {
+  const fields = pickEditableFields(req.body);
+  if (!fields.title?.trim()) {
+    throw new ApiError(400, 'Collection title is required');
+  }
+
+  const collection = new Collection({
+    ...fields,
+    productIds: req.body.productIds ? await validateProductIds(req.accountId, req.body.productIds) : [],
+    createdBy: req.accountId
+  });
+  if (collection.collectionType === 'SMART') collection.productIds = [];
+
+  await saveCollection(collection);
+
+  res.status(201).json(
+    new ApiResponse(201, collection, 'Collection created successfully')
+  );
+});
+
+/**
+ * Update a master collection and push the change to its stores
+ * @route PUT /api/master-collections/:id
+ * @query propagate=false to only save in the dashboard
+ */
+export const updateMasterCollection = asyncHandler(async (req, res) => {
+  const collection = await findUserCollection(req.accountId, req.params.id);
+  const fields = pickEditableFields(req.body);
+
+  // Shopify cannot turn a manual collection into a smart one or back
+  if (fields.collectionType && fields.collectionType !== collection.collectionType && collection.storeMappings.length > 0) {
+    throw new ApiError(400, 'Collection type cannot change after the collection has been pushed to stores');
+  }
+
+  collection.set(fields);
+  if (req.body.productIds !== undefined) {
+    collection.productIds = await validateProductIds(req.accountId, req.body.productIds);
+  }
+  if (collection.collectionType === 'SMART') collection.productIds = [];
+
+  await saveCollection(collection);
+  const storeResults = await propagate(req, collection);
+
+  res.status(200).json(
+    new ApiResponse(200, { collection, storeResults }, `Collection updated successfully.${summarizeResults(storeResults)}`)
+  );
+});
+
+/**
+ * Delete a master collection
+ * @route DELETE /api/master-collections/:id
+ * @query deleteFromStores=true to also delete the store collections
+ */
+export const deleteMasterCollection = asyncHandler(async (req, res) => {
+  const collection = await findUserCollection(req.accountId, req.params.id);
+  const failed = [];
+
+  if (req.query.deleteFromStores === 'true') {
+    for (const mapping of [...collection.storeMappings]) {
+      try {
+        await collectionSyncService.unlinkStore({
+          userId: req.accountId,
+          collection,
+          storeId: mapping.store,
+          deleteInStore: true
+        });
+      } catch (error) {
+        failed.push({ storeId: mapping.store, error: error.message });
+      }
+    }
+
+    if (failed.length > 0) {
+      throw new ApiError(502, `Could not delete the collection in ${failed.length} store(s): ${failed[0].error}`);
+    }
+  }
+
+  await Collection.deleteOne({ _id: collection._id });
+
+  res.status(200).json(
+    new ApiResponse(200, {}, 'Collection deleted successfully')
+  );
+});
+
+// ==============================================
+// SMART RULES
+// ==============================================
+
+/**
+ * Preview which dashboard products a smart collection rule set selects
+ * @route POST /api/master-collections/preview
+ * @body ruleSet { appliedDisjunctively, rules[] }, limit? (sample size, max 200)
+ */
+export const previewMasterCollectionRules = asyncHandler(async (req, res) => {
+  const { ruleSet } = req.body;
+  if (!ruleSet || !Array.isArray(ruleSet.rules) || ruleSet.rules.length === 0) {
+    throw new ApiError(400, 'ruleSet with at least one rule is required');
+  }
+
+  const preview = await collectionRulesService.previewRuleSet({
+    userId: req.accountId,
+    ruleSet,
+    limit: Math.min(parseInt(req.body.limit) || 50, 200)
+  });
+
+  res.status(200).json(
+    new ApiResponse(200, preview, `${preview.matchedCount} of ${preview.totalProducts} products match`)
+  );
+});
+
+// ==============================================
+// MEMBERSHIP
+// ==============================================
+
+/**
+ * Add products to a manual collection
+ * @route POST /api/master-collections/:id/products
+ * @body productIds (array) - Dashboard product IDs
+ */
+export const addMasterCollectionProducts = asyncHandler(async (req, res) => {
+  const collection = await findUserCollection(req.accountId, req.params.id);
+  if (collection.collectionType !== 'MANUAL') {
+    throw new ApiError(400, 'Products can only be added to manual collections');
+  }
+
+  const productIds = await validateProductIds(req.accountId, req.body.productIds || []);
+  collection.productIds = Array.from(new Set([...collection.productIds, ...productIds]));
+
+  await saveCollection(collection);
+  const storeResults = await propagate(req, collection);
+
+  res.status(200).json(
+    new ApiResponse(200, { collection, storeResults }, `Products added to collection.${summarizeResults(storeResults)}`)
+  );
+});
+
+/**
+ * Remove products from a manual collection
+ * @route DELETE /api/master-collections/:id/products
+ * @body productIds (array) - Dashboard product IDs
+ */
+export const removeMasterCollectionProducts = asyncHandler(async (req, res) => {
+  const collection = await findUserCollection(req.accountId, req.params.id);
+  if (collection.collectionType !== 'MANUAL') {
+    throw new ApiError(400, 'Products can only be removed from manual collections');
+  }
+
+  const toRemove = new Set((req.body.productIds || []).map(String));
+  collection.productIds = collection.productIds.filter(id => !toRemove.has(id));
+
+  await saveCollection(collection);
+  const storeResults = await propagate(req, collection);
+
+  res.status(200).json(
+    new ApiResponse(200, { collection, storeResults }, `Products removed from collection.${summarizeResults(storeResults)}`)
+  );
+});
+
+// ==============================================
+// STORE PUSH
+// ==============================================
+
+/**
+ * Create or update the collection in the selected stores
+ * @route POST /api/master-collections/:id/push
+ * @body storeIds (array) - Store IDs; omitted = stores it is already in
+ */
+export const pushMasterCollection = asyncHandler(async (req, res) => {
+  const collection = await findUserCollection(req.accountId, req.params.id);
+  const storeIds = Array.isArray(req.body.storeIds) ? req.body.storeIds : [];
+
+  if (storeIds.length === 0 && collection.storeMappings.length === 0) {
+    throw new ApiError(400, 'Select at least one store');
+  }
+
+  const storeResults = await collectionSyncService.pushCollection({
+    userId: req.accountId,
+    collection,
+    storeIds
+  });
+  if (storeResults.length === 0) {
+    throw new ApiError(404, 'No accessible stores found');
+  }
+
+  await collection.populate('storeMappings.store', 'shopName shopDomain');
+  const failed = storeResults.filter(result => !result.success).length;
+
+  res.status(200).json(
+    new ApiResponse(200, { collection, storeResults }, failed > 0
+      ? `Collection pushed to ${storeResults.length - failed} of ${storeResults.length} store(s)`
+      : `Collection pushed to ${storeResults.length} store(s)`)
+  );
+});
+
+/**
+ * Stop syncing the collection to a store
+ * @route DELETE /api/master-collections/:id/stores/:storeId
+ * @query deleteInStore=true to also delete the store collection
+ */
+export const unlinkMasterCollectionStore = asyncHandler(async (req, res) => {
+  const collection = await findUserCollection(req.accountId, req.params.id);
+
+  try {
+    const removed = await collectionSyncService.unlinkStore({
+      userId: req.accountId,
+      collection,
+      storeId: req.params.storeId,
+      deleteInStore: req.query.deleteInStore === 'true'
+    });
+
+    if (!removed) {
+      throw new ApiError(404, 'Collection is not linked to this store');
+    }
+
+    res.status(200).json(
+      new ApiResponse(200, collection, 'Collection removed from store')
+    );
+  } catch (error) {
+    if (error instanceof ApiError) throw error;
+    throw new ApiError(502, `Failed to remove collection from store: ${error.message}`);
+  }
+});
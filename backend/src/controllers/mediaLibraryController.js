@@ -0,0 +1,169 @@
+import { ApiError } from '../utils/ApiError.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import asyncHandler from '../utils/AsyncHanlde.js';
+import { mediaLibraryService } from '../services/mediaLibrary.service.js';
+
+/**
+ * MEDIA LIBRARY CONTROLLER
+ * ========================
+ *
+ * Reusable media (models/MediaAdvanced.js): upload once, organize into folders
+ * and tags, attach to many products. Uploads made directly on a product
+ * (productControllerNew.js) stay embedded on that product only.
+ */
+
+/**
+ * Upload files into the library
+ * @route POST /api/media
+ * @body files (multipart "media"), folder?, tags? (comma separated), alt?
+ */
+export const uploadLibraryMedia = asyncHandler(async (req, res) => {
+  if (!req.files?.length) {
+    throw new ApiError(400, 'No files uploaded');
+  }
+
+  const { media, errors } = await mediaLibraryService.uploadMedia({
+    userId: req.accountId,
+    files: req.files,
+    folder: req.body.folder,
+    tags: req.body.tags,
+    alt: req.body.alt
+  });
+
+  if (media.length === 0) {
+    throw new ApiError(400, `Upload failed: ${errors.map(error => `${error.filename}: ${error.message}`).join('; ')}`);
+  }
+
+  res.status(201).json(
+    new ApiResponse(201, { media, errors }, errors.length > 0
+      ? `${media.length} file(s) uploaded, ${errors.length} failed`
+      : `${media.length} file(s) uploaded`)
+  );
+});
+
+/**
+ * List and search library media
+ * @route GET /api/media
+ * @query page, limit, search, folder, tags (comma separated), mediaContentType, unused=true
+ */
+export const getLibraryMedia = asyncHandler(async (req, res) => {
+  const { search, folder, tags, mediaContentType, unused } = req.query;
+
+  const result = await mediaLibraryService.listMedia({
+    userId: req.accountId,
+    search,
+    folder,
+    tags,
+    mediaContentType,
+    unused: unused === 'true',
+    page: parseInt(req.query.page) || 1,
+    limit: Math.min(parseInt(req.query.limit) || 40, 100)
+  });
+
+  res.status(200).json(
+    new ApiResponse(200, result, 'Media fetched successfully')
+  );
+});
+
+/**
+ * Folders and tags with file counts
+ * @route GET /api/media/facets
+ */
+export const getLibraryFacets = asyncHandler(async (req, res) => {
+  const facets = await mediaLibraryService.getLibraryFacets(req.accountId);
+
+  res.status(200).json(
+    new ApiResponse(200, facets, 'Media folders and tags fetched successfully')
+  );
+});
+
+/**
+ * Edit alt text, caption, folder or tags
+ * @route PUT /api/media/:id
+ * @body alt?, caption?, folder?, tags?
+ */
+export const updateLibraryMedia = asyncHandler(async (req, res) => {
+  const { alt, caption, folder, tags } = req.body;
+
+  const media = await mediaLibraryService.updateMedia({
+    userId: req.accountId,
+    mediaId: req.params.id,
+    updates: { alt, caption, folder, tags }
+  });
+
+  res.status(200).json(
+    new ApiResponse(200, media, 'Media updated successfully')
+  );
+});
+
+/**
+ * Delete a library file and its Cloudinary asset
+ * @route DELETE /api/media/:id
+ * @query force=true to also remove it from the products using it
+ */
+export const deleteLibraryMedia = asyncHandler(async (req, res) => {
+  await mediaLibraryService.deleteMedia({
+    userId: req.accountId,
+    mediaId: req.params.id,
+    force: req.query.force === 'true'
+  });
+
+  res.status(200).json(
+    new ApiResponse(200, {}, 'Media deleted successfully')
+  );
+});
+
+/**
+ * Attach a library file to products
+ * @route POST /api/media/:id/attach
+ * @body productIds (array)
+ */
+export const attachLibraryMedia = asyncHandler(async (req, res) => {
+  const result = await mediaLibraryService.attachToProducts({
+    userId: req.accountId,
+    mediaId: req.params.id,
+    productIds: req.body.productIds
+  });
+
+  res.status(200).json(
+    new ApiResponse(200, result, `Attached to ${result.attached.length} product(s)`)
+  );
+});
+
+/**
+ * Detach a library file from products
+ * @route POST /api/media/:id/detach
+ * @body productIds (array)
+ */
+export const detachLibraryMedia = asyncHandler(async (req, res) => {
+  const result = await mediaLibraryService.detachFromProducts({
+    userId: req.accountId,
+    mediaId: req.params.id,
+    productIds: req.body.productIds
+  });
+
+  res.status(200).json(
+    new ApiResponse(200, result, `Detached from ${result.detached.length} product(s)`)
+  );
+});
+
+/**
+ * Delete unused library files and their Cloudinary assets
+ * @route POST /api/media/cleanup
+ * @body dryRun?, olderThanDays?
+ */
+export const cleanupUnusedMedia = asyncHandler(async (req, res) => {
+  const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+
+  const result = await mediaLibraryService.cleanupUnused({
+    userId: req.accountId,
+    olderThanDays: Math.max(parseInt(req.body.olderThanDays) || 0, 0),
+    dryRun
+  });
+
+  res.status(200).json(
+    new ApiResponse(200, result, dryRun
+      ? `${result.candidates} unused file(s) would be deleted`
+      : `${result.deleted.length} unused file(s) deleted${result.failed.length ? `, ${result.failed.length} failed` : ''}`)
+  );
+});
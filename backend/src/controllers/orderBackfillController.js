@@ -0,0 +1,106 @@
+import { OrderBackfill } from '../models/OrderBackfill.js';
+import { Store } from '../models/Store.js';
+import { ApiError } from '../utils/ApiError.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import asyncHandler from '../utils/AsyncHanlde.js';
+import { orderBackfillService } from '../services/orderBackfill.service.js';
+
+const parseDate = (value, name) => {
+    if (!value) return undefined;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new ApiError(400, `Invalid ${name} date`);
+    }
+    return date;
+};
+
+// Start importing a store's past orders for a date range (no "from" imports the whole history)
+export const startOrderBackfill = asyncHandler(async (req, res) => {
+    const userId = req.accountId;
+    const { storeId } = req.body;
+    const from = parseDate(req.body.from, 'from');
+    const to = parseDate(req.body.to, 'to');
+
+    if (!storeId) {
+        throw new ApiError(400, 'Store ID is required');
+    }
+    if (from && to && from > to) {
+        throw new ApiError(400, '"from" must be before "to"');
+    }
+
+    const store = await Store.findOne({ _id: storeId, userId, isActive: true });
+    if (!store) {
+        throw new ApiError(404, 'Store not found or not accessible');
+    }
+
+    const active = await OrderBackfill.findOne({ userId, store: storeId, status: { $in: ['queued', 'running'] } });
+    if (active) {
+        throw new ApiError(409, 'An order import is already in progress for this store');
+    }
+
+    const job = await orderBackfillService.enqueueBackfill({ userId, storeId, from, to });
+
+    return res.status(202).json(
+        new ApiResponse(202, job.toProgressPayload(), 'Order import started')
+    );
+});
+
+// List the user's order backfills, newest first
+export const getOrderBackfills = asyncHandler(async (req, res) => {
+    const userId = req.accountId;
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const { storeId, status } = req.query;
+
+    const filter = { userId };
+    if (storeId) filter.store = storeId;
+    if (status) filter.status = status;
+
+    const [backfills, total] = await Promise.all([
+        OrderBackfill.find(filter)
+            .sort({ createdAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit),
+        OrderBackfill.countDocuments(filter)
+    ]);
+
+    return res.status(200).json(
+        new ApiResponse(200, {
+            backfills: backfills.map(job => job.toProgressPayload()),
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit)
+            }
+        }, 'Order backfills retrieved successfully')
+    );
+});
+
+// Get one order backfill
+export const getOrderBackfill = asyncHandler(async (req, res) => {
+    const { backfillId } = req.params;
+
+    const job = await OrderBackfill.findOne({ _id: backfillId, userId: req.accountId });
+    if (!job) {
+        throw new ApiError(404, 'Order backfill not found');
+    }
+
+    return res.status(200).json(
+        new ApiResponse(200, job.toProgressPayload(), 'Order backfill retrieved successfully')
+    );
+});
+
+// Cancel a queued or running backfill
+export const cancelOrderBackfill = asyncHandler(async (req, res) => {
+    const { backfillId } = req.params;
+
+    const job = await orderBackfillService.cancelBackfill(backfillId, req.accountId);
+    if (!job) {
+        throw new ApiError(404, 'Order backfill not found or already finished');
+    }
+
+    return res.status(200).json(
+        new ApiResponse(200, job.toProgressPayload(), 'Order backfill cancellation requested')
+    );
+});
@@ -1,9 +1,13 @@
 import { Product } from '../models/ProductOptimized.js';
+import { InventoryPool } from '../models/InventoryPool.js';
 import { ApiError } from '../utils/ApiError.js';
 import { ApiResponse } from '../utils/ApiResponse.js';
 import asyncHandler from '../utils/AsyncHanlde.js';
 import { uploadOnCloudinary, deleteFromCloudinary, validateForShopify } from '../utils/cloudinary.js';
 import { validateImageDimensions } from '../middleware/multer.js';
+import { autoSyncService } from '../services/autoSync.service.js';
+import { productCsvImportService, IMPORT_MODES } from '../services/productCsvImport.service.js';
+import { mediaLibraryService } from '../services/mediaLibrary.service.js';
 
 /**
  * MASTER PRODUCT CONTROLLER
@@ -42,7 +46,7 @@ import { validateImageDimensions } from '../middleware/multer.js';
  * - Shopify-compatible structure
  */
 const createProduct = asyncHandler(async (req, res) => {
-  const userId = req.user._id;
+  const userId = req.accountId;
   console.log("Raw Body:", req.body);
   console.log('Files: ', req.files);
   
@@ -213,7 +217,7 @@ const createProduct = asyncHandler(async (req, res) => {
  * GET /api/products
  */
 const getUserProducts = asyncHandler(async (req, res) => {
-  const userId = req.user._id;
+  const userId = req.accountId;
   const {
     page = 1,
     limit = 20,
@@ -346,7 +350,7 @@ const getUserProducts = asyncHandler(async (req, res) => {
  * GET /api/products/:id
  */
 const getProduct = asyncHandler(async (req, res) => {
-  const userId = req.user._id;
+  const userId = req.accountId;
   const { id } = req.params;
 
   try {
@@ -385,7 +389,12 @@ const getProduct = asyncHandler(async (req, res) => {
             domain: sm.store.shopDomain
           },
           lastSyncAt: sm.lastSyncAt,
-          syncStatus: sm.status
+          syncStatus: sm.status,
+          drift: {
+            hasDrift: !!sm.drift?.hasDrift,
+            fieldCount: sm.drift?.fields?.length || 0,
+            checkedAt: sm.drift?.checkedAt
+          }
         });
       }
     }
@@ -415,7 +424,7 @@ const getProduct = asyncHandler(async (req, res) => {
  * PUT /api/products/:id
  */
 const updateProduct = asyncHandler(async (req, res) => {
-  const userId = req.user._id;
+  const userId = req.accountId;
   const { id } = req.params;
   const updateData = req.body;
 
@@ -429,6 +438,9 @@ const updateProduct = asyncHandler(async (req, res) => {
       throw new ApiError(404, 'Product not found');
     }
 
+    // Keep the previous version to work out which store triggers fire
+    const before = product.toObject();
+
     // Validate options if being updated
     if (updateData.options && updateData.options.length > 3) {
       throw new ApiError(400, 'Maximum 3 product options allowed');
@@ -451,19 +463,23 @@ const updateProduct = asyncHandler(async (req, res) => {
         ? updateData.mediaToDelete 
         : [updateData.mediaToDelete];
       
-      // Delete from Cloudinary
+      // Delete from Cloudinary; library files stay in the library
       for (const mediaIndex of mediaToDelete) {
         const media = product.media[parseInt(mediaIndex)];
-        if (media && media.src.includes('cloudinary.com')) {
+        if (media?.libraryMedia) {
+          await mediaLibraryService.releaseProductMedia({ productId: product._id, mediaItems: [media] });
+        } else if (media && media.src.includes('cloudinary.com')) {
           const publicId = extractCloudinaryPublicId(media.src);
           await deleteFromCloudinary(publicId);
         }
       }
       
       // Remove from array (reverse order to maintain indices)
+      const previousSources = product.media.map(media => media.src);
       mediaToDelete.sort((a, b) => b - a).forEach(index => {
         product.media.splice(parseInt(index), 1);
       });
+      product.remapVariantMediaIndexes(previousSources);
     }
 
     // Add new media
@@ -516,10 +532,26 @@ const updateProduct = asyncHandler(async (req, res) => {
     product.lastSyncAttempt = new Date();
 
     await product.save();
+
+    // Auto-sync stores whose triggers match the changed fields (never fails the update)
+    let autoSyncJobs = [];
+    try {
+      const changedGroups = autoSyncService.getChangedFieldGroups(before, product.toObject());
+      autoSyncJobs = await autoSyncService.enqueueForChanges({ productId: product._id, userId, changedGroups });
+    } catch (syncError) {
+      console.error('Failed to queue auto sync:', syncError.message);
+    }
+
     await product.populate('createdBy', 'name email');
 
     res.json(
-      new ApiResponse(200, product, 'Product updated successfully')
+      new ApiResponse(
+        200,
+        product,
+        autoSyncJobs.length > 0
+          ? `Product updated successfully. Sync queued for ${autoSyncJobs.length} store(s)`
+          : 'Product updated successfully'
+      )
     );
 
   } catch (error) {
@@ -542,7 +574,7 @@ const updateProduct = asyncHandler(async (req, res) => {
  * POST /api/products/:id/duplicate
  */
 const duplicateProduct = asyncHandler(async (req, res) => {
-  const userId = req.user._id;
+  const userId = req.accountId;
   const { id } = req.params;
   const { title: newTitle, handle: newHandle } = req.body;
 
@@ -587,6 +619,7 @@ const duplicateProduct = asyncHandler(async (req, res) => {
 
     const duplicateProduct = new Product(duplicateData);
     await duplicateProduct.save();
+    await mediaLibraryService.trackProductMedia({ productId: duplicateProduct._id, mediaItems: duplicateProduct.media });
     await duplicateProduct.populate('createdBy', 'name email');
 
     res.status(201).json(
@@ -607,7 +640,7 @@ const duplicateProduct = asyncHandler(async (req, res) => {
  * DELETE /api/products/:id
  */
 const deleteProduct = asyncHandler(async (req, res) => {
-  const userId = req.user._id;
+  const userId = req.accountId;
   const { id } = req.params;
 
   try {
@@ -625,17 +658,20 @@ const deleteProduct = asyncHandler(async (req, res) => {
       throw new ApiError(400, 'Cannot delete product that is synced to stores. Remove from stores first.');
     }
 
-    // Delete media from Cloudinary
+    // Delete media from Cloudinary; library files stay in the library
     if (product.media && product.media.length > 0) {
       for (const media of product.media) {
+        if (media.libraryMedia) continue;
         if (media.src.includes('cloudinary.com')) {
           const publicId = extractCloudinaryPublicId(media.src);
           await deleteFromCloudinary(publicId);
         }
       }
+      await mediaLibraryService.releaseProductMedia({ productId: product._id, mediaItems: product.media });
     }
 
     await Product.findByIdAndDelete(id);
+    await InventoryPool.deleteOne({ product: id });
 
     res.json(
       new ApiResponse(200, {}, 'Product deleted successfully')
@@ -650,6 +686,52 @@ const deleteProduct = asyncHandler(async (req, res) => {
   }
 });
 
+/**
+ * Import products from a Shopify product CSV
+ * POST /api/products/import/csv
+ *
+ * Modes for handles that already exist: create (new product anyway),
+ * update (merge into the existing product) or skip. dryRun only validates.
+ * Always answers 200 with a per-row error report unless the file itself is unusable.
+ */
+const importProductsCsv = asyncHandler(async (req, res) => {
+  const userId = req.accountId;
+  const { mode = 'create' } = req.body;
+  const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+
+  if (!req.file) {
+    throw new ApiError(400, 'CSV file is required');
+  }
+  if (!IMPORT_MODES.includes(mode)) {
+    throw new ApiError(400, `Invalid mode. Use one of: ${IMPORT_MODES.join(', ')}`);
+  }
+
+  try {
+    const report = await productCsvImportService.importCsv({
+      userId,
+      csv: req.file.buffer.toString('utf8'),
+      mode,
+      dryRun
+    });
+
+    const { created, updated, skipped, failed } = report.summary;
+    const message = dryRun
+      ? `Checked ${report.summary.products} product(s): ${created} to create, ${updated} to update, ${skipped} to skip, ${failed} with errors`
+      : `Imported ${created + updated} product(s): ${created} created, ${updated} updated, ${skipped} skipped, ${failed} failed`;
+
+    res.json(
+      new ApiResponse(200, report, message)
+    );
+
+  } catch (error) {
+    console.error('Error importing products CSV:', error);
+    if (error.status) {
+      throw new ApiError(error.status, error.message);
+    }
+    throw new ApiError(500, `Failed to import products: ${error.message}`);
+  }
+});
+
 // ==============================================
 // PRODUCT OPTIONS MANAGEMENT
 // ==============================================
@@ -659,7 +741,7 @@ const deleteProduct = asyncHandler(async (req, res) => {
  * POST /api/products/:id/options
  */
 const addProductOption = asyncHandler(async (req, res) => {
-  const userId = req.user._id;
+  const userId = req.accountId;
   const { id } = req.params;
   const { name, optionValues = [] } = req.body;
 
@@ -720,7 +802,7 @@ const addProductOption = asyncHandler(async (req, res) => {
  * PUT /api/products/:id/options/:optionIndex
  */
 const updateProductOption = asyncHandler(async (req, res) => {
-  const userId = req.user._id;
+  const userId = req.accountId;
   const { id, optionIndex } = req.params;
   const { name, optionValues } = req.body;
 
@@ -780,7 +862,7 @@ const updateProductOption = asyncHandler(async (req, res) => {
  * DELETE /api/products/:id/options/:optionIndex
  */
 const deleteProductOption = asyncHandler(async (req, res) => {
-  const userId = req.user._id;
+  const userId = req.accountId;
   const { id, optionIndex } = req.params;
 
   try {
@@ -842,7 +924,7 @@ const deleteProductOption = asyncHandler(async (req, res) => {
  * POST /api/products/:id/variants
  */
 const addProductVariant = asyncHandler(async (req, res) => {
-  const userId = req.user._id;
+  const userId = req.accountId;
   const { id } = req.params;
   const variantData = req.body;
 
@@ -914,7 +996,7 @@ const addProductVariant = asyncHandler(async (req, res) => {
  * PUT /api/products/:id/variants/:variantIndex
  */
 const updateProductVariant = asyncHandler(async (req, res) => {
-  const userId = req.user._id;
+  const userId = req.accountId;
   const { id, variantIndex } = req.params;
   const variantData = req.body;
 
@@ -981,7 +1063,7 @@ const updateProductVariant = asyncHandler(async (req, res) => {
  * DELETE /api/products/:id/variants/:variantIndex
  */
 const deleteProductVariant = asyncHandler(async (req, res) => {
-  const userId = req.user._id;
+  const userId = req.accountId;
   const { id, variantIndex } = req.params;
 
   try {
@@ -1032,7 +1114,7 @@ const deleteProductVariant = asyncHandler(async (req, res) => {
  * POST /api/products/:id/media
  */
 const uploadProductMedia = asyncHandler(async (req, res) => {
-  const userId = req.user._id;
+  const userId = req.accountId;
   const { id } = req.params;
 
   try {
@@ -1089,7 +1171,7 @@ const uploadProductMedia = asyncHandler(async (req, res) => {
  * DELETE /api/products/:id/media/:mediaIndex
  */
 const deleteProductMedia = asyncHandler(async (req, res) => {
-  const userId = req.user._id;
+  const userId = req.accountId;
   const { id, mediaIndex } = req.params;
 
   try {
@@ -1109,14 +1191,18 @@ const deleteProductMedia = asyncHandler(async (req, res) => {
 
     const media = product.media[index];
 
-    // Delete from Cloudinary if hosted there
-    if (media.src.includes('cloudinary.com')) {
+    // Delete from Cloudinary if hosted there; library files stay in the library
+    if (media.libraryMedia) {
+      await mediaLibraryService.releaseProductMedia({ productId: product._id, mediaItems: [media] });
+    } else if (media.src.includes('cloudinary.com')) {
       const publicId = extractCloudinaryPublicId(media.src);
       await deleteFromCloudinary(publicId);
     }
 
     // Remove from array
+    const previousSources = product.media.map(media => media.src);
     product.media.splice(index, 1);
+    product.remapVariantMediaIndexes(previousSources);
 
     // Update positions
     product.media.forEach((media, i) => {
@@ -1144,7 +1230,7 @@ const deleteProductMedia = asyncHandler(async (req, res) => {
  * PUT /api/products/:id/media/reorder
  */
 const reorderProductMedia = asyncHandler(async (req, res) => {
-  const userId = req.user._id;
+  const userId = req.accountId;
   const { id } = req.params;
   const { mediaOrder } = req.body; // Array of media indices in new order
 
@@ -1177,7 +1263,9 @@ const reorderProductMedia = asyncHandler(async (req, res) => {
       media.position = i;
     });
 
+    const previousSources = product.media.map(media => media.src);
     product.media = reorderedMedia;
+    product.remapVariantMediaIndexes(previousSources);
     product.syncStatus = 'pending';
     await product.save();
 
@@ -1203,7 +1291,7 @@ const reorderProductMedia = asyncHandler(async (req, res) => {
  * GET /api/products/:id/shopify-preview
  */
 const getShopifyPreview = asyncHandler(async (req, res) => {
-  const userId = req.user._id;
+  const userId = req.accountId;
   const { id } = req.params;
 
   try {
@@ -1339,6 +1427,7 @@ const processProductVariants = (variants) => {
     weight: variant.weight ? parseFloat(variant.weight) : 0,
     weightUnit: variant.weightUnit || 'g',
     optionValues: Array.isArray(variant.optionValues) ? variant.optionValues : [],
+    mediaIndexes: Array.isArray(variant.mediaIndexes) ? variant.mediaIndexes.map(Number).filter(Number.isInteger) : [],
     position: index
   }));
 };
@@ -1431,6 +1520,7 @@ export {
   updateProduct,
   duplicateProduct,
   deleteProduct,
+  importProductsCsv,
   
   // Options management
   addProductOption,
@@ -0,0 +1,116 @@
+import { ProductMatchProposal } from '../models/ProductMatchProposal.js';
+import { ApiError } from '../utils/ApiError.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import asyncHandler from '../utils/AsyncHanlde.js';
+import { productMatchingService } from '../services/productMatching.service.js';
+
+const toIdList = (value) => (Array.isArray(value) ? value : value ? [value] : []).map(String);
+
+// Scan connected stores for existing products matching dashboard masters
+export const startMatchingScan = asyncHandler(async (req, res) => {
+    const userId = req.accountId;
+    const storeIds = toIdList(req.body.storeIds);
+    const productIds = toIdList(req.body.productIds);
+
+    const scans = await productMatchingService.startScan({ userId, storeIds, productIds });
+    if (scans.length === 0) {
+        throw new ApiError(409, 'No stores to scan (not found or a scan is already running)');
+    }
+
+    return res.status(202).json(
+        new ApiResponse(202, { scans }, `Matching started for ${scans.length} store(s)`)
+    );
+});
+
+// Progress of the current or last scan per store
+export const getMatchingScanStatus = asyncHandler(async (req, res) => {
+    const scans = await productMatchingService.getScanStatus({
+        userId: req.accountId,
+        storeIds: toIdList(req.query.storeId)
+    });
+
+    return res.status(200).json(
+        new ApiResponse(200, { scans }, 'Matching status retrieved successfully')
+    );
+});
+
+// List match proposals, most confident first
+export const getMatchProposals = asyncHandler(async (req, res) => {
+    const userId = req.accountId;
+    const { storeId, status = 'pending', minConfidence } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    const filter = { userId, status };
+    if (storeId) filter.store = storeId;
+    if (minConfidence) filter.confidence = { $gte: Number(minConfidence) };
+
+    const [proposals, total] = await Promise.all([
+        ProductMatchProposal.find(filter)
+            .populate('product', 'title handle variants.sku variants.optionValues media')
+            .populate('store', 'shopName shopDomain')
+            .sort({ confidence: -1, createdAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit),
+        ProductMatchProposal.countDocuments(filter)
+    ]);
+
+    return res.status(200).json(
+        new ApiResponse(200, {
+            proposals,
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit)
+            }
+        }, 'Match proposals retrieved successfully')
+    );
+});
+
+// Confirm one or more proposals; each is linked independently
+export const confirmMatchProposals = asyncHandler(async (req, res) => {
+    const userId = req.accountId;
+    const proposalIds = toIdList(req.body.proposalIds);
+
+    if (proposalIds.length === 0) {
+        throw new ApiError(400, 'proposalIds is required');
+    }
+
+    const confirmed = [];
+    const failed = [];
+    for (const proposalId of proposalIds) {
+        try {
+            const proposal = await productMatchingService.confirmProposal({ userId, proposalId });
+            confirmed.push(proposal._id);
+        } catch (error) {
+            console.error(`Failed to confirm match proposal ${proposalId}:`, error.message);
+            failed.push({ proposalId, status: error.status || 500, message: error.message });
+        }
+    }
+
+    // A single proposal reports its own error
+    if (proposalIds.length === 1 && failed.length === 1) {
+        throw new ApiError(failed[0].status, failed[0].message);
+    }
+
+    return res.status(200).json(
+        new ApiResponse(200, { confirmed, failed }, `Linked ${confirmed.length} product(s)`)
+    );
+});
+
+// Reject a proposal; the same pair is not proposed again
+export const rejectMatchProposal = asyncHandler(async (req, res) => {
+    try {
+        const proposal = await productMatchingService.rejectProposal({
+            userId: req.accountId,
+            proposalId: req.params.proposalId
+        });
+
+        return res.status(200).json(
+            new ApiResponse(200, proposal, 'Match proposal rejected')
+        );
+    } catch (error) {
+        throw new ApiError(error.status || 500, error.message);
+    }
+});
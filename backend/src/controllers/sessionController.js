@@ -0,0 +1,30 @@
+import { ApiResponse } from '../utils/ApiResponse.js';
+import asyncHandler from '../utils/AsyncHanlde.js';
+import { sessionService } from '../services/session.service.js';
+
+// Devices the user is signed in on, the current one marked
+export const getSessions = asyncHandler(async (req, res) => {
+    const sessions = await sessionService.listSessions(req.user._id, req.sessionId);
+
+    return res.status(200).json(
+        new ApiResponse(200, { sessions }, 'Sessions retrieved successfully')
+    );
+});
+
+// Sign out one device; signing out the current one works like logout
+export const revokeSession = asyncHandler(async (req, res) => {
+    await sessionService.revokeSession(req.user._id, req.params.sessionId);
+
+    return res.status(200).json(
+        new ApiResponse(200, { current: String(req.params.sessionId) === String(req.sessionId) }, 'Session signed out')
+    );
+});
+
+// Sign out every device except this one
+export const revokeOtherSessions = asyncHandler(async (req, res) => {
+    const count = await sessionService.revokeAllSessions(req.user._id, { except: req.sessionId });
+
+    return res.status(200).json(
+        new ApiResponse(200, { count }, count === 1 ? 'Signed out 1 other session' : `Signed out ${count} other sessions`)
+    );
+});
@@ -5,10 +5,13 @@ import { StoreLink } from '../models/StoreLink.js';
 import crypto from 'crypto';
 
 // Import Shopify configuration
-import shopify, { getSessionFromRequest, createSession, validateWebhook } from '../config/shopify.js';
+import shopify, { getSessionFromRequest, createSession, validateWebhook, getMissingScopes } from '../config/shopify.js';
 import { ApiError } from '../utils/ApiError.js';
 import { ApiResponse } from '../utils/ApiResponse.js';
 import asyncHandler from '../utils/AsyncHanlde.js';
+import { productDriftService } from '../services/productDrift.service.js';
+import { inventoryPoolService } from '../services/inventoryPool.service.js';
+import { orderSyncService } from '../services/orderSync.service.js';
 
 /**
  * Register webhooks for the store
@@ -307,8 +310,8 @@ const initiateAuth = asyncHandler(async (req, res) => {
   }
 
   try {
-    // Create state with user ID for callback validation
-    const userId = req.user?._id?.toString();
+    // Create state with the workspace account ID for callback validation; the store joins that workspace
+    const userId = req.accountId?.toString();
     const randomState = Math.random().toString(36).substring(2, 15);
     const state = userId ? `user_${userId}_${randomState}` : randomState;
 
@@ -530,13 +533,19 @@ const initiateAuth = asyncHandler(async (req, res) => {
  * GET /api/shopify/stores
  */
 const getConnectedStores = asyncHandler(async (req, res) => {
-  const userId = req.user._id;
+  const userId = req.accountId;
 
   const stores = await Store.find({ userId, isActive: true })
     .select('-accessToken') // Don't send access tokens to frontend
     .sort({ connectedAt: -1 });
 
-  res.json(new ApiResponse(200, stores, 'Connected stores retrieved'));
+  // Stores connected before a scope was added must reconnect to grant it
+  const payload = stores.map(store => ({
+    ...store.toJSON(),
+    missingScopes: getMissingScopes(store.scopes)
+  }));
+
+  res.json(new ApiResponse(200, payload, 'Connected stores retrieved'));
 });
 
 /**
@@ -545,7 +554,7 @@ const getConnectedStores = asyncHandler(async (req, res) => {
  */
 const disconnectStore = asyncHandler(async (req, res) => {
   const { storeId } = req.params;
-  const userId = req.user._id;
+  const userId = req.accountId;
 
   const store = await Store.findOne({ _id: storeId, userId });
   
@@ -603,7 +612,7 @@ const disconnectStore = asyncHandler(async (req, res) => {
  */
 const getStoreAnalytics = asyncHandler(async (req, res) => {
   const { storeId } = req.params;
-  const userId = req.user._id;
+  const userId = req.accountId;
 
   const store = await Store.findOne({ _id: storeId, userId, isActive: true });
   
@@ -625,13 +634,13 @@ const getStoreAnalytics = asyncHandler(async (req, res) => {
 });
 
 /**
- * Claim a store link token and bind the store to the current user
+ * Claim a store link token and bind the store to the active workspace
  * POST /api/shopify/link-store
  * Body: { token }
  */
 const linkStoreToUser = asyncHandler(async (req, res) => {
   const { token } = req.body;
-  const userId = req.user?._id;
+  const userId = req.accountId;
 
   if (!token) {
     throw new ApiError(400, 'Token is required');
@@ -651,13 +660,13 @@ const linkStoreToUser = asyncHandler(async (req, res) => {
     throw new ApiError(404, 'Invalid or expired token');
   }
 
-  // Prevent cross-user hijack
+  // Prevent cross-workspace hijack; teammates get access by being invited to the workspace instead
   const existingStore = await Store.findOne({ shopDomain: link.shopDomain });
   if (existingStore && existingStore.userId.toString() !== userId.toString()) {
-    throw new ApiError(403, 'This store is already linked to another account');
+    throw new ApiError(403, 'This store is already connected to another workspace. Ask one of its admins to invite you.');
   }
 
-  // Upsert store for this user
+  // Upsert store for this workspace
   let store;
   if (existingStore) {
     // Update existing store for this user
@@ -781,8 +790,14 @@ const handleProductCreate = asyncHandler(async (req, res) => {
   }
 
   try {
-  // TODO: Update local product cache / counts when analytics sync is implemented
-  // const product = req.body;
+    // Body is not parsed for webhook routes (raw body needed for HMAC)
+    const product = JSON.parse(rawBody);
+
+    // Products we pushed also trigger products/create; compare them like an update
+    const drift = await productDriftService.handleProductChanged(shopDomain, product);
+    if (drift?.changes.length) {
+      console.log(`Drift detected on created product ${product.id} in ${shopDomain}:`, drift.changes.map(c => c.field));
+    }
 
     res.status(200).send('OK');
   } catch (error) {
@@ -805,7 +820,14 @@ const handleProductUpdate = asyncHandler(async (req, res) => {
   }
 
   try {
-  // TODO: Update local product cache when analytics sync is implemented
+    const product = JSON.parse(rawBody);
+
+    // Compare against what the dashboard last pushed and record drift on the store mapping
+    const drift = await productDriftService.handleProductChanged(shopDomain, product);
+    if (drift?.changes.length) {
+      console.log(`Drift detected on product ${product.id} in ${shopDomain}:`, drift.changes.map(c => c.field));
+    }
+
     res.status(200).send('OK');
   } catch (error) {
     console.error('Error handling product update webhook:', error);
@@ -827,7 +849,12 @@ const handleProductDelete = asyncHandler(async (req, res) => {
   }
 
   try {
-  // TODO: Update local product cache / counts when analytics sync is implemented
+    const product = JSON.parse(rawBody);
+
+    const result = await productDriftService.handleProductDeleted(shopDomain, product);
+    if (result) {
+      console.log(`Product ${product.id} deleted in ${shopDomain}; store mapping marked deleted`);
+    }
 
     res.status(200).send('OK');
   } catch (error) {
@@ -839,6 +866,9 @@ const handleProductDelete = asyncHandler(async (req, res) => {
 /**
  * Webhook handler for order creation
  * POST /api/shopify/webhooks/orders/create
+ * The order is stored for sales analytics (see orderSync.service.js). Sold units leave the master
+ * stock and the selling store's allocation (see inventoryPool.service.js); in shared pool mode
+ * the other stores are updated after responding, so Shopify does not time out.
  */
 const handleOrderCreate = asyncHandler(async (req, res) => {
   const hmac = req.get('X-Shopify-Hmac-Sha256');
@@ -850,19 +880,30 @@ const handleOrderCreate = asyncHandler(async (req, res) => {
   }
 
   try {
-    const order = req.body;
+    const order = JSON.parse(rawBody);
     console.log(`New order created in ${shopDomain}:`, order.order_number);
     
-    // Update store analytics
     const store = await Store.findOne({ shopDomain, isActive: true });
-    if (store) {
-      store.analytics.totalOrders += 1;
-      store.analytics.totalRevenue += parseFloat(order.total_price || 0);
-      store.analytics.lastUpdated = new Date();
-      await store.save();
+    if (!store) {
+      return res.status(200).send('OK');
     }
 
+    // Analytics are rebuilt from the stored orders before the sale is recorded, so a retry
+    // after a failed sale still counts the order (and never counts it twice)
+    const { stale } = await orderSyncService.ingestWebhookOrder(store, order);
+    if (!stale) {
+      await orderSyncService.recomputeStoreAnalytics(store._id);
+    }
+
+    const sale = await inventoryPoolService.recordSale(store, order);
+
     res.status(200).send('OK');
+
+    if (sale.rebalanced.length > 0) {
+      inventoryPoolService.pushRebalance(sale.rebalanced).catch(error => {
+        console.error('Shared pool rebalance after order failed:', error);
+      });
+    }
   } catch (error) {
     console.error('Error handling order create webhook:', error);
     res.status(500).send('Error processing webhook');
@@ -872,6 +913,7 @@ const handleOrderCreate = asyncHandler(async (req, res) => {
 /**
  * Webhook handler for order updates
  * POST /api/shopify/webhooks/orders/update
+ * Refreshes the stored order (status, cancellation, edited line items) and the cached revenue
  */
 const handleOrderUpdate = asyncHandler(async (req, res) => {
   const hmac = req.get('X-Shopify-Hmac-Sha256');
@@ -883,8 +925,16 @@ const handleOrderUpdate = asyncHandler(async (req, res) => {
   }
 
   try {
-    const order = req.body;
+    const order = JSON.parse(rawBody);
     console.log(`Order updated in ${shopDomain}:`, order.order_number);
+
+    const store = await Store.findOne({ shopDomain, isActive: true });
+    if (store) {
+      const { stale } = await orderSyncService.ingestWebhookOrder(store, order);
+      if (!stale) {
+        await orderSyncService.recomputeStoreAnalytics(store._id);
+      }
+    }
     
     res.status(200).send('OK');
   } catch (error) {
@@ -899,7 +949,7 @@ const handleOrderUpdate = asyncHandler(async (req, res) => {
  */
 const getStoreSummary = asyncHandler(async (req, res) => {
   const { storeId } = req.params;
-  const userId = req.user._id;
+  const userId = req.accountId;
 
   const store = await Store.findOne({ _id: storeId, userId, isActive: true });
   
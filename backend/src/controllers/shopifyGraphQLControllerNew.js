@@ -11,40 +11,28 @@ import { Product } from '../models/ProductOptimized.js';
 import { ProductMap } from '../models/ProductMap.js';
 import { Store } from '../models/Store.js';
 
-// GraphQL Operations - All validated mutations and queries
+import { syncJobService } from '../services/syncJob.service.js';
+import { productDriftService, toSyncFieldGroups } from '../services/productDrift.service.js';
 import {
-  createProduct,
-  updateProduct,
-  deleteProduct,
-  syncProduct,
-  createProductVariants,
-  updateProductVariants,
-  deleteProductVariants,
-  createProductOptions,
-  updateProductOption,
-  deleteProductOptions
-} from '../graphql/mutations/productMutations.js';
-
-import {
-  createFiles,
-  createProductMedia
-} from '../graphql/mutations/mediaMutations.js';
+  normalizeStoreRules,
+  applyStoreRules,
+  previewStoreProduct
+} from '../services/storeTransform.service.js';
 
+// GraphQL Operations - All validated mutations and queries
 import {
-  getPrimaryLocationId
-} from '../graphql/queries/locationQueries.js';
+  deleteProduct
+} from '../graphql/mutations/productMutations.js';
 
 import {
-  getProducts,
   getProduct,
-  getProductsByHandles,
   searchProducts,
   getProductInventory
 } from '../graphql/queries/productQueries.js';
 
 /**
  * Execute Shopify Product Creation
- * Efficiently shapes Product data and handles complete product creation workflow
+ * Queues a background create job; progress is streamed over Socket.IO
  */
 export const executeCreateProduct = asyncHandler(async (req, res) => {
   const { productId, storeId } = req.params;
@@ -54,127 +42,22 @@ export const executeCreateProduct = asyncHandler(async (req, res) => {
     throw new ApiError(400, 'Product ID and Store ID are required');
   }
 
-  try {
-    // Get Product with all relations
-    const product = await Product.findById(productId)
-      .populate('variants')
-      .populate('media')
-      .populate('options');
-
-    if (!product) {
-      throw new ApiError(404, 'Product not found');
-    }
-
-    // Get Shopify session from validated middleware
-    const session = req.session;
-    if (!session) {
-      throw new ApiError(401, 'Shopify session required');
-    }
-
-    // Shape data efficiently for Shopify
-    const productInput = product.toShopifyProductInput();
-    
-    // Execute product creation
-    const result = await createProduct(session, productInput);
-    const shopifyProductId = result.product.id;
-
-    // Save mapping using nested storeMappings schema
-    let pmDoc = await ProductMap.findOne({ dashboardProduct: productId });
-    if (pmDoc) {
-      pmDoc.addStoreMapping(storeId, shopifyProductId, result.product.handle);
-      await pmDoc.save();
-    } else {
-      await ProductMap.create({
-        dashboardProduct: productId,
-        createdBy: req.user?._id,
-        storeMappings: [{
-          store: storeId,
-          shopifyProductId: shopifyProductId,
-          shopifyHandle: result.product.handle,
-          status: 'active',
-          syncSettings: {
-            autoSync: true,
-            syncTitle: true,
-            syncDescription: true,
-            syncPrice: true,
-            syncInventory: true,
-            syncMedia: true,
-            syncSEO: true,
-            syncTags: true,
-            syncVariants: true,
-            syncStatus: true
-          },
-          variantMappings: [],
-          lastSyncAt: new Date(),
-          createdAt: new Date(),
-          updatedAt: new Date()
-        }],
-        mappingStats: {
-          totalStores: 1,
-          activeStores: 1,
-          totalSyncs: 1,
-          successfulSyncs: 1,
-          failedSyncs: 0
-        }
-      });
-    }
-
-    let variantsResult = null;
-    let mediaResult = null;
-    let optionsResult = null;
-
-    // Sync variants if requested and available
-    if (syncVariants && product.variants?.length > 0) {
-      const variantsInput = product.toShopifyVariantsInput(shopifyProductId);
-      variantsResult = await createProductVariants(session, shopifyProductId, variantsInput);
-    }
-
-    // Sync media if requested and available
-    if (syncMedia && product.media?.length > 0) {
-      // For fileCreate, only send fields allowed in FileCreateInput (e.g., originalSource, alt)
-      const fileCreateInputs = (product.media || []).map(m => ({
-        originalSource: m.src,
-        alt: m.alt || ''
-      }));
-      
-      // First create files in Shopify
-      const filesResult = await createFiles(session, fileCreateInputs);
-      
-      // Then associate with product using required mediaContentType
-      const productMediaInput = (product.media || []).map(m => ({
-        originalSource: m.src,
-        mediaContentType: m.mediaContentType || 'IMAGE',
-        alt: m.alt || ''
-      }));
-      
-      mediaResult = await createProductMedia(session, shopifyProductId, productMediaInput);
-    }
-
-    // Sync options if requested and available
-    if (syncOptions && product.options?.length > 0) {
-      const optionsInput = product.options;
-      optionsResult = await createProductOptions(session, shopifyProductId, optionsInput);
-    }
+  const product = await Product.exists({ _id: productId, createdBy: req.accountId });
+  if (!product) {
+    throw new ApiError(404, 'Product not found');
+  }
 
-    // Compile comprehensive response
-    const response = {
-      success: true,
-      shopifyProduct: result.product,
-      mapping: {
-        dashboardProductId: productId,
-        shopifyProductId: shopifyProductId,
-        storeId: storeId
-      },
-      syncResults: {
-        variants: variantsResult,
-        media: mediaResult,
-        options: optionsResult
-      },
-      executionTime: new Date()
-    };
+  try {
+    const job = await syncJobService.enqueueJob({
+      userId: req.accountId,
+      storeId,
+      type: 'create',
+      productIds: [productId],
+      options: { syncVariants, syncMedia, syncOptions }
+    });
 
-    res.status(201).json(
-      new ApiResponse(201, response, 'Product successfully created in Shopify')
+    res.status(202).json(
+      new ApiResponse(202, { jobId: job._id, job: job.toProgressPayload() }, 'Product creation queued')
     );
 
   } catch (error) {
@@ -188,7 +71,7 @@ export const executeCreateProduct = asyncHandler(async (req, res) => {
 
 /**
  * Execute Shopify Product Update
- * Efficiently updates existing Shopify product with new data
+ * Queues a background update job for an already pushed product
  */
 export const executeUpdateProduct = asyncHandler(async (req, res) => {
   const { productId, storeId } = req.params;
@@ -205,335 +88,313 @@ export const executeUpdateProduct = asyncHandler(async (req, res) => {
   }
 
   try {
-    // Get updated product data
-    const product = await Product.findById(productId)
-      .populate('variants')
-      .populate('media')
-      .populate('options');
+    const job = await syncJobService.enqueueJob({
+      userId: req.accountId,
+      storeId,
+      type: 'update',
+      productIds: [productId],
+      options: { updateVariants, updateMedia, updateOptions }
+    });
 
-    if (!product) {
-      throw new ApiError(404, 'Product not found');
-    }
+    res.status(202).json(
+      new ApiResponse(202, { jobId: job._id, job: job.toProgressPayload() }, 'Product update queued')
+    );
 
-    const session = req.session;
-    if (!session) {
-      throw new ApiError(401, 'Shopify session required');
-    }
+  } catch (error) {
+    console.error('Shopify product update failed:', error);
+    throw new ApiError(
+      error.status || 500,
+      `Shopify product update failed: ${error.message}`
+    );
+  }
+});
 
-    // Shape data for update
-    const storeMapping = mapping.getStoreMapping(storeId);
-    if (!storeMapping || !storeMapping.shopifyProductId) {
-      throw new ApiError(404, 'Shopify product ID not found for this store');
-    }
+/**
+ * Execute Shopify Product Sync
+ * Queues a productSet upsert with variant overrides and inventory assignment
+ */
+export const executeSyncProduct = asyncHandler(async (req, res) => {
+  const { productId, storeId } = req.params;
+  const { 
+    forceSync = false, 
+    variantOverrides = {}, // { [variantIndex]: { price?, compareAtPrice?, sku? } }
+    assignedInventory = {}, // { [variantIndex]: number }
+    storeRules = null // { storeCustomizations, priceAdjustments } saved on the store mapping
+  } = req.body;
 
-    const updateInput = {
-      id: storeMapping.shopifyProductId,
-      ...product.toShopifyProductInput()
-    };
+  const product = await Product.exists({ _id: productId, createdBy: req.accountId });
+  if (!product) {
+    throw new ApiError(404, 'Product not found');
+  }
 
-    // Execute update
-    const result = await updateProduct(session, updateInput);
+  let normalizedRules = null;
+  if (storeRules) {
+    try {
+      normalizedRules = normalizeStoreRules(storeRules);
+    } catch (error) {
+      throw new ApiError(error.status || 400, error.message);
+    }
+  }
 
-    let variantsResult = null;
-    let mediaResult = null;
-    let optionsResult = null;
+  try {
+    const job = await syncJobService.enqueueJob({
+      userId: req.accountId,
+      storeId,
+      type: 'sync',
+      productIds: [productId],
+      options: { forceSync, variantOverrides, assignedInventory, storeRules: normalizedRules }
+    });
 
-    // Update variants if requested
-    if (updateVariants && product.variants?.length > 0) {
-  const variantsInput = product.toShopifyVariantsInput(storeMapping.shopifyProductId);
-  variantsResult = await updateProductVariants(session, storeMapping.shopifyProductId, variantsInput);
-    }
+    res.status(202).json(
+      new ApiResponse(202, { jobId: job._id, job: job.toProgressPayload() }, 'Product sync queued')
+    );
 
-    // Update media if requested (careful - this can be expensive)
-    if (updateMedia && product.media?.length > 0) {
-      const fileCreateInputs = (product.media || []).map(m => ({
-        originalSource: m.src,
-        alt: m.alt || ''
-      }));
-      const filesResult = await createFiles(session, fileCreateInputs);
-      
-      const productMediaInput = (product.media || []).map(m => ({
-        originalSource: m.src,
-        mediaContentType: m.mediaContentType || 'IMAGE',
-        alt: m.alt || ''
-      }));
-      
-      mediaResult = await createProductMedia(session, mapping.shopifyProductId, productMediaInput);
-    }
+  } catch (error) {
+    console.error('Shopify product sync failed:', error);
+    throw new ApiError(
+      error.status || 500,
+      `Shopify product sync failed: ${error.message}`
+    );
+  }
+});
 
-    // Update options if requested
-    if (updateOptions && product.options?.length > 0) {
-  const optionsInput = product.options;
-  optionsResult = await createProductOptions(session, storeMapping.shopifyProductId, optionsInput);
-    }
+/**
+ * Review Store Drift
+ * Diffs the live Shopify product against the master product (with store customizations applied)
+ */
+export const getProductDrift = asyncHandler(async (req, res) => {
+  const { productId, storeId } = req.params;
 
-    // Update mapping sync status
-    await ProductMap.findByIdAndUpdate(mapping._id, {
-      lastSyncAt: new Date(),
-      syncStatus: 'active'
-    });
+  const product = await Product.exists({ _id: productId, createdBy: req.accountId });
+  if (!product) {
+    throw new ApiError(404, 'Product not found');
+  }
 
-    const response = {
-      success: true,
-      shopifyProduct: result.product,
-      mapping: {
-        dashboardProductId: productId,
-    shopifyProductId: storeMapping.shopifyProductId,
-        storeId: storeId
-      },
-      updateResults: {
-        variants: variantsResult,
-        media: mediaResult,
-        options: optionsResult
-      },
-      executionTime: new Date()
-    };
+  try {
+    const review = await productDriftService.reviewStoreMapping({
+      session: req.session,
+      productId,
+      storeId
+    });
 
     res.status(200).json(
-      new ApiResponse(200, response, 'Product successfully updated in Shopify')
+      new ApiResponse(200, { productId, storeId, ...review }, 
+        review.changes.length > 0 ? `${review.changes.length} field(s) differ from the dashboard` : 'Store product matches the dashboard')
     );
 
   } catch (error) {
-    console.error('Shopify product update failed:', error);
+    console.error('Drift review failed:', error);
     throw new ApiError(
       error.status || 500,
-      `Shopify product update failed: ${error.message}`
+      `Drift review failed: ${error.message}`
     );
   }
 });
 
 /**
- * Execute Shopify Product Sync
- * Comprehensive sync operation that handles all aspects
+ * Resolve Store Drift
+ * Body: { resolutions: [{ field, action: 'push' | 'pull' | 'override' | 'disable-sync' }] }
+ * Pushed fields are sent with a queued sync job limited to their field groups
  */
-export const executeSyncProduct = asyncHandler(async (req, res) => {
+export const resolveProductDrift = asyncHandler(async (req, res) => {
   const { productId, storeId } = req.params;
-  const { 
-    forceSync = false, 
-  variantOverrides = {}, // { [variantIndex]: { price?, compareAtPrice?, sku? } }
-  assignedInventory = {} // { [variantIndex]: number }
-  } = req.body;
+  const { resolutions } = req.body;
+
+  if (!Array.isArray(resolutions) || resolutions.length === 0) {
+    throw new ApiError(400, 'At least one resolution is required');
+  }
+  const invalid = resolutions.find(r => !r?.field || !['push', 'pull', 'override', 'disable-sync'].includes(r.action));
+  if (invalid) {
+    throw new ApiError(400, `Invalid resolution for field "${invalid?.field}"`);
+  }
+
+  const product = await Product.exists({ _id: productId, createdBy: req.accountId });
+  if (!product) {
+    throw new ApiError(404, 'Product not found');
+  }
 
   try {
-    // Debug input for StorePush
-    console.log('StorePush Debug: executeSyncProduct payload ->', {
+    const result = await productDriftService.resolveDrift({
+      session: req.session,
       productId,
       storeId,
-      forceSync,
-      hasVariantOverrides: !!variantOverrides && Object.keys(variantOverrides).length > 0,
-      hasAssignedInventory: !!assignedInventory && Object.keys(assignedInventory).length > 0
+      resolutions
     });
-    // Get product with all relations
-    const product = await Product.findById(productId)
-      .populate('variants')
-      .populate('media')
-      .populate('options');
 
-    if (!product) {
-      throw new ApiError(404, 'Product not found');
+    let job = null;
+    if (result.pushFields.length > 0) {
+      job = await syncJobService.enqueueJob({
+        userId: req.accountId,
+        storeId,
+        type: 'sync',
+        productIds: [productId],
+        options: { fields: toSyncFieldGroups(result.pushFields) }
+      });
     }
 
-    const session = req.session;
-    if (!session) {
-      throw new ApiError(401, 'Shopify session required');
-    }
+    res.status(200).json(
+      new ApiResponse(200, {
+        productId,
+        storeId,
+        ...result,
+        jobId: job?._id || null,
+        job: job ? job.toProgressPayload() : null
+      }, 'Drift resolutions applied')
+    );
 
-    // Check if mapping exists
-    let mapping = await ProductMap.findOne({
-      dashboardProduct: productId,
-      'storeMappings.store': storeId
-    });
+  } catch (error) {
+    console.error('Drift resolution failed:', error);
+    throw new ApiError(
+      error.status || (error.name === 'ValidationError' ? 400 : 500),
+      `Drift resolution failed: ${error.message}`
+    );
+  }
+});
 
-    let result;
-    let operation;
+// ==============================================
+// STORE RULES (persistent storeCustomizations and priceAdjustments)
+// ==============================================
 
-  // Resolve primary location to enable inventory tracking in Shopify UI
-  let targetLocationId = null;
-  try {
-    const primary = await getPrimaryLocationId(session);
-    if (primary) targetLocationId = primary;
-  } catch (e) {
-    console.warn('Could not resolve primary location; proceeding without inventory quantities');
+// Rules for a store that has no mapping yet
+const DEFAULT_STORE_RULES = normalizeStoreRules({});
+
+const loadRulesContext = async (req) => {
+  const { productId, storeId } = req.params;
+
+  const [product, store] = await Promise.all([
+    Product.findOne({ _id: productId, createdBy: req.accountId }),
+    Store.exists({ _id: storeId, userId: req.accountId })
+  ]);
+  if (!product) {
+    throw new ApiError(404, 'Product not found');
+  }
+  if (!store) {
+    throw new ApiError(404, 'Store not found');
   }
 
-  // Use productSet mutation for upsert functionality (Shopify recommended approach)
-  // Merge variant overrides into the productSet input
-  const productSetInput = product.toShopifyProductSetInput(targetLocationId, [], variantOverrides);
-  // Pre-flight: remove unsupported fields if present accidentally
-  if ('published' in productSetInput) delete productSetInput.published;
-  if ('publishDate' in productSetInput) delete productSetInput.publishDate;
-  if (Array.isArray(productSetInput.variants)) {
-    productSetInput.variants = productSetInput.variants.map(v => {
-      const copy = { ...v };
-      if ('requiresShipping' in copy) delete copy.requiresShipping;
-      if (!Array.isArray(copy.optionValues)) copy.optionValues = [];
-      return copy;
-    });
+  const mapping = await ProductMap.findOne({
+    dashboardProduct: productId,
+    'storeMappings.store': storeId,
+    isDeleted: false
+  });
+
+  return { product, mapping, storeMapping: mapping?.getStoreMapping(storeId) || null };
+};
+
+const serializeRules = (storeMapping) => {
+  if (!storeMapping) return DEFAULT_STORE_RULES;
+  const customizations = storeMapping.storeCustomizations?.toObject?.() || storeMapping.storeCustomizations || {};
+  const adjustments = storeMapping.priceAdjustments?.toObject?.() || storeMapping.priceAdjustments || {};
+  return {
+    storeCustomizations: { ...DEFAULT_STORE_RULES.storeCustomizations, ...customizations },
+    priceAdjustments: { ...DEFAULT_STORE_RULES.priceAdjustments, ...adjustments }
+  };
+};
+
+/**
+ * Get Store Rules
+ * Saved customizations and price rules for a product in a store, with a preview
+ */
+export const getStoreRules = asyncHandler(async (req, res) => {
+  const { productId, storeId } = req.params;
+  const { product, storeMapping } = await loadRulesContext(req);
+
+  const rules = serializeRules(storeMapping);
+
+  res.status(200).json(
+    new ApiResponse(200, {
+      productId,
+      storeId,
+      isPushed: !!storeMapping,
+      ...rules,
+      preview: previewStoreProduct(product, storeMapping || rules)
+    }, 'Store rules retrieved')
+  );
+});
+
+/**
+ * Save Store Rules
+ * Products not pushed to the store yet get their rules with the next push (send storeRules to /sync)
+ */
+export const updateStoreRules = asyncHandler(async (req, res) => {
+  const { productId, storeId } = req.params;
+  const { product, mapping, storeMapping } = await loadRulesContext(req);
+
+  if (!storeMapping) {
+    throw new ApiError(404, 'Product is not pushed to this store yet; rules are saved with the first push');
   }
-  // Debug: show the exact ProductSetInput we will send
-  console.log('StorePush Debug: productSetInput ->', JSON.stringify(productSetInput, null, 2));
-    result = await syncProduct(session, productSetInput);
 
-    // Attach media after upsert if dashboard has media (non-fatal on failure)
-    try {
-      if (product.media?.length) {
-        const fileCreateInputs = (product.media || []).map(m => ({
-          originalSource: m.src,
-          alt: m.alt || ''
-        }));
-        await createFiles(session, fileCreateInputs);
-        const productMediaInput = (product.media || []).map(m => ({
-          originalSource: m.src,
-          mediaContentType: m.mediaContentType || 'IMAGE',
-          alt: m.alt || ''
-        }));
-        await createProductMedia(session, result.product.id, productMediaInput);
-      }
-    } catch (mediaErr) {
-      console.warn('Media attach after productSet failed (non-fatal):', mediaErr?.message || mediaErr);
-    }
-    
-    // Determine operation based on whether mapping existed
-  operation = mapping ? 'updated' : 'created';
-
-    // Create or update mapping
-    if (mapping) {
-      // Update existing store mapping
-      const storeMapping = mapping.getStoreMapping(storeId);
-      if (storeMapping) {
-        storeMapping.shopifyProductId = result.product.id;
-        storeMapping.shopifyHandle = result.product.handle;
-        storeMapping.lastSyncAt = new Date();
-        storeMapping.status = 'active';
-        storeMapping.updatedAt = new Date();
-        
-        // Update variant mappings with new Shopify variant IDs
-  if (result.product.variants) {
-          result.product.variants.edges.forEach((variantEdge, index) => {
-            const variant = variantEdge.node;
-            const override = variantOverrides?.[index] || {};
-            mapping.updateVariantMapping(storeId, index, variant.id, {
-              ...(override.price ? { customPrice: Number(override.price) } : {}),
-              ...(override.compareAtPrice ? { customCompareAtPrice: Number(override.compareAtPrice) } : {})
-            });
-
-            // Assign inventory if provided
-            const qty = assignedInventory?.[index];
-            if (typeof qty === 'number' && qty >= 0) {
-              mapping.assignInventoryToStore(
-                storeId,
-                index,
-                qty,
-                null,
-                req.user?.id
-              );
-            }
-          });
-        }
-        
-        await mapping.save();
-      }
-    } else {
-      // Create new mapping using the complex schema
-      mapping = new ProductMap({
-        dashboardProduct: productId,
-        createdBy: req.user?.id, // Assuming user is in request
-        storeMappings: [{
-          store: storeId,
-          shopifyProductId: result.product.id,
-          shopifyHandle: result.product.handle,
-          status: 'active',
-          syncSettings: {
-            autoSync: true,
-            syncTitle: true,
-            syncDescription: true,
-            syncPrice: true,
-            syncInventory: true,
-            syncMedia: true,
-            syncSEO: true,
-            syncTags: true,
-            syncVariants: true,
-            syncStatus: true
-          },
-          variantMappings: [],
-          lastSyncAt: new Date(),
-          createdAt: new Date(),
-          updatedAt: new Date()
-        }],
-        mappingStats: {
-          totalStores: 1,
-          activeStores: 1,
-          totalSyncs: 1,
-          successfulSyncs: 1,
-          failedSyncs: 0
-        }
-      });
-      
-      // Add variant mappings with inventory tracking
-      if (result.product.variants) {
-        result.product.variants.edges.forEach((variantEdge, index) => {
-          const variant = variantEdge.node;
-          const override = variantOverrides?.[index] || {};
-          const qty = assignedInventory?.[index];
-          mapping.storeMappings[0].variantMappings.push({
-            dashboardVariantIndex: index,
-            shopifyVariantId: variant.id,
-            isActive: true,
-            ...(override.price ? { customPrice: Number(override.price) } : {}),
-            ...(override.compareAtPrice ? { customCompareAtPrice: Number(override.compareAtPrice) } : {}),
-            inventoryTracking: {
-              assignedQuantity: typeof qty === 'number' ? qty : 0,
-              assignedAt: typeof qty === 'number' ? new Date() : null,
-              assignedBy: typeof qty === 'number' ? req.user?.id : null,
-              lastKnownShopifyQuantity: 0,
-              inventoryPolicy: 'deny',
-              trackQuantity: true,
-              locationInventory: [],
-              inventoryHistory: typeof qty === 'number' ? [{
-                action: 'assigned',
-                quantity: qty,
-                previousQuantity: 0,
-                reason: 'Initial assignment during sync',
-                timestamp: new Date(),
-                syncedBy: req.user?.id,
-                locationId: null
-              }] : []
-            }
-          });
-        });
-      }
-      
-      await mapping.save();
-    }
+  let rules;
+  try {
+    rules = normalizeStoreRules(req.body);
+  } catch (error) {
+    throw new ApiError(error.status || 400, error.message);
+  }
 
-    // Get inventory summary for response
-    const inventorySummary = mapping.getInventorySummary(storeId);
+  applyStoreRules(storeMapping, rules);
+  await mapping.save();
 
-    const response = {
-      success: true,
-      operation: operation,
-      shopifyProduct: result.product,
-      mapping: {
-        dashboardProductId: productId,
-        shopifyProductId: result.product.id,
-        storeId: storeId,
-        handle: result.product.handle
-      },
-      inventory: inventorySummary,
-      executionTime: new Date()
-    };
+  res.status(200).json(
+    new ApiResponse(200, {
+      productId,
+      storeId,
+      isPushed: true,
+      ...serializeRules(storeMapping),
+      preview: previewStoreProduct(product, storeMapping)
+    }, 'Store rules saved. Push the product to apply them.')
+  );
+});
 
-    res.status(200).json(
-  new ApiResponse(200, response, `Product successfully ${operation} in Shopify with overrides and inventory assignment stored`)
-    );
+/**
+ * Reset Store Rules
+ * Clears customizations and price rules for the store mapping
+ */
+export const deleteStoreRules = asyncHandler(async (req, res) => {
+  const { productId, storeId } = req.params;
+  const { product, mapping, storeMapping } = await loadRulesContext(req);
+
+  if (!storeMapping) {
+    throw new ApiError(404, 'Product is not pushed to this store');
+  }
+
+  applyStoreRules(storeMapping, DEFAULT_STORE_RULES);
+  await mapping.save();
 
+  res.status(200).json(
+    new ApiResponse(200, {
+      productId,
+      storeId,
+      isPushed: true,
+      ...serializeRules(storeMapping),
+      preview: previewStoreProduct(product, storeMapping)
+    }, 'Store rules reset')
+  );
+});
+
+/**
+ * Preview Store Rules
+ * Shows what the store would receive with unsaved rules; saved variant overrides still apply
+ */
+export const previewStoreRules = asyncHandler(async (req, res) => {
+  const { product, storeMapping } = await loadRulesContext(req);
+
+  let rules;
+  try {
+    rules = normalizeStoreRules(req.body);
   } catch (error) {
-    console.error('Shopify product sync failed:', error);
-    throw new ApiError(
-      error.status || 500,
-      `Shopify product sync failed: ${error.message}`
-    );
+    throw new ApiError(error.status || 400, error.message);
   }
+
+  const preview = previewStoreProduct(product, {
+    ...rules,
+    variantMappings: storeMapping?.variantMappings || [],
+    storeCustomizations: {
+      ...rules.storeCustomizations,
+      fieldOverrides: storeMapping?.storeCustomizations?.fieldOverrides
+    }
+  });
+
+  res.status(200).json(new ApiResponse(200, { preview }, 'Store rules preview'));
 });
 
 /**
@@ -572,14 +433,14 @@ export const executeDeleteProduct = asyncHandler(async (req, res) => {
       storeMapping.variantMappings.forEach(vm => {
         const assigned = vm?.inventoryTracking?.assignedQuantity || 0;
         if (!vm.inventoryTracking) vm.inventoryTracking = {};
-        vm.inventoryTracking.inventoryHistory = vm.inventoryTracking.inventoryHistory || [];
         if (assigned > 0) {
-          vm.inventoryTracking.inventoryHistory.push({
+          mapping.recordInventoryMovement(storeMapping, vm, {
             action: 'returned',
-            quantity: assigned,
+            quantity: 0,
             previousQuantity: assigned,
             reason: 'Disconnected from store',
-            timestamp: now
+            actor: req.user?._id,
+            occurredAt: now
           });
           vm.inventoryTracking.assignedQuantity = 0;
           vm.inventoryTracking.locationInventory = [];
@@ -800,7 +661,7 @@ export const getStoreInventory = asyncHandler(async (req, res) => {
 
 /**
  * Bulk Sync Products
- * Efficiently sync multiple products to Shopify store
+ * Queues one background job that syncs every product to the store
  */
 export const executeBulkSync = asyncHandler(async (req, res) => {
   const { storeId } = req.params;
@@ -810,159 +671,40 @@ export const executeBulkSync = asyncHandler(async (req, res) => {
     throw new ApiError(400, 'Product IDs array is required');
   }
 
-  const session = req.session;
-  if (!session) {
-    throw new ApiError(401, 'Shopify session required');
-  }
-
-  const results = [];
-  const errors = [];
-
-  // Process products in batches to avoid overwhelming Shopify API
-  const batchSize = options.batchSize || 5;
-  
-  for (let i = 0; i < productIds.length; i += batchSize) {
-    const batch = productIds.slice(i, i + batchSize);
-    
-    const batchPromises = batch.map(async (productId) => {
-      try {
-        // Get product
-        const product = await Product.findById(productId)
-          .populate('variants')
-          .populate('media')
-          .populate('options');
-
-        if (!product) {
-          throw new Error(`Product ${productId} not found`);
-        }
-
-        // Check mapping for this product+store
-        let mapping = await ProductMap.findOne({
-          dashboardProduct: productId,
-          'storeMappings.store': storeId
-        });
-
-        let result;
-        let operation;
-
-        if (!mapping) {
-          // Create new
-          const productInput = product.toShopifyProductInput();
-          result = await createProduct(session, productInput);
-          operation = 'created';
-
-          // Attach to existing ProductMap doc or create a new one
-          let pmDoc = await ProductMap.findOne({ dashboardProduct: productId });
-          if (pmDoc) {
-            pmDoc.addStoreMapping(storeId, result.product.id, result.product.handle);
-            mapping = pmDoc;
-          } else {
-            mapping = await ProductMap.create({
-              dashboardProduct: productId,
-              createdBy: req.user?._id,
-              storeMappings: [{
-                store: storeId,
-                shopifyProductId: result.product.id,
-                shopifyHandle: result.product.handle,
-                status: 'active',
-                syncSettings: {
-                  autoSync: true,
-                  syncTitle: true,
-                  syncDescription: true,
-                  syncPrice: true,
-                  syncInventory: true,
-                  syncMedia: true,
-                  syncSEO: true,
-                  syncTags: true,
-                  syncVariants: true,
-                  syncStatus: true
-                },
-                variantMappings: [],
-                lastSyncAt: new Date(),
-                createdAt: new Date(),
-                updatedAt: new Date()
-              }],
-              mappingStats: {
-                totalStores: 1,
-                activeStores: 1,
-                totalSyncs: 1,
-                successfulSyncs: 1,
-                failedSyncs: 0
-              }
-            });
-          }
-        } else {
-          // Update existing
-          const storeMapping = mapping.getStoreMapping(storeId);
-          const updateInput = {
-            id: storeMapping.shopifyProductId,
-            ...product.toShopifyProductInput()
-          };
-          result = await updateProduct(session, updateInput);
-          operation = 'updated';
-          storeMapping.lastSyncAt = new Date();
-          storeMapping.status = 'active';
-          await mapping.save();
-        }
+  const uniqueIds = [...new Set(productIds.map(id => id.toString()))];
+  const ownedCount = await Product.countDocuments({
+    _id: { $in: uniqueIds },
+    createdBy: req.accountId
+  });
 
-        return {
-          productId,
-          operation,
-          success: true,
-          shopifyProductId: result.product.id,
-          handle: result.product.handle
-        };
+  if (ownedCount !== uniqueIds.length) {
+    throw new ApiError(404, 'One or more products not found');
+  }
 
-      } catch (error) {
-        return {
-          productId,
-          success: false,
-          error: error.message
-        };
-      }
+  try {
+    const job = await syncJobService.enqueueJob({
+      userId: req.accountId,
+      storeId,
+      type: 'bulk-sync',
+      productIds: uniqueIds,
+      options: {
+        variantOverrides: {},
+        assignedInventory: {}
+      },
+      maxAttempts: options.maxAttempts
     });
 
-    // Wait for batch to complete
-    const batchResults = await Promise.allSettled(batchPromises);
-    
-    batchResults.forEach(result => {
-      if (result.status === 'fulfilled') {
-        if (result.value.success) {
-          results.push(result.value);
-        } else {
-          errors.push(result.value);
-        }
-      } else {
-        errors.push({
-          productId: 'unknown',
-          success: false,
-          error: result.reason.message
-        });
-      }
-    });
+    res.status(202).json(
+      new ApiResponse(202, { jobId: job._id, job: job.toProgressPayload() }, `Bulk sync queued for ${uniqueIds.length} products`)
+    );
 
-    // Add delay between batches to respect rate limits
-    if (i + batchSize < productIds.length) {
-      await new Promise(resolve => setTimeout(resolve, 1000));
-    }
+  } catch (error) {
+    console.error('Bulk sync enqueue failed:', error);
+    throw new ApiError(
+      error.status || 500,
+      `Bulk sync failed: ${error.message}`
+    );
   }
-
-  const response = {
-    success: true,
-    summary: {
-      total: productIds.length,
-      successful: results.length,
-      failed: errors.length
-    },
-    results: results,
-    errors: errors,
-    storeId: storeId,
-    executionTime: new Date()
-  };
-
-  res.status(200).json(
-    new ApiResponse(200, response, `Bulk sync completed: ${results.length} successful, ${errors.length} failed`)
-  );
 });
 
 /**
@@ -981,7 +723,7 @@ export const getProductSyncStatus = asyncHandler(async (req, res) => {
 
     // Get all user's active stores
   const stores = await Store.find({
-      userId: req.user._id,
+      userId: req.accountId,
       isActive: true
     });
 
@@ -1,14 +1,16 @@
 import { Store } from '../models/Store.js';
 import { ProductMap } from '../models/ProductMap.js';
+import { SyncRun } from '../models/SyncRun.js';
 import { Product } from '../models/ProductOptimized.js';
 import { ApiError } from '../utils/ApiError.js';
 import { ApiResponse } from '../utils/ApiResponse.js';
 import asyncHandler from '../utils/AsyncHanlde.js';
+import { getShopBudget } from '../graphql/costLimiter.js';
 
 // Get store details with basic information
 export const getStoreDetails = asyncHandler(async (req, res) => {
     const { storeId } = req.params;
-    const userId = req.user._id;
+    const userId = req.accountId;
 
     console.log('Getting store details for store:', storeId, 'user:', userId);
 
@@ -32,7 +34,7 @@ export const getStoreDetails = asyncHandler(async (req, res) => {
 
 // Get all stores for user
 export const getUserStores = asyncHandler(async (req, res) => {
-    const userId = req.user._id;
+    const userId = req.accountId;
 
     console.log('Getting all stores for user:', userId);
 
@@ -51,7 +53,7 @@ export const getUserStores = asyncHandler(async (req, res) => {
 // Get products pushed to a specific store
 export const getStorePushedProducts = asyncHandler(async (req, res) => {
     const { storeId } = req.params;
-    const userId = req.user._id;
+    const userId = req.accountId;
     const { page = 1, limit = 20, status = 'all' } = req.query;
 
     console.log('Getting pushed products for store:', storeId, 'user:', userId);
@@ -159,7 +161,7 @@ export const getStorePushedProducts = asyncHandler(async (req, res) => {
 // Get store statistics and analytics
 export const getStoreStats = asyncHandler(async (req, res) => {
     const { storeId } = req.params;
-    const userId = req.user._id;
+    const userId = req.accountId;
 
     console.log('Getting store stats for store:', storeId, 'user:', userId);
 
@@ -256,8 +258,8 @@ export const getStoreStats = asyncHandler(async (req, res) => {
 // Get store sync history
 export const getStoreSyncHistory = asyncHandler(async (req, res) => {
     const { storeId } = req.params;
-    const userId = req.user._id;
-    const { page = 1, limit = 50 } = req.query;
+    const userId = req.accountId;
+    const { page = 1, limit = 50, runLimit = 20 } = req.query;
 
     console.log('Getting sync history for store:', storeId, 'user:', userId);
 
@@ -318,10 +320,23 @@ export const getStoreSyncHistory = asyncHandler(async (req, res) => {
 
     console.log('Sync history entries:', paginatedHistory.length, 'total:', allSyncHistory.length);
 
+    // Scheduler runs for this store (services/syncScheduler.service.js)
+    const scheduledRuns = await SyncRun.find({ store: storeId })
+        .sort({ startedAt: -1 })
+        .limit(Math.min(parseInt(runLimit) || 20, 100))
+        .lean();
+
     return res.status(200).json(
         new ApiResponse(200, {
             syncHistory: paginatedHistory,
             pagination,
+            scheduledRuns,
+            schedule: {
+                syncFrequency: store.dashboardSettings?.syncFrequency,
+                autoSync: store.dashboardSettings?.autoSync,
+                lastSyncAt: store.lastSyncAt,
+                syncStatus: store.syncStatus
+            },
             store: {
                 _id: store._id,
                 shopName: store.shopName,
@@ -330,3 +345,33 @@ export const getStoreSyncHistory = asyncHandler(async (req, res) => {
         }, 'Store sync history retrieved successfully')
     );
 });
+
+// Get the store's current Shopify GraphQL cost budget (diagnostics)
+export const getStoreApiBudget = asyncHandler(async (req, res) => {
+    const { storeId } = req.params;
+    const userId = req.accountId;
+
+    const store = await Store.findOne({ 
+        _id: storeId, 
+        userId,
+        isActive: true 
+    }).select('shopName shopDomain');
+
+    if (!store) {
+        throw new ApiError(404, 'Store not found or not accessible');
+    }
+
+    // Null until the first GraphQL call for this shop in the current process
+    const budget = getShopBudget(store.shopDomain);
+
+    return res.status(200).json(
+        new ApiResponse(200, {
+            store: {
+                _id: store._id,
+                shopName: store.shopName,
+                shopDomain: store.shopDomain
+            },
+            budget
+        }, budget ? 'Store API budget retrieved successfully' : 'No API calls recorded for this store yet')
+    );
+});
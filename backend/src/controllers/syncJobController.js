@@ -0,0 +1,65 @@
+import { SyncJob } from '../models/SyncJob.js';
+import { ApiError } from '../utils/ApiError.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import asyncHandler from '../utils/AsyncHanlde.js';
+import { syncJobService } from '../services/syncJob.service.js';
+
+// List the user's sync jobs, newest first
+export const getSyncJobs = asyncHandler(async (req, res) => {
+    const userId = req.accountId;
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const { status, storeId } = req.query;
+
+    const filter = { userId };
+    if (status) filter.status = status;
+    if (storeId) filter.store = storeId;
+
+    const [jobs, total] = await Promise.all([
+        SyncJob.find(filter)
+            .sort({ createdAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit),
+        SyncJob.countDocuments(filter)
+    ]);
+
+    return res.status(200).json(
+        new ApiResponse(200, {
+            jobs: jobs.map(job => job.toProgressPayload()),
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit)
+            }
+        }, 'Sync jobs retrieved successfully')
+    );
+});
+
+// Get a single job with per-item results
+export const getSyncJob = asyncHandler(async (req, res) => {
+    const { jobId } = req.params;
+
+    const job = await SyncJob.findOne({ _id: jobId, userId: req.accountId });
+    if (!job) {
+        throw new ApiError(404, 'Sync job not found');
+    }
+
+    return res.status(200).json(
+        new ApiResponse(200, job.toProgressPayload(), 'Sync job retrieved successfully')
+    );
+});
+
+// Cancel a queued or running job
+export const cancelSyncJob = asyncHandler(async (req, res) => {
+    const { jobId } = req.params;
+
+    const job = await syncJobService.cancelJob(jobId, req.accountId);
+    if (!job) {
+        throw new ApiError(404, 'Sync job not found or already finished');
+    }
+
+    return res.status(200).json(
+        new ApiResponse(200, job.toProgressPayload(), 'Sync job cancellation requested')
+    );
+});
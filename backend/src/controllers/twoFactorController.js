@@ -0,0 +1,63 @@
+import { ApiError } from '../utils/ApiError.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import asyncHandler from '../utils/AsyncHanlde.js';
+import { twoFactorService } from '../services/twoFactor.service.js';
+import { sessionService } from '../services/session.service.js';
+
+// Two-factor state of the signed-in user (never includes secrets)
+export const getTwoFactorStatus = asyncHandler(async (req, res) => {
+    const status = await twoFactorService.getStatus(req.user._id);
+
+    return res.status(200).json(
+        new ApiResponse(200, status, 'Two-factor status retrieved successfully')
+    );
+});
+
+// Start enrollment: returns the secret, otpauth URI and QR code for the authenticator app
+export const setupTwoFactor = asyncHandler(async (req, res) => {
+    const setup = await twoFactorService.setup(req.user._id);
+
+    return res.status(200).json(
+        new ApiResponse(200, setup, 'Scan the QR code with your authenticator app')
+    );
+});
+
+// Confirm enrollment with a code; the recovery codes are only shown in this response
+export const enableTwoFactor = asyncHandler(async (req, res) => {
+    if (!req.body.code) {
+        throw new ApiError(400, 'Verification code is required');
+    }
+
+    const recoveryCodes = await twoFactorService.enable(req.user._id, req.body.code);
+
+    // Other devices signed in with the password alone are signed out
+    await sessionService.revokeAllSessions(req.user._id, { except: req.sessionId, reason: 'two_factor_enabled' });
+
+    return res.status(200).json(
+        new ApiResponse(200, { recoveryCodes }, 'Two-factor authentication enabled')
+    );
+});
+
+// Turn two-factor off (password plus a code or recovery code)
+export const disableTwoFactor = asyncHandler(async (req, res) => {
+    const { password, code, recoveryCode } = req.body;
+
+    await twoFactorService.disable(req.user._id, { password, code, recoveryCode });
+
+    return res.status(200).json(
+        new ApiResponse(200, {}, 'Two-factor authentication disabled')
+    );
+});
+
+// Replace the recovery codes; the old ones stop working
+export const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+    if (!req.body.code) {
+        throw new ApiError(400, 'Verification code is required');
+    }
+
+    const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(req.user._id, req.body.code);
+
+    return res.status(200).json(
+        new ApiResponse(200, { recoveryCodes }, 'New recovery codes generated')
+    );
+});
@@ -3,6 +3,8 @@ import { ApiError } from '../utils/ApiError.js';
 import { ApiResponse } from '../utils/ApiResponse.js';
 import asyncHandler from '../utils/AsyncHanlde.js';
 import { uploadOnCloudinary, deleteFromCloudinary } from '../utils/cloudinary.js';
+import { authService } from '../services/auth.service.js';
+import { sessionService } from '../services/session.service.js';
 
 // Handle avatar upload/update (single function for both new and replacement)
 export const handleAvatar = asyncHandler(async (req, res) => {
@@ -137,6 +139,10 @@ export const updateUserProfile = asyncHandler(async (req, res) => {
     
     if (fullName) updateFields.fullName = fullName;
     if (email) updateFields.email = email.toLowerCase();
+
+    // A new address has to be verified again
+    const emailChanged = Boolean(email) && email.toLowerCase() !== req.user.email?.toLowerCase();
+    if (emailChanged) updateFields.isVerified = false;
     if (username) updateFields.username = username.toLowerCase();
 
     // Check for existing email/username if being updated
@@ -162,9 +168,15 @@ export const updateUserProfile = asyncHandler(async (req, res) => {
         { new: true, runValidators: true }
     ).select('-password -refreshToken');
 
+    if (emailChanged) {
+        await authService.sendVerificationEmail(user);
+    }
+
     return res
         .status(200)
-        .json(new ApiResponse(200, user, 'Profile updated successfully'));
+        .json(new ApiResponse(200, user, emailChanged
+            ? `Profile updated. We sent a verification link to ${user.email}`
+            : 'Profile updated successfully'));
 });
 
 // Update user preferences
@@ -210,13 +222,13 @@ export const deactivateAccount = asyncHandler(async (req, res) => {
                 isBlocked: true,
                 deactivationReason: reason || 'User requested deactivation',
                 deactivatedAt: new Date()
-            },
-            $unset: {
-                refreshToken: 1
             }
         }
     );
 
+    // Sign out every device
+    await sessionService.revokeAllSessions(req.user._id, { reason: 'deactivated' });
+
     return res
         .status(200)
         .clearCookie('accessToken')
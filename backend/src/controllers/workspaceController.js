@@ -0,0 +1,122 @@
+import { ApiError } from '../utils/ApiError.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import asyncHandler from '../utils/AsyncHanlde.js';
+import { workspaceService } from '../services/workspace.service.js';
+
+// List the workspaces the user belongs to (for the workspace switcher)
+export const getWorkspaces = asyncHandler(async (req, res) => {
+    const workspaces = await workspaceService.listForUser(req.user);
+
+    return res.status(200).json(
+        new ApiResponse(200, { workspaces }, 'Workspaces retrieved successfully')
+    );
+});
+
+// Get the selected workspace with its members
+export const getCurrentWorkspace = asyncHandler(async (req, res) => {
+    const workspace = await workspaceService.getDetails(req.workspace, req.user._id);
+
+    return res.status(200).json(
+        new ApiResponse(200, workspace, 'Workspace retrieved successfully')
+    );
+});
+
+// Rename the selected workspace and/or change its two-factor requirement (owner only)
+export const updateCurrentWorkspace = asyncHandler(async (req, res) => {
+    const { name, requireTwoFactor } = req.body;
+    let workspace = req.workspace;
+
+    if (name !== undefined) {
+        workspace = await workspaceService.rename(workspace, name);
+    }
+    if (requireTwoFactor !== undefined) {
+        workspace = await workspaceService.setTwoFactorRequirement(workspace, req.user, requireTwoFactor);
+    }
+
+    return res.status(200).json(
+        new ApiResponse(200, workspace.toSummary(req.user._id), 'Workspace updated successfully')
+    );
+});
+
+// Change a member's role
+export const updateMemberRole = asyncHandler(async (req, res) => {
+    const updated = await workspaceService.updateMemberRole({
+        workspace: req.workspace,
+        actorId: req.user._id,
+        memberId: req.params.userId,
+        role: req.body.role
+    });
+
+    const workspace = await workspaceService.getDetails(updated, req.user._id);
+    return res.status(200).json(
+        new ApiResponse(200, workspace, 'Member role updated successfully')
+    );
+});
+
+// Remove a member; any member may remove themselves (leave the workspace)
+export const removeMember = asyncHandler(async (req, res) => {
+    const leaving = String(req.params.userId) === String(req.user._id);
+    if (!leaving && !req.workspace.can(req.user._id, 'members:manage')) {
+        throw new ApiError(403, `Your role (${req.workspaceRole}) does not allow this action`);
+    }
+
+    await workspaceService.removeMember({ workspace: req.workspace, memberId: req.params.userId });
+
+    return res.status(200).json(
+        new ApiResponse(200, { left: leaving }, leaving ? 'You left the workspace' : 'Member removed successfully')
+    );
+});
+
+// List pending invitations of the selected workspace
+export const getInvitations = asyncHandler(async (req, res) => {
+    const invitations = await workspaceService.listInvitations(req.workspace);
+
+    return res.status(200).json(
+        new ApiResponse(200, { invitations }, 'Invitations retrieved successfully')
+    );
+});
+
+// Invite someone by email to the selected workspace
+export const createInvitation = asyncHandler(async (req, res) => {
+    const { email, role } = req.body;
+
+    const { invitation, inviteUrl, emailSent } = await workspaceService.inviteMember({
+        workspace: req.workspace,
+        inviter: req.user,
+        email,
+        role
+    });
+
+    return res.status(201).json(
+        new ApiResponse(201, { invitation, inviteUrl, emailSent }, emailSent
+            ? `Invitation sent to ${invitation.email}`
+            : 'Invitation created; email is not configured, share the link instead')
+    );
+});
+
+// Revoke a pending invitation
+export const revokeInvitation = asyncHandler(async (req, res) => {
+    const invitation = await workspaceService.revokeInvitation(req.workspace, req.params.invitationId);
+
+    return res.status(200).json(
+        new ApiResponse(200, invitation, 'Invitation revoked')
+    );
+});
+
+// Show what an invitation link is for (no sign-in required)
+export const getInvitation = asyncHandler(async (req, res) => {
+    const invitation = await workspaceService.getInvitationPreview(req.params.token);
+
+    return res.status(200).json(
+        new ApiResponse(200, invitation, 'Invitation retrieved successfully')
+    );
+});
+
+// Accept an invitation as the signed-in user
+export const acceptInvitation = asyncHandler(async (req, res) => {
+    const workspace = await workspaceService.acceptInvitation(req.params.token, req.user);
+
+    return res.status(200).json(
+        new ApiResponse(200, workspace.toSummary(req.user._id), `You joined ${workspace.name}`)
+    );
+});
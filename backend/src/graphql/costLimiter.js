@@ -0,0 +1,176 @@
+/**
+ * Shopify GraphQL Cost Limiter
+ * Per-shop leaky bucket that mirrors Shopify's calculated query cost throttle.
+ * Every response reports extensions.cost.throttleStatus; we track it per shop and
+ * delay calls that would exceed the remaining budget instead of getting THROTTLED.
+ */
+
+// Conservative defaults until the first response reports the shop's real bucket
+const DEFAULT_MAXIMUM_AVAILABLE = 1000;
+const DEFAULT_RESTORE_RATE = 50;
+
+// Assumed cost for an operation we have not seen yet
+const DEFAULT_OPERATION_COST = 50;
+
+export const MAX_THROTTLE_RETRIES = 5;
+const THROTTLE_BASE_DELAY_MS = 1000;
+
+// shop -> bucket state
+const buckets = new Map();
+
+// operation signature -> last requested query cost
+const operationCosts = new Map();
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const getBucket = (shop) => {
+  if (!buckets.has(shop)) {
+    buckets.set(shop, {
+      maximumAvailable: DEFAULT_MAXIMUM_AVAILABLE,
+      currentlyAvailable: DEFAULT_MAXIMUM_AVAILABLE,
+      restoreRate: DEFAULT_RESTORE_RATE,
+      updatedAt: Date.now(),
+      // Serializes acquire() calls so concurrent requests don't spend the same budget
+      queue: Promise.resolve(),
+      lastRequestedCost: null,
+      lastActualCost: null,
+      waitingRequests: 0,
+      throttledCount: 0,
+      lastThrottledAt: null
+    });
+  }
+  return buckets.get(shop);
+};
+
+// Budget available right now, including what has leaked back since the last update
+const availableNow = (bucket) => {
+  const elapsedSeconds = (Date.now() - bucket.updatedAt) / 1000;
+  return Math.min(
+    bucket.maximumAvailable,
+    bucket.currentlyAvailable + elapsedSeconds * bucket.restoreRate
+  );
+};
+
+/**
+ * Stable key for an operation so we can reuse its last known cost
+ * @param {string} query - GraphQL query/mutation string
+ * @returns {string} Operation signature
+ */
+export const getOperationKey = (query) => query.replace(/\s+/g, ' ').trim().substring(0, 120);
+
+/**
+ * Estimated cost of an operation based on previous runs
+ * @param {string} operationKey - Key from getOperationKey
+ * @returns {number} Estimated cost in points
+ */
+export const estimateOperationCost = (operationKey) =>
+  operationCosts.get(operationKey) ?? DEFAULT_OPERATION_COST;
+
+/**
+ * Wait until the shop's bucket can afford the estimated cost, then reserve it
+ * @param {string} shop - Shop domain
+ * @param {number} cost - Estimated cost in points
+ * @returns {Promise<void>}
+ */
+export const acquire = (shop, cost) => {
+  const bucket = getBucket(shop);
+  bucket.waitingRequests += 1;
+
+  const reservation = bucket.queue.then(async () => {
+    // A single query can never cost more than the bucket holds
+    const needed = Math.min(cost, bucket.maximumAvailable);
+    const available = availableNow(bucket);
+
+    if (available < needed) {
+      const delayMs = Math.ceil(((needed - available) / bucket.restoreRate) * 1000);
+      await wait(delayMs);
+    }
+
+    bucket.currentlyAvailable = availableNow(bucket) - needed;
+    bucket.updatedAt = Date.now();
+  });
+
+  // Keep the chain alive even if a reservation somehow rejects
+  bucket.queue = reservation.catch(() => {});
+
+  return reservation.finally(() => {
+    bucket.waitingRequests -= 1;
+  });
+};
+
+/**
+ * Record the cost information Shopify returned for an operation
+ * @param {string} shop - Shop domain
+ * @param {string} operationKey - Key from getOperationKey
+ * @param {Object} cost - extensions.cost from the response
+ */
+export const recordCost = (shop, operationKey, cost) => {
+  if (!cost) return;
+
+  const bucket = getBucket(shop);
+  const { throttleStatus, requestedQueryCost, actualQueryCost } = cost;
+
+  if (typeof requestedQueryCost === 'number') {
+    operationCosts.set(operationKey, requestedQueryCost);
+    bucket.lastRequestedCost = requestedQueryCost;
+  }
+  if (typeof actualQueryCost === 'number') {
+    bucket.lastActualCost = actualQueryCost;
+  }
+
+  if (throttleStatus) {
+    bucket.maximumAvailable = throttleStatus.maximumAvailable;
+    bucket.currentlyAvailable = throttleStatus.currentlyAvailable;
+    bucket.restoreRate = throttleStatus.restoreRate;
+    bucket.updatedAt = Date.now();
+  }
+};
+
+/**
+ * Whether an error from the Shopify client is a GraphQL cost throttle
+ * @param {Error} error - Error thrown by client.request
+ * @returns {boolean}
+ */
+export const isThrottledError = (error) => {
+  const graphQLErrors = error?.body?.errors?.graphQLErrors || [];
+  return graphQLErrors.some(e => e?.extensions?.code === 'THROTTLED');
+};
+
+/**
+ * Delay before retrying a throttled operation: enough to restore its cost, with exponential backoff
+ * @param {string} shop - Shop domain
+ * @param {number} cost - Requested cost of the throttled operation
+ * @param {number} attempt - Retry attempt (1-based)
+ * @returns {number} Delay in milliseconds
+ */
+export const getThrottleDelay = (shop, cost, attempt) => {
+  const bucket = getBucket(shop);
+  bucket.throttledCount += 1;
+  bucket.lastThrottledAt = new Date();
+
+  const restoreMs = Math.max(0, ((cost - availableNow(bucket)) / bucket.restoreRate) * 1000);
+  return Math.ceil(restoreMs + THROTTLE_BASE_DELAY_MS * 2 ** (attempt - 1));
+};
+
+/**
+ * Current budget for a shop (diagnostics)
+ * @param {string} shop - Shop domain
+ * @returns {Object|null} Budget snapshot, or null if no calls have been made yet
+ */
+export const getShopBudget = (shop) => {
+  if (!buckets.has(shop)) return null;
+
+  const bucket = buckets.get(shop);
+  return {
+    shop,
+    maximumAvailable: bucket.maximumAvailable,
+    currentlyAvailable: Math.floor(availableNow(bucket)),
+    restoreRate: bucket.restoreRate,
+    lastRequestedCost: bucket.lastRequestedCost,
+    lastActualCost: bucket.lastActualCost,
+    waitingRequests: bucket.waitingRequests,
+    throttledCount: bucket.throttledCount,
+    lastThrottledAt: bucket.lastThrottledAt,
+    updatedAt: new Date(bucket.updatedAt)
+  };
+};
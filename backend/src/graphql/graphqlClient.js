@@ -1,5 +1,14 @@
 import { GraphqlQueryError } from '@shopify/shopify-api';
 import shopify from '../config/shopify.js';
+import {
+  acquire,
+  recordCost,
+  isThrottledError,
+  getThrottleDelay,
+  getOperationKey,
+  estimateOperationCost,
+  MAX_THROTTLE_RETRIES
+} from './costLimiter.js';
 
 /**
  * GraphQL Client for Shopify Admin API
@@ -8,6 +17,7 @@ import shopify from '../config/shopify.js';
 
 /**
  * Execute GraphQL query/mutation against Shopify Admin API
+ * Calls are paced by the per-shop cost limiter and THROTTLED responses are retried with backoff
  * @param {Object} session - Shopify session with shop and accessToken
  * @param {string} query - GraphQL query/mutation string
  * @param {Object} variables - Variables for the query/mutation
@@ -18,17 +28,39 @@ export const executeGraphQL = async (session, query, variables = {}) => {
     throw new Error('Invalid session: Missing shop or access token');
   }
 
+  const operationKey = getOperationKey(query);
+
   try {
     const client = new shopify.clients.Graphql({ session });
-    const response = await client.request(query, { variables, retries: 2 });
-    
-    // Handle GraphQL errors
-    if (response.errors && response.errors.length > 0) {
-      console.error('GraphQL Errors:', response.errors);
-      throw new GraphqlQueryError('GraphQL operation failed', response.errors);
+
+    for (let attempt = 0; ; attempt++) {
+      const estimatedCost = estimateOperationCost(operationKey);
+      await acquire(session.shop, estimatedCost);
+
+      try {
+        const response = await client.request(query, { variables, retries: 2 });
+        recordCost(session.shop, operationKey, response.extensions?.cost);
+
+        // Handle GraphQL errors
+        if (response.errors && response.errors.length > 0) {
+          console.error('GraphQL Errors:', response.errors);
+          throw new GraphqlQueryError('GraphQL operation failed', response.errors);
+        }
+
+        return response.data;
+      } catch (error) {
+        if (!isThrottledError(error)) throw error;
+
+        const cost = error.body?.extensions?.cost;
+        recordCost(session.shop, operationKey, cost);
+
+        if (attempt >= MAX_THROTTLE_RETRIES) throw error;
+
+        const delayMs = getThrottleDelay(session.shop, cost?.requestedQueryCost ?? estimatedCost, attempt + 1);
+        console.warn(`Shopify throttled ${session.shop}; retrying in ${delayMs}ms (attempt ${attempt + 1}/${MAX_THROTTLE_RETRIES})`);
+        await new Promise(resolve => setTimeout(resolve, delayMs));
+      }
     }
-    
-    return response.data;
   } catch (error) {
     console.error('GraphQL Operation Error:', {
       message: error.message,
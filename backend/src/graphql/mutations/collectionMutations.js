@@ -152,3 +152,31 @@ export const removeProductsFromCollection = async (session, collectionId, produc
   
   return data.collectionRemoveProducts;
 };
+
+/**
+ * Delete a collection
+ * @param {Object} session - Shopify session
+ * @param {string} collectionId - Collection ID
+ * @returns {Promise<Object>} Deleted collection ID
+ */
+export const deleteCollection = async (session, collectionId) => {
+  const mutation = `
+    mutation collectionDelete($input: CollectionDeleteInput!) {
+      collectionDelete(input: $input) {
+        deletedCollectionId
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+
+  const data = await executeGraphQL(session, mutation, { input: { id: collectionId } });
+
+  if (data.collectionDelete.userErrors.length > 0) {
+    throw new Error(`Collection deletion failed: ${data.collectionDelete.userErrors.map(e => e.message).join(', ')}`);
+  }
+
+  return data.collectionDelete;
+};
@@ -2,3 +2,4 @@
 export * from './productMutations.js';
 export * from './collectionMutations.js';
 export * from './mediaMutations.js';
+export * from './inventoryMutations.js';
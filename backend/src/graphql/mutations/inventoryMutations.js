@@ -0,0 +1,151 @@
+import { executeGraphQL } from '../graphqlClient.js';
+
+/**
+ * Inventory GraphQL Mutations for Shopify Admin API
+ * Based on API Reference - Inventory quantities at locations
+ */
+
+// userErrors carry a code (e.g. COMPARE_QUANTITY_STALE) that callers may need to react to
+const inventoryError = (label, userErrors) => Object.assign(
+  new Error(`${label}: ${userErrors.map(e => e.message).join(', ')}`),
+  { codes: userErrors.map(e => e.code).filter(Boolean) }
+);
+
+/**
+ * Set available quantities at locations
+ * With compareQuantity set, Shopify rejects the change (COMPARE_QUANTITY_STALE) when the
+ * current quantity no longer matches, so concurrent sales are not overwritten.
+ * @param {Object} session - Shopify session
+ * @param {Array} quantities - Array of { inventoryItemId, locationId, quantity, compareQuantity? }
+ * @param {Object} options - { reason, referenceDocumentUri, ignoreCompareQuantity }
+ * @returns {Promise<Object>} Inventory adjustment group
+ */
+export const setInventoryQuantities = async (session, quantities, { reason = 'correction', referenceDocumentUri, ignoreCompareQuantity = false } = {}) => {
+  const mutation = `
+    mutation inventorySetQuantities($input: InventorySetQuantitiesInput!) {
+      inventorySetQuantities(input: $input) {
+        inventoryAdjustmentGroup {
+          id
+          reason
+          changes {
+            name
+            delta
+            quantityAfterChange
+            location {
+              id
+            }
+            item {
+              id
+            }
+          }
+        }
+        userErrors {
+          code
+          field
+          message
+        }
+      }
+    }
+  `;
+
+  const input = {
+    name: 'available',
+    reason,
+    ignoreCompareQuantity,
+    quantities,
+    ...(referenceDocumentUri ? { referenceDocumentUri } : {})
+  };
+
+  const data = await executeGraphQL(session, mutation, { input });
+
+  if (data.inventorySetQuantities.userErrors.length > 0) {
+    throw inventoryError('Inventory set failed', data.inventorySetQuantities.userErrors);
+  }
+
+  return data.inventorySetQuantities.inventoryAdjustmentGroup;
+};
+
+/**
+ * Change available quantities at locations by a delta
+ * @param {Object} session - Shopify session
+ * @param {Array} changes - Array of { inventoryItemId, locationId, delta }
+ * @param {Object} options - { reason, referenceDocumentUri }
+ * @returns {Promise<Object>} Inventory adjustment group
+ */
+export const adjustInventoryQuantities = async (session, changes, { reason = 'correction', referenceDocumentUri } = {}) => {
+  const mutation = `
+    mutation inventoryAdjustQuantities($input: InventoryAdjustQuantitiesInput!) {
+      inventoryAdjustQuantities(input: $input) {
+        inventoryAdjustmentGroup {
+          id
+          reason
+          changes {
+            name
+            delta
+            quantityAfterChange
+            location {
+              id
+            }
+            item {
+              id
+            }
+          }
+        }
+        userErrors {
+          code
+          field
+          message
+        }
+      }
+    }
+  `;
+
+  const input = {
+    name: 'available',
+    reason,
+    changes,
+    ...(referenceDocumentUri ? { referenceDocumentUri } : {})
+  };
+
+  const data = await executeGraphQL(session, mutation, { input });
+
+  if (data.inventoryAdjustQuantities.userErrors.length > 0) {
+    throw inventoryError('Inventory adjust failed', data.inventoryAdjustQuantities.userErrors);
+  }
+
+  return data.inventoryAdjustQuantities.inventoryAdjustmentGroup;
+};
+
+/**
+ * Stock an inventory item at a location so its quantities can be set there
+ * @param {Object} session - Shopify session
+ * @param {string} inventoryItemId - Inventory Item ID
+ * @param {string} locationId - Location ID
+ * @returns {Promise<Object>} Inventory level
+ */
+export const activateInventoryItem = async (session, inventoryItemId, locationId) => {
+  const mutation = `
+    mutation inventoryActivate($inventoryItemId: ID!, $locationId: ID!) {
+      inventoryActivate(inventoryItemId: $inventoryItemId, locationId: $locationId) {
+        inventoryLevel {
+          id
+          location {
+            id
+          }
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+
+  const data = await executeGraphQL(session, mutation, { inventoryItemId, locationId });
+
+  if (data.inventoryActivate.userErrors.length > 0) {
+    throw inventoryError('Inventory activation failed', data.inventoryActivate.userErrors);
+  }
+
+  return data.inventoryActivate.inventoryLevel;
+};
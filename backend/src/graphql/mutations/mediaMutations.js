@@ -98,3 +98,97 @@ export const createProductMedia = async (session, productId, media) => {
   
   return data.productCreateMedia;
 };
+
+/**
+ * Update alt text of product media
+ * @param {Object} session - Shopify session
+ * @param {string} productId - Product ID
+ * @param {Array} media - Array of { id, alt }
+ * @returns {Promise<Object>} Updated product media
+ */
+export const updateProductMedia = async (session, productId, media) => {
+  const mutation = `
+    mutation productUpdateMedia($productId: ID!, $media: [UpdateMediaInput!]!) {
+      productUpdateMedia(productId: $productId, media: $media) {
+        media {
+          id
+          alt
+          status
+        }
+        mediaUserErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+
+  const data = await executeGraphQL(session, mutation, { productId, media });
+
+  if (data.productUpdateMedia.mediaUserErrors.length > 0) {
+    throw new Error(`Product media update failed: ${data.productUpdateMedia.mediaUserErrors.map(e => e.message).join(', ')}`);
+  }
+
+  return data.productUpdateMedia;
+};
+
+/**
+ * Remove media from a product
+ * @param {Object} session - Shopify session
+ * @param {string} productId - Product ID
+ * @param {Array<string>} mediaIds - Media IDs to delete
+ * @returns {Promise<Object>} Deleted media IDs
+ */
+export const deleteProductMedia = async (session, productId, mediaIds) => {
+  const mutation = `
+    mutation productDeleteMedia($productId: ID!, $mediaIds: [ID!]!) {
+      productDeleteMedia(productId: $productId, mediaIds: $mediaIds) {
+        deletedMediaIds
+        mediaUserErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+
+  const data = await executeGraphQL(session, mutation, { productId, mediaIds });
+
+  if (data.productDeleteMedia.mediaUserErrors.length > 0) {
+    throw new Error(`Product media deletion failed: ${data.productDeleteMedia.mediaUserErrors.map(e => e.message).join(', ')}`);
+  }
+
+  return data.productDeleteMedia;
+};
+
+/**
+ * Move product media to new positions (runs as a background job in Shopify)
+ * @param {Object} session - Shopify session
+ * @param {string} productId - Product ID
+ * @param {Array} moves - Array of { id, newPosition } with newPosition as a string
+ * @returns {Promise<Object>} Reorder job
+ */
+export const reorderProductMedia = async (session, productId, moves) => {
+  const mutation = `
+    mutation productReorderMedia($id: ID!, $moves: [MoveInput!]!) {
+      productReorderMedia(id: $id, moves: $moves) {
+        job {
+          id
+          done
+        }
+        mediaUserErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+
+  const data = await executeGraphQL(session, mutation, { id: productId, moves });
+
+  if (data.productReorderMedia.mediaUserErrors.length > 0) {
+    throw new Error(`Product media reorder failed: ${data.productReorderMedia.mediaUserErrors.map(e => e.message).join(', ')}`);
+  }
+
+  return data.productReorderMedia;
+};
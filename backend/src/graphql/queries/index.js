@@ -2,3 +2,4 @@
 export * from './productQueries.js';
 export * from './collectionQueries.js';
 export * from './shopQueries.js';
+export * from './orderQueries.js';
@@ -0,0 +1,153 @@
+import { executeGraphQL } from '../graphqlClient.js';
+
+/**
+ * Order GraphQL Queries for Shopify Admin API
+ * Used by the historical order backfill (services/orderBackfill.service.js)
+ * Needs the read_orders scope; without read_all_orders Shopify only returns the last 60 days
+ * (the backfill records this as historyLimited; stores connected before it was requested must reconnect).
+ */
+
+const LINE_ITEM_FIELDS = `
+              id
+              title
+              variantTitle
+              sku
+              quantity
+              product {
+                id
+              }
+              variant {
+                id
+              }
+              originalUnitPriceSet {
+                shopMoney {
+                  amount
+                }
+              }
+              totalDiscountSet {
+                shopMoney {
+                  amount
+                }
+              }`;
+
+// Line items beyond the first page are fetched with getOrderLineItems
+const LINE_ITEMS_PER_ORDER = 50;
+
+/**
+ * Get paginated list of orders with their line items, oldest first
+ * @param {Object} session - Shopify session
+ * @param {Object} options - Query options
+ * @param {number} options.first - Number of orders to fetch (keep small, each order carries its line items)
+ * @param {string} options.after - Cursor for pagination
+ * @param {string} options.query - Search query, e.g. "processed_at:>=2024-01-01"
+ * @returns {Promise<Object>} Orders connection with pageInfo
+ */
+export const getOrders = async (session, { first = 10, after = null, query = null } = {}) => {
+  const graphqlQuery = `
+    query getOrders($first: Int!, $after: String, $query: String) {
+      orders(first: $first, after: $after, query: $query, sortKey: PROCESSED_AT) {
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+        edges {
+          node {
+            id
+            name
+            number
+            currencyCode
+            totalPriceSet {
+              shopMoney {
+                amount
+              }
+            }
+            subtotalPriceSet {
+              shopMoney {
+                amount
+              }
+            }
+            totalDiscountsSet {
+              shopMoney {
+                amount
+              }
+            }
+            totalTaxSet {
+              shopMoney {
+                amount
+              }
+            }
+            displayFinancialStatus
+            displayFulfillmentStatus
+            cancelledAt
+            processedAt
+            createdAt
+            updatedAt
+            lineItems(first: ${LINE_ITEMS_PER_ORDER}) {
+              pageInfo {
+                hasNextPage
+                endCursor
+              }
+              edges {
+                node {${LINE_ITEM_FIELDS}
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  `;
+
+  const variables = { first, after };
+  if (query) variables.query = query;
+
+  return executeGraphQL(session, graphqlQuery, variables);
+};
+
+/**
+ * Get the next page of an order's line items
+ * @param {Object} session - Shopify session
+ * @param {string} orderId - Shopify order ID (GID format)
+ * @param {string} after - Line item cursor
+ * @returns {Promise<Object>} Line items connection with pageInfo
+ */
+export const getOrderLineItems = async (session, orderId, after = null) => {
+  const query = `
+    query getOrderLineItems($id: ID!, $after: String) {
+      order(id: $id) {
+        lineItems(first: 100, after: $after) {
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+          edges {
+            node {${LINE_ITEM_FIELDS}
+            }
+          }
+        }
+      }
+    }
+  `;
+
+  const data = await executeGraphQL(session, query, { id: orderId, after });
+  return data.order?.lineItems;
+};
+
+/**
+ * Get the number of orders matching a search query
+ * @param {Object} session - Shopify session
+ * @param {string} query - Search query (optional)
+ * @returns {Promise<number>} Order count
+ */
+export const getOrdersCount = async (session, query = null) => {
+  const graphqlQuery = `
+    query ordersCount($query: String) {
+      ordersCount(query: $query, limit: null) {
+        count
+      }
+    }
+  `;
+
+  const data = await executeGraphQL(session, graphqlQuery, query ? { query } : {});
+  return data.ordersCount?.count || 0;
+};
@@ -5,23 +5,8 @@ import { executeGraphQL } from '../graphqlClient.js';
  * Based on API Reference - All verified queries
  */
 
-/**
- * Get paginated list of products
- * @param {Object} session - Shopify session
- * @param {Object} options - Query options
- * @param {number} options.first - Number of products to fetch (max 250)
- * @param {string} options.after - Cursor for pagination
- * @param {string} options.query - Search query
- * @returns {Promise<Object>} Products data with pagination info
- */
-export const getProducts = async (session, options = {}) => {
-  const { first = 50, after = null, query = null } = options;
-  
-  const graphqlQuery = `
-    query products($first: Int, $after: String, $query: String) {
-      products(first: $first, after: $after, query: $query) {
-        edges {
-          node {
+// Node selection for product lists
+const PRODUCT_LIST_FIELDS = `
             id
             title
             handle
@@ -45,7 +30,131 @@ export const getProducts = async (session, options = {}) => {
               id
               url
               altText
+            }`;
+
+// Node selection with everything needed to rebuild the product (catalog import)
+// Connection sizes drive the query cost: roughly 5 points per variant, 3 per media and 1 per metafield
+const productDetailFields = (limits) => `
+            id
+            title
+            descriptionHtml
+            handle
+            status
+            vendor
+            productType
+            tags
+            createdAt
+            updatedAt
+            options {
+              id
+              name
+              position
+              optionValues {
+                id
+                name
+              }
             }
+            variants(first: ${limits.variants}) {
+              pageInfo {
+                hasNextPage
+              }
+              edges {
+                node {
+                  id
+                  title
+                  position
+                  price
+                  compareAtPrice
+                  sku
+                  barcode
+                  taxable
+                  inventoryQuantity
+                  inventoryPolicy
+                  selectedOptions {
+                    name
+                    value
+                  }
+                  inventoryItem {
+                    id
+                    tracked
+                    requiresShipping
+                    measurement {
+                      weight {
+                        value
+                        unit
+                      }
+                    }
+                  }
+                }
+              }
+            }
+            media(first: ${limits.media}) {
+              pageInfo {
+                hasNextPage
+              }
+              edges {
+                node {
+                  id
+                  alt
+                  mediaContentType
+                  ... on MediaImage {
+                    image {
+                      url
+                      altText
+                      width
+                      height
+                    }
+                  }
+                  ... on Video {
+                    sources {
+                      url
+                      mimeType
+                    }
+                  }
+                }
+              }
+            }
+            seo {
+              title
+              description
+            }
+            metafields(first: ${limits.metafields}) {
+              pageInfo {
+                hasNextPage
+              }
+              edges {
+                node {
+                  id
+                  namespace
+                  key
+                  value
+                  type
+                }
+              }
+            }`;
+
+// List pages stay around 80 points per product; getProductDetails reads products that do not fit
+const DETAIL_PAGE_LIMITS = { variants: 10, media: 5, metafields: 10 };
+const DETAIL_FULL_LIMITS = { variants: 100, media: 50, metafields: 50 };
+
+/**
+ * Get paginated list of products
+ * @param {Object} session - Shopify session
+ * @param {Object} options - Query options
+ * @param {number} options.first - Number of products to fetch (max 250)
+ * @param {string} options.after - Cursor for pagination
+ * @param {string} options.query - Search query
+ * @param {boolean} options.detailed - Select options, variants, media, SEO and metafields (first few of each; check pageInfo)
+ * @returns {Promise<Object>} Products data with pagination info
+ */
+export const getProducts = async (session, options = {}) => {
+  const { first = 50, after = null, query = null, detailed = false } = options;
+  
+  const graphqlQuery = `
+    query products($first: Int, $after: String, $query: String) {
+      products(first: $first, after: $after, query: $query) {
+        edges {
+          node {${detailed ? productDetailFields(DETAIL_PAGE_LIMITS) : PRODUCT_LIST_FIELDS}
           }
           cursor
         }
@@ -66,6 +175,43 @@ export const getProducts = async (session, options = {}) => {
   return await executeGraphQL(session, graphqlQuery, variables);
 };
 
+/**
+ * Count products matching a search query
+ * @param {Object} session - Shopify session
+ * @param {string} query - Search query (same syntax as getProducts)
+ * @returns {Promise<number>} Product count
+ */
+export const getProductsCount = async (session, query = null) => {
+  const graphqlQuery = `
+    query productsCount($query: String) {
+      productsCount(query: $query, limit: null) {
+        count
+      }
+    }
+  `;
+
+  const data = await executeGraphQL(session, graphqlQuery, query ? { query } : {});
+  return data.productsCount?.count || 0;
+};
+
+/**
+ * Get one product with the catalog import selection (up to 100 variants, 50 media and 50 metafields)
+ * @param {Object} session - Shopify session
+ * @param {string} productId - Shopify product ID (GID format)
+ * @returns {Promise<Object|null>} Product node shaped like getProducts({ detailed: true }) nodes
+ */
+export const getProductDetails = async (session, productId) => {
+  const query = `
+    query productDetails($id: ID!) {
+      product(id: $id) {${productDetailFields(DETAIL_FULL_LIMITS)}
+      }
+    }
+  `;
+
+  const data = await executeGraphQL(session, query, { id: productId });
+  return data.product;
+};
+
 /**
  * Get single product with full details
  * @param {Object} session - Shopify session
@@ -162,6 +308,38 @@ export const getProduct = async (session, productId) => {
   return data.product;
 };
 
+/**
+ * Get a product's media in display order (for media reconciliation)
+ * @param {Object} session - Shopify session
+ * @param {string} productId - Shopify product ID
+ * @returns {Promise<Array|null>} Media nodes, or null when the product does not exist
+ */
+export const getProductMedia = async (session, productId) => {
+  const query = `
+    query getProductMedia($id: ID!) {
+      product(id: $id) {
+        id
+        media(first: 250) {
+          nodes {
+            id
+            alt
+            mediaContentType
+            status
+            preview {
+              image {
+                url
+              }
+            }
+          }
+        }
+      }
+    }
+  `;
+
+  const data = await executeGraphQL(session, query, { id: productId });
+  return data.product ? data.product.media.nodes : null;
+};
+
 /**
  * Get products by handles (for mapping validation)
  * @param {Object} session - Shopify session
@@ -257,24 +435,27 @@ export const getProductInventory = async (session, productId) => {
 export const getLiveInventoryLevel = async (session, inventoryItemId, locationId) => {
   const query = `
     query getLiveInventoryLevel($inventoryItemId: ID!, $locationId: ID!) {
-      inventoryLevel(inventoryItemId: $inventoryItemId, locationId: $locationId) {
+      inventoryItem(id: $inventoryItemId) {
         id
-        available
-        item {
+        sku
+        variant {
           id
-          sku
-          variant {
+          title
+          product {
             id
             title
-            product {
-              id
-              title
-            }
           }
         }
-        location {
+        inventoryLevel(locationId: $locationId) {
           id
-          name
+          quantities(names: ["available"]) {
+            name
+            quantity
+          }
+          location {
+            id
+            name
+          }
         }
       }
     }
@@ -284,8 +465,18 @@ export const getLiveInventoryLevel = async (session, inventoryItemId, locationId
     inventoryItemId, 
     locationId 
   });
-  
-  return data.inventoryLevel;
+
+  // Null when the item is not stocked at the location
+  const level = data.inventoryItem?.inventoryLevel;
+  if (!level) return null;
+
+  const { inventoryLevel, ...item } = data.inventoryItem;
+  return {
+    id: level.id,
+    available: level.quantities.find(q => q.name === 'available')?.quantity ?? 0,
+    item,
+    location: level.location
+  };
 };
 
 /**
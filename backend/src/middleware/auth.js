@@ -1,6 +1,9 @@
 import jwt from 'jsonwebtoken'
+import mongoose from 'mongoose'
 import { User } from '../models/User.js'
+import { Workspace } from '../models/Workspace.js'
 import { ApiError } from '../utils/ApiError.js'
+import { sessionService } from '../services/session.service.js'
 import asyncHandler from '../utils/AsyncHanlde.js'
 
 const authenticateUser = asyncHandler(async (req, res, next) => {
@@ -20,6 +23,12 @@ const authenticateUser = asyncHandler(async (req, res, next) => {
         throw new ApiError(401, "Invalid access token");
     }
 
+    // Signed out from another device, or revoked after refresh token reuse
+    const session = await sessionService.findActiveSession(decodedToken.sid, user._id);
+    if (!session) {
+        throw new ApiError(401, "Session has been signed out");
+    }
+
     // Check if user is blocked
     if (user.isBlocked) {
         throw new ApiError(403, "Account is blocked");
@@ -31,9 +40,11 @@ const authenticateUser = asyncHandler(async (req, res, next) => {
     }
 
     req.user = user;
+    req.sessionId = session._id;
     next();
 });
 
+// Require a system role (User.role); workspace roles are checked with checkPermission
 const checkRole = (...roles) => {
     return asyncHandler(async (req, res, next) => {
         if (!roles.includes(req.user.role)) {
@@ -43,6 +54,59 @@ const checkRole = (...roles) => {
     });
 }
 
+/**
+ * Resolve the workspace the request acts in (after authenticateUser)
+ * The X-Workspace-Id header (or workspaceId query parameter, for browser redirects such as the
+ * Shopify OAuth start) selects a workspace the user is a member of; without it the user's own
+ * workspace is used. Sets:
+ * - req.workspace: Workspace document
+ * - req.workspaceRole: the user's role in it
+ * - req.accountId: the workspace owner's user id, which scopes stores, products, jobs, ...
+ * Workspaces with requireTwoFactor reject members who have not enabled two-factor authentication.
+ */
+const resolveWorkspace = asyncHandler(async (req, res, next) => {
+    const workspaceId = req.get('X-Workspace-Id') || req.query.workspaceId;
+    let workspace;
+
+    if (workspaceId) {
+        if (!mongoose.isValidObjectId(workspaceId)) {
+            throw new ApiError(400, "Invalid workspace ID");
+        }
+        workspace = await Workspace.findOne({ _id: workspaceId, 'members.user': req.user._id });
+        if (!workspace) {
+            throw new ApiError(403, "You are not a member of this workspace");
+        }
+    } else {
+        workspace = await Workspace.findOrCreatePersonal(req.user);
+    }
+
+    // Code lets the client send the user to the two-factor setup instead of showing an error
+    if (workspace.requireTwoFactor && !req.user.twoFactor?.enabled) {
+        throw new ApiError(403, "This workspace requires two-factor authentication. Enable it in your security settings.", [
+            { code: "TWO_FACTOR_REQUIRED", workspaceId: workspace._id }
+        ]);
+    }
+
+    req.workspace = workspace;
+    req.workspaceRole = workspace.getRole(req.user._id);
+    req.accountId = workspace.owner;
+    next();
+});
+
+// Require workspace permissions (see ROLE_PERMISSIONS in models/Workspace.js); use after resolveWorkspace
+const checkPermission = (...permissions) => {
+    return asyncHandler(async (req, res, next) => {
+        if (!req.workspace) {
+            throw new ApiError(500, "Workspace not resolved for this route");
+        }
+        const missing = permissions.filter(permission => !req.workspace.can(req.user._id, permission));
+        if (missing.length > 0) {
+            throw new ApiError(403, `Your role (${req.workspaceRole}) does not allow this action`);
+        }
+        next();
+    });
+}
+
 // Optional auth middleware (doesn't fail if no token)
 const optionalAuth = asyncHandler(async (req, res, next) => {
     try {
@@ -52,9 +116,11 @@ const optionalAuth = asyncHandler(async (req, res, next) => {
         if (token) {
             const decoded = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
             const user = await User.findById(decoded._id).select('-password -refreshToken');
+            const session = user && await sessionService.findActiveSession(decoded.sid, user._id);
             
-            if (user && !user.isBlocked && !user.isDeleted) {
+            if (user && session && !user.isBlocked && !user.isDeleted) {
                 req.user = user;
+                req.sessionId = session._id;
             }
         }
         
@@ -68,5 +134,7 @@ const optionalAuth = asyncHandler(async (req, res, next) => {
 export { 
     authenticateUser, 
     checkRole, 
+    resolveWorkspace,
+    checkPermission,
     optionalAuth 
 };
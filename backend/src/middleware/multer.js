@@ -98,6 +98,21 @@ export const uploadVideo = multer({
     }
 });
 
+// CSV uploads (product imports) are parsed from memory and never touch disk
+export const uploadCsv = multer({
+    storage: multer.memoryStorage(),
+    fileFilter: (req, file, cb) => {
+        if (!/\.csv$/i.test(file.originalname)) {
+            return cb(new ApiError(400, `Invalid file type for ${file.fieldname}. Only .csv files are allowed`), false);
+        }
+        cb(null, true);
+    },
+    limits: {
+        fileSize: 10 * 1024 * 1024, // 10MB
+        files: 1
+    }
+});
+
 // Helper function to validate image dimensions (to be used after upload)
 export const validateImageDimensions = (width, height) => {
     const megapixels = (width * height) / 1000000;
@@ -6,6 +6,18 @@
 import { Store } from '../models/Store.js';
 import { ApiError } from '../utils/ApiError.js';
 
+/**
+ * Build a manual offline Shopify session object for a store document
+ * Shared by the middleware below and background workers that run outside a request
+ */
+export const buildStoreSession = (store) => ({
+  shop: store.shopDomain,
+  accessToken: store.accessToken,
+  scope: (store.scopes || []).join(','),
+  id: `offline_${store.shopDomain}`,
+  isOnline: false
+});
+
 /**
  * Middleware to create Shopify session from storeId parameter
  * Works with routes like: /products/:productId/stores/:storeId/create
@@ -18,10 +30,10 @@ export const createStoreSession = async (req, res, next) => {
       throw new ApiError(400, 'Store ID is required');
     }
 
-    // Find the store and verify it belongs to the authenticated user
+    // Find the store and verify it belongs to the active workspace
     const store = await Store.findOne({
       _id: storeId,
-      userId: req.user._id,
+      userId: req.accountId,
       isActive: true
     });
 
@@ -30,13 +42,7 @@ export const createStoreSession = async (req, res, next) => {
     }
 
     // Create manual session object (same as collection controller)
-    req.session = {
-      shop: store.shopDomain,
-      accessToken: store.accessToken,
-      scope: store.scopes.join(','),
-      id: `offline_${store.shopDomain}`,
-      isOnline: false
-    };
+    req.session = buildStoreSession(store);
 
     // Also attach store info for controller use
     req.store = store;
@@ -71,10 +77,10 @@ export const createBulkStoreSessions = async (req, res, next) => {
       throw new ApiError(400, 'Store IDs array is required');
     }
 
-    // Find all stores and verify they belong to the authenticated user
+    // Find all stores and verify they belong to the active workspace
     const stores = await Store.find({
       _id: { $in: storeIds },
-      userId: req.user._id,
+      userId: req.accountId,
       isActive: true
     });
 
@@ -85,13 +91,7 @@ export const createBulkStoreSessions = async (req, res, next) => {
     // Create sessions for all stores
     req.storeSessions = stores.map(store => ({
       storeId: store._id,
-      session: {
-        shop: store.shopDomain,
-        accessToken: store.accessToken,
-        scope: store.scopes.join(','),
-        id: `offline_${store.shopDomain}`,
-        isOnline: false
-      },
+      session: buildStoreSession(store),
       store: store
     }));
 
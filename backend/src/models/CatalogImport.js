@@ -0,0 +1,84 @@
+import mongoose from 'mongoose'
+
+// Import of an existing Shopify catalog into dashboard master products
+// Processed by services/catalogImport.service.js; resumes from the saved cursor after a restart
+// Per-product results are CatalogImportItem documents, so large catalogs do not grow this document
+const catalogImportSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  store: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Store',
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'succeeded', 'failed', 'cancelled'],
+    default: 'queued',
+    index: true
+  },
+
+  options: {
+    // Only plan the import; nothing is written
+    dryRun: { type: Boolean, default: false },
+    // Products whose handle or SKU already exists in the dashboard
+    onDuplicate: {
+      type: String,
+      enum: ['skip', 'link', 'create'],
+      default: 'skip'
+    },
+    // Shopify product search query, e.g. "status:active vendor:Acme"
+    query: String
+  },
+
+  // Cursor after the last fully processed page
+  cursor: String,
+
+  progress: {
+    total: { type: Number, default: 0 },
+    processed: { type: Number, default: 0 },
+    created: { type: Number, default: 0 },
+    linked: { type: Number, default: 0 },
+    skipped: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 }
+  },
+
+  cancelRequested: { type: Boolean, default: false },
+
+  lockedAt: Date,
+  startedAt: Date,
+  finishedAt: Date,
+  error: String
+}, {
+  timestamps: true
+})
+
+catalogImportSchema.index({ status: 1, createdAt: 1 })
+catalogImportSchema.index({ userId: 1, createdAt: -1 })
+
+// Shape sent to clients over Socket.IO and in lists (items are fetched separately)
+catalogImportSchema.methods.toProgressPayload = function() {
+  return {
+    importId: this._id,
+    storeId: this.store?._id || this.store,
+    status: this.status,
+    options: this.options,
+    progress: this.progress,
+    error: this.error,
+    createdAt: this.createdAt,
+    startedAt: this.startedAt,
+    finishedAt: this.finishedAt
+  }
+}
+
+catalogImportSchema.methods.isFinished = function() {
+  return ['succeeded', 'failed', 'cancelled'].includes(this.status)
+}
+
+export const CatalogImport = mongoose.model('CatalogImport', catalogImportSchema)
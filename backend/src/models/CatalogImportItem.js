@@ -0,0 +1,49 @@
+import mongoose from 'mongoose'
+
+// What a catalog import did with one Shopify product (see models/CatalogImport.js)
+const catalogImportItemSchema = new mongoose.Schema({
+  catalogImport: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CatalogImport',
+    required: true
+  },
+
+  shopifyProductId: { type: String, required: true },
+  title: String,
+  handle: String,
+
+  // What the import does with this Shopify product
+  action: {
+    type: String,
+    enum: ['create', 'link', 'skip'],
+    required: true
+  },
+  // Why the product was skipped or linked (duplicate, already-linked, master-already-in-store, ...)
+  reason: String,
+
+  // Existing master product with the same handle or SKU
+  duplicateOf: {
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+    matchedBy: { type: String, enum: ['handle', 'sku'] }
+  },
+
+  // Master product created or linked
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+
+  status: {
+    type: String,
+    enum: ['planned', 'imported', 'skipped', 'failed'],
+    required: true
+  },
+  // Data that could not be carried over (unsupported media, metafield types, ...)
+  warnings: [String],
+  error: String
+}, {
+  timestamps: true
+})
+
+// One result per product, so a resumed import never records a product twice
+catalogImportItemSchema.index({ catalogImport: 1, shopifyProductId: 1 }, { unique: true })
+catalogImportItemSchema.index({ catalogImport: 1, status: 1, createdAt: 1 })
+
+export const CatalogImportItem = mongoose.model('CatalogImportItem', catalogImportItemSchema)
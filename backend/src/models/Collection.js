@@ -29,6 +29,29 @@ const collectionRuleSchema = new mongoose.Schema({
   }
 }, { _id: false })
 
+// Where a master collection lives in each store (see services/collectionSync.service.js)
+const collectionStoreMappingSchema = new mongoose.Schema({
+  store: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Store',
+    required: true
+  },
+  shopifyCollectionId: {
+    type: String,
+    required: true
+  },
+  shopifyHandle: String,
+  // Shopify product IDs last pushed as members (manual collections); diffed on the next push
+  syncedProductIds: [String],
+  status: {
+    type: String,
+    enum: ['active', 'error'],
+    default: 'active'
+  },
+  lastSyncAt: Date,
+  lastError: String
+}, { _id: false })
+
 // Collection Schema - Dashboard Master Collection
 const collectionSchema = new mongoose.Schema({
   // REQUIRED: Only field required by collectionCreate
@@ -121,7 +144,10 @@ const collectionSchema = new mongoose.Schema({
   color: {
     type: String,
     default: '#007bff'
-  }
+  },
+
+  // Stores the collection has been pushed to
+  storeMappings: [collectionStoreMappingSchema]
 }, {
   timestamps: true
 })
@@ -129,7 +155,9 @@ const collectionSchema = new mongoose.Schema({
 // Indexes
 collectionSchema.index({ createdBy: 1 })
 collectionSchema.index({ collectionType: 1 })
-collectionSchema.index({ handle: 1 }, { unique: true, sparse: true })
+// Replaces the global handle_1 index; `npm run db:migrate` drops the old one on existing databases
+collectionSchema.index({ createdBy: 1, handle: 1 }, { unique: true, sparse: true })
+collectionSchema.index({ 'storeMappings.store': 1 })
 
 // Generate handle if not provided
 collectionSchema.methods.generateHandle = function() {
@@ -214,6 +242,10 @@ collectionSchema.methods.removeProduct = function(productId) {
   return Promise.resolve(this)
 }
 
+collectionSchema.methods.getStoreMapping = function(storeId) {
+  return this.storeMappings.find(mapping => mapping.store.toString() === storeId.toString())
+}
+
 // Pre-save hook
 collectionSchema.pre('save', function(next) {
   this.generateHandle()
@@ -0,0 +1,114 @@
+import mongoose from 'mongoose'
+
+// One inventory change for a product variant in a store
+// Replaces the inventoryHistory arrays that used to live inside ProductMap variant mappings
+const inventoryMovementSchema = new mongoose.Schema({
+  // Owner of the product and store
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variantIndex: {
+    type: Number,
+    required: true
+  },
+  shopifyVariantId: String,
+  store: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Store',
+    required: true
+  },
+  locationId: String, // Shopify location ID when the change is location-specific
+
+  action: {
+    type: String,
+    enum: ['assigned', 'synced', 'adjusted', 'sold', 'returned'],
+    required: true
+  },
+  // Level after the change, the level before it and the difference
+  quantity: { type: Number, required: true },
+  previousQuantity: { type: Number, default: 0 },
+  delta: { type: Number, required: true },
+
+  // User who made the change; empty for webhook and scheduler updates
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reason: String,
+  // Source document, e.g. the Shopify order GID of a sale; used to skip repeated webhooks
+  reference: String,
+
+  occurredAt: { type: Date, default: Date.now }
+}, {
+  timestamps: true
+})
+
+inventoryMovementSchema.index({ product: 1, store: 1, occurredAt: -1 })
+inventoryMovementSchema.index({ product: 1, variantIndex: 1, store: 1, occurredAt: -1 })
+inventoryMovementSchema.index({ store: 1, action: 1, occurredAt: -1 })
+inventoryMovementSchema.index({ userId: 1, occurredAt: -1 })
+inventoryMovementSchema.index({ store: 1, reference: 1 }, { sparse: true })
+
+// Build a match stage from the history filters (ids may be strings)
+inventoryMovementSchema.statics.buildFilter = function({ userId, productId, storeId, variantIndex, action, locationId, from, to } = {}) {
+  const toId = (id) => new mongoose.Types.ObjectId(String(id))
+  const filter = {}
+
+  if (userId) filter.userId = toId(userId)
+  if (productId) filter.product = toId(productId)
+  if (storeId) filter.store = toId(storeId)
+  if (variantIndex !== undefined && variantIndex !== null && variantIndex !== '') filter.variantIndex = Number(variantIndex)
+  if (action) filter.action = Array.isArray(action) ? { $in: action } : action
+  if (locationId) filter.locationId = locationId
+  if (from || to) {
+    filter.occurredAt = {}
+    if (from) filter.occurredAt.$gte = new Date(from)
+    if (to) filter.occurredAt.$lte = new Date(to)
+  }
+
+  return filter
+}
+
+// Movement count and net change per action
+inventoryMovementSchema.statics.getActionTotals = function(filter = {}) {
+  return this.aggregate([
+    { $match: filter },
+    {
+      $group: {
+        _id: '$action',
+        movements: { $sum: 1 },
+        netChange: { $sum: '$delta' },
+        lastAt: { $max: '$occurredAt' }
+      }
+    },
+    { $project: { _id: 0, action: '$_id', movements: 1, netChange: 1, lastAt: 1 } },
+    { $sort: { action: 1 } }
+  ])
+}
+
+// Net change per store and variant, e.g. units sold per store over a period
+inventoryMovementSchema.statics.getNetChangeByVariant = function(filter = {}) {
+  return this.aggregate([
+    { $match: filter },
+    { $sort: { occurredAt: 1 } },
+    {
+      $group: {
+        _id: { store: '$store', variantIndex: '$variantIndex' },
+        netChange: { $sum: '$delta' },
+        movements: { $sum: 1 },
+        lastQuantity: { $last: '$quantity' }
+      }
+    },
+    { $project: { _id: 0, store: '$_id.store', variantIndex: '$_id.variantIndex', netChange: 1, movements: 1, lastQuantity: 1 } },
+    { $sort: { store: 1, variantIndex: 1 } }
+  ])
+}
+
+export const InventoryMovement = mongoose.model('InventoryMovement', inventoryMovementSchema)
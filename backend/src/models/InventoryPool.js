@@ -0,0 +1,154 @@
+import mongoose from 'mongoose'
+
+// Units of one variant a store may sell at a location (no locationId = the store's default location)
+const allocationSchema = new mongoose.Schema({
+  store: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Store',
+    required: true
+  },
+  locationId: { type: String, default: null },
+  quantity: { type: Number, default: 0, min: 0 },
+  updatedAt: { type: Date, default: Date.now }
+}, { _id: false })
+
+const poolVariantSchema = new mongoose.Schema({
+  variantIndex: { type: Number, required: true },
+  // Master on-hand, mirrored from the product variant's inventoryQuantity
+  onHand: { type: Number, default: 0 },
+  allocations: [allocationSchema]
+}, { _id: false })
+
+// Master stock of a product split between stores. Allocations of a variant never add up to
+// more than its on-hand, so two stores cannot be given the same units. Saves are rejected
+// when the pool changed since it was read (optimisticConcurrency); inventoryPool.service retries them.
+const inventoryPoolSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+    unique: true
+  },
+  // Shared pool: after every sale the remaining on-hand is split again between the store locations holding the variant
+  sharedPool: { type: Boolean, default: false },
+  variants: [poolVariantSchema]
+}, {
+  timestamps: true,
+  optimisticConcurrency: true
+})
+
+inventoryPoolSchema.index({ userId: 1 })
+
+const sameStore = (allocation, storeId) => allocation.store.toString() === storeId.toString()
+const sameLocation = (allocation, locationId) => (allocation.locationId || null) === (locationId || null)
+
+// Pool entry for a variant, created empty when missing
+inventoryPoolSchema.methods.getVariant = function(variantIndex) {
+  let variant = this.variants.find(v => v.variantIndex === variantIndex)
+  if (!variant) {
+    this.variants.push({ variantIndex, onHand: 0, allocations: [] })
+    variant = this.variants[this.variants.length - 1]
+  }
+  return variant
+}
+
+// Copy master quantities from the product; entries for removed variants are dropped
+inventoryPoolSchema.methods.syncOnHand = function(product) {
+  const variants = product.variants || []
+  this.variants = this.variants.filter(v => v.variantIndex < variants.length)
+  variants.forEach((variant, index) => {
+    const poolVariant = this.getVariant(index)
+    const onHand = variant.inventoryQuantity || 0
+    if (poolVariant.onHand !== onHand) poolVariant.onHand = onHand
+  })
+  return this
+}
+
+inventoryPoolSchema.methods.getAllocated = function(variantIndex) {
+  const variant = this.variants.find(v => v.variantIndex === variantIndex)
+  return variant ? variant.allocations.reduce((sum, a) => sum + (a.quantity || 0), 0) : 0
+}
+
+inventoryPoolSchema.methods.getUnallocated = function(variantIndex) {
+  const variant = this.variants.find(v => v.variantIndex === variantIndex)
+  return Math.max(0, (variant?.onHand || 0) - this.getAllocated(variantIndex))
+}
+
+// Allocations of a store for a variant, or only the one at locationId when given
+inventoryPoolSchema.methods.getStoreAllocations = function(variantIndex, storeId, locationId) {
+  const variant = this.variants.find(v => v.variantIndex === variantIndex)
+  if (!variant) return []
+  return variant.allocations.filter(a => sameStore(a, storeId) && (locationId === undefined || sameLocation(a, locationId)))
+}
+
+// Set a store location's allocation and return the previous quantity (availability is checked by the caller)
+inventoryPoolSchema.methods.setAllocation = function(variantIndex, storeId, locationId, quantity) {
+  const variant = this.getVariant(variantIndex)
+  const allocation = variant.allocations.find(a => sameStore(a, storeId) && sameLocation(a, locationId))
+  const previousQuantity = allocation?.quantity || 0
+
+  if (allocation) {
+    allocation.quantity = quantity
+    allocation.updatedAt = new Date()
+  } else if (quantity > 0) {
+    variant.allocations.push({ store: storeId, locationId: locationId || null, quantity, updatedAt: new Date() })
+  }
+
+  return previousQuantity
+}
+
+// Split the variant's on-hand evenly between its store locations (remainder to the first ones)
+// Returns the allocations whose quantity changed: [{ store, locationId, previousQuantity, quantity }]
+inventoryPoolSchema.methods.rebalance = function(variantIndex) {
+  const variant = this.variants.find(v => v.variantIndex === variantIndex)
+  if (!variant || variant.allocations.length === 0) return []
+
+  const total = Math.max(0, variant.onHand)
+  const share = Math.floor(total / variant.allocations.length)
+  const remainder = total % variant.allocations.length
+  const changes = []
+
+  variant.allocations.forEach((allocation, position) => {
+    const quantity = share + (position < remainder ? 1 : 0)
+    if (allocation.quantity === quantity) return
+    changes.push({ store: allocation.store, locationId: allocation.locationId, previousQuantity: allocation.quantity, quantity })
+    allocation.quantity = quantity
+    allocation.updatedAt = new Date()
+  })
+
+  return changes
+}
+
+// Plain per-variant view: on-hand, allocated, unallocated and each store location's share
+inventoryPoolSchema.methods.toSummary = function() {
+  return {
+    productId: this.product,
+    sharedPool: this.sharedPool,
+    variants: [...this.variants]
+      .sort((a, b) => a.variantIndex - b.variantIndex)
+      .map(variant => {
+        const allocated = this.getAllocated(variant.variantIndex)
+        return {
+          variantIndex: variant.variantIndex,
+          onHand: variant.onHand,
+          allocated,
+          unallocated: Math.max(0, variant.onHand - allocated),
+          overAllocated: Math.max(0, allocated - variant.onHand),
+          allocations: variant.allocations.map(a => ({
+            store: a.store,
+            locationId: a.locationId,
+            quantity: a.quantity,
+            updatedAt: a.updatedAt
+          }))
+        }
+      }),
+    updatedAt: this.updatedAt
+  }
+}
+
+export const InventoryPool = mongoose.model('InventoryPool', inventoryPoolSchema)
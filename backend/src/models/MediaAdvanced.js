@@ -29,6 +29,17 @@ const mediaSchema = new mongoose.Schema({
     }
   },
   
+  // Cloudinary asset behind url, needed to delete it (see services/mediaLibrary.service.js)
+  cloudinaryPublicId: {
+    type: String
+  },
+  
+  cloudinaryResourceType: {
+    type: String,
+    enum: ['image', 'video', 'raw'],
+    default: 'image'
+  },
+  
   // CDN/optimized URLs for different sizes
   optimizedUrls: {
     thumbnail: String,    // 150x150
@@ -271,13 +282,16 @@ mediaSchema.methods.removeProductUsage = function(productId) {
 // ==============================================
 
 // Find unused media
-mediaSchema.statics.findUnused = function() {
-  return this.find({
+mediaSchema.statics.findUnused = function(userId) {
+  const query = {
     $and: [
       { 'usedInProducts.0': { $exists: false } },
       { 'usedInCollections.0': { $exists: false } }
     ]
-  })
+  }
+  if (userId) query.uploadedBy = userId
+  
+  return this.find(query)
 }
 
 // Find by folder
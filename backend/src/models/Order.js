@@ -0,0 +1,83 @@
+import mongoose from 'mongoose'
+
+// One product line of a Shopify order, resolved to the dashboard product when the store product is mapped
+const orderLineItemSchema = new mongoose.Schema({
+  shopifyLineItemId: String,
+  shopifyProductId: String,
+  shopifyVariantId: String,
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  },
+  variantIndex: Number,
+  title: String,
+  variantTitle: String,
+  sku: String,
+  quantity: { type: Number, default: 0 },
+  price: { type: Number, default: 0 }, // Unit price in the shop currency
+  discount: { type: Number, default: 0 }, // Discount allocated to the whole line
+  revenue: { type: Number, default: 0 } // price * quantity - discount
+}, { _id: false })
+
+// Shopify order of a connected store, kept for sales analytics
+const orderSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  store: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Store',
+    required: true
+  },
+  shopifyOrderId: { type: String, required: true }, // Order GID
+  orderNumber: Number,
+  name: String, // e.g. "#1001"
+  currency: String,
+
+  totalPrice: { type: Number, default: 0 },
+  subtotalPrice: { type: Number, default: 0 },
+  totalDiscounts: { type: Number, default: 0 },
+  totalTax: { type: Number, default: 0 },
+
+  financialStatus: String,
+  fulfillmentStatus: String,
+  cancelledAt: { type: Date, default: null }, // Cancelled orders are left out of analytics
+
+  processedAt: { type: Date, required: true }, // When the order was placed
+  shopifyUpdatedAt: Date, // Used to ignore webhooks older than the stored version
+
+  lineItems: [orderLineItemSchema],
+
+  source: {
+    type: String,
+    enum: ['webhook', 'backfill'],
+    default: 'webhook'
+  }
+}, {
+  timestamps: true
+})
+
+orderSchema.index({ store: 1, shopifyOrderId: 1 }, { unique: true })
+orderSchema.index({ userId: 1, processedAt: -1 })
+orderSchema.index({ store: 1, processedAt: -1 })
+orderSchema.index({ 'lineItems.product': 1, processedAt: -1 })
+
+// Match stage for orders that count as sales (ids may be strings)
+orderSchema.statics.buildSalesMatch = function({ userId, storeId, from, to } = {}) {
+  const toId = (id) => new mongoose.Types.ObjectId(String(id))
+  const match = { cancelledAt: null }
+
+  if (userId) match.userId = toId(userId)
+  if (storeId) match.store = toId(storeId)
+  if (from || to) {
+    match.processedAt = {}
+    if (from) match.processedAt.$gte = from
+    if (to) match.processedAt.$lte = to
+  }
+
+  return match
+}
+
+export const Order = mongoose.model('Order', orderSchema)
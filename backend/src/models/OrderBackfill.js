@@ -0,0 +1,118 @@
+import mongoose from 'mongoose'
+
+// Import of a store's past Shopify orders into the Order collection
+// Processed by services/orderBackfill.service.js; resumes from the saved cursor after a restart
+const orderBackfillFailureSchema = new mongoose.Schema({
+  shopifyOrderId: { type: String, required: true },
+  name: String,
+  error: String
+}, { _id: false })
+
+const orderBackfillSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  store: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Store',
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'succeeded', 'failed', 'cancelled'],
+    default: 'queued',
+    index: true
+  },
+
+  // Orders processed in this range; no "from" means the store's whole history
+  options: {
+    from: Date,
+    to: Date
+  },
+
+  // Cursor after the last fully processed page
+  cursor: String,
+
+  // The store has not granted read_all_orders, so Shopify only returns the last 60 days
+  historyLimited: { type: Boolean, default: false },
+
+  progress: {
+    total: { type: Number, default: 0 },
+    processed: { type: Number, default: 0 },
+    created: { type: Number, default: 0 },
+    updated: { type: Number, default: 0 },
+    // Already stored in a newer version (e.g. by an orders/updated webhook)
+    skipped: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 }
+  },
+
+  // Orders that could not be stored (first 100)
+  failures: [orderBackfillFailureSchema],
+
+  // Store analytics recomputed from the stored orders when the backfill finished
+  analytics: {
+    totalOrders: Number,
+    totalRevenue: Number,
+    currency: String,
+    revenueByCurrency: [{
+      _id: false,
+      currency: String,
+      totalOrders: Number,
+      totalRevenue: Number
+    }]
+  },
+
+  cancelRequested: { type: Boolean, default: false },
+
+  // Lease of the process running the backfill, renewed while it runs (see orderBackfill.service.js)
+  lockedBy: String,
+  lockedAt: Date,
+  startedAt: Date,
+  finishedAt: Date,
+  error: String
+}, {
+  timestamps: true
+})
+
+orderBackfillSchema.index({ status: 1, createdAt: 1 })
+orderBackfillSchema.index({ userId: 1, createdAt: -1 })
+
+// Shape sent to clients over Socket.IO and in lists
+orderBackfillSchema.methods.toProgressPayload = function() {
+  return {
+    backfillId: this._id,
+    storeId: this.store?._id || this.store,
+    status: this.status,
+    options: this.options,
+    progress: this.progress,
+    failures: this.failures,
+    analytics: this.analytics,
+    historyLimited: this.historyLimited,
+    error: this.error,
+    createdAt: this.createdAt,
+    startedAt: this.startedAt,
+    finishedAt: this.finishedAt
+  }
+}
+
+// Requeue running backfills whose lease expired (the process running them died)
+// Backfills resume from the saved cursor.
+orderBackfillSchema.statics.requeueInterrupted = async function(staleBefore) {
+  const result = await this.updateMany(
+    { status: 'running', $or: [{ lockedAt: null }, { lockedAt: { $lt: staleBefore } }] },
+    { $set: { status: 'queued', lockedAt: null, lockedBy: null } }
+  )
+
+  return result.modifiedCount
+}
+
+orderBackfillSchema.methods.isFinished = function() {
+  return ['succeeded', 'failed', 'cancelled'].includes(this.status)
+}
+
+export const OrderBackfill = mongoose.model('OrderBackfill', orderBackfillSchema)
@@ -0,0 +1,35 @@
+import mongoose from 'mongoose'
+
+// Claim on the sale of one product in one order, taken before its stock moves
+// The unique index lets exactly one orders/create delivery take the stock (see services/inventoryPool.service.js#recordSale)
+const orderSaleClaimSchema = new mongoose.Schema({
+  store: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Store',
+    required: true
+  },
+  // Shopify order GID
+  reference: {
+    type: String,
+    required: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+
+  // Master stock was decremented; the claim can no longer be released or taken over
+  stockTaken: { type: Boolean, default: false },
+  // Set when a later step failed after the stock moved; needs a look, never re-applied
+  error: String,
+
+  claimedAt: { type: Date, default: Date.now },
+  completedAt: Date
+}, {
+  timestamps: true
+})
+
+orderSaleClaimSchema.index({ store: 1, reference: 1, product: 1 }, { unique: true })
+
+export const OrderSaleClaim = mongoose.model('OrderSaleClaim', orderSaleClaimSchema)
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose'
+import { InventoryMovement } from './InventoryMovement.js'
 
 // Dashboard Product to Store Product mapping
 // This model maps dashboard products to their Shopify store instances
@@ -73,11 +74,20 @@ const productMapSchema = new mongoose.Schema({
         key: { type: String, required: true },
         value: { type: String, required: true },
         type: { type: String, default: 'single_line_text_field' }
-      }]
+      }],
+      // Values kept from the store during drift review (replace the master value for this store)
+      fieldOverrides: {
+        title: String,
+        descriptionHtml: String,
+        vendor: String,
+        productType: String,
+        status: String
+      }
     },
     
     // Price adjustments for this specific store
     priceAdjustments: {
+      // 'percentage' is the legacy name of 'markup'
       type: {
         type: String,
         enum: ['none', 'percentage', 'fixed', 'markup', 'markdown'],
@@ -85,6 +95,13 @@ const productMapSchema = new mongoose.Schema({
       },
       value: { type: Number, default: 0 },
       roundTo: { type: Number, default: 0.01 },
+      roundingMode: {
+        type: String,
+        enum: ['nearest', 'up', 'down'],
+        default: 'nearest'
+      },
+      // Forced cents after adjustment, e.g. 0.99 for .99 endings (unset = keep roundTo result)
+      priceEnding: { type: Number, min: 0, max: 0.99 },
       applyToCompareAt: { type: Boolean, default: true }
     },
     
@@ -95,6 +112,7 @@ const productMapSchema = new mongoose.Schema({
       customPrice: Number,
       customCompareAtPrice: Number,
       customSku: String,
+      shopifyMediaId: String, // Variant image last attached in this store
       isActive: { type: Boolean, default: true },
       
       // Inventory tracking for this variant in this store
@@ -123,35 +141,23 @@ const productMapSchema = new mongoose.Schema({
           assignedQuantity: { type: Number, default: 0 },
           lastKnownQuantity: { type: Number, default: 0 },
           lastSyncAt: Date
-        }],
-        
-        // Inventory sync history
-        inventoryHistory: [{
-          action: {
-            type: String,
-            enum: ['assigned', 'synced', 'adjusted', 'sold', 'returned'],
-            required: true
-          },
-          quantity: { type: Number, required: true },
-          previousQuantity: Number,
-          reason: String,
-          timestamp: { type: Date, default: Date.now },
-          syncedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
-          locationId: String // If location-specific
         }]
+        // Inventory history lives in the InventoryMovement collection
       }
     }],
     
-    // Media mappings (dashboard media to Shopify media)
+    // Media mappings (dashboard media to Shopify media), kept by services/mediaSync.service.js
     mediaMappings: [{
       dashboardMediaIndex: { type: Number, required: true },
+      sourceUrl: String, // Dashboard media src; identifies the item when indexes shift
       shopifyMediaId: String,
       shopifyUrl: String,
       uploadStatus: {
         type: String,
         enum: ['pending', 'uploading', 'uploaded', 'error'],
         default: 'pending'
-      }
+      },
+      error: String
     }],
     
     // Sync history
@@ -172,10 +178,35 @@ const productMapSchema = new mongoose.Schema({
       syncDuration: Number // in milliseconds
     }],
     
+    // Normalized snapshot of what the dashboard last pushed (see services/productDrift.service.js)
+    lastPushedSnapshot: mongoose.Schema.Types.Mixed,
+    // Set while our own push is running; webhooks it causes are not drift
+    pushStartedAt: Date,
+    pushFinishedAt: Date,
+    
+    // Changes made directly in Shopify since the last push
+    drift: {
+      hasDrift: { type: Boolean, default: false },
+      detectedAt: Date,
+      checkedAt: Date,
+      source: {
+        type: String,
+        enum: ['webhook', 'review', 'schedule']
+      },
+      fields: [{
+        field: { type: String, required: true },
+        dashboardValue: mongoose.Schema.Types.Mixed,
+        storeValue: mongoose.Schema.Types.Mixed,
+        detectedAt: { type: Date, default: Date.now }
+      }]
+    },
+    
     // Last sync information
     lastSyncAt: Date,
     lastSuccessfulSyncAt: Date,
     lastSyncError: String,
+    // Last run of the sync scheduler for this mapping (services/syncScheduler.service.js)
+    lastScheduledSyncAt: Date,
     
     // Store-specific product status
     isPublished: { type: Boolean, default: false },
@@ -231,7 +262,11 @@ const productMapSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
-  deletedAt: Date
+  deletedAt: Date,
+
+  // Outbox: inventory movements are saved in the same write as the quantities they describe,
+  // then moved to the InventoryMovement collection (see flushInventoryMovements)
+  pendingInventoryMovements: [mongoose.Schema.Types.Mixed]
 }, {
   timestamps: true
 })
@@ -242,6 +277,7 @@ productMapSchema.index({ createdBy: 1 })
 productMapSchema.index({ 'storeMappings.store': 1 })
 productMapSchema.index({ 'storeMappings.shopifyProductId': 1 })
 productMapSchema.index({ 'storeMappings.status': 1 })
+productMapSchema.index({ 'storeMappings.drift.hasDrift': 1 })
 productMapSchema.index({ isActive: 1, isDeleted: 1 })
 
 // Compound indexes
@@ -250,6 +286,56 @@ productMapSchema.index({
   'storeMappings.store': 1 
 })
 
+// Move outbox movements into the ledger; movements keep their _id, so a repeated flush inserts nothing twice
+productMapSchema.statics.flushInventoryMovements = async function(productMapId, movements) {
+  if (!movements?.length) return 0
+
+  try {
+    await InventoryMovement.insertMany(movements, { ordered: false })
+  } catch (error) {
+    const onlyDuplicates = error.code === 11000 && (error.writeErrors || []).every(writeError => writeError.code === 11000)
+    if (!onlyDuplicates) throw error
+  }
+
+  await this.updateOne(
+    { _id: productMapId },
+    { $pull: { pendingInventoryMovements: { _id: { $in: movements.map(movement => movement._id) } } } }
+  )
+  return movements.length
+}
+
+// Flush outboxes left behind by a failed insert or a crash between save and flush
+productMapSchema.statics.flushAllPendingMovements = async function() {
+  const maps = await this.find({ 'pendingInventoryMovements.0': { $exists: true } })
+    .select('pendingInventoryMovements')
+    .lean()
+
+  let flushed = 0
+  for (const map of maps) {
+    try {
+      flushed += await this.flushInventoryMovements(map._id, map.pendingInventoryMovements)
+    } catch (error) {
+      console.error(`Failed to flush inventory movements for product map ${map._id}:`, error.message)
+    }
+  }
+  return flushed
+}
+
+// Write movements queued by recordInventoryMovement once the mapping is saved
+// A failed insert leaves them in the outbox for the next save or flushAllPendingMovements
+productMapSchema.post('save', async function(doc) {
+  const movements = (doc.pendingInventoryMovements || []).map(movement => ({ ...movement }))
+  if (!movements.length) return
+
+  try {
+    await doc.constructor.flushInventoryMovements(doc._id, movements)
+    doc.set('pendingInventoryMovements', [])
+    doc.unmarkModified('pendingInventoryMovements')
+  } catch (error) {
+    console.error(`Failed to record inventory movements for product map ${doc._id} (kept for retry):`, error.message)
+  }
+})
+
 // Method to add a store mapping (when pushing to a new store)
 productMapSchema.methods.addStoreMapping = function(storeId, shopifyProductId, shopifyHandle, customizations = {}) {
   // Check if mapping already exists
@@ -379,8 +465,31 @@ productMapSchema.methods.updateVariantMapping = function(storeId, dashboardVaria
   return this.save()
 }
 
-// Method to assign inventory to a store variant
-productMapSchema.methods.assignInventoryToStore = function(storeId, variantIndex, quantity, locationId, userId) {
+// Queue an InventoryMovement for a store variant; it is saved with the mapping and moved to the ledger after
+// entry: { action, quantity, previousQuantity, reason, actor, locationId, reference }
+productMapSchema.methods.recordInventoryMovement = function(storeMapping, variantMapping, entry) {
+  const previousQuantity = entry.previousQuantity || 0;
+  this.pendingInventoryMovements.push({
+    _id: new mongoose.Types.ObjectId(),
+    userId: this.createdBy,
+    product: this.dashboardProduct?._id || this.dashboardProduct,
+    variantIndex: variantMapping.dashboardVariantIndex,
+    shopifyVariantId: variantMapping.shopifyVariantId,
+    store: storeMapping.store?._id || storeMapping.store,
+    locationId: entry.locationId || undefined,
+    action: entry.action,
+    quantity: entry.quantity,
+    previousQuantity,
+    delta: entry.quantity - previousQuantity,
+    actor: entry.actor || undefined,
+    reason: entry.reason,
+    reference: entry.reference || undefined,
+    occurredAt: entry.occurredAt || new Date()
+  });
+};
+
+// Method to assign inventory to a store variant (caller saves the mapping)
+productMapSchema.methods.assignInventoryToStore = function(storeId, variantIndex, quantity, locationId, userId, reason = 'Manual assignment') {
   const storeMapping = this.getStoreMapping(storeId);
   if (!storeMapping) {
     throw new Error('Store mapping not found');
@@ -391,20 +500,20 @@ productMapSchema.methods.assignInventoryToStore = function(storeId, variantIndex
     throw new Error('Variant mapping not found');
   }
   
+  const previousQuantity = variant.inventoryTracking.assignedQuantity || 0;
+
   // Update assigned quantity
   variant.inventoryTracking.assignedQuantity = quantity;
   variant.inventoryTracking.assignedAt = new Date();
   variant.inventoryTracking.assignedBy = userId;
   
-  // Add to inventory history
-  variant.inventoryTracking.inventoryHistory.push({
+  this.recordInventoryMovement(storeMapping, variant, {
     action: 'assigned',
-    quantity: quantity,
-    previousQuantity: variant.inventoryTracking.assignedQuantity || 0,
-    reason: 'Manual assignment',
-    timestamp: new Date(),
-    syncedBy: userId,
-    locationId: locationId
+    quantity,
+    previousQuantity,
+    reason,
+    actor: userId,
+    locationId
   });
   
   // Update location-specific inventory
@@ -423,11 +532,11 @@ productMapSchema.methods.assignInventoryToStore = function(storeId, variantIndex
     }
   }
   
-  return this.save();
+  return variant;
 };
 
-// Method to sync inventory from Shopify (update last known quantities)
-productMapSchema.methods.syncInventoryFromShopify = function(storeId, variantIndex, shopifyQuantity, locationId) {
+// Method to sync inventory from Shopify (update last known quantities; caller saves the mapping)
+productMapSchema.methods.syncInventoryFromShopify = function(storeId, variantIndex, shopifyQuantity, locationId, reason = 'Shopify sync') {
   const storeMapping = this.getStoreMapping(storeId);
   if (!storeMapping) {
     throw new Error('Store mapping not found');
@@ -444,15 +553,16 @@ productMapSchema.methods.syncInventoryFromShopify = function(storeId, variantInd
   variant.inventoryTracking.lastKnownShopifyQuantity = shopifyQuantity;
   variant.inventoryTracking.lastInventorySyncAt = new Date();
   
-  // Add to inventory history
-  variant.inventoryTracking.inventoryHistory.push({
-    action: 'synced',
-    quantity: shopifyQuantity,
-    previousQuantity: previousQuantity,
-    reason: 'Shopify sync',
-    timestamp: new Date(),
-    locationId: locationId
-  });
+  // Unchanged levels are not worth a ledger entry
+  if (previousQuantity !== shopifyQuantity) {
+    this.recordInventoryMovement(storeMapping, variant, {
+      action: 'synced',
+      quantity: shopifyQuantity,
+      previousQuantity,
+      reason,
+      locationId
+    });
+  }
   
   // Update location-specific inventory
   if (locationId) {
@@ -463,7 +573,7 @@ productMapSchema.methods.syncInventoryFromShopify = function(storeId, variantInd
     }
   }
   
-  return this.save();
+  return variant;
 };
 
 // Method to get inventory summary for a store
@@ -0,0 +1,66 @@
+import mongoose from 'mongoose'
+
+// Proposed link between a dashboard master and a product that already exists in a store
+// Created by services/productMatching.service.js; confirming writes ProductMap.storeMappings
+const productMatchProposalSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  store: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Store',
+    required: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+
+  shopifyProductId: { type: String, required: true },
+  shopifyHandle: String,
+  shopifyTitle: String,
+
+  // 0-1, see productMatching.service.js#scoreMatch
+  confidence: { type: Number, min: 0, max: 1, required: true },
+  level: {
+    type: String,
+    enum: ['high', 'medium', 'low'],
+    required: true
+  },
+  // Identifiers that matched: handle, sku, barcode
+  matchedBy: [String],
+
+  variantAlignment: [{
+    dashboardVariantIndex: Number,
+    shopifyVariantId: String,
+    shopifyVariantTitle: String,
+    sku: String,
+    matchedBy: {
+      type: String,
+      enum: ['barcode', 'sku', 'options', 'single']
+    }
+  }],
+  unmatchedDashboardVariants: [Number],
+  unmatchedShopifyVariants: [{
+    shopifyVariantId: String,
+    title: String,
+    sku: String
+  }],
+
+  status: {
+    type: String,
+    enum: ['pending', 'confirmed', 'rejected', 'superseded'],
+    default: 'pending'
+  },
+  resolvedAt: Date
+}, {
+  timestamps: true
+})
+
+productMatchProposalSchema.index({ userId: 1, store: 1, status: 1 })
+productMatchProposalSchema.index({ product: 1, store: 1 })
+
+export const ProductMatchProposal = mongoose.model('ProductMatchProposal', productMatchProposalSchema)
@@ -219,6 +219,7 @@ productSchema.index({ vendor: 1, productType: 1 })
 productSchema.index({ tags: 1 })
 productSchema.index({ syncStatus: 1 })
 productSchema.index({ createdAt: -1 })
+productSchema.index({ 'media.libraryMedia': 1 })
 
 // Compound index for filtering
 productSchema.index({ 
@@ -530,6 +531,17 @@ productSchema.methods.toShopifyMediaInput = function() {
   }))
 }
 
+// Keep variant mediaIndexes pointing at the same files after product.media changes
+// previousSources: media srcs before the change; variants whose image was removed lose it
+productSchema.methods.remapVariantMediaIndexes = function(previousSources) {
+  this.variants.forEach(variant => {
+    if (!variant.mediaIndexes?.length) return
+    variant.mediaIndexes = variant.mediaIndexes
+      .map(index => this.media.findIndex(mediaItem => mediaItem.src === previousSources[index]))
+      .filter(index => index !== -1)
+  })
+}
+
 // ==============================================
 // STATIC METHODS
 // ==============================================
@@ -0,0 +1,22 @@
+import mongoose from 'mongoose'
+
+// Lease held by the process running a scheduler tick
+// Only one instance at a time may own a named lock; expired leases can be taken over
+const schedulerLockSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // hostname:pid of the holder
+  owner: String,
+  lockedUntil: {
+    type: Date,
+    default: () => new Date(0)
+  },
+  lastTickAt: Date
+}, {
+  timestamps: true
+})
+
+export const SchedulerLock = mongoose.model('SchedulerLock', schedulerLockSchema)
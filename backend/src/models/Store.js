@@ -1,4 +1,5 @@
 import mongoose from 'mongoose'
+import { encryptedTokenPlugin } from '../utils/tokenEncryption.js'
 
 const storeSchema = new mongoose.Schema({
   // User who owns this store connection
@@ -27,7 +28,7 @@ const storeSchema = new mongoose.Schema({
     lowercase: true
   },
   
-  // OAuth access token (encrypted in production)
+  // OAuth access token, encrypted at rest; reads return the decrypted token (see encryptedTokenPlugin)
   accessToken: {
     type: String,
     required: true
@@ -82,9 +83,17 @@ const storeSchema = new mongoose.Schema({
   }],
   
   // Cached analytics (updated periodically)
+  // totalRevenue only sums orders in the shop currency; orders in other currencies are kept apart
   analytics: {
     totalOrders: { type: Number, default: 0 },
     totalRevenue: { type: Number, default: 0 },
+    currency: String,
+    revenueByCurrency: [{
+      _id: false,
+      currency: String,
+      totalOrders: Number,
+      totalRevenue: Number
+    }],
     totalProducts: { type: Number, default: 0 },
     totalCustomers: { type: Number, default: 0 },
     lastUpdated: Date
@@ -92,10 +101,11 @@ const storeSchema = new mongoose.Schema({
   
   // Dashboard settings
   dashboardSettings: {
+    // Scheduled store runs read every mapped product from Shopify; hourly is opt-in
     syncFrequency: { 
       type: String, 
       enum: ['real-time', 'hourly', 'daily'], 
-      default: 'hourly' 
+      default: 'daily' 
     },
     autoSync: { type: Boolean, default: true },
     notifications: { type: Boolean, default: true }
@@ -111,6 +121,9 @@ const storeSchema = new mongoose.Schema({
   timestamps: true
 })
 
+// Encrypt accessToken at rest and keep it out of toJSON / toObject output
+storeSchema.plugin(encryptedTokenPlugin)
+
 // Compound index for user and shop (unique connection per user)
 storeSchema.index({ userId: 1, shopDomain: 1 }, { unique: true })
 
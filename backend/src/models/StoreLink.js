@@ -1,4 +1,5 @@
 import mongoose from 'mongoose'
+import { encryptedTokenPlugin } from '../utils/tokenEncryption.js'
 
 const storeLinkSchema = new mongoose.Schema({
   token: { type: String, required: true, unique: true, index: true },
@@ -7,7 +8,7 @@ const storeLinkSchema = new mongoose.Schema({
   shopEmail: String,
   // OAuth session payload we need to finalize the connection
   sessionId: String,
-  accessToken: { type: String, required: true },
+  accessToken: { type: String, required: true }, // Encrypted at rest (see encryptedTokenPlugin)
   scopes: [String],
   shopData: {
     id: Number,
@@ -25,6 +26,8 @@ const storeLinkSchema = new mongoose.Schema({
   expiresAt: { type: Date, required: true },
 }, { timestamps: true })
 
+storeLinkSchema.plugin(encryptedTokenPlugin)
+
 // TTL index (optional manual cleanup); do not auto-delete to allow manual handling
 storeLinkSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
 
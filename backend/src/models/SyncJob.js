@@ -0,0 +1,136 @@
+import mongoose from 'mongoose'
+
+// Background job for store pushes and bulk syncs
+// Jobs are processed by services/syncJob.service.js and survive process restarts
+const syncJobItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'succeeded', 'failed', 'cancelled'],
+    default: 'pending'
+  },
+  attempts: { type: Number, default: 0 },
+  // Compact outcome of the push (operation, shopifyProductId, handle)
+  result: mongoose.Schema.Types.Mixed,
+  error: String,
+  startedAt: Date,
+  finishedAt: Date
+}, { _id: true })
+
+const syncJobSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  store: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Store',
+    required: true,
+    index: true
+  },
+
+  // Which push operation each item runs
+  type: {
+    type: String,
+    enum: ['create', 'update', 'sync', 'bulk-sync'],
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'succeeded', 'failed', 'cancelled'],
+    default: 'queued',
+    index: true
+  },
+
+  // Operation options passed through to the product sync service
+  options: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  items: [syncJobItemSchema],
+
+  // Per-item retry budget
+  maxAttempts: { type: Number, default: 3, min: 1, max: 10 },
+
+  cancelRequested: { type: Boolean, default: false },
+
+  // Worker lease: the process running the job renews lockedAt; a stale lease means it died
+  lockedBy: String,
+  lockedAt: Date,
+  startedAt: Date,
+  finishedAt: Date,
+  error: String
+}, {
+  timestamps: true
+})
+
+syncJobSchema.index({ status: 1, createdAt: 1 })
+syncJobSchema.index({ userId: 1, createdAt: -1 })
+
+// Counts derived from item states
+syncJobSchema.methods.getProgress = function() {
+  const progress = { total: this.items.length, completed: 0, succeeded: 0, failed: 0, cancelled: 0 }
+
+  this.items.forEach(item => {
+    if (['succeeded', 'failed', 'cancelled'].includes(item.status)) progress.completed += 1
+    if (item.status === 'succeeded') progress.succeeded += 1
+    if (item.status === 'failed') progress.failed += 1
+    if (item.status === 'cancelled') progress.cancelled += 1
+  })
+
+  return progress
+}
+
+// Shape sent to clients over HTTP and Socket.IO
+syncJobSchema.methods.toProgressPayload = function() {
+  const current = this.items.find(item => item.status === 'running')
+
+  return {
+    jobId: this._id,
+    type: this.type,
+    status: this.status,
+    storeId: this.store?._id || this.store,
+    progress: this.getProgress(),
+    currentProductId: current ? current.product : null,
+    items: this.items.map(item => ({
+      productId: item.product,
+      status: item.status,
+      attempts: item.attempts,
+      result: item.result,
+      error: item.error
+    })),
+    error: this.error,
+    createdAt: this.createdAt,
+    startedAt: this.startedAt,
+    finishedAt: this.finishedAt
+  }
+}
+
+syncJobSchema.methods.isFinished = function() {
+  return ['succeeded', 'failed', 'cancelled'].includes(this.status)
+}
+
+// Jobs whose worker stopped renewing the lease (crash, restart) are put back in the queue
+// One atomic update, so several instances starting together cannot requeue a job twice
+syncJobSchema.statics.requeueInterrupted = async function(staleBefore) {
+  const result = await this.updateMany(
+    { status: 'running', $or: [{ lockedAt: null }, { lockedAt: { $lt: staleBefore } }] },
+    {
+      $set: { status: 'queued', lockedAt: null, lockedBy: null, 'items.$[item].status': 'pending' }
+    },
+    { arrayFilters: [{ 'item.status': 'running' }] }
+  )
+
+  return result.modifiedCount
+}
+
+export const SyncJob = mongoose.model('SyncJob', syncJobSchema)
@@ -0,0 +1,62 @@
+import mongoose from 'mongoose'
+
+// One scheduled sync run for a store (see services/syncScheduler.service.js)
+const syncRunSchema = new mongoose.Schema({
+  store: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Store',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // 'store' when the store's own syncFrequency was due, 'products' when only product schedules were
+  scope: {
+    type: String,
+    enum: ['store', 'products'],
+    required: true
+  },
+  frequency: String,
+
+  status: {
+    type: String,
+    enum: ['running', 'succeeded', 'partial', 'failed'],
+    default: 'running'
+  },
+
+  stats: {
+    mappings: { type: Number, default: 0 },
+    inventoryUpdated: { type: Number, default: 0 },
+    driftChecked: { type: Number, default: 0 },
+    driftFound: { type: Number, default: 0 },
+    pushesQueued: { type: Number, default: 0 },
+    // Pending changes held back because the store product drifted
+    pushesSkipped: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 }
+  },
+
+  // Push job for products with pending dashboard changes
+  syncJob: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SyncJob'
+  },
+
+  failures: [{
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+    shopifyProductId: String,
+    message: String
+  }],
+
+  startedAt: { type: Date, default: Date.now },
+  finishedAt: Date,
+  duration: Number // in milliseconds
+}, {
+  timestamps: true
+})
+
+syncRunSchema.index({ store: 1, startedAt: -1 })
+
+export const SyncRun = mongoose.model('SyncRun', syncRunSchema)
@@ -35,9 +35,6 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
-  refreshToken: {
-    type: String,
-  },
   lastLogin: {
     type: Date
   },
@@ -59,6 +56,22 @@ const userSchema = new mongoose.Schema({
     url: { type: String },
     publicId: { type: String }
   },
+  // TOTP two-factor authentication; secrets and recovery codes are never selected by default
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    enabledAt: Date,
+    // Encrypted with utils/tokenEncryption.js
+    secret: { type: String, select: false },
+    // Secret awaiting its first valid code during enrollment
+    pendingSecret: { type: String, select: false },
+    // sha256 hashes of one-time recovery codes
+    recoveryCodes: {
+      type: [{ hash: String, usedAt: Date }],
+      select: false
+    },
+    // Last accepted time step, so a code cannot be replayed
+    lastUsedStep: { type: Number, select: false }
+  },
   isDeleted: {
     type: Boolean,
     default: false
@@ -87,13 +100,14 @@ userSchema.methods.comparePassword = async function (password) {
   return await bcrypt.compare(password, this.password)
 }
 
-// Generate access token
-userSchema.methods.generateAccessToken = function () {
+// Generate access token for a session (models/UserSession.js)
+userSchema.methods.generateAccessToken = function (sessionId) {
   return jwt.sign(
     {
       _id: this._id,
       username: this.username,
-      email: this.email
+      email: this.email,
+      sid: sessionId
     },
     process.env.ACCESS_TOKEN_SECRET,
     {
@@ -102,11 +116,13 @@ userSchema.methods.generateAccessToken = function () {
   )
 }
 
-// Generate refresh token
-userSchema.methods.generateRefreshToken = function () {
+// Generate refresh token; only the session's current generation can be exchanged
+userSchema.methods.generateRefreshToken = function (session) {
   return jwt.sign(
     {
       _id: this._id,
+      sid: session._id,
+      gen: session.generation
     },
     process.env.REFRESH_TOKEN_SECRET,
     {
@@ -0,0 +1,58 @@
+import mongoose from 'mongoose'
+
+export const SESSION_REVOKE_REASONS = [
+  'logout', 'signed_out', 'reuse_detected', 'password_changed', 'password_reset', 'deactivated',
+  'two_factor_enabled'
+]
+
+// One signed-in device. The refresh token carries the session id and a generation number;
+// every refresh bumps the generation, so presenting an older refresh token means it was
+// copied and the session (the whole token family) is revoked. See services/session.service.js.
+const userSessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Generation of the only refresh token that may still be used
+  generation: {
+    type: Number,
+    default: 0
+  },
+  rotatedAt: Date,
+  userAgent: {
+    type: String,
+    maxlength: 500
+  },
+  // Readable label derived from the user agent, e.g. "Chrome on macOS"
+  device: String,
+  ip: String,
+  lastSeen: {
+    type: Date,
+    default: Date.now
+  },
+  // Follows the refresh token expiry; extended on every rotation
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: SESSION_REVOKE_REASONS
+  }
+}, {
+  timestamps: true
+})
+
+userSessionSchema.index({ user: 1, revokedAt: 1, expiresAt: 1 })
+
+// Expired sessions can no longer be refreshed; keep them a week for the audit trail
+userSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 })
+
+userSessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date()
+}
+
+export const UserSession = mongoose.model('UserSession', userSessionSchema)
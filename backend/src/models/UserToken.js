@@ -0,0 +1,112 @@
+import mongoose from 'mongoose'
+import crypto from 'crypto'
+
+export const USER_TOKEN_PURPOSES = ['email_verification', 'password_reset', 'two_factor_challenge']
+
+// Single-use token sent by email (verify address, reset password) or handed out between the
+// password and two-factor steps of a login. Only a hash of the token is stored.
+const userTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  purpose: {
+    type: String,
+    enum: USER_TOKEN_PURPOSES,
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Address the token was sent to; verification only counts for the address it was sent to
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Codes entered against a two-factor challenge
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  usedAt: Date
+}, {
+  timestamps: true
+})
+
+userTokenSchema.index({ user: 1, purpose: 1, usedAt: 1 })
+
+// Expired tokens are of no use; let MongoDB remove them a day later
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 })
+
+userTokenSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex')
+}
+
+/**
+ * Issue a token, invalidating earlier unused tokens of the same purpose
+ * @returns {Promise<{ token: string, userToken: Object }>} token is only returned here, never stored
+ */
+userTokenSchema.statics.issue = async function({ userId, purpose, email, ttlMs }) {
+  await this.updateMany(
+    { user: userId, purpose, usedAt: null },
+    { $set: { usedAt: new Date() } }
+  )
+
+  const token = crypto.randomBytes(32).toString('hex')
+  const userToken = await this.create({
+    user: userId,
+    purpose,
+    email,
+    tokenHash: this.hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs)
+  })
+
+  return { token, userToken }
+}
+
+/**
+ * Use a token once: atomically marks it used, so a second request with the same token fails
+ * @returns {Promise<Object|null>} The token document, or null when invalid, expired or already used
+ */
+userTokenSchema.statics.consume = function(token, purpose) {
+  return this.findOneAndUpdate(
+    {
+      tokenHash: this.hashToken(token || ''),
+      purpose,
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  )
+}
+
+/**
+ * Count an attempt against an active token before checking it (two-factor challenges)
+ * Atomic, so concurrent requests cannot get past maxAttempts between them.
+ * @returns {Promise<Object|null>} The token document, or null when invalid, expired, used or out of attempts
+ */
+userTokenSchema.statics.useAttempt = function(token, purpose, maxAttempts) {
+  return this.findOneAndUpdate(
+    {
+      tokenHash: this.hashToken(token || ''),
+      purpose,
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+      attempts: { $lt: maxAttempts }
+    },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  )
+}
+
+export const UserToken = mongoose.model('UserToken', userTokenSchema)
@@ -0,0 +1,140 @@
+import mongoose from 'mongoose'
+
+// Roles a member can have in a workspace, most to least privileged
+export const WORKSPACE_ROLES = ['owner', 'admin', 'editor', 'inventory', 'viewer']
+
+const ALL_PERMISSIONS = [
+  'products:read', 'products:write',
+  'collections:read', 'collections:write',
+  'inventory:read', 'inventory:write',
+  'stores:read', 'stores:manage',
+  'analytics:read',
+  'members:manage', 'workspace:manage'
+]
+
+// What each role may do; checked by checkPermission in middleware/auth.js
+// Owners and admins have the same permissions, but the owner cannot be removed or demoted
+export const ROLE_PERMISSIONS = {
+  owner: ALL_PERMISSIONS,
+  admin: ALL_PERMISSIONS,
+  editor: [
+    'products:read', 'products:write',
+    'collections:read', 'collections:write',
+    'inventory:read',
+    'stores:read',
+    'analytics:read'
+  ],
+  inventory: [
+    'products:read',
+    'collections:read',
+    'inventory:read', 'inventory:write',
+    'stores:read',
+    'analytics:read'
+  ],
+  viewer: [
+    'products:read',
+    'collections:read',
+    'inventory:read',
+    'stores:read',
+    'analytics:read'
+  ]
+}
+
+const workspaceMemberSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: WORKSPACE_ROLES,
+    required: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false })
+
+// Team sharing one set of stores, products, collections and inventory
+// Workspace data stays keyed by the owner's user id (the userId/createdBy fields of stores,
+// products, jobs, ...), so every user owns exactly one workspace and can be a member of others.
+const workspaceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  // Includes the owner with role 'owner'
+  members: [workspaceMemberSchema],
+  // Members without two-factor authentication are turned away by resolveWorkspace
+  requireTwoFactor: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+})
+
+workspaceSchema.index({ 'members.user': 1 })
+
+// Socket.IO room for workspace-wide events (job progress); members join it on connect
+workspaceSchema.statics.room = function(ownerId) {
+  return `workspace:${ownerId}`
+}
+
+// Get (or create on first use) the workspace a user owns
+workspaceSchema.statics.findOrCreatePersonal = function(user) {
+  return this.findOneAndUpdate(
+    { owner: user._id },
+    {
+      $setOnInsert: {
+        name: `${user.fullName || user.username}'s Workspace`,
+        members: [{ user: user._id, role: 'owner', joinedAt: new Date() }]
+      }
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  )
+}
+
+workspaceSchema.methods.getMember = function(userId) {
+  return this.members.find(member => String(member.user?._id || member.user) === String(userId))
+}
+
+workspaceSchema.methods.getRole = function(userId) {
+  return this.getMember(userId)?.role || null
+}
+
+workspaceSchema.methods.can = function(userId, permission) {
+  const role = this.getRole(userId)
+  return Boolean(role && ROLE_PERMISSIONS[role].includes(permission))
+}
+
+// Shape returned to clients for the current user
+workspaceSchema.methods.toSummary = function(userId) {
+  const role = this.getRole(userId)
+  return {
+    _id: this._id,
+    name: this.name,
+    owner: this.owner?._id || this.owner,
+    role,
+    permissions: role ? ROLE_PERMISSIONS[role] : [],
+    memberCount: this.members.length,
+    requireTwoFactor: Boolean(this.requireTwoFactor),
+    isPersonal: String(this.owner?._id || this.owner) === String(userId)
+  }
+}
+
+export const Workspace = mongoose.model('Workspace', workspaceSchema)
@@ -0,0 +1,84 @@
+import mongoose from 'mongoose'
+import crypto from 'crypto'
+import { WORKSPACE_ROLES } from './Workspace.js'
+
+// Email invitation to join a workspace
+// Only a hash of the token is stored; the token itself is sent in the invitation link.
+const workspaceInvitationSchema = new mongoose.Schema({
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true,
+    index: true
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: WORKSPACE_ROLES.filter(role => role !== 'owner'),
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'revoked'],
+    default: 'pending'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  acceptedAt: Date
+}, {
+  timestamps: true
+})
+
+workspaceInvitationSchema.index({ workspace: 1, email: 1, status: 1 })
+
+workspaceInvitationSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex')
+}
+
+// Create a random token; returns { token, tokenHash }
+workspaceInvitationSchema.statics.generateToken = function() {
+  const token = crypto.randomBytes(32).toString('hex')
+  return { token, tokenHash: this.hashToken(token) }
+}
+
+workspaceInvitationSchema.statics.findPendingByToken = function(token) {
+  return this.findOne({
+    tokenHash: this.hashToken(token || ''),
+    status: 'pending',
+    expiresAt: { $gt: new Date() }
+  })
+}
+
+workspaceInvitationSchema.methods.isExpired = function() {
+  return this.expiresAt <= new Date()
+}
+
+workspaceInvitationSchema.methods.toJSON = function() {
+  const invitation = this.toObject()
+  delete invitation.tokenHash
+  invitation.expired = this.status === 'pending' && this.isExpired()
+  return invitation
+}
+
+export const WorkspaceInvitation = mongoose.model('WorkspaceInvitation', workspaceInvitationSchema)
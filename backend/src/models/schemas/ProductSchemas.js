@@ -34,6 +34,11 @@ export const mediaSchema = new mongoose.Schema({
   position: { // For ordering
     type: Number,
     default: 0
+  },
+  // Set when the file comes from the media library (models/MediaAdvanced.js)
+  libraryMedia: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Media'
   }
 }, { _id: false })
 
@@ -162,6 +167,7 @@ export const productVariantSchema = new mongoose.Schema({
   optionValues: [variantOptionValueSchema],
   
   // Variant-specific media linkage (indexes referencing product.media array)
+  // The first index is the variant image attached in each store on push
   mediaIndexes: {
     type: [Number],
     default: []
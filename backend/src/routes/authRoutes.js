@@ -6,7 +6,24 @@ import {
     refreshAccessToken,
     changeCurrentPassword,
     getCurrentUser,
+    verifyEmail,
+    resendVerificationEmail,
+    forgotPassword,
+    resetPassword,
+    verifyTwoFactorLogin,
 } from '../controllers/authController.js';
+import {
+    getTwoFactorStatus,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
+} from '../controllers/twoFactorController.js';
+import {
+    getSessions,
+    revokeSession,
+    revokeOtherSessions,
+} from '../controllers/sessionController.js';
 import { authenticateUser, optionalAuth } from '../middleware/auth.js';
 
 const router = Router();
@@ -16,10 +33,27 @@ router.route('/register').post(registerUser);
 router.route('/login').post(loginUser);
 router.route('/refresh-token').post(refreshAccessToken);
 router.route('/logout').post(logoutUser); // No middleware - handles expired tokens
+router.route('/verify-email').post(verifyEmail); // Link may be opened in a signed-out browser
+router.route('/forgot-password').post(forgotPassword);
+router.route('/reset-password').post(resetPassword);
+router.route('/2fa/verify').post(verifyTwoFactorLogin); // Second login step, before a session exists
 
 // Protected routes
 router.route('/current-user').get(authenticateUser, getCurrentUser);
 router.route('/change-password').post(authenticateUser, changeCurrentPassword);
+router.route('/resend-verification').post(authenticateUser, resendVerificationEmail);
+
+// Two-factor management
+router.route('/2fa').get(authenticateUser, getTwoFactorStatus);
+router.route('/2fa/setup').post(authenticateUser, setupTwoFactor);
+router.route('/2fa/enable').post(authenticateUser, enableTwoFactor);
+router.route('/2fa/disable').post(authenticateUser, disableTwoFactor);
+router.route('/2fa/recovery-codes').post(authenticateUser, regenerateRecoveryCodes);
+
+// Signed-in devices
+router.route('/sessions').get(authenticateUser, getSessions);
+router.route('/sessions/others').delete(authenticateUser, revokeOtherSessions);
+router.route('/sessions/:sessionId').delete(authenticateUser, revokeSession);
 
 
 export default router;
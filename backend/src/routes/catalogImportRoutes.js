@@ -0,0 +1,25 @@
+/**
+ * Catalog Import Routes
+ * Import existing Shopify products into the dashboard as master products
+ */
+
+import { Router } from 'express';
+import {
+  startCatalogImport,
+  getCatalogImports,
+  getCatalogImport,
+  cancelCatalogImport
+} from '../controllers/catalogImportController.js';
+import { authenticateUser, resolveWorkspace, checkPermission } from '../middleware/auth.js';
+
+const router = Router();
+
+// All routes require authentication and act in the selected workspace
+router.use(authenticateUser, resolveWorkspace);
+
+router.post('/', checkPermission('products:write'), startCatalogImport);
+router.get('/', checkPermission('products:read'), getCatalogImports);
+router.get('/:importId', checkPermission('products:read'), getCatalogImport);
+router.post('/:importId/cancel', checkPermission('products:write'), cancelCatalogImport);
+
+export default router;
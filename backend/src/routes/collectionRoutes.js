@@ -7,7 +7,7 @@ import {
   removeProductsFromStoreCollection,
   searchCollectionsAcrossStores
 } from '../controllers/collectionController.js';
-import { authenticateUser as verifyJWT } from '../middleware/auth.js';
+import { authenticateUser as verifyJWT, resolveWorkspace, checkPermission } from '../middleware/auth.js';
 
 const router = express.Router();
 
@@ -21,7 +21,10 @@ const router = express.Router();
  */
 
 // Apply authentication middleware to all routes
-router.use(verifyJWT);
+router.use(verifyJWT, resolveWorkspace);
+
+const canRead = checkPermission('collections:read');
+const canWrite = checkPermission('collections:write');
 
 // ==============================================
 // COLLECTION FETCH ROUTES
@@ -33,7 +36,7 @@ router.use(verifyJWT);
  * @access  Private
  * @params  query (string) - search term, limit (number) - max results
  */
-router.get('/search', searchCollectionsAcrossStores);
+router.get('/search', canRead, searchCollectionsAcrossStores);
 
 /**
  * @route   GET /api/collections/:storeId
@@ -42,7 +45,7 @@ router.get('/search', searchCollectionsAcrossStores);
  * @params  storeId (string) - MongoDB store ID
  * @query   first (number) - pagination limit, after (string) - cursor, query (string) - search
  */
-router.get('/:storeId', getStoreCollections);
+router.get('/:storeId', canRead, getStoreCollections);
 
 /**
  * @route   GET /api/collections/:storeId/:collectionId
@@ -50,7 +53,7 @@ router.get('/:storeId', getStoreCollections);
  * @access  Private
  * @params  storeId (string) - MongoDB store ID, collectionId (string) - Shopify collection ID
  */
-router.get('/:storeId/:collectionId', getCollectionDetails);
+router.get('/:storeId/:collectionId', canRead, getCollectionDetails);
 
 // ==============================================
 // COLLECTION MANAGEMENT ROUTES
@@ -63,7 +66,7 @@ router.get('/:storeId/:collectionId', getCollectionDetails);
  * @params  storeId (string) - MongoDB store ID
  * @body    title, description, handle, ruleSet, image, seo
  */
-router.post('/:storeId', createStoreCollection);
+router.post('/:storeId', canWrite, createStoreCollection);
 
 /**
  * @route   POST /api/collections/:storeId/:collectionId/products
@@ -72,7 +75,7 @@ router.post('/:storeId', createStoreCollection);
  * @params  storeId (string) - MongoDB store ID, collectionId (string) - Shopify collection ID
  * @body    productIds (array) - Array of Shopify product IDs
  */
-router.post('/:storeId/:collectionId/products', addProductsToStoreCollection);
+router.post('/:storeId/:collectionId/products', canWrite, addProductsToStoreCollection);
 
 /**
  * @route   DELETE /api/collections/:storeId/:collectionId/products
@@ -81,6 +84,6 @@ router.post('/:storeId/:collectionId/products', addProductsToStoreCollection);
  * @params  storeId (string) - MongoDB store ID, collectionId (string) - Shopify collection ID
  * @body    productIds (array) - Array of Shopify product IDs
  */
-router.delete('/:storeId/:collectionId/products', removeProductsFromStoreCollection);
+router.delete('/:storeId/:collectionId/products', canWrite, removeProductsFromStoreCollection);
 
 export default router;
@@ -1,19 +1,34 @@
 import { Router } from 'express';
 import { 
   getDashboardStats,
-  getUnpushedProducts
+  getUnpushedProducts,
+  getSalesSummary,
+  getSalesByProduct,
+  getSalesByStore,
+  getSalesByDay,
+  getSellThrough
 } from '../controllers/dashboardController.js';
-import { authenticateUser } from '../middleware/auth.js';
+import { authenticateUser, resolveWorkspace, checkPermission } from '../middleware/auth.js';
 
 const router = Router();
 
 // All dashboard routes require authentication
-router.use(authenticateUser);
+router.use(authenticateUser, resolveWorkspace);
+
+const canReadProducts = checkPermission('products:read');
+const canReadAnalytics = checkPermission('analytics:read');
 
 // Dashboard statistics
-router.get('/stats', getDashboardStats);
+router.get('/stats', canReadProducts, getDashboardStats);
 
 // Unpushed products
-router.get('/unpushed-products', getUnpushedProducts);
+router.get('/unpushed-products', canReadProducts, getUnpushedProducts);
+
+// Sales analytics from stored Shopify orders
+router.get('/sales/summary', canReadAnalytics, getSalesSummary);
+router.get('/sales/by-product', canReadAnalytics, getSalesByProduct);
+router.get('/sales/by-store', canReadAnalytics, getSalesByStore);
+router.get('/sales/by-day', canReadAnalytics, getSalesByDay);
+router.get('/sales/sell-through', canReadAnalytics, getSellThrough);
 
 export default router;
@@ -9,6 +9,8 @@ import {
   assignInventoryToStore,
   syncInventoryFromShopify,
   getInventorySummary,
+  getInventoryPool,
+  updateInventoryPool,
   getInventoryHistory,
   getLiveShopifyInventory,
   getInventoryAllocationRecommendations,
@@ -16,35 +18,42 @@ import {
 } from '../controllers/inventoryController.js';
 
 import { createStoreSession } from '../middleware/storeSession.js';
-import { authenticateUser } from '../middleware/auth.js';
+import { authenticateUser, resolveWorkspace, checkPermission } from '../middleware/auth.js';
 
 const router = Router();
 
-// All routes require authentication
-router.use(authenticateUser);
+// All routes require authentication and act in the selected workspace
+router.use(authenticateUser, resolveWorkspace);
+
+const canRead = checkPermission('inventory:read');
+const canWrite = checkPermission('inventory:write');
 
 // Get store locations for specific store (requires storeId)
-router.get('/stores/:storeId/locations', getStoreLocations);
+router.get('/stores/:storeId/locations', canRead, getStoreLocations);
 
-// Assign inventory from master product to store
-router.post('/products/:productId/stores/:storeId/inventory/assign', assignInventoryToStore);
+// Assign inventory from master product to store and apply it at a Shopify location
+router.post('/products/:productId/stores/:storeId/inventory/assign', canWrite, createStoreSession, assignInventoryToStore);
 
 // Sync inventory from Shopify store to update our records
-router.post('/products/:productId/stores/:storeId/inventory/sync', syncInventoryFromShopify);
+router.post('/products/:productId/stores/:storeId/inventory/sync', canWrite, createStoreSession, syncInventoryFromShopify);
 
 // Get inventory summary for a product (all stores or specific store)
-router.get('/products/:productId/inventory/summary', getInventorySummary);
+router.get('/products/:productId/inventory/summary', canRead, getInventorySummary);
+
+// Master stock pool: allocated and unallocated units per variant, and the shared pool setting
+router.get('/products/:productId/inventory/pool', canRead, getInventoryPool);
+router.patch('/products/:productId/inventory/pool', canWrite, updateInventoryPool);
 
 // Get inventory change history
-router.get('/products/:productId/stores/:storeId/inventory/history', getInventoryHistory);
+router.get('/products/:productId/stores/:storeId/inventory/history', canRead, getInventoryHistory);
 
 // Live Shopify inventory data routes
-router.post('/products/:productId/stores/:storeId/live-inventory', getLiveShopifyInventory);
+router.post('/products/:productId/stores/:storeId/live-inventory', canRead, getLiveShopifyInventory);
 
 // Get inventory allocation recommendations
-router.post('/allocation/recommendations', getInventoryAllocationRecommendations);
+router.post('/allocation/recommendations', canRead, getInventoryAllocationRecommendations);
 
 // Get real-time allocation data for dashboard
-router.post('/allocation/real-time', getRealTimeAllocationData);
+router.post('/allocation/real-time', canRead, getRealTimeAllocationData);
 
 export default router;
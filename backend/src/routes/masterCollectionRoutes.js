@@ -0,0 +1,120 @@
+import express from 'express';
+import {
+  getMasterCollections,
+  getMasterCollection,
+  createMasterCollection,
+  updateMasterCollection,
+  deleteMasterCollection,
+  previewMasterCollectionRules,
+  addMasterCollectionProducts,
+  removeMasterCollectionProducts,
+  pushMasterCollection,
+  unlinkMasterCollectionStore
+} from '../controllers/masterCollectionController.js';
+import { authenticateUser as verifyJWT, resolveWorkspace, checkPermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * MASTER COLLECTION ROUTES
+ * ========================
+ *
+ * Dashboard collections that are pushed to one or more stores.
+ * Per-store Shopify collections stay under /api/collections.
+ */
+
+router.use(verifyJWT, resolveWorkspace);
+
+const canRead = checkPermission('collections:read');
+const canWrite = checkPermission('collections:write');
+
+// ==============================================
+// CRUD
+// ==============================================
+
+/**
+ * @route   GET /api/master-collections
+ * @desc    List master collections
+ * @access  Private
+ * @query   page?, limit?, search?, collectionType?
+ */
+router.get('/', canRead, getMasterCollections);
+
+/**
+ * @route   POST /api/master-collections
+ * @desc    Create a master collection
+ * @access  Private
+ * @body    { title, descriptionHtml?, handle?, collectionType?, ruleSet?, productIds?,
+ *            sortOrder?, seo?, image?, templateSuffix?, metafields?, color? }
+ */
+router.post('/', canWrite, createMasterCollection);
+
+/**
+ * @route   POST /api/master-collections/preview
+ * @desc    Preview the dashboard products a smart collection rule set selects
+ * @access  Private
+ * @body    { ruleSet: { appliedDisjunctively, rules[] }, limit? }
+ */
+router.post('/preview', canRead, previewMasterCollectionRules);
+
+/**
+ * @route   GET /api/master-collections/:id
+ * @desc    Get a master collection with member products and store mappings
+ * @access  Private
+ */
+router.get('/:id', canRead, getMasterCollection);
+
+/**
+ * @route   PUT /api/master-collections/:id
+ * @desc    Update a master collection; pushed to its stores unless propagate=false
+ * @access  Private
+ */
+router.put('/:id', canWrite, updateMasterCollection);
+
+/**
+ * @route   DELETE /api/master-collections/:id
+ * @desc    Delete a master collection (deleteFromStores=true also deletes the store copies)
+ * @access  Private
+ */
+router.delete('/:id', canWrite, deleteMasterCollection);
+
+// ==============================================
+// MEMBERSHIP
+// ==============================================
+
+/**
+ * @route   POST /api/master-collections/:id/products
+ * @desc    Add dashboard products to a manual collection
+ * @access  Private
+ * @body    { productIds[] }
+ */
+router.post('/:id/products', canWrite, addMasterCollectionProducts);
+
+/**
+ * @route   DELETE /api/master-collections/:id/products
+ * @desc    Remove dashboard products from a manual collection
+ * @access  Private
+ * @body    { productIds[] }
+ */
+router.delete('/:id/products', canWrite, removeMasterCollectionProducts);
+
+// ==============================================
+// STORE PUSH
+// ==============================================
+
+/**
+ * @route   POST /api/master-collections/:id/push
+ * @desc    Create or update the collection in the selected stores
+ * @access  Private
+ * @body    { storeIds[] }
+ */
+router.post('/:id/push', canWrite, pushMasterCollection);
+
+/**
+ * @route   DELETE /api/master-collections/:id/stores/:storeId
+ * @desc    Stop syncing to a store (deleteInStore=true also deletes it there)
+ * @access  Private
+ */
+router.delete('/:id/stores/:storeId', canWrite, unlinkMasterCollectionStore);
+
+export default router;
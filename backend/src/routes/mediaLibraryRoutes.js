@@ -0,0 +1,90 @@
+import express from 'express';
+import {
+  uploadLibraryMedia,
+  getLibraryMedia,
+  getLibraryFacets,
+  updateLibraryMedia,
+  deleteLibraryMedia,
+  attachLibraryMedia,
+  detachLibraryMedia,
+  cleanupUnusedMedia
+} from '../controllers/mediaLibraryController.js';
+import { authenticateUser as verifyJWT, resolveWorkspace, checkPermission } from '../middleware/auth.js';
+import { upload } from '../middleware/multer.js';
+
+const router = express.Router();
+
+/**
+ * MEDIA LIBRARY ROUTES
+ * ====================
+ *
+ * Shared media that can be attached to many products.
+ */
+
+router.use(verifyJWT, resolveWorkspace);
+
+const canRead = checkPermission('products:read');
+const canWrite = checkPermission('products:write');
+
+/**
+ * @route   GET /api/media
+ * @desc    List and search library media
+ * @access  Private
+ * @query   page?, limit?, search?, folder?, tags?, mediaContentType?, unused?
+ */
+router.get('/', canRead, getLibraryMedia);
+
+/**
+ * @route   POST /api/media
+ * @desc    Upload files into the library
+ * @access  Private
+ * @body    multipart: media (files), folder?, tags?, alt?
+ */
+router.post('/', canWrite, upload.array('media', 10), uploadLibraryMedia);
+
+/**
+ * @route   GET /api/media/facets
+ * @desc    Folders and tags with file counts
+ * @access  Private
+ */
+router.get('/facets', canRead, getLibraryFacets);
+
+/**
+ * @route   POST /api/media/cleanup
+ * @desc    Delete unused library files and their Cloudinary assets
+ * @access  Private
+ * @body    { dryRun?, olderThanDays? }
+ */
+router.post('/cleanup', canWrite, cleanupUnusedMedia);
+
+/**
+ * @route   PUT /api/media/:id
+ * @desc    Edit alt text, caption, folder or tags
+ * @access  Private
+ */
+router.put('/:id', canWrite, updateLibraryMedia);
+
+/**
+ * @route   DELETE /api/media/:id
+ * @desc    Delete a library file (force=true also removes it from products)
+ * @access  Private
+ */
+router.delete('/:id', canWrite, deleteLibraryMedia);
+
+/**
+ * @route   POST /api/media/:id/attach
+ * @desc    Attach a library file to products
+ * @access  Private
+ * @body    { productIds[] }
+ */
+router.post('/:id/attach', canWrite, attachLibraryMedia);
+
+/**
+ * @route   POST /api/media/:id/detach
+ * @desc    Detach a library file from products
+ * @access  Private
+ * @body    { productIds[] }
+ */
+router.post('/:id/detach', canWrite, detachLibraryMedia);
+
+export default router;
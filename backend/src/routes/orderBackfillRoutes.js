@@ -0,0 +1,25 @@
+/**
+ * Order Backfill Routes
+ * Import a store's past Shopify orders for sales analytics
+ */
+
+import { Router } from 'express';
+import {
+  startOrderBackfill,
+  getOrderBackfills,
+  getOrderBackfill,
+  cancelOrderBackfill
+} from '../controllers/orderBackfillController.js';
+import { authenticateUser, resolveWorkspace, checkPermission } from '../middleware/auth.js';
+
+const router = Router();
+
+// All routes require authentication and act in the selected workspace
+router.use(authenticateUser, resolveWorkspace);
+
+router.post('/', checkPermission('stores:manage'), startOrderBackfill);
+router.get('/', checkPermission('stores:read'), getOrderBackfills);
+router.get('/:backfillId', checkPermission('stores:read'), getOrderBackfill);
+router.post('/:backfillId/cancel', checkPermission('stores:manage'), cancelOrderBackfill);
+
+export default router;
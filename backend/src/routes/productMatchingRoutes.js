@@ -0,0 +1,30 @@
+/**
+ * Product Matching Routes
+ * Link dashboard masters to products that already exist in connected stores
+ */
+
+import { Router } from 'express';
+import {
+  startMatchingScan,
+  getMatchingScanStatus,
+  getMatchProposals,
+  confirmMatchProposals,
+  rejectMatchProposal
+} from '../controllers/productMatchingController.js';
+import { authenticateUser, resolveWorkspace, checkPermission } from '../middleware/auth.js';
+
+const router = Router();
+
+// All routes require authentication and act in the selected workspace
+router.use(authenticateUser, resolveWorkspace);
+
+const canRead = checkPermission('products:read');
+const canWrite = checkPermission('products:write');
+
+router.post('/scan', canWrite, startMatchingScan);
+router.get('/scan', canRead, getMatchingScanStatus);
+router.get('/proposals', canRead, getMatchProposals);
+router.post('/proposals/confirm', canWrite, confirmMatchProposals);
+router.post('/proposals/:proposalId/reject', canWrite, rejectMatchProposal);
+
+export default router;
@@ -7,6 +7,7 @@ import {
   updateProduct,
   duplicateProduct,
   deleteProduct,
+  importProductsCsv,
   
   // Options management
   addProductOption,
@@ -27,8 +28,8 @@ import {
   getShopifyPreview
 } from '../controllers/productControllerNew.js';
 
-import { authenticateUser as verifyJWT } from '../middleware/auth.js';
-import { upload } from '../middleware/multer.js';
+import { authenticateUser as verifyJWT, resolveWorkspace, checkPermission } from '../middleware/auth.js';
+import { upload, uploadCsv } from '../middleware/multer.js';
 
 const router = express.Router();
 
@@ -41,7 +42,10 @@ const router = express.Router();
  */
 
 // Apply authentication to all routes
-router.use(verifyJWT);
+router.use(verifyJWT, resolveWorkspace);
+
+const canRead = checkPermission('products:read');
+const canWrite = checkPermission('products:write');
 
 // ==============================================
 // CORE PRODUCT OPERATIONS
@@ -55,7 +59,7 @@ router.use(verifyJWT);
  *           status?, published?, publishDate?, collectionsToJoin?, giftCard?, 
  *           options?, variants?, seo?, metafields?, category?, notes? }
  */
-router.post('/', upload.array('media', 10), createProduct);
+router.post('/', canWrite, upload.array('media', 10), createProduct);
 
 /**
  * @route   GET /api/products
@@ -64,14 +68,24 @@ router.post('/', upload.array('media', 10), createProduct);
  * @query   page?, limit?, status?, vendor?, productType?, tags?, search?, 
  *          category?, syncStatus?, hasImages?, sortBy?, sortOrder?
  */
-router.get('/', getUserProducts);
+router.get('/', canRead, getUserProducts);
+
+/**
+ * @route   POST /api/products/import/csv
+ * @desc    Import products from a Shopify product CSV (rows grouped by Handle)
+ * @access  Private
+ * @file    file - CSV in Shopify's product export format
+ * @body    { mode?: 'create' | 'update' | 'skip', dryRun? }
+ * @returns { mode, dryRun, summary, products[], errors[] } - errors are per CSV row
+ */
+router.post('/import/csv', canWrite, uploadCsv.single('file'), importProductsCsv);
 
 /**
  * @route   GET /api/products/:id
  * @desc    Get single product by ID
  * @access  Private
  */
-router.get('/:id', getProduct);
+router.get('/:id', canRead, getProduct);
 
 /**
  * @route   PUT /api/products/:id
@@ -79,7 +93,7 @@ router.get('/:id', getProduct);
  * @access  Private
  * @body    Any product fields to update
  */
-router.put('/:id', upload.array('media', 10), updateProduct);
+router.put('/:id', canWrite, upload.array('media', 10), updateProduct);
 
 /**
  * @route   POST /api/products/:id/duplicate
@@ -87,14 +101,14 @@ router.put('/:id', upload.array('media', 10), updateProduct);
  * @access  Private
  * @body    { title?, handle? }
  */
-router.post('/:id/duplicate', duplicateProduct);
+router.post('/:id/duplicate', canWrite, duplicateProduct);
 
 /**
  * @route   DELETE /api/products/:id
  * @desc    Delete product (only if not synced to stores)
  * @access  Private
  */
-router.delete('/:id', deleteProduct);
+router.delete('/:id', canWrite, deleteProduct);
 
 // ==============================================
 // PRODUCT OPTIONS MANAGEMENT
@@ -106,7 +120,7 @@ router.delete('/:id', deleteProduct);
  * @access  Private
  * @body    { name, optionValues[] }
  */
-router.post('/:id/options', addProductOption);
+router.post('/:id/options', canWrite, addProductOption);
 
 /**
  * @route   PUT /api/products/:id/options/:optionIndex
@@ -114,14 +128,14 @@ router.post('/:id/options', addProductOption);
  * @access  Private
  * @body    { name?, optionValues[]? }
  */
-router.put('/:id/options/:optionIndex', updateProductOption);
+router.put('/:id/options/:optionIndex', canWrite, updateProductOption);
 
 /**
  * @route   DELETE /api/products/:id/options/:optionIndex
  * @desc    Delete product option
  * @access  Private
  */
-router.delete('/:id/options/:optionIndex', deleteProductOption);
+router.delete('/:id/options/:optionIndex', canWrite, deleteProductOption);
 
 // ==============================================
 // PRODUCT VARIANTS MANAGEMENT
@@ -135,7 +149,7 @@ router.delete('/:id/options/:optionIndex', deleteProductOption);
  *           inventoryPolicy?, requiresShipping?, taxable?, weight?, 
  *           weightUnit?, optionValues[]? }
  */
-router.post('/:id/variants', addProductVariant);
+router.post('/:id/variants', canWrite, addProductVariant);
 
 /**
  * @route   PUT /api/products/:id/variants/:variantIndex
@@ -143,14 +157,14 @@ router.post('/:id/variants', addProductVariant);
  * @access  Private
  * @body    Variant fields to update
  */
-router.put('/:id/variants/:variantIndex', updateProductVariant);
+router.put('/:id/variants/:variantIndex', canWrite, updateProductVariant);
 
 /**
  * @route   DELETE /api/products/:id/variants/:variantIndex
  * @desc    Delete product variant
  * @access  Private
  */
-router.delete('/:id/variants/:variantIndex', deleteProductVariant);
+router.delete('/:id/variants/:variantIndex', canWrite, deleteProductVariant);
 
 // ==============================================
 // MEDIA MANAGEMENT
@@ -162,14 +176,14 @@ router.delete('/:id/variants/:variantIndex', deleteProductVariant);
  * @access  Private
  * @files   media[] - Up to 10 files per request
  */
-router.post('/:id/media', upload.array('media', 10), uploadProductMedia);
+router.post('/:id/media', canWrite, upload.array('media', 10), uploadProductMedia);
 
 /**
  * @route   DELETE /api/products/:id/media/:mediaIndex
  * @desc    Delete media from product
  * @access  Private
  */
-router.delete('/:id/media/:mediaIndex', deleteProductMedia);
+router.delete('/:id/media/:mediaIndex', canWrite, deleteProductMedia);
 
 /**
  * @route   PUT /api/products/:id/media/reorder
@@ -177,7 +191,7 @@ router.delete('/:id/media/:mediaIndex', deleteProductMedia);
  * @access  Private
  * @body    { mediaOrder[] } - Array of media indices in new order
  */
-router.put('/:id/media/reorder', reorderProductMedia);
+router.put('/:id/media/reorder', canWrite, reorderProductMedia);
 
 // ==============================================
 // SHOPIFY INTEGRATION
@@ -189,6 +203,6 @@ router.put('/:id/media/reorder', reorderProductMedia);
  * @access  Private
  * @returns { productInput, variantsInput, mediaInput, summary }
  */
-router.get('/:id/shopify-preview', getShopifyPreview);
+router.get('/:id/shopify-preview', canRead, getShopifyPreview);
 
 export default router;
@@ -9,71 +9,92 @@ import express from 'express';
 import * as shopifyController from '../controllers/shopifyGraphQLControllerNew.js';
 
 // Import correct middleware
-import { authenticateUser } from '../middleware/auth.js';
+import { authenticateUser, resolveWorkspace, checkPermission } from '../middleware/auth.js';
 import { createStoreSession, createBulkStoreSessions } from '../middleware/storeSession.js';
 
 const router = express.Router();
 
 // Apply authentication to all routes
-router.use(authenticateUser);
+router.use(authenticateUser, resolveWorkspace);
+
+const canRead = checkPermission('products:read');
+const canWrite = checkPermission('products:write');
 
 /**
  * Product Creation Routes
  * POST /api/shopify/products/:productId/stores/:storeId/create
  */
-router.post('/products/:productId/stores/:storeId/create', createStoreSession, shopifyController.executeCreateProduct);
+router.post('/products/:productId/stores/:storeId/create', canWrite, createStoreSession, shopifyController.executeCreateProduct);
 
 /**
  * Product Update Routes  
  * PUT /api/shopify/products/:productId/stores/:storeId/update
  */
-router.put('/products/:productId/stores/:storeId/update', createStoreSession, shopifyController.executeUpdateProduct);
+router.put('/products/:productId/stores/:storeId/update', canWrite, createStoreSession, shopifyController.executeUpdateProduct);
 
 /**
  * Product Sync Routes
  * POST /api/shopify/products/:productId/stores/:storeId/sync
  */
-router.post('/products/:productId/stores/:storeId/sync', createStoreSession, shopifyController.executeSyncProduct);
+router.post('/products/:productId/stores/:storeId/sync', canWrite, createStoreSession, shopifyController.executeSyncProduct);
+
+/**
+ * Store Rules Routes (storeCustomizations and priceAdjustments per store mapping)
+ * GET|PUT|DELETE /api/shopify/products/:productId/stores/:storeId/rules
+ * POST /api/shopify/products/:productId/stores/:storeId/rules/preview
+ */
+router.get('/products/:productId/stores/:storeId/rules', canRead, shopifyController.getStoreRules);
+router.put('/products/:productId/stores/:storeId/rules', canWrite, shopifyController.updateStoreRules);
+router.delete('/products/:productId/stores/:storeId/rules', canWrite, shopifyController.deleteStoreRules);
+router.post('/products/:productId/stores/:storeId/rules/preview', canRead, shopifyController.previewStoreRules);
+
+/**
+ * Drift Review Routes
+ * GET /api/shopify/products/:productId/stores/:storeId/drift
+ * POST /api/shopify/products/:productId/stores/:storeId/drift/resolve
+ */
+router.get('/products/:productId/stores/:storeId/drift', canRead, createStoreSession, shopifyController.getProductDrift);
+router.post('/products/:productId/stores/:storeId/drift/resolve', canWrite, createStoreSession, shopifyController.resolveProductDrift);
 
 // Variant media association (dashboard only; does not require store session)
 // POST /api/shopify/products/:productId/variants/media
-router.post('/products/:productId/variants/media', shopifyController.associateVariantMedia);
+router.post('/products/:productId/variants/media', canWrite, shopifyController.associateVariantMedia);
 
 /**
  * Get Product Sync Status Across All Stores
  * GET /api/shopify/products/:productId/sync-status
  */
-router.get('/products/:productId/sync-status', shopifyController.getProductSyncStatus);
+router.get('/products/:productId/sync-status', canRead, shopifyController.getProductSyncStatus);
 
 /**
  * Product Deletion Routes
  * DELETE /api/shopify/products/:productId/stores/:storeId
  */
-router.delete('/products/:productId/stores/:storeId', createStoreSession, shopifyController.executeDeleteProduct);
+router.delete('/products/:productId/stores/:storeId', canWrite, createStoreSession, shopifyController.executeDeleteProduct);
 
 /**
  * Get Shopify Product Data
  * GET /api/shopify/products/:productId/stores/:storeId
  */
-router.get('/products/:productId/stores/:storeId', createStoreSession, shopifyController.getShopifyProduct);
+router.get('/products/:productId/stores/:storeId', canRead, createStoreSession, shopifyController.getShopifyProduct);
 
 /**
  * Store Inventory Routes
  * GET /api/shopify/products/:productId/stores/:storeId/inventory
  */
-router.get('/products/:productId/stores/:storeId/inventory', createStoreSession, shopifyController.getStoreInventory);
+router.get('/products/:productId/stores/:storeId/inventory', canRead, createStoreSession, shopifyController.getStoreInventory);
 
 /**
  * Search Store Products
  * GET /api/shopify/stores/:storeId/products/search
  */
-router.get('/stores/:storeId/products/search', createStoreSession, shopifyController.searchShopifyProducts);
+router.get('/stores/:storeId/products/search', canRead, createStoreSession, shopifyController.searchShopifyProducts);
 
 /**
  * Bulk Operations Routes
  * POST /api/shopify/stores/:storeId/products/bulk-sync
  */
-router.post('/stores/:storeId/products/bulk-sync', createStoreSession, shopifyController.executeBulkSync);
+router.post('/stores/:storeId/products/bulk-sync', canWrite, createStoreSession, shopifyController.executeBulkSync);
 
 /**
  * Health Check Route
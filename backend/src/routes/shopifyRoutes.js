@@ -19,7 +19,7 @@ import {
   handleOrderCreate,
   handleOrderUpdate
 } from '../controllers/shopifyController.js';
-import { authenticateUser as verifyJWT, optionalAuth } from '../middleware/auth.js';
+import { authenticateUser as verifyJWT, optionalAuth, resolveWorkspace, checkPermission } from '../middleware/auth.js';
 
 const router = express.Router();
 
@@ -41,18 +41,18 @@ const captureRawBody = (req, res, next) => {
 router.use(captureRawBody);
 
 // OAuth flow routes - auth initiation should not require authentication!
-router.get('/auth', verifyJWT, initiateAuth); // Optional auth to get user context if available
+router.get('/auth', verifyJWT, resolveWorkspace, checkPermission('stores:manage'), initiateAuth); // Optional auth to get user context if available
 router.get('/callback', handleCallback); // No JWT required for callback
 
 // Session token exchange for embedded apps
 router.post('/token-exchange', exchangeSessionToken);
 
 // Store management routes (all require authentication)
-router.get('/stores', verifyJWT, getConnectedStores);
-router.delete('/stores/:storeId', verifyJWT, disconnectStore);
-router.get('/stores/:storeId/analytics', verifyJWT, getStoreAnalytics);
-router.get('/stores/:storeId/summary', verifyJWT, getStoreSummary);
-router.post('/link-store', verifyJWT, linkStoreToUser);
+router.get('/stores', verifyJWT, resolveWorkspace, checkPermission('stores:read'), getConnectedStores);
+router.delete('/stores/:storeId', verifyJWT, resolveWorkspace, checkPermission('stores:manage'), disconnectStore);
+router.get('/stores/:storeId/analytics', verifyJWT, resolveWorkspace, checkPermission('stores:read'), getStoreAnalytics);
+router.get('/stores/:storeId/summary', verifyJWT, resolveWorkspace, checkPermission('stores:read'), getStoreSummary);
+router.post('/link-store', verifyJWT, resolveWorkspace, checkPermission('stores:manage'), linkStoreToUser);
 
 // Session validation endpoint
 router.get('/session/validate', validateSession, (req, res) => {
@@ -10,14 +10,15 @@ import {
   getUserStores,
   getStorePushedProducts,
   getStoreStats,
-  getStoreSyncHistory
+  getStoreSyncHistory,
+  getStoreApiBudget
 } from '../controllers/storeController.js';
-import { authenticateUser } from '../middleware/auth.js';
+import { authenticateUser, resolveWorkspace, checkPermission } from '../middleware/auth.js';
 
 const router = Router();
 
-// All routes require authentication
-router.use(authenticateUser);
+// All routes require authentication and act in the selected workspace
+router.use(authenticateUser, resolveWorkspace, checkPermission('stores:read'));
 
 // Store management routes
 router.get('/', getUserStores);
@@ -25,6 +26,7 @@ router.get('/:storeId', getStoreDetails);
 router.get('/:storeId/products', getStorePushedProducts);
 router.get('/:storeId/stats', getStoreStats);
 router.get('/:storeId/sync-history', getStoreSyncHistory);
+router.get('/:storeId/api-budget', getStoreApiBudget);
 
 
 
@@ -0,0 +1,23 @@
+/**
+ * Sync Job Routes
+ * Status and control of background store push jobs
+ */
+
+import { Router } from 'express';
+import {
+  getSyncJobs,
+  getSyncJob,
+  cancelSyncJob
+} from '../controllers/syncJobController.js';
+import { authenticateUser, resolveWorkspace, checkPermission } from '../middleware/auth.js';
+
+const router = Router();
+
+// All routes require authentication and act in the selected workspace
+router.use(authenticateUser, resolveWorkspace);
+
+router.get('/', checkPermission('products:read'), getSyncJobs);
+router.get('/:jobId', checkPermission('products:read'), getSyncJob);
+router.post('/:jobId/cancel', checkPermission('products:write'), cancelSyncJob);
+
+export default router;
@@ -0,0 +1,42 @@
+/**
+ * Workspace Routes
+ * Team workspaces: switcher list, members and roles, email invitations
+ * "current" is the workspace selected with the X-Workspace-Id header (see resolveWorkspace)
+ */
+
+import { Router } from 'express';
+import {
+  getWorkspaces,
+  getCurrentWorkspace,
+  updateCurrentWorkspace,
+  updateMemberRole,
+  removeMember,
+  getInvitations,
+  createInvitation,
+  revokeInvitation,
+  getInvitation,
+  acceptInvitation
+} from '../controllers/workspaceController.js';
+import { authenticateUser, resolveWorkspace, checkPermission } from '../middleware/auth.js';
+
+const router = Router();
+
+// Invitation links are opened before signing in
+router.get('/invitations/:token', getInvitation);
+router.post('/invitations/:token/accept', authenticateUser, acceptInvitation);
+
+router.get('/', authenticateUser, getWorkspaces);
+
+router.use('/current', authenticateUser, resolveWorkspace);
+
+const canManageMembers = checkPermission('members:manage');
+
+router.get('/current', getCurrentWorkspace);
+router.patch('/current', checkPermission('workspace:manage'), updateCurrentWorkspace);
+router.patch('/current/members/:userId', canManageMembers, updateMemberRole);
+router.delete('/current/members/:userId', removeMember); // Members may remove themselves
+router.get('/current/invitations', canManageMembers, getInvitations);
+router.post('/current/invitations', canManageMembers, createInvitation);
+router.delete('/current/invitations/:invitationId', canManageMembers, revokeInvitation);
+
+export default router;
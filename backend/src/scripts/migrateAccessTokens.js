@@ -0,0 +1,96 @@
+/**
+ * Encrypt stored Shopify access tokens / re-wrap them under the active master key
+ * Covers stores, pending store links and the Shopify sessions (shopify_sessions).
+ *
+ * Usage (from backend/):
+ *   npm run tokens:migrate              # encrypt plaintext tokens, rotate old key versions
+ *   npm run tokens:migrate -- --dry-run # only report what would change
+ *
+ * Safe to run repeatedly: tokens already under TOKEN_ENCRYPTION_KEY_VERSION are left alone.
+ * After rotating to a new key, keep the old key in TOKEN_ENCRYPTION_KEYS until this has run.
+ */
+
+import dotenv from 'dotenv';
+dotenv.config({ path: './.env' });
+
+import mongoose from 'mongoose';
+import { connectDB } from '../config/database.js';
+import { Store } from '../models/Store.js';
+import { StoreLink } from '../models/StoreLink.js';
+import { sessionStorage } from '../config/shopify.js';
+import { getActiveKeyVersion, getKeyVersion, needsRotation, rotateToken } from '../utils/tokenEncryption.js';
+
+const dryRun = process.argv.includes('--dry-run');
+
+/**
+ * Rotate every token of one collection; works on raw documents so getters and setters stay out of the way
+ * @param {string} name - Name used in the report
+ * @param {Object} collection - Raw MongoDB collection
+ * @param {Object} options - { trackKeyVersion: also set tokenKeyVersion (models with encryptedTokenPlugin) }
+ * @returns {Promise<{ scanned: number, updated: number, failed: number }>}
+ */
+async function migrateCollection(name, collection, { trackKeyVersion = true } = {}) {
+  const stats = { scanned: 0, updated: 0, failed: 0 };
+  const cursor = collection.find(
+    { accessToken: { $exists: true, $nin: [null, ''] } },
+    { projection: { accessToken: 1 } }
+  );
+
+  for await (const doc of cursor) {
+    stats.scanned += 1;
+    if (!needsRotation(doc.accessToken)) continue;
+
+    try {
+      const accessToken = rotateToken(doc.accessToken);
+      if (!dryRun) {
+        await collection.updateOne(
+          { _id: doc._id, accessToken: doc.accessToken },
+          { $set: trackKeyVersion ? { accessToken, tokenKeyVersion: getKeyVersion(accessToken) } : { accessToken } }
+        );
+      }
+      stats.updated += 1;
+    } catch (error) {
+      stats.failed += 1;
+      console.error(`${name} ${doc._id}: ${error.message}`);
+    }
+  }
+
+  return stats;
+}
+
+async function main() {
+  const activeVersion = getActiveKeyVersion();
+  if (!activeVersion) {
+    console.error('TOKEN_ENCRYPTION_KEYS is not set; nothing to encrypt with');
+    process.exit(1);
+  }
+
+  await connectDB();
+  console.log(`${dryRun ? '[dry run] ' : ''}Migrating access tokens to key version ${activeVersion}`);
+
+  // Shopify sessions live in the session storage's own connection
+  await sessionStorage.ready;
+  const collections = [
+    ['Store', Store.collection, {}],
+    ['StoreLink', StoreLink.collection, {}],
+    ['Shopify session', sessionStorage.collection, { trackKeyVersion: false }]
+  ];
+
+  let failed = 0;
+  for (const [name, collection, options] of collections) {
+    const stats = await migrateCollection(name, collection, options);
+    failed += stats.failed;
+    console.log(`${name}: ${stats.scanned} scanned, ${stats.updated} ${dryRun ? 'to update' : 'updated'}, ${stats.failed} failed`);
+  }
+
+  await sessionStorage.disconnect();
+  await mongoose.connection.close();
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(async (error) => {
+  console.error('Access token migration failed:', error.message);
+  await sessionStorage.disconnect().catch(() => {});
+  await mongoose.connection.close().catch(() => {});
+  process.exit(1);
+});
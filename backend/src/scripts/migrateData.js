@@ -0,0 +1,191 @@
+/**
+ * One-time data migrations
+ *
+ * Usage (from backend/):
+ *   npm run db:migrate              # run every migration that has not run yet
+ *   npm run db:migrate -- --dry-run # only report what would change
+ *
+ * Finished migrations are recorded in the `migrations` collection and skipped afterwards,
+ * so settings users change later are never reverted by a second run.
+ */
+
+import dotenv from 'dotenv';
+dotenv.config({ path: './.env' });
+
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { connectDB } from '../config/database.js';
+import { Store } from '../models/Store.js';
+import { CatalogImport } from '../models/CatalogImport.js';
+import { CatalogImportItem } from '../models/CatalogImportItem.js';
+import { Collection } from '../models/Collection.js';
+import { ProductMap } from '../models/ProductMap.js';
+import { InventoryMovement } from '../models/InventoryMovement.js';
+
+const dryRun = process.argv.includes('--dry-run');
+
+// Same input, same _id: a re-run after an interruption inserts nothing twice
+const stableObjectId = (key) => new mongoose.Types.ObjectId(crypto.createHash('sha1').update(key).digest('hex').slice(0, 24));
+
+// Ledger rows for the inventoryHistory entries embedded in one ProductMap (raw document)
+const legacyMovements = (doc) => {
+  const movements = [];
+
+  (doc.storeMappings || []).forEach((storeMapping, storeIndex) => {
+    (storeMapping.variantMappings || []).forEach((variantMapping, variantIndex) => {
+      (variantMapping.inventoryTracking?.inventoryHistory || []).forEach((entry, entryIndex) => {
+        const previousQuantity = entry.previousQuantity || 0;
+        movements.push({
+          _id: stableObjectId(`${doc._id}:${storeIndex}:${variantIndex}:${entryIndex}`),
+          userId: doc.createdBy,
+          product: doc.dashboardProduct,
+          variantIndex: variantMapping.dashboardVariantIndex,
+          shopifyVariantId: variantMapping.shopifyVariantId,
+          store: storeMapping.store,
+          locationId: entry.locationId || undefined,
+          action: entry.action,
+          quantity: entry.quantity,
+          previousQuantity,
+          delta: entry.quantity - previousQuantity,
+          actor: entry.syncedBy || undefined,
+          reason: entry.reason,
+          occurredAt: entry.timestamp || doc.updatedAt || new Date(),
+          createdAt: new Date(),
+          updatedAt: new Date()
+        });
+      });
+    });
+  });
+
+  return movements;
+};
+
+// Run in order; each returns a one-line summary
+const MIGRATIONS = [
+  {
+    name: '2026-10-store-sync-daily',
+    // The scheduler used to inherit the 'hourly' default nobody chose; one Shopify read per product per hour
+    description: "Move stores on the old 'hourly' default schedule to 'daily'",
+    async run() {
+      const filter = { 'dashboardSettings.syncFrequency': 'hourly' };
+      if (dryRun) return `${await Store.countDocuments(filter)} store(s) to update`;
+      const result = await Store.updateMany(filter, { $set: { 'dashboardSettings.syncFrequency': 'daily' } });
+      return `${result.modifiedCount} store(s) updated`;
+    }
+  },
+  {
+    name: '2026-10-catalog-import-items',
+    description: 'Move catalog import items out of the import documents',
+    async run() {
+      const cursor = CatalogImport.collection.find({ items: { $exists: true } }, { projection: { items: 1 } });
+      let imports = 0;
+      let items = 0;
+
+      for await (const doc of cursor) {
+        imports += 1;
+        items += doc.items?.length || 0;
+        if (dryRun) continue;
+
+        if (doc.items?.length) {
+          const now = new Date();
+          await CatalogImportItem.collection.insertMany(
+            doc.items.map(item => ({ ...item, catalogImport: doc._id, createdAt: now, updatedAt: now })),
+            { ordered: false }
+          ).catch(error => {
+            // Items copied by an earlier, interrupted run
+            if (error.code !== 11000) throw error;
+          });
+        }
+        await CatalogImport.collection.updateOne({ _id: doc._id }, { $unset: { items: '' } });
+      }
+
+      return `${imports} import(s), ${items} item(s) ${dryRun ? 'to move' : 'moved'}`;
+    }
+  },
+  {
+    name: '2026-10-collection-handle-per-owner',
+    // Handles are unique per owner now; the old global index rejects a second user's "summer-sale"
+    description: 'Replace the global unique collection handle index with the per-owner one',
+    async run() {
+      const indexes = await Collection.collection.indexes().catch(error => {
+        // No collections created yet
+        if (error.codeName === 'NamespaceNotFound') return [];
+        throw error;
+      });
+      const legacy = indexes.some(index => index.name === 'handle_1');
+
+      if (dryRun) return legacy ? 'handle_1 to drop' : 'handle_1 already gone';
+      if (legacy) await Collection.collection.dropIndex('handle_1');
+      await Collection.createIndexes();
+      return legacy ? 'handle_1 dropped, createdBy_1_handle_1 ensured' : 'createdBy_1_handle_1 ensured';
+    }
+  },
+  {
+    name: '2026-10-inventory-history-ledger',
+    description: 'Move ProductMap inventoryHistory arrays into the InventoryMovement ledger',
+    async run() {
+      const historyPath = 'storeMappings.variantMappings.inventoryTracking.inventoryHistory';
+      const cursor = ProductMap.collection.find(
+        { [historyPath]: { $exists: true } },
+        { projection: { createdBy: 1, dashboardProduct: 1, updatedAt: 1, storeMappings: 1 } }
+      );
+      let maps = 0;
+      let entries = 0;
+
+      for await (const doc of cursor) {
+        const movements = legacyMovements(doc);
+        maps += 1;
+        entries += movements.length;
+        if (dryRun) continue;
+
+        if (movements.length > 0) {
+          await InventoryMovement.collection.insertMany(movements, { ordered: false }).catch(error => {
+            // Entries copied by an earlier, interrupted run
+            if (error.code !== 11000) throw error;
+          });
+        }
+        await ProductMap.collection.updateOne(
+          { _id: doc._id },
+          { $unset: { 'storeMappings.$[].variantMappings.$[].inventoryTracking.inventoryHistory': '' } }
+        );
+      }
+
+      return `${maps} product map(s), ${entries} movement(s) ${dryRun ? 'to move' : 'moved'}`;
+    }
+  }
+];
+
+async function main() {
+  await connectDB();
+  const applied = mongoose.connection.collection('migrations');
+
+  let failed = 0;
+  for (const migration of MIGRATIONS) {
+    if (await applied.findOne({ name: migration.name })) {
+      console.log(`${migration.name}: already applied`);
+      continue;
+    }
+
+    try {
+      const summary = await migration.run();
+      if (!dryRun) {
+        await applied.insertOne({ name: migration.name, appliedAt: new Date(), summary });
+      }
+      console.log(`${dryRun ? '[dry run] ' : ''}${migration.name}: ${migration.description} - ${summary}`);
+    } catch (error) {
+      failed += 1;
+      console.error(`${migration.name} failed: ${error.message}`);
+      // Later migrations may depend on this one
+      break;
+    }
+  }
+
+  await mongoose.connection.close();
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(async (error) => {
+  console.error('Data migration failed:', error.message);
+  await mongoose.connection.close().catch(() => {});
+  process.exit(1);
+});
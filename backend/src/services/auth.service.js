@@ -0,0 +1,182 @@
+import { User } from '../models/User.js';
+import { UserToken } from '../models/UserToken.js';
+import { ApiError } from '../utils/ApiError.js';
+import { emailService } from './email.service.js';
+import { sessionService } from './session.service.js';
+
+/**
+ * Auth Service
+ * Email verification and password reset. Both send a single-use link by email; only a hash of
+ * the token is stored (see models/UserToken.js).
+ */
+
+const VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000; // 1 hour
+const RESEND_COOLDOWN_MS = 60 * 1000;
+const MIN_PASSWORD_LENGTH = 6;
+
+const frontendUrl = (pathname) => `${process.env.FRONTEND_URL || 'http://localhost:5173'}${pathname}`;
+
+/**
+ * Send a verification link to the user's current email address
+ * Failures are logged, not thrown: signing up or changing an email must not fail because mail is down
+ * @param {Object} user - User document
+ * @returns {Promise<boolean>} Whether an email was handed to the transport
+ */
+async function sendVerificationEmail(user) {
+  try {
+    const { token } = await UserToken.issue({
+      userId: user._id,
+      purpose: 'email_verification',
+      email: user.email,
+      ttlMs: VERIFICATION_TTL_MS
+    });
+
+    await emailService.sendEmail({
+      to: user.email,
+      subject: 'Verify your email address',
+      paragraphs: [
+        `Hi ${user.fullName},`,
+        'Please confirm this is your email address to finish setting up your account.'
+      ],
+      action: { label: 'Verify email', url: frontendUrl(`/auth/verify-email?token=${token}`) },
+      footer: 'This link expires in 24 hours. If you did not create an account, you can ignore this email.'
+    });
+    return true;
+  } catch (error) {
+    console.error(`Failed to send verification email to user ${user._id}:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Resend the verification link, at most once a minute
+ * @param {Object} user - User document
+ */
+async function resendVerification(user) {
+  if (user.isVerified) {
+    throw new ApiError(400, 'Your email address is already verified');
+  }
+
+  const latest = await UserToken.findOne({ user: user._id, purpose: 'email_verification' })
+    .sort({ createdAt: -1 })
+    .select('createdAt');
+  if (latest && Date.now() - latest.createdAt.getTime() < RESEND_COOLDOWN_MS) {
+    throw new ApiError(429, 'A verification email was just sent. Please wait a minute before requesting another one.');
+  }
+
+  const sent = await sendVerificationEmail(user);
+  if (!sent) {
+    throw new ApiError(502, 'Could not send the verification email. Please try again later.');
+  }
+}
+
+/**
+ * Mark the user's email as verified using the link token
+ * @param {string} token - Token from the verification link
+ * @returns {Promise<Object>} Updated user (without secrets)
+ */
+async function verifyEmail(token) {
+  const userToken = await UserToken.consume(token, 'email_verification');
+  if (!userToken) {
+    throw new ApiError(400, 'This verification link is invalid or has expired');
+  }
+
+  const user = await User.findById(userToken.user);
+  if (!user || user.isDeleted) {
+    throw new ApiError(404, 'User not found');
+  }
+  // The address changed after the link was sent
+  if (userToken.email && userToken.email !== user.email.toLowerCase()) {
+    throw new ApiError(400, 'This verification link was sent to a previous email address');
+  }
+
+  user.isVerified = true;
+  await user.save({ validateBeforeSave: false });
+
+  return User.findById(user._id).select('-password -refreshToken');
+}
+
+/**
+ * Email a password reset link. Always succeeds so the response does not reveal whether an
+ * account exists for the address.
+ * @param {string} email - Address entered on the forgot-password screen
+ */
+async function requestPasswordReset(email) {
+  const address = typeof email === 'string' ? email.trim().toLowerCase() : '';
+  if (!address) {
+    throw new ApiError(400, 'Email is required');
+  }
+
+  const user = await User.findOne({ email: address });
+  if (!user || user.isDeleted || user.isBlocked) {
+    return;
+  }
+
+  try {
+    const { token } = await UserToken.issue({
+      userId: user._id,
+      purpose: 'password_reset',
+      email: address,
+      ttlMs: PASSWORD_RESET_TTL_MS
+    });
+
+    await emailService.sendEmail({
+      to: user.email,
+      subject: 'Reset your password',
+      paragraphs: [
+        `Hi ${user.fullName},`,
+        'We received a request to reset your password. Use the button below to choose a new one.'
+      ],
+      action: { label: 'Reset password', url: frontendUrl(`/auth/reset-password?token=${token}`) },
+      footer: 'This link expires in 1 hour and can be used once. If you did not request a reset, you can ignore this email.'
+    });
+  } catch (error) {
+    console.error(`Failed to send password reset email to user ${user._id}:`, error.message);
+  }
+}
+
+/**
+ * Set a new password using the reset link token; signs the user out everywhere
+ * @param {string} token - Token from the reset link
+ * @param {string} password - New password
+ */
+async function resetPassword(token, password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new ApiError(400, `Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+
+  const userToken = await UserToken.consume(token, 'password_reset');
+  if (!userToken) {
+    throw new ApiError(400, 'This reset link is invalid or has expired');
+  }
+
+  const user = await User.findById(userToken.user);
+  if (!user || user.isDeleted) {
+    throw new ApiError(404, 'User not found');
+  }
+
+  user.password = password;
+  // Receiving the reset link proves the user owns the address
+  if (userToken.email === user.email.toLowerCase()) {
+    user.isVerified = true;
+  }
+  await user.save({ validateBeforeSave: false });
+
+  // Whoever knew the old password is signed out everywhere
+  await sessionService.revokeAllSessions(user._id, { reason: 'password_reset' });
+
+  // Any other outstanding reset links are void now
+  await UserToken.updateMany(
+    { user: user._id, purpose: 'password_reset', usedAt: null },
+    { $set: { usedAt: new Date() } }
+  );
+}
+
+export const authService = {
+  sendVerificationEmail,
+  resendVerification,
+  verifyEmail,
+  requestPasswordReset,
+  resetPassword
+};
@@ -0,0 +1,119 @@
+import { ProductMap } from '../models/ProductMap.js';
+import { syncJobService } from './syncJob.service.js';
+import { getSyncedFields } from './storeTransform.service.js';
+
+/**
+ * Auto Sync Service
+ * Queues partial store syncs after a dashboard product edit. Changed fields are grouped like
+ * storeMapping.syncSettings (see storeTransform.service.js#SYNC_FIELDS) and matched against
+ * ProductMap.globalSyncSettings.triggers.
+ */
+
+// globalSyncSettings.triggers flag for each field group
+// SEO has no trigger of its own and follows description changes
+const GROUP_TRIGGERS = {
+  title: 'onTitleChange',
+  description: 'onDescriptionChange',
+  seo: 'onDescriptionChange',
+  price: 'onPriceChange',
+  inventory: 'onInventoryChange',
+  media: 'onMediaChange',
+  variants: 'onVariantChange',
+  status: 'onStatusChange',
+  tags: 'onTagChange'
+};
+
+const VARIANT_PRICE_KEYS = ['price', 'compareAtPrice'];
+const VARIANT_INVENTORY_KEYS = ['inventoryQuantity'];
+const VARIANT_DETAIL_KEYS = ['sku', 'barcode', 'weight', 'weightUnit', 'taxable', 'taxCode', 'inventoryPolicy', 'optionValues', 'metafields'];
+
+const plain = (value) => JSON.stringify(value ?? null);
+const pick = (source, keys) => keys.map(key => plain(source?.[key])).join('|');
+
+/**
+ * Field groups that differ between two versions of a product
+ * @param {Object} before - Product before the update (plain object)
+ * @param {Object} after - Product after the update (plain object)
+ * @returns {string[]} Changed field groups
+ */
+export const getChangedFieldGroups = (before, after) => {
+  const changed = new Set();
+
+  if (plain(before.title) !== plain(after.title)) changed.add('title');
+  if (plain(before.descriptionHtml) !== plain(after.descriptionHtml)) changed.add('description');
+  if (plain(before.tags) !== plain(after.tags)) changed.add('tags');
+  if (plain(before.status) !== plain(after.status)) changed.add('status');
+  if (pick(before.seo, ['title', 'description']) !== pick(after.seo, ['title', 'description'])) changed.add('seo');
+
+  const mediaSources = (product) => (product.media || []).map(m => `${m.src}|${m.alt || ''}`);
+  if (plain(mediaSources(before)) !== plain(mediaSources(after))) changed.add('media');
+
+  const optionShape = (product) => (product.options || []).map(o => [o.name, (o.optionValues || []).map(v => v.name)]);
+  if (plain(optionShape(before)) !== plain(optionShape(after))) changed.add('variants');
+
+  const beforeVariants = before.variants || [];
+  const afterVariants = after.variants || [];
+  if (beforeVariants.length !== afterVariants.length) changed.add('variants');
+
+  afterVariants.forEach((variant, index) => {
+    const previous = beforeVariants[index];
+    if (!previous) return;
+    if (pick(previous, VARIANT_PRICE_KEYS) !== pick(variant, VARIANT_PRICE_KEYS)) changed.add('price');
+    if (pick(previous, VARIANT_INVENTORY_KEYS) !== pick(variant, VARIANT_INVENTORY_KEYS)) changed.add('inventory');
+    if (pick(previous, VARIANT_DETAIL_KEYS) !== pick(variant, VARIANT_DETAIL_KEYS)) changed.add('variants');
+  });
+
+  return Array.from(changed);
+};
+
+/**
+ * Queue a partial sync for every store whose triggers and sync settings match the changed groups
+ * @param {Object} params - { productId, userId, changedGroups }
+ * @returns {Promise<Array<{storeId, jobId, fields}>>} Queued jobs
+ */
+async function enqueueForChanges({ productId, userId, changedGroups }) {
+  if (!changedGroups?.length) return [];
+
+  const productMaps = await ProductMap.find({
+    dashboardProduct: productId,
+    isActive: true,
+    isDeleted: false
+  });
+
+  const queued = [];
+
+  for (const productMap of productMaps) {
+    const globalSettings = productMap.globalSyncSettings || {};
+    if (globalSettings.autoSyncOnDashboardUpdate === false) continue;
+
+    const triggered = changedGroups.filter(group => globalSettings.triggers?.[GROUP_TRIGGERS[group]] !== false);
+    if (triggered.length === 0) continue;
+
+    for (const storeMapping of productMap.storeMappings) {
+      if (storeMapping.status !== 'active' || storeMapping.syncSettings?.autoSync === false) continue;
+
+      const fields = Array.from(getSyncedFields(storeMapping.syncSettings, triggered));
+      if (fields.length === 0) continue;
+
+      try {
+        const job = await syncJobService.enqueueJob({
+          userId,
+          storeId: storeMapping.store,
+          type: 'sync',
+          productIds: [productId],
+          options: { fields, trigger: 'dashboard-update' }
+        });
+        queued.push({ storeId: storeMapping.store, jobId: job._id, fields });
+      } catch (error) {
+        console.error(`Failed to queue auto sync for store ${storeMapping.store}:`, error.message);
+      }
+    }
+  }
+
+  return queued;
+}
+
+export const autoSyncService = {
+  getChangedFieldGroups,
+  enqueueForChanges
+};
@@ -0,0 +1,575 @@
+import { CatalogImport } from '../models/CatalogImport.js';
+import { CatalogImportItem } from '../models/CatalogImportItem.js';
+import { Workspace } from '../models/Workspace.js';
+import { Product } from '../models/ProductOptimized.js';
+import { ProductMap } from '../models/ProductMap.js';
+import { Store } from '../models/Store.js';
+import { metafieldSchema } from '../models/schemas/ProductSchemas.js';
+import { buildStoreSession } from '../middleware/storeSession.js';
+import { getProducts, getProductDetails, getProductsCount } from '../graphql/queries/productQueries.js';
+import {
+  alignVariants,
+  buildVariantMapping,
+  buildStoreMapping,
+  attachStoreMapping
+} from './productMatching.service.js';
+import { notificationService } from './notification.service.js';
+
+/**
+ * Catalog Import Service
+ * Imports products that already exist in a Shopify store as dashboard master products and links
+ * them to the store (ProductMap with variant and media mappings), so stores can be onboarded
+ * without re-creating their catalog. Imports run one at a time in the background, page by page,
+ * and stream progress over Socket.IO ('catalog_import_update').
+ */
+
+// Will be set from index.js after Socket.IO setup
+let io;
+
+let isProcessing = false;
+
+// Detailed list pages cost about 80 points per product (see productQueries.js#getProducts)
+const PAGE_SIZE = 10;
+const MAX_VARIANTS = 100;
+
+const WEIGHT_UNITS = { GRAMS: 'g', KILOGRAMS: 'kg', OUNCES: 'oz', POUNDS: 'lb' };
+// Same file types mediaSchema accepts
+const MEDIA_URL_PATTERN = /^https?:\/\/.+\.(jpg|jpeg|png|gif|webp|mp4|mov|avi)$/i;
+const METAFIELD_TYPES = new Set(metafieldSchema.path('type').enumValues);
+
+// Initialize import progress streaming (called from index.js)
+export const initializeCatalogImports = (socketInstances) => {
+  io = socketInstances.io;
+};
+
+const emitImportUpdate = (job, lastItem = null) => {
+  if (io && job.userId) {
+    io.to(Workspace.room(job.userId)).emit('catalog_import_update', {
+      ...job.toProgressPayload(),
+      ...(lastItem ? { lastItem } : {})
+    });
+  }
+};
+
+const nodes = (connection) => (connection?.edges || []).map(edge => edge.node);
+
+const toHandle = (value) => (value || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9-]+/g, '-')
+  .replace(/-+/g, '-')
+  .replace(/^-|-$/g, '') || undefined;
+
+const cleanString = (value, maxLength) => {
+  const text = typeof value === 'string' ? value.trim() : '';
+  return text ? text.slice(0, maxLength) : undefined;
+};
+
+// Shopify gives products without options a single "Title / Default Title" option
+const isDefaultOption = (options = []) =>
+  options.length === 1 && options[0].name === 'Title' &&
+  (options[0].optionValues || []).every(value => value.name === 'Default Title');
+
+// ==============================================
+// SHOPIFY -> MASTER PRODUCT CONVERSION
+// ==============================================
+
+const convertMedia = (mediaNodes, warnings) => {
+  const media = [];
+  const mediaMappings = [];
+
+  mediaNodes.forEach(node => {
+    let url;
+    if (node.mediaContentType === 'IMAGE') {
+      url = node.image?.url;
+    } else if (node.mediaContentType === 'VIDEO') {
+      url = (node.sources || []).find(source => source.mimeType === 'video/mp4')?.url || node.sources?.[0]?.url;
+    } else {
+      warnings.push(`Media ${node.id}: ${node.mediaContentType} is not supported`);
+      return;
+    }
+
+    // CDN URLs carry a ?v= cache buster the dashboard media validator does not accept
+    const src = url?.split('?')[0];
+    if (!src || !MEDIA_URL_PATTERN.test(src)) {
+      warnings.push(`Media ${node.id}: unsupported file ${src || '(no source)'}`);
+      return;
+    }
+
+    media.push({
+      src,
+      alt: cleanString(node.alt || node.image?.altText, 512),
+      mediaContentType: node.mediaContentType,
+      dimensions: node.image ? { width: node.image.width, height: node.image.height } : undefined,
+      position: media.length
+    });
+    mediaMappings.push({
+      dashboardMediaIndex: media.length - 1,
+      shopifyMediaId: node.id,
+      shopifyUrl: url,
+      uploadStatus: 'uploaded'
+    });
+  });
+
+  return { media, mediaMappings };
+};
+
+const convertMetafields = (metafieldNodes, warnings) => metafieldNodes.filter(node => {
+  const problem = !METAFIELD_TYPES.has(node.type)
+    ? `type ${node.type} is not supported`
+    : node.namespace.length > 20 || node.key.length > 30
+      ? 'namespace or key is too long'
+      : !node.value || node.value.length > 5000
+        ? 'value is empty or too long'
+        : null;
+
+  if (problem) warnings.push(`Metafield ${node.namespace}.${node.key}: ${problem}`);
+  return !problem;
+}).map(node => ({
+  namespace: node.namespace,
+  key: node.key,
+  value: node.value,
+  type: node.type
+}));
+
+const convertVariant = (node, index, hasOptions, warnings) => {
+  const price = Number(node.price) || 0;
+  const compareAtPrice = Number(node.compareAtPrice) || 0;
+  const weight = node.inventoryItem?.measurement?.weight;
+
+  if (node.inventoryQuantity < 0) {
+    warnings.push(`Variant ${node.sku || node.title}: negative inventory (${node.inventoryQuantity}) imported as 0`);
+  }
+
+  return {
+    price,
+    compareAtPrice: compareAtPrice > price ? compareAtPrice : undefined,
+    sku: cleanString(node.sku, 255),
+    barcode: cleanString(node.barcode, 255),
+    inventoryQuantity: Math.max(0, node.inventoryQuantity || 0),
+    inventoryPolicy: node.inventoryPolicy === 'CONTINUE' ? 'continue' : 'deny',
+    inventoryManagement: node.inventoryItem?.tracked ? 'shopify' : 'not_managed',
+    requiresShipping: node.inventoryItem?.requiresShipping ?? true,
+    taxable: node.taxable ?? true,
+    weight: weight?.value || 0,
+    weightUnit: WEIGHT_UNITS[weight?.unit] || 'g',
+    optionValues: hasOptions
+      ? (node.selectedOptions || []).map(option => ({ optionName: option.name, name: option.value }))
+      : [],
+    position: index
+  };
+};
+
+/**
+ * Convert a detailed Shopify product into master product data
+ * @param {Object} shopifyProduct - Node from getProducts({ detailed: true }) or getProductDetails
+ * @param {string} userId - Owner of the new master product
+ * @returns {Object} { data, mediaMappings, warnings }
+ */
+export const toMasterProductData = (shopifyProduct, userId) => {
+  const warnings = [];
+  const options = isDefaultOption(shopifyProduct.options) ? [] : (shopifyProduct.options || []);
+  const { media, mediaMappings } = convertMedia(nodes(shopifyProduct.media), warnings);
+
+  const data = {
+    title: shopifyProduct.title,
+    createdBy: userId,
+    descriptionHtml: shopifyProduct.descriptionHtml || undefined,
+    vendor: cleanString(shopifyProduct.vendor, 255),
+    productType: cleanString(shopifyProduct.productType, 255),
+    tags: (shopifyProduct.tags || []).map(tag => tag.trim()).filter(Boolean),
+    handle: toHandle(shopifyProduct.handle),
+    status: shopifyProduct.status || 'DRAFT',
+    published: shopifyProduct.status === 'ACTIVE',
+    options: options.map((option, index) => ({
+      name: option.name,
+      position: option.position || index + 1,
+      optionValues: (option.optionValues || []).map((value, valueIndex) => ({ name: value.name, position: valueIndex }))
+    })),
+    variants: nodes(shopifyProduct.variants).map((node, index) => convertVariant(node, index, options.length > 0, warnings)),
+    media,
+    seo: {
+      title: cleanString(shopifyProduct.seo?.title, 320),
+      description: cleanString(shopifyProduct.seo?.description, 320)
+    },
+    metafields: convertMetafields(nodes(shopifyProduct.metafields), warnings),
+    syncStatus: 'synced',
+    lastSyncAttempt: new Date(),
+    storeCount: 1
+  };
+
+  return { data, mediaMappings, warnings };
+};
+
+// ==============================================
+// DUPLICATES AND LINKING
+// ==============================================
+
+const addToDuplicateIndex = (index, productId, handle, skus = []) => {
+  if (handle && !index.handles.has(handle)) index.handles.set(handle, productId);
+  skus.filter(Boolean).forEach(sku => {
+    if (!index.skus.has(sku)) index.skus.set(sku, productId);
+  });
+};
+
+// Handle and SKU lookup over the user's master products
+async function loadDuplicateIndex(userId) {
+  const products = await Product.find({ createdBy: userId }).select('handle variants.sku').lean();
+  const index = { handles: new Map(), skus: new Map() };
+
+  products.forEach(product => addToDuplicateIndex(
+    index,
+    product._id,
+    product.handle,
+    (product.variants || []).map(variant => variant.sku)
+  ));
+
+  return index;
+}
+
+const findDuplicate = (index, handle, skus) => {
+  if (handle && index.handles.has(handle)) {
+    return { product: index.handles.get(handle), matchedBy: 'handle' };
+  }
+  const sku = skus.find(value => value && index.skus.has(value));
+  return sku ? { product: index.skus.get(sku), matchedBy: 'sku' } : null;
+};
+
+// Shopify products of this page that are already mapped to a master product in this store
+async function findLinkedShopifyIds(storeId, shopifyProductIds) {
+  const productMaps = await ProductMap.find({
+    isDeleted: false,
+    storeMappings: {
+      $elemMatch: { store: storeId, shopifyProductId: { $in: shopifyProductIds }, status: { $ne: 'deleted' } }
+    }
+  }).select('storeMappings.store storeMappings.shopifyProductId storeMappings.status').lean();
+
+  const linked = new Set();
+  productMaps.forEach(productMap => productMap.storeMappings.forEach(mapping => {
+    if (mapping.store.toString() === storeId.toString() && mapping.status !== 'deleted') {
+      linked.add(mapping.shopifyProductId);
+    }
+  }));
+  return linked;
+}
+
+// List pages only carry the first few variants, media and metafields; read the product again when they were cut off
+// Variants are always needed (matching, variant limit); media and metafields only when the product is created
+async function loadFullProduct(session, node, { withContent = true } = {}) {
+  const cutOff = node.variants?.pageInfo?.hasNextPage ||
+    (withContent && (node.media?.pageInfo?.hasNextPage || node.metafields?.pageInfo?.hasNextPage));
+  if (!cutOff) return node;
+
+  return (await getProductDetails(session, node.id)) || node;
+}
+
+// ==============================================
+// IMPORT
+// ==============================================
+
+/**
+ * Plan and (unless dry run) import one Shopify product
+ * @returns {Promise<Object>} Import item
+ */
+async function importProduct({ job, session, node: pageNode, duplicates, linkedIds }) {
+  const item = {
+    shopifyProductId: pageNode.id,
+    title: pageNode.title,
+    handle: pageNode.handle,
+    warnings: []
+  };
+  const { dryRun, onDuplicate } = job.options;
+
+  if (linkedIds.has(pageNode.id)) {
+    return { ...item, action: 'skip', reason: 'already-linked', status: 'skipped' };
+  }
+
+  const node = await loadFullProduct(session, pageNode, { withContent: false });
+
+  const shopifyVariants = nodes(node.variants);
+  if (node.variants?.pageInfo?.hasNextPage || shopifyVariants.length > MAX_VARIANTS) {
+    return { ...item, action: 'skip', reason: 'too-many-variants', status: 'failed', error: `More than ${MAX_VARIANTS} variants` };
+  }
+
+  const duplicate = findDuplicate(duplicates, toHandle(node.handle), shopifyVariants.map(variant => variant.sku));
+  if (duplicate) item.duplicateOf = duplicate;
+
+  // Existing masters are linked or skipped depending on onDuplicate
+  if (duplicate && onDuplicate !== 'create') {
+    if (onDuplicate === 'skip') {
+      return { ...item, action: 'skip', reason: 'duplicate', status: 'skipped' };
+    }
+
+    item.action = 'link';
+    item.product = duplicate.product;
+
+    const master = await Product.findById(duplicate.product);
+    if (!master) {
+      return { ...item, status: 'failed', error: 'Matched master product no longer exists' };
+    }
+
+    // The master already points at another product in this store
+    const existingMap = await ProductMap.findOne({ dashboardProduct: master._id, isDeleted: false });
+    const existingMapping = existingMap?.getStoreMapping(job.store);
+    if (existingMapping && existingMapping.status !== 'deleted') {
+      return { ...item, action: 'skip', reason: 'master-already-in-store', status: 'skipped' };
+    }
+
+    const alignment = alignVariants(master.variants || [], shopifyVariants);
+    alignment.unmatchedShopify.forEach(variant => {
+      item.warnings.push(`Variant ${variant.sku || variant.title} has no matching master variant`);
+    });
+    const now = new Date();
+    const variantMappings = alignment.pairs.map(pair =>
+      buildVariantMapping(pair.dashboardVariantIndex, shopifyVariants[pair.shopifyVariantIndex], now)
+    );
+
+    if (dryRun) return { ...item, status: 'planned' };
+
+    await attachStoreMapping({
+      productId: master._id,
+      userId: job.userId,
+      storeMapping: buildStoreMapping(job.store, node, variantMappings)
+    });
+    master.storeCount = (master.storeCount || 0) + 1;
+    await master.save();
+
+    return { ...item, status: 'imported' };
+  }
+
+  item.action = 'create';
+  if (duplicate) item.reason = 'duplicate';
+
+  const fullNode = dryRun ? node : await loadFullProduct(session, node);
+  const { data, mediaMappings, warnings } = toMasterProductData(fullNode, job.userId);
+  item.warnings.push(...warnings);
+
+  const product = new Product(data);
+  const validationError = product.validateSync();
+  if (validationError) {
+    return { ...item, status: 'failed', error: validationError.message };
+  }
+
+  if (dryRun) return { ...item, status: 'planned' };
+
+  await product.save();
+  item.product = product._id;
+
+  const now = new Date();
+  const variantMappings = shopifyVariants.map((variantNode, index) => buildVariantMapping(index, variantNode, now));
+  await attachStoreMapping({
+    productId: product._id,
+    userId: job.userId,
+    storeMapping: buildStoreMapping(job.store, fullNode, variantMappings, mediaMappings)
+  });
+
+  // Later products in the same import are checked against this one
+  addToDuplicateIndex(duplicates, product._id, product.handle, product.variants.map(variant => variant.sku));
+
+  return { ...item, status: 'imported' };
+}
+
+const countItem = (progress, item) => {
+  progress.processed += 1;
+  if (item.status === 'failed') progress.failed += 1;
+  else if (item.action === 'skip') progress.skipped += 1;
+  else if (item.action === 'link') progress.linked += 1;
+  else progress.created += 1;
+};
+
+async function finishImport(job) {
+  if (job.cancelRequested) {
+    job.status = 'cancelled';
+  } else if (!job.status || job.status === 'running') {
+    job.status = 'succeeded';
+  }
+  job.finishedAt = new Date();
+  job.lockedAt = null;
+  await job.save();
+  emitImportUpdate(job);
+
+  const { created, linked, skipped, failed } = job.progress;
+  try {
+    await notificationService.createUserNotification({
+      userId: job.userId,
+      title: job.options.dryRun ? 'Import preview ready' : 'Catalog import finished',
+      message: `${job.options.dryRun ? 'Preview' : 'Import'} ${job.status}: ${created} to create, ${linked} linked, ${skipped} skipped, ${failed} failed`,
+      type: job.status === 'failed' ? 'error' : 'sync',
+      link: `/stores/${job.store}`,
+      metadata: { importId: job._id, storeId: job.store, progress: job.progress }
+    });
+  } catch (error) {
+    console.error('Failed to send catalog import notification:', error.message);
+  }
+}
+
+/**
+ * Walk the store catalog page by page from the saved cursor
+ */
+async function runImport(job) {
+  const store = await Store.findOne({ _id: job.store, isActive: true });
+  if (!store) {
+    job.status = 'failed';
+    job.error = 'Store not found or disconnected';
+    return finishImport(job);
+  }
+
+  const session = buildStoreSession(store);
+
+  if (!job.startedAt) {
+    job.startedAt = new Date();
+    job.progress.total = await getProductsCount(session, job.options.query).catch(() => 0);
+  }
+  await job.save();
+  emitImportUpdate(job);
+
+  const duplicates = await loadDuplicateIndex(job.userId);
+
+  let cursor = job.cursor;
+  let hasNextPage = true;
+
+  while (hasNextPage) {
+    // Cancellation is requested from another request; re-read the flag between pages
+    const latest = await CatalogImport.findById(job._id).select('cancelRequested').lean();
+    if (latest?.cancelRequested) {
+      job.cancelRequested = true;
+      break;
+    }
+
+    const data = await getProducts(session, {
+      first: PAGE_SIZE,
+      after: cursor,
+      query: job.options.query,
+      detailed: true
+    });
+    const pageNodes = nodes(data.products);
+    const pageIds = pageNodes.map(node => node.id);
+    const linkedIds = await findLinkedShopifyIds(job.store, pageIds);
+    // Products of this page already handled before a restart are not imported twice
+    const seen = new Set(await CatalogImportItem.distinct('shopifyProductId', {
+      catalogImport: job._id,
+      shopifyProductId: { $in: pageIds }
+    }));
+
+    for (const node of pageNodes) {
+      if (seen.has(node.id)) continue;
+
+      let item;
+      try {
+        item = await importProduct({ job, session, node, duplicates, linkedIds });
+      } catch (error) {
+        console.error(`Catalog import ${job._id}: ${node.id} failed:`, error.message);
+        item = { shopifyProductId: node.id, title: node.title, handle: node.handle, action: 'create', status: 'failed', error: error.message };
+      }
+
+      await CatalogImportItem.create({ ...item, catalogImport: job._id });
+      seen.add(node.id);
+      countItem(job.progress, item);
+      job.progress.total = Math.max(job.progress.total, job.progress.processed);
+      await job.save();
+      emitImportUpdate(job, item);
+    }
+
+    cursor = data.products.pageInfo.endCursor;
+    hasNextPage = data.products.pageInfo.hasNextPage;
+    job.cursor = cursor;
+    await job.save();
+  }
+
+  return finishImport(job);
+}
+
+async function claimNextImport() {
+  return CatalogImport.findOneAndUpdate(
+    { status: 'queued' },
+    { $set: { status: 'running', lockedAt: new Date() } },
+    { sort: { createdAt: 1 }, new: true }
+  );
+}
+
+/**
+ * Drain the import queue; safe to call repeatedly
+ */
+async function processQueue() {
+  if (isProcessing) return;
+  isProcessing = true;
+
+  try {
+    let job;
+    while ((job = await claimNextImport())) {
+      try {
+        await runImport(job);
+      } catch (error) {
+        console.error(`Catalog import ${job._id} crashed:`, error);
+        job.status = 'failed';
+        job.error = error.message;
+        await finishImport(job).catch(() => {});
+      }
+    }
+  } catch (error) {
+    console.error('Catalog import queue error:', error);
+  } finally {
+    isProcessing = false;
+  }
+}
+
+/**
+ * Queue a catalog import (or dry-run preview) for a store
+ * @param {Object} params - { userId, storeId, dryRun, onDuplicate, query }
+ * @returns {Promise<Object>} CatalogImport document
+ */
+async function enqueueImport({ userId, storeId, dryRun = false, onDuplicate = 'skip', query }) {
+  const job = await CatalogImport.create({
+    userId,
+    store: storeId,
+    options: { dryRun, onDuplicate, query: query || undefined }
+  });
+
+  emitImportUpdate(job);
+  setImmediate(processQueue);
+
+  return job;
+}
+
+/**
+ * Cancel an import; queued imports stop immediately, running imports after the current page
+ */
+async function cancelImport(importId, userId) {
+  const queued = await CatalogImport.findOneAndUpdate(
+    { _id: importId, userId, status: 'queued' },
+    { $set: { status: 'cancelled', cancelRequested: true, finishedAt: new Date() } },
+    { new: true }
+  );
+
+  if (queued) {
+    emitImportUpdate(queued);
+    return queued;
+  }
+
+  return CatalogImport.findOneAndUpdate(
+    { _id: importId, userId, status: 'running' },
+    { $set: { cancelRequested: true } },
+    { new: true }
+  );
+}
+
+/**
+ * Put imports interrupted by a restart back in the queue and resume processing
+ */
+async function resumeImports() {
+  const { modifiedCount } = await CatalogImport.updateMany(
+    { status: 'running' },
+    { $set: { status: 'queued', lockedAt: null } }
+  );
+  if (modifiedCount > 0) {
+    console.log(`Resuming ${modifiedCount} interrupted catalog import(s)`);
+  }
+  setImmediate(processQueue);
+  return modifiedCount;
+}
+
+export const catalogImportService = {
+  enqueueImport,
+  cancelImport,
+  resumeImports,
+  processQueue
+};
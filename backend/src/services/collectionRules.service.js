@@ -0,0 +1,235 @@
+import { Product } from '../models/ProductOptimized.js';
+
+/**
+ * Collection Rules Service
+ * Evaluates smart collection rule sets (models/Collection.js ruleSet) against the
+ * dashboard catalog so a collection can be previewed before it is pushed.
+ *
+ * Matching follows Shopify: text is compared case-insensitively, a variant rule
+ * matches when any variant matches, and appliedDisjunctively switches from
+ * "all rules" to "any rule". Rules on data that only exists in a store
+ * (metafield definitions, product category) are reported as not evaluated.
+ */
+
+const TEXT_RELATIONS = ['EQUALS', 'NOT_EQUALS', 'STARTS_WITH', 'ENDS_WITH', 'CONTAINS', 'NOT_CONTAINS'];
+const NUMBER_RELATIONS = ['EQUALS', 'NOT_EQUALS', 'GREATER_THAN', 'LESS_THAN'];
+
+// Weight conditions may carry a unit ("1.5 kg"); everything is compared in grams
+const GRAMS_PER_UNIT = { g: 1, kg: 1000, oz: 28.349523125, lb: 453.59237 };
+
+const variantTitle = (variant) => (variant.optionValues?.length
+  ? variant.optionValues.map(optionValue => optionValue.name).join(' / ')
+  : 'Default Title');
+
+const toGrams = (value, unit) => value * (GRAMS_PER_UNIT[unit] || 1);
+
+/**
+ * Supported columns: the relations Shopify accepts for each and how to read
+ * the value(s) from a dashboard product. `storeOnly` columns cannot be evaluated here.
+ */
+const RULE_COLUMNS = {
+  TITLE: { type: 'text', relations: TEXT_RELATIONS, values: product => [product.title] },
+  TYPE: { type: 'text', relations: TEXT_RELATIONS, values: product => [product.productType] },
+  VENDOR: { type: 'text', relations: TEXT_RELATIONS, values: product => [product.vendor] },
+  TAG: { type: 'tag', relations: ['EQUALS'], values: product => product.tags || [] },
+  VARIANT_TITLE: { type: 'text', relations: TEXT_RELATIONS, values: product => (product.variants || []).map(variantTitle) },
+  VARIANT_PRICE: { type: 'number', relations: NUMBER_RELATIONS, values: product => (product.variants || []).map(variant => variant.price) },
+  VARIANT_COMPARE_AT_PRICE: {
+    type: 'number',
+    relations: NUMBER_RELATIONS,
+    values: product => (product.variants || []).map(variant => variant.compareAtPrice)
+  },
+  VARIANT_INVENTORY: {
+    type: 'number',
+    relations: NUMBER_RELATIONS,
+    values: product => (product.variants || []).map(variant => variant.inventoryQuantity)
+  },
+  VARIANT_WEIGHT: {
+    type: 'weight',
+    relations: NUMBER_RELATIONS,
+    values: product => (product.variants || []).map(variant => toGrams(variant.weight || 0, variant.weightUnit))
+  },
+  IS_PRICE_REDUCED: {
+    type: 'boolean',
+    relations: ['IS_SET', 'IS_NOT_SET'],
+    values: product => [(product.variants || []).some(variant => variant.compareAtPrice > variant.price)]
+  },
+  PRODUCT_CATEGORY_ID: { storeOnly: 'Product category is not stored on dashboard products' },
+  PRODUCT_METAFIELD_DEFINITION: { storeOnly: 'Metafield definitions exist only in each store' },
+  VARIANT_METAFIELD_DEFINITION: { storeOnly: 'Metafield definitions exist only in each store' }
+};
+
+const parseNumber = (condition) => {
+  const value = parseFloat(condition);
+  return Number.isFinite(value) ? value : null;
+};
+
+const parseWeight = (condition) => {
+  const match = /^\s*(-?\d+(?:\.\d+)?)\s*(g|kg|oz|lb)?\s*$/i.exec(condition || '');
+  return match ? toGrams(parseFloat(match[1]), (match[2] || 'g').toLowerCase()) : null;
+};
+
+/**
+ * Why a rule cannot be evaluated against dashboard data, or null when it can
+ * @returns {{ status: 'store_only'|'invalid', reason: string }|null}
+ */
+function checkRule(rule) {
+  const column = RULE_COLUMNS[rule.column];
+  if (!column) {
+    return { status: 'invalid', reason: `Unknown column ${rule.column}` };
+  }
+  if (column.storeOnly) {
+    return { status: 'store_only', reason: column.storeOnly };
+  }
+  if (!column.relations.includes(rule.relation)) {
+    return { status: 'invalid', reason: `${rule.column} does not support ${rule.relation}` };
+  }
+  if (column.type === 'number' && parseNumber(rule.condition) === null) {
+    return { status: 'invalid', reason: `"${rule.condition}" is not a number` };
+  }
+  if (column.type === 'weight' && parseWeight(rule.condition) === null) {
+    return { status: 'invalid', reason: `"${rule.condition}" is not a weight (e.g. 500 g, 1.5 kg)` };
+  }
+  return null;
+}
+
+const matchesText = (value, relation, condition) => {
+  const text = (value || '').toString().toLowerCase();
+  const target = (condition || '').toLowerCase();
+
+  switch (relation) {
+    case 'EQUALS': return text === target;
+    case 'NOT_EQUALS': return text !== target;
+    case 'STARTS_WITH': return text.startsWith(target);
+    case 'ENDS_WITH': return text.endsWith(target);
+    case 'CONTAINS': return text.includes(target);
+    case 'NOT_CONTAINS': return !text.includes(target);
+    default: return false;
+  }
+};
+
+const matchesNumber = (value, relation, target) => {
+  if (value === undefined || value === null) return false;
+
+  switch (relation) {
+    case 'EQUALS': return value === target;
+    case 'NOT_EQUALS': return value !== target;
+    case 'GREATER_THAN': return value > target;
+    case 'LESS_THAN': return value < target;
+    default: return false;
+  }
+};
+
+/**
+ * Whether a product satisfies one rule; the rule must pass checkRule
+ */
+function matchesRule(product, rule) {
+  const column = RULE_COLUMNS[rule.column];
+  const values = column.values(product);
+
+  switch (column.type) {
+    case 'tag':
+      return values.some(tag => matchesText(tag, 'EQUALS', rule.condition));
+    case 'number': {
+      const target = parseNumber(rule.condition);
+      return values.some(value => matchesNumber(value, rule.relation, target));
+    }
+    case 'weight': {
+      const target = parseWeight(rule.condition);
+      return values.some(value => matchesNumber(value, rule.relation, target));
+    }
+    case 'boolean':
+      return rule.relation === 'IS_SET' ? values[0] : !values[0];
+    default:
+      return values.some(value => matchesText(value, rule.relation, rule.condition));
+  }
+}
+
+/**
+ * Split a rule set into rules that can run locally and ones that are flagged
+ * @returns {{ rules: Array<Object>, evaluable: Array<Object> }} rules carry index, status and reason
+ */
+function analyzeRuleSet(ruleSet = {}) {
+  const rules = (ruleSet.rules || []).map((rule, index) => {
+    const problem = checkRule(rule);
+    return {
+      index,
+      column: rule.column,
+      relation: rule.relation,
+      condition: rule.condition,
+      status: problem ? problem.status : 'evaluated',
+      ...(problem && { reason: problem.reason })
+    };
+  });
+
+  return {
+    rules,
+    evaluable: (ruleSet.rules || []).filter((_, index) => rules[index].status === 'evaluated')
+  };
+}
+
+/**
+ * Whether a product belongs in the collection, judged on the evaluable rules only
+ */
+function evaluateProduct(product, ruleSet = {}, evaluable = analyzeRuleSet(ruleSet).evaluable) {
+  if (evaluable.length === 0) return false;
+  return ruleSet.appliedDisjunctively
+    ? evaluable.some(rule => matchesRule(product, rule))
+    : evaluable.every(rule => matchesRule(product, rule));
+}
+
+/**
+ * Run a rule set against a user's dashboard products
+ * @param {Object} params - { userId, ruleSet, limit } - limit caps the returned sample
+ * @returns {Promise<Object>} { totalProducts, matchedCount, exact, rules, products }
+ */
+async function previewRuleSet({ userId, ruleSet, limit = 50 }) {
+  const { rules, evaluable } = analyzeRuleSet(ruleSet);
+  const products = [];
+  let totalProducts = 0;
+  let matchedCount = 0;
+
+  if (evaluable.length > 0) {
+    const cursor = Product.find({ createdBy: userId })
+      .select('title handle status vendor productType tags variants media storeCount')
+      .sort({ title: 1 })
+      .lean()
+      .cursor();
+
+    for await (const product of cursor) {
+      totalProducts += 1;
+      if (!evaluateProduct(product, ruleSet, evaluable)) continue;
+
+      matchedCount += 1;
+      if (products.length < limit) {
+        products.push({
+          _id: product._id,
+          title: product.title,
+          handle: product.handle,
+          status: product.status,
+          vendor: product.vendor,
+          productType: product.productType,
+          image: product.media?.[0]?.src || product.media?.[0]?.url || null,
+          storeCount: product.storeCount || 0
+        });
+      }
+    }
+  } else {
+    totalProducts = await Product.countDocuments({ createdBy: userId });
+  }
+
+  return {
+    totalProducts,
+    matchedCount,
+    // Skipped rules make the result approximate: broader for "all", narrower for "any"
+    exact: evaluable.length > 0 && evaluable.length === rules.length,
+    rules,
+    products
+  };
+}
+
+export const collectionRulesService = {
+  analyzeRuleSet,
+  evaluateProduct,
+  previewRuleSet
+};
@@ -0,0 +1,237 @@
+import { Collection } from '../models/Collection.js';
+import { ProductMap } from '../models/ProductMap.js';
+import { Store } from '../models/Store.js';
+import { buildStoreSession } from '../middleware/storeSession.js';
+import {
+  createCollection,
+  updateCollection,
+  deleteCollection,
+  addProductsToCollection,
+  removeProductsFromCollection
+} from '../graphql/mutations/collectionMutations.js';
+
+/**
+ * Collection Sync Service
+ * Pushes dashboard master collections (models/Collection.js) to stores and keeps
+ * collection.storeMappings up to date. Manual collection members are dashboard product IDs,
+ * translated per store through ProductMap; products not yet in a store are reported as missing
+ * and added later when they are pushed there (see addProductToStoreCollections).
+ */
+
+// collectionAddProducts / collectionRemoveProducts accept at most 250 products per call
+const MEMBERSHIP_BATCH_SIZE = 250;
+
+const chunk = (items, size) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+  return chunks;
+};
+
+const isMissingCollectionError = (error) => /not exist|not found|could not find/i.test(error.message);
+
+/**
+ * Shopify product IDs of the collection's members in one store
+ * @returns {Promise<{ shopifyProductIds: string[], missingProductIds: string[] }>}
+ */
+async function resolveStoreProductIds(collection, storeId) {
+  const productIds = collection.productIds || [];
+  if (productIds.length === 0) return { shopifyProductIds: [], missingProductIds: [] };
+
+  const productMaps = await ProductMap.find({
+    dashboardProduct: { $in: productIds },
+    isDeleted: false,
+    'storeMappings.store': storeId
+  }).select('dashboardProduct storeMappings.store storeMappings.shopifyProductId storeMappings.status');
+
+  const shopifyIdByProduct = new Map();
+  productMaps.forEach(productMap => {
+    const storeMapping = productMap.getStoreMapping(storeId);
+    if (storeMapping && storeMapping.status !== 'deleted') {
+      shopifyIdByProduct.set(productMap.dashboardProduct.toString(), storeMapping.shopifyProductId);
+    }
+  });
+
+  return {
+    shopifyProductIds: productIds.map(id => shopifyIdByProduct.get(id)).filter(Boolean),
+    missingProductIds: productIds.filter(id => !shopifyIdByProduct.has(id))
+  };
+}
+
+/**
+ * Add and remove members so the store collection matches the master
+ */
+async function syncMembership(session, storeMapping, shopifyProductIds) {
+  const previous = new Set(storeMapping.syncedProductIds || []);
+  const next = new Set(shopifyProductIds);
+  const toAdd = shopifyProductIds.filter(id => !previous.has(id));
+  const toRemove = Array.from(previous).filter(id => !next.has(id));
+
+  for (const batch of chunk(toAdd, MEMBERSHIP_BATCH_SIZE)) {
+    await addProductsToCollection(session, storeMapping.shopifyCollectionId, batch);
+  }
+  for (const batch of chunk(toRemove, MEMBERSHIP_BATCH_SIZE)) {
+    await removeProductsFromCollection(session, storeMapping.shopifyCollectionId, batch);
+  }
+
+  storeMapping.syncedProductIds = shopifyProductIds;
+  return { added: toAdd.length, removed: toRemove.length };
+}
+
+/**
+ * Create or update the collection in one store; the caller saves the collection
+ * @returns {Promise<Object>} Per-store result
+ */
+async function pushToStore(collection, store) {
+  const session = buildStoreSession(store);
+  const input = collection.toShopifyCollectionInput();
+  let storeMapping = collection.getStoreMapping(store._id);
+  let operation = 'updated';
+
+  const result = {
+    storeId: store._id,
+    shopName: store.shopName,
+    success: false
+  };
+
+  try {
+    let shopifyCollection = null;
+
+    if (storeMapping) {
+      try {
+        shopifyCollection = (await updateCollection(session, storeMapping.shopifyCollectionId, input)).collection;
+      } catch (error) {
+        // Deleted in Shopify admin: create it again and start membership from scratch
+        if (!isMissingCollectionError(error)) throw error;
+        storeMapping.syncedProductIds = [];
+      }
+    }
+
+    if (!shopifyCollection) {
+      shopifyCollection = (await createCollection(session, input)).collection;
+      operation = 'created';
+
+      if (storeMapping) {
+        storeMapping.shopifyCollectionId = shopifyCollection.id;
+      } else {
+        collection.storeMappings.push({ store: store._id, shopifyCollectionId: shopifyCollection.id, syncedProductIds: [] });
+        storeMapping = collection.getStoreMapping(store._id);
+      }
+    }
+
+    storeMapping.shopifyHandle = shopifyCollection.handle;
+
+    // Smart collections pick their members in Shopify from the rule set
+    if (collection.collectionType === 'MANUAL') {
+      const { shopifyProductIds, missingProductIds } = await resolveStoreProductIds(collection, store._id);
+      Object.assign(result, await syncMembership(session, storeMapping, shopifyProductIds));
+      result.missingProductIds = missingProductIds;
+    }
+
+    storeMapping.status = 'active';
+    storeMapping.lastSyncAt = new Date();
+    storeMapping.lastError = undefined;
+
+    return {
+      ...result,
+      success: true,
+      operation,
+      shopifyCollectionId: storeMapping.shopifyCollectionId
+    };
+  } catch (error) {
+    console.error(`Failed to push collection ${collection._id} to ${store.shopDomain}:`, error.message);
+    if (storeMapping) {
+      storeMapping.status = 'error';
+      storeMapping.lastError = error.message;
+    }
+    return { ...result, error: error.message };
+  }
+}
+
+/**
+ * Push a master collection to stores
+ * @param {Object} params - { userId, collection, storeIds } - storeIds omitted = every store it is already in
+ * @returns {Promise<Array<Object>>} Per-store results
+ */
+async function pushCollection({ userId, collection, storeIds }) {
+  const targetIds = storeIds?.length
+    ? storeIds
+    : collection.storeMappings.map(mapping => mapping.store);
+  if (targetIds.length === 0) return [];
+
+  const stores = await Store.find({ _id: { $in: targetIds }, userId, isActive: true });
+  const results = [];
+
+  for (const store of stores) {
+    results.push(await pushToStore(collection, store));
+  }
+
+  await collection.save();
+  return results;
+}
+
+/**
+ * Remove a master collection from one store
+ * @param {Object} params - { userId, collection, storeId, deleteInStore }
+ */
+async function unlinkStore({ userId, collection, storeId, deleteInStore = false }) {
+  const storeMapping = collection.getStoreMapping(storeId);
+  if (!storeMapping) return null;
+
+  if (deleteInStore) {
+    const store = await Store.findOne({ _id: storeId, userId, isActive: true });
+    if (store) {
+      try {
+        await deleteCollection(buildStoreSession(store), storeMapping.shopifyCollectionId);
+      } catch (error) {
+        if (!isMissingCollectionError(error)) throw error;
+      }
+    }
+  }
+
+  collection.storeMappings = collection.storeMappings.filter(mapping => mapping.store.toString() !== storeId.toString());
+  await collection.save();
+  return storeMapping;
+}
+
+/**
+ * Add a product that was just pushed to a store to that store's copies of
+ * the manual master collections it belongs to
+ * @param {Object} params - { productId, storeId, shopifyProductId }
+ */
+async function addProductToStoreCollections({ productId, storeId, shopifyProductId }) {
+  const collections = await Collection.find({
+    collectionType: 'MANUAL',
+    productIds: productId.toString(),
+    'storeMappings.store': storeId
+  });
+  if (collections.length === 0) return 0;
+
+  const store = await Store.findOne({ _id: storeId, isActive: true });
+  if (!store) return 0;
+  const session = buildStoreSession(store);
+
+  let added = 0;
+  for (const collection of collections) {
+    const storeMapping = collection.getStoreMapping(storeId);
+    if (storeMapping.syncedProductIds.includes(shopifyProductId)) continue;
+
+    try {
+      await addProductsToCollection(session, storeMapping.shopifyCollectionId, [shopifyProductId]);
+      storeMapping.syncedProductIds.push(shopifyProductId);
+      storeMapping.lastSyncAt = new Date();
+      await collection.save();
+      added += 1;
+    } catch (error) {
+      console.error(`Failed to add ${shopifyProductId} to collection ${collection._id} in ${store.shopDomain}:`, error.message);
+    }
+  }
+
+  return added;
+}
+
+export const collectionSyncService = {
+  resolveStoreProductIds,
+  pushCollection,
+  unlinkStore,
+  addProductToStoreCollections
+};
@@ -0,0 +1,153 @@
+import fs from 'fs/promises';
+import path from 'path';
+import axios from 'axios';
+import nodemailer from 'nodemailer';
+
+/**
+ * Email Service
+ * Sends transactional email (workspace invitations, email verification, password resets)
+ * through a pluggable transport, chosen with MAIL_TRANSPORT:
+ * - smtp: SMTP_HOST, SMTP_PORT (587), SMTP_SECURE ("true" for port 465), SMTP_USER, SMTP_PASS
+ * - http: EMAIL_API_URL accepting { from, to, subject, text, html } as JSON (e.g. https://api.resend.com/emails),
+ *   EMAIL_API_KEY sent as a Bearer token
+ * - file: writes each message as JSON to MAIL_FILE_DIR (default ./tmp/mail), for local and test setups
+ * - console: logs the recipient and subject only (default when nothing is configured)
+ * Without MAIL_TRANSPORT, smtp is used when SMTP_HOST is set and http when EMAIL_API_URL is set.
+ * EMAIL_FROM is the sender address for every transport.
+ * In production, sending fails unless the transport delivers mail (messages carry sign-in links).
+ */
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Simple HTML body: paragraphs plus an optional call-to-action link
+ * @param {Object} params - { paragraphs: string[], action?: { label, url }, footer? }
+ */
+const renderHtml = ({ paragraphs = [], action, footer }) => [
+  '<div style="font-family:Arial,sans-serif;font-size:14px;color:#111827;line-height:1.5">',
+  ...paragraphs.map(text => `<p>${escapeHtml(text)}</p>`),
+  action
+    ? `<p><a href="${escapeHtml(action.url)}" style="display:inline-block;padding:10px 16px;background:#2563eb;color:#ffffff;border-radius:6px;text-decoration:none">${escapeHtml(action.label)}</a></p>`
+    : '',
+  footer ? `<p style="color:#6b7280;font-size:12px">${escapeHtml(footer)}</p>` : '',
+  '</div>'
+].join('');
+
+const renderText = ({ paragraphs = [], action, footer }) => [
+  ...paragraphs,
+  action ? `${action.label}: ${action.url}` : null,
+  footer
+].filter(Boolean).join('\n\n');
+
+// ==============================================
+// TRANSPORTS
+// Each transport sends a rendered message and reports whether it reached a real mailbox
+// ==============================================
+
+let smtpTransporter = null;
+
+const smtpTransport = {
+  delivers: true,
+  async send(message) {
+    if (!smtpTransporter) {
+      smtpTransporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+        connectionTimeout: REQUEST_TIMEOUT_MS
+      });
+    }
+    await smtpTransporter.sendMail(message);
+  }
+};
+
+const httpTransport = {
+  delivers: true,
+  async send(message) {
+    await axios.post(process.env.EMAIL_API_URL, message, {
+      headers: process.env.EMAIL_API_KEY ? { Authorization: `Bearer ${process.env.EMAIL_API_KEY}` } : {},
+      timeout: REQUEST_TIMEOUT_MS
+    });
+  }
+};
+
+const fileTransport = {
+  delivers: false,
+  async send(message) {
+    const directory = process.env.MAIL_FILE_DIR || path.join(process.cwd(), 'tmp', 'mail');
+    await fs.mkdir(directory, { recursive: true });
+    const fileName = `${Date.now()}-${String(message.to).replace(/[^a-z0-9@._-]/gi, '_')}.json`;
+    await fs.writeFile(path.join(directory, fileName), JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+    console.log(`[email] Written to ${path.join(directory, fileName)}: ${message.subject}`);
+  }
+};
+
+// The body holds verification and reset links, so it is never logged
+const consoleTransport = {
+  delivers: false,
+  async send(message) {
+    console.log(`[email] Not configured; not sent to ${message.to}: ${message.subject}`);
+  }
+};
+
+const transports = new Map([
+  ['smtp', smtpTransport],
+  ['http', httpTransport],
+  ['file', fileTransport],
+  ['console', consoleTransport]
+]);
+
+/**
+ * Add or replace a transport (e.g. a provider SDK); select it with MAIL_TRANSPORT=<name>
+ * @param {string} name - Transport name
+ * @param {Object} transport - { delivers: boolean, send(message): Promise }
+ */
+function registerTransport(name, transport) {
+  transports.set(name, transport);
+}
+
+const resolveTransportName = () => {
+  if (process.env.MAIL_TRANSPORT) return process.env.MAIL_TRANSPORT;
+  if (process.env.SMTP_HOST) return 'smtp';
+  if (process.env.EMAIL_API_URL) return 'http';
+  return 'console';
+};
+
+/**
+ * Send an email
+ * @param {Object} params - { to, subject, paragraphs, action?, footer? }
+ * @returns {Promise<{ delivered: boolean }>} delivered is false for the file and console transports
+ */
+async function sendEmail({ to, subject, ...content }) {
+  const message = {
+    from: process.env.EMAIL_FROM || 'no-reply@localhost',
+    to,
+    subject,
+    text: renderText(content),
+    html: renderHtml(content)
+  };
+
+  const name = resolveTransportName();
+  const transport = transports.get(name);
+  if (!transport) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+  }
+  if (!transport.delivers && process.env.NODE_ENV === 'production') {
+    throw new Error(`MAIL_TRANSPORT "${name}" does not deliver email; configure smtp or http in production`);
+  }
+
+  await transport.send(message);
+  return { delivered: transport.delivers };
+}
+
+export const emailService = {
+  sendEmail,
+  registerTransport
+};
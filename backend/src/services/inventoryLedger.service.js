@@ -0,0 +1,141 @@
+import mongoose from 'mongoose';
+import { InventoryMovement } from '../models/InventoryMovement.js';
+import { ProductMap } from '../models/ProductMap.js';
+import { ApiError } from '../utils/ApiError.js';
+
+/**
+ * Inventory Ledger Service
+ * Reads the InventoryMovement collection. Movements are written by the ProductMap
+ * inventory methods (assignInventoryToStore, syncInventoryFromShopify, recordInventoryMovement)
+ * through the mapping's pendingInventoryMovements outbox.
+ */
+
+const ACTIONS = ['assigned', 'synced', 'adjusted', 'sold', 'returned'];
+const MAX_PAGE_SIZE = 500;
+const MAX_EXPORT_ROWS = 50000;
+
+const CSV_COLUMNS = [
+  ['Date', movement => movement.occurredAt?.toISOString()],
+  ['Variant Index', movement => movement.variantIndex],
+  ['Shopify Variant ID', movement => movement.shopifyVariantId],
+  ['Action', movement => movement.action],
+  ['Previous Quantity', movement => movement.previousQuantity],
+  ['Quantity', movement => movement.quantity],
+  ['Change', movement => movement.delta],
+  ['Location ID', movement => movement.locationId],
+  ['Reason', movement => movement.reason],
+  ['Actor', movement => movement.actor?.email || movement.actor?.name || '']
+];
+
+const csvCell = (value) => {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const parseDate = (value, name) => {
+  if (!value) return undefined;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw new ApiError(400, `Invalid ${name} date`);
+  return date;
+};
+
+/**
+ * Validate query filters and turn them into a match filter
+ * @param {Object} params - { userId, productId, storeId, variantIndex?, action? (comma separated), locationId?, from?, to? }
+ */
+const buildFilter = ({ userId, productId, storeId, variantIndex, action, locationId, from, to }) => {
+  if (productId && !mongoose.isValidObjectId(productId)) {
+    throw new ApiError(400, 'Invalid product ID');
+  }
+  if (storeId && !mongoose.isValidObjectId(storeId)) {
+    throw new ApiError(400, 'Invalid store ID');
+  }
+  if (variantIndex !== undefined && variantIndex !== '' && !Number.isInteger(Number(variantIndex))) {
+    throw new ApiError(400, 'variantIndex must be an integer');
+  }
+
+  const actions = action ? String(action).split(',').map(value => value.trim()).filter(Boolean) : [];
+  const unknown = actions.filter(value => !ACTIONS.includes(value));
+  if (unknown.length > 0) {
+    throw new ApiError(400, `Unknown action: ${unknown.join(', ')}. Use ${ACTIONS.join(', ')}`);
+  }
+
+  return InventoryMovement.buildFilter({
+    userId,
+    productId,
+    storeId,
+    variantIndex,
+    action: actions.length > 0 ? actions : undefined,
+    locationId,
+    from: parseDate(from, 'from'),
+    to: parseDate(to, 'to')
+  });
+};
+
+/**
+ * Paginated movements, newest first, with per-action and per-variant totals for the same filters
+ * @param {Object} params - buildFilter params plus page?, limit?
+ * @returns {Promise<{ history, totals, variantTotals, pagination }>}
+ */
+async function getHistory({ page = 1, limit = 50, ...filters }) {
+  const filter = buildFilter(filters);
+  const pageNumber = Math.max(parseInt(page) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), MAX_PAGE_SIZE);
+
+  const [history, total, totals, variantTotals] = await Promise.all([
+    InventoryMovement.find(filter)
+      .sort({ occurredAt: -1, _id: -1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize)
+      .populate('actor', 'name email')
+      .lean(),
+    InventoryMovement.countDocuments(filter),
+    InventoryMovement.getActionTotals(filter),
+    InventoryMovement.getNetChangeByVariant(filter)
+  ]);
+
+  return {
+    history,
+    totals,
+    variantTotals,
+    pagination: { page: pageNumber, limit: pageSize, total, totalPages: Math.ceil(total / pageSize) }
+  };
+}
+
+/**
+ * Movements matching the filters as CSV, newest first
+ * @param {Object} params - buildFilter params
+ * @returns {Promise<string>}
+ */
+async function exportHistoryCsv(filters) {
+  const movements = await InventoryMovement.find(buildFilter(filters))
+    .sort({ occurredAt: -1, _id: -1 })
+    .limit(MAX_EXPORT_ROWS)
+    .populate('actor', 'name email')
+    .lean();
+
+  const lines = [
+    CSV_COLUMNS.map(([header]) => header).join(','),
+    ...movements.map(movement => CSV_COLUMNS.map(([, read]) => csvCell(read(movement))).join(','))
+  ];
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Move movements still waiting in ProductMap outboxes into the ledger (called from index.js)
+ * @returns {Promise<number>} Movements flushed
+ */
+async function flushPendingMovements() {
+  const flushed = await ProductMap.flushAllPendingMovements();
+  if (flushed > 0) {
+    console.log(`Recorded ${flushed} pending inventory movement(s)`);
+  }
+  return flushed;
+}
+
+export const inventoryLedgerService = {
+  getHistory,
+  exportHistoryCsv,
+  flushPendingMovements
+};
@@ -0,0 +1,352 @@
+import mongoose from 'mongoose';
+import { InventoryPool } from '../models/InventoryPool.js';
+import { OrderSaleClaim } from '../models/OrderSaleClaim.js';
+import { Product } from '../models/ProductOptimized.js';
+import { ProductMap } from '../models/ProductMap.js';
+import { Store } from '../models/Store.js';
+import { buildStoreSession } from '../middleware/storeSession.js';
+import { inventoryPushService } from './inventoryPush.service.js';
+import { ApiError } from '../utils/ApiError.js';
+
+/**
+ * Inventory Pool Service
+ * Server-side split of a product's master stock between stores (see models/InventoryPool.js).
+ * Assignments reserve units from the pool, sales from the orders/create webhook release them,
+ * and in shared pool mode the remaining stock is split again and pushed to the stores.
+ */
+
+const MAX_ATTEMPTS = 3;
+// A claim that never took stock (crashed delivery) can be taken over by a retry after this long
+const SALE_CLAIM_TIMEOUT_MS = 5 * 60 * 1000;
+
+const isWriteConflict = (error) => error instanceof mongoose.Error.VersionError || error?.code === 11000;
+
+/**
+ * Read the product's pool with fresh master quantities, apply a change and save it
+ * The save is rejected when another request changed the pool in between; the change is then
+ * re-run on the newer pool. An ApiError thrown by the change aborts without saving.
+ * @param {string} productId - Dashboard product ID
+ * @param {Function} change - (pool) => result
+ * @param {Object} options - { create: false to skip products without a pool }
+ * @returns {Promise<*>} The change's result (null when there is no pool and create is false)
+ */
+async function withPool(productId, change, { create = true } = {}) {
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    const product = await Product.findById(productId).select('variants createdBy');
+    if (!product) {
+      throw new ApiError(404, 'Product not found');
+    }
+
+    let pool = await InventoryPool.findOne({ product: product._id });
+    if (!pool) {
+      if (!create) return null;
+      pool = new InventoryPool({ userId: product.createdBy, product: product._id });
+    }
+    pool.syncOnHand(product);
+
+    const result = await change(pool, product);
+    try {
+      await pool.save();
+      return result;
+    } catch (error) {
+      if (!isWriteConflict(error)) throw error;
+    }
+  }
+
+  throw new ApiError(409, 'Inventory changed while saving the allocation; please try again');
+}
+
+const findOwnedProduct = async (productId, userId) => {
+  const product = await Product.findOne({ _id: productId, createdBy: userId }).select('variants createdBy');
+  if (!product) {
+    throw new ApiError(404, 'Product not found');
+  }
+  return product;
+};
+
+/**
+ * Pool summary for a product: on-hand, allocated and unallocated units per variant
+ * @param {Object} params - { productId, userId }
+ */
+async function getPool({ productId, userId }) {
+  const product = await findOwnedProduct(productId, userId);
+  const pool = await InventoryPool.findOne({ product: product._id })
+    || new InventoryPool({ userId: product.createdBy, product: product._id });
+  return pool.syncOnHand(product).toSummary();
+}
+
+/**
+ * Turn shared pool mode on or off for a product
+ * @param {Object} params - { productId, userId, enabled }
+ */
+async function setSharedPool({ productId, userId, enabled }) {
+  await findOwnedProduct(productId, userId);
+  return withPool(productId, (pool) => {
+    pool.sharedPool = Boolean(enabled);
+    return pool.toSummary();
+  });
+}
+
+/**
+ * Set a store location's allocation for each variant, all or nothing
+ * Raising an allocation beyond the units not allocated elsewhere fails with 409; lowering always works.
+ * @param {Object} params - { productId, storeId, locationId?, assignments [{ variantIndex, quantity }], enforce? }
+ * @returns {Promise<Array>} [{ variantIndex, previousQuantity, quantity, unallocated }]
+ */
+async function allocate({ productId, storeId, locationId = null, assignments, enforce = true }) {
+  return withPool(productId, (pool) => assignments.map(({ variantIndex, quantity }) => {
+    const previousQuantity = pool.setAllocation(variantIndex, storeId, locationId, quantity);
+    const { onHand } = pool.getVariant(variantIndex);
+    const allocated = pool.getAllocated(variantIndex);
+
+    if (enforce && quantity > previousQuantity && allocated > onHand) {
+      const available = Math.max(0, onHand - (allocated - quantity));
+      throw new ApiError(409,
+        `Cannot assign ${quantity} units of variant ${variantIndex + 1}: only ${available} of ${onHand} are not allocated to other stores`);
+    }
+
+    return { variantIndex, previousQuantity, quantity, unallocated: pool.getUnallocated(variantIndex) };
+  }));
+}
+
+/**
+ * Quantities a store location should receive on push, for variants managed by the pool
+ * A variant is managed once any store holds an allocation of it; stores without one get 0.
+ * @param {Object} params - { productId, storeId, locationId? }
+ * @returns {Promise<Object>} { [variantIndex]: quantity }
+ */
+async function getStoreQuantities({ productId, storeId, locationId = null }) {
+  const pool = await InventoryPool.findOne({ product: productId });
+  const quantities = {};
+
+  (pool?.variants || []).forEach(variant => {
+    if (!variant.allocations.some(a => a.quantity > 0)) return;
+    // Allocations without a location belong to the store's default location
+    quantities[variant.variantIndex] = pool.getStoreAllocations(variant.variantIndex, storeId)
+      .filter(a => !a.locationId || a.locationId === locationId)
+      .reduce((sum, a) => sum + a.quantity, 0);
+  });
+
+  return quantities;
+}
+
+// Take sold units from the store's allocations, the order's location first
+const releaseSold = (pool, storeId, variantIndex, quantity, orderLocationId) => {
+  const allocations = pool.getStoreAllocations(variantIndex, storeId)
+    .sort((a, b) => Number(b.locationId === orderLocationId) - Number(a.locationId === orderLocationId));
+  const released = [];
+  let remaining = quantity;
+
+  for (const allocation of allocations) {
+    const taken = Math.min(remaining, allocation.quantity);
+    if (taken <= 0) continue;
+    pool.setAllocation(variantIndex, storeId, allocation.locationId, allocation.quantity - taken);
+    released.push({ variantIndex, locationId: allocation.locationId, quantity: taken });
+    remaining -= taken;
+    if (remaining === 0) break;
+  }
+
+  return released;
+};
+
+/**
+ * Claim the sale of one product in an order before its stock moves
+ * @returns {Promise<Object|null>} The claim, or null when another delivery took or is taking the stock
+ */
+async function claimSale(storeId, reference, productId) {
+  try {
+    return await OrderSaleClaim.create({ store: storeId, reference, product: productId });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  // A delivery that stopped before taking the stock left its claim behind
+  return OrderSaleClaim.findOneAndUpdate(
+    {
+      store: storeId,
+      reference,
+      product: productId,
+      stockTaken: false,
+      claimedAt: { $lt: new Date(Date.now() - SALE_CLAIM_TIMEOUT_MS) }
+    },
+    { $set: { claimedAt: new Date() } },
+    { new: true }
+  );
+}
+
+const stockChange = (items, sign) => ({
+  $inc: Object.fromEntries(items.map(({ variantIndex, quantity }) => [`variants.${variantIndex}.inventoryQuantity`, sign * quantity]))
+});
+
+/**
+ * Apply an orders/create webhook: sold units leave the master stock and the selling store's
+ * allocation, and are recorded as 'sold' ledger movements.
+ * Each product of the order is claimed first (OrderSaleClaim), so repeated or concurrent deliveries
+ * take its stock once. A claim is released when a step fails before the stock change is final.
+ * @param {Object} store - Store document of the shop that sold
+ * @param {Object} order - Parsed webhook body
+ * @returns {Promise<Object>} { duplicate, sold [{ productId, variantIndex, quantity }], rebalanced [{ productId, variantIndex, store, locationId, previousQuantity, quantity }] }
+ */
+async function recordSale(store, order) {
+  const reference = order.admin_graphql_api_id || `gid://shopify/Order/${order.id}`;
+
+  const soldByVariant = new Map();
+  (order.line_items || []).forEach(item => {
+    if (!item.variant_id || !item.quantity) return;
+    const variantId = `gid://shopify/ProductVariant/${item.variant_id}`;
+    soldByVariant.set(variantId, (soldByVariant.get(variantId) || 0) + item.quantity);
+  });
+  if (soldByVariant.size === 0) {
+    return { duplicate: false, sold: [], rebalanced: [] };
+  }
+
+  const orderLocationId = order.location_id ? `gid://shopify/Location/${order.location_id}` : null;
+  const mappings = await ProductMap.find({
+    storeMappings: {
+      $elemMatch: { store: store._id, 'variantMappings.shopifyVariantId': { $in: [...soldByVariant.keys()] } }
+    }
+  });
+
+  const sold = [];
+  const rebalanced = [];
+  let claimed = 0;
+  let alreadyClaimed = 0;
+
+  for (const mapping of mappings) {
+    const productId = mapping.dashboardProduct;
+    const storeMapping = mapping.getStoreMapping(store._id);
+    const product = await Product.findById(productId).select('variants');
+    const items = storeMapping.variantMappings
+      .filter(vm => soldByVariant.has(vm.shopifyVariantId) && vm.dashboardVariantIndex < (product?.variants.length || 0))
+      .map(vm => ({ variantMapping: vm, variantIndex: vm.dashboardVariantIndex, quantity: soldByVariant.get(vm.shopifyVariantId) }));
+    if (items.length === 0) continue;
+
+    const claim = await claimSale(store._id, reference, productId);
+    if (!claim) {
+      alreadyClaimed += 1;
+      continue;
+    }
+    claimed += 1;
+
+    // Sold units leave the master stock first; the pool reads the new on-hand from the product
+    let poolResult;
+    let stockMoved = false;
+    try {
+      await Product.updateOne({ _id: productId }, stockChange(items, -1));
+      stockMoved = true;
+      poolResult = await withPool(productId, (pool) => {
+        const released = items.flatMap(({ variantIndex, quantity }) => releaseSold(pool, store._id, variantIndex, quantity, orderLocationId));
+        const changes = pool.sharedPool
+          ? items.flatMap(({ variantIndex }) => pool.rebalance(variantIndex).map(change => ({ ...change, productId, variantIndex })))
+          : [];
+        return { released, changes };
+      }, { create: false });
+      await OrderSaleClaim.updateOne({ _id: claim._id }, { $set: { stockTaken: true } });
+    } catch (error) {
+      // Put the stock back and release the claim so the redelivered webhook starts clean;
+      // if the stock cannot be put back the claim is kept, so the sale is never taken twice
+      let restored = !stockMoved;
+      try {
+        if (stockMoved) await Product.updateOne({ _id: productId }, stockChange(items, 1));
+        restored = true;
+        await OrderSaleClaim.deleteOne({ _id: claim._id });
+      } catch (releaseError) {
+        console.error(`Failed to undo sale of order ${reference} for product ${productId}:`, releaseError.message);
+        if (!restored) {
+          await OrderSaleClaim.updateOne(
+            { _id: claim._id },
+            { $set: { stockTaken: true, error: error.message } }
+          ).catch(() => {});
+        }
+      }
+      throw error;
+    }
+
+    items.forEach(({ variantMapping, variantIndex, quantity }) => {
+      const tracking = variantMapping.inventoryTracking;
+      const previousQuantity = tracking.assignedQuantity || 0;
+      tracking.assignedQuantity = Math.max(0, previousQuantity - quantity);
+      tracking.lastKnownShopifyQuantity = Math.max(0, (tracking.lastKnownShopifyQuantity || 0) - quantity);
+
+      (poolResult?.released || []).filter(r => r.variantIndex === variantIndex && r.locationId).forEach(release => {
+        const locationInv = tracking.locationInventory.find(li => li.locationId === release.locationId);
+        if (locationInv) locationInv.assignedQuantity = Math.max(0, (locationInv.assignedQuantity || 0) - release.quantity);
+      });
+
+      mapping.recordInventoryMovement(storeMapping, variantMapping, {
+        action: 'sold',
+        quantity: tracking.assignedQuantity,
+        previousQuantity,
+        reason: `Order ${order.name || order.order_number || order.id}`,
+        locationId: orderLocationId,
+        reference
+      });
+      sold.push({ productId, variantIndex, quantity });
+    });
+
+    // The stock already moved; a failure here is recorded on the claim instead of being retried
+    try {
+      await mapping.save();
+      await OrderSaleClaim.updateOne({ _id: claim._id }, { $set: { completedAt: new Date() } });
+    } catch (error) {
+      console.error(`Sale of order ${reference} applied to the stock but not to product map ${mapping._id}:`, error.message);
+      await OrderSaleClaim.updateOne({ _id: claim._id }, { $set: { error: error.message } }).catch(() => {});
+    }
+
+    rebalanced.push(...(poolResult?.changes || []));
+  }
+
+  return { duplicate: claimed === 0 && alreadyClaimed > 0, sold, rebalanced };
+}
+
+/**
+ * Push shared pool changes to the store locations, one store location at a time
+ * Uses 'adjust' so sales made in a store since its last assignment are kept.
+ * @param {Array} changes - rebalanced entries from recordSale
+ * @returns {Promise<Array>} Push results per store location, with an error message when a store failed
+ */
+async function pushRebalance(changes) {
+  const groups = new Map();
+  changes.forEach(change => {
+    const key = `${change.productId}:${change.store}:${change.locationId || ''}`;
+    if (!groups.has(key)) {
+      groups.set(key, { productId: change.productId, storeId: change.store, locationId: change.locationId, assignments: [] });
+    }
+    groups.get(key).assignments.push({ variantIndex: change.variantIndex, quantity: change.quantity });
+  });
+
+  const outcomes = [];
+  for (const { productId, storeId, locationId, assignments } of groups.values()) {
+    try {
+      const store = await Store.findOne({ _id: storeId, isActive: true });
+      const mapping = await ProductMap.findOne({ dashboardProduct: productId, 'storeMappings.store': storeId });
+      if (!store || !mapping) continue;
+
+      const push = await inventoryPushService.pushAssignments({
+        session: buildStoreSession(store),
+        mapping,
+        storeId,
+        locationId,
+        assignments,
+        mode: 'adjust',
+        reason: 'Shared pool rebalance'
+      });
+      await mapping.save();
+      outcomes.push({ productId, storeId, ...push });
+    } catch (error) {
+      console.error(`Shared pool rebalance failed for store ${storeId}:`, error.message);
+      outcomes.push({ productId, storeId, locationId, error: error.message });
+    }
+  }
+
+  return outcomes;
+}
+
+export const inventoryPoolService = {
+  getPool,
+  setSharedPool,
+  allocate,
+  getStoreQuantities,
+  recordSale,
+  pushRebalance
+};
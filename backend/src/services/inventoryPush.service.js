@@ -0,0 +1,160 @@
+import { getProduct, getLiveInventoryLevel } from '../graphql/queries/productQueries.js';
+import { getPrimaryLocationId } from '../graphql/queries/locationQueries.js';
+import {
+  setInventoryQuantities,
+  adjustInventoryQuantities,
+  activateInventoryItem
+} from '../graphql/mutations/inventoryMutations.js';
+import { ApiError } from '../utils/ApiError.js';
+
+/**
+ * Inventory Push Service
+ * Applies store inventory assignments to a Shopify location right away instead of waiting
+ * for the next productSet. 'set' writes the assigned quantity with a compare-and-set on the
+ * level read just before; 'adjust' applies only the change from the previous assignment,
+ * keeping sales made since then. Every write is read back to confirm the level.
+ */
+
+export const PUSH_MODES = ['set', 'adjust'];
+
+const readAvailable = async (session, inventoryItemId, locationId) => {
+  const level = await getLiveInventoryLevel(session, inventoryItemId, locationId);
+  return level ? level.available : null;
+};
+
+// Quantity previously assigned to this location (the whole variant before per-location assignments)
+const previousAssignment = (variantMapping, locationId) => {
+  const tracking = variantMapping.inventoryTracking || {};
+  const locationInv = (tracking.locationInventory || []).find(li => li.locationId === locationId);
+  return locationInv ? locationInv.assignedQuantity || 0 : tracking.assignedQuantity || 0;
+};
+
+/**
+ * Write one variant's quantity at a location and read it back
+ * @returns {Promise<Object>} { status: applied | mismatch | conflict, previousQuantity, expectedQuantity, confirmedQuantity, message }
+ */
+async function applyToLocation({ session, inventoryItemId, locationId, mode, quantity, previousAssigned }) {
+  let before = await readAvailable(session, inventoryItemId, locationId);
+  if (before === null) {
+    await activateInventoryItem(session, inventoryItemId, locationId);
+    before = (await readAvailable(session, inventoryItemId, locationId)) ?? 0;
+  }
+
+  let expected = quantity;
+  if (mode === 'adjust') {
+    const delta = quantity - previousAssigned;
+    expected = before + delta;
+    if (delta !== 0) {
+      await adjustInventoryQuantities(session, [{ inventoryItemId, locationId, delta }]);
+    }
+  } else if (before !== quantity) {
+    try {
+      await setInventoryQuantities(session, [{ inventoryItemId, locationId, quantity, compareQuantity: before }]);
+    } catch (error) {
+      if (!error.codes?.includes('COMPARE_QUANTITY_STALE')) throw error;
+      return {
+        status: 'conflict',
+        previousQuantity: before,
+        expectedQuantity: expected,
+        confirmedQuantity: await readAvailable(session, inventoryItemId, locationId),
+        message: 'Quantity changed in Shopify while assigning; it was not overwritten'
+      };
+    }
+  }
+
+  const confirmed = await readAvailable(session, inventoryItemId, locationId);
+  return {
+    status: confirmed === expected ? 'applied' : 'mismatch',
+    previousQuantity: before,
+    expectedQuantity: expected,
+    confirmedQuantity: confirmed,
+    message: confirmed === expected ? null : `Shopify reports ${confirmed ?? 'no level'} instead of ${expected}`
+  };
+}
+
+/**
+ * Apply assignments for one store and location, recording them on the mapping
+ * Assignments that reached Shopify (applied or mismatch) are recorded with assignInventoryToStore
+ * plus an 'adjusted' ledger movement for the Shopify level change. Saves nothing; the caller saves the mapping.
+ * @param {Object} params - { session, mapping, storeId, locationId?, assignments [{ variantIndex, quantity }], mode, userId, reason? }
+ * @returns {Promise<{ locationId, results }>}
+ */
+async function pushAssignments({ session, mapping, storeId, locationId, assignments, mode = 'set', userId, reason }) {
+  if (!PUSH_MODES.includes(mode)) {
+    throw new ApiError(400, `mode must be one of: ${PUSH_MODES.join(', ')}`);
+  }
+
+  const storeMapping = mapping.getStoreMapping(storeId);
+  if (!storeMapping?.shopifyProductId) {
+    throw new ApiError(404, 'Shopify product ID not found in mapping');
+  }
+
+  const targetLocationId = locationId || await getPrimaryLocationId(session);
+  const shopifyProduct = await getProduct(session, storeMapping.shopifyProductId);
+  if (!shopifyProduct) {
+    throw new ApiError(404, 'Product no longer exists in the store; push it again first');
+  }
+  const inventoryItems = new Map(shopifyProduct.variants.edges.map(({ node }) => [node.id, node.inventoryItem]));
+
+  const results = [];
+  for (const { variantIndex, quantity } of assignments) {
+    const variantMapping = storeMapping.variantMappings.find(vm => vm.dashboardVariantIndex === variantIndex);
+    const inventoryItem = inventoryItems.get(variantMapping?.shopifyVariantId);
+    const result = {
+      variantIndex,
+      shopifyVariantId: variantMapping?.shopifyVariantId || null,
+      locationId: targetLocationId,
+      mode,
+      requestedQuantity: quantity
+    };
+
+    if (!inventoryItem) {
+      results.push({ ...result, status: 'failed', message: 'Variant not found in the store' });
+      continue;
+    }
+    if (inventoryItem.tracked === false) {
+      results.push({ ...result, status: 'failed', message: 'Inventory is not tracked for this variant in Shopify' });
+      continue;
+    }
+
+    let outcome;
+    try {
+      outcome = await applyToLocation({
+        session,
+        inventoryItemId: inventoryItem.id,
+        locationId: targetLocationId,
+        mode,
+        quantity,
+        previousAssigned: previousAssignment(variantMapping, targetLocationId)
+      });
+    } catch (error) {
+      results.push({ ...result, status: 'failed', message: error.message });
+      continue;
+    }
+    results.push({ ...result, ...outcome });
+
+    if (outcome.status === 'conflict') continue;
+
+    mapping.assignInventoryToStore(storeId, variantIndex, quantity, targetLocationId, userId, reason);
+    const locationInv = variantMapping.inventoryTracking.locationInventory.find(li => li.locationId === targetLocationId);
+    if (locationInv && outcome.confirmedQuantity !== null) {
+      locationInv.lastKnownQuantity = outcome.confirmedQuantity;
+    }
+    if (outcome.confirmedQuantity !== null && outcome.confirmedQuantity !== outcome.previousQuantity) {
+      mapping.recordInventoryMovement(storeMapping, variantMapping, {
+        action: 'adjusted',
+        quantity: outcome.confirmedQuantity,
+        previousQuantity: outcome.previousQuantity,
+        reason: `Assignment pushed to Shopify (${mode})`,
+        actor: userId,
+        locationId: targetLocationId
+      });
+    }
+  }
+
+  return { locationId: targetLocationId, results };
+}
+
+export const inventoryPushService = {
+  pushAssignments
+};
@@ -0,0 +1,378 @@
+import mongoose from 'mongoose';
+import { Media } from '../models/MediaAdvanced.js';
+import { Product } from '../models/ProductOptimized.js';
+import { ApiError } from '../utils/ApiError.js';
+import {
+  uploadOnCloudinary,
+  deleteFromCloudinary,
+  generateShopifyUrl,
+  validateForShopify
+} from '../utils/cloudinary.js';
+import { validateImageDimensions } from '../middleware/multer.js';
+import { autoSyncService } from './autoSync.service.js';
+
+/**
+ * Media Library Service
+ * Files are uploaded once into models/MediaAdvanced.js and attached to any number of
+ * products. Attaching copies the asset into product.media with libraryMedia set, so
+ * product sync keeps working on the embedded array; usedInProducts and usageCount
+ * on the library entry track where it is attached.
+ */
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const mediaContentTypeFor = (mimetype) => {
+  if (mimetype.startsWith('video/')) return 'VIDEO';
+  if (mimetype === 'model/gltf-binary' || mimetype === 'model/vnd.usdz+zip') return 'MODEL_3D';
+  return 'IMAGE';
+};
+
+const normalizeTags = (tags) => {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  return Array.from(new Set(list.map(tag => String(tag).trim()).filter(Boolean)));
+};
+
+const findUserMedia = async (userId, mediaId) => {
+  if (!mongoose.isValidObjectId(mediaId)) {
+    throw new ApiError(400, 'Invalid media ID');
+  }
+
+  const media = await Media.findOne({ _id: mediaId, uploadedBy: userId });
+  if (!media) {
+    throw new ApiError(404, 'Media not found');
+  }
+  return media;
+};
+
+const findUserProducts = async (userId, productIds) => {
+  if (!Array.isArray(productIds) || productIds.length === 0) {
+    throw new ApiError(400, 'productIds must be a non-empty array');
+  }
+
+  const ids = Array.from(new Set(productIds.map(String)));
+  if (ids.some(id => !mongoose.isValidObjectId(id))) {
+    throw new ApiError(400, 'Invalid product ID');
+  }
+
+  const products = await Product.find({ _id: { $in: ids }, createdBy: userId });
+  if (products.length !== ids.length) {
+    const found = new Set(products.map(product => product._id.toString()));
+    throw new ApiError(404, `Products not found: ${ids.filter(id => !found.has(id)).join(', ')}`);
+  }
+  return products;
+};
+
+// Product media changed: queue partial syncs like a dashboard edit would
+const queueMediaSync = async (product, userId) => {
+  try {
+    await autoSyncService.enqueueForChanges({ productId: product._id, userId, changedGroups: ['media'] });
+  } catch (error) {
+    console.error(`Failed to queue media sync for product ${product._id}:`, error.message);
+  }
+};
+
+const removeFromProduct = (product, mediaId) => {
+  const previousSources = product.media.map(item => item.src);
+  product.media = product.media.filter(item => item.libraryMedia?.toString() !== mediaId.toString());
+  product.media.forEach((item, index) => { item.position = index; });
+  product.remapVariantMediaIndexes(previousSources);
+  return product.media.length !== previousSources.length;
+};
+
+/**
+ * Upload files into the library
+ * @param {Object} params - { userId, files (multer disk files), folder?, tags?, alt? }
+ * @returns {Promise<{ media: Array<Object>, errors: Array<{ filename, message }> }>}
+ */
+async function uploadMedia({ userId, files, folder, tags, alt }) {
+  const media = [];
+  const errors = [];
+
+  for (const file of files) {
+    const mediaContentType = mediaContentTypeFor(file.mimetype);
+
+    try {
+      const transformationType = mediaContentType === 'IMAGE' ? 'product_main' : undefined;
+      const uploadResult = await uploadOnCloudinary(file.path, transformationType);
+      if (!uploadResult) {
+        throw new Error('Upload to Cloudinary failed');
+      }
+
+      if (mediaContentType === 'IMAGE') {
+        validateImageDimensions(uploadResult.width, uploadResult.height);
+        validateForShopify(uploadResult);
+      }
+
+      const isImage = mediaContentType === 'IMAGE';
+      media.push(await Media.create({
+        originalFilename: file.originalname,
+        url: uploadResult.url,
+        cloudinaryPublicId: uploadResult.public_id,
+        cloudinaryResourceType: isImage ? 'image' : 'video',
+        optimizedUrls: isImage ? {
+          thumbnail: generateShopifyUrl(uploadResult.public_id, 150, 150),
+          small: generateShopifyUrl(uploadResult.public_id, 300, 300),
+          medium: generateShopifyUrl(uploadResult.public_id, 600, 600),
+          large: generateShopifyUrl(uploadResult.public_id, 1200, 1200),
+          original: uploadResult.url
+        } : { original: uploadResult.url },
+        mediaContentType,
+        mimeType: file.mimetype,
+        fileSize: uploadResult.bytes,
+        dimensions: { width: uploadResult.width, height: uploadResult.height },
+        alt: alt || file.originalname.replace(/\.[^.]+$/, ''),
+        uploadedBy: userId,
+        folder: folder?.trim() || 'general',
+        tags: normalizeTags(tags),
+        processingStatus: 'ready'
+      }));
+    } catch (error) {
+      console.error(`Media library upload failed for ${file.originalname}:`, error.message);
+      errors.push({ filename: file.originalname, message: error.message });
+    }
+  }
+
+  return { media, errors };
+}
+
+/**
+ * Search the library
+ * @param {Object} params - { userId, search?, folder?, tags?, mediaContentType?, unused?, page, limit }
+ */
+async function listMedia({ userId, search, folder, tags, mediaContentType, unused, page = 1, limit = 40 }) {
+  const query = unused
+    ? Media.findUnused(userId)
+    : Media.search({
+      uploadedBy: userId,
+      folder,
+      mediaContentType,
+      tags: tags ? normalizeTags(tags) : undefined,
+      search: search ? escapeRegex(search) : undefined
+    });
+
+  if (unused) {
+    if (folder) query.where({ folder });
+    if (mediaContentType) query.where({ mediaContentType });
+  }
+
+  const filter = query.getFilter();
+  const [media, total] = await Promise.all([
+    query.sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).populate('usedInProducts.product', 'title'),
+    Media.countDocuments(filter)
+  ]);
+
+  return {
+    media,
+    pagination: { page, limit, total, totalPages: Math.ceil(total / limit) }
+  };
+}
+
+/**
+ * Folders and tags in use, with file counts
+ */
+async function getLibraryFacets(userId) {
+  const match = { uploadedBy: new mongoose.Types.ObjectId(userId) };
+
+  const [folders, tags] = await Promise.all([
+    Media.aggregate([
+      { $match: match },
+      { $group: { _id: '$folder', count: { $sum: 1 } } },
+      { $sort: { _id: 1 } }
+    ]),
+    Media.aggregate([
+      { $match: match },
+      { $unwind: '$tags' },
+      { $group: { _id: '$tags', count: { $sum: 1 } } },
+      { $sort: { _id: 1 } }
+    ])
+  ]);
+
+  return {
+    folders: folders.map(folder => ({ name: folder._id, count: folder.count })),
+    tags: tags.map(tag => ({ name: tag._id, count: tag.count }))
+  };
+}
+
+/**
+ * Edit alt text, caption, folder or tags; alt text is copied to attached products
+ */
+async function updateMedia({ userId, mediaId, updates }) {
+  const media = await findUserMedia(userId, mediaId);
+  const altChanged = updates.alt !== undefined && updates.alt !== media.alt;
+
+  if (updates.alt !== undefined) media.alt = updates.alt;
+  if (updates.caption !== undefined) media.caption = updates.caption;
+  if (updates.folder !== undefined) media.folder = updates.folder.trim() || 'general';
+  if (updates.tags !== undefined) media.tags = normalizeTags(updates.tags);
+  await media.save();
+
+  if (altChanged && media.usedInProducts.length > 0) {
+    const products = await Product.find({ 'media.libraryMedia': media._id, createdBy: userId });
+    for (const product of products) {
+      product.media.forEach(item => {
+        if (item.libraryMedia?.toString() === media._id.toString()) item.alt = media.alt;
+      });
+      await product.save();
+      await queueMediaSync(product, userId);
+    }
+  }
+
+  return media;
+}
+
+/**
+ * Add a library file to the end of each product's media
+ * @returns {Promise<{ media, attached: string[], alreadyAttached: string[] }>}
+ */
+async function attachToProducts({ userId, mediaId, productIds }) {
+  const media = await findUserMedia(userId, mediaId);
+  const products = await findUserProducts(userId, productIds);
+  const attached = [];
+  const alreadyAttached = [];
+
+  for (const product of products) {
+    if (product.media.some(item => item.libraryMedia?.toString() === media._id.toString())) {
+      alreadyAttached.push(product._id.toString());
+      continue;
+    }
+
+    const position = product.media.length;
+    product.media.push({
+      src: media.url,
+      alt: media.alt || '',
+      mediaContentType: media.mediaContentType,
+      fileSize: media.fileSize,
+      dimensions: { width: media.dimensions?.width, height: media.dimensions?.height },
+      position,
+      libraryMedia: media._id
+    });
+    await product.save();
+    await media.addProductUsage(product._id, position);
+    await queueMediaSync(product, userId);
+    attached.push(product._id.toString());
+  }
+
+  return { media, attached, alreadyAttached };
+}
+
+/**
+ * Remove a library file from products; the file stays in the library
+ */
+async function detachFromProducts({ userId, mediaId, productIds }) {
+  const media = await findUserMedia(userId, mediaId);
+  const products = await findUserProducts(userId, productIds);
+  const detached = [];
+
+  for (const product of products) {
+    if (removeFromProduct(product, media._id)) {
+      await product.save();
+      await queueMediaSync(product, userId);
+    }
+    await media.removeProductUsage(product._id);
+    detached.push(product._id.toString());
+  }
+
+  return { media, detached };
+}
+
+/**
+ * Update usage when product media is removed outside the library (media edits, product delete)
+ * @param {Object} params - { productId, mediaItems } - the removed product.media entries
+ */
+async function releaseProductMedia({ productId, mediaItems }) {
+  for (const item of mediaItems) {
+    if (!item?.libraryMedia) continue;
+    const media = await Media.findById(item.libraryMedia);
+    if (media) await media.removeProductUsage(productId);
+  }
+}
+
+/**
+ * Record usage for library media copied onto a product (e.g. product duplicate)
+ * @param {Object} params - { productId, mediaItems } - the product.media entries
+ */
+async function trackProductMedia({ productId, mediaItems }) {
+  for (const item of mediaItems) {
+    if (!item?.libraryMedia) continue;
+    const media = await Media.findById(item.libraryMedia);
+    if (media) await media.addProductUsage(productId, item.position);
+  }
+}
+
+const destroyAsset = async (media) => {
+  if (media.cloudinaryPublicId) {
+    await deleteFromCloudinary(media.cloudinaryPublicId, media.cloudinaryResourceType || 'image');
+  }
+  await Media.deleteOne({ _id: media._id });
+};
+
+/**
+ * Delete a library file; files still attached to products need force=true
+ */
+async function deleteMedia({ userId, mediaId, force = false }) {
+  const media = await findUserMedia(userId, mediaId);
+
+  if (media.usedInProducts.length > 0) {
+    if (!force) {
+      throw new ApiError(409, `Media is used by ${media.usedInProducts.length} product(s). Detach it first or delete with force=true`);
+    }
+
+    const products = await Product.find({ 'media.libraryMedia': media._id, createdBy: userId });
+    for (const product of products) {
+      removeFromProduct(product, media._id);
+      await product.save();
+      await queueMediaSync(product, userId);
+    }
+  }
+
+  await destroyAsset(media);
+  return media;
+}
+
+/**
+ * Delete library files no product or collection uses, along with their Cloudinary assets
+ * @param {Object} params - { userId, olderThanDays?, dryRun? } - olderThanDays spares recent uploads
+ * @returns {Promise<{ dryRun, candidates, deleted, failed, freedBytes }>}
+ */
+async function cleanupUnused({ userId, olderThanDays = 0, dryRun = false }) {
+  const query = Media.findUnused(userId);
+  if (olderThanDays > 0) {
+    query.where({ createdAt: { $lt: new Date(Date.now() - olderThanDays * 24 * 60 * 60 * 1000) } });
+  }
+  const unused = await query;
+
+  const result = { dryRun, candidates: unused.length, deleted: [], failed: [], freedBytes: 0 };
+  if (dryRun) {
+    result.deleted = unused.map(media => ({ _id: media._id, originalFilename: media.originalFilename, fileSize: media.fileSize }));
+    result.freedBytes = unused.reduce((total, media) => total + (media.fileSize || 0), 0);
+    return result;
+  }
+
+  for (const media of unused) {
+    // A product may have been attached since the query ran
+    if (await Product.exists({ 'media.libraryMedia': media._id })) continue;
+
+    try {
+      await destroyAsset(media);
+      result.deleted.push({ _id: media._id, originalFilename: media.originalFilename, fileSize: media.fileSize });
+      result.freedBytes += media.fileSize || 0;
+    } catch (error) {
+      result.failed.push({ _id: media._id, originalFilename: media.originalFilename, error: error.message });
+    }
+  }
+
+  return result;
+}
+
+export const mediaLibraryService = {
+  uploadMedia,
+  listMedia,
+  getLibraryFacets,
+  updateMedia,
+  attachToProducts,
+  detachFromProducts,
+  releaseProductMedia,
+  trackProductMedia,
+  deleteMedia,
+  cleanupUnused
+};
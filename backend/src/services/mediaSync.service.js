@@ -0,0 +1,236 @@
+import { getProductMedia } from '../graphql/queries/productQueries.js';
+import {
+  createProductMedia,
+  updateProductMedia,
+  deleteProductMedia,
+  reorderProductMedia
+} from '../graphql/mutations/mediaMutations.js';
+import { updateProductVariants } from '../graphql/mutations/productMutations.js';
+
+/**
+ * Media Sync Service
+ * Reconciles a Shopify product's media with the dashboard product.media instead of
+ * re-creating every file on each push. storeMapping.mediaMappings remembers which
+ * Shopify media belongs to which dashboard item (matched by source URL, since
+ * indexes shift when media is removed), so a push only creates new items, deletes
+ * removed ones, fixes alt text and reorders to match the dashboard positions.
+ * Media added directly in the store is never touched and stays after the managed items.
+ * Variant images (variant.mediaIndexes[0]) are attached once their media is READY.
+ */
+
+const UPLOAD_STATUS = {
+  READY: 'uploaded',
+  UPLOADED: 'uploading',
+  PROCESSING: 'uploading',
+  FAILED: 'error'
+};
+
+// New media is processed asynchronously; variants can only point at READY media
+const READY_POLL_ATTEMPTS = 5;
+const READY_POLL_DELAY_MS = 2000;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Dashboard media in display order, keeping each item's array index
+const inDisplayOrder = (media = []) => media
+  .map((item, index) => ({ item, index }))
+  .sort((a, b) => (a.item.position ?? a.index) - (b.item.position ?? b.index) || a.index - b.index);
+
+/**
+ * Moves that turn the current order into the desired one, applied one after another
+ * @returns {Array<{ id, newPosition }>}
+ */
+const buildMoves = (currentIds, desiredIds) => {
+  const working = [...currentIds];
+  const moves = [];
+
+  desiredIds.forEach((id, position) => {
+    const from = working.indexOf(id);
+    if (from === position || from === -1) return;
+    working.splice(from, 1);
+    working.splice(position, 0, id);
+    moves.push({ id, newPosition: String(position) });
+  });
+
+  return moves;
+};
+
+/**
+ * Bring a Shopify product's media in line with the dashboard and record the mappings
+ * Saves nothing; the caller saves the ProductMap that owns storeMapping.
+ * @param {Object} params - { session, shopifyProductId, media (product.media), storeMapping }
+ * @returns {Promise<Object>} { created, updated, deleted, reordered, adopted, failed }
+ */
+async function reconcileProductMedia({ session, shopifyProductId, media = [], storeMapping }) {
+  const result = { created: 0, updated: 0, deleted: 0, reordered: 0, adopted: 0, failed: 0 };
+  const shopifyMedia = (await getProductMedia(session, shopifyProductId)) || [];
+  const shopifyById = new Map(shopifyMedia.map(node => [node.id, node]));
+  const knownMappings = (storeMapping.mediaMappings || []).filter(mapping => mapping.shopifyMediaId);
+
+  // Mappings whose Shopify media still exists; anything else is created again
+  const unclaimed = knownMappings.filter(mapping => shopifyById.has(mapping.shopifyMediaId));
+  const pairs = inDisplayOrder(media).map(({ item, index }) => {
+    const matchIndex = unclaimed.findIndex(mapping => mapping.sourceUrl === item.src);
+    const mapping = matchIndex > -1 ? unclaimed.splice(matchIndex, 1)[0] : null;
+    return { item, index, shopifyMediaId: mapping?.shopifyMediaId || null, error: null };
+  });
+
+  // Pushed before mappings were recorded: the first media in the store are the dashboard's, in order
+  if (knownMappings.length === 0 && shopifyMedia.length > 0) {
+    pairs.forEach((pair, position) => {
+      const node = shopifyMedia[position];
+      if (node && node.mediaContentType === (pair.item.mediaContentType || 'IMAGE')) {
+        pair.shopifyMediaId = node.id;
+        result.adopted += 1;
+      }
+    });
+  }
+
+  // Removed in the dashboard
+  const toDelete = unclaimed.map(mapping => mapping.shopifyMediaId);
+  if (toDelete.length > 0) {
+    await deleteProductMedia(session, shopifyProductId, toDelete);
+    toDelete.forEach(id => shopifyById.delete(id));
+    result.deleted = toDelete.length;
+  }
+
+  // Alt text edited in the dashboard
+  const altUpdates = pairs
+    .filter(pair => pair.shopifyMediaId && (shopifyById.get(pair.shopifyMediaId).alt || '') !== (pair.item.alt || ''))
+    .map(pair => ({ id: pair.shopifyMediaId, alt: pair.item.alt || '' }));
+  if (altUpdates.length > 0) {
+    await updateProductMedia(session, shopifyProductId, altUpdates);
+    result.updated = altUpdates.length;
+  }
+
+  // New in the dashboard; productCreateMedia returns media in input order
+  const toCreate = pairs.filter(pair => !pair.shopifyMediaId);
+  if (toCreate.length > 0) {
+    try {
+      const created = await createProductMedia(session, shopifyProductId, toCreate.map(pair => ({
+        originalSource: pair.item.src,
+        mediaContentType: pair.item.mediaContentType || 'IMAGE',
+        alt: pair.item.alt || ''
+      })));
+
+      toCreate.forEach((pair, position) => {
+        const node = created.media?.[position];
+        if (!node) return;
+        pair.shopifyMediaId = node.id;
+        shopifyById.set(node.id, node);
+      });
+      result.created = toCreate.filter(pair => pair.shopifyMediaId).length;
+    } catch (error) {
+      toCreate.forEach(pair => { pair.error = error.message; });
+      console.error(`Media create failed for ${shopifyProductId}:`, error.message);
+    }
+    result.failed = toCreate.filter(pair => !pair.shopifyMediaId).length;
+  }
+
+  // Managed media in dashboard order first, store-only media after in their current order
+  const managedIds = pairs.filter(pair => pair.shopifyMediaId).map(pair => pair.shopifyMediaId);
+  const currentIds = [
+    ...shopifyMedia.map(node => node.id).filter(id => shopifyById.has(id)),
+    ...toCreate.map(pair => pair.shopifyMediaId).filter(Boolean)
+  ];
+  const managed = new Set(managedIds);
+  const moves = buildMoves(currentIds, [...managedIds, ...currentIds.filter(id => !managed.has(id))]);
+  if (moves.length > 0) {
+    await reorderProductMedia(session, shopifyProductId, moves);
+    result.reordered = moves.length;
+  }
+
+  storeMapping.mediaMappings = pairs.map(pair => {
+    const node = pair.shopifyMediaId ? shopifyById.get(pair.shopifyMediaId) : null;
+    return {
+      dashboardMediaIndex: pair.index,
+      sourceUrl: pair.item.src,
+      shopifyMediaId: pair.shopifyMediaId || undefined,
+      shopifyUrl: node?.preview?.image?.url || node?.image?.url || undefined,
+      uploadStatus: pair.shopifyMediaId ? (UPLOAD_STATUS[node?.status] || 'uploading') : 'error',
+      error: pair.error || undefined
+    };
+  });
+
+  return result;
+}
+
+/**
+ * Poll until the given media leave processing; keeps mediaMappings statuses current
+ * @returns {Promise<Set<string>>} Media IDs that are READY
+ */
+async function waitForReadyMedia(session, shopifyProductId, mediaIds, storeMapping) {
+  let statuses = new Map();
+
+  for (let attempt = 0; attempt < READY_POLL_ATTEMPTS; attempt++) {
+    if (attempt > 0) await wait(READY_POLL_DELAY_MS);
+    const nodes = (await getProductMedia(session, shopifyProductId)) || [];
+    statuses = new Map(nodes.map(node => [node.id, node.status]));
+    const processing = mediaIds.some(id => statuses.has(id) && !['READY', 'FAILED'].includes(statuses.get(id)));
+    if (!processing) break;
+  }
+
+  (storeMapping.mediaMappings || []).forEach(mapping => {
+    const status = statuses.get(mapping.shopifyMediaId);
+    if (status) mapping.uploadStatus = UPLOAD_STATUS[status] || 'uploading';
+  });
+
+  return new Set(mediaIds.filter(id => statuses.get(id) === 'READY'));
+}
+
+/**
+ * Attach each variant's image (first of variant.mediaIndexes) with productVariantsBulkUpdate
+ * Resolves Shopify media through storeMapping.mediaMappings, so run it after reconcileProductMedia.
+ * Variants without a Shopify variant mapping yet, or whose media is still processing, are left
+ * for the next push. Saves nothing; the caller saves the ProductMap.
+ * @param {Object} params - { session, shopifyProductId, product, storeMapping }
+ * @returns {Promise<Object|null>} { assigned, pending, unresolved }, or null when no variant has an image
+ */
+async function assignVariantMedia({ session, shopifyProductId, product, storeMapping }) {
+  const wanted = (product.variants || [])
+    .map((variant, index) => ({ index, src: product.media?.[variant.mediaIndexes?.[0]]?.src }))
+    .filter(entry => entry.src);
+  if (wanted.length === 0) return null;
+
+  const result = { assigned: 0, pending: 0, unresolved: 0 };
+  const assignments = [];
+
+  wanted.forEach(({ index, src }) => {
+    const variantMapping = (storeMapping.variantMappings || []).find(vm => vm.dashboardVariantIndex === index);
+    const mediaMapping = (storeMapping.mediaMappings || []).find(mapping => mapping.sourceUrl === src && mapping.shopifyMediaId);
+    if (!variantMapping?.shopifyVariantId || !mediaMapping) {
+      result.unresolved += 1;
+      return;
+    }
+    if (variantMapping.shopifyMediaId === mediaMapping.shopifyMediaId) return;
+    assignments.push({ variantMapping, mediaId: mediaMapping.shopifyMediaId });
+  });
+  if (assignments.length === 0) return result;
+
+  const ready = await waitForReadyMedia(
+    session,
+    shopifyProductId,
+    [...new Set(assignments.map(assignment => assignment.mediaId))],
+    storeMapping
+  );
+  const readyAssignments = assignments.filter(assignment => ready.has(assignment.mediaId));
+  result.pending = assignments.length - readyAssignments.length;
+
+  if (readyAssignments.length > 0) {
+    await updateProductVariants(session, shopifyProductId, readyAssignments.map(assignment => ({
+      id: assignment.variantMapping.shopifyVariantId,
+      mediaId: assignment.mediaId
+    })));
+    readyAssignments.forEach(assignment => {
+      assignment.variantMapping.shopifyMediaId = assignment.mediaId;
+    });
+    result.assigned = readyAssignments.length;
+  }
+
+  return result;
+}
+
+export const mediaSyncService = {
+  reconcileProductMedia,
+  assignVariantMedia
+};
@@ -0,0 +1,289 @@
+import os from 'os';
+import crypto from 'crypto';
+import { OrderBackfill } from '../models/OrderBackfill.js';
+import { Workspace } from '../models/Workspace.js';
+import { Store } from '../models/Store.js';
+import { buildStoreSession } from '../middleware/storeSession.js';
+import { getMissingScopes } from '../config/shopify.js';
+import { getOrders, getOrderLineItems, getOrdersCount } from '../graphql/queries/orderQueries.js';
+import { orderSyncService } from './orderSync.service.js';
+import { notificationService } from './notification.service.js';
+
+/**
+ * Order Backfill Service
+ * Reads a store's past orders from Shopify for a date range and stores them in the same Order
+ * collection the order webhooks write to, so analytics cover the time before the store was
+ * connected. Orders are keyed by Shopify order id, so running a backfill again (or overlapping
+ * with webhooks) never counts an order twice. When done, the store's cached analytics are
+ * recomputed from the stored orders. Backfills run one at a time in the background and stream
+ * progress over Socket.IO ('order_backfill_update').
+ */
+
+// Will be set from index.js after Socket.IO setup
+let io;
+
+let isProcessing = false;
+
+// Each order carries up to 50 line items (see orderQueries.js#getOrders)
+const PAGE_SIZE = 10;
+const MAX_FAILURES = 100;
+
+// Lease, as for sync jobs: the running process renews lockedAt and other instances only take
+// over a backfill whose lease is older than LEASE_MS
+const WORKER_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+const LEASE_MS = 5 * 60 * 1000;
+const HEARTBEAT_MS = 30 * 1000;
+let staleCheckTimer = null;
+
+// Initialize backfill progress streaming (called from index.js)
+export const initializeOrderBackfills = (socketInstances) => {
+  io = socketInstances.io;
+};
+
+const emitBackfillUpdate = (job) => {
+  if (io && job.userId) {
+    io.to(Workspace.room(job.userId)).emit('order_backfill_update', job.toProgressPayload());
+  }
+};
+
+const nodes = (connection) => (connection?.edges || []).map(edge => edge.node);
+
+/**
+ * Shopify order search query for the backfill range
+ * @param {Object} options - { from?, to? }
+ * @returns {string|null}
+ */
+const buildRangeQuery = ({ from, to } = {}) => {
+  const terms = [];
+  if (from) terms.push(`processed_at:>='${new Date(from).toISOString()}'`);
+  if (to) terms.push(`processed_at:<='${new Date(to).toISOString()}'`);
+  return terms.length ? terms.join(' ') : null;
+};
+
+// Line items on the order node plus any further pages
+async function loadLineItems(session, node) {
+  const lineItems = nodes(node.lineItems);
+  let pageInfo = node.lineItems?.pageInfo;
+
+  while (pageInfo?.hasNextPage) {
+    const connection = await getOrderLineItems(session, node.id, pageInfo.endCursor);
+    lineItems.push(...nodes(connection));
+    pageInfo = connection?.pageInfo;
+  }
+
+  return lineItems;
+}
+
+async function finishBackfill(job) {
+  if (job.cancelRequested) {
+    job.status = 'cancelled';
+  } else if (!job.status || job.status === 'running') {
+    job.status = 'succeeded';
+  }
+
+  // Orders stored so far count even when the backfill stopped early
+  try {
+    job.analytics = await orderSyncService.recomputeStoreAnalytics(job.store);
+  } catch (error) {
+    console.error(`Order backfill ${job._id}: failed to recompute store analytics:`, error.message);
+  }
+
+  job.finishedAt = new Date();
+  job.lockedAt = null;
+  job.lockedBy = null;
+  await job.save();
+  emitBackfillUpdate(job);
+
+  const { created, updated, skipped, failed } = job.progress;
+  try {
+    await notificationService.createUserNotification({
+      userId: job.userId,
+      title: 'Order history import finished',
+      message: `Order import ${job.status}: ${created} added, ${updated} updated, ${skipped} unchanged, ${failed} failed`,
+      type: job.status === 'failed' ? 'error' : 'sync',
+      link: `/stores/${job.store}`,
+      metadata: { backfillId: job._id, storeId: job.store, progress: job.progress }
+    });
+  } catch (error) {
+    console.error('Failed to send order backfill notification:', error.message);
+  }
+}
+
+/**
+ * Walk the store's orders in the range page by page from the saved cursor
+ */
+async function runBackfill(job) {
+  const store = await Store.findOne({ _id: job.store, isActive: true });
+  if (!store) {
+    job.status = 'failed';
+    job.error = 'Store not found or disconnected';
+    return finishBackfill(job);
+  }
+
+  const session = buildStoreSession(store);
+  const query = buildRangeQuery(job.options);
+  job.historyLimited = getMissingScopes(store.scopes).includes('read_all_orders');
+
+  if (!job.startedAt) {
+    job.startedAt = new Date();
+    job.progress.total = await getOrdersCount(session, query).catch(() => 0);
+  }
+  await job.save();
+  emitBackfillUpdate(job);
+
+  let cursor = job.cursor;
+  let hasNextPage = true;
+
+  while (hasNextPage) {
+    // Cancellation is requested from another request; re-read the flag between pages
+    const latest = await OrderBackfill.findById(job._id).select('cancelRequested').lean();
+    if (latest?.cancelRequested) {
+      job.cancelRequested = true;
+      break;
+    }
+
+    const data = await getOrders(session, { first: PAGE_SIZE, after: cursor, query });
+
+    for (const node of nodes(data.orders)) {
+      try {
+        const lineItems = await loadLineItems(session, node);
+        const { created, stale } = await orderSyncService.importGraphQLOrder(store, node, lineItems);
+        if (stale) job.progress.skipped += 1;
+        else if (created) job.progress.created += 1;
+        else job.progress.updated += 1;
+      } catch (error) {
+        console.error(`Order backfill ${job._id}: ${node.id} failed:`, error.message);
+        job.progress.failed += 1;
+        if (job.failures.length < MAX_FAILURES) {
+          job.failures.push({ shopifyOrderId: node.id, name: node.name, error: error.message });
+        }
+      }
+      job.progress.processed += 1;
+    }
+
+    job.progress.total = Math.max(job.progress.total, job.progress.processed);
+    cursor = data.orders.pageInfo.endCursor;
+    hasNextPage = data.orders.pageInfo.hasNextPage;
+    job.cursor = cursor;
+    await job.save();
+    emitBackfillUpdate(job);
+  }
+
+  return finishBackfill(job);
+}
+
+async function claimNextBackfill() {
+  return OrderBackfill.findOneAndUpdate(
+    { status: 'queued' },
+    { $set: { status: 'running', lockedAt: new Date(), lockedBy: WORKER_ID } },
+    { sort: { createdAt: 1 }, new: true }
+  );
+}
+
+/**
+ * Drain the backfill queue; safe to call repeatedly
+ */
+async function processQueue() {
+  if (isProcessing) return;
+  isProcessing = true;
+
+  try {
+    let job;
+    while ((job = await claimNextBackfill())) {
+      // Keep the lease while pages are read; a slow page must not look like a dead worker
+      const heartbeat = setInterval(() => {
+        OrderBackfill.updateOne({ _id: job._id, lockedBy: WORKER_ID }, { $set: { lockedAt: new Date() } })
+          .catch(error => console.error(`Order backfill ${job._id}: lease renewal failed:`, error.message));
+      }, HEARTBEAT_MS);
+
+      try {
+        await runBackfill(job);
+      } catch (error) {
+        console.error(`Order backfill ${job._id} crashed:`, error);
+        job.status = 'failed';
+        job.error = error.message;
+        await finishBackfill(job).catch(() => {});
+      } finally {
+        clearInterval(heartbeat);
+      }
+    }
+  } catch (error) {
+    console.error('Order backfill queue error:', error);
+  } finally {
+    isProcessing = false;
+  }
+}
+
+/**
+ * Queue an order backfill for a store
+ * @param {Object} params - { userId, storeId, from?, to? }
+ * @returns {Promise<Object>} OrderBackfill document
+ */
+async function enqueueBackfill({ userId, storeId, from, to }) {
+  const job = await OrderBackfill.create({
+    userId,
+    store: storeId,
+    options: { from, to }
+  });
+
+  emitBackfillUpdate(job);
+  setImmediate(processQueue);
+
+  return job;
+}
+
+/**
+ * Cancel a backfill; queued backfills stop immediately, running ones after the current page
+ */
+async function cancelBackfill(backfillId, userId) {
+  const queued = await OrderBackfill.findOneAndUpdate(
+    { _id: backfillId, userId, status: 'queued' },
+    { $set: { status: 'cancelled', cancelRequested: true, finishedAt: new Date() } },
+    { new: true }
+  );
+
+  if (queued) {
+    emitBackfillUpdate(queued);
+    return queued;
+  }
+
+  return OrderBackfill.findOneAndUpdate(
+    { _id: backfillId, userId, status: 'running' },
+    { $set: { cancelRequested: true } },
+    { new: true }
+  );
+}
+
+// Requeue backfills whose worker died (stale lease); backfills of live workers are left alone
+async function requeueStaleBackfills() {
+  const requeued = await OrderBackfill.requeueInterrupted(new Date(Date.now() - LEASE_MS));
+  if (requeued > 0) {
+    console.log(`Resuming ${requeued} interrupted order backfill(s)`);
+    setImmediate(processQueue);
+  }
+  return requeued;
+}
+
+/**
+ * Put backfills interrupted by a restart back in the queue and resume processing
+ * Also checks periodically, since another instance may die while this one keeps running.
+ */
+async function resumeBackfills() {
+  const requeued = await requeueStaleBackfills();
+  setImmediate(processQueue);
+
+  if (!staleCheckTimer) {
+    staleCheckTimer = setInterval(() => {
+      requeueStaleBackfills().catch(error => console.error('Stale order backfill check failed:', error.message));
+    }, LEASE_MS);
+    staleCheckTimer.unref();
+  }
+  return requeued;
+}
+
+export const orderBackfillService = {
+  enqueueBackfill,
+  cancelBackfill,
+  resumeBackfills,
+  processQueue
+};
@@ -0,0 +1,224 @@
+import { Order } from '../models/Order.js';
+import { ProductMap } from '../models/ProductMap.js';
+import { Store } from '../models/Store.js';
+
+/**
+ * Order Sync Service
+ * Stores Shopify orders of connected stores in the Order collection. Line items are resolved to
+ * dashboard products and variants through the store's ProductMap entries, so sales can be
+ * reported per master product.
+ */
+
+const toAmount = (value) => Number(parseFloat(value || 0).toFixed(2));
+
+const toDate = (value) => (value ? new Date(value) : null);
+
+/**
+ * Normalize an orders/create or orders/update webhook body
+ * @param {Object} payload - Parsed webhook body
+ * @returns {Object} Order fields plus lineItems with Shopify product and variant GIDs
+ */
+const fromWebhookPayload = (payload) => ({
+  shopifyOrderId: payload.admin_graphql_api_id || `gid://shopify/Order/${payload.id}`,
+  orderNumber: payload.order_number,
+  name: payload.name,
+  currency: payload.currency,
+  totalPrice: toAmount(payload.total_price),
+  subtotalPrice: toAmount(payload.subtotal_price),
+  totalDiscounts: toAmount(payload.total_discounts),
+  totalTax: toAmount(payload.total_tax),
+  financialStatus: payload.financial_status || null,
+  fulfillmentStatus: payload.fulfillment_status || null,
+  cancelledAt: toDate(payload.cancelled_at),
+  processedAt: toDate(payload.processed_at || payload.created_at) || new Date(),
+  shopifyUpdatedAt: toDate(payload.updated_at),
+  lineItems: (payload.line_items || []).map(item => ({
+    shopifyLineItemId: item.admin_graphql_api_id || `gid://shopify/LineItem/${item.id}`,
+    shopifyProductId: item.product_id ? `gid://shopify/Product/${item.product_id}` : null,
+    shopifyVariantId: item.variant_id ? `gid://shopify/ProductVariant/${item.variant_id}` : null,
+    title: item.title,
+    variantTitle: item.variant_title,
+    sku: item.sku,
+    quantity: item.quantity || 0,
+    price: toAmount(item.price),
+    discount: toAmount(item.total_discount)
+  }))
+});
+
+// GraphQL display statuses in the lowercase values the webhooks send
+const FULFILLMENT_STATUSES = { FULFILLED: 'fulfilled', PARTIALLY_FULFILLED: 'partial', UNFULFILLED: null };
+
+const shopAmount = (moneyBag) => toAmount(moneyBag?.shopMoney?.amount);
+
+/**
+ * Normalize an order node from the Admin GraphQL API (see graphql/queries/orderQueries.js)
+ * @param {Object} node - Order node
+ * @param {Array} lineItemNodes - All of the order's line item nodes
+ * @returns {Object} Same shape as fromWebhookPayload
+ */
+const fromGraphQLNode = (node, lineItemNodes) => ({
+  shopifyOrderId: node.id,
+  orderNumber: node.number,
+  name: node.name,
+  currency: node.currencyCode,
+  totalPrice: shopAmount(node.totalPriceSet),
+  subtotalPrice: shopAmount(node.subtotalPriceSet),
+  totalDiscounts: shopAmount(node.totalDiscountsSet),
+  totalTax: shopAmount(node.totalTaxSet),
+  financialStatus: node.displayFinancialStatus ? node.displayFinancialStatus.toLowerCase() : null,
+  fulfillmentStatus: node.displayFulfillmentStatus in FULFILLMENT_STATUSES
+    ? FULFILLMENT_STATUSES[node.displayFulfillmentStatus]
+    : (node.displayFulfillmentStatus || '').toLowerCase() || null,
+  cancelledAt: toDate(node.cancelledAt),
+  processedAt: toDate(node.processedAt || node.createdAt) || new Date(),
+  shopifyUpdatedAt: toDate(node.updatedAt),
+  lineItems: lineItemNodes.map(item => ({
+    shopifyLineItemId: item.id,
+    shopifyProductId: item.product?.id || null,
+    shopifyVariantId: item.variant?.id || null,
+    title: item.title,
+    variantTitle: item.variantTitle,
+    sku: item.sku,
+    quantity: item.quantity || 0,
+    price: shopAmount(item.originalUnitPriceSet),
+    discount: shopAmount(item.totalDiscountSet)
+  }))
+});
+
+/**
+ * Attach the dashboard product and variant index to each line item of a store's order
+ * Products that are not mapped in this store keep only their Shopify IDs.
+ */
+async function resolveLineItems(storeId, lineItems) {
+  const mappings = new Map();
+
+  for (const productId of new Set(lineItems.map(item => item.shopifyProductId).filter(Boolean))) {
+    const productMap = await ProductMap.findByShopifyProductId(productId);
+    const storeMapping = productMap?.storeMappings.find(sm =>
+      sm.shopifyProductId === productId && String(sm.store?._id || sm.store) === String(storeId)
+    );
+    if (storeMapping) {
+      mappings.set(productId, { product: productMap.dashboardProduct?._id || productMap.dashboardProduct, storeMapping });
+    }
+  }
+
+  return lineItems.map(item => {
+    const mapped = mappings.get(item.shopifyProductId);
+    const variantMapping = mapped?.storeMapping.variantMappings.find(vm => vm.shopifyVariantId === item.shopifyVariantId);
+    return {
+      ...item,
+      product: mapped?.product || null,
+      variantIndex: variantMapping ? variantMapping.dashboardVariantIndex : null,
+      revenue: toAmount(item.price * item.quantity - item.discount)
+    };
+  });
+}
+
+/**
+ * Insert or update an order; versions older than the stored one are ignored
+ * @param {Object} store - Store document
+ * @param {Object} order - Normalized order (see fromWebhookPayload)
+ * @param {Object} options - { source: 'webhook' | 'backfill' }
+ * @returns {Promise<{ order, created, stale, previousTotal }>}
+ */
+async function saveOrder(store, order, { source = 'webhook' } = {}) {
+  const filter = { store: store._id, shopifyOrderId: order.shopifyOrderId };
+  const existing = await Order.findOne(filter).select('shopifyUpdatedAt totalPrice');
+
+  if (existing?.shopifyUpdatedAt && order.shopifyUpdatedAt && existing.shopifyUpdatedAt > order.shopifyUpdatedAt) {
+    return { order: existing, created: false, stale: true, previousTotal: existing.totalPrice };
+  }
+
+  const lineItems = await resolveLineItems(store._id, order.lineItems);
+  const result = await Order.findOneAndUpdate(
+    filter,
+    {
+      $set: { ...order, lineItems, userId: store.userId },
+      $setOnInsert: { source }
+    },
+    { upsert: true, new: true, includeResultMetadata: true }
+  );
+
+  return {
+    order: result.value,
+    created: !result.lastErrorObject?.updatedExisting,
+    stale: false,
+    previousTotal: existing ? existing.totalPrice : null
+  };
+}
+
+/**
+ * Store an order from an orders/create or orders/update webhook
+ * @param {Object} store - Store document of the shop
+ * @param {Object} payload - Parsed webhook body
+ */
+async function ingestWebhookOrder(store, payload) {
+  return saveOrder(store, fromWebhookPayload(payload), { source: 'webhook' });
+}
+
+/**
+ * Store an order read from the Admin GraphQL API by the historical backfill
+ * @param {Object} store - Store document of the shop
+ * @param {Object} node - Order node
+ * @param {Array} lineItemNodes - All of the order's line item nodes
+ */
+async function importGraphQLOrder(store, node, lineItemNodes) {
+  return saveOrder(store, fromGraphQLNode(node, lineItemNodes), { source: 'backfill' });
+}
+
+/**
+ * Rebuild the store's cached order count and revenue from the stored orders
+ * Cancelled orders are left out, as in the sales analytics. Amounts are not converted between
+ * currencies: totalRevenue is the revenue in the shop currency (or the currency with the most
+ * orders when the shop currency is unknown) and revenueByCurrency holds every currency.
+ * Safe to call repeatedly, so a retried webhook never counts an order twice.
+ * @param {string} storeId - Store ID
+ * @returns {Promise<{ totalOrders, totalRevenue, currency, revenueByCurrency }>}
+ */
+async function recomputeStoreAnalytics(storeId) {
+  const [store, totals] = await Promise.all([
+    Store.findById(storeId).select('shopData.currency').lean(),
+    Order.aggregate([
+      { $match: Order.buildSalesMatch({ storeId }) },
+      { $group: { _id: '$currency', totalOrders: { $sum: 1 }, totalRevenue: { $sum: '$totalPrice' } } },
+      { $sort: { totalOrders: -1 } }
+    ])
+  ]);
+
+  const revenueByCurrency = totals.map(total => ({
+    currency: total._id || null,
+    totalOrders: total.totalOrders,
+    totalRevenue: toAmount(total.totalRevenue)
+  }));
+  const currency = store?.shopData?.currency || revenueByCurrency[0]?.currency || null;
+
+  const analytics = {
+    totalOrders: revenueByCurrency.reduce((sum, total) => sum + total.totalOrders, 0),
+    totalRevenue: revenueByCurrency.find(total => total.currency === currency)?.totalRevenue || 0,
+    currency,
+    revenueByCurrency
+  };
+
+  await Store.updateOne(
+    { _id: storeId },
+    {
+      $set: {
+        'analytics.totalOrders': analytics.totalOrders,
+        'analytics.totalRevenue': analytics.totalRevenue,
+        'analytics.currency': analytics.currency,
+        'analytics.revenueByCurrency': analytics.revenueByCurrency,
+        'analytics.lastUpdated': new Date()
+      }
+    }
+  );
+
+  return analytics;
+}
+
+export const orderSyncService = {
+  ingestWebhookOrder,
+  importGraphQLOrder,
+  saveOrder,
+  resolveLineItems,
+  recomputeStoreAnalytics
+};
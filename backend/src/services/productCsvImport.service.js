@@ -0,0 +1,634 @@
+import { Product } from '../models/ProductOptimized.js';
+import { autoSyncService } from './autoSync.service.js';
+
+/**
+ * Product CSV Import Service
+ * Imports master products from Shopify's product CSV format: one row per variant or extra image,
+ * grouped by Handle, with product fields taken from the first row of each handle.
+ * Problems are reported against the CSV row and column they came from; a product with any
+ * error is not written, the rest of the file still is.
+ *
+ * Modes for handles that already exist in the dashboard:
+ * - create: create a new master anyway
+ * - update: update the existing master (variants matched by option values, then SKU)
+ * - skip:   leave the existing master untouched
+ */
+
+export const IMPORT_MODES = ['create', 'update', 'skip'];
+
+const MAX_ROWS = 5000;
+const MAX_OPTIONS = 3;
+const MAX_VARIANTS = 100;
+const HANDLE_PATTERN = /^[a-z0-9-]+$/;
+const MEDIA_URL_PATTERN = /^https?:\/\/.+\.(jpg|jpeg|png|gif|webp|mp4|mov|avi)$/i;
+const VIDEO_URL_PATTERN = /\.(mp4|mov|avi)$/i;
+
+// Shopify exports weight as grams plus the unit shown in the admin
+const GRAMS_PER_UNIT = { g: 1, kg: 1000, oz: 28.349523125, lb: 453.59237 };
+
+const statusError = (status, message) => Object.assign(new Error(message), { status });
+
+// ==============================================
+// CSV PARSING
+// ==============================================
+
+/**
+ * Parse RFC 4180 CSV (quoted fields, escaped quotes, embedded newlines, CRLF, BOM)
+ * @param {string} text - CSV content
+ * @returns {string[][]} Records
+ */
+export const parseCsv = (text) => {
+  const input = text.replace(/^\uFEFF/, '');
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char !== '"') {
+        field += char;
+      } else if (input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else {
+        inQuotes = false;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) throw statusError(400, 'CSV has an unterminated quoted field');
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  return records;
+};
+
+/**
+ * Turn CSV records into rows keyed by lower-cased header
+ * Row numbers count the header as row 1, like a spreadsheet
+ */
+const toRows = (records) => {
+  const [header = [], ...body] = records;
+  const columns = header.map(name => name.trim().toLowerCase());
+
+  if (!columns.includes('handle')) {
+    throw statusError(400, 'CSV must have a Handle column (Shopify product CSV format)');
+  }
+
+  const rows = [];
+  body.forEach((record, index) => {
+    if (record.every(value => value.trim() === '')) return;
+
+    const values = {};
+    columns.forEach((column, columnIndex) => {
+      values[column] = (record[columnIndex] || '').trim();
+    });
+    rows.push({ row: index + 2, values });
+  });
+
+  if (rows.length > MAX_ROWS) {
+    throw statusError(400, `CSV has ${rows.length} rows; the limit is ${MAX_ROWS} per import`);
+  }
+
+  return { columns, rows };
+};
+
+// ==============================================
+// ROW CONVERSION
+// ==============================================
+
+const parseBoolean = (value) => {
+  const normalized = value.toLowerCase();
+  if (['true', 'yes', '1'].includes(normalized)) return true;
+  if (['false', 'no', '0'].includes(normalized)) return false;
+  return undefined;
+};
+
+/**
+ * Reads typed values from one row; bad values are added to errors against their column
+ */
+const rowReader = (row, handle, errors) => {
+  const fail = (column, message) => errors.push({ row: row.row, handle, column, message });
+  const text = (column) => row.values[column.toLowerCase()] || '';
+
+  return {
+    fail,
+    text,
+    number(column, { integer = false } = {}) {
+      const raw = text(column);
+      if (!raw) return undefined;
+      const value = integer ? Number.parseInt(raw, 10) : Number.parseFloat(raw);
+      if (Number.isNaN(value) || !/^-?\d*\.?\d+$/.test(raw)) {
+        fail(column, `"${raw}" is not a valid ${integer ? 'whole number' : 'number'}`);
+        return undefined;
+      }
+      return value;
+    },
+    boolean(column) {
+      const raw = text(column);
+      if (!raw) return undefined;
+      const value = parseBoolean(raw);
+      if (value === undefined) fail(column, `"${raw}" must be TRUE or FALSE`);
+      return value;
+    },
+    oneOf(column, allowed, transform = value => value.toLowerCase()) {
+      const raw = text(column);
+      if (!raw) return undefined;
+      const value = transform(raw);
+      if (!allowed.includes(value)) {
+        fail(column, `"${raw}" must be one of: ${allowed.join(', ')}`);
+        return undefined;
+      }
+      return value;
+    }
+  };
+};
+
+// Option N columns present in the file (Option1 Name, Option2 Name, ...)
+const optionColumnCount = (columns) => {
+  let count = 0;
+  while (columns.includes(`option${count + 1} name`) || columns.includes(`option${count + 1} value`)) count++;
+  return count;
+};
+
+const isVariantRow = (row, optionCount) =>
+  ['variant sku', 'variant price', 'variant barcode', 'variant inventory qty'].some(column => row.values[column]) ||
+  Array.from({ length: optionCount }, (_, i) => row.values[`option${i + 1} value`]).some(Boolean);
+
+const toMediaItem = (src, alt) => ({
+  src,
+  alt: alt || undefined,
+  mediaContentType: VIDEO_URL_PATTERN.test(src) ? 'VIDEO' : 'IMAGE'
+});
+
+/**
+ * Media URL accepted by the media schema; Shopify CDN URLs carry a ?v= cache buster
+ */
+const readMediaUrl = (reader, column) => {
+  const raw = reader.text(column);
+  if (!raw) return undefined;
+
+  const src = raw.split('?')[0];
+  if (!MEDIA_URL_PATTERN.test(src)) {
+    reader.fail(column, `"${raw}" must be an http(s) URL ending in jpg, jpeg, png, gif, webp, mp4, mov or avi`);
+    return undefined;
+  }
+  return src;
+};
+
+/**
+ * Product-level fields from the first row of a handle; empty columns are left out
+ */
+const readProductFields = (reader) => {
+  const fields = {};
+  const set = (key, value) => {
+    if (value !== undefined && value !== '') fields[key] = value;
+  };
+
+  set('title', reader.text('Title'));
+  set('descriptionHtml', reader.text('Body (HTML)'));
+  set('vendor', reader.text('Vendor'));
+  set('productType', reader.text('Type'));
+  if (reader.text('Tags')) {
+    fields.tags = reader.text('Tags').split(',').map(tag => tag.trim()).filter(Boolean);
+  }
+  set('published', reader.boolean('Published'));
+  set('status', reader.oneOf('Status', ['ACTIVE', 'DRAFT', 'ARCHIVED'], value => value.toUpperCase()));
+  set('giftCard', reader.boolean('Gift Card'));
+
+  const seo = {};
+  if (reader.text('SEO Title')) seo.title = reader.text('SEO Title');
+  if (reader.text('SEO Description')) seo.description = reader.text('SEO Description');
+  if (Object.keys(seo).length > 0) fields.seo = seo;
+
+  return fields;
+};
+
+/**
+ * Variant fields from one row; empty columns are left out so updates keep existing values
+ */
+const readVariantFields = (reader) => {
+  const variant = {};
+  const set = (key, value) => {
+    if (value !== undefined && value !== '') variant[key] = value;
+  };
+
+  set('price', reader.number('Variant Price'));
+  set('compareAtPrice', reader.number('Variant Compare At Price'));
+  set('sku', reader.text('Variant SKU'));
+  set('barcode', reader.text('Variant Barcode'));
+  set('inventoryQuantity', reader.number('Variant Inventory Qty', { integer: true }));
+  set('inventoryPolicy', reader.oneOf('Variant Inventory Policy', ['deny', 'continue']));
+  set('requiresShipping', reader.boolean('Variant Requires Shipping'));
+  set('taxable', reader.boolean('Variant Taxable'));
+  set('taxCode', reader.text('Variant Tax Code'));
+
+  const tracker = reader.text('Variant Inventory Tracker');
+  if (tracker) variant.inventoryManagement = tracker.toLowerCase() === 'shopify' ? 'shopify' : 'not_managed';
+
+  const weightUnit = reader.oneOf('Variant Weight Unit', Object.keys(GRAMS_PER_UNIT));
+  const grams = reader.number('Variant Grams');
+  if (weightUnit) variant.weightUnit = weightUnit;
+  if (grams !== undefined) {
+    variant.weight = Math.round((grams / GRAMS_PER_UNIT[weightUnit || 'g']) * 1000) / 1000;
+  }
+
+  return variant;
+};
+
+const optionKey = (optionValues) => optionValues.map(value => `${value.optionName}:${value.name}`.toLowerCase()).join('|');
+
+/**
+ * Build one product from the rows of a handle
+ * @returns {{ handle, fields, options, variants: Array<{row, fields, imageSrc}>, media: Array<{row, item}> }}
+ */
+const buildProductDraft = (handle, rows, optionCount, errors) => {
+  const [first] = rows;
+  const firstReader = rowReader(first, handle, errors);
+
+  if (!HANDLE_PATTERN.test(handle)) {
+    firstReader.fail('Handle', 'Handle can only contain lowercase letters, numbers, and hyphens');
+  }
+
+  const fields = readProductFields(firstReader);
+
+  // Option names come from the first row; "Title / Default Title" is Shopify's single-variant marker
+  let optionNames = Array.from({ length: optionCount }, (_, i) => firstReader.text(`Option${i + 1} Name`));
+  const isDefaultTitle = optionNames.length > 0 && optionNames[0] === 'Title' &&
+    firstReader.text('Option1 Value') === 'Default Title' && optionNames.slice(1).every(name => !name);
+  if (isDefaultTitle) optionNames = [];
+
+  const usedOptionCount = optionNames.reduce((count, name, index) => (name ? index + 1 : count), 0);
+  optionNames = optionNames.slice(0, usedOptionCount);
+  if (optionNames.length > MAX_OPTIONS) {
+    firstReader.fail(`Option${optionNames.length} Name`, `Maximum ${MAX_OPTIONS} product options allowed`);
+  }
+  optionNames.forEach((name, index) => {
+    if (!name) firstReader.fail(`Option${index + 1} Name`, 'Option name is required when a later option is set');
+  });
+
+  const options = optionNames.map((name, index) => ({ name, position: index + 1, optionValues: [] }));
+  const variants = [];
+  const media = [];
+  const seenCombinations = new Map();
+
+  const addMedia = (row, src, alt, position) => {
+    if (!src || media.some(entry => entry.item.src === src)) return;
+    media.push({ row: row.row, position, item: toMediaItem(src, alt) });
+  };
+
+  rows.forEach(row => {
+    const reader = rowReader(row, handle, errors);
+    const imageSrc = readMediaUrl(reader, 'Image Src');
+    addMedia(row, imageSrc, reader.text('Image Alt Text'), reader.number('Image Position', { integer: true }));
+
+    if (!isVariantRow(row, optionCount)) {
+      if (row !== first && !imageSrc) reader.fail('Handle', 'Row has neither variant data nor an image');
+      return;
+    }
+
+    const optionValues = [];
+    options.forEach((option, index) => {
+      const value = reader.text(`Option${index + 1} Value`);
+      if (!value) {
+        reader.fail(`Option${index + 1} Value`, `Value for option "${option.name}" is required`);
+        return;
+      }
+      optionValues.push({ optionName: option.name, name: value });
+      if (!option.optionValues.some(existing => existing.name === value)) {
+        option.optionValues.push({ name: value, position: option.optionValues.length });
+      }
+    });
+
+    const key = optionKey(optionValues);
+    if (seenCombinations.has(key)) {
+      reader.fail('Option1 Value', `Duplicate variant; same option values as row ${seenCombinations.get(key)}`);
+      return;
+    }
+    seenCombinations.set(key, row.row);
+
+    const variantImage = readMediaUrl(reader, 'Variant Image');
+    addMedia(row, variantImage, undefined, undefined);
+
+    variants.push({
+      row: row.row,
+      fields: { ...readVariantFields(reader), optionValues },
+      imageSrc: variantImage
+    });
+  });
+
+  if (variants.length > MAX_VARIANTS) {
+    firstReader.fail('Handle', `Maximum ${MAX_VARIANTS} variants allowed per product (found ${variants.length})`);
+  }
+
+  // Image Position orders the gallery; images without one keep file order after positioned ones
+  media.sort((a, b) => (a.position ?? Infinity) - (b.position ?? Infinity));
+
+  return { handle, row: first.row, rows: rows.map(row => row.row), fields, options, variants, media };
+};
+
+// ==============================================
+// APPLYING TO MASTER PRODUCTS
+// ==============================================
+
+// Schema paths reported by validation, as CSV columns
+const FIELD_COLUMNS = {
+  title: 'Title',
+  descriptionHtml: 'Body (HTML)',
+  vendor: 'Vendor',
+  productType: 'Type',
+  tags: 'Tags',
+  handle: 'Handle',
+  'seo.title': 'SEO Title',
+  'seo.description': 'SEO Description',
+  'variants.price': 'Variant Price',
+  'variants.compareAtPrice': 'Variant Compare At Price',
+  'variants.sku': 'Variant SKU',
+  'variants.barcode': 'Variant Barcode',
+  'variants.inventoryQuantity': 'Variant Inventory Qty',
+  'variants.weight': 'Variant Grams',
+  'variants.taxCode': 'Variant Tax Code',
+  'media.src': 'Image Src',
+  'media.alt': 'Image Alt Text'
+};
+
+/**
+ * Map mongoose validation errors (variants.3.price, media.1.src, ...) back to CSV rows
+ */
+const reportValidationErrors = (validationError, draft, variantRows, mediaRows, errors) => {
+  Object.entries(validationError.errors).forEach(([path, error]) => {
+    // Array-level errors are repeated for each element; report the element ones only
+    if (error.name === 'ValidationError') return;
+
+    const [field, index, ...rest] = path.split('.');
+    let row = draft.row;
+    if (field === 'variants' && variantRows[index] !== undefined) row = variantRows[index];
+    if (field === 'media' && mediaRows[index] !== undefined) row = mediaRows[index];
+
+    const schemaPath = /^\d+$/.test(index) ? [field, ...rest].join('.') : path;
+    errors.push({ row, handle: draft.handle, column: FIELD_COLUMNS[schemaPath] || path, message: error.message });
+  });
+};
+
+// Variant media are referenced by index into product.media
+const linkVariantImages = (product, draft, variantIndexes) => {
+  draft.variants.forEach((variant, draftIndex) => {
+    if (!variant.imageSrc) return;
+    const mediaIndex = product.media.findIndex(item => item.src === variant.imageSrc);
+    const target = product.variants[variantIndexes[draftIndex]];
+    if (mediaIndex !== -1 && target && !target.mediaIndexes.includes(mediaIndex)) {
+      target.mediaIndexes.push(mediaIndex);
+    }
+  });
+};
+
+/**
+ * New master product from a draft
+ * @returns {{ product, variantRows, mediaRows }}
+ */
+const buildNewProduct = (draft, userId, errors) => {
+  if (!draft.fields.title) {
+    errors.push({ row: draft.row, handle: draft.handle, column: 'Title', message: 'Title is required for a new product' });
+  }
+  draft.variants.forEach(variant => {
+    if (variant.fields.price === undefined) {
+      errors.push({ row: variant.row, handle: draft.handle, column: 'Variant Price', message: 'Variant Price is required for a new variant' });
+    }
+  });
+
+  const product = new Product({
+    status: 'DRAFT',
+    ...draft.fields,
+    handle: draft.handle,
+    createdBy: userId,
+    options: draft.options,
+    variants: draft.variants.map((variant, index) => ({ ...variant.fields, position: index })),
+    media: draft.media.map((entry, index) => ({ ...entry.item, position: index })),
+    syncStatus: 'pending'
+  });
+  linkVariantImages(product, draft, draft.variants.map((_, index) => index));
+
+  return {
+    product,
+    variantRows: draft.variants.map(variant => variant.row),
+    mediaRows: draft.media.map(entry => entry.row)
+  };
+};
+
+/**
+ * Apply a draft onto an existing master product in place
+ * Variants missing from the file are kept so store variant mappings stay valid
+ * @returns {{ product, variantRows, mediaRows }}
+ */
+const applyToExistingProduct = (product, draft, errors) => {
+  const fail = (row, column, message) => errors.push({ row, handle: draft.handle, column, message });
+
+  Object.entries(draft.fields).forEach(([key, value]) => {
+    if (key === 'seo') {
+      product.seo = { ...(product.seo?.toObject?.() || product.seo || {}), ...value };
+    } else {
+      product[key] = value;
+    }
+  });
+
+  // Options must keep their names; new values are added
+  const existingNames = product.options.map(option => option.name.toLowerCase());
+  const draftNames = draft.options.map(option => option.name.toLowerCase());
+  if (draft.variants.length > 0 && existingNames.join('|') !== draftNames.join('|')) {
+    fail(draft.row, 'Option1 Name', `Options (${draftNames.join(', ') || 'none'}) do not match the existing product (${existingNames.join(', ') || 'none'})`);
+    return { product, variantRows: [], mediaRows: [] };
+  }
+  draft.options.forEach((draftOption, index) => {
+    const option = product.options[index];
+    draftOption.optionValues.forEach(value => {
+      if (!option.optionValues.some(existing => existing.name === value.name)) {
+        option.optionValues.push({ name: value.name, position: option.optionValues.length });
+      }
+    });
+  });
+
+  const variantRows = [];
+  const variantIndexes = draft.variants.map(variant => {
+    const key = optionKey(variant.fields.optionValues);
+    let index = draft.options.length > 0
+      ? product.variants.findIndex(existing => optionKey(existing.optionValues) === key)
+      : -1;
+    if (index === -1 && variant.fields.sku) {
+      index = product.variants.findIndex(existing => existing.sku && existing.sku === variant.fields.sku);
+    }
+    if (index === -1 && draft.options.length === 0 && product.variants.length === 1 && draft.variants.length === 1) {
+      index = 0;
+    }
+
+    if (index === -1) {
+      if (variant.fields.price === undefined) {
+        fail(variant.row, 'Variant Price', 'Variant Price is required for a new variant');
+      }
+      product.variants.push({ ...variant.fields, position: product.variants.length });
+      index = product.variants.length - 1;
+    } else {
+      const { optionValues, ...fields } = variant.fields;
+      product.variants[index].set(draft.options.length > 0 ? { ...fields, optionValues } : fields);
+    }
+
+    variantRows[index] = variant.row;
+    return index;
+  });
+
+  const mediaRows = [];
+  draft.media.forEach(entry => {
+    const index = product.media.findIndex(item => item.src === entry.item.src);
+    if (index !== -1) {
+      if (entry.item.alt) product.media[index].alt = entry.item.alt;
+      mediaRows[index] = entry.row;
+      return;
+    }
+    product.media.push({ ...entry.item, position: product.media.length });
+    mediaRows[product.media.length - 1] = entry.row;
+  });
+
+  if (product.variants.length > MAX_VARIANTS) {
+    fail(draft.row, 'Handle', `Maximum ${MAX_VARIANTS} variants allowed per product (would have ${product.variants.length})`);
+  }
+
+  linkVariantImages(product, draft, variantIndexes);
+  return { product, variantRows, mediaRows };
+};
+
+/**
+ * Import a Shopify product CSV
+ * @param {Object} params - { userId, csv, mode: 'create' | 'update' | 'skip', dryRun }
+ * @returns {Promise<Object>} Report { mode, dryRun, summary, products, errors }
+ */
+async function importCsv({ userId, csv, mode = 'create', dryRun = false }) {
+  if (!IMPORT_MODES.includes(mode)) {
+    throw statusError(400, `Invalid mode "${mode}". Use one of: ${IMPORT_MODES.join(', ')}`);
+  }
+
+  const { columns, rows } = toRows(parseCsv(csv));
+  if (rows.length === 0) throw statusError(400, 'CSV has no product rows');
+
+  const errors = [];
+  const optionCount = optionColumnCount(columns);
+
+  const groups = new Map();
+  rows.forEach(row => {
+    const handle = row.values.handle.toLowerCase();
+    if (!handle) {
+      errors.push({ row: row.row, handle: '', column: 'Handle', message: 'Handle is required' });
+      return;
+    }
+    if (!groups.has(handle)) groups.set(handle, []);
+    groups.get(handle).push(row);
+  });
+
+  const existingProducts = await Product.find({ createdBy: userId, handle: { $in: Array.from(groups.keys()) } });
+  const existingByHandle = new Map();
+  existingProducts.forEach(product => {
+    if (!existingByHandle.has(product.handle)) existingByHandle.set(product.handle, []);
+    existingByHandle.get(product.handle).push(product);
+  });
+
+  const summary = { rows: rows.length, products: groups.size, created: 0, updated: 0, skipped: 0, failed: 0 };
+  const products = [];
+
+  for (const [handle, handleRows] of groups) {
+    const productErrors = [];
+    const draft = buildProductDraft(handle, handleRows, optionCount, productErrors);
+    const existing = existingByHandle.get(handle) || [];
+    const result = {
+      handle,
+      title: draft.fields.title || existing[0]?.title,
+      rows: draft.rows,
+      variants: draft.variants.length,
+      action: existing.length > 0 && mode !== 'create' ? mode : 'create'
+    };
+
+    if (result.action === 'skip') {
+      summary.skipped += 1;
+      products.push({ ...result, status: 'skipped', productId: existing[0]._id, reason: 'Handle already exists' });
+      continue;
+    }
+    if (result.action === 'update' && existing.length > 1) {
+      productErrors.push({ row: draft.row, handle, column: 'Handle', message: `Handle matches ${existing.length} dashboard products; update needs a single match` });
+    }
+
+    // Row errors do not stop validation, so the report covers the whole product at once
+    let built;
+    let before;
+    if (!(result.action === 'update' && existing.length > 1)) {
+      if (result.action === 'update') {
+        before = existing[0].toObject();
+        built = applyToExistingProduct(existing[0], draft, productErrors);
+      } else {
+        built = buildNewProduct(draft, userId, productErrors);
+      }
+
+      const validationError = built.product.validateSync();
+      if (validationError) {
+        reportValidationErrors(validationError, draft, built.variantRows, built.mediaRows, productErrors);
+      }
+    }
+
+    if (productErrors.length > 0) {
+      summary.failed += 1;
+      errors.push(...productErrors);
+      products.push({ ...result, status: 'failed', productId: existing[0]?._id, errors: productErrors.length });
+      continue;
+    }
+
+    const { product } = built;
+    if (!dryRun) {
+      try {
+        await product.save();
+      } catch (error) {
+        summary.failed += 1;
+        errors.push({ row: draft.row, handle, column: '', message: error.message });
+        products.push({ ...result, status: 'failed', productId: product._id, errors: 1 });
+        continue;
+      }
+
+      if (result.action === 'update') {
+        try {
+          const changedGroups = autoSyncService.getChangedFieldGroups(before, product.toObject());
+          await autoSyncService.enqueueForChanges({ productId: product._id, userId, changedGroups });
+        } catch (syncError) {
+          console.error(`Failed to queue auto sync for imported product ${handle}:`, syncError.message);
+        }
+      }
+    }
+
+    summary[result.action === 'update' ? 'updated' : 'created'] += 1;
+    products.push({
+      ...result,
+      status: dryRun ? 'planned' : result.action === 'update' ? 'updated' : 'created',
+      productId: dryRun && result.action === 'create' ? undefined : product._id,
+      variants: product.variants.length
+    });
+  }
+
+  errors.sort((a, b) => a.row - b.row);
+  return { mode, dryRun, summary, products, errors };
+}
+
+export const productCsvImportService = {
+  importCsv
+};
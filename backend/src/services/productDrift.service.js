@@ -0,0 +1,668 @@
+import { Product } from '../models/ProductOptimized.js';
+import { ProductMap } from '../models/ProductMap.js';
+import { getProduct } from '../graphql/queries/productQueries.js';
+import { notificationService } from './notification.service.js';
+import { buildStoreProductSetInput, getSyncedFields, toMasterValue } from './storeTransform.service.js';
+
+/**
+ * Product Drift Service
+ * Detects changes made directly in Shopify admin to products pushed from the dashboard.
+ * Products are reduced to a normalized snapshot so the pushed ProductSetInput, REST webhook
+ * payloads and GraphQL product reads can be compared field by field.
+ */
+
+const normalizeString = (value) => (typeof value === 'string' ? value.trim() : value ?? null) || null;
+
+const normalizeMoney = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const amount = Number(value);
+  return Number.isFinite(amount) ? Number(amount.toFixed(2)) : null;
+};
+
+const normalizeTags = (tags) => {
+  const list = Array.isArray(tags) ? tags : (typeof tags === 'string' ? tags.split(',') : []);
+  return list.map(tag => String(tag).trim()).filter(Boolean).sort();
+};
+
+// Variants are matched by their option values, e.g. "Red / M"
+const variantKey = (optionValues) => optionValues.filter(Boolean).join(' / ') || 'Default';
+
+/**
+ * Snapshot of the ProductSetInput we sent to Shopify
+ * @param {Object} input - ProductSetInput (see Product#toShopifyProductSetInput)
+ * @param {number} mediaCount - Number of media attached with the push
+ * @returns {Object} Normalized snapshot
+ */
+export const snapshotFromProductSetInput = (input, mediaCount = 0) => ({
+  title: normalizeString(input.title),
+  descriptionHtml: normalizeString(input.descriptionHtml),
+  vendor: normalizeString(input.vendor),
+  productType: normalizeString(input.productType),
+  handle: normalizeString(input.handle),
+  status: normalizeString(input.status)?.toUpperCase() || null,
+  tags: normalizeTags(input.tags),
+  mediaCount,
+  variants: (input.variants || []).map(variant => ({
+    key: variantKey((variant.optionValues || []).map(ov => ov.name)),
+    price: normalizeMoney(variant.price),
+    compareAtPrice: normalizeMoney(variant.compareAtPrice),
+    sku: normalizeString(variant.sku),
+    barcode: normalizeString(variant.barcode)
+  }))
+});
+
+/**
+ * Snapshot of a products/create or products/update webhook payload (REST shape)
+ * @param {Object} payload - Parsed webhook body
+ * @returns {Object} Normalized snapshot
+ */
+export const snapshotFromWebhookPayload = (payload) => ({
+  title: normalizeString(payload.title),
+  descriptionHtml: normalizeString(payload.body_html),
+  vendor: normalizeString(payload.vendor),
+  productType: normalizeString(payload.product_type),
+  handle: normalizeString(payload.handle),
+  status: normalizeString(payload.status)?.toUpperCase() || null,
+  tags: normalizeTags(payload.tags),
+  mediaCount: Array.isArray(payload.media) ? payload.media.length : (payload.images || []).length,
+  variants: (payload.variants || []).map(variant => ({
+    key: variantKey([variant.option1, variant.option2, variant.option3]),
+    price: normalizeMoney(variant.price),
+    compareAtPrice: normalizeMoney(variant.compare_at_price),
+    sku: normalizeString(variant.sku),
+    barcode: normalizeString(variant.barcode)
+  }))
+});
+
+/**
+ * Snapshot of a product read with graphql/queries/productQueries.js#getProduct
+ * @param {Object} product - GraphQL product node
+ * @returns {Object} Normalized snapshot
+ */
+export const snapshotFromGraphQLProduct = (product) => ({
+  title: normalizeString(product.title),
+  descriptionHtml: normalizeString(product.descriptionHtml),
+  vendor: normalizeString(product.vendor),
+  productType: normalizeString(product.productType),
+  handle: normalizeString(product.handle),
+  status: normalizeString(product.status)?.toUpperCase() || null,
+  tags: normalizeTags(product.tags),
+  mediaCount: product.media?.edges?.length || 0,
+  variants: (product.variants?.edges || []).map(({ node }) => ({
+    key: variantKey((node.selectedOptions || []).map(option => option.value)),
+    price: normalizeMoney(node.price),
+    compareAtPrice: normalizeMoney(node.compareAtPrice),
+    sku: normalizeString(node.sku),
+    barcode: normalizeString(node.barcode)
+  }))
+});
+
+// Snapshot keys owned by each syncSettings field group (see storeTransform.service.js#SYNC_FIELDS)
+const SNAPSHOT_FIELD_GROUPS = {
+  title: ['title'],
+  description: ['descriptionHtml'],
+  tags: ['tags'],
+  status: ['status'],
+  media: ['mediaCount']
+};
+
+/**
+ * Take the values of field groups that were not synced from another snapshot
+ * Used to keep the previous pushed values after a partial push, and to ignore
+ * store values of groups a store mapping does not sync during drift review.
+ * @param {Object} target - Snapshot of what the dashboard sends
+ * @param {Object} source - Snapshot to take unsynced values from
+ * @param {Set<string>} syncedFields - Field groups that were synced
+ * @returns {Object} Merged snapshot
+ */
+export const keepUnsyncedFields = (target, source, syncedFields) => {
+  if (!source) return target;
+
+  const result = { ...target };
+  Object.entries(SNAPSHOT_FIELD_GROUPS).forEach(([group, keys]) => {
+    if (!syncedFields.has(group)) {
+      keys.forEach(key => { result[key] = source[key] ?? null; });
+    }
+  });
+
+  const syncPrice = syncedFields.has('price');
+  const syncVariants = syncedFields.has('variants');
+  if (syncPrice && syncVariants) return result;
+
+  // The variant list is only sent when prices or variants are synced
+  if (!syncPrice && !syncVariants) {
+    result.variants = source.variants || [];
+    return result;
+  }
+
+  const sourceVariants = new Map((source.variants || []).map(variant => [variant.key, variant]));
+  result.variants = (target.variants || []).map(variant => {
+    const previous = sourceVariants.get(variant.key);
+    if (!previous) return variant;
+    return {
+      ...variant,
+      ...(syncPrice ? {} : { price: previous.price, compareAtPrice: previous.compareAtPrice }),
+      ...(syncVariants ? {} : { sku: previous.sku, barcode: previous.barcode })
+    };
+  });
+
+  return result;
+};
+
+const PRODUCT_FIELDS = ['title', 'descriptionHtml', 'vendor', 'productType', 'handle', 'status', 'tags', 'mediaCount'];
+const VARIANT_FIELDS = ['price', 'compareAtPrice', 'sku', 'barcode'];
+
+const isEqual = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Field-by-field differences between what was pushed and what the store has
+ * @param {Object} pushed - Snapshot of the dashboard side
+ * @param {Object} current - Snapshot of the store side
+ * @returns {Array<{field: string, dashboardValue: *, storeValue: *}>}
+ */
+export const diffSnapshots = (pushed, current) => {
+  const changes = [];
+
+  PRODUCT_FIELDS.forEach(field => {
+    if (!isEqual(pushed[field], current[field])) {
+      changes.push({ field, dashboardValue: pushed[field] ?? null, storeValue: current[field] ?? null });
+    }
+  });
+
+  const currentVariants = new Map((current.variants || []).map(v => [v.key, v]));
+  const pushedKeys = new Set();
+
+  (pushed.variants || []).forEach(variant => {
+    pushedKeys.add(variant.key);
+    const storeVariant = currentVariants.get(variant.key);
+
+    if (!storeVariant) {
+      changes.push({ field: `variants[${variant.key}]`, dashboardValue: variant, storeValue: null });
+      return;
+    }
+
+    VARIANT_FIELDS.forEach(field => {
+      if (!isEqual(variant[field], storeVariant[field])) {
+        changes.push({
+          field: `variants[${variant.key}].${field}`,
+          dashboardValue: variant[field] ?? null,
+          storeValue: storeVariant[field] ?? null
+        });
+      }
+    });
+  });
+
+  currentVariants.forEach((variant, key) => {
+    if (!pushedKeys.has(key)) {
+      changes.push({ field: `variants[${key}]`, dashboardValue: null, storeValue: variant });
+    }
+  });
+
+  return changes;
+};
+
+/**
+ * Find the store mapping for a Shopify product in the shop that sent the webhook
+ */
+async function findStoreMapping(shopifyProductId, shopDomain) {
+  const productMap = await ProductMap.findByShopifyProductId(shopifyProductId);
+  if (!productMap) return { productMap: null, storeMapping: null };
+
+  const storeMapping = productMap.storeMappings.find(mapping =>
+    mapping.shopifyProductId === shopifyProductId &&
+    (!shopDomain || mapping.store?.shopDomain === shopDomain)
+  );
+
+  return { productMap, storeMapping };
+}
+
+// Dashboard side snapshot: what we last pushed, or the current master with the store's rules if nothing was recorded
+const getPushedSnapshot = (productMap, storeMapping) => {
+  if (storeMapping.lastPushedSnapshot) return storeMapping.lastPushedSnapshot;
+
+  const product = productMap.dashboardProduct;
+  if (!product?.toShopifyProductSetInput) return null;
+
+  return snapshotFromProductSetInput(buildStoreProductSetInput(product, storeMapping), product.media?.length || 0);
+};
+
+// A push that never finished (crashed worker) stops hiding webhooks after this long
+const PUSH_IN_PROGRESS_MS = 10 * 60 * 1000;
+
+/**
+ * Whether a store product change comes from our own push
+ * Webhooks arriving while a push runs, or describing the product as of before the push finished, are ours.
+ * @param {Object} storeMapping - Store mapping (pushStartedAt, pushFinishedAt)
+ * @param {string} [updatedAt] - updated_at of the webhook payload
+ * @returns {boolean}
+ */
+export const isOwnPush = (storeMapping, updatedAt = null) => {
+  if (storeMapping.pushStartedAt && Date.now() - new Date(storeMapping.pushStartedAt).getTime() < PUSH_IN_PROGRESS_MS) {
+    return true;
+  }
+  if (updatedAt && storeMapping.pushFinishedAt) {
+    const changedAt = new Date(updatedAt);
+    return !Number.isNaN(changedAt.getTime()) && changedAt <= storeMapping.pushFinishedAt;
+  }
+  return false;
+};
+
+/**
+ * Record drift from a products/create or products/update webhook
+ * @param {string} shopDomain - X-Shopify-Shop-Domain
+ * @param {Object} payload - Parsed webhook body
+ * @returns {Promise<Object|null>} Drift summary, or null when the product is not managed by the dashboard
+ */
+async function handleProductChanged(shopDomain, payload) {
+  const shopifyProductId = payload.admin_graphql_api_id || `gid://shopify/Product/${payload.id}`;
+  const { productMap, storeMapping } = await findStoreMapping(shopifyProductId, shopDomain);
+
+  if (!storeMapping || storeMapping.status === 'deleted') return null;
+  if (isOwnPush(storeMapping, payload.updated_at)) return null;
+
+  const pushed = getPushedSnapshot(productMap, storeMapping);
+  if (!pushed) return null;
+
+  const changes = diffSnapshots(pushed, snapshotFromWebhookPayload(payload));
+  const previousFields = new Set((storeMapping.drift?.fields || []).map(f => f.field));
+  const now = new Date();
+
+  storeMapping.drift = {
+    hasDrift: changes.length > 0,
+    detectedAt: changes.length > 0 ? (storeMapping.drift?.detectedAt || now) : null,
+    checkedAt: now,
+    source: 'webhook',
+    fields: changes.map(change => ({ ...change, detectedAt: now }))
+  };
+  storeMapping.updatedAt = now;
+  await productMap.save();
+
+  // Only notify when the store picked up changes we had not reported yet
+  const newFields = changes.filter(change => !previousFields.has(change.field));
+  if (newFields.length > 0) {
+    const store = storeMapping.store;
+    const productTitle = productMap.dashboardProduct?.title || payload.title;
+    try {
+      await notificationService.createUserNotification({
+        userId: store.userId,
+        title: 'Product changed in Shopify',
+        message: `"${productTitle}" was edited in ${store.shopName || shopDomain}: ${newFields.map(f => f.field).join(', ')}`,
+        type: 'sync',
+        link: `/products/${productMap.dashboardProduct?._id || productMap.dashboardProduct}`,
+        metadata: {
+          productId: productMap.dashboardProduct?._id,
+          storeId: store._id,
+          shopifyProductId,
+          fields: newFields.map(f => f.field)
+        }
+      });
+    } catch (error) {
+      console.error('Failed to send drift notification:', error.message);
+    }
+  }
+
+  return { productMapId: productMap._id, storeId: storeMapping.store._id, changes };
+}
+
+/**
+ * Mark the store mapping deleted after a products/delete webhook
+ * @param {string} shopDomain - X-Shopify-Shop-Domain
+ * @param {Object} payload - Parsed webhook body ({ id })
+ * @returns {Promise<Object|null>} Updated mapping info, or null when not managed by the dashboard
+ */
+async function handleProductDeleted(shopDomain, payload) {
+  const shopifyProductId = `gid://shopify/Product/${payload.id}`;
+  const { productMap, storeMapping } = await findStoreMapping(shopifyProductId, shopDomain);
+
+  // Already deleted from the dashboard side
+  if (!storeMapping || storeMapping.status === 'deleted') return null;
+
+  const now = new Date();
+  if (storeMapping.status === 'active') {
+    productMap.mappingStats.activeStores = Math.max(0, (productMap.mappingStats.activeStores || 0) - 1);
+  }
+  storeMapping.status = 'deleted';
+  storeMapping.lastSyncError = 'Product was deleted in Shopify';
+  storeMapping.drift = {
+    hasDrift: false,
+    detectedAt: null,
+    checkedAt: now,
+    source: 'webhook',
+    fields: []
+  };
+  storeMapping.updatedAt = now;
+  await productMap.save();
+
+  const store = storeMapping.store;
+  const productTitle = productMap.dashboardProduct?.title || 'A product';
+  try {
+    await notificationService.createUserNotification({
+      userId: store.userId,
+      title: 'Product deleted in Shopify',
+      message: `"${productTitle}" was deleted from ${store.shopName || shopDomain}. The store mapping has been marked as deleted.`,
+      type: 'warning',
+      link: `/products/${productMap.dashboardProduct?._id || productMap.dashboardProduct}`,
+      metadata: {
+        productId: productMap.dashboardProduct?._id,
+        storeId: store._id,
+        shopifyProductId
+      }
+    });
+  } catch (error) {
+    console.error('Failed to send product deletion notification:', error.message);
+  }
+
+  return { productMapId: productMap._id, storeId: store._id };
+}
+
+const VARIANT_FIELD_PATTERN = /^variants\[(.+)\]\.(\w+)$/;
+const VARIANT_PATTERN = /^variants\[(.+)\]$/;
+// Variant fields that can be kept per store through variantMappings
+const OVERRIDE_VARIANT_FIELDS = { price: 'customPrice', compareAtPrice: 'customCompareAtPrice', sku: 'customSku' };
+
+/**
+ * Resolutions available for a drifted field
+ * @param {string} field - Field name from diffSnapshots
+ * @returns {string[]} Subset of push, pull and override
+ */
+export const getResolutionActions = (field) => {
+  const variantField = field.match(VARIANT_FIELD_PATTERN);
+  if (variantField) {
+    return OVERRIDE_VARIANT_FIELDS[variantField[2]] ? ['push', 'pull', 'override'] : ['push', 'pull'];
+  }
+  // Missing or extra variants can only be fixed by pushing the master variant set
+  if (VARIANT_PATTERN.test(field)) return ['push'];
+  // Media cannot be kept per store; the store copy is only left alone when media sync is turned off
+  if (field === 'mediaCount') return ['push', 'disable-sync'];
+  return ['push', 'pull', 'override'];
+};
+
+/**
+ * syncSettings field groups a push must send to fix the given drifted fields
+ * Vendor, product type and handle go along with every push, so they need no group.
+ * @param {string[]} fields - Field names from diffSnapshots
+ * @returns {string[]} Groups from storeTransform.service.js#SYNC_FIELDS
+ */
+export const toSyncFieldGroups = (fields) => {
+  const groups = new Set();
+  fields.forEach(field => {
+    const variantField = field.match(VARIANT_FIELD_PATTERN);
+    if (variantField) {
+      groups.add(['price', 'compareAtPrice'].includes(variantField[2]) ? 'price' : 'variants');
+      return;
+    }
+    if (VARIANT_PATTERN.test(field)) {
+      groups.add('variants');
+      return;
+    }
+    const group = Object.keys(SNAPSHOT_FIELD_GROUPS).find(key => SNAPSHOT_FIELD_GROUPS[key].includes(field));
+    if (group) groups.add(group);
+  });
+  return Array.from(groups);
+};
+
+/**
+ * Load everything a drift review needs: mapping, master product, live store product
+ */
+async function loadReviewContext({ session, productId, storeId }) {
+  const productMap = await ProductMap.findOne({
+    dashboardProduct: productId,
+    'storeMappings.store': storeId,
+    isDeleted: false
+  });
+  const storeMapping = productMap?.getStoreMapping(storeId);
+  if (!storeMapping || storeMapping.status === 'deleted') {
+    throw Object.assign(new Error('Product is not pushed to this store'), { status: 404 });
+  }
+
+  const product = await Product.findById(productId);
+  if (!product) {
+    throw Object.assign(new Error('Product not found'), { status: 404 });
+  }
+
+  const shopifyProduct = await getProduct(session, storeMapping.shopifyProductId);
+  if (!shopifyProduct) {
+    throw Object.assign(new Error('Product not found in Shopify'), { status: 404 });
+  }
+
+  return { productMap, storeMapping, product, shopifyProduct };
+}
+
+// Expected store state: master product run through the mapping's customizations and price rules
+// Field groups the mapping does not sync (syncSettings) are not compared
+const buildExpectedSnapshot = (product, storeMapping, live) => {
+  const expected = snapshotFromProductSetInput(
+    buildStoreProductSetInput(product, storeMapping),
+    product.media?.length || 0
+  );
+  return keepUnsyncedFields(expected, live, getSyncedFields(storeMapping.syncSettings));
+};
+
+const recordDrift = (storeMapping, changes, source = 'review') => {
+  const now = new Date();
+  const previous = new Map((storeMapping.drift?.fields || []).map(f => [f.field, f.detectedAt]));
+
+  storeMapping.drift = {
+    hasDrift: changes.length > 0,
+    detectedAt: changes.length > 0 ? (storeMapping.drift?.detectedAt || now) : null,
+    checkedAt: now,
+    source,
+    fields: changes.map(change => ({ ...change, detectedAt: previous.get(change.field) || now }))
+  };
+  storeMapping.updatedAt = now;
+};
+
+/**
+ * Compare the live Shopify product against the master product for one store mapping
+ * @param {Object} params - { session, productId, storeId }
+ * @returns {Promise<Object>} { shopifyProductId, checkedAt, changes: [{ field, dashboardValue, storeValue, actions }] }
+ */
+async function reviewStoreMapping({ session, productId, storeId }) {
+  const { productMap, storeMapping, product, shopifyProduct } = await loadReviewContext({ session, productId, storeId });
+
+  const live = snapshotFromGraphQLProduct(shopifyProduct);
+  const changes = diffSnapshots(buildExpectedSnapshot(product, storeMapping, live), live);
+
+  recordDrift(storeMapping, changes);
+  await productMap.save();
+
+  return {
+    shopifyProductId: storeMapping.shopifyProductId,
+    checkedAt: storeMapping.drift.checkedAt,
+    changes: changes.map(change => ({ ...change, actions: getResolutionActions(change.field) }))
+  };
+}
+
+/**
+ * Record drift for a store product already read from Shopify (scheduled checks)
+ * Compares against what the dashboard last pushed, so pending dashboard edits are not reported as drift.
+ * The caller saves the product map.
+ * @param {Object} productMap - ProductMap document (dashboardProduct populated)
+ * @param {Object} storeMapping - Store mapping inside productMap
+ * @param {Object} shopifyProduct - Product from getProduct
+ * @returns {Array} Drifted fields
+ */
+export const checkLiveProduct = (productMap, storeMapping, shopifyProduct) => {
+  if (isOwnPush(storeMapping, shopifyProduct.updatedAt)) return [];
+
+  const pushed = getPushedSnapshot(productMap, storeMapping);
+  if (!pushed) return [];
+
+  const changes = diffSnapshots(pushed, snapshotFromGraphQLProduct(shopifyProduct));
+  recordDrift(storeMapping, changes, 'schedule');
+  return changes;
+};
+
+const findVariantMapping = (storeMapping, index, shopifyVariantId) => {
+  let variantMapping = storeMapping.variantMappings.find(vm => vm.dashboardVariantIndex === index);
+  if (!variantMapping && shopifyVariantId) {
+    storeMapping.variantMappings.push({ dashboardVariantIndex: index, shopifyVariantId, isActive: true });
+    variantMapping = storeMapping.variantMappings[storeMapping.variantMappings.length - 1];
+  }
+  return variantMapping;
+};
+
+// Pull a product-level store value into the master product
+const pullProductField = (product, storeMapping, field, storeValue) => {
+  const customizations = storeMapping.storeCustomizations || {};
+
+  if (field === 'tags') {
+    // Tags excluded for this store never reach it; keep them on the master
+    const excluded = new Set((customizations.excludeTags || []).map(tag => tag.toLowerCase()));
+    const keep = (product.tags || []).filter(tag => excluded.has(tag.toLowerCase()));
+    product.tags = [...new Set([...toMasterValue('tags', storeValue, storeMapping), ...keep])];
+    return;
+  }
+
+  if (field === 'handle') {
+    product.handle = storeValue;
+    if (customizations.customHandle) customizations.customHandle = undefined;
+    return;
+  }
+
+  const overridden = customizations.fieldOverrides?.[field] != null;
+  product[field] = overridden ? storeValue : toMasterValue(field, storeValue, storeMapping);
+  if (overridden) customizations.fieldOverrides[field] = undefined;
+};
+
+// Keep a product-level store value for this store only
+const overrideProductField = (product, storeMapping, field, storeValue) => {
+  if (!storeMapping.storeCustomizations) storeMapping.storeCustomizations = {};
+  const customizations = storeMapping.storeCustomizations;
+
+  if (field === 'tags') {
+    const master = product.tags || [];
+    const store = storeValue || [];
+    const masterSet = new Set(master.map(tag => tag.toLowerCase()));
+    const storeSet = new Set(store.map(tag => tag.toLowerCase()));
+    customizations.additionalTags = store.filter(tag => !masterSet.has(tag.toLowerCase()));
+    customizations.excludeTags = master.filter(tag => !storeSet.has(tag.toLowerCase()));
+    return;
+  }
+
+  if (field === 'handle') {
+    customizations.customHandle = storeValue;
+    return;
+  }
+
+  if (!customizations.fieldOverrides) customizations.fieldOverrides = {};
+  customizations.fieldOverrides[field] = storeValue ?? '';
+};
+
+/**
+ * Apply per-field drift resolutions for one store mapping
+ * The diff is recomputed against the live product first, so fields that no longer drift are skipped.
+ * - push: the dashboard value wins; returned in pushFields so the caller can queue a sync
+ * - pull: the store value is written into the master product
+ * - override: the store value is kept as a store-specific customization
+ * - disable-sync: media sync is turned off for this store (mediaCount only)
+ * @param {Object} params - { session, productId, storeId, resolutions: [{ field, action }] }
+ * @returns {Promise<Object>} { applied, skipped, pushFields, changes }
+ */
+async function resolveDrift({ session, productId, storeId, resolutions = [] }) {
+  const { productMap, storeMapping, product, shopifyProduct } = await loadReviewContext({ session, productId, storeId });
+
+  const live = snapshotFromGraphQLProduct(shopifyProduct);
+  const currentChanges = new Map(
+    diffSnapshots(buildExpectedSnapshot(product, storeMapping, live), live).map(change => [change.field, change])
+  );
+
+  // Dashboard variant index and Shopify variant ID by option values key
+  const variantIndexByKey = new Map(
+    snapshotFromProductSetInput(product.toShopifyProductSetInput()).variants.map((variant, index) => [variant.key, index])
+  );
+  const shopifyVariantIdByKey = new Map(
+    (shopifyProduct.variants?.edges || []).map(({ node }) => [
+      variantKey((node.selectedOptions || []).map(option => option.value)),
+      node.id
+    ])
+  );
+
+  const applied = [];
+  const skipped = [];
+  const pushFields = [];
+  let productChanged = false;
+
+  for (const { field, action } of resolutions) {
+    const change = currentChanges.get(field);
+    if (!change) {
+      skipped.push({ field, action, reason: 'Field no longer differs' });
+      continue;
+    }
+    if (!getResolutionActions(field).includes(action)) {
+      skipped.push({ field, action, reason: `Action "${action}" is not available for this field` });
+      continue;
+    }
+
+    if (action === 'push') {
+      pushFields.push(field);
+      applied.push({ field, action });
+      continue;
+    }
+
+    if (action === 'disable-sync') {
+      storeMapping.syncSettings.syncMedia = false;
+      applied.push({ field, action });
+      continue;
+    }
+
+    const variantField = field.match(VARIANT_FIELD_PATTERN);
+    if (variantField) {
+      const [, key, name] = variantField;
+      const index = variantIndexByKey.get(key);
+      const variant = product.variants?.[index];
+      if (!variant) {
+        skipped.push({ field, action, reason: 'Variant not found on the master product' });
+        continue;
+      }
+      const variantMapping = findVariantMapping(storeMapping, index, shopifyVariantIdByKey.get(key));
+      const customField = OVERRIDE_VARIANT_FIELDS[name];
+
+      if (action === 'pull') {
+        const hasCustomValue = customField && variantMapping?.[customField] != null;
+        variant[name] = hasCustomValue ? change.storeValue : toMasterValue(name, change.storeValue, storeMapping);
+        if (hasCustomValue) variantMapping[customField] = undefined;
+        productChanged = true;
+      } else {
+        if (!variantMapping) {
+          skipped.push({ field, action, reason: 'Variant not found in the store' });
+          continue;
+        }
+        variantMapping[customField] = change.storeValue ?? undefined;
+      }
+    } else if (action === 'pull') {
+      pullProductField(product, storeMapping, field, change.storeValue);
+      productChanged = true;
+    } else {
+      overrideProductField(product, storeMapping, field, change.storeValue);
+    }
+
+    applied.push({ field, action });
+  }
+
+  if (productChanged) {
+    await product.save();
+  }
+
+  // The mapping now expects the store values that were pulled or kept
+  const expected = buildExpectedSnapshot(product, storeMapping, live);
+  const remaining = diffSnapshots(expected, live);
+  storeMapping.lastPushedSnapshot = expected;
+  recordDrift(storeMapping, remaining);
+  await productMap.save();
+
+  return {
+    applied,
+    skipped,
+    pushFields,
+    changes: remaining.map(change => ({ ...change, actions: getResolutionActions(change.field) }))
+  };
+}
+
+export const productDriftService = {
+  handleProductChanged,
+  handleProductDeleted,
+  reviewStoreMapping,
+  resolveDrift,
+  checkLiveProduct
+};
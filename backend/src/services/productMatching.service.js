@@ -0,0 +1,489 @@
+import { Product } from '../models/ProductOptimized.js';
+import { ProductMap } from '../models/ProductMap.js';
+import { ProductMatchProposal } from '../models/ProductMatchProposal.js';
+import { Store } from '../models/Store.js';
+import { buildStoreSession } from '../middleware/storeSession.js';
+import { getProducts, getProduct } from '../graphql/queries/productQueries.js';
+import { snapshotFromGraphQLProduct } from './productDrift.service.js';
+import { notificationService } from './notification.service.js';
+
+/**
+ * Product Matching Service
+ * Finds products that already exist in connected stores for dashboard masters (by handle,
+ * variant SKU and barcode), proposes links with a confidence score and variant alignment,
+ * and links confirmed proposals through ProductMap.storeMappings so pushes update the
+ * existing Shopify product. Also holds the linking helpers used by the catalog import.
+ */
+
+// Masters looked up per Shopify search, and search terms per query
+const MASTER_BATCH_SIZE = 10;
+const MAX_QUERY_TERMS = 40;
+// Weaker candidates are not proposed
+const MIN_CONFIDENCE = 0.3;
+
+// Scan progress per store (in-process)
+const scans = new Map();
+
+const nodes = (connection) => (connection?.edges || []).map(edge => edge.node);
+
+const chunk = (items, size) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+  return chunks;
+};
+
+const normalize = (value) => (typeof value === 'string' ? value.trim().toLowerCase() : '');
+
+// Shopify search term with the value quoted, e.g. sku:"AB 12"
+const searchTerm = (field, value) => `${field}:"${String(value).replace(/["\\]/g, '\\$&')}"`;
+
+// ==============================================
+// VARIANT ALIGNMENT AND LINKING
+// ==============================================
+
+const optionKey = (pairs) => pairs
+  .map(pair => `${pair.name}:${pair.value}`.toLowerCase())
+  .sort()
+  .join('|');
+
+const masterOptionKey = (variant) =>
+  optionKey((variant.optionValues || []).map(ov => ({ name: ov.optionName, value: ov.name })));
+
+const ALIGNMENT_PASSES = [
+  ['barcode', (master, node) => normalize(master.barcode) && normalize(master.barcode) === normalize(node.barcode)],
+  ['sku', (master, node) => normalize(master.sku) && normalize(master.sku) === normalize(node.sku)],
+  ['options', (master, node) => {
+    const key = masterOptionKey(master);
+    return key && key === optionKey(node.selectedOptions || []);
+  }]
+];
+
+/**
+ * Pair Shopify variants with master variants, one to one
+ * Barcode first, then SKU, then option values; single-variant products always pair.
+ * @param {Array} masterVariants - Product.variants
+ * @param {Array} shopifyVariants - Variant nodes (id, sku, barcode, selectedOptions)
+ * @returns {Object} { pairs: [{ dashboardVariantIndex, shopifyVariantIndex, shopifyVariantId, matchedBy }], unmatchedDashboard, unmatchedShopify }
+ */
+export const alignVariants = (masterVariants = [], shopifyVariants = []) => {
+  const freeMaster = new Set(masterVariants.map((_, index) => index));
+  const assigned = new Array(shopifyVariants.length).fill(null);
+
+  ALIGNMENT_PASSES.forEach(([matchedBy, matches]) => {
+    shopifyVariants.forEach((node, shopifyVariantIndex) => {
+      if (assigned[shopifyVariantIndex]) return;
+      const dashboardVariantIndex = [...freeMaster].find(index => matches(masterVariants[index], node));
+      if (dashboardVariantIndex === undefined) return;
+
+      freeMaster.delete(dashboardVariantIndex);
+      assigned[shopifyVariantIndex] = { dashboardVariantIndex, shopifyVariantIndex, shopifyVariantId: node.id, matchedBy };
+    });
+  });
+
+  if (masterVariants.length === 1 && shopifyVariants.length === 1 && !assigned[0]) {
+    freeMaster.delete(0);
+    assigned[0] = { dashboardVariantIndex: 0, shopifyVariantIndex: 0, shopifyVariantId: shopifyVariants[0].id, matchedBy: 'single' };
+  }
+
+  return {
+    pairs: assigned.filter(Boolean),
+    unmatchedDashboard: [...freeMaster],
+    unmatchedShopify: shopifyVariants.filter((_, index) => !assigned[index])
+  };
+};
+
+/**
+ * Confidence that a store product is the same product as a master
+ * Handle is worth 0.3, variants matched by SKU/barcode up to 0.5 and overall variant alignment up to 0.2.
+ * @returns {Object} { confidence, level, matchedBy }
+ */
+export const scoreMatch = (master, shopifyProduct, alignment) => {
+  const shopifyVariants = nodes(shopifyProduct.variants);
+  const total = Math.max(master.variants?.length || 0, shopifyVariants.length, 1);
+  const identified = alignment.pairs.filter(pair => pair.matchedBy === 'sku' || pair.matchedBy === 'barcode').length;
+  const handleMatch = Boolean(master.handle) && normalize(master.handle) === normalize(shopifyProduct.handle);
+
+  const confidence = Math.round(
+    ((handleMatch ? 0.3 : 0) + 0.5 * (identified / total) + 0.2 * (alignment.pairs.length / total)) * 100
+  ) / 100;
+
+  const matchedBy = [];
+  if (handleMatch) matchedBy.push('handle');
+  if (alignment.pairs.some(pair => pair.matchedBy === 'sku')) matchedBy.push('sku');
+  if (alignment.pairs.some(pair => pair.matchedBy === 'barcode')) matchedBy.push('barcode');
+
+  return {
+    confidence,
+    level: confidence >= 0.8 ? 'high' : confidence >= 0.5 ? 'medium' : 'low',
+    matchedBy
+  };
+};
+
+export const buildVariantMapping = (dashboardVariantIndex, node, now = new Date()) => ({
+  dashboardVariantIndex,
+  shopifyVariantId: node.id,
+  inventoryTracking: {
+    lastKnownShopifyQuantity: node.inventoryQuantity || 0,
+    lastInventorySyncAt: now,
+    inventoryPolicy: node.inventoryPolicy === 'CONTINUE' ? 'continue' : 'deny',
+    trackQuantity: node.inventoryItem?.tracked ?? true
+  }
+});
+
+/**
+ * Store mapping for a product that already exists in the store; the store state becomes the drift baseline
+ */
+export const buildStoreMapping = (storeId, shopifyProduct, variantMappings, mediaMappings = []) => {
+  const now = new Date();
+  return {
+    store: storeId,
+    shopifyProductId: shopifyProduct.id,
+    shopifyHandle: shopifyProduct.handle,
+    status: 'active',
+    variantMappings,
+    mediaMappings,
+    lastPushedSnapshot: snapshotFromGraphQLProduct(shopifyProduct),
+    isPublished: shopifyProduct.status === 'ACTIVE',
+    lastSyncAt: now,
+    lastSuccessfulSyncAt: now,
+    createdAt: now,
+    updatedAt: now
+  };
+};
+
+/**
+ * Add a store mapping to the master's ProductMap, creating it when the master has none
+ * A mapping deleted from Shopify earlier is replaced.
+ */
+export async function attachStoreMapping({ productId, userId, storeMapping }) {
+  const productMap = await ProductMap.findOne({ dashboardProduct: productId, isDeleted: false });
+
+  if (!productMap) {
+    return ProductMap.create({
+      dashboardProduct: productId,
+      createdBy: userId,
+      storeMappings: [storeMapping],
+      mappingStats: { totalStores: 1, activeStores: 1 }
+    });
+  }
+
+  const previousIndex = productMap.storeMappings.findIndex(mapping => mapping.store.toString() === storeMapping.store.toString());
+  if (previousIndex !== -1) {
+    productMap.storeMappings.splice(previousIndex, 1);
+  } else {
+    productMap.mappingStats.totalStores += 1;
+  }
+  productMap.storeMappings.push(storeMapping);
+  productMap.mappingStats.activeStores += 1;
+
+  return productMap.save();
+}
+
+// Shopify products and masters already linked in a store
+async function loadStoreLinks(storeId) {
+  const productMaps = await ProductMap.find({
+    isDeleted: false,
+    storeMappings: { $elemMatch: { store: storeId, status: { $ne: 'deleted' } } }
+  }).select('dashboardProduct storeMappings.store storeMappings.shopifyProductId storeMappings.status').lean();
+
+  const shopifyProductIds = new Set();
+  const productIds = new Set();
+  productMaps.forEach(productMap => productMap.storeMappings.forEach(mapping => {
+    if (mapping.store.toString() === storeId.toString() && mapping.status !== 'deleted') {
+      shopifyProductIds.add(mapping.shopifyProductId);
+      productIds.add(productMap.dashboardProduct.toString());
+    }
+  }));
+
+  return { shopifyProductIds, productIds };
+}
+
+// ==============================================
+// SCANNING
+// ==============================================
+
+const searchTermsFor = (master) => {
+  const terms = [];
+  if (master.handle) terms.push(searchTerm('handle', master.handle));
+  (master.variants || []).forEach(variant => {
+    if (variant.sku?.trim()) terms.push(searchTerm('sku', variant.sku.trim()));
+    if (variant.barcode?.trim()) terms.push(searchTerm('barcode', variant.barcode.trim()));
+  });
+  return terms;
+};
+
+// Shopify product IDs returned by an OR search over the terms
+async function searchCandidateIds(session, terms) {
+  const ids = new Set();
+
+  for (const termChunk of chunk([...new Set(terms)], MAX_QUERY_TERMS)) {
+    let after = null;
+    let hasNextPage = true;
+    while (hasNextPage) {
+      const data = await getProducts(session, { first: 50, after, query: termChunk.join(' OR ') });
+      nodes(data.products).forEach(node => ids.add(node.id));
+      hasNextPage = data.products.pageInfo.hasNextPage;
+      after = data.products.pageInfo.endCursor;
+    }
+  }
+
+  return ids;
+}
+
+const toProposal = ({ userId, storeId, master, shopifyProduct, alignment, score }) => {
+  const shopifyVariants = nodes(shopifyProduct.variants);
+  return {
+    userId,
+    store: storeId,
+    product: master._id,
+    shopifyProductId: shopifyProduct.id,
+    shopifyHandle: shopifyProduct.handle,
+    shopifyTitle: shopifyProduct.title,
+    ...score,
+    variantAlignment: alignment.pairs.map(pair => ({
+      dashboardVariantIndex: pair.dashboardVariantIndex,
+      shopifyVariantId: pair.shopifyVariantId,
+      shopifyVariantTitle: shopifyVariants[pair.shopifyVariantIndex].title,
+      sku: shopifyVariants[pair.shopifyVariantIndex].sku || undefined,
+      matchedBy: pair.matchedBy
+    })),
+    unmatchedDashboardVariants: alignment.unmatchedDashboard,
+    unmatchedShopifyVariants: alignment.unmatchedShopify.map(node => ({
+      shopifyVariantId: node.id,
+      title: node.title,
+      sku: node.sku || undefined
+    }))
+  };
+};
+
+/**
+ * Propose links for unlinked masters in one store
+ * @param {Object} params - { userId, store, productIds }
+ * @returns {Promise<number>} Number of proposals created
+ */
+async function scanStore({ userId, store, productIds }) {
+  const state = scans.get(store._id.toString());
+  const session = buildStoreSession(store);
+
+  const links = await loadStoreLinks(store._id);
+  const rejected = new Set(
+    (await ProductMatchProposal.find({ userId, store: store._id, status: 'rejected' }).select('product shopifyProductId').lean())
+      .map(proposal => `${proposal.product}:${proposal.shopifyProductId}`)
+  );
+
+  const masters = (await Product.find({
+    createdBy: userId,
+    ...(productIds?.length ? { _id: { $in: productIds } } : {})
+  }).select('title handle variants.sku variants.barcode variants.optionValues').lean())
+    .filter(master => !links.productIds.has(master._id.toString()));
+
+  state.total = masters.length;
+
+  const candidates = new Map();
+  const proposals = [];
+
+  for (const batch of chunk(masters, MASTER_BATCH_SIZE)) {
+    const terms = batch.flatMap(searchTermsFor);
+    const candidateIds = terms.length ? await searchCandidateIds(session, terms) : new Set();
+
+    for (const id of candidateIds) {
+      if (links.shopifyProductIds.has(id) || candidates.has(id)) continue;
+      candidates.set(id, await getProduct(session, id));
+    }
+
+    batch.forEach(master => {
+      const best = [...candidateIds]
+        .map(id => candidates.get(id))
+        .filter(shopifyProduct => shopifyProduct && !rejected.has(`${master._id}:${shopifyProduct.id}`))
+        .map(shopifyProduct => {
+          const alignment = alignVariants(master.variants, nodes(shopifyProduct.variants));
+          return { shopifyProduct, alignment, score: scoreMatch(master, shopifyProduct, alignment) };
+        })
+        .filter(match => match.score.matchedBy.length > 0 && match.score.confidence >= MIN_CONFIDENCE)
+        .sort((a, b) => b.score.confidence - a.score.confidence)[0];
+
+      if (best) {
+        proposals.push(toProposal({ userId, storeId: store._id, master, ...best }));
+      }
+    });
+
+    state.scanned += batch.length;
+    state.proposals = proposals.length;
+  }
+
+  // Proposals from earlier scans of the same masters are replaced
+  await ProductMatchProposal.updateMany(
+    { userId, store: store._id, status: 'pending', product: { $in: masters.map(master => master._id) } },
+    { $set: { status: 'superseded', resolvedAt: new Date() } }
+  );
+  if (proposals.length > 0) {
+    await ProductMatchProposal.insertMany(proposals);
+  }
+
+  return proposals.length;
+}
+
+/**
+ * Scan stores in the background; progress is available from getScanStatus
+ * @param {Object} params - { userId, storeIds (default: all active stores), productIds }
+ * @returns {Promise<Array>} Scan states that were started
+ */
+async function startScan({ userId, storeIds, productIds }) {
+  const stores = await Store.find({
+    userId,
+    isActive: true,
+    ...(storeIds?.length ? { _id: { $in: storeIds } } : {})
+  });
+
+  const started = stores
+    .filter(store => scans.get(store._id.toString())?.status !== 'running')
+    .map(store => {
+      const state = {
+        storeId: store._id,
+        shopName: store.shopName,
+        status: 'running',
+        scanned: 0,
+        total: 0,
+        proposals: 0,
+        startedAt: new Date()
+      };
+      scans.set(store._id.toString(), state);
+      return { store, state };
+    });
+
+  // Stores are scanned one after another to stay within each shop's API budget
+  setImmediate(async () => {
+    for (const { store, state } of started) {
+      try {
+        state.proposals = await scanStore({ userId, store, productIds });
+        state.status = 'completed';
+      } catch (error) {
+        console.error(`Product matching scan failed for ${store.shopDomain}:`, error);
+        state.status = 'failed';
+        state.error = error.message;
+      }
+      state.finishedAt = new Date();
+
+      try {
+        await notificationService.createUserNotification({
+          userId,
+          title: 'Product matching finished',
+          message: state.status === 'completed'
+            ? `Found ${state.proposals} possible match(es) in ${store.shopName}`
+            : `Matching products in ${store.shopName} failed: ${state.error}`,
+          type: state.status === 'completed' ? 'sync' : 'error',
+          link: `/stores/${store._id}`,
+          metadata: { storeId: store._id, proposals: state.proposals }
+        });
+      } catch (error) {
+        console.error('Failed to send matching notification:', error.message);
+      }
+    }
+  });
+
+  return started.map(({ state }) => state);
+}
+
+/**
+ * Current or last scan state for the user's stores
+ */
+async function getScanStatus({ userId, storeIds }) {
+  const stores = await Store.find({
+    userId,
+    isActive: true,
+    ...(storeIds?.length ? { _id: { $in: storeIds } } : {})
+  }).select('_id');
+
+  return stores.map(store => scans.get(store._id.toString())).filter(Boolean);
+}
+
+// ==============================================
+// CONFIRM / REJECT
+// ==============================================
+
+const statusError = (status, message) => Object.assign(new Error(message), { status });
+
+/**
+ * Link a proposal: re-reads the store product, re-aligns variants and writes the store mapping
+ * @param {Object} params - { userId, proposalId }
+ * @returns {Promise<Object>} Confirmed proposal
+ */
+async function confirmProposal({ userId, proposalId }) {
+  const proposal = await ProductMatchProposal.findOne({ _id: proposalId, userId });
+  if (!proposal) throw statusError(404, 'Match proposal not found');
+  if (proposal.status !== 'pending') throw statusError(409, `Proposal is already ${proposal.status}`);
+
+  const store = await Store.findOne({ _id: proposal.store, userId, isActive: true });
+  if (!store) throw statusError(404, 'Store not found or not accessible');
+
+  const master = await Product.findOne({ _id: proposal.product, createdBy: userId });
+  if (!master) throw statusError(404, 'Product not found');
+
+  const links = await loadStoreLinks(store._id);
+  if (links.shopifyProductIds.has(proposal.shopifyProductId)) {
+    throw statusError(409, 'This Shopify product is already linked to a dashboard product');
+  }
+  if (links.productIds.has(master._id.toString())) {
+    throw statusError(409, 'This product is already linked in the store');
+  }
+
+  const shopifyProduct = await getProduct(buildStoreSession(store), proposal.shopifyProductId);
+  if (!shopifyProduct) {
+    proposal.status = 'superseded';
+    proposal.resolvedAt = new Date();
+    await proposal.save();
+    throw statusError(404, 'Product no longer exists in Shopify');
+  }
+
+  const shopifyVariants = nodes(shopifyProduct.variants);
+  const alignment = alignVariants(master.variants, shopifyVariants);
+  const now = new Date();
+
+  await attachStoreMapping({
+    productId: master._id,
+    userId,
+    storeMapping: buildStoreMapping(
+      store._id,
+      shopifyProduct,
+      alignment.pairs.map(pair => buildVariantMapping(pair.dashboardVariantIndex, shopifyVariants[pair.shopifyVariantIndex], now))
+    )
+  });
+
+  master.storeCount = (master.storeCount || 0) + 1;
+  await master.save();
+
+  Object.assign(proposal, toProposal({ userId, storeId: store._id, master, shopifyProduct, alignment, score: scoreMatch(master, shopifyProduct, alignment) }));
+  proposal.status = 'confirmed';
+  proposal.resolvedAt = now;
+  await proposal.save();
+
+  // Other proposals for the same master or the same store product are no longer valid
+  await ProductMatchProposal.updateMany(
+    {
+      _id: { $ne: proposal._id },
+      store: store._id,
+      status: 'pending',
+      $or: [{ product: master._id }, { shopifyProductId: proposal.shopifyProductId }]
+    },
+    { $set: { status: 'superseded', resolvedAt: now } }
+  );
+
+  return proposal;
+}
+
+async function rejectProposal({ userId, proposalId }) {
+  const proposal = await ProductMatchProposal.findOneAndUpdate(
+    { _id: proposalId, userId, status: 'pending' },
+    { $set: { status: 'rejected', resolvedAt: new Date() } },
+    { new: true }
+  );
+  if (!proposal) throw statusError(404, 'Pending match proposal not found');
+  return proposal;
+}
+
+export const productMatchingService = {
+  startScan,
+  getScanStatus,
+  confirmProposal,
+  rejectProposal
+};
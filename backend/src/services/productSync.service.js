@@ -0,0 +1,501 @@
+import { Product } from '../models/ProductOptimized.js';
+import { ProductMap } from '../models/ProductMap.js';
+
+import {
+  createProduct,
+  updateProduct,
+  syncProduct,
+  createProductVariants,
+  updateProductVariants,
+  createProductOptions
+} from '../graphql/mutations/productMutations.js';
+import { getPrimaryLocationId } from '../graphql/queries/locationQueries.js';
+import { snapshotFromProductSetInput, keepUnsyncedFields } from './productDrift.service.js';
+import {
+  buildStoreProductSetInput,
+  applyStoreRules,
+  getSyncedFields,
+  toPartialProductSetInput,
+  toStoreProductInputs
+} from './storeTransform.service.js';
+import { collectionSyncService } from './collectionSync.service.js';
+import { mediaSyncService } from './mediaSync.service.js';
+import { inventoryPoolService } from './inventoryPool.service.js';
+
+/**
+ * Product Sync Service
+ * Store push operations shared by the HTTP controllers and the background job worker.
+ * Every function receives a ready Shopify session and returns a plain result object.
+ */
+
+const loadProduct = async (productId) => {
+  const product = await Product.findById(productId)
+    .populate('variants')
+    .populate('media')
+    .populate('options');
+
+  if (!product) {
+    throw new Error(`Product ${productId} not found`);
+  }
+
+  return product;
+};
+
+// Build a brand new ProductMap document for a product's first store
+const buildProductMap = ({ productId, storeId, userId, shopifyProduct }) => new ProductMap({
+  dashboardProduct: productId,
+  createdBy: userId,
+  storeMappings: [{
+    store: storeId,
+    shopifyProductId: shopifyProduct.id,
+    shopifyHandle: shopifyProduct.handle,
+    status: 'active',
+    syncSettings: {
+      autoSync: true,
+      syncTitle: true,
+      syncDescription: true,
+      syncPrice: true,
+      syncInventory: true,
+      syncMedia: true,
+      syncSEO: true,
+      syncTags: true,
+      syncVariants: true,
+      syncStatus: true
+    },
+    variantMappings: [],
+    lastSyncAt: new Date(),
+    createdAt: new Date(),
+    updatedAt: new Date()
+  }],
+  mappingStats: {
+    totalStores: 1,
+    activeStores: 1,
+    totalSyncs: 1,
+    successfulSyncs: 1,
+    failedSyncs: 0
+  }
+});
+
+// Reconcile dashboard media with the store's copy, then attach variant images; the caller saves the mapping
+// Skipped when nothing was ever pushed and there is nothing to push
+const reconcileMedia = async (session, shopifyProductId, product, storeMapping) => {
+  if (!product.media?.length && !storeMapping.mediaMappings?.length) return null;
+  const media = await mediaSyncService.reconcileProductMedia({
+    session,
+    shopifyProductId,
+    media: product.media || [],
+    storeMapping
+  });
+  const variants = await mediaSyncService.assignVariantMedia({ session, shopifyProductId, product, storeMapping });
+  return { ...media, variants };
+};
+
+// Snapshot of what a push sends, for webhook drift detection
+// After a partial push, groups that were not sent keep their previously pushed values
+const buildPushedSnapshot = (storeMapping, productSetInput, mediaCount, syncedFields = null) => {
+  const snapshot = snapshotFromProductSetInput(productSetInput, mediaCount);
+  return syncedFields
+    ? keepUnsyncedFields(snapshot, storeMapping?.lastPushedSnapshot, syncedFields)
+    : snapshot;
+};
+
+// Saved before the first Shopify call, so webhooks caused by the push are recognized as ours
+// (see productDrift.service.js#isOwnPush). Returns the snapshot to restore if the push fails.
+const beginPush = async (productMap, storeMapping, snapshot) => {
+  const previous = storeMapping.lastPushedSnapshot;
+  const startedAt = new Date();
+  await ProductMap.updateOne(
+    { _id: productMap._id, 'storeMappings._id': storeMapping._id },
+    { $set: { 'storeMappings.$.lastPushedSnapshot': snapshot, 'storeMappings.$.pushStartedAt': startedAt } }
+  );
+  storeMapping.lastPushedSnapshot = snapshot;
+  storeMapping.pushStartedAt = startedAt;
+  return previous;
+};
+
+const abortPush = async (productMap, storeMapping, previousSnapshot) => {
+  await ProductMap.updateOne(
+    { _id: productMap._id, 'storeMappings._id': storeMapping._id },
+    { $set: { 'storeMappings.$.lastPushedSnapshot': previousSnapshot ?? null, 'storeMappings.$.pushStartedAt': null } }
+  ).catch(error => console.error('Failed to clear push marker:', error.message));
+};
+
+// Remember what was pushed and when the push finished; the caller saves the mapping
+const recordPushedSnapshot = (storeMapping, snapshot) => {
+  if (!storeMapping) return;
+  storeMapping.lastPushedSnapshot = snapshot;
+  storeMapping.pushStartedAt = null;
+  storeMapping.pushFinishedAt = new Date();
+  storeMapping.drift = { hasDrift: false, checkedAt: new Date(), fields: [] };
+};
+
+/**
+ * Create a dashboard product in a store with productCreate
+ */
+async function createProductInStore({ session, productId, storeId, userId, options = {} }) {
+  const { syncVariants = true, syncMedia = true, syncOptions = true } = options;
+  let pmDoc = await ProductMap.findOne({ dashboardProduct: productId });
+
+  // A retried create (a later step failed, or the worker died) continues on the product the first
+  // attempt made, and a mapping left after the store copy was deleted keeps its saved rules:
+  // productSet fills in variants, options and media, so productCreate never runs twice
+  if (pmDoc?.getStoreMapping(storeId)) {
+    return syncProductToStore({ session, productId, storeId, userId });
+  }
+
+  const product = await loadProduct(productId);
+  const storeInput = buildStoreProductSetInput(product, null);
+  const { productInput, variantsInput } = toStoreProductInputs(product, null, storeInput);
+
+  const result = await createProduct(session, productInput);
+  const shopifyProductId = result.product.id;
+  const snapshot = buildPushedSnapshot(null, storeInput, product.media?.length || 0);
+
+  // Save mapping using nested storeMappings schema; the push stays marked until variants and media are in
+  if (pmDoc) {
+    await pmDoc.addStoreMapping(storeId, shopifyProductId, result.product.handle);
+  } else {
+    pmDoc = buildProductMap({ productId, storeId, userId, shopifyProduct: result.product });
+  }
+  const storeMapping = pmDoc.getStoreMapping(storeId);
+  storeMapping.lastPushedSnapshot = snapshot;
+  storeMapping.pushStartedAt = new Date();
+  await pmDoc.save();
+
+  let variantsResult = null;
+  let mediaResult = null;
+  let optionsResult = null;
+
+  try {
+    if (syncVariants && product.variants?.length > 0) {
+      variantsResult = await createProductVariants(session, shopifyProductId, variantsInput);
+    }
+
+    if (syncMedia && product.media?.length > 0) {
+      mediaResult = await reconcileMedia(session, shopifyProductId, product, storeMapping);
+    }
+
+    if (syncOptions && product.options?.length > 0) {
+      optionsResult = await createProductOptions(session, shopifyProductId, product.options);
+    }
+  } catch (error) {
+    storeMapping.pushStartedAt = null;
+    await pmDoc.save();
+    throw error;
+  }
+
+  recordPushedSnapshot(storeMapping, snapshot);
+  await pmDoc.save();
+
+  return {
+    success: true,
+    operation: 'created',
+    shopifyProduct: result.product,
+    mapping: {
+      dashboardProductId: productId,
+      shopifyProductId,
+      storeId
+    },
+    syncResults: {
+      variants: variantsResult,
+      media: mediaResult,
+      options: optionsResult
+    },
+    executionTime: new Date()
+  };
+}
+
+/**
+ * Update an already pushed product with productUpdate
+ */
+async function updateProductInStore({ session, productId, storeId, options = {} }) {
+  const { updateVariants = true, updateMedia = false, updateOptions = false } = options;
+
+  const mapping = await ProductMap.findOne({
+    dashboardProduct: productId,
+    'storeMappings.store': storeId
+  });
+  if (!mapping) {
+    throw new Error('Product mapping not found. Product may not be synced to this store.');
+  }
+
+  const storeMapping = mapping.getStoreMapping(storeId);
+  if (!storeMapping || !storeMapping.shopifyProductId) {
+    throw new Error('Shopify product ID not found for this store');
+  }
+
+  const product = await loadProduct(productId);
+  const shopifyProductId = storeMapping.shopifyProductId;
+
+  // Same store values a productSet push would send: customizations, price rules, saved overrides
+  const storeInput = buildStoreProductSetInput(product, storeMapping);
+  const { productInput, variantsInput } = toStoreProductInputs(product, storeMapping, storeInput);
+  const snapshot = buildPushedSnapshot(storeMapping, storeInput, product.media?.length || 0);
+  const previousSnapshot = await beginPush(mapping, storeMapping, snapshot);
+
+  let result;
+  let variantsResult = null;
+  let mediaResult = null;
+  let optionsResult = null;
+
+  try {
+    result = await updateProduct(session, shopifyProductId, productInput);
+
+    if (updateVariants && product.variants?.length > 0) {
+      variantsResult = await updateProductVariants(session, shopifyProductId, variantsInput);
+    }
+
+    // Only new, removed, reordered or re-captioned media reach Shopify
+    if (updateMedia) {
+      mediaResult = await reconcileMedia(session, shopifyProductId, product, storeMapping);
+    }
+
+    if (updateOptions && product.options?.length > 0) {
+      optionsResult = await createProductOptions(session, shopifyProductId, product.options);
+    }
+  } catch (error) {
+    await abortPush(mapping, storeMapping, previousSnapshot);
+    throw error;
+  }
+
+  storeMapping.lastSyncAt = new Date();
+  storeMapping.status = 'active';
+  storeMapping.updatedAt = new Date();
+  recordPushedSnapshot(storeMapping, snapshot);
+  await mapping.save();
+
+  return {
+    success: true,
+    operation: 'updated',
+    shopifyProduct: result.product,
+    mapping: {
+      dashboardProductId: productId,
+      shopifyProductId,
+      storeId
+    },
+    updateResults: {
+      variants: variantsResult,
+      media: mediaResult,
+      options: optionsResult
+    },
+    executionTime: new Date()
+  };
+}
+
+/**
+ * Upsert a product in a store with productSet, storing overrides and inventory assignment
+ * variantOverrides: { [variantIndex]: { price?, compareAtPrice?, sku? } }
+ * assignedInventory: { [variantIndex]: number }, reserved in the master stock pool (409 when other stores hold the units)
+ * storeRules: { storeCustomizations, priceAdjustments } saved on the mapping (see normalizeStoreRules)
+ * fields: field groups to push (see SYNC_FIELDS); omitted = every group
+ * Products already in the store only receive the groups enabled in the mapping's syncSettings.
+ */
+async function syncProductToStore({ session, productId, storeId, userId, options = {} }) {
+  const { variantOverrides = {}, assignedInventory = {}, storeRules = null, fields = null } = options;
+  const product = await loadProduct(productId);
+
+  let mapping = await ProductMap.findOne({
+    dashboardProduct: productId,
+    'storeMappings.store': storeId
+  });
+
+  // Rules sent with the push replace the saved ones; they are persisted with the mapping below
+  const existingStoreMapping = mapping?.getStoreMapping(storeId);
+  if (existingStoreMapping && storeRules) {
+    applyStoreRules(existingStoreMapping, storeRules);
+  }
+  const rulesSource = existingStoreMapping || storeRules;
+
+  // Resolve primary location to enable inventory tracking in Shopify UI
+  let targetLocationId = null;
+  try {
+    const primary = await getPrimaryLocationId(session);
+    if (primary) targetLocationId = primary;
+  } catch (e) {
+    console.warn('Could not resolve primary location; proceeding without inventory quantities');
+  }
+
+  // Assignments are reserved before anything reaches the store; pooled variants get the store's allocation
+  const assignments = Object.entries(assignedInventory || {})
+    .filter(([, qty]) => typeof qty === 'number' && qty >= 0)
+    .map(([index, quantity]) => ({ variantIndex: Number(index), quantity }));
+  const reserved = assignments.length > 0
+    ? await inventoryPoolService.allocate({ productId, storeId, locationId: targetLocationId, assignments })
+    : [];
+  const inventoryQuantities = await inventoryPoolService.getStoreQuantities({ productId, storeId, locationId: targetLocationId });
+
+  // Master product plus this store's customizations, price rules and saved variant overrides
+  const fullInput = buildStoreProductSetInput(product, rulesSource, {
+    locationId: targetLocationId,
+    variantOverrides,
+    inventoryQuantities
+  });
+
+  // Existing products are updated in place with only the enabled field groups
+  const updateInPlace = existingStoreMapping && existingStoreMapping.status !== 'deleted';
+  const syncedFields = updateInPlace
+    ? getSyncedFields(existingStoreMapping.syncSettings, fields)
+    : null;
+  const productSetInput = syncedFields
+    ? { ...toPartialProductSetInput(fullInput, syncedFields), id: existingStoreMapping.shopifyProductId }
+    : fullInput;
+
+  // Pre-flight: remove unsupported fields if present accidentally
+  if ('published' in productSetInput) delete productSetInput.published;
+  if ('publishDate' in productSetInput) delete productSetInput.publishDate;
+  if (Array.isArray(productSetInput.variants)) {
+    productSetInput.variants = productSetInput.variants.map(v => {
+      const copy = { ...v };
+      if ('requiresShipping' in copy) delete copy.requiresShipping;
+      if (!Array.isArray(copy.optionValues)) copy.optionValues = [];
+      return copy;
+    });
+  }
+
+  const mediaCount = product.media?.length || 0;
+  const snapshot = buildPushedSnapshot(existingStoreMapping, fullInput, mediaCount, syncedFields);
+  const previousSnapshot = existingStoreMapping
+    ? await beginPush(mapping, existingStoreMapping, snapshot)
+    : null;
+
+  let result;
+  try {
+    result = await syncProduct(session, productSetInput);
+  } catch (error) {
+    if (existingStoreMapping) {
+      await abortPush(mapping, existingStoreMapping, previousSnapshot);
+    }
+    if (reserved.length > 0) {
+      await inventoryPoolService.allocate({
+        productId,
+        storeId,
+        locationId: targetLocationId,
+        assignments: reserved.map(r => ({ variantIndex: r.variantIndex, quantity: r.previousQuantity })),
+        enforce: false
+      });
+    }
+    throw error;
+  }
+
+  // Media is reconciled against the mapping after upsert (non-fatal on failure)
+  const syncMedia = !syncedFields || syncedFields.has('media');
+  let mediaResult = null;
+  const syncStoreMedia = async (storeMapping) => {
+    if (!syncMedia) return;
+    try {
+      mediaResult = await reconcileMedia(session, result.product.id, product, storeMapping);
+    } catch (mediaErr) {
+      console.warn('Media sync after productSet failed (non-fatal):', mediaErr?.message || mediaErr);
+      mediaResult = { error: mediaErr?.message || String(mediaErr) };
+    }
+  };
+
+  const operation = mapping ? 'updated' : 'created';
+
+  if (mapping) {
+    const storeMapping = mapping.getStoreMapping(storeId);
+    if (storeMapping) {
+      storeMapping.shopifyProductId = result.product.id;
+      storeMapping.shopifyHandle = result.product.handle;
+      storeMapping.lastSyncAt = new Date();
+      storeMapping.status = 'active';
+      storeMapping.updatedAt = new Date();
+
+      // Update variant mappings with new Shopify variant IDs
+      if (result.product.variants) {
+        result.product.variants.edges.forEach((variantEdge, index) => {
+          const variant = variantEdge.node;
+          const override = variantOverrides?.[index] || {};
+          mapping.updateVariantMapping(storeId, index, variant.id, {
+            ...(override.price ? { customPrice: Number(override.price) } : {}),
+            ...(override.compareAtPrice ? { customCompareAtPrice: Number(override.compareAtPrice) } : {})
+          });
+
+          // Assign inventory if provided
+          const qty = assignedInventory?.[index];
+          if (typeof qty === 'number' && qty >= 0) {
+            mapping.assignInventoryToStore(storeId, index, qty, targetLocationId, userId, 'Assigned during sync');
+          }
+        });
+      }
+
+      await syncStoreMedia(storeMapping);
+      recordPushedSnapshot(storeMapping, snapshot);
+      await mapping.save();
+    }
+  } else {
+    mapping = buildProductMap({ productId, storeId, userId, shopifyProduct: result.product });
+    if (storeRules) applyStoreRules(mapping.storeMappings[0], storeRules);
+
+    // Add variant mappings with inventory tracking
+    if (result.product.variants) {
+      result.product.variants.edges.forEach((variantEdge, index) => {
+        const variant = variantEdge.node;
+        const override = variantOverrides?.[index] || {};
+        const qty = assignedInventory?.[index];
+        mapping.storeMappings[0].variantMappings.push({
+          dashboardVariantIndex: index,
+          shopifyVariantId: variant.id,
+          isActive: true,
+          ...(override.price ? { customPrice: Number(override.price) } : {}),
+          ...(override.compareAtPrice ? { customCompareAtPrice: Number(override.compareAtPrice) } : {}),
+          inventoryTracking: {
+            assignedQuantity: typeof qty === 'number' ? qty : 0,
+            assignedAt: typeof qty === 'number' ? new Date() : null,
+            assignedBy: typeof qty === 'number' ? userId : null,
+            lastKnownShopifyQuantity: 0,
+            inventoryPolicy: 'deny',
+            trackQuantity: true,
+            locationInventory: []
+          }
+        });
+
+        if (typeof qty === 'number') {
+          const storeMapping = mapping.storeMappings[0];
+          mapping.recordInventoryMovement(storeMapping, storeMapping.variantMappings[index], {
+            action: 'assigned',
+            quantity: qty,
+            previousQuantity: 0,
+            reason: 'Initial assignment during sync',
+            actor: userId
+          });
+        }
+      });
+    }
+
+    await syncStoreMedia(mapping.storeMappings[0]);
+    recordPushedSnapshot(mapping.storeMappings[0], snapshot);
+    await mapping.save();
+  }
+
+  // A product new to this store joins the store's copies of its master collections
+  if (!updateInPlace) {
+    try {
+      await collectionSyncService.addProductToStoreCollections({ productId, storeId, shopifyProductId: result.product.id });
+    } catch (collectionErr) {
+      console.warn('Adding product to store collections failed (non-fatal):', collectionErr?.message || collectionErr);
+    }
+  }
+
+  return {
+    success: true,
+    operation,
+    syncedFields: syncedFields ? Array.from(syncedFields) : null,
+    shopifyProduct: result.product,
+    mapping: {
+      dashboardProductId: productId,
+      shopifyProductId: result.product.id,
+      storeId,
+      handle: result.product.handle
+    },
+    inventory: mapping.getInventorySummary(storeId),
+    media: mediaResult,
+    executionTime: new Date()
+  };
+}
+
+export const productSyncService = {
+  createProductInStore,
+  updateProductInStore,
+  syncProductToStore
+};
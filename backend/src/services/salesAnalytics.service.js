@@ -0,0 +1,266 @@
+import mongoose from 'mongoose';
+import { Order } from '../models/Order.js';
+import { ProductMap } from '../models/ProductMap.js';
+import { ApiError } from '../utils/ApiError.js';
+
+/**
+ * Sales Analytics Service
+ * Aggregates the Order collection for the dashboard: totals, units and revenue by product,
+ * by store and by day, and sell-through against the inventory assigned to each store.
+ * Cancelled orders are left out. Amounts are in each shop's currency.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_DAYS = 30;
+const MAX_DAYS = 366;
+const MAX_LIMIT = 100;
+
+const parseDate = (value, name) => {
+  if (!value) return undefined;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw new ApiError(400, `Invalid ${name} date`);
+  return date;
+};
+
+/**
+ * Turn query params into a date range; defaults to the last 30 days
+ * @param {Object} query - { from?, to?, days? }
+ * @returns {{ from: Date, to: Date }}
+ */
+const parseRange = ({ from, to, days } = {}) => {
+  const end = parseDate(to, 'to') || new Date();
+  const dayCount = Math.min(Math.max(parseInt(days) || DEFAULT_DAYS, 1), MAX_DAYS);
+  const start = parseDate(from, 'from') || new Date(end.getTime() - dayCount * DAY_MS);
+
+  if (start > end) throw new ApiError(400, '"from" must be before "to"');
+  if (end - start > MAX_DAYS * DAY_MS) throw new ApiError(400, `Date range cannot exceed ${MAX_DAYS} days`);
+  return { from: start, to: end };
+};
+
+const parseLimit = (limit, fallback) => Math.min(Math.max(parseInt(limit) || fallback, 1), MAX_LIMIT);
+
+const round = (value) => Number((value || 0).toFixed(2));
+
+// Sales match stage; malformed ids are rejected instead of failing the aggregation
+const salesMatch = ({ storeId, productId, ...params }) => {
+  if (storeId && !mongoose.isValidObjectId(storeId)) throw new ApiError(400, 'Invalid storeId');
+  if (productId && !mongoose.isValidObjectId(productId)) throw new ApiError(400, 'Invalid productId');
+  return Order.buildSalesMatch({ storeId, ...params });
+};
+
+/**
+ * Orders, units sold and revenue for the range
+ * @param {Object} params - { userId, storeId?, from?, to?, days? }
+ */
+async function getSummary({ userId, storeId, ...query }) {
+  const range = parseRange(query);
+  const [totals] = await Order.aggregate([
+    { $match: salesMatch({ userId, storeId, ...range }) },
+    {
+      $group: {
+        _id: null,
+        orders: { $sum: 1 },
+        revenue: { $sum: '$totalPrice' },
+        unitsSold: { $sum: { $sum: '$lineItems.quantity' } },
+        unmappedUnits: {
+          $sum: {
+            $sum: {
+              $map: {
+                input: { $filter: { input: '$lineItems', as: 'item', cond: { $eq: [{ $ifNull: ['$$item.product', null] }, null] } } },
+                as: 'item',
+                in: '$$item.quantity'
+              }
+            }
+          }
+        },
+        currencies: { $addToSet: '$currency' }
+      }
+    }
+  ]);
+
+  return {
+    range,
+    orders: totals?.orders || 0,
+    revenue: round(totals?.revenue),
+    unitsSold: totals?.unitsSold || 0,
+    unmappedUnits: totals?.unmappedUnits || 0, // Sold units of store products not linked to a dashboard product
+    averageOrderValue: totals?.orders ? round(totals.revenue / totals.orders) : 0,
+    currencies: (totals?.currencies || []).filter(Boolean)
+  };
+}
+
+/**
+ * Units and revenue per dashboard product, best sellers first
+ * @param {Object} params - { userId, storeId?, from?, to?, days?, limit?, sort: 'revenue' | 'units' }
+ */
+async function getSalesByProduct({ userId, storeId, limit, sort = 'revenue', ...query }) {
+  const range = parseRange(query);
+  const sortField = sort === 'units' ? 'unitsSold' : 'revenue';
+
+  const products = await Order.aggregate([
+    { $match: salesMatch({ userId, storeId, ...range }) },
+    { $unwind: '$lineItems' },
+    { $match: { 'lineItems.product': { $ne: null } } },
+    {
+      $group: {
+        _id: '$lineItems.product',
+        unitsSold: { $sum: '$lineItems.quantity' },
+        revenue: { $sum: '$lineItems.revenue' },
+        orderIds: { $addToSet: '$_id' },
+        stores: { $addToSet: '$store' }
+      }
+    },
+    { $sort: { [sortField]: -1, _id: 1 } },
+    { $limit: parseLimit(limit, 10) },
+    { $lookup: { from: 'products', localField: '_id', foreignField: '_id', as: 'product' } },
+    {
+      $project: {
+        _id: 0,
+        productId: '$_id',
+        title: { $ifNull: [{ $first: '$product.title' }, 'Deleted product'] },
+        image: { $first: { $first: '$product.media.src' } },
+        unitsSold: 1,
+        revenue: { $round: ['$revenue', 2] },
+        orders: { $size: '$orderIds' },
+        storeCount: { $size: '$stores' }
+      }
+    }
+  ]);
+
+  return { range, products };
+}
+
+/**
+ * Orders, units and revenue per store
+ * @param {Object} params - { userId, from?, to?, days? }
+ */
+async function getSalesByStore({ userId, ...query }) {
+  const range = parseRange(query);
+
+  const stores = await Order.aggregate([
+    { $match: salesMatch({ userId, ...range }) },
+    {
+      $group: {
+        _id: '$store',
+        orders: { $sum: 1 },
+        revenue: { $sum: '$totalPrice' },
+        unitsSold: { $sum: { $sum: '$lineItems.quantity' } },
+        currency: { $first: '$currency' }
+      }
+    },
+    { $sort: { revenue: -1 } },
+    { $lookup: { from: 'stores', localField: '_id', foreignField: '_id', as: 'store' } },
+    {
+      $project: {
+        _id: 0,
+        storeId: '$_id',
+        storeName: { $ifNull: [{ $first: '$store.shopName' }, { $first: '$store.shopDomain' }] },
+        shopDomain: { $first: '$store.shopDomain' },
+        currency: 1,
+        orders: 1,
+        unitsSold: 1,
+        revenue: { $round: ['$revenue', 2] }
+      }
+    }
+  ]);
+
+  return { range, stores };
+}
+
+/**
+ * Orders, units and revenue per day (UTC), with empty days filled in
+ * @param {Object} params - { userId, storeId?, productId?, from?, to?, days? }
+ */
+async function getSalesByDay({ userId, storeId, productId, ...query }) {
+  const range = parseRange(query);
+  const pipeline = [{ $match: salesMatch({ userId, storeId, productId, ...range }) }];
+
+  if (productId) {
+    const product = new mongoose.Types.ObjectId(String(productId));
+    pipeline.push(
+      { $match: { 'lineItems.product': product } },
+      { $project: { processedAt: 1, lineItems: { $filter: { input: '$lineItems', as: 'item', cond: { $eq: ['$$item.product', product] } } } } },
+      { $addFields: { totalPrice: { $sum: '$lineItems.revenue' } } }
+    );
+  }
+
+  pipeline.push(
+    {
+      $group: {
+        _id: { $dateToString: { format: '%Y-%m-%d', date: '$processedAt' } },
+        orders: { $sum: 1 },
+        revenue: { $sum: '$totalPrice' },
+        unitsSold: { $sum: { $sum: '$lineItems.quantity' } }
+      }
+    },
+    { $sort: { _id: 1 } }
+  );
+
+  const byDate = new Map((await Order.aggregate(pipeline)).map(day => [day._id, day]));
+  const days = [];
+  for (let time = Date.UTC(range.from.getUTCFullYear(), range.from.getUTCMonth(), range.from.getUTCDate()); time <= range.to.getTime(); time += DAY_MS) {
+    const date = new Date(time).toISOString().slice(0, 10);
+    const day = byDate.get(date);
+    days.push({ date, orders: day?.orders || 0, unitsSold: day?.unitsSold || 0, revenue: round(day?.revenue) });
+  }
+
+  return { range, days };
+}
+
+/**
+ * Sell-through per product and store: units sold in the range against the units the store
+ * still has assigned (sold / (sold + assigned))
+ * @param {Object} params - { userId, storeId?, from?, to?, days?, limit? }
+ */
+async function getSellThrough({ userId, storeId, limit, ...query }) {
+  const range = parseRange(query);
+
+  const sold = await Order.aggregate([
+    { $match: salesMatch({ userId, storeId, ...range }) },
+    { $unwind: '$lineItems' },
+    { $match: { 'lineItems.product': { $ne: null } } },
+    { $group: { _id: { product: '$lineItems.product', store: '$store' }, unitsSold: { $sum: '$lineItems.quantity' } } }
+  ]);
+  const soldByKey = new Map(sold.map(row => [`${row._id.product}:${row._id.store}`, row.unitsSold]));
+
+  const mappings = await ProductMap.find({ createdBy: userId, isDeleted: false })
+    .select('dashboardProduct storeMappings.store storeMappings.status storeMappings.variantMappings.inventoryTracking.assignedQuantity')
+    .populate('dashboardProduct', 'title')
+    .populate('storeMappings.store', 'shopName shopDomain')
+    .lean();
+
+  const rows = [];
+  mappings.forEach(mapping => {
+    if (!mapping.dashboardProduct) return;
+    mapping.storeMappings.forEach(storeMapping => {
+      const store = storeMapping.store;
+      if (!store || (storeId && String(store._id) !== String(storeId))) return;
+
+      const assigned = (storeMapping.variantMappings || [])
+        .reduce((sum, vm) => sum + (vm.inventoryTracking?.assignedQuantity || 0), 0);
+      const unitsSold = soldByKey.get(`${mapping.dashboardProduct._id}:${store._id}`) || 0;
+      if (assigned === 0 && unitsSold === 0) return;
+
+      rows.push({
+        productId: mapping.dashboardProduct._id,
+        title: mapping.dashboardProduct.title,
+        storeId: store._id,
+        storeName: store.shopName || store.shopDomain,
+        unitsSold,
+        assigned,
+        sellThroughRate: Number((unitsSold / (unitsSold + assigned)).toFixed(4))
+      });
+    });
+  });
+
+  rows.sort((a, b) => b.sellThroughRate - a.sellThroughRate || b.unitsSold - a.unitsSold);
+  return { range, rows: rows.slice(0, parseLimit(limit, 20)) };
+}
+
+export const salesAnalyticsService = {
+  getSummary,
+  getSalesByProduct,
+  getSalesByStore,
+  getSalesByDay,
+  getSellThrough
+};
@@ -0,0 +1,246 @@
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import { User } from '../models/User.js';
+import { UserSession } from '../models/UserSession.js';
+import { ApiError } from '../utils/ApiError.js';
+
+/**
+ * Session Service
+ * Signed-in devices with rotating refresh tokens.
+ * - Every login creates a UserSession; access and refresh tokens carry its id (sid).
+ * - Refreshing bumps the session's generation and issues a refresh token for the new one.
+ *   An older generation presented again means the token was copied: the session is revoked
+ *   (reuse detection), signing out both the thief and the user on that device.
+ * - authenticateUser and the Socket.IO handshake accept tokens only while their session is active.
+ */
+
+// Will be set from index.js after Socket.IO setup
+let io;
+
+// Two tabs refreshing with the same cookie at once is not theft; the second one within this
+// window gets an access token while the browser keeps the refresh cookie the first one set
+const REUSE_GRACE_MS = 30 * 1000;
+// lastSeen is informational; don't write it on every request
+const LAST_SEEN_INTERVAL_MS = 60 * 1000;
+
+// Initialize socket disconnects for revoked sessions (called from index.js)
+export const initializeSessions = (socketInstances) => {
+  io = socketInstances.io;
+};
+
+// Sockets of a session join this room so revoking the session can disconnect them
+export const sessionRoom = (sessionId) => `session:${sessionId}`;
+
+const disconnectSockets = (sessionIds) => {
+  sessionIds.forEach(sessionId => io?.in(sessionRoom(sessionId)).disconnectSockets(true));
+};
+
+const clientIp = (req) =>
+  req.headers['x-forwarded-for']?.split(',')[0]?.trim() || req.ip || req.socket?.remoteAddress;
+
+// Good enough to tell devices apart in the session list; not meant for anything else
+function describeDevice(userAgent = '') {
+  const browser = [
+    [/Edg\//, 'Edge'],
+    [/OPR\/|Opera/, 'Opera'],
+    [/Firefox\//, 'Firefox'],
+    [/Chrome\//, 'Chrome'],
+    [/Safari\//, 'Safari']
+  ].find(([pattern]) => pattern.test(userAgent))?.[1];
+
+  const os = [
+    [/iPhone|iPad|iPod/, 'iOS'],
+    [/Android/, 'Android'],
+    [/Windows/, 'Windows'],
+    [/Mac OS X|Macintosh/, 'macOS'],
+    [/Linux/, 'Linux']
+  ].find(([pattern]) => pattern.test(userAgent))?.[1];
+
+  if (browser && os) return `${browser} on ${os}`;
+  return browser || os || 'Unknown device';
+}
+
+const refreshExpiry = (refreshToken) => new Date(jwt.decode(refreshToken).exp * 1000);
+
+function issueTokens(user, session) {
+  const accessToken = user.generateAccessToken(session._id);
+  const refreshToken = user.generateRefreshToken(session);
+  return { accessToken, refreshToken };
+}
+
+/**
+ * Start a session for a user who just signed in (or registered)
+ * @param {Object} user - User document
+ * @param {Object} req - Express request (user agent, IP)
+ * @returns {Promise<{ accessToken, refreshToken, session }>}
+ */
+async function createSession(user, req) {
+  const userAgent = (req.get('User-Agent') || '').slice(0, 500);
+  const session = new UserSession({
+    user: user._id,
+    userAgent,
+    device: describeDevice(userAgent),
+    ip: clientIp(req),
+    // Replaced right below once the refresh token (and so its expiry) exists
+    expiresAt: new Date()
+  });
+
+  const tokens = issueTokens(user, session);
+  session.expiresAt = refreshExpiry(tokens.refreshToken);
+  await session.save();
+
+  return { ...tokens, session };
+}
+
+/**
+ * Exchange a refresh token for new tokens
+ * @param {string} refreshToken - Incoming refresh token
+ * @param {Object} req - Express request (user agent, IP)
+ * @returns {Promise<{ user, accessToken, refreshToken? }>} refreshToken is omitted inside the
+ *   grace window of a concurrent refresh (the client already has the newest one)
+ */
+async function rotateSession(refreshToken, req) {
+  let decoded;
+  try {
+    decoded = jwt.verify(refreshToken, process.env.REFRESH_TOKEN_SECRET);
+  } catch {
+    throw new ApiError(401, 'Invalid refresh token');
+  }
+
+  // Tokens from before sessions existed have no sid
+  if (!decoded.sid || !mongoose.isValidObjectId(decoded.sid) || !Number.isInteger(decoded.gen)) {
+    throw new ApiError(401, 'Session expired, please sign in again');
+  }
+
+  const user = await User.findById(decoded._id);
+  if (!user || user.isBlocked || user.isDeleted) {
+    throw new ApiError(401, 'Invalid refresh token');
+  }
+
+  const now = new Date();
+  const rotated = await UserSession.findOneAndUpdate(
+    {
+      _id: decoded.sid,
+      user: user._id,
+      generation: decoded.gen,
+      revokedAt: null,
+      expiresAt: { $gt: now }
+    },
+    {
+      $inc: { generation: 1 },
+      $set: { rotatedAt: now, lastSeen: now, ip: clientIp(req) }
+    },
+    { new: true }
+  );
+
+  if (rotated) {
+    const tokens = issueTokens(user, rotated);
+    await UserSession.updateOne({ _id: rotated._id }, { $set: { expiresAt: refreshExpiry(tokens.refreshToken) } });
+    return { user, ...tokens };
+  }
+
+  const session = await UserSession.findOne({ _id: decoded.sid, user: user._id });
+  if (!session || !session.isActive()) {
+    throw new ApiError(401, 'Session expired, please sign in again');
+  }
+
+  // The previous generation right after a rotation: a concurrent refresh from another tab
+  const recentlyRotated = session.rotatedAt && now - session.rotatedAt < REUSE_GRACE_MS;
+  if (decoded.gen === session.generation - 1 && recentlyRotated) {
+    return { user, accessToken: user.generateAccessToken(session._id) };
+  }
+
+  // An older refresh token was replayed: someone else holds a copy of this token family
+  await revokeSessions({ _id: session._id }, 'reuse_detected');
+  console.warn(`Refresh token reuse detected for user ${user._id}, session ${session._id} revoked`);
+  throw new ApiError(401, 'Session revoked for your security, please sign in again');
+}
+
+/**
+ * Active session behind an access token (authenticateUser, Socket.IO handshake)
+ * @param {string} sessionId - sid claim
+ * @param {string} userId - _id claim
+ * @returns {Promise<Object|null>} The session, or null when revoked, expired or unknown
+ */
+async function findActiveSession(sessionId, userId) {
+  if (!sessionId || !mongoose.isValidObjectId(sessionId)) return null;
+
+  const session = await UserSession.findOne({ _id: sessionId, user: userId });
+  if (!session?.isActive()) return null;
+
+  if (Date.now() - session.lastSeen > LAST_SEEN_INTERVAL_MS) {
+    UserSession.updateOne({ _id: session._id }, { $set: { lastSeen: new Date() } })
+      .catch(error => console.error('Failed to update session lastSeen:', error.message));
+  }
+
+  return session;
+}
+
+async function revokeSessions(filter, reason) {
+  const sessions = await UserSession.find({ ...filter, revokedAt: null }).select('_id');
+  if (sessions.length === 0) return 0;
+
+  const ids = sessions.map(session => session._id);
+  await UserSession.updateMany(
+    { _id: { $in: ids }, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  disconnectSockets(ids);
+
+  return ids.length;
+}
+
+/**
+ * Sign out one session of a user
+ * @throws {ApiError} 404 when the session is not the user's or no longer active
+ */
+async function revokeSession(userId, sessionId, reason = 'signed_out') {
+  if (!mongoose.isValidObjectId(sessionId)) {
+    throw new ApiError(400, 'Invalid session ID');
+  }
+
+  const revoked = await revokeSessions({ _id: sessionId, user: userId }, reason);
+  if (!revoked) {
+    throw new ApiError(404, 'Session not found');
+  }
+}
+
+/**
+ * Sign out every session of a user, optionally keeping one (the current device)
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+function revokeAllSessions(userId, { except, reason = 'signed_out' } = {}) {
+  return revokeSessions({ user: userId, ...(except && { _id: { $ne: except } }) }, reason);
+}
+
+/**
+ * Active sessions of a user, most recently used first
+ * @param {string} userId
+ * @param {string} currentSessionId - Marked isCurrent
+ */
+async function listSessions(userId, currentSessionId) {
+  const sessions = await UserSession.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastSeen: -1 });
+
+  return sessions.map(session => ({
+    _id: session._id,
+    device: session.device,
+    userAgent: session.userAgent,
+    ip: session.ip,
+    createdAt: session.createdAt,
+    lastSeen: session.lastSeen,
+    isCurrent: String(session._id) === String(currentSessionId)
+  }));
+}
+
+export const sessionService = {
+  createSession,
+  rotateSession,
+  findActiveSession,
+  revokeSession,
+  revokeAllSessions,
+  listSessions
+};
@@ -0,0 +1,490 @@
+/**
+ * Store Transform Service
+ * Turns the dashboard master product plus one ProductMap store mapping into the
+ * ProductSetInput that store should receive (storeCustomizations, priceAdjustments
+ * and per-variant overrides), and maps store values back onto the master.
+ */
+
+const toMoney = (value) => Number(Number(value).toFixed(2));
+
+const hasPriceEnding = (rules) => typeof rules?.priceEnding === 'number';
+
+// Whether the store's price rules change prices at all
+const adjustsPrices = (rules) => (rules?.type && rules.type !== 'none') || hasPriceEnding(rules);
+
+// 'percentage' is the old name of 'markup' and may still be saved on older mappings
+const resolveAdjustmentType = (type) => (type === 'percentage' ? 'markup' : type || 'none');
+
+const ROUNDING = {
+  nearest: Math.round,
+  up: Math.ceil,
+  down: Math.floor
+};
+
+/**
+ * Round a price with a store's rounding rules
+ * roundTo snaps to a step (0.01 = cents, 1 = whole units); priceEnding forces the
+ * cents, e.g. 0.99 turns 10.40 into 9.99 (nearest), 10.99 (up) or 9.99 (down).
+ * @param {number} amount - Price
+ * @param {Object} rules - { roundTo, roundingMode, priceEnding }
+ * @returns {number} Rounded price
+ */
+export const roundPrice = (amount, rules = {}) => {
+  const { roundTo, roundingMode = 'nearest', priceEnding } = rules;
+  const round = ROUNDING[roundingMode] || ROUNDING.nearest;
+  // Work in cents to avoid floating point drift (10.99 - 0.99 !== 10)
+  const cents = Math.round(amount * 100);
+  let rounded;
+
+  if (typeof priceEnding === 'number' && priceEnding >= 0 && priceEnding < 1) {
+    const ending = Math.round(priceEnding * 100);
+    rounded = Math.max(0, round((cents - ending) / 100)) * 100 + ending;
+  } else {
+    const stepCents = Math.max(1, Math.round((Number(roundTo) || 0.01) * 100));
+    rounded = round(cents / stepCents) * stepCents;
+  }
+
+  return toMoney(Math.max(0, rounded) / 100);
+};
+
+/**
+ * Apply a store's price adjustment and rounding rules to a master price
+ * @param {number|string} price - Master price
+ * @param {Object} priceAdjustments - storeMapping.priceAdjustments
+ * @returns {number} Store price
+ */
+export const applyPriceAdjustment = (price, priceAdjustments = {}) => {
+  const amount = Number(price);
+  if (!Number.isFinite(amount)) return price;
+
+  const rules = priceAdjustments || {};
+  const { value = 0 } = rules;
+  let adjusted = amount;
+
+  switch (resolveAdjustmentType(rules.type)) {
+    case 'markup':
+      adjusted = amount * (1 + value / 100);
+      break;
+    case 'markdown':
+      adjusted = amount * (1 - value / 100);
+      break;
+    case 'fixed':
+      adjusted = amount + value;
+      break;
+    default:
+      // No adjustment; only a price ending still changes the price
+      if (!hasPriceEnding(rules)) return toMoney(amount);
+  }
+
+  return roundPrice(Math.max(0, adjusted), rules);
+};
+
+/**
+ * Best-effort inverse of applyPriceAdjustment, used when pulling a store price into the master
+ * @param {number|string} price - Store price
+ * @param {Object} priceAdjustments - storeMapping.priceAdjustments
+ * @returns {number} Master price
+ */
+export const reversePriceAdjustment = (price, priceAdjustments = {}) => {
+  const amount = Number(price);
+  if (!Number.isFinite(amount)) return price;
+
+  const { type, value = 0 } = priceAdjustments || {};
+  let master = amount;
+
+  switch (resolveAdjustmentType(type)) {
+    case 'markup':
+      master = amount / (1 + value / 100);
+      break;
+    case 'markdown':
+      master = value < 100 ? amount / (1 - value / 100) : amount;
+      break;
+    case 'fixed':
+      master = amount - value;
+      break;
+    default:
+      break;
+  }
+
+  return toMoney(Math.max(0, master));
+};
+
+const joinText = (...parts) => parts.filter(part => typeof part === 'string' && part.trim()).join(' ');
+
+const stripAffix = (value, prefix, suffix) => {
+  let result = typeof value === 'string' ? value : '';
+  if (prefix && result.startsWith(prefix)) result = result.slice(prefix.length);
+  if (suffix && result.endsWith(suffix)) result = result.slice(0, result.length - suffix.length);
+  return result.trim();
+};
+
+const isActiveMapping = (variantMapping) => variantMapping && variantMapping.isActive !== false;
+
+/**
+ * Per-variant overrides saved on the store mapping, keyed by dashboard variant index
+ * @param {Object} storeMapping - ProductMap storeMappings entry
+ * @returns {Object} { [variantIndex]: { price?, compareAtPrice?, sku? } }
+ */
+export const getSavedVariantOverrides = (storeMapping) => {
+  const overrides = {};
+
+  (storeMapping?.variantMappings || []).filter(isActiveMapping).forEach(vm => {
+    const override = {};
+    if (vm.customPrice != null) override.price = vm.customPrice;
+    if (vm.customCompareAtPrice != null) override.compareAtPrice = vm.customCompareAtPrice;
+    if (vm.customSku) override.sku = vm.customSku;
+    if (Object.keys(override).length > 0) overrides[vm.dashboardVariantIndex] = override;
+  });
+
+  return overrides;
+};
+
+/**
+ * Apply storeCustomizations to product-level fields of a ProductSetInput (mutates input)
+ */
+const applyStoreCustomizations = (input, customizations = {}) => {
+  const overrides = customizations.fieldOverrides || {};
+
+  input.title = overrides.title || joinText(customizations.titlePrefix, input.title, customizations.titleSuffix);
+
+  if (overrides.descriptionHtml != null) {
+    input.descriptionHtml = overrides.descriptionHtml;
+  } else if (customizations.descriptionPrepend || customizations.descriptionAppend) {
+    input.descriptionHtml = [customizations.descriptionPrepend, input.descriptionHtml, customizations.descriptionAppend]
+      .filter(Boolean)
+      .join('\n');
+  }
+
+  if (overrides.vendor) input.vendor = overrides.vendor;
+  if (overrides.productType) input.productType = overrides.productType;
+  if (overrides.status) input.status = overrides.status;
+
+  const excluded = new Set((customizations.excludeTags || []).map(tag => tag.toLowerCase()));
+  const tags = (input.tags || []).filter(tag => !excluded.has(String(tag).toLowerCase()));
+  (customizations.additionalTags || []).forEach(tag => {
+    if (tag && !tags.includes(tag)) tags.push(tag);
+  });
+  if (tags.length > 0 || input.tags) input.tags = tags;
+
+  if (customizations.customHandle) input.handle = customizations.customHandle;
+
+  if (customizations.customMetafields?.length) {
+    const metafields = new Map((input.metafields || []).map(meta => [`${meta.namespace}.${meta.key}`, meta]));
+    customizations.customMetafields.forEach(meta => {
+      metafields.set(`${meta.namespace}.${meta.key}`, {
+        namespace: meta.namespace,
+        key: meta.key,
+        value: meta.value,
+        type: meta.type || 'single_line_text_field'
+      });
+    });
+    input.metafields = Array.from(metafields.values());
+  }
+
+  return input;
+};
+
+/**
+ * Build the ProductSetInput a specific store should receive
+ * Explicit variantOverrides (e.g. from a push request) win over overrides saved on the mapping;
+ * variants with an explicit price are not touched by priceAdjustments.
+ * @param {Object} product - Product document
+ * @param {Object} storeMapping - ProductMap storeMappings entry (optional for first pushes)
+ * @param {Object} options - { locationId, variantOverrides, inventoryQuantities: { [variantIndex]: number } from the stock pool }
+ * @returns {Object} ProductSetInput
+ */
+export const buildStoreProductSetInput = (product, storeMapping, options = {}) => {
+  const { locationId = null, variantOverrides = {}, inventoryQuantities = {} } = options;
+
+  const savedOverrides = getSavedVariantOverrides(storeMapping);
+  const mergedOverrides = {};
+  new Set([...Object.keys(savedOverrides), ...Object.keys(variantOverrides || {})]).forEach(index => {
+    mergedOverrides[index] = { ...(savedOverrides[index] || {}), ...(variantOverrides?.[index] || {}) };
+  });
+
+  const input = product.toShopifyProductSetInput(locationId, [], mergedOverrides);
+
+  // Variants split through the stock pool receive the store's allocation, not the whole master quantity
+  Object.entries(inventoryQuantities).forEach(([index, quantity]) => {
+    const variant = input.variants?.[index];
+    if (variant?.inventoryQuantities) {
+      variant.inventoryQuantities = variant.inventoryQuantities.map(level => ({ ...level, availableQuantity: quantity }));
+    }
+  });
+  if (!storeMapping) return input;
+
+  applyStoreCustomizations(input, storeMapping.storeCustomizations || {});
+
+  const priceAdjustments = storeMapping.priceAdjustments || {};
+  if (adjustsPrices(priceAdjustments) && Array.isArray(input.variants)) {
+    input.variants.forEach((variant, index) => {
+      const override = mergedOverrides[index] || {};
+      if (override.price == null) {
+        variant.price = applyPriceAdjustment(variant.price, priceAdjustments).toString();
+      }
+      if (variant.compareAtPrice != null && override.compareAtPrice == null && priceAdjustments.applyToCompareAt !== false) {
+        variant.compareAtPrice = applyPriceAdjustment(variant.compareAtPrice, priceAdjustments).toString();
+      }
+    });
+  }
+
+  return input;
+};
+
+// Product-level ProductSetInput fields that productCreate / productUpdate accept as well
+const PRODUCT_INPUT_KEYS = ['title', 'descriptionHtml', 'vendor', 'productType', 'tags', 'status', 'seo', 'metafields'];
+
+/**
+ * productCreate / productUpdate inputs carrying the same store values as a productSet push
+ * Product fields and variant price, compare-at price and SKU are taken from buildStoreProductSetInput.
+ * @param {Object} product - Product document
+ * @param {Object} storeMapping - ProductMap storeMappings entry (optional for first pushes)
+ * @param {Object} storeInput - Output of buildStoreProductSetInput for the store
+ * @returns {Object} { productInput, variantsInput }
+ */
+export const toStoreProductInputs = (product, storeMapping, storeInput) => {
+  const productInput = product.toShopifyProductInput();
+  PRODUCT_INPUT_KEYS.forEach(key => {
+    if (storeInput[key] !== undefined) productInput[key] = storeInput[key];
+  });
+  // The master handle is only sent when set; a store handle replaces it
+  if (productInput.handle || storeMapping?.storeCustomizations?.customHandle) {
+    productInput.handle = storeInput.handle;
+  }
+
+  const variantsInput = product.toShopifyVariantsInput().map((variant, index) => {
+    const storeVariant = storeInput.variants?.[index] || {};
+    const result = { ...variant, price: storeVariant.price ?? variant.price };
+    if (storeVariant.compareAtPrice != null) result.compareAtPrice = storeVariant.compareAtPrice;
+    if (storeVariant.sku) result.sku = storeVariant.sku;
+    return result;
+  });
+
+  return { productInput, variantsInput };
+};
+
+// Field groups a push can touch, with the storeMapping.syncSettings flag that enables each
+export const SYNC_FIELDS = {
+  title: 'syncTitle',
+  description: 'syncDescription',
+  price: 'syncPrice',
+  inventory: 'syncInventory',
+  media: 'syncMedia',
+  seo: 'syncSEO',
+  tags: 'syncTags',
+  variants: 'syncVariants',
+  status: 'syncStatus'
+};
+
+// Variant input keys owned by the "variants" group (price and inventory have their own groups)
+const VARIANT_DETAIL_KEYS = ['sku', 'barcode', 'taxCode', 'taxable', 'inventoryPolicy', 'inventoryItem', 'metafields'];
+
+/**
+ * Field groups a push to this store mapping may touch
+ * @param {Object} syncSettings - storeMapping.syncSettings
+ * @param {string[]|null} fields - Requested groups (null = everything)
+ * @returns {Set<string>} Enabled groups from SYNC_FIELDS
+ */
+export const getSyncedFields = (syncSettings = {}, fields = null) => {
+  const requested = Array.isArray(fields) ? fields.filter(field => SYNC_FIELDS[field]) : Object.keys(SYNC_FIELDS);
+  return new Set(requested.filter(field => syncSettings?.[SYNC_FIELDS[field]] !== false));
+};
+
+/**
+ * Reduce a ProductSetInput to the enabled field groups for an update of an existing Shopify product
+ * productSet leaves omitted fields untouched; vendor, product type, handle and metafields always go along.
+ * @param {Object} input - Full ProductSetInput (see buildStoreProductSetInput)
+ * @param {Set<string>} syncedFields - Output of getSyncedFields
+ * @returns {Object} Partial ProductSetInput
+ */
+export const toPartialProductSetInput = (input, syncedFields) => {
+  const partial = { ...input };
+
+  if (!syncedFields.has('title')) delete partial.title;
+  if (!syncedFields.has('description')) delete partial.descriptionHtml;
+  if (!syncedFields.has('tags')) delete partial.tags;
+  if (!syncedFields.has('seo')) delete partial.seo;
+  if (!syncedFields.has('status')) delete partial.status;
+
+  const touchesVariants = ['variants', 'price', 'inventory'].some(field => syncedFields.has(field));
+  if (!touchesVariants) {
+    delete partial.variants;
+    delete partial.productOptions;
+    return partial;
+  }
+
+  if (Array.isArray(partial.variants)) {
+    partial.variants = partial.variants.map(variant => {
+      const copy = { ...variant };
+      if (!syncedFields.has('price')) {
+        delete copy.price;
+        delete copy.compareAtPrice;
+      }
+      if (!syncedFields.has('inventory')) delete copy.inventoryQuantities;
+      if (!syncedFields.has('variants')) {
+        VARIANT_DETAIL_KEYS.forEach(key => delete copy[key]);
+      }
+      return copy;
+    });
+  }
+
+  return partial;
+};
+
+/**
+ * Map a store-side value back to what the master product should hold
+ * Removes title/description affixes and added tags, and reverses price adjustments.
+ * @param {string} field - Product field or variant field name (price, compareAtPrice, ...)
+ * @param {*} storeValue - Value read from the store
+ * @param {Object} storeMapping - ProductMap storeMappings entry
+ * @returns {*} Value for the master product
+ */
+export const toMasterValue = (field, storeValue, storeMapping) => {
+  const customizations = storeMapping?.storeCustomizations || {};
+
+  switch (field) {
+    case 'title':
+      return stripAffix(storeValue, customizations.titlePrefix, customizations.titleSuffix);
+    case 'descriptionHtml':
+      return stripAffix(storeValue, customizations.descriptionPrepend, customizations.descriptionAppend);
+    case 'tags': {
+      const added = new Set((customizations.additionalTags || []).map(tag => tag.toLowerCase()));
+      return (storeValue || []).filter(tag => !added.has(String(tag).toLowerCase()));
+    }
+    case 'price':
+      return storeValue == null ? storeValue : reversePriceAdjustment(storeValue, storeMapping?.priceAdjustments);
+    case 'compareAtPrice':
+      if (storeValue == null || storeMapping?.priceAdjustments?.applyToCompareAt === false) return storeValue;
+      return reversePriceAdjustment(storeValue, storeMapping?.priceAdjustments);
+    default:
+      return storeValue;
+  }
+};
+
+const PRICE_ADJUSTMENT_TYPES = ['none', 'fixed', 'markup', 'markdown'];
+const ROUNDING_MODES = Object.keys(ROUNDING);
+
+const rulesError = (message) => Object.assign(new Error(message), { status: 400 });
+
+const cleanString = (value) => (typeof value === 'string' && value.trim() ? value.trim() : undefined);
+
+const cleanTags = (tags) => (Array.isArray(tags) ? tags : (typeof tags === 'string' ? tags.split(',') : []))
+  .map(tag => String(tag).trim())
+  .filter(Boolean);
+
+/**
+ * Validate and normalize persistent store rules from a request body
+ * @param {Object} rules - { storeCustomizations, priceAdjustments }
+ * @returns {Object} Clean { storeCustomizations, priceAdjustments }
+ * @throws {Error} status 400 when a rule is invalid
+ */
+export const normalizeStoreRules = (rules = {}) => {
+  const customizations = rules.storeCustomizations || {};
+  const adjustments = rules.priceAdjustments || {};
+
+  const type = resolveAdjustmentType(adjustments.type);
+  if (!PRICE_ADJUSTMENT_TYPES.includes(type)) {
+    throw rulesError(`Invalid price adjustment type: ${adjustments.type}`);
+  }
+  const value = Number(adjustments.value ?? 0);
+  if (!Number.isFinite(value)) {
+    throw rulesError('Price adjustment value must be a number');
+  }
+  if (type === 'markdown' && (value < 0 || value >= 100)) {
+    throw rulesError('Markdown must be between 0 and 100 percent');
+  }
+  const roundTo = Number(adjustments.roundTo ?? 0.01);
+  if (!(roundTo > 0)) {
+    throw rulesError('roundTo must be greater than 0');
+  }
+  const roundingMode = adjustments.roundingMode || 'nearest';
+  if (!ROUNDING_MODES.includes(roundingMode)) {
+    throw rulesError(`Invalid rounding mode: ${roundingMode}`);
+  }
+  let priceEnding;
+  if (adjustments.priceEnding !== undefined && adjustments.priceEnding !== null && adjustments.priceEnding !== '') {
+    priceEnding = Number(adjustments.priceEnding);
+    if (!(priceEnding >= 0 && priceEnding <= 0.99)) {
+      throw rulesError('priceEnding must be between 0 and 0.99');
+    }
+  }
+
+  const customMetafields = (customizations.customMetafields || []).map(meta => {
+    if (!meta?.namespace || !meta?.key || meta.value === undefined || meta.value === null || meta.value === '') {
+      throw rulesError('Custom metafields require namespace, key and value');
+    }
+    return {
+      namespace: String(meta.namespace).trim(),
+      key: String(meta.key).trim(),
+      value: String(meta.value),
+      type: meta.type || 'single_line_text_field'
+    };
+  });
+
+  const customHandle = cleanString(customizations.customHandle)?.toLowerCase();
+  if (customHandle && !/^[a-z0-9-]+$/.test(customHandle)) {
+    throw rulesError('Handle can only contain lowercase letters, numbers, and hyphens');
+  }
+
+  return {
+    storeCustomizations: {
+      titlePrefix: cleanString(customizations.titlePrefix),
+      titleSuffix: cleanString(customizations.titleSuffix),
+      descriptionPrepend: cleanString(customizations.descriptionPrepend),
+      descriptionAppend: cleanString(customizations.descriptionAppend),
+      additionalTags: cleanTags(customizations.additionalTags),
+      excludeTags: cleanTags(customizations.excludeTags),
+      customHandle,
+      customMetafields
+    },
+    priceAdjustments: {
+      type,
+      value,
+      roundTo,
+      roundingMode,
+      priceEnding,
+      applyToCompareAt: adjustments.applyToCompareAt !== false
+    }
+  };
+};
+
+/**
+ * Save normalized rules on a store mapping (mutates storeMapping; caller saves)
+ * Drift-review field overrides are kept.
+ * @param {Object} storeMapping - ProductMap storeMappings entry
+ * @param {Object} rules - Output of normalizeStoreRules
+ */
+export const applyStoreRules = (storeMapping, rules) => {
+  const { title, descriptionHtml, vendor, productType, status } = storeMapping.storeCustomizations?.fieldOverrides || {};
+  storeMapping.storeCustomizations = {
+    ...rules.storeCustomizations,
+    fieldOverrides: { title, descriptionHtml, vendor, productType, status }
+  };
+  storeMapping.priceAdjustments = rules.priceAdjustments;
+  storeMapping.updatedAt = new Date();
+};
+
+/**
+ * What a store would receive for the main product fields and every variant price
+ * @param {Object} product - Product document
+ * @param {Object} storeMapping - Store mapping or plain { storeCustomizations, priceAdjustments }
+ * @returns {Object} { title, descriptionHtml, handle, tags, variants: [{ title, price, compareAtPrice, sku, masterPrice }] }
+ */
+export const previewStoreProduct = (product, storeMapping) => {
+  const input = buildStoreProductSetInput(product, storeMapping);
+
+  return {
+    title: input.title,
+    descriptionHtml: input.descriptionHtml || null,
+    handle: input.handle,
+    tags: input.tags || [],
+    metafields: input.metafields || [],
+    variants: (input.variants || []).map((variant, index) => ({
+      title: (variant.optionValues || []).map(ov => ov.name).join(' / ') || `Variant ${index + 1}`,
+      price: variant.price,
+      compareAtPrice: variant.compareAtPrice || null,
+      sku: variant.sku || null,
+      masterPrice: product.variants?.[index]?.price ?? null
+    }))
+  };
+};
@@ -0,0 +1,300 @@
+import os from 'os';
+import crypto from 'crypto';
+import { SyncJob } from '../models/SyncJob.js';
+import { Workspace } from '../models/Workspace.js';
+import { Store } from '../models/Store.js';
+import { buildStoreSession } from '../middleware/storeSession.js';
+import { productSyncService } from './productSync.service.js';
+import { notificationService } from './notification.service.js';
+
+// Will be set from index.js after Socket.IO setup
+let io;
+
+// Only one job runs at a time per process
+let isProcessing = false;
+
+const RETRY_BASE_DELAY_MS = 2000;
+const MAX_ATTEMPTS_LIMIT = 10;
+
+// Lease: the running process renews lockedAt; other instances only take over a job whose
+// lease is older than LEASE_MS (its process died)
+const WORKER_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+const LEASE_MS = 5 * 60 * 1000;
+const HEARTBEAT_MS = 30 * 1000;
+let staleCheckTimer = null;
+
+// Product sync operation executed for each job item
+const JOB_HANDLERS = {
+    create: productSyncService.createProductInStore,
+    update: productSyncService.updateProductInStore,
+    sync: productSyncService.syncProductToStore,
+    'bulk-sync': productSyncService.syncProductToStore
+};
+
+// Initialize job progress streaming (called from index.js)
+export const initializeSyncJobs = (socketInstances) => {
+    io = socketInstances.io;
+};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const emitJobUpdate = (job) => {
+    if (io && job.userId) {
+        io.to(Workspace.room(job.userId)).emit('sync_job_update', job.toProgressPayload());
+    }
+};
+
+// Keep only what the UI needs from a sync result
+const summarizeResult = (result) => ({
+    operation: result?.operation,
+    shopifyProductId: result?.shopifyProduct?.id || result?.mapping?.shopifyProductId,
+    handle: result?.shopifyProduct?.handle || result?.mapping?.handle
+});
+
+/**
+ * Atomically claim the oldest queued job
+ */
+async function claimNextJob() {
+    return SyncJob.findOneAndUpdate(
+        { status: 'queued' },
+        { $set: { status: 'running', lockedAt: new Date(), lockedBy: WORKER_ID } },
+        { sort: { createdAt: 1 }, new: true }
+    );
+}
+
+/**
+ * Run one item with retries and exponential backoff
+ */
+async function runItem(job, item, session) {
+    const handler = JOB_HANDLERS[job.type];
+
+    while (item.attempts < job.maxAttempts) {
+        item.attempts += 1;
+        try {
+            const result = await handler({
+                session,
+                productId: item.product.toString(),
+                storeId: job.store.toString(),
+                userId: job.userId,
+                options: job.options || {}
+            });
+            item.status = 'succeeded';
+            item.result = summarizeResult(result);
+            item.error = undefined;
+            break;
+        } catch (error) {
+            console.error(`Sync job ${job._id}: item ${item.product} attempt ${item.attempts} failed:`, error.message);
+            item.error = error.message;
+            if (item.attempts < job.maxAttempts) {
+                await wait(RETRY_BASE_DELAY_MS * 2 ** (item.attempts - 1));
+            }
+        }
+    }
+
+    // Attempts exhausted (including items interrupted on their last attempt)
+    if (item.status !== 'succeeded') {
+        item.status = 'failed';
+    }
+    item.finishedAt = new Date();
+}
+
+async function finishJob(job) {
+    const progress = job.getProgress();
+
+    if (job.cancelRequested) {
+        job.status = 'cancelled';
+    } else if (progress.failed > 0) {
+        job.status = 'failed';
+    } else {
+        job.status = 'succeeded';
+    }
+    job.finishedAt = new Date();
+    job.lockedAt = null;
+    job.lockedBy = null;
+    await job.save();
+    emitJobUpdate(job);
+
+    // Single pushes are reported in the push UI; notify for bulk work and failures
+    if (job.type === 'bulk-sync' || job.status === 'failed') {
+        try {
+            await notificationService.notifyUserSyncStatus(job.userId, {
+                success: job.status === 'succeeded',
+                message: `Sync job ${job.status}: ${progress.succeeded} succeeded, ${progress.failed} failed of ${progress.total} product(s)`,
+                link: `/stores/${job.store}`,
+                metadata: { jobId: job._id, storeId: job.store, progress }
+            });
+        } catch (error) {
+            console.error('Failed to send sync job notification:', error.message);
+        }
+    }
+}
+
+/**
+ * Process every pending item of a claimed job
+ */
+async function runJob(job) {
+    if (!job.startedAt) job.startedAt = new Date();
+
+    const store = await Store.findOne({ _id: job.store, isActive: true });
+    if (!store) {
+        job.error = 'Store not found or disconnected';
+        job.items.forEach(item => {
+            if (item.status === 'pending') {
+                item.status = 'failed';
+                item.error = job.error;
+            }
+        });
+        return finishJob(job);
+    }
+
+    const session = buildStoreSession(store);
+    await job.save();
+    emitJobUpdate(job);
+
+    for (const item of job.items) {
+        if (item.status !== 'pending') continue;
+
+        // Cancellation is requested from another request; re-read the flag between items
+        const latest = await SyncJob.findById(job._id).select('cancelRequested').lean();
+        if (latest?.cancelRequested) {
+            job.cancelRequested = true;
+            break;
+        }
+
+        item.status = 'running';
+        item.startedAt = new Date();
+        await job.save();
+        emitJobUpdate(job);
+
+        await runItem(job, item, session);
+        await job.save();
+        emitJobUpdate(job);
+    }
+
+    if (job.cancelRequested) {
+        job.items.forEach(item => {
+            if (item.status === 'pending') item.status = 'cancelled';
+        });
+    }
+
+    return finishJob(job);
+}
+
+/**
+ * Drain the queue; safe to call repeatedly
+ */
+async function processQueue() {
+    if (isProcessing) return;
+    isProcessing = true;
+
+    try {
+        let job;
+        while ((job = await claimNextJob())) {
+            // Keep the lease while items run; a long item must not look like a dead worker
+            const heartbeat = setInterval(() => {
+                SyncJob.updateOne({ _id: job._id, lockedBy: WORKER_ID }, { $set: { lockedAt: new Date() } })
+                    .catch(error => console.error(`Sync job ${job._id}: lease renewal failed:`, error.message));
+            }, HEARTBEAT_MS);
+
+            try {
+                await runJob(job);
+            } catch (error) {
+                console.error(`Sync job ${job._id} crashed:`, error);
+                job.error = error.message;
+                await finishJob(job).catch(() => {});
+            } finally {
+                clearInterval(heartbeat);
+            }
+        }
+    } catch (error) {
+        console.error('Sync job queue error:', error);
+    } finally {
+        isProcessing = false;
+    }
+}
+
+/**
+ * Create a queued job and wake the worker
+ */
+async function enqueueJob({ userId, storeId, type, productIds, options = {}, maxAttempts }) {
+    if (!JOB_HANDLERS[type]) {
+        throw new Error(`Unknown sync job type: ${type}`);
+    }
+    if (!Array.isArray(productIds) || productIds.length === 0) {
+        throw new Error('At least one product is required');
+    }
+
+    const job = await SyncJob.create({
+        userId,
+        store: storeId,
+        type,
+        options,
+        items: productIds.map(productId => ({ product: productId })),
+        ...(Number(maxAttempts) >= 1 ? { maxAttempts: Math.min(Math.floor(Number(maxAttempts)), MAX_ATTEMPTS_LIMIT) } : {})
+    });
+
+    emitJobUpdate(job);
+    setImmediate(processQueue);
+
+    return job;
+}
+
+/**
+ * Cancel a job; queued jobs stop immediately, running jobs stop after the current item
+ */
+async function cancelJob(jobId, userId) {
+    const queued = await SyncJob.findOneAndUpdate(
+        { _id: jobId, userId, status: 'queued' },
+        { $set: { status: 'cancelled', cancelRequested: true, finishedAt: new Date() } },
+        { new: true }
+    );
+
+    if (queued) {
+        queued.items.forEach(item => {
+            if (item.status === 'pending') item.status = 'cancelled';
+        });
+        await queued.save();
+        emitJobUpdate(queued);
+        return queued;
+    }
+
+    return SyncJob.findOneAndUpdate(
+        { _id: jobId, userId, status: 'running' },
+        { $set: { cancelRequested: true } },
+        { new: true }
+    );
+}
+
+// Requeue jobs whose worker died (stale lease); running jobs of live workers are left alone
+async function requeueStaleJobs() {
+    const requeued = await SyncJob.requeueInterrupted(new Date(Date.now() - LEASE_MS));
+    if (requeued > 0) {
+        console.log(`Resuming ${requeued} interrupted sync job(s)`);
+        setImmediate(processQueue);
+    }
+    return requeued;
+}
+
+/**
+ * Put jobs interrupted by a restart back in the queue and resume processing
+ * Also checks periodically, since another instance may die while this one keeps running.
+ */
+async function resumeJobs() {
+    const requeued = await requeueStaleJobs();
+    setImmediate(processQueue);
+
+    if (!staleCheckTimer) {
+        staleCheckTimer = setInterval(() => {
+            requeueStaleJobs().catch(error => console.error('Stale sync job check failed:', error.message));
+        }, LEASE_MS);
+        staleCheckTimer.unref();
+    }
+    return requeued;
+}
+
+export const syncJobService = {
+    enqueueJob,
+    cancelJob,
+    resumeJobs,
+    processQueue
+};
@@ -0,0 +1,314 @@
+import os from 'os';
+import { Store } from '../models/Store.js';
+import { ProductMap } from '../models/ProductMap.js';
+import { SchedulerLock } from '../models/SchedulerLock.js';
+import { SyncRun } from '../models/SyncRun.js';
+import { buildStoreSession } from '../middleware/storeSession.js';
+import { getProduct } from '../graphql/queries/productQueries.js';
+import { productDriftService } from './productDrift.service.js';
+import { syncJobService } from './syncJob.service.js';
+import { notificationService } from './notification.service.js';
+
+/**
+ * Sync Scheduler Service
+ * Runs Store.dashboardSettings.syncFrequency and ProductMap.globalSyncSettings.syncFrequency schedules.
+ * Every tick takes a lease in MongoDB so only one instance works at a time, then for each due store
+ * mapping pulls Shopify inventory, checks for drift and queues a push of pending dashboard changes.
+ *
+ * - A store schedule covers every active mapping in the store.
+ * - A product schedule (hourly/daily/weekly) runs that product even when the store is not due.
+ * - 'manual' products are still checked but never pushed; 'real-time' is left to webhooks and auto-sync.
+ */
+
+const TICK_INTERVAL_MS = Number(process.env.SYNC_SCHEDULER_INTERVAL_MS) || 5 * 60 * 1000;
+const LOCK_NAME = 'sync-scheduler';
+// Renewed before each product check, so it only has to outlast a single Shopify read and save
+const LOCK_TTL_MS = 10 * 60 * 1000;
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+const MAX_RUN_FAILURES = 50;
+
+const FREQUENCY_MS = {
+  hourly: 60 * 60 * 1000,
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000
+};
+
+let timer = null;
+let isTicking = false;
+
+const isDue = (lastRunAt, frequency, now) => {
+  const interval = FREQUENCY_MS[frequency];
+  if (!interval) return false;
+  return !lastRunAt || now - new Date(lastRunAt) >= interval;
+};
+
+/**
+ * Take or renew the scheduler lease; false when another instance holds it
+ */
+async function acquireLock() {
+  const now = new Date();
+
+  try {
+    const lock = await SchedulerLock.findOneAndUpdate(
+      { name: LOCK_NAME, $or: [{ lockedUntil: { $lte: now } }, { owner: INSTANCE_ID }] },
+      { $set: { owner: INSTANCE_ID, lockedUntil: new Date(now.getTime() + LOCK_TTL_MS), lastTickAt: now } },
+      { upsert: true, new: true }
+    );
+    return Boolean(lock);
+  } catch (error) {
+    // The upsert collides with the unique name while another instance holds the lease
+    if (error.code === 11000) return false;
+    throw error;
+  }
+}
+
+async function releaseLock() {
+  await SchedulerLock.updateOne(
+    { name: LOCK_NAME, owner: INSTANCE_ID },
+    { $set: { lockedUntil: new Date() } }
+  );
+}
+
+/**
+ * Active mappings of a store that should run now
+ * @returns {Promise<Array<{productMap, storeMapping, canPush}>>}
+ */
+async function findDueMappings(store, storeDue, now) {
+  const productMaps = await ProductMap.find({
+    'storeMappings.store': store._id,
+    isActive: true,
+    isDeleted: false
+  }).populate('dashboardProduct');
+
+  const due = [];
+
+  productMaps.forEach(productMap => {
+    const storeMapping = productMap.getStoreMapping(store._id);
+    if (!storeMapping || storeMapping.status !== 'active' || !productMap.dashboardProduct) return;
+
+    const frequency = productMap.globalSyncSettings?.syncFrequency || 'manual';
+    if (!storeDue && !isDue(storeMapping.lastScheduledSyncAt, frequency, now)) return;
+
+    due.push({
+      productMap,
+      storeMapping,
+      canPush: frequency !== 'manual' && storeMapping.syncSettings?.autoSync !== false
+    });
+  });
+
+  return due;
+}
+
+/**
+ * Copy Shopify inventory levels into the variant mappings
+ * @returns {number} Variants whose quantity changed
+ */
+const pullInventory = (productMap, storeMapping, shopifyProduct) => {
+  let updated = 0;
+
+  (shopifyProduct.variants?.edges || []).forEach(({ node }) => {
+    if (node.inventoryItem?.tracked === false || typeof node.inventoryQuantity !== 'number') return;
+
+    const variantMapping = storeMapping.variantMappings.find(vm => vm.shopifyVariantId === node.id);
+    if (!variantMapping) return;
+
+    const tracking = variantMapping.inventoryTracking;
+    if (tracking?.lastInventorySyncAt && tracking.lastKnownShopifyQuantity === node.inventoryQuantity) {
+      tracking.lastInventorySyncAt = new Date();
+      return;
+    }
+
+    productMap.syncInventoryFromShopify(storeMapping.store, variantMapping.dashboardVariantIndex, node.inventoryQuantity, null, 'Scheduled sync');
+    updated += 1;
+  });
+
+  return updated;
+};
+
+// Dashboard edits made after the last push to this store
+const hasPendingChanges = (product, storeMapping) =>
+  !storeMapping.lastSyncAt || new Date(product.updatedAt) > new Date(storeMapping.lastSyncAt);
+
+/**
+ * Run inventory pull, drift check and pending pushes for the given mappings of one store
+ * Stops early when renewLock reports the scheduler lease was lost; unchecked mappings stay due.
+ * @param {Object} store - Store document
+ * @param {Object} params - { scope: 'store' | 'products', mappings, renewLock?: () => Promise<boolean> }
+ * @returns {Promise<Object>} SyncRun document
+ */
+async function runStoreSync(store, { scope, mappings, renewLock = null }) {
+  const startedAt = new Date();
+  const run = await SyncRun.create({
+    store: store._id,
+    userId: store.userId,
+    scope,
+    frequency: scope === 'store' ? store.dashboardSettings?.syncFrequency : undefined,
+    startedAt
+  });
+
+  await Store.updateOne({ _id: store._id }, { $set: { syncStatus: 'syncing' } });
+
+  const session = buildStoreSession(store);
+  const pendingProductIds = [];
+
+  let lockLost = false;
+
+  for (const { productMap, storeMapping, canPush } of mappings) {
+    if (renewLock && !(await renewLock())) {
+      lockLost = true;
+      break;
+    }
+    run.stats.mappings += 1;
+
+    try {
+      const shopifyProduct = await getProduct(session, storeMapping.shopifyProductId);
+      if (!shopifyProduct) {
+        throw new Error('Product not found in Shopify');
+      }
+
+      run.stats.inventoryUpdated += pullInventory(productMap, storeMapping, shopifyProduct);
+
+      const changes = productDriftService.checkLiveProduct(productMap, storeMapping, shopifyProduct);
+      run.stats.driftChecked += 1;
+      if (changes.length > 0) run.stats.driftFound += 1;
+
+      // Drifted products wait for a review instead of being overwritten
+      if (canPush && hasPendingChanges(productMap.dashboardProduct, storeMapping)) {
+        if (changes.length > 0) {
+          run.stats.pushesSkipped += 1;
+        } else {
+          pendingProductIds.push(productMap.dashboardProduct._id);
+        }
+      }
+
+      storeMapping.lastScheduledSyncAt = startedAt;
+      await productMap.save();
+    } catch (error) {
+      console.error(`Scheduled sync failed for ${storeMapping.shopifyProductId} in ${store.shopDomain}:`, error.message);
+      run.stats.failed += 1;
+      if (run.failures.length < MAX_RUN_FAILURES) {
+        run.failures.push({
+          product: productMap.dashboardProduct?._id,
+          shopifyProductId: storeMapping.shopifyProductId,
+          message: error.message
+        });
+      }
+    }
+  }
+
+  if (pendingProductIds.length > 0) {
+    try {
+      const job = await syncJobService.enqueueJob({
+        userId: store.userId,
+        storeId: store._id,
+        type: 'sync',
+        productIds: pendingProductIds,
+        options: { trigger: 'schedule' }
+      });
+      run.syncJob = job._id;
+      run.stats.pushesQueued = pendingProductIds.length;
+    } catch (error) {
+      console.error(`Failed to queue scheduled push for ${store.shopDomain}:`, error.message);
+      run.stats.failed += pendingProductIds.length;
+    }
+  }
+
+  if (lockLost) {
+    console.warn(`Scheduler lease lost during ${store.shopDomain}; ${mappings.length - run.stats.mappings} product(s) left for the next run`);
+  }
+
+  const { failed, mappings: total } = run.stats;
+  run.status = lockLost || (failed > 0 && failed < total) ? 'partial' : failed === 0 ? 'succeeded' : 'failed';
+  run.finishedAt = new Date();
+  run.duration = run.finishedAt - startedAt;
+  await run.save();
+
+  // Product-only runs must not move the store's own schedule
+  const storeUpdate = { syncStatus: run.status === 'failed' ? 'failed' : 'completed' };
+  if (scope === 'store' && !lockLost) storeUpdate.lastSyncAt = startedAt;
+  if (run.status === 'failed') {
+    storeUpdate.lastError = { message: run.failures[0]?.message || 'Scheduled sync failed', code: 'SCHEDULED_SYNC', timestamp: new Date() };
+  }
+  await Store.updateOne({ _id: store._id }, { $set: storeUpdate });
+
+  if (failed > 0) {
+    try {
+      await notificationService.notifyUserSyncStatus(store.userId, {
+        success: false,
+        message: `Scheduled sync for ${store.shopName} ${run.status === 'failed' ? 'failed' : 'finished with errors'}: ${failed} of ${total} product(s) failed`,
+        link: `/stores/${store._id}`,
+        metadata: { storeId: store._id, syncRunId: run._id, stats: run.stats }
+      });
+    } catch (error) {
+      console.error('Failed to send scheduled sync notification:', error.message);
+    }
+  }
+
+  return run;
+}
+
+/**
+ * One scheduler pass over every active store
+ */
+async function tick() {
+  if (isTicking) return;
+  isTicking = true;
+
+  try {
+    if (!(await acquireLock())) return;
+
+    try {
+      const stores = await Store.find({ isActive: true });
+
+      for (const store of stores) {
+        // Another instance may have taken over an expired lease during a long run
+        if (!(await acquireLock())) break;
+
+        const now = new Date();
+        const settings = store.dashboardSettings || {};
+        const storeDue = settings.autoSync !== false && isDue(store.lastSyncAt, settings.syncFrequency, now);
+
+        try {
+          const mappings = await findDueMappings(store, storeDue, now);
+          if (!storeDue && mappings.length === 0) continue;
+
+          const run = await runStoreSync(store, { scope: storeDue ? 'store' : 'products', mappings, renewLock: acquireLock });
+          if (run.stats.mappings < mappings.length) break;
+        } catch (error) {
+          console.error(`Scheduled sync crashed for ${store.shopDomain}:`, error);
+          await Store.updateOne({ _id: store._id }, { $set: { syncStatus: 'failed' } }).catch(() => {});
+        }
+      }
+    } finally {
+      await releaseLock();
+    }
+  } catch (error) {
+    console.error('Sync scheduler tick failed:', error);
+  } finally {
+    isTicking = false;
+  }
+}
+
+/**
+ * Start the in-process scheduler (called from index.js); SYNC_SCHEDULER_ENABLED=false turns it off
+ */
+function start() {
+  if (timer || process.env.SYNC_SCHEDULER_ENABLED === 'false') return;
+
+  timer = setInterval(tick, TICK_INTERVAL_MS);
+  timer.unref();
+  setImmediate(tick);
+  console.log(`⏱️ Sync scheduler started (every ${Math.round(TICK_INTERVAL_MS / 1000)}s)`);
+}
+
+function stop() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+export const syncSchedulerService = {
+  start,
+  stop,
+  tick,
+  runStoreSync
+};
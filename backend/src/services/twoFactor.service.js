@@ -0,0 +1,258 @@
+import crypto from 'crypto';
+import QRCode from 'qrcode';
+import { User } from '../models/User.js';
+import { UserToken } from '../models/UserToken.js';
+import { Workspace } from '../models/Workspace.js';
+import { ApiError } from '../utils/ApiError.js';
+import { encryptToken, decryptToken } from '../utils/tokenEncryption.js';
+import { generateSecret, verifyCode, buildOtpauthUri } from '../utils/totp.js';
+
+/**
+ * Two-Factor Service
+ * Optional TOTP two-factor authentication with one-time recovery codes.
+ * - Enrollment: setup() stores a pending secret and returns the otpauth URI / QR code; enable()
+ *   activates it once the user enters a valid code and hands out recovery codes (shown once).
+ * - Login: after the password check, loginUser issues a short-lived challenge token instead of
+ *   session cookies; verifyChallenge() exchanges it plus a code for the user.
+ * Secrets are encrypted like store access tokens (utils/tokenEncryption.js); recovery codes are
+ * stored as sha256 hashes.
+ */
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'Shopify Dashboard';
+const CHALLENGE_TTL_MS = 5 * 60 * 1000; // 5 minutes
+const MAX_CHALLENGE_ATTEMPTS = 5;
+const RECOVERY_CODE_COUNT = 10;
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+const hashRecoveryCode = (code) =>
+  crypto.createHash('sha256').update(String(code).replace(/[\s-]/g, '').toLowerCase()).digest('hex');
+
+// xxxxx-xxxxx, easy to read back from paper
+const generateRecoveryCodes = () => Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+  const raw = crypto.randomBytes(5).toString('hex');
+  return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+});
+
+const loadWithSecrets = async (userId) => {
+  const user = await User.findById(userId).select(SECRET_FIELDS);
+  if (!user) {
+    throw new ApiError(404, 'User not found');
+  }
+  return user;
+};
+
+/**
+ * Check a TOTP code or, failing that, an unused recovery code; consumes what it matched
+ * @param {Object} user - User loaded with SECRET_FIELDS
+ * @param {Object} params - { code?, recoveryCode? }
+ * @returns {Promise<'totp'|'recovery'|null>} What matched
+ */
+async function checkSecondFactor(user, { code, recoveryCode }) {
+  // Conditional updates: of two concurrent requests with the same code only one succeeds
+  if (code) {
+    const step = verifyCode(decryptToken(user.twoFactor.secret), code, {
+      afterStep: user.twoFactor.lastUsedStep ?? null
+    });
+    if (step !== null) {
+      const { modifiedCount } = await User.updateOne(
+        {
+          _id: user._id,
+          $or: [{ 'twoFactor.lastUsedStep': { $lt: step } }, { 'twoFactor.lastUsedStep': null }]
+        },
+        { $set: { 'twoFactor.lastUsedStep': step } }
+      );
+      if (modifiedCount === 1) {
+        user.twoFactor.lastUsedStep = step;
+        return 'totp';
+      }
+    }
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const usedAt = new Date();
+    const { modifiedCount } = await User.updateOne(
+      { _id: user._id, 'twoFactor.recoveryCodes': { $elemMatch: { hash, usedAt: null } } },
+      { $set: { 'twoFactor.recoveryCodes.$.usedAt': usedAt } }
+    );
+    if (modifiedCount === 1) {
+      const entry = (user.twoFactor.recoveryCodes || []).find(item => item.hash === hash);
+      if (entry) entry.usedAt = usedAt;
+      return 'recovery';
+    }
+  }
+
+  return null;
+}
+
+async function getStatus(userId) {
+  const user = await loadWithSecrets(userId);
+  const enforcedBy = await Workspace.find({ 'members.user': userId, requireTwoFactor: true }).select('name');
+
+  return {
+    enabled: Boolean(user.twoFactor?.enabled),
+    enabledAt: user.twoFactor?.enabledAt || null,
+    recoveryCodesRemaining: (user.twoFactor?.recoveryCodes || []).filter(item => !item.usedAt).length,
+    requiredBy: enforcedBy.map(workspace => ({ _id: workspace._id, name: workspace.name }))
+  };
+}
+
+/**
+ * Start enrollment: new pending secret plus its otpauth URI and QR code
+ * @returns {Promise<{ secret, otpauthUrl, qrCodeDataUrl }>}
+ */
+async function setup(userId) {
+  const user = await loadWithSecrets(userId);
+  if (user.twoFactor?.enabled) {
+    throw new ApiError(400, 'Two-factor authentication is already enabled');
+  }
+
+  const secret = generateSecret();
+  user.twoFactor.pendingSecret = encryptToken(secret);
+  await user.save({ validateBeforeSave: false });
+
+  const otpauthUrl = buildOtpauthUri({ secret, accountName: user.email, issuer: ISSUER });
+  const qrCodeDataUrl = await QRCode.toDataURL(otpauthUrl, { margin: 1, width: 220 });
+
+  return { secret, otpauthUrl, qrCodeDataUrl };
+}
+
+/**
+ * Finish enrollment with a code from the authenticator app
+ * @returns {Promise<string[]>} Recovery codes (only ever shown here)
+ */
+async function enable(userId, code) {
+  const user = await loadWithSecrets(userId);
+  if (user.twoFactor?.enabled) {
+    throw new ApiError(400, 'Two-factor authentication is already enabled');
+  }
+  if (!user.twoFactor?.pendingSecret) {
+    throw new ApiError(400, 'Start the two-factor setup first');
+  }
+
+  const step = verifyCode(decryptToken(user.twoFactor.pendingSecret), code);
+  if (step === null) {
+    throw new ApiError(400, 'Invalid verification code');
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.enabled = true;
+  user.twoFactor.enabledAt = new Date();
+  user.twoFactor.lastUsedStep = step;
+  user.twoFactor.recoveryCodes = recoveryCodes.map(item => ({ hash: hashRecoveryCode(item) }));
+  await user.save({ validateBeforeSave: false });
+
+  return recoveryCodes;
+}
+
+/**
+ * Turn two-factor off; needs the password and a current code (or recovery code)
+ */
+async function disable(userId, { password, code, recoveryCode }) {
+  const user = await User.findById(userId).select(`+password ${SECRET_FIELDS}`);
+  if (!user?.twoFactor?.enabled) {
+    throw new ApiError(400, 'Two-factor authentication is not enabled');
+  }
+  if (!password || !(await user.comparePassword(password))) {
+    throw new ApiError(400, 'Invalid password');
+  }
+
+  const enforcing = await Workspace.findOne({ 'members.user': userId, requireTwoFactor: true }).select('name');
+  if (enforcing) {
+    throw new ApiError(400, `The "${enforcing.name}" workspace requires two-factor authentication`);
+  }
+
+  if (!(await checkSecondFactor(user, { code, recoveryCode }))) {
+    throw new ApiError(400, 'Invalid verification code');
+  }
+
+  user.twoFactor = { enabled: false };
+  await user.save({ validateBeforeSave: false });
+}
+
+/**
+ * Replace all recovery codes; needs a current code
+ * @returns {Promise<string[]>} New recovery codes
+ */
+async function regenerateRecoveryCodes(userId, code) {
+  const user = await loadWithSecrets(userId);
+  if (!user.twoFactor?.enabled) {
+    throw new ApiError(400, 'Two-factor authentication is not enabled');
+  }
+  if (!(await checkSecondFactor(user, { code }))) {
+    throw new ApiError(400, 'Invalid verification code');
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+  user.twoFactor.recoveryCodes = recoveryCodes.map(item => ({ hash: hashRecoveryCode(item) }));
+  await user.save({ validateBeforeSave: false });
+
+  return recoveryCodes;
+}
+
+// ==============================================
+// LOGIN CHALLENGE
+// ==============================================
+
+/**
+ * Issue the token that stands between the password and two-factor steps of a login
+ * @returns {Promise<string>} Challenge token
+ */
+async function createChallenge(user) {
+  const { token } = await UserToken.issue({
+    userId: user._id,
+    purpose: 'two_factor_challenge',
+    ttlMs: CHALLENGE_TTL_MS
+  });
+  return token;
+}
+
+/**
+ * Complete a login: check the code against the challenge's user
+ * A challenge allows a few wrong codes before the password has to be entered again.
+ * @param {Object} params - { challengeToken, code?, recoveryCode? }
+ * @returns {Promise<{ user, method: 'totp'|'recovery' }>}
+ */
+async function verifyChallenge({ challengeToken, code, recoveryCode }) {
+  // The attempt is counted before the code is checked, so parallel guesses share the limit
+  const challenge = await UserToken.useAttempt(challengeToken, 'two_factor_challenge', MAX_CHALLENGE_ATTEMPTS);
+  if (!challenge) {
+    throw new ApiError(401, 'Your sign-in attempt expired. Please sign in again.');
+  }
+
+  const user = await loadWithSecrets(challenge.user);
+  if (!user.twoFactor?.enabled || user.isBlocked || user.isDeleted) {
+    throw new ApiError(401, 'Your sign-in attempt expired. Please sign in again.');
+  }
+
+  const method = await checkSecondFactor(user, { code, recoveryCode });
+  if (!method) {
+    const exhausted = challenge.attempts >= MAX_CHALLENGE_ATTEMPTS;
+    if (exhausted) {
+      await UserToken.updateOne({ _id: challenge._id, usedAt: null }, { $set: { usedAt: new Date() } });
+    }
+    throw new ApiError(401, exhausted
+      ? 'Too many invalid codes. Please sign in again.'
+      : 'Invalid verification code');
+  }
+
+  // Single use: a concurrent request with the same challenge gets nothing
+  const consumed = await UserToken.consume(challengeToken, 'two_factor_challenge');
+  if (!consumed) {
+    throw new ApiError(401, 'Your sign-in attempt expired. Please sign in again.');
+  }
+
+  return { user, method };
+}
+
+export const twoFactorService = {
+  getStatus,
+  setup,
+  enable,
+  disable,
+  regenerateRecoveryCodes,
+  createChallenge,
+  verifyChallenge
+};
@@ -0,0 +1,319 @@
+import { Workspace, WORKSPACE_ROLES } from '../models/Workspace.js';
+import { WorkspaceInvitation } from '../models/WorkspaceInvitation.js';
+import { ApiError } from '../utils/ApiError.js';
+import { emailService } from './email.service.js';
+
+/**
+ * Workspace Service
+ * Members, roles and email invitations of team workspaces. Workspace data (stores, products,
+ * jobs, ...) stays keyed by the owner's user id; members act on it through req.accountId
+ * (see resolveWorkspace in middleware/auth.js).
+ */
+
+// Will be set from index.js after Socket.IO setup
+let io;
+
+const INVITATION_TTL_DAYS = 7;
+const ASSIGNABLE_ROLES = WORKSPACE_ROLES.filter(role => role !== 'owner');
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MEMBER_FIELDS = 'fullName username email profileImage twoFactor.enabled';
+
+// Initialize room updates for membership changes (called from index.js)
+export const initializeWorkspaces = (socketInstances) => {
+  io = socketInstances.io;
+};
+
+// Connected sockets of a user follow membership changes without reconnecting
+const joinRoom = (userId, workspace) => io?.in(String(userId)).socketsJoin(Workspace.room(workspace.owner));
+const leaveRoom = (userId, workspace) => io?.in(String(userId)).socketsLeave(Workspace.room(workspace.owner));
+
+const normalizeEmail = (email) => (typeof email === 'string' ? email.trim().toLowerCase() : '');
+
+const assertAssignableRole = (role) => {
+  if (!ASSIGNABLE_ROLES.includes(role)) {
+    throw new ApiError(400, `Role must be one of: ${ASSIGNABLE_ROLES.join(', ')}`);
+  }
+};
+
+const invitationUrl = (token) =>
+  `${process.env.FRONTEND_URL || 'http://localhost:5173'}/invitations/${token}`;
+
+/**
+ * Workspaces the user belongs to, their own first (created on first use)
+ * @param {Object} user - User document
+ */
+async function listForUser(user) {
+  await Workspace.findOrCreatePersonal(user);
+  const workspaces = await Workspace.find({ 'members.user': user._id })
+    .populate('owner', 'fullName email')
+    .sort({ createdAt: 1 });
+
+  return workspaces
+    .map(workspace => ({
+      ...workspace.toSummary(user._id),
+      ownerName: workspace.owner?.fullName,
+      ownerEmail: workspace.owner?.email
+    }))
+    .sort((a, b) => Number(b.isPersonal) - Number(a.isPersonal));
+}
+
+/**
+ * Workspace with member profiles
+ * @param {Object} workspace - Workspace document
+ * @param {string} userId - Current user (for role and permissions)
+ */
+async function getDetails(workspace, userId) {
+  await workspace.populate('members.user', MEMBER_FIELDS);
+
+  return {
+    ...workspace.toSummary(userId),
+    members: workspace.members
+      .filter(member => member.user)
+      .map(member => ({
+        userId: member.user._id,
+        fullName: member.user.fullName,
+        username: member.user.username,
+        email: member.user.email,
+        avatar: member.user.profileImage?.url,
+        role: member.role,
+        twoFactorEnabled: Boolean(member.user.twoFactor?.enabled),
+        joinedAt: member.joinedAt
+      }))
+  };
+}
+
+async function rename(workspace, name) {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  if (!trimmed) {
+    throw new ApiError(400, 'Workspace name is required');
+  }
+  workspace.name = trimmed.slice(0, 100);
+  await workspace.save();
+  return workspace;
+}
+
+/**
+ * Require (or stop requiring) two-factor authentication for all members; owner only
+ * The owner must have it enabled first so they cannot lock themselves out.
+ * @param {Object} workspace - Workspace document
+ * @param {Object} actor - User document making the change
+ * @param {boolean} required
+ */
+async function setTwoFactorRequirement(workspace, actor, required) {
+  if (String(workspace.owner) !== String(actor._id)) {
+    throw new ApiError(403, 'Only the workspace owner can change the two-factor requirement');
+  }
+  if (required && !actor.twoFactor?.enabled) {
+    throw new ApiError(400, 'Enable two-factor authentication on your own account first');
+  }
+  workspace.requireTwoFactor = Boolean(required);
+  await workspace.save();
+  return workspace;
+}
+
+// ==============================================
+// INVITATIONS
+// ==============================================
+
+/**
+ * Invite someone by email; a pending invitation for the same address is replaced
+ * @param {Object} params - { workspace, inviter (User), email, role }
+ * @returns {Promise<{ invitation, inviteUrl, emailSent }>} inviteUrl can be shared by hand when email is not configured
+ */
+async function inviteMember({ workspace, inviter, email, role }) {
+  const address = normalizeEmail(email);
+  if (!EMAIL_PATTERN.test(address)) {
+    throw new ApiError(400, 'A valid email address is required');
+  }
+  assertAssignableRole(role);
+
+  await workspace.populate('members.user', 'email');
+  if (workspace.members.some(member => normalizeEmail(member.user?.email) === address)) {
+    throw new ApiError(409, 'This person is already a member of the workspace');
+  }
+
+  await WorkspaceInvitation.updateMany(
+    { workspace: workspace._id, email: address, status: 'pending' },
+    { $set: { status: 'revoked' } }
+  );
+
+  const { token, tokenHash } = WorkspaceInvitation.generateToken();
+  const invitation = await WorkspaceInvitation.create({
+    workspace: workspace._id,
+    email: address,
+    role,
+    tokenHash,
+    invitedBy: inviter._id,
+    expiresAt: new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000)
+  });
+
+  const inviteUrl = invitationUrl(token);
+  let emailSent = false;
+  try {
+    const result = await emailService.sendEmail({
+      to: address,
+      subject: `${inviter.fullName} invited you to ${workspace.name}`,
+      paragraphs: [
+        `${inviter.fullName} (${inviter.email}) invited you to join the "${workspace.name}" workspace as ${role}.`,
+        'Sign in or create an account with this email address to accept.'
+      ],
+      action: { label: 'Accept invitation', url: inviteUrl },
+      footer: `This invitation expires in ${INVITATION_TTL_DAYS} days.`
+    });
+    emailSent = result.delivered;
+  } catch (error) {
+    console.error(`Failed to send workspace invitation to ${address}:`, error.message);
+  }
+
+  return { invitation, inviteUrl, emailSent };
+}
+
+async function listInvitations(workspace) {
+  return WorkspaceInvitation.find({ workspace: workspace._id, status: 'pending' })
+    .populate('invitedBy', 'fullName email')
+    .sort({ createdAt: -1 });
+}
+
+async function revokeInvitation(workspace, invitationId) {
+  const invitation = await WorkspaceInvitation.findOneAndUpdate(
+    { _id: invitationId, workspace: workspace._id, status: 'pending' },
+    { $set: { status: 'revoked' } },
+    { new: true }
+  );
+  if (!invitation) {
+    throw new ApiError(404, 'Invitation not found');
+  }
+  return invitation;
+}
+
+/**
+ * What an invitation link is for, shown before accepting
+ * @param {string} token - Token from the invitation link
+ */
+async function getInvitationPreview(token) {
+  const invitation = await WorkspaceInvitation.findPendingByToken(token)
+    .populate('workspace', 'name')
+    .populate('invitedBy', 'fullName email');
+
+  if (!invitation || !invitation.workspace) {
+    throw new ApiError(404, 'This invitation is invalid or has expired');
+  }
+
+  return {
+    workspaceId: invitation.workspace._id,
+    workspaceName: invitation.workspace.name,
+    email: invitation.email,
+    role: invitation.role,
+    invitedBy: invitation.invitedBy ? { fullName: invitation.invitedBy.fullName, email: invitation.invitedBy.email } : null,
+    expiresAt: invitation.expiresAt
+  };
+}
+
+/**
+ * Join the workspace of an invitation; the signed-in user's email must match the invitation
+ * @param {string} token - Token from the invitation link
+ * @param {Object} user - User document
+ */
+async function acceptInvitation(token, user) {
+  const invitation = await WorkspaceInvitation.findPendingByToken(token);
+  if (!invitation) {
+    throw new ApiError(404, 'This invitation is invalid or has expired');
+  }
+  if (normalizeEmail(user.email) !== invitation.email) {
+    throw new ApiError(403, `This invitation was sent to ${invitation.email}. Sign in with that email address to accept it.`);
+  }
+  if (!user.isVerified) {
+    throw new ApiError(403, 'Verify your email address before accepting this invitation');
+  }
+
+  // Atomic, so concurrent accepts or member changes never overwrite each other's members list
+  const joined = await Workspace.findOneAndUpdate(
+    { _id: invitation.workspace, 'members.user': { $ne: user._id } },
+    { $push: { members: { user: user._id, role: invitation.role, invitedBy: invitation.invitedBy, joinedAt: new Date() } } },
+    { new: true }
+  );
+  const workspace = joined || await Workspace.findById(invitation.workspace);
+  if (!workspace) {
+    throw new ApiError(404, 'The workspace no longer exists');
+  }
+  if (joined) {
+    joinRoom(user._id, workspace);
+  }
+
+  await WorkspaceInvitation.updateOne(
+    { _id: invitation._id, status: 'pending' },
+    { $set: { status: 'accepted', acceptedBy: user._id, acceptedAt: new Date() } }
+  );
+
+  return workspace;
+}
+
+// ==============================================
+// MEMBERS
+// ==============================================
+
+/**
+ * Change a member's role; the owner's role and your own cannot be changed
+ */
+async function updateMemberRole({ workspace, actorId, memberId, role }) {
+  assertAssignableRole(role);
+
+  const member = workspace.getMember(memberId);
+  if (!member) {
+    throw new ApiError(404, 'Member not found');
+  }
+  if (member.role === 'owner') {
+    throw new ApiError(400, "The workspace owner's role cannot be changed");
+  }
+  if (String(memberId) === String(actorId)) {
+    throw new ApiError(400, 'You cannot change your own role');
+  }
+
+  const updated = await Workspace.findOneAndUpdate(
+    { _id: workspace._id, members: { $elemMatch: { user: memberId, role: { $ne: 'owner' } } } },
+    { $set: { 'members.$.role': role } },
+    { new: true }
+  );
+  if (!updated) {
+    throw new ApiError(404, 'Member not found');
+  }
+  return updated;
+}
+
+/**
+ * Remove a member, or leave the workspace when memberId is the actor; the owner cannot be removed
+ */
+async function removeMember({ workspace, memberId }) {
+  const member = workspace.getMember(memberId);
+  if (!member) {
+    throw new ApiError(404, 'Member not found');
+  }
+  if (member.role === 'owner') {
+    throw new ApiError(400, 'The workspace owner cannot be removed');
+  }
+
+  const updated = await Workspace.findOneAndUpdate(
+    { _id: workspace._id, members: { $elemMatch: { user: memberId, role: { $ne: 'owner' } } } },
+    { $pull: { members: { user: memberId } } },
+    { new: true }
+  );
+  if (!updated) {
+    throw new ApiError(404, 'Member not found');
+  }
+  leaveRoom(memberId, updated);
+  return updated;
+}
+
+export const workspaceService = {
+  listForUser,
+  getDetails,
+  rename,
+  setTwoFactorRequirement,
+  inviteMember,
+  listInvitations,
+  revokeInvitation,
+  getInvitationPreview,
+  acceptInvitation,
+  updateMemberRole,
+  removeMember
+};
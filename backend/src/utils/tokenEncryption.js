@@ -0,0 +1,250 @@
+import crypto from 'crypto';
+
+/**
+ * Shopify access token encryption (envelope encryption)
+ *
+ * Each token is encrypted with its own random data key (AES-256-GCM); the data key is then
+ * encrypted ("wrapped") with a master key from the environment. Rotating the master key only
+ * re-wraps the small data keys, the token ciphertext stays the same.
+ *
+ * Stored format: enc:v1:<keyVersion>:<wrappedDataKey>:<iv>:<authTag>:<ciphertext> (base64 parts)
+ *
+ * Configure with:
+ * - TOKEN_ENCRYPTION_KEYS: comma-separated <version>:<base64 32-byte key> pairs, e.g. "2:...,1:..."
+ *   Keep retired keys in the list until `npm run tokens:migrate` has re-wrapped every token.
+ *   Generate a key with: node -e "console.log(require('crypto').randomBytes(32).toString('base64'))"
+ * - TOKEN_ENCRYPTION_KEY_VERSION: version used for new tokens (defaults to the highest version)
+ *
+ * Without keys, tokens are stored as-is outside production (with a warning) so local setups keep working.
+ */
+
+const PREFIX = 'enc';
+const FORMAT_VERSION = 'v1';
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const KEY_LENGTH = 32;
+
+let cachedKeyring = null;
+let cachedKeyringSource = null;
+let warnedUnconfigured = false;
+
+/**
+ * Parse TOKEN_ENCRYPTION_KEYS (re-parsed only when the variable changes)
+ * @returns {{ keys: Map<string, Buffer>, activeVersion: string|null }}
+ */
+function getKeyring() {
+  const source = `${process.env.TOKEN_ENCRYPTION_KEYS || ''}|${process.env.TOKEN_ENCRYPTION_KEY_VERSION || ''}`;
+  if (cachedKeyring && cachedKeyringSource === source) return cachedKeyring;
+
+  const keys = new Map();
+  for (const entry of (process.env.TOKEN_ENCRYPTION_KEYS || '').split(',')) {
+    const trimmed = entry.trim();
+    if (!trimmed) continue;
+
+    const separator = trimmed.indexOf(':');
+    const version = separator > 0 ? trimmed.slice(0, separator).trim() : '';
+    const key = Buffer.from(trimmed.slice(separator + 1).trim(), 'base64');
+    if (!/^[A-Za-z0-9_-]+$/.test(version) || key.length !== KEY_LENGTH) {
+      throw new Error('TOKEN_ENCRYPTION_KEYS must be comma-separated <version>:<base64 32-byte key> pairs');
+    }
+    keys.set(version, key);
+  }
+
+  let activeVersion = process.env.TOKEN_ENCRYPTION_KEY_VERSION?.trim() || null;
+  if (activeVersion && !keys.has(activeVersion)) {
+    throw new Error(`TOKEN_ENCRYPTION_KEY_VERSION ${activeVersion} is not in TOKEN_ENCRYPTION_KEYS`);
+  }
+  if (!activeVersion && keys.size > 0) {
+    activeVersion = [...keys.keys()].sort((a, b) => a.localeCompare(b, undefined, { numeric: true })).pop();
+  }
+
+  cachedKeyring = { keys, activeVersion };
+  cachedKeyringSource = source;
+  return cachedKeyring;
+}
+
+const aesEncrypt = (key, plaintext) => {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return { iv, tag: cipher.getAuthTag(), ciphertext };
+};
+
+const aesDecrypt = (key, { iv, tag, ciphertext }) => {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+};
+
+const wrapDataKey = (masterKey, dataKey) => {
+  const { iv, tag, ciphertext } = aesEncrypt(masterKey, dataKey);
+  return Buffer.concat([iv, tag, ciphertext]).toString('base64');
+};
+
+const unwrapDataKey = (masterKey, wrapped) => {
+  const buffer = Buffer.from(wrapped, 'base64');
+  return aesDecrypt(masterKey, {
+    iv: buffer.subarray(0, IV_LENGTH),
+    tag: buffer.subarray(IV_LENGTH, IV_LENGTH + 16),
+    ciphertext: buffer.subarray(IV_LENGTH + 16)
+  });
+};
+
+const masterKeyFor = (version) => {
+  const key = getKeyring().keys.get(version);
+  if (!key) {
+    throw new Error(`Cannot decrypt access token: encryption key version ${version} is not configured`);
+  }
+  return key;
+};
+
+/**
+ * Whether a stored value is an encrypted envelope (as opposed to a legacy plaintext token)
+ */
+export const isEncrypted = (value) => typeof value === 'string' && value.startsWith(`${PREFIX}:${FORMAT_VERSION}:`);
+
+const parseEnvelope = (value) => {
+  const [, , keyVersion, wrappedKey, iv, tag, ciphertext] = value.split(':');
+  return { keyVersion, wrappedKey, iv, tag, ciphertext };
+};
+
+/**
+ * Master key version a stored value is encrypted with
+ * @returns {string|null} null for plaintext or empty values
+ */
+export const getKeyVersion = (value) => (isEncrypted(value) ? parseEnvelope(value).keyVersion : null);
+
+/**
+ * Master key version new tokens are encrypted with (null when no keys are configured)
+ */
+export const getActiveKeyVersion = () => getKeyring().activeVersion;
+
+/**
+ * Encrypt a token with the active master key; already-encrypted and empty values are returned as-is
+ * @param {string} plaintext - Access token
+ * @returns {string} Envelope string
+ */
+export function encryptToken(plaintext) {
+  if (!plaintext || isEncrypted(plaintext)) return plaintext;
+
+  const { keys, activeVersion } = getKeyring();
+  if (!activeVersion) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('TOKEN_ENCRYPTION_KEYS must be set to store access tokens');
+    }
+    if (!warnedUnconfigured) {
+      warnedUnconfigured = true;
+      console.warn('TOKEN_ENCRYPTION_KEYS is not set; access tokens are stored unencrypted');
+    }
+    return plaintext;
+  }
+
+  const dataKey = crypto.randomBytes(KEY_LENGTH);
+  const { iv, tag, ciphertext } = aesEncrypt(dataKey, Buffer.from(String(plaintext), 'utf8'));
+
+  return [
+    PREFIX,
+    FORMAT_VERSION,
+    activeVersion,
+    wrapDataKey(keys.get(activeVersion), dataKey),
+    iv.toString('base64'),
+    tag.toString('base64'),
+    ciphertext.toString('base64')
+  ].join(':');
+}
+
+/**
+ * Decrypt a stored token; legacy plaintext and empty values are returned as-is
+ * @param {string} value - Envelope string (or plaintext)
+ * @returns {string} Access token
+ */
+export function decryptToken(value) {
+  if (!isEncrypted(value)) return value;
+
+  const envelope = parseEnvelope(value);
+  const dataKey = unwrapDataKey(masterKeyFor(envelope.keyVersion), envelope.wrappedKey);
+
+  return aesDecrypt(dataKey, {
+    iv: Buffer.from(envelope.iv, 'base64'),
+    tag: Buffer.from(envelope.tag, 'base64'),
+    ciphertext: Buffer.from(envelope.ciphertext, 'base64')
+  }).toString('utf8');
+}
+
+/**
+ * Bring a stored value up to the active key: plaintext is encrypted, envelopes under an older
+ * master key get their data key re-wrapped (the token ciphertext is unchanged)
+ * @param {string} value - Stored value
+ * @returns {string} Value encrypted under the active key version
+ */
+export function rotateToken(value) {
+  if (!isEncrypted(value)) return encryptToken(value);
+
+  const { keys, activeVersion } = getKeyring();
+  const envelope = parseEnvelope(value);
+  if (!activeVersion || envelope.keyVersion === activeVersion) return value;
+
+  const dataKey = unwrapDataKey(masterKeyFor(envelope.keyVersion), envelope.wrappedKey);
+  return [
+    PREFIX,
+    FORMAT_VERSION,
+    activeVersion,
+    wrapDataKey(keys.get(activeVersion), dataKey),
+    envelope.iv,
+    envelope.tag,
+    envelope.ciphertext
+  ].join(':');
+}
+
+/**
+ * Whether a stored value still needs `rotateToken` (plaintext or an older master key)
+ */
+export const needsRotation = (value) => {
+  if (!value) return false;
+  const activeVersion = getActiveKeyVersion();
+  if (!activeVersion) return false;
+  return getKeyVersion(value) !== activeVersion;
+};
+
+/**
+ * Mongoose schema plugin: keeps the given path encrypted at rest with transparent decrypt on read
+ * (getter), tracks the master key version in `tokenKeyVersion`, and strips both from toJSON /
+ * toObject output so tokens never reach API responses or logs.
+ * @param {mongoose.Schema} schema
+ * @param {Object} options - { path = 'accessToken' }
+ */
+export function encryptedTokenPlugin(schema, { path = 'accessToken' } = {}) {
+  const field = schema.path(path);
+  field.set(encryptToken);
+  field.get(decryptToken);
+
+  schema.add({
+    // Master key version of the stored token (see utils/tokenEncryption.js); null when unencrypted
+    tokenKeyVersion: { type: String, default: null }
+  });
+
+  schema.pre('save', function(next) {
+    if (this.isModified(path) || this.isNew) {
+      this.tokenKeyVersion = getKeyVersion(this.get(path, null, { getters: false }));
+    }
+    next();
+  });
+
+  const hideToken = (doc, ret) => {
+    delete ret[path];
+    delete ret.tokenKeyVersion;
+    return ret;
+  };
+
+  for (const option of ['toJSON', 'toObject']) {
+    const existing = schema.get(option) || {};
+    const previousTransform = existing.transform;
+    schema.set(option, {
+      ...existing,
+      transform(doc, ret, opts) {
+        const result = typeof previousTransform === 'function' ? previousTransform(doc, ret, opts) : ret;
+        return hideToken(doc, result || ret);
+      }
+    });
+  }
+}
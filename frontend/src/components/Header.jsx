@@ -14,6 +14,7 @@ import { useTheme } from '@/providers/ThemeProvider'
 import useAuthStore from '@/stores/authStore'
 import { useLogout } from '@/features/auth/hooks/useAuth'
 import NotificationDropdown from '@/features/notifications/components/NotificationDropdown'
+import WorkspaceSwitcher from '@/features/workspaces/components/WorkspaceSwitcher'
 
 export default function Header() {
   const { effectiveTheme, toggleTheme } = useTheme()
@@ -69,6 +70,9 @@ export default function Header() {
 
           {/* Right side */}
           <div className="flex items-center space-x-4">
+            {/* Workspace switcher */}
+            <WorkspaceSwitcher />
+
             {/* Theme toggle */}
             <button
               onClick={toggleTheme}
@@ -2,6 +2,8 @@ import { Outlet } from 'react-router-dom'
 import Sidebar from './Sidebar'
 import Header from './Header'
 import { useTheme } from '@/providers/ThemeProvider'
+import VerifyEmailBanner from '@/features/auth/components/VerifyEmailBanner'
+import TwoFactorRequiredBanner from '@/features/workspaces/components/TwoFactorRequiredBanner'
 
 export default function Layout() {
   const { effectiveTheme } = useTheme()
@@ -19,6 +21,8 @@ export default function Layout() {
           <Header />
           <main className="flex-1 pb-8">
             <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+              <VerifyEmailBanner />
+              <TwoFactorRequiredBanner />
               <Outlet />
             </div>
           </main>
@@ -2,18 +2,24 @@ import { Link, useLocation } from 'react-router-dom'
 import { 
   HomeIcon, 
   ShoppingBagIcon, 
+  RectangleStackIcon,
+  PhotoIcon,
   BuildingStorefrontIcon,
   BellIcon,
   CogIcon,
-  ChartBarIcon
+  ChartBarIcon,
+  UserGroupIcon
 } from '@heroicons/react/24/outline'
 
 const navigation = [
   { name: 'Dashboard', href: '/', icon: HomeIcon },
   { name: 'Stores', href: '/stores', icon: BuildingStorefrontIcon },
   { name: 'Products', href: '/products', icon: ShoppingBagIcon },
+  { name: 'Collections', href: '/collections', icon: RectangleStackIcon },
+  { name: 'Media', href: '/media', icon: PhotoIcon },
   { name: 'Notifications', href: '/notifications', icon: BellIcon },
   { name: 'Analytics', href: '/analytics', icon: ChartBarIcon },
+  { name: 'Team', href: '/team', icon: UserGroupIcon },
   { name: 'Settings', href: '/settings', icon: CogIcon },
 ]
 
@@ -139,4 +139,188 @@ export const authAPI = {
     const response = await api.post('/api/auth/change-password', passwordData);
     return response.data;
   },
+
+  /**
+   * Verify Email
+   * 
+   * Backend Endpoint: POST /api/auth/verify-email
+   * Backend Expects: { token } (from the emailed link)
+   * Backend Returns: { user }
+   * 
+   * @param {string} token - Verification token
+   * @returns {Promise<Object>} Backend response with the verified user
+   */
+  verifyEmail: async (token) => {
+    const response = await api.post('/api/auth/verify-email', { token });
+    return response.data;
+  },
+
+  /**
+   * Resend Verification Email
+   * 
+   * Backend Endpoint: POST /api/auth/resend-verification
+   * Requires: Valid authentication
+   * 
+   * @returns {Promise<Object>} Backend response confirming the email was sent
+   */
+  resendVerification: async () => {
+    const response = await api.post('/api/auth/resend-verification');
+    return response.data;
+  },
+
+  /**
+   * Forgot Password
+   * 
+   * Backend Endpoint: POST /api/auth/forgot-password
+   * Backend Expects: { email }
+   * Backend Returns: the same message whether or not the account exists
+   * 
+   * @param {string} email - Account email
+   * @returns {Promise<Object>} Backend response
+   */
+  forgotPassword: async (email) => {
+    const response = await api.post('/api/auth/forgot-password', { email });
+    return response.data;
+  },
+
+  /**
+   * Reset Password
+   * 
+   * Backend Endpoint: POST /api/auth/reset-password
+   * Backend Expects: { token, password }
+   * Signs the user out of every session
+   * 
+   * @param {Object} data - { token, password }
+   * @returns {Promise<Object>} Backend response
+   */
+  resetPassword: async (data) => {
+    const response = await api.post('/api/auth/reset-password', data);
+    return response.data;
+  },
+
+  /**
+   * Verify Two-Factor Login
+   * 
+   * Backend Endpoint: POST /api/auth/2fa/verify
+   * Backend Expects: { challengeToken, code } or { challengeToken, recoveryCode }
+   * Backend Returns: { user, accessToken, refreshToken }
+   * Used when: login returned { twoFactorRequired, challengeToken }
+   * 
+   * @param {Object} data - { challengeToken, code?, recoveryCode? }
+   * @returns {Promise<Object>} Backend response with user data and tokens
+   */
+  verifyTwoFactor: async (data) => {
+    const response = await api.post('/api/auth/2fa/verify', data);
+    return response.data;
+  },
+
+  /**
+   * Get Two-Factor Status
+   * 
+   * Backend Endpoint: GET /api/auth/2fa
+   * Backend Returns: { enabled, enabledAt, recoveryCodesRemaining, requiredBy }
+   * 
+   * @returns {Promise<Object>} Backend response with the two-factor status
+   */
+  getTwoFactorStatus: async () => {
+    const response = await api.get('/api/auth/2fa');
+    return response.data;
+  },
+
+  /**
+   * Start Two-Factor Setup
+   * 
+   * Backend Endpoint: POST /api/auth/2fa/setup
+   * Backend Returns: { secret, otpauthUrl, qrCodeDataUrl }
+   * 
+   * @returns {Promise<Object>} Backend response with the enrollment QR code
+   */
+  setupTwoFactor: async () => {
+    const response = await api.post('/api/auth/2fa/setup');
+    return response.data;
+  },
+
+  /**
+   * Enable Two-Factor
+   * 
+   * Backend Endpoint: POST /api/auth/2fa/enable
+   * Backend Expects: { code }
+   * Backend Returns: { recoveryCodes } (shown only once)
+   * 
+   * @param {string} code - Code from the authenticator app
+   * @returns {Promise<Object>} Backend response with recovery codes
+   */
+  enableTwoFactor: async (code) => {
+    const response = await api.post('/api/auth/2fa/enable', { code });
+    return response.data;
+  },
+
+  /**
+   * Disable Two-Factor
+   * 
+   * Backend Endpoint: POST /api/auth/2fa/disable
+   * Backend Expects: { password, code } or { password, recoveryCode }
+   * 
+   * @param {Object} data - { password, code?, recoveryCode? }
+   * @returns {Promise<Object>} Backend response
+   */
+  disableTwoFactor: async (data) => {
+    const response = await api.post('/api/auth/2fa/disable', data);
+    return response.data;
+  },
+
+  /**
+   * Regenerate Recovery Codes
+   * 
+   * Backend Endpoint: POST /api/auth/2fa/recovery-codes
+   * Backend Expects: { code }
+   * Backend Returns: { recoveryCodes }
+   * 
+   * @param {string} code - Code from the authenticator app
+   * @returns {Promise<Object>} Backend response with new recovery codes
+   */
+  regenerateRecoveryCodes: async (code) => {
+    const response = await api.post('/api/auth/2fa/recovery-codes', { code });
+    return response.data;
+  },
+
+  /**
+   * Get Sessions
+   * 
+   * Backend Endpoint: GET /api/auth/sessions
+   * Backend Returns: { sessions: [{ _id, device, userAgent, ip, createdAt, lastSeen, isCurrent }] }
+   * 
+   * @returns {Promise<Object>} Backend response with the signed-in devices
+   */
+  getSessions: async () => {
+    const response = await api.get('/api/auth/sessions');
+    return response.data;
+  },
+
+  /**
+   * Revoke Session
+   * 
+   * Backend Endpoint: DELETE /api/auth/sessions/:sessionId
+   * Signs out one device
+   * 
+   * @param {string} sessionId - Session to sign out
+   * @returns {Promise<Object>} Backend response
+   */
+  revokeSession: async (sessionId) => {
+    const response = await api.delete(`/api/auth/sessions/${sessionId}`);
+    return response.data;
+  },
+
+  /**
+   * Revoke Other Sessions
+   * 
+   * Backend Endpoint: DELETE /api/auth/sessions/others
+   * Signs out every device except the current one
+   * 
+   * @returns {Promise<Object>} Backend response with { count }
+   */
+  revokeOtherSessions: async () => {
+    const response = await api.delete('/api/auth/sessions/others');
+    return response.data;
+  },
 };
@@ -0,0 +1,79 @@
+import { ComputerDesktopIcon, DevicePhoneMobileIcon } from '@heroicons/react/24/outline';
+import { useSessions, useRevokeSession, useRevokeOtherSessions } from '../hooks/useAuth';
+
+const isMobile = (session) => /iOS|Android/.test(session.device || '');
+
+// Settings > Security: devices signed in to this account
+export function ActiveSessions() {
+  const { data: sessions = [], isLoading } = useSessions();
+  const revokeMutation = useRevokeSession();
+  const revokeOthersMutation = useRevokeOtherSessions();
+
+  const otherCount = sessions.filter(session => !session.isCurrent).length;
+
+  const handleRevokeOthers = () => {
+    if (window.confirm(`Sign out ${otherCount} other session${otherCount === 1 ? '' : 's'}?`)) {
+      revokeOthersMutation.mutate();
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-lg font-medium text-gray-900 dark:text-white">Active Sessions</h3>
+        {otherCount > 0 && (
+          <button
+            type="button"
+            onClick={handleRevokeOthers}
+            disabled={revokeOthersMutation.isPending}
+            className="text-sm font-medium text-red-600 hover:text-red-700 dark:text-red-400 disabled:opacity-50"
+          >
+            {revokeOthersMutation.isPending ? 'Signing out...' : 'Sign out all other sessions'}
+          </button>
+        )}
+      </div>
+      <p className="text-sm text-gray-600 dark:text-gray-400 mb-6">
+        Devices signed in to your account. Sign out any session you don&apos;t recognize and change your password.
+      </p>
+
+      {isLoading && <p className="text-sm text-gray-500 dark:text-gray-400">Loading...</p>}
+
+      <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+        {sessions.map(session => {
+          const Icon = isMobile(session) ? DevicePhoneMobileIcon : ComputerDesktopIcon;
+
+          return (
+            <li key={session._id} className="flex items-center gap-4 py-3">
+              <Icon className="h-8 w-8 flex-shrink-0 text-gray-400" />
+              <div className="flex-1 min-w-0">
+                <p className="text-sm font-medium text-gray-900 dark:text-white">
+                  {session.device}
+                  {session.isCurrent && (
+                    <span className="ml-2 rounded-full bg-green-100 px-2 py-0.5 text-xs font-medium text-green-800 dark:bg-green-900/30 dark:text-green-300">
+                      This device
+                    </span>
+                  )}
+                </p>
+                <p className="text-xs text-gray-500 dark:text-gray-400 truncate" title={session.userAgent}>
+                  {session.ip || 'Unknown IP'} · Signed in {new Date(session.createdAt).toLocaleString()} · Last active {new Date(session.lastSeen).toLocaleString()}
+                </p>
+              </div>
+              {!session.isCurrent && (
+                <button
+                  type="button"
+                  onClick={() => revokeMutation.mutate(session._id)}
+                  disabled={revokeMutation.isPending}
+                  className="px-3 py-1.5 text-sm border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-800 disabled:opacity-50"
+                >
+                  Sign out
+                </button>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
+
+export default ActiveSessions;
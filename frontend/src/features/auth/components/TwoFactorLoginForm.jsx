@@ -0,0 +1,101 @@
+import { useState } from 'react';
+import { Field, Label } from '@headlessui/react';
+import { useVerifyTwoFactor } from '../hooks/useAuth';
+import { Button } from '@/components/ui/Button';
+import { Input } from '@/components/ui/Input';
+import { CardContent, CardFooter } from '@/components/ui/Card';
+import { Loader2, ShieldCheck } from 'lucide-react';
+
+// Second login step: authenticator code, or a recovery code when the device is not at hand
+export function TwoFactorLoginForm({ challengeToken, onSuccess, onCancel }) {
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [value, setValue] = useState('');
+  const verifyMutation = useVerifyTwoFactor();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const entered = value.trim();
+    if (!entered) return;
+
+    try {
+      await verifyMutation.mutateAsync(
+        useRecoveryCode
+          ? { challengeToken, recoveryCode: entered }
+          : { challengeToken, code: entered.replace(/\s+/g, '') }
+      );
+      onSuccess();
+    } catch (error) {
+      // The challenge is gone after too many wrong codes; start over with the password
+      if (/sign in again/i.test(error.response?.data?.message || '')) {
+        onCancel();
+      }
+      setValue('');
+    }
+  };
+
+  const toggleMode = () => {
+    setUseRecoveryCode(!useRecoveryCode);
+    setValue('');
+  };
+
+  return (
+    <form onSubmit={handleSubmit}>
+      <CardContent className="space-y-4">
+        <Field>
+          <Label className="text-sm font-medium">
+            {useRecoveryCode ? 'Recovery code' : 'Authentication code'}
+          </Label>
+          <div className="relative mt-2">
+            <ShieldCheck className="absolute left-3 top-3 h-4 w-4 text-gray-400" />
+            <Input
+              autoFocus
+              autoComplete="one-time-code"
+              inputMode={useRecoveryCode ? 'text' : 'numeric'}
+              placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+              className="pl-10 tracking-widest"
+              maxLength={useRecoveryCode ? 11 : 7}
+              disabled={verifyMutation.isPending}
+              value={value}
+              onChange={(e) => setValue(e.target.value)}
+            />
+          </div>
+          <p className="mt-1 text-xs text-gray-500">
+            {useRecoveryCode
+              ? 'Each recovery code can be used once.'
+              : 'Open your authenticator app and enter the 6-digit code.'}
+          </p>
+        </Field>
+
+        <button
+          type="button"
+          onClick={toggleMode}
+          className="text-sm text-blue-600 hover:underline"
+        >
+          {useRecoveryCode ? 'Use your authenticator app instead' : 'Use a recovery code instead'}
+        </button>
+      </CardContent>
+
+      <CardFooter className="flex flex-col space-y-4">
+        <Button type="submit" className="w-full" disabled={verifyMutation.isPending || !value.trim()}>
+          {verifyMutation.isPending ? (
+            <>
+              <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+              Verifying...
+            </>
+          ) : (
+            'Verify'
+          )}
+        </Button>
+        <button
+          type="button"
+          onClick={onCancel}
+          className="text-center text-sm text-gray-600 hover:underline"
+        >
+          Back to sign in
+        </button>
+      </CardFooter>
+    </form>
+  );
+}
+
+export default TwoFactorLoginForm;
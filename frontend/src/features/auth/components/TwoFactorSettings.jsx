@@ -0,0 +1,243 @@
+import { useState } from 'react';
+import { toast } from 'react-hot-toast';
+import { ShieldCheckIcon, ClipboardDocumentIcon } from '@heroicons/react/24/outline';
+import {
+  useTwoFactorStatus,
+  useSetupTwoFactor,
+  useEnableTwoFactor,
+  useDisableTwoFactor,
+  useRegenerateRecoveryCodes,
+} from '../hooks/useAuth';
+
+const inputClass = 'w-full px-4 py-3 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-800 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors';
+const primaryButtonClass = 'px-6 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200 font-medium';
+const secondaryButtonClass = 'px-6 py-3 border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-800 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200 font-medium';
+
+// Recovery codes are only returned once, right after enabling or regenerating
+function RecoveryCodes({ codes, onDone }) {
+  const copyCodes = async () => {
+    try {
+      await navigator.clipboard.writeText(codes.join('\n'));
+      toast.success('Recovery codes copied');
+    } catch {
+      toast.error('Could not copy to the clipboard');
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="rounded-lg border border-yellow-200 bg-yellow-50 p-4 text-sm text-yellow-800 dark:border-yellow-800 dark:bg-yellow-900/20 dark:text-yellow-200">
+        Save these recovery codes somewhere safe. Each one signs you in once if you lose access to
+        your authenticator app. They will not be shown again.
+      </div>
+      <ul className="grid grid-cols-2 gap-2 rounded-lg bg-gray-50 p-4 font-mono text-sm text-gray-900 dark:bg-gray-800 dark:text-white">
+        {codes.map(code => <li key={code}>{code}</li>)}
+      </ul>
+      <div className="flex gap-3">
+        <button type="button" onClick={copyCodes} className={`${secondaryButtonClass} inline-flex items-center`}>
+          <ClipboardDocumentIcon className="mr-2 h-5 w-5" />
+          Copy
+        </button>
+        <button type="button" onClick={onDone} className={primaryButtonClass}>
+          I saved my codes
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// Enrollment: scan the QR code, then confirm with the first code
+function TwoFactorSetup({ onEnabled }) {
+  const [code, setCode] = useState('');
+  const setupMutation = useSetupTwoFactor();
+  const enableMutation = useEnableTwoFactor();
+  const setup = setupMutation.data?.data;
+
+  const handleEnable = (e) => {
+    e.preventDefault();
+    enableMutation.mutate(code.replace(/\s+/g, ''), {
+      onSuccess: (data) => onEnabled(data.data.recoveryCodes),
+      onSettled: () => setCode(''),
+    });
+  };
+
+  if (!setup) {
+    return (
+      <button
+        type="button"
+        onClick={() => setupMutation.mutate()}
+        disabled={setupMutation.isPending}
+        className={primaryButtonClass}
+      >
+        {setupMutation.isPending ? 'Preparing...' : 'Set up two-factor authentication'}
+      </button>
+    );
+  }
+
+  return (
+    <form onSubmit={handleEnable} className="space-y-4">
+      <p className="text-sm text-gray-600 dark:text-gray-400">
+        Scan this QR code with an authenticator app (Google Authenticator, 1Password, Authy, ...),
+        then enter the 6-digit code it shows.
+      </p>
+      <div className="flex flex-col items-start gap-4 sm:flex-row">
+        <img
+          src={setup.qrCodeDataUrl}
+          alt="Two-factor QR code"
+          className="h-44 w-44 rounded-lg border border-gray-200 bg-white p-2 dark:border-gray-700"
+        />
+        <div className="space-y-2 text-sm">
+          <p className="text-gray-600 dark:text-gray-400">Can't scan it? Enter this key manually:</p>
+          <code className="block break-all rounded bg-gray-100 px-3 py-2 font-mono text-gray-900 dark:bg-gray-800 dark:text-white">
+            {setup.secret}
+          </code>
+        </div>
+      </div>
+      <div>
+        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+          Verification code
+        </label>
+        <input
+          type="text"
+          inputMode="numeric"
+          autoComplete="one-time-code"
+          maxLength={7}
+          placeholder="123456"
+          className={`${inputClass} max-w-xs tracking-widest`}
+          value={code}
+          onChange={e => setCode(e.target.value)}
+        />
+      </div>
+      <button type="submit" disabled={enableMutation.isPending || !code.trim()} className={primaryButtonClass}>
+        {enableMutation.isPending ? 'Verifying...' : 'Enable'}
+      </button>
+    </form>
+  );
+}
+
+// Settings > Security: enable, disable and manage recovery codes
+export function TwoFactorSettings() {
+  const { data: status, isLoading } = useTwoFactorStatus();
+  const disableMutation = useDisableTwoFactor();
+  const regenerateMutation = useRegenerateRecoveryCodes();
+
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [disableForm, setDisableForm] = useState({ password: '', code: '' });
+  const [regenerateCode, setRegenerateCode] = useState('');
+
+  const handleDisable = (e) => {
+    e.preventDefault();
+    const entered = disableForm.code.trim();
+    // Recovery codes contain a dash; authenticator codes are digits only
+    const factor = entered.includes('-') ? { recoveryCode: entered } : { code: entered.replace(/\s+/g, '') };
+    disableMutation.mutate(
+      { password: disableForm.password, ...factor },
+      { onSuccess: () => setDisableForm({ password: '', code: '' }) }
+    );
+  };
+
+  const handleRegenerate = (e) => {
+    e.preventDefault();
+    regenerateMutation.mutate(regenerateCode.replace(/\s+/g, ''), {
+      onSuccess: (data) => setRecoveryCodes(data.data.recoveryCodes),
+      onSettled: () => setRegenerateCode(''),
+    });
+  };
+
+  const requiredBy = status?.requiredBy || [];
+
+  return (
+    <div>
+      <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-2 flex items-center">
+        <ShieldCheckIcon className="mr-2 h-5 w-5 text-blue-600 dark:text-blue-400" />
+        Two-Factor Authentication
+        {status?.enabled && (
+          <span className="ml-3 rounded-full bg-green-100 px-2 py-0.5 text-xs font-medium text-green-800 dark:bg-green-900/30 dark:text-green-300">
+            Enabled
+          </span>
+        )}
+      </h3>
+      <p className="text-sm text-gray-600 dark:text-gray-400 mb-6">
+        Require a code from your authenticator app in addition to your password when signing in.
+      </p>
+
+      {requiredBy.length > 0 && (
+        <div className="mb-6 rounded-lg border border-blue-200 bg-blue-50 p-4 text-sm text-blue-800 dark:border-blue-800 dark:bg-blue-900/20 dark:text-blue-200">
+          Required by {requiredBy.map(workspace => workspace.name).join(', ')}.
+        </div>
+      )}
+
+      {isLoading && <p className="text-sm text-gray-500 dark:text-gray-400">Loading...</p>}
+
+      {!isLoading && recoveryCodes && (
+        <RecoveryCodes codes={recoveryCodes} onDone={() => setRecoveryCodes(null)} />
+      )}
+
+      {!isLoading && !recoveryCodes && !status?.enabled && (
+        <TwoFactorSetup onEnabled={setRecoveryCodes} />
+      )}
+
+      {!isLoading && !recoveryCodes && status?.enabled && (
+        <div className="space-y-8">
+          <form onSubmit={handleRegenerate} className="space-y-3">
+            <h4 className="text-sm font-medium text-gray-900 dark:text-white">Recovery codes</h4>
+            <p className="text-sm text-gray-600 dark:text-gray-400">
+              {status.recoveryCodesRemaining} unused recovery code{status.recoveryCodesRemaining === 1 ? '' : 's'} left.
+              Generating new codes invalidates the old ones.
+            </p>
+            <div className="flex flex-wrap gap-3">
+              <input
+                type="text"
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                maxLength={7}
+                placeholder="Authenticator code"
+                className={`${inputClass} max-w-xs`}
+                value={regenerateCode}
+                onChange={e => setRegenerateCode(e.target.value)}
+              />
+              <button type="submit" disabled={regenerateMutation.isPending || !regenerateCode.trim()} className={secondaryButtonClass}>
+                {regenerateMutation.isPending ? 'Generating...' : 'Generate new codes'}
+              </button>
+            </div>
+          </form>
+
+          <form onSubmit={handleDisable} className="space-y-3 pt-6 border-t border-gray-200 dark:border-gray-700">
+            <h4 className="text-sm font-medium text-gray-900 dark:text-white">Disable two-factor authentication</h4>
+            {requiredBy.length > 0 && (
+              <p className="text-sm text-gray-600 dark:text-gray-400">
+                Leave the workspaces that require it before disabling two-factor authentication.
+              </p>
+            )}
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <input
+                type="password"
+                placeholder="Current password"
+                className={inputClass}
+                value={disableForm.password}
+                onChange={e => setDisableForm({ ...disableForm, password: e.target.value })}
+              />
+              <input
+                type="text"
+                autoComplete="one-time-code"
+                placeholder="Authenticator or recovery code"
+                className={inputClass}
+                value={disableForm.code}
+                onChange={e => setDisableForm({ ...disableForm, code: e.target.value })}
+              />
+            </div>
+            <button
+              type="submit"
+              disabled={disableMutation.isPending || requiredBy.length > 0 || !disableForm.password || !disableForm.code.trim()}
+              className="px-6 py-3 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200 font-medium"
+            >
+              {disableMutation.isPending ? 'Disabling...' : 'Disable'}
+            </button>
+          </form>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default TwoFactorSettings;
@@ -0,0 +1,51 @@
+import { useState } from 'react';
+import { ExclamationTriangleIcon, XMarkIcon } from '@heroicons/react/24/outline';
+import useAuthStore from '@/stores/authStore';
+import { useResendVerification } from '../hooks/useAuth';
+
+// Reminder shown above every page until the signed-in user has verified their email address
+export function VerifyEmailBanner() {
+  const { user, updateUser } = useAuthStore();
+  const [dismissed, setDismissed] = useState(false);
+  const resendMutation = useResendVerification();
+
+  if (!user || user.isVerified !== false || dismissed) return null;
+
+  const handleResend = () => {
+    resendMutation.mutate(undefined, {
+      onError: (error) => {
+        // Verified in another browser since this session started
+        if (error.response?.status === 400) {
+          updateUser({ isVerified: true });
+        }
+      },
+    });
+  };
+
+  return (
+    <div className="mb-6 flex items-start gap-3 rounded-lg border border-yellow-200 bg-yellow-50 p-4 dark:border-yellow-800 dark:bg-yellow-900/20">
+      <ExclamationTriangleIcon className="h-5 w-5 flex-shrink-0 text-yellow-600 dark:text-yellow-400" />
+      <div className="flex-1 text-sm text-yellow-800 dark:text-yellow-200">
+        Please verify your email address. We sent a link to <span className="font-medium">{user.email}</span>.{' '}
+        <button
+          type="button"
+          onClick={handleResend}
+          disabled={resendMutation.isPending || resendMutation.isSuccess}
+          className="font-medium underline hover:no-underline disabled:opacity-60 disabled:no-underline"
+        >
+          {resendMutation.isSuccess ? 'Email sent' : 'Resend email'}
+        </button>
+      </div>
+      <button
+        type="button"
+        onClick={() => setDismissed(true)}
+        className="text-yellow-600 hover:text-yellow-800 dark:text-yellow-400"
+        title="Dismiss"
+      >
+        <XMarkIcon className="h-5 w-5" />
+      </button>
+    </div>
+  );
+}
+
+export default VerifyEmailBanner;
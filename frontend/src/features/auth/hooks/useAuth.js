@@ -11,6 +11,8 @@ export const useLogin = () => {
   return useMutation({
     mutationFn: authAPI.login,
     onSuccess: (data) => {
+      // Password accepted, but the session is only issued after the two-factor step
+      if (data.data?.twoFactorRequired) return;
       console.log('Login successful, user data:', data.data.user);
       login(data.data.user);
       toast.success(data.message || 'Login successful!');
@@ -24,6 +26,25 @@ export const useLogin = () => {
   });
 };
 
+// Second login step with an authenticator or recovery code
+export const useVerifyTwoFactor = () => {
+  const { login } = useAuthStore();
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: authAPI.verifyTwoFactor,
+    onSuccess: (data) => {
+      login(data.data.user);
+      toast.success(data.message || 'Login successful!');
+      queryClient.invalidateQueries({ queryKey: ['user'] });
+    },
+    onError: (error) => {
+      const message = error.response?.data?.message || 'Verification failed';
+      toast.error(message);
+    },
+  });
+};
+
 // Register hook
 export const useRegister = () => {
   const { login } = useAuthStore();
@@ -111,6 +132,190 @@ export const useChangePassword = () => {
   });
 };
 
+// Verify email hook (from the emailed link; works signed in or out)
+export const useVerifyEmail = () => {
+  const { isAuthenticated, updateUser } = useAuthStore();
+
+  return useMutation({
+    mutationFn: authAPI.verifyEmail,
+    onSuccess: (data) => {
+      if (isAuthenticated && data.data?.user) {
+        updateUser({ isVerified: true });
+      }
+    },
+  });
+};
+
+// Resend verification email hook
+export const useResendVerification = () => {
+  return useMutation({
+    mutationFn: authAPI.resendVerification,
+    onSuccess: (data) => {
+      toast.success(data.message || 'Verification email sent');
+    },
+    onError: (error) => {
+      const message = error.response?.data?.message || 'Failed to send verification email';
+      toast.error(message);
+    },
+  });
+};
+
+// Forgot password hook
+export const useForgotPassword = () => {
+  return useMutation({
+    mutationFn: authAPI.forgotPassword,
+    onError: (error) => {
+      const message = error.response?.data?.message || 'Failed to request a password reset';
+      toast.error(message);
+    },
+  });
+};
+
+// Reset password hook; the backend ends every session, so clear local auth state too
+export const useResetPassword = () => {
+  const { logout } = useAuthStore();
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: authAPI.resetPassword,
+    onSuccess: (data) => {
+      logout();
+      queryClient.clear();
+      toast.success(data.message || 'Password reset successfully');
+    },
+    onError: (error) => {
+      const message = error.response?.data?.message || 'Failed to reset password';
+      toast.error(message);
+    },
+  });
+};
+
+// Two-factor status of the signed-in user
+export const useTwoFactorStatus = () => {
+  const { isAuthenticated } = useAuthStore();
+
+  return useQuery({
+    queryKey: ['user', 'two-factor'],
+    queryFn: authAPI.getTwoFactorStatus,
+    select: (data) => data.data,
+    enabled: isAuthenticated,
+  });
+};
+
+// Start two-factor setup (QR code); nothing changes until the code is confirmed
+export const useSetupTwoFactor = () => {
+  return useMutation({
+    mutationFn: authAPI.setupTwoFactor,
+    onError: (error) => {
+      const message = error.response?.data?.message || 'Failed to start two-factor setup';
+      toast.error(message);
+    },
+  });
+};
+
+// Confirm two-factor setup; returns the recovery codes
+export const useEnableTwoFactor = () => {
+  const { user, updateUser } = useAuthStore();
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: authAPI.enableTwoFactor,
+    onSuccess: (data) => {
+      updateUser({ twoFactor: { ...user?.twoFactor, enabled: true } });
+      toast.success(data.message || 'Two-factor authentication enabled');
+      queryClient.invalidateQueries({ queryKey: ['user', 'two-factor'] });
+      // Requests to workspaces that require two-factor succeed now
+      queryClient.invalidateQueries();
+    },
+    onError: (error) => {
+      const message = error.response?.data?.message || 'Failed to enable two-factor authentication';
+      toast.error(message);
+    },
+  });
+};
+
+// Turn two-factor off
+export const useDisableTwoFactor = () => {
+  const { user, updateUser } = useAuthStore();
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: authAPI.disableTwoFactor,
+    onSuccess: (data) => {
+      updateUser({ twoFactor: { ...user?.twoFactor, enabled: false } });
+      toast.success(data.message || 'Two-factor authentication disabled');
+      queryClient.invalidateQueries({ queryKey: ['user', 'two-factor'] });
+    },
+    onError: (error) => {
+      const message = error.response?.data?.message || 'Failed to disable two-factor authentication';
+      toast.error(message);
+    },
+  });
+};
+
+// Replace the recovery codes
+export const useRegenerateRecoveryCodes = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: authAPI.regenerateRecoveryCodes,
+    onSuccess: (data) => {
+      toast.success(data.message || 'New recovery codes generated');
+      queryClient.invalidateQueries({ queryKey: ['user', 'two-factor'] });
+    },
+    onError: (error) => {
+      const message = error.response?.data?.message || 'Failed to generate recovery codes';
+      toast.error(message);
+    },
+  });
+};
+
+// Devices the user is signed in on
+export const useSessions = () => {
+  const { isAuthenticated } = useAuthStore();
+
+  return useQuery({
+    queryKey: ['user', 'sessions'],
+    queryFn: authAPI.getSessions,
+    select: (data) => data.data?.sessions || [],
+    enabled: isAuthenticated,
+  });
+};
+
+// Sign out one device
+export const useRevokeSession = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: authAPI.revokeSession,
+    onSuccess: (data) => {
+      toast.success(data.message || 'Session signed out');
+      queryClient.invalidateQueries({ queryKey: ['user', 'sessions'] });
+    },
+    onError: (error) => {
+      const message = error.response?.data?.message || 'Failed to sign out session';
+      toast.error(message);
+    },
+  });
+};
+
+// Sign out every other device
+export const useRevokeOtherSessions = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: authAPI.revokeOtherSessions,
+    onSuccess: (data) => {
+      toast.success(data.message || 'Signed out other sessions');
+      queryClient.invalidateQueries({ queryKey: ['user', 'sessions'] });
+    },
+    onError: (error) => {
+      const message = error.response?.data?.message || 'Failed to sign out other sessions';
+      toast.error(message);
+    },
+  });
+};
+
 // Refresh token hook (for manual refresh if needed)
 export const useRefreshToken = () => {
   const { login } = useAuthStore();
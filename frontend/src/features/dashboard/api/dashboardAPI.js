@@ -12,4 +12,30 @@ export const dashboardAPI = {
     const response = await api.get(`/api/dashboard/unpushed-products?limit=${limit}`);
     return response.data; // Return response.data to access backend data properly
   },
+
+  // Sales analytics from stored orders; params: { storeId, from, to, days }
+  getSalesSummary: async (params = {}) => {
+    const response = await api.get('/api/dashboard/sales/summary', { params });
+    return response.data?.data;
+  },
+
+  getSalesByProduct: async (params = {}) => {
+    const response = await api.get('/api/dashboard/sales/by-product', { params });
+    return response.data?.data;
+  },
+
+  getSalesByStore: async (params = {}) => {
+    const response = await api.get('/api/dashboard/sales/by-store', { params });
+    return response.data?.data;
+  },
+
+  getSalesByDay: async (params = {}) => {
+    const response = await api.get('/api/dashboard/sales/by-day', { params });
+    return response.data?.data;
+  },
+
+  getSellThrough: async (params = {}) => {
+    const response = await api.get('/api/dashboard/sales/sell-through', { params });
+    return response.data?.data;
+  },
 };
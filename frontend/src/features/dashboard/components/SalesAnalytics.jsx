@@ -0,0 +1,234 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { ShoppingCart, Package, DollarSign, TrendingUp } from 'lucide-react';
+import { useSalesAnalytics } from '../hooks/useDashboard.js';
+
+const PERIODS = [
+  { value: 7, label: 'Last 7 days' },
+  { value: 30, label: 'Last 30 days' },
+  { value: 90, label: 'Last 90 days' }
+];
+
+// Amounts are in shop currency; with several currencies only the number is shown
+const formatMoney = (value, currencies = []) => {
+  if (currencies.length === 1) {
+    return new Intl.NumberFormat(undefined, { style: 'currency', currency: currencies[0] }).format(value || 0);
+  }
+  return (value || 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+};
+
+const StatTile = ({ label, value, icon, color }) => {
+  const Icon = icon;
+  return (
+    <div className="bg-white dark:bg-gray-900 p-4 rounded-lg border border-gray-200 dark:border-gray-700">
+      <div className="flex items-center justify-between">
+        <div>
+          <p className="text-sm font-medium text-gray-600 dark:text-gray-400">{label}</p>
+          <p className="text-xl font-bold text-gray-900 dark:text-white">{value}</p>
+        </div>
+        <div className={`p-2 rounded-full ${color}`}>
+          <Icon className="h-5 w-5" />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const Section = ({ title, children }) => (
+  <div className="bg-white dark:bg-gray-900 rounded-lg border border-gray-200 dark:border-gray-700 p-4">
+    <h3 className="text-sm font-semibold text-gray-900 dark:text-white mb-4">{title}</h3>
+    {children}
+  </div>
+);
+
+// Horizontal bar list: [{ key, label, value, display?, detail }]
+const BarList = ({ rows, formatValue, emptyText }) => {
+  const max = Math.max(...rows.map(row => row.value), 0);
+  if (rows.length === 0) {
+    return <p className="text-sm text-gray-500 dark:text-gray-400">{emptyText}</p>;
+  }
+  return (
+    <div className="space-y-3">
+      {rows.map(row => (
+        <div key={row.key}>
+          <div className="flex items-center justify-between text-sm mb-1">
+            <span className="text-gray-900 dark:text-white truncate mr-2">{row.label}</span>
+            <span className="text-gray-600 dark:text-gray-400 whitespace-nowrap">
+              {row.display ?? formatValue(row.value)}{row.detail ? ` · ${row.detail}` : ''}
+            </span>
+          </div>
+          <div className="h-2 bg-gray-100 dark:bg-gray-800 rounded">
+            <div
+              className="h-2 bg-blue-500 rounded"
+              style={{ width: `${max > 0 ? (row.value / max) * 100 : 0}%` }}
+            />
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+/**
+ * SalesAnalytics
+ * Charts built from orders stored by the order webhooks: totals, revenue by day, top products,
+ * revenue by store (all stores only) and sell-through against assigned inventory.
+ * Props:
+ * - storeId: limit to one store (StoreDetail); omitted for every connected store (Dashboard)
+ */
+export const SalesAnalytics = ({ storeId }) => {
+  const [days, setDays] = useState(30);
+  const { data, isLoading, error } = useSalesAnalytics({ storeId, days });
+
+  const summary = data?.summary;
+  const currencies = summary?.currencies || [];
+  const money = (value) => formatMoney(value, currencies);
+  const maxDayRevenue = Math.max(...(data?.days || []).map(day => day.revenue), 0);
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Sales</h2>
+          <p className="text-sm text-gray-600 dark:text-gray-400">
+            From orders received from {storeId ? 'this store' : 'your stores'}; cancelled orders are excluded
+          </p>
+        </div>
+        <select
+          value={days}
+          onChange={(e) => setDays(Number(e.target.value))}
+          className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md text-sm bg-white dark:bg-gray-800 text-gray-900 dark:text-white"
+        >
+          {PERIODS.map(period => (
+            <option key={period.value} value={period.value}>{period.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {error && (
+        <div className="p-3 rounded border border-red-200 bg-red-50 text-red-700 text-sm">
+          Failed to load sales data. {error.response?.data?.message || ''}
+        </div>
+      )}
+
+      {isLoading ? (
+        <div className="animate-pulse grid grid-cols-2 lg:grid-cols-4 gap-4">
+          {[1, 2, 3, 4].map(i => (
+            <div key={i} className="h-20 bg-gray-200 dark:bg-gray-800 rounded-lg"></div>
+          ))}
+        </div>
+      ) : summary && (
+        <>
+          <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+            <StatTile label="Orders" value={summary.orders} icon={ShoppingCart} color="bg-blue-100 text-blue-600" />
+            <StatTile label="Units Sold" value={summary.unitsSold} icon={Package} color="bg-green-100 text-green-600" />
+            <StatTile label="Revenue" value={money(summary.revenue)} icon={DollarSign} color="bg-purple-100 text-purple-600" />
+            <StatTile label="Avg. Order" value={money(summary.averageOrderValue)} icon={TrendingUp} color="bg-orange-100 text-orange-600" />
+          </div>
+
+          {currencies.length > 1 && (
+            <p className="text-xs text-gray-500 dark:text-gray-400">
+              Stores use different currencies ({currencies.join(', ')}); amounts are added without conversion.
+            </p>
+          )}
+
+          <Section title="Revenue by Day">
+            <div className="flex items-end h-40 gap-px">
+              {data.days.map(day => (
+                <div
+                  key={day.date}
+                  title={`${day.date}: ${money(day.revenue)} · ${day.orders} orders · ${day.unitsSold} units`}
+                  className="flex-1 bg-blue-500 hover:bg-blue-600 rounded-t"
+                  style={{ height: `${maxDayRevenue > 0 ? Math.max((day.revenue / maxDayRevenue) * 100, day.revenue > 0 ? 2 : 0) : 0}%` }}
+                />
+              ))}
+            </div>
+            <div className="flex justify-between text-xs text-gray-500 dark:text-gray-400 mt-2">
+              <span>{data.days[0]?.date}</span>
+              <span>{data.days[data.days.length - 1]?.date}</span>
+            </div>
+          </Section>
+
+          <div className={`grid grid-cols-1 ${storeId ? '' : 'lg:grid-cols-2'} gap-4`}>
+            <Section title="Top Products by Revenue">
+              <BarList
+                rows={data.products.map(product => ({
+                  key: product.productId,
+                  label: product.title,
+                  value: product.revenue,
+                  detail: `${product.unitsSold} units`
+                }))}
+                formatValue={money}
+                emptyText="No sales of dashboard products in this period."
+              />
+            </Section>
+
+            {!storeId && (
+              <Section title="Revenue by Store">
+                <BarList
+                  rows={data.stores.map(store => ({
+                    key: store.storeId,
+                    label: store.storeName,
+                    value: store.revenue,
+                    display: formatMoney(store.revenue, store.currency ? [store.currency] : []),
+                    detail: `${store.orders} orders`
+                  }))}
+                  formatValue={money}
+                  emptyText="No orders in this period."
+                />
+              </Section>
+            )}
+          </div>
+
+          <Section title="Sell-Through (sold vs. still assigned)">
+            {data.sellThrough.length === 0 ? (
+              <p className="text-sm text-gray-500 dark:text-gray-400">No assigned inventory or sales yet.</p>
+            ) : (
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500 dark:text-gray-400">
+                    <th className="pb-2 font-medium">Product</th>
+                    {!storeId && <th className="pb-2 font-medium">Store</th>}
+                    <th className="pb-2 font-medium text-right">Sold</th>
+                    <th className="pb-2 font-medium text-right">Assigned</th>
+                    <th className="pb-2 font-medium w-1/4">Sell-through</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100 dark:divide-gray-800">
+                  {data.sellThrough.map(row => (
+                    <tr key={`${row.productId}-${row.storeId}`}>
+                      <td className="py-2 pr-2">
+                        <Link to={`/products/${row.productId}`} className="text-blue-600 hover:text-blue-800">
+                          {row.title}
+                        </Link>
+                      </td>
+                      {!storeId && <td className="py-2 pr-2 text-gray-600 dark:text-gray-400">{row.storeName}</td>}
+                      <td className="py-2 text-right text-gray-900 dark:text-white">{row.unitsSold}</td>
+                      <td className="py-2 text-right text-gray-900 dark:text-white">{row.assigned}</td>
+                      <td className="py-2 pl-4">
+                        <div className="flex items-center gap-2">
+                          <div className="flex-1 h-2 bg-gray-100 dark:bg-gray-800 rounded">
+                            <div className="h-2 bg-green-500 rounded" style={{ width: `${row.sellThroughRate * 100}%` }} />
+                          </div>
+                          <span className="text-xs text-gray-600 dark:text-gray-400 w-10 text-right">
+                            {Math.round(row.sellThroughRate * 100)}%
+                          </span>
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </Section>
+
+          {summary.unmappedUnits > 0 && (
+            <p className="text-xs text-gray-500 dark:text-gray-400">
+              {summary.unmappedUnits} units were sold of store products not linked to a dashboard product.
+            </p>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
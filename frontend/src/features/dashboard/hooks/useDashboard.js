@@ -27,3 +27,33 @@ export const useUnpushedProducts = (limit = 10) => {
     refetchOnWindowFocus: false,
   });
 };
+
+// Sales analytics for the dashboard or one store (params: { storeId, days })
+export const useSalesAnalytics = (params = {}) => {
+  const { isAuthenticated } = useAuthStore();
+  const { storeId, days = 30 } = params;
+  const query = { days, ...(storeId ? { storeId } : {}) };
+
+  return useQuery({
+    queryKey: ['dashboard', 'sales', storeId || 'all', days],
+    queryFn: async () => {
+      const [summary, byProduct, byStore, byDay, sellThrough] = await Promise.all([
+        dashboardAPI.getSalesSummary(query),
+        dashboardAPI.getSalesByProduct({ ...query, limit: 5 }),
+        storeId ? Promise.resolve(null) : dashboardAPI.getSalesByStore(query),
+        dashboardAPI.getSalesByDay(query),
+        dashboardAPI.getSellThrough({ ...query, limit: 5 }),
+      ]);
+      return {
+        summary,
+        products: byProduct?.products || [],
+        stores: byStore?.stores || [],
+        days: byDay?.days || [],
+        sellThrough: sellThrough?.rows || [],
+      };
+    },
+    enabled: isAuthenticated,
+    staleTime: 5 * 60 * 1000, // 5 minutes
+    refetchOnWindowFocus: false,
+  });
+};
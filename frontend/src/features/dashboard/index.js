@@ -1,3 +1,4 @@
 // Dashboard Feature Exports
 export * from './api/dashboardAPI.js';
 export * from './hooks/useDashboard.js';
+export * from './components/SalesAnalytics.jsx';
@@ -94,3 +94,100 @@ export const collectionApi = {
     );
   }
 };
+
+/**
+ * Master Collection API
+ * Dashboard collections pushed to one or more stores
+ * Matches backend masterCollectionRoutes.js
+ */
+export const masterCollectionApi = {
+  /**
+   * List master collections
+   * GET /api/master-collections
+   */
+  getAll: async (params = {}) => {
+    const response = await api.get('/api/master-collections', { params });
+    return response.data?.data;
+  },
+
+  /**
+   * Get master collection with member products and store mappings
+   * GET /api/master-collections/:id
+   */
+  getById: async (id) => {
+    const response = await api.get(`/api/master-collections/${id}`);
+    return response.data?.data;
+  },
+
+  /**
+   * Create master collection
+   * POST /api/master-collections
+   */
+  create: async (collectionData) => {
+    const response = await api.post('/api/master-collections', collectionData);
+    return response.data?.data;
+  },
+
+  /**
+   * Update master collection; changes are pushed to its stores
+   * PUT /api/master-collections/:id
+   */
+  update: async (id, collectionData) => {
+    const response = await api.put(`/api/master-collections/${id}`, collectionData);
+    return response.data;
+  },
+
+  /**
+   * Delete master collection
+   * DELETE /api/master-collections/:id
+   */
+  delete: async (id, { deleteFromStores = false } = {}) => {
+    const response = await api.delete(`/api/master-collections/${id}`, { params: { deleteFromStores } });
+    return response.data?.data;
+  },
+
+  /**
+   * Add dashboard products to a manual collection
+   * POST /api/master-collections/:id/products
+   */
+  addProducts: async (id, productIds) => {
+    const response = await api.post(`/api/master-collections/${id}/products`, { productIds });
+    return response.data;
+  },
+
+  /**
+   * Remove dashboard products from a manual collection
+   * DELETE /api/master-collections/:id/products
+   */
+  removeProducts: async (id, productIds) => {
+    const response = await api.delete(`/api/master-collections/${id}/products`, { data: { productIds } });
+    return response.data;
+  },
+
+  /**
+   * Create or update the collection in the selected stores
+   * POST /api/master-collections/:id/push
+   */
+  push: async (id, storeIds) => {
+    const response = await api.post(`/api/master-collections/${id}/push`, { storeIds });
+    return response.data;
+  },
+
+  /**
+   * Preview the dashboard products a smart collection rule set selects
+   * POST /api/master-collections/preview
+   */
+  previewRules: async (ruleSet, { limit } = {}) => {
+    const response = await api.post('/api/master-collections/preview', { ruleSet, limit });
+    return response.data?.data;
+  },
+
+  /**
+   * Stop syncing the collection to a store
+   * DELETE /api/master-collections/:id/stores/:storeId
+   */
+  unlinkStore: async (id, storeId, { deleteInStore = false } = {}) => {
+    const response = await api.delete(`/api/master-collections/${id}/stores/${storeId}`, { params: { deleteInStore } });
+    return response.data?.data;
+  }
+};
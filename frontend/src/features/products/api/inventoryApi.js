@@ -64,8 +64,27 @@ export const inventoryApi = {
   },
 
   /**
-   * Get inventory history
+   * Get the master stock pool: on-hand, allocated and unallocated units per variant
+   * GET /api/inventory/products/:productId/inventory/pool
+   */
+  getInventoryPool: async (productId) => {
+    const response = await api.get(`/api/inventory/products/${productId}/inventory/pool`);
+    return response.data?.data;
+  },
+
+  /**
+   * Turn shared pool mode on or off (remaining stock is split between stores after each sale)
+   * PATCH /api/inventory/products/:productId/inventory/pool
+   */
+  updateInventoryPool: async (productId, settings) => {
+    const response = await api.patch(`/api/inventory/products/${productId}/inventory/pool`, settings);
+    return response.data?.data;
+  },
+
+  /**
+   * Get inventory history from the movement ledger
    * GET /api/inventory/products/:productId/stores/:storeId/inventory/history
+   * @param {Object} options - { variantIndex, action, locationId, from, to, page, limit }
    */
   getInventoryHistory: async (productId, storeId, options = {}) => {
   const response = await api.get(
@@ -75,6 +94,19 @@ export const inventoryApi = {
   return response.data?.data;
   },
 
+  /**
+   * Download inventory history as CSV (same filters as getInventoryHistory, without paging)
+   * GET /api/inventory/products/:productId/stores/:storeId/inventory/history?format=csv
+   * @returns {Promise<Blob>}
+   */
+  exportInventoryHistory: async (productId, storeId, options = {}) => {
+    const response = await api.get(
+      `/api/inventory/products/${productId}/stores/${storeId}/inventory/history`,
+      { params: { ...options, format: 'csv', page: undefined, limit: undefined }, responseType: 'blob' }
+    );
+    return response.data;
+  },
+
   // ==============================================
   // UTILITY FUNCTIONS
   // ==============================================
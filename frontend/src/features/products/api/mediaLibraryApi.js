@@ -0,0 +1,89 @@
+import { api } from '@/lib/api.js';
+
+/**
+ * Media Library API
+ * Matches backend mediaLibraryController.js routes
+ * Files uploaded here can be attached to many products
+ */
+export const mediaLibraryApi = {
+  /**
+   * List and search library media
+   * GET /api/media
+   */
+  getAll: async (params = {}) => {
+    const response = await api.get('/api/media', { params });
+    return response.data?.data;
+  },
+
+  /**
+   * Folders and tags with file counts
+   * GET /api/media/facets
+   */
+  getFacets: async () => {
+    const response = await api.get('/api/media/facets');
+    return response.data?.data;
+  },
+
+  /**
+   * Upload files into the library
+   * POST /api/media
+   */
+  upload: async ({ files, folder, tags }) => {
+    const formData = new FormData();
+    files.forEach((file) => formData.append('media', file));
+    if (folder) formData.append('folder', folder);
+    if (tags) formData.append('tags', tags);
+
+    const response = await api.post('/api/media', formData, {
+      headers: {
+        'Content-Type': 'multipart/form-data'
+      }
+    });
+    return response.data;
+  },
+
+  /**
+   * Edit alt text, caption, folder or tags
+   * PUT /api/media/:id
+   */
+  update: async (id, data) => {
+    const response = await api.put(`/api/media/${id}`, data);
+    return response.data?.data;
+  },
+
+  /**
+   * Delete a library file
+   * DELETE /api/media/:id
+   */
+  delete: async (id, { force = false } = {}) => {
+    const response = await api.delete(`/api/media/${id}`, { params: { force } });
+    return response.data?.data;
+  },
+
+  /**
+   * Attach a library file to products
+   * POST /api/media/:id/attach
+   */
+  attach: async (id, productIds) => {
+    const response = await api.post(`/api/media/${id}/attach`, { productIds });
+    return response.data;
+  },
+
+  /**
+   * Detach a library file from products
+   * POST /api/media/:id/detach
+   */
+  detach: async (id, productIds) => {
+    const response = await api.post(`/api/media/${id}/detach`, { productIds });
+    return response.data;
+  },
+
+  /**
+   * Delete unused library files
+   * POST /api/media/cleanup
+   */
+  cleanup: async ({ dryRun = false, olderThanDays = 0 } = {}) => {
+    const response = await api.post('/api/media/cleanup', { dryRun, olderThanDays });
+    return response.data;
+  }
+};
@@ -149,6 +149,29 @@ export const productApi = {
   return response.data?.data;
   },
 
+  /**
+   * Import products from a Shopify product CSV
+   * POST /api/products/import/csv
+   * @param {Object} params - Import parameters
+   * @param {File} params.file - CSV file in Shopify's product format
+   * @param {string} [params.mode='create'] - Existing handles: 'create' | 'update' | 'skip'
+   * @param {boolean} [params.dryRun=false] - Only validate and report
+   * @returns {Promise<Object>} Report { summary, products, errors }
+   */
+  importCsv: async ({ file, mode = 'create', dryRun = false }) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    formData.append('mode', mode);
+    formData.append('dryRun', String(dryRun));
+
+    const response = await api.post('/api/products/import/csv', formData, {
+      headers: {
+        'Content-Type': 'multipart/form-data'
+      }
+    });
+    return response.data?.data;
+  },
+
   // ==============================================
   // PRODUCT OPTIONS MANAGEMENT (3 routes)
   // ==============================================
@@ -19,7 +19,9 @@ export const shopifySyncApi = {
   forceSync: syncOptions.forceSync || false,
   // New minimal payload: variant overrides and assigned inventory
   variantOverrides: syncOptions.variantOverrides || {},
-  assignedInventory: syncOptions.assignedInventory || {}
+  assignedInventory: syncOptions.assignedInventory || {},
+  // Persistent per-store customizations and price rules (saved on the store mapping)
+  ...(syncOptions.storeRules ? { storeRules: syncOptions.storeRules } : {})
     });
     return response.data;
   },
@@ -116,12 +118,120 @@ export const shopifySyncApi = {
     return response.data;
   },
 
+  // ==============================================
+  // STORE RULES (customizations and price adjustments)
+  // ==============================================
+
+  /**
+   * Get saved store rules for a product, with a preview
+   * GET /api/shopify-admin/products/:productId/stores/:storeId/rules
+   */
+  getStoreRules: async (productId, storeId) => {
+    const response = await api.get(
+      `/api/shopify-admin/products/${productId}/stores/${storeId}/rules`
+    );
+    return response.data;
+  },
+
+  /**
+   * Save store rules for a product already pushed to the store
+   * PUT /api/shopify-admin/products/:productId/stores/:storeId/rules
+   */
+  updateStoreRules: async (productId, storeId, rules) => {
+    const response = await api.put(
+      `/api/shopify-admin/products/${productId}/stores/${storeId}/rules`,
+      rules
+    );
+    return response.data;
+  },
+
+  /**
+   * Reset store rules to defaults
+   * DELETE /api/shopify-admin/products/:productId/stores/:storeId/rules
+   */
+  deleteStoreRules: async (productId, storeId) => {
+    const response = await api.delete(
+      `/api/shopify-admin/products/${productId}/stores/${storeId}/rules`
+    );
+    return response.data;
+  },
+
+  /**
+   * Preview what the store would receive with unsaved rules
+   * POST /api/shopify-admin/products/:productId/stores/:storeId/rules/preview
+   */
+  previewStoreRules: async (productId, storeId, rules) => {
+    const response = await api.post(
+      `/api/shopify-admin/products/${productId}/stores/${storeId}/rules/preview`,
+      rules
+    );
+    return response.data;
+  },
+
+  // ==============================================
+  // DRIFT REVIEW
+  // ==============================================
+
+  /**
+   * Compare the live store product with the dashboard master
+   * GET /api/shopify-admin/products/:productId/stores/:storeId/drift
+   */
+  getProductDrift: async (productId, storeId) => {
+    const response = await api.get(
+      `/api/shopify-admin/products/${productId}/stores/${storeId}/drift`
+    );
+    return response.data;
+  },
+
+  /**
+   * Resolve drifted fields: push, pull or override per field
+   * POST /api/shopify-admin/products/:productId/stores/:storeId/drift/resolve
+   */
+  resolveProductDrift: async (productId, storeId, resolutions) => {
+    const response = await api.post(
+      `/api/shopify-admin/products/${productId}/stores/${storeId}/drift/resolve`,
+      { resolutions }
+    );
+    return response.data;
+  },
+
+  // ==============================================
+  // SYNC JOBS (background push queue)
+  // ==============================================
+
+  /**
+   * List sync jobs for the current user
+   * GET /api/sync-jobs
+   */
+  getSyncJobs: async (params = {}) => {
+    const response = await api.get('/api/sync-jobs', { params });
+    return response.data;
+  },
+
+  /**
+   * Get a sync job with per-product results
+   * GET /api/sync-jobs/:jobId
+   */
+  getSyncJob: async (jobId) => {
+    const response = await api.get(`/api/sync-jobs/${jobId}`);
+    return response.data;
+  },
+
+  /**
+   * Cancel a queued or running sync job
+   * POST /api/sync-jobs/:jobId/cancel
+   */
+  cancelSyncJob: async (jobId) => {
+    const response = await api.post(`/api/sync-jobs/${jobId}/cancel`);
+    return response.data;
+  },
+
   // ==============================================
   // CONVENIENCE METHODS
   // ==============================================
 
   /**
-   * Sync product to multiple stores - Updated to handle store-specific options
+   * Queue a product sync to multiple stores - one background job per store
    */
   syncToMultipleStores: async (productId, storesWithOptions) => {
     if (!Array.isArray(storesWithOptions)) {
@@ -149,7 +259,8 @@ export const shopifySyncApi = {
     return {
       forceSync: options.forceUpdate || false,
       variantOverrides: options.variantOverrides || {},
-      assignedInventory: options.assignedInventory || {}
+      assignedInventory: options.assignedInventory || {},
+      ...(options.storeRules ? { storeRules: options.storeRules } : {})
     };
   }
 };
@@ -6,11 +6,21 @@ import { Select } from '@/components/ui/Select.jsx';
 import { 
   useStoreLocations,
   useAssignInventoryToStore,
-  useSyncInventoryFromShopify
+  useSyncInventoryFromShopify,
+  useInventoryPool,
+  useUpdateInventoryPool
 } from '../hooks/useInventoryApi.js';
 import { useConnectedStores } from '@/features/shopify/hooks/useShopify.js';
 import { toast } from 'react-hot-toast';
 
+// Outcome of writing an assignment to the Shopify location (see backend inventoryPush.service.js)
+const RESULT_BADGES = {
+  applied: { variant: 'success', label: 'Applied' },
+  mismatch: { variant: 'error', label: 'Mismatch' },
+  conflict: { variant: 'warning', label: 'Changed in Shopify' },
+  failed: { variant: 'error', label: 'Failed' }
+};
+
 export const InventoryAssignmentModal = ({ 
   isOpen, 
   onClose, 
@@ -21,17 +31,22 @@ export const InventoryAssignmentModal = ({
   const [selectedLocation, setSelectedLocation] = useState('');
   const [variantQuantities, setVariantQuantities] = useState({});
   const [isAssigning, setIsAssigning] = useState(false);
+  const [mode, setMode] = useState('set');
+  const [pushResults, setPushResults] = useState(null);
 
   const { data: stores = [] } = useConnectedStores();
-  const { data: locations = [] } = useStoreLocations();
+  const { data: locations = [] } = useStoreLocations(selectedStore);
   const assignInventory = useAssignInventoryToStore();
   const syncInventory = useSyncInventoryFromShopify();
+  const { data: pool } = useInventoryPool(product?.id, { enabled: isOpen });
+  const updatePool = useUpdateInventoryPool();
 
   const handleStoreChange = (storeId) => {
     setSelectedStore(storeId);
     setSelectedLocation('');
     // Reset quantities when store changes
     setVariantQuantities({});
+    setPushResults(null);
   };
 
   const handleQuantityChange = (variantIndex, quantity) => {
@@ -66,16 +81,22 @@ export const InventoryAssignmentModal = ({
 
     setIsAssigning(true);
     try {
-      await assignInventory.mutateAsync({
+      const result = await assignInventory.mutateAsync({
         productId: product.id,
         storeId: selectedStore,
         inventoryData: {
           variantInventory,
-          locationId: selectedLocation
+          locationId: selectedLocation,
+          mode
         }
       });
 
-      toast.success('Inventory assigned successfully!');
+      // Keep the modal open when Shopify did not confirm every quantity
+      const results = result?.shopify?.results || [];
+      if (results.some(r => r.status !== 'applied')) {
+        setPushResults(results);
+        return;
+      }
       onClose();
     } catch (error) {
       toast.error(error.message || 'Failed to assign inventory');
@@ -98,6 +119,16 @@ export const InventoryAssignmentModal = ({
     }
   };
 
+  // Units this store location can take: not allocated to anyone plus what it already holds
+  const getAssignable = (variantIndex, masterQuantity) => {
+    const poolVariant = pool?.variants?.find(v => v.variantIndex === variantIndex);
+    if (!poolVariant) return masterQuantity;
+    const held = poolVariant.allocations
+      .filter(a => a.store === selectedStore && a.locationId === selectedLocation)
+      .reduce((sum, a) => sum + a.quantity, 0);
+    return poolVariant.unallocated + held;
+  };
+
   const getStoreInventory = (storeId) => {
     return inventorySummary?.storeInventory?.find(s => s.storeId === storeId);
   };
@@ -116,6 +147,23 @@ export const InventoryAssignmentModal = ({
       size="lg"
     >
       <div className="space-y-6">
+        {/* Stock pool mode */}
+        <label className="flex items-start space-x-3 p-3 bg-gray-50 rounded-lg cursor-pointer">
+          <input
+            type="checkbox"
+            checked={pool?.sharedPool || false}
+            disabled={!pool || updatePool.isPending}
+            onChange={(e) => updatePool.mutate({ productId: product.id, sharedPool: e.target.checked })}
+            className="mt-1 h-4 w-4 text-blue-600 border-gray-300 rounded"
+          />
+          <div>
+            <span className="text-sm font-medium text-gray-900">Shared pool</span>
+            <p className="text-xs text-gray-500">
+              After each sale, split the remaining stock evenly between the stores holding this product
+            </p>
+          </div>
+        </label>
+
         {/* Store Selection */}
         <div>
           <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -209,6 +257,59 @@ export const InventoryAssignmentModal = ({
           </div>
         )}
 
+        {/* How the assignment is written to Shopify */}
+        {selectedStore && selectedLocation && (
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Shopify Update
+            </label>
+            <Select
+              options={[
+                { value: 'set', label: 'Set quantity', subtitle: 'Replace the location quantity, unless it changes while saving' },
+                { value: 'adjust', label: 'Adjust by difference', subtitle: 'Add the change from the previous assignment, keeping sales since then' }
+              ]}
+              value={mode}
+              onChange={setMode}
+              className="w-full"
+            />
+          </div>
+        )}
+
+        {/* Shopify confirmation for the last assignment */}
+        {pushResults && (
+          <div>
+            <h3 className="text-sm font-medium text-gray-900 mb-2">
+              Shopify Confirmation
+            </h3>
+            <div className="border border-gray-200 rounded-lg divide-y divide-gray-100">
+              {pushResults.map(result => {
+                const badge = RESULT_BADGES[result.status] || RESULT_BADGES.failed;
+                const variant = inventorySummary?.masterInventory?.[result.variantIndex];
+                return (
+                  <div key={result.variantIndex} className="flex items-center justify-between p-3 text-sm">
+                    <div>
+                      <span className="font-medium text-gray-900">
+                        {variant?.sku || `Variant ${result.variantIndex + 1}`}
+                      </span>
+                      {result.message && (
+                        <p className="text-xs text-gray-500 mt-1">{result.message}</p>
+                      )}
+                    </div>
+                    <div className="flex items-center space-x-3">
+                      {result.expectedQuantity !== undefined && (
+                        <span className="text-xs text-gray-500">
+                          Expected {result.expectedQuantity} • Shopify {result.confirmedQuantity ?? '—'}
+                        </span>
+                      )}
+                      <Badge variant={badge.variant} size="sm">{badge.label}</Badge>
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        )}
+
         {/* Variant Inventory Assignment */}
         {selectedStore && selectedLocation && (
           <div>
@@ -226,6 +327,9 @@ export const InventoryAssignmentModal = ({
                       <Badge variant="outline" className="text-xs">
                         Master: {variant.masterQuantity} units
                       </Badge>
+                      <Badge variant="outline" className="text-xs">
+                        Available: {getAssignable(index, variant.masterQuantity)} units
+                      </Badge>
                     </div>
                     <p className="text-xs text-gray-500 mt-1">
                       Price: ${variant.price}
@@ -236,7 +340,7 @@ export const InventoryAssignmentModal = ({
                     <input
                       type="number"
                       min="0"
-                      max={variant.masterQuantity}
+                      max={getAssignable(index, variant.masterQuantity)}
                       value={variantQuantities[index] || ''}
                       onChange={(e) => handleQuantityChange(index, e.target.value)}
                       placeholder="0"
@@ -0,0 +1,187 @@
+import { useEffect, useState } from 'react'
+import { Modal } from '@/components/ui/Modal'
+import { Button } from '@/components/ui/Button'
+import { Input } from '@/components/ui/Input'
+import { Select } from '@/components/ui/Select'
+import { useProducts } from '../../hooks/useProductApi'
+import { useCreateMasterCollection, useUpdateMasterCollection } from '../../hooks/useCollectionApi'
+import { SmartCollectionRuleBuilder } from '../StorePush/SmartCollectionRuleBuilder'
+import { cleanRuleSet, emptyRule } from '../StorePush/collectionRules'
+
+const typeOptions = [
+  { value: 'MANUAL', label: 'Manual - pick products' },
+  { value: 'SMART', label: 'Smart - products matching rules' },
+]
+
+const sortOptions = [
+  { value: 'MANUAL', label: 'Manual' },
+  { value: 'BEST_SELLING', label: 'Best selling' },
+  { value: 'ALPHA_ASC', label: 'Title A-Z' },
+  { value: 'ALPHA_DESC', label: 'Title Z-A' },
+  { value: 'PRICE_DESC', label: 'Price high to low' },
+  { value: 'PRICE_ASC', label: 'Price low to high' },
+  { value: 'CREATED_DESC', label: 'Newest' },
+  { value: 'CREATED', label: 'Oldest' },
+]
+
+const emptyForm = {
+  title: '',
+  descriptionHtml: '',
+  handle: '',
+  collectionType: 'MANUAL',
+  sortOrder: 'MANUAL',
+  productIds: [],
+  ruleSet: { appliedDisjunctively: false, rules: [emptyRule] },
+}
+
+const toForm = (collection) => ({
+  title: collection.title || '',
+  descriptionHtml: collection.descriptionHtml || '',
+  handle: collection.handle || '',
+  collectionType: collection.collectionType || 'MANUAL',
+  sortOrder: collection.sortOrder || 'MANUAL',
+  productIds: collection.productIds || [],
+  ruleSet: collection.ruleSet?.rules?.length
+    ? { appliedDisjunctively: !!collection.ruleSet.appliedDisjunctively, rules: collection.ruleSet.rules }
+    : emptyForm.ruleSet,
+})
+
+/**
+ * Create or edit a master collection
+ * Saving a collection that is already in stores pushes the change to them
+ */
+export default function CollectionFormModal({ isOpen, onClose, collection }) {
+  const [form, setForm] = useState(emptyForm)
+  const [productSearch, setProductSearch] = useState('')
+  const createCollection = useCreateMasterCollection()
+  const updateCollection = useUpdateMasterCollection()
+  const { data: productsData } = useProducts({ search: productSearch, page: 1, limit: 50 })
+
+  const isEditing = !!collection
+  const isPushed = collection?.storeMappings?.length > 0
+  const products = productsData?.products || []
+  const isSaving = createCollection.isPending || updateCollection.isPending
+
+  useEffect(() => {
+    if (isOpen) setForm(collection ? toForm(collection) : emptyForm)
+  }, [isOpen, collection])
+
+  const setField = (key, value) => setForm((previous) => ({ ...previous, [key]: value }))
+
+  const toggleProduct = (productId) => {
+    setField('productIds', form.productIds.includes(productId)
+      ? form.productIds.filter((id) => id !== productId)
+      : [...form.productIds, productId])
+  }
+
+  const handleSave = () => {
+    const payload = {
+      title: form.title,
+      descriptionHtml: form.descriptionHtml,
+      collectionType: form.collectionType,
+      sortOrder: form.sortOrder,
+      ...(form.handle ? { handle: form.handle } : {}),
+      ...(form.collectionType === 'MANUAL'
+        ? { productIds: form.productIds }
+        : { ruleSet: cleanRuleSet(form.ruleSet) }),
+    }
+
+    const options = { onSuccess: onClose }
+    if (isEditing) {
+      updateCollection.mutate({ id: collection._id, ...payload }, options)
+    } else {
+      createCollection.mutate(payload, options)
+    }
+  }
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title={isEditing ? 'Edit Collection' : 'New Collection'}
+      size="2xl"
+      footer={
+        <>
+          <Button variant="outline" onClick={onClose} disabled={isSaving}>
+            Cancel
+          </Button>
+          <Button onClick={handleSave} disabled={!form.title.trim()} loading={isSaving}>
+            {isEditing && isPushed ? 'Save & Sync Stores' : 'Save'}
+          </Button>
+        </>
+      }
+    >
+      <div className="space-y-4">
+        <Input label="Title" required value={form.title} onChange={(e) => setField('title', e.target.value)} />
+        <Input
+          label="Handle"
+          value={form.handle}
+          onChange={(e) => setField('handle', e.target.value)}
+          placeholder="Generated from the title when empty"
+        />
+        <label className="block text-sm">
+          <span className="block font-medium text-gray-700 dark:text-gray-300 mb-2">Description</span>
+          <textarea
+            value={form.descriptionHtml}
+            onChange={(e) => setField('descriptionHtml', e.target.value)}
+            rows={3}
+            className="block w-full rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 px-3 py-2 text-sm text-gray-900 dark:text-white"
+          />
+        </label>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <Select
+            label="Collection type"
+            value={form.collectionType}
+            onChange={(value) => setField('collectionType', value)}
+            options={typeOptions}
+            disabled={isPushed}
+          />
+          <Select
+            label="Sort products by"
+            value={form.sortOrder}
+            onChange={(value) => setField('sortOrder', value)}
+            options={sortOptions}
+          />
+        </div>
+
+        {form.collectionType === 'MANUAL' ? (
+          <div className="space-y-2">
+            <div className="text-sm font-medium text-gray-700 dark:text-gray-300">
+              Products ({form.productIds.length} selected)
+            </div>
+            <Input
+              placeholder="Search products..."
+              value={productSearch}
+              onChange={(e) => setProductSearch(e.target.value)}
+            />
+            <div className="max-h-56 overflow-y-auto border border-gray-200 dark:border-gray-700 rounded-md divide-y divide-gray-100 dark:divide-gray-800">
+              {products.map((product) => (
+                <label key={product._id} className="flex items-center gap-3 px-3 py-2 text-sm cursor-pointer hover:bg-gray-50 dark:hover:bg-gray-800">
+                  <input
+                    type="checkbox"
+                    checked={form.productIds.includes(product._id)}
+                    onChange={() => toggleProduct(product._id)}
+                    className="rounded border-gray-300"
+                  />
+                  <span className="flex-1 text-gray-900 dark:text-white">{product.title}</span>
+                  {product.storeCount > 0 && (
+                    <span className="text-xs text-gray-500">{product.storeCount} store{product.storeCount !== 1 ? 's' : ''}</span>
+                  )}
+                </label>
+              ))}
+              {products.length === 0 && (
+                <p className="px-3 py-2 text-sm text-gray-500">No products found.</p>
+              )}
+            </div>
+          </div>
+        ) : (
+          <SmartCollectionRuleBuilder
+            ruleSet={form.ruleSet}
+            onChange={(ruleSet) => setField('ruleSet', ruleSet)}
+          />
+        )}
+      </div>
+    </Modal>
+  )
+}
@@ -0,0 +1,115 @@
+import { useState } from 'react'
+import { CheckCircleIcon, ExclamationCircleIcon } from '@heroicons/react/24/outline'
+import { Modal } from '@/components/ui/Modal'
+import { Button } from '@/components/ui/Button'
+import { useConnectedStores } from '@/features/shopify/hooks/useShopify'
+import { usePushMasterCollection, useUnlinkMasterCollectionStore } from '../../hooks/useCollectionApi'
+
+/**
+ * Push a master collection to stores and manage where it is synced
+ * Mount with key={collection._id} so the selection starts from its current stores
+ */
+export default function PushCollectionModal({ isOpen, onClose, collection }) {
+  const [selectedStoreIds, setSelectedStoreIds] = useState(() => (
+    (collection?.storeMappings || []).map((mapping) => String(mapping.store?._id || mapping.store))
+  ))
+  const { data: stores = [] } = useConnectedStores()
+  const pushCollection = usePushMasterCollection()
+  const unlinkStore = useUnlinkMasterCollectionStore()
+
+  const results = pushCollection.data?.data?.storeResults || []
+  const availableStores = stores.filter((store) => store.isActive && store.shopDomain)
+  const mappingFor = (storeId) => collection?.storeMappings?.find(
+    (mapping) => String(mapping.store?._id || mapping.store) === String(storeId)
+  )
+
+  const toggleStore = (storeId) => {
+    setSelectedStoreIds((previous) => (previous.includes(storeId)
+      ? previous.filter((id) => id !== storeId)
+      : [...previous, storeId]))
+  }
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title={`Push "${collection?.title || ''}" to Stores`}
+      size="xl"
+      footer={
+        <>
+          <Button variant="outline" onClick={onClose} disabled={pushCollection.isPending}>
+            Close
+          </Button>
+          <Button
+            onClick={() => pushCollection.mutate({ id: collection._id, storeIds: selectedStoreIds })}
+            disabled={selectedStoreIds.length === 0}
+            loading={pushCollection.isPending}
+          >
+            Push to {selectedStoreIds.length} store{selectedStoreIds.length !== 1 ? 's' : ''}
+          </Button>
+        </>
+      }
+    >
+      <div className="space-y-4">
+        <p className="text-sm">
+          The collection is created in stores where it does not exist yet and updated where it does.
+          {collection?.collectionType === 'MANUAL' && ' Only products already pushed to a store are added there; the rest join when they are pushed.'}
+        </p>
+
+        <div className="border border-gray-200 dark:border-gray-700 rounded-md divide-y divide-gray-100 dark:divide-gray-800">
+          {availableStores.map((store) => {
+            const storeId = String(store._id || store.id)
+            const mapping = mappingFor(storeId)
+            const result = results.find((entry) => String(entry.storeId) === storeId)
+
+            return (
+              <div key={storeId} className="px-3 py-2 text-sm space-y-1">
+                <div className="flex items-center gap-3">
+                  <input
+                    type="checkbox"
+                    checked={selectedStoreIds.includes(storeId)}
+                    onChange={() => toggleStore(storeId)}
+                    className="rounded border-gray-300"
+                  />
+                  <span className="flex-1 text-gray-900 dark:text-white">{store.shopName || store.name || store.shopDomain}</span>
+                  {mapping && (
+                    <>
+                      <span className={`text-xs ${mapping.status === 'error' ? 'text-red-600' : 'text-green-600'}`}>
+                        {mapping.status === 'error' ? 'Sync error' : 'Synced'}
+                      </span>
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        className="text-xs"
+                        disabled={unlinkStore.isPending}
+                        onClick={() => unlinkStore.mutate({ id: collection._id, storeId, deleteInStore: true }, { onSuccess: onClose })}
+                      >
+                        Remove from store
+                      </Button>
+                    </>
+                  )}
+                </div>
+                {mapping?.lastError && !result && (
+                  <p className="text-xs text-red-600 dark:text-red-400 pl-7">{mapping.lastError}</p>
+                )}
+                {result && (
+                  <div className={`flex items-start gap-1 text-xs pl-7 ${result.success ? 'text-green-700 dark:text-green-400' : 'text-red-700 dark:text-red-400'}`}>
+                    {result.success ? <CheckCircleIcon className="h-4 w-4" /> : <ExclamationCircleIcon className="h-4 w-4" />}
+                    <span>
+                      {result.success
+                        ? `${result.operation === 'created' ? 'Created' : 'Updated'}${result.added !== undefined ? ` • ${result.added} added, ${result.removed} removed` : ''}${result.missingProductIds?.length ? ` • ${result.missingProductIds.length} product(s) not in this store yet` : ''}`
+                        : result.error}
+                    </span>
+                  </div>
+                )}
+              </div>
+            )
+          })}
+          {availableStores.length === 0 && (
+            <p className="px-3 py-2 text-sm text-gray-500">No connected stores.</p>
+          )}
+        </div>
+      </div>
+    </Modal>
+  )
+}
@@ -0,0 +1,171 @@
+import { useState } from 'react'
+import { Modal } from '@/components/ui/Modal'
+import { Button } from '@/components/ui/Button'
+import { Input } from '@/components/ui/Input'
+import { useProducts } from '../../hooks/useProductApi'
+import {
+  useUpdateLibraryMedia,
+  useDeleteLibraryMedia,
+  useAttachLibraryMedia,
+  useDetachLibraryMedia,
+} from '../../hooks/useMediaLibrary'
+
+/**
+ * Edit a library file and manage the products it is attached to
+ * Mount with key={media._id} so the form starts from that file
+ */
+export default function MediaDetailsModal({ isOpen, onClose, media }) {
+  const [form, setForm] = useState(() => ({
+    alt: media?.alt || '',
+    caption: media?.caption || '',
+    folder: media?.folder || 'general',
+    tags: (media?.tags || []).join(', '),
+  }))
+  const [productSearch, setProductSearch] = useState('')
+  const [selectedProductIds, setSelectedProductIds] = useState([])
+  const updateMedia = useUpdateLibraryMedia()
+  const deleteMedia = useDeleteLibraryMedia()
+  const attachMedia = useAttachLibraryMedia()
+  const detachMedia = useDetachLibraryMedia()
+  const { data: productsData } = useProducts({ search: productSearch, page: 1, limit: 20 })
+
+  const usedIn = media?.usedInProducts || []
+  const usedIds = usedIn.map((usage) => String(usage.product?._id || usage.product))
+  const candidates = (productsData?.products || []).filter((product) => !usedIds.includes(product._id))
+
+  const setField = (key, value) => setForm((previous) => ({ ...previous, [key]: value }))
+
+  const toggleProduct = (productId) => {
+    setSelectedProductIds((previous) => (previous.includes(productId)
+      ? previous.filter((id) => id !== productId)
+      : [...previous, productId]))
+  }
+
+  const handleDelete = () => {
+    const message = usedIn.length > 0
+      ? `This file is used by ${usedIn.length} product(s). Delete it and remove it from those products?`
+      : 'Delete this file from the library and Cloudinary?'
+    if (!window.confirm(message)) return
+    deleteMedia.mutate({ id: media._id, force: usedIn.length > 0 }, { onSuccess: onClose })
+  }
+
+  if (!media) return null
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title={media.originalFilename}
+      size="4xl"
+      footer={
+        <>
+          <Button variant="danger" onClick={handleDelete} loading={deleteMedia.isPending} className="mr-auto">
+            Delete
+          </Button>
+          <Button variant="outline" onClick={onClose}>
+            Close
+          </Button>
+          <Button
+            onClick={() => updateMedia.mutate({ id: media._id, ...form })}
+            loading={updateMedia.isPending}
+          >
+            Save
+          </Button>
+        </>
+      }
+    >
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <div className="space-y-4">
+          {media.mediaContentType === 'IMAGE' ? (
+            <img
+              src={media.optimizedUrls?.medium || media.url}
+              alt={media.alt || media.originalFilename}
+              className="w-full rounded-lg object-contain max-h-64 bg-gray-100 dark:bg-gray-800"
+            />
+          ) : (
+            <video src={media.url} controls className="w-full rounded-lg max-h-64" />
+          )}
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            {media.dimensions?.width && `${media.dimensions.width}×${media.dimensions.height} • `}
+            {media.fileSizeFormatted} • {media.mimeType}
+          </p>
+          <Input label="Alt text" value={form.alt} onChange={(e) => setField('alt', e.target.value)} />
+          <Input label="Caption" value={form.caption} onChange={(e) => setField('caption', e.target.value)} />
+          <Input label="Folder" value={form.folder} onChange={(e) => setField('folder', e.target.value)} />
+          <Input
+            label="Tags"
+            value={form.tags}
+            onChange={(e) => setField('tags', e.target.value)}
+            placeholder="Comma separated"
+          />
+        </div>
+
+        <div className="space-y-4">
+          <div>
+            <div className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+              Used in {usedIn.length} product{usedIn.length !== 1 ? 's' : ''}
+            </div>
+            <div className="max-h-40 overflow-y-auto border border-gray-200 dark:border-gray-700 rounded-md divide-y divide-gray-100 dark:divide-gray-800">
+              {usedIn.map((usage) => {
+                const productId = String(usage.product?._id || usage.product)
+                return (
+                  <div key={productId} className="flex items-center gap-3 px-3 py-2 text-sm">
+                    <span className="flex-1 text-gray-900 dark:text-white">{usage.product?.title || productId}</span>
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      className="text-xs"
+                      disabled={detachMedia.isPending}
+                      onClick={() => detachMedia.mutate({ id: media._id, productIds: [productId] })}
+                    >
+                      Detach
+                    </Button>
+                  </div>
+                )
+              })}
+              {usedIn.length === 0 && (
+                <p className="px-3 py-2 text-sm text-gray-500">Not attached to any product.</p>
+              )}
+            </div>
+          </div>
+
+          <div className="space-y-2">
+            <div className="text-sm font-medium text-gray-700 dark:text-gray-300">Attach to products</div>
+            <Input
+              placeholder="Search products..."
+              value={productSearch}
+              onChange={(e) => setProductSearch(e.target.value)}
+            />
+            <div className="max-h-40 overflow-y-auto border border-gray-200 dark:border-gray-700 rounded-md divide-y divide-gray-100 dark:divide-gray-800">
+              {candidates.map((product) => (
+                <label key={product._id} className="flex items-center gap-3 px-3 py-2 text-sm cursor-pointer hover:bg-gray-50 dark:hover:bg-gray-800">
+                  <input
+                    type="checkbox"
+                    checked={selectedProductIds.includes(product._id)}
+                    onChange={() => toggleProduct(product._id)}
+                    className="rounded border-gray-300"
+                  />
+                  <span className="flex-1 text-gray-900 dark:text-white">{product.title}</span>
+                </label>
+              ))}
+              {candidates.length === 0 && (
+                <p className="px-3 py-2 text-sm text-gray-500">No products found.</p>
+              )}
+            </div>
+            <Button
+              size="sm"
+              disabled={selectedProductIds.length === 0}
+              loading={attachMedia.isPending}
+              onClick={() => attachMedia.mutate(
+                { id: media._id, productIds: selectedProductIds },
+                { onSuccess: () => setSelectedProductIds([]) }
+              )}
+            >
+              Attach to {selectedProductIds.length} product{selectedProductIds.length !== 1 ? 's' : ''}
+            </Button>
+          </div>
+        </div>
+      </div>
+    </Modal>
+  )
+}
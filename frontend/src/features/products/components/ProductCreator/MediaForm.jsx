@@ -85,6 +85,17 @@ export const MediaForm = ({ form }) => {
     disabled: isUploading || watchedMedia.length >= 10
   });
 
+  // Variant images are indexes into media; keep them on the same files
+  const remapVariantImages = (mapIndex) => {
+    watchedVariants.forEach((variant, variantIndex) => {
+      if (!variant?.mediaIndexes?.length) return;
+      setValue(
+        `variants.${variantIndex}.mediaIndexes`,
+        variant.mediaIndexes.map(mapIndex).filter((index) => index !== -1)
+      );
+    });
+  };
+
   // Remove media
   const handleRemoveMedia = (index) => {
     // Clean up preview URL
@@ -96,6 +107,7 @@ export const MediaForm = ({ form }) => {
     }
 
     removeMedia(index);
+    remapVariantImages((i) => (i === index ? -1 : i > index ? i - 1 : i));
     toast.success('Media removed');
   };
 
@@ -103,6 +115,12 @@ export const MediaForm = ({ form }) => {
   const handleMoveMedia = (fromIndex, toIndex) => {
     if (toIndex >= 0 && toIndex < watchedMedia.length) {
       moveMedia(fromIndex, toIndex);
+      remapVariantImages((i) => {
+        if (i === fromIndex) return toIndex;
+        if (fromIndex < toIndex && i > fromIndex && i <= toIndex) return i - 1;
+        if (fromIndex > toIndex && i >= toIndex && i < fromIndex) return i + 1;
+        return i;
+      });
       
       // Update positions
       setTimeout(() => {
@@ -0,0 +1,69 @@
+import React, { useEffect, useMemo } from 'react';
+import { classNames } from '@/lib/utils.js';
+
+const isImage = (item) => item?.mediaContentType === 'IMAGE' || item?.file?.type?.startsWith('image/');
+
+/**
+ * Pick the product image shown for a variant (e.g. a color swatch photo)
+ * value is the variant's mediaIndexes; the first index is the variant image pushed to stores
+ */
+export const VariantImagePicker = ({ media = [], value = [], onChange }) => {
+  const selectedIndex = value?.[0];
+
+  // Files picked in the Media step are not uploaded yet, so preview them locally
+  const previewUrls = useMemo(() => media.map((item) => {
+    if (item?.file instanceof File) return URL.createObjectURL(item.file);
+    return item?.src || item?.url || null;
+  }), [media]);
+
+  useEffect(() => () => {
+    previewUrls.forEach((url) => {
+      if (url?.startsWith('blob:')) URL.revokeObjectURL(url);
+    });
+  }, [previewUrls]);
+
+  const images = media
+    .map((item, index) => ({ item, index, url: previewUrls[index] }))
+    .filter(({ item }) => isImage(item));
+
+  if (images.length === 0) {
+    return (
+      <p className="text-xs text-gray-500 dark:text-gray-400">
+        Add images in the Media step to choose a variant image.
+      </p>
+    );
+  }
+
+  return (
+    <div className="flex flex-wrap gap-2">
+      <button
+        type="button"
+        onClick={() => onChange([])}
+        className={classNames(
+          'h-16 w-16 rounded-md border-2 text-xs text-gray-500 dark:text-gray-400',
+          selectedIndex === undefined ? 'border-blue-500' : 'border-gray-200 dark:border-gray-600'
+        )}
+      >
+        None
+      </button>
+      {images.map(({ item, index, url }) => (
+        <button
+          key={index}
+          type="button"
+          onClick={() => onChange([index])}
+          title={item.alt || item.file?.name || `Media ${index + 1}`}
+          className={classNames(
+            'h-16 w-16 rounded-md border-2 overflow-hidden bg-gray-100 dark:bg-gray-700',
+            selectedIndex === index ? 'border-blue-500' : 'border-gray-200 dark:border-gray-600'
+          )}
+        >
+          {url ? (
+            <img src={url} alt={item.alt || `Media ${index + 1}`} className="h-full w-full object-cover" />
+          ) : (
+            <span className="text-xs text-gray-500">#{index + 1}</span>
+          )}
+        </button>
+      ))}
+    </div>
+  );
+};
@@ -2,6 +2,7 @@ import React, { useState } from 'react';
 import { Controller, useFieldArray } from 'react-hook-form';
 import { useCreateVariant, useUpdateVariant, useDeleteVariant } from '../../hooks/useProductApi.js';
 import { classNames } from '@/lib/utils.js';
+import { VariantImagePicker } from './VariantImagePicker.jsx';
 
 export const VariantsForm = ({ form }) => {
   const { control, watch, setValue, formState: { errors } } = form;
@@ -14,6 +15,7 @@ export const VariantsForm = ({ form }) => {
 
   const watchedVariants = watch('variants') || [];
   const watchedOptions = watch('options') || [];
+  const watchedMedia = watch('media') || [];
   const basePrice = watch('price') || 0;
 
   // Check if this is a single variant product (no options)
@@ -340,6 +342,18 @@ export const VariantsForm = ({ form }) => {
                     </div>
                   )}
 
+                  {/* Variant Image */}
+                  <div>
+                    <h5 className="text-sm font-medium text-gray-900 dark:text-white mb-2">Image</h5>
+                    <Controller
+                      name={`variants.${variantIndex}.mediaIndexes`}
+                      control={control}
+                      render={({ field }) => (
+                        <VariantImagePicker media={watchedMedia} value={field.value} onChange={field.onChange} />
+                      )}
+                    />
+                  </div>
+
                   {/* Pricing */}
                   <div>
                     <h5 className="text-sm font-medium text-gray-900 dark:text-white mb-2">Pricing</h5>
@@ -0,0 +1,165 @@
+import { useState } from 'react'
+import { Modal } from '@/components/ui/Modal'
+import { Button } from '@/components/ui/Button'
+import { Select } from '@/components/ui/Select'
+import { useImportProductsCsv } from '../hooks/useProductApi'
+
+const modeOptions = [
+  { value: 'create', label: 'Create new products (even if the handle exists)' },
+  { value: 'update', label: 'Update existing products by handle' },
+  { value: 'skip', label: 'Skip products whose handle exists' },
+]
+
+const statusColors = {
+  created: 'text-green-700 dark:text-green-400',
+  updated: 'text-blue-700 dark:text-blue-400',
+  planned: 'text-blue-700 dark:text-blue-400',
+  skipped: 'text-gray-500 dark:text-gray-400',
+  failed: 'text-red-700 dark:text-red-400',
+}
+
+/**
+ * Product CSV Import
+ * Uploads a Shopify product CSV; "Check file" validates without saving
+ */
+export default function ProductCsvImportModal({ isOpen, onClose }) {
+  const [file, setFile] = useState(null)
+  const [mode, setMode] = useState('create')
+  const importCsv = useImportProductsCsv()
+  const report = importCsv.data
+
+  const handleClose = () => {
+    setFile(null)
+    importCsv.reset()
+    onClose()
+  }
+
+  const runImport = (dryRun) => {
+    importCsv.mutate({ file, mode, dryRun })
+  }
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={handleClose}
+      title="Import Products from CSV"
+      size="4xl"
+      footer={
+        <>
+          <Button variant="outline" onClick={handleClose} disabled={importCsv.isPending}>
+            Close
+          </Button>
+          <Button
+            variant="outline"
+            onClick={() => runImport(true)}
+            disabled={!file || importCsv.isPending}
+            loading={importCsv.isPending && importCsv.variables?.dryRun}
+          >
+            Check File
+          </Button>
+          <Button
+            onClick={() => runImport(false)}
+            disabled={!file || importCsv.isPending}
+            loading={importCsv.isPending && !importCsv.variables?.dryRun}
+          >
+            Import
+          </Button>
+        </>
+      }
+    >
+      <div className="space-y-6">
+        <p className="text-sm">
+          Use Shopify&apos;s product CSV format: one row per variant, grouped by Handle, with product details on the first row.
+          Products with errors are not imported; the other products in the file are.
+        </p>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <label className="block text-sm">
+            <span className="block font-medium text-gray-700 dark:text-gray-300 mb-2">CSV file</span>
+            <input
+              type="file"
+              accept=".csv,text/csv"
+              onChange={(e) => {
+                setFile(e.target.files?.[0] || null)
+                importCsv.reset()
+              }}
+              className="block w-full text-sm text-gray-700 dark:text-gray-300"
+            />
+          </label>
+          <Select
+            label="When a handle already exists"
+            value={mode}
+            onChange={(value) => {
+              setMode(value)
+              importCsv.reset()
+            }}
+            options={modeOptions}
+          />
+        </div>
+
+        {report && (
+          <div className="space-y-4">
+            <div className="text-sm text-gray-900 dark:text-white">
+              {report.dryRun ? 'Check result: ' : 'Import result: '}
+              {report.summary.rows} rows, {report.summary.products} products • {report.summary.created}{' '}
+              {report.dryRun ? 'to create' : 'created'} • {report.summary.updated} {report.dryRun ? 'to update' : 'updated'} •{' '}
+              {report.summary.skipped} skipped • {report.summary.failed} with errors
+            </div>
+
+            <div className="max-h-48 overflow-y-auto border border-gray-200 dark:border-gray-700 rounded-md">
+              <table className="min-w-full text-sm">
+                <thead className="bg-gray-50 dark:bg-gray-800 text-left text-xs text-gray-500 dark:text-gray-400">
+                  <tr>
+                    <th className="px-3 py-2">Handle</th>
+                    <th className="px-3 py-2">Title</th>
+                    <th className="px-3 py-2">Rows</th>
+                    <th className="px-3 py-2">Variants</th>
+                    <th className="px-3 py-2">Result</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                  {report.products.map((product) => (
+                    <tr key={product.handle}>
+                      <td className="px-3 py-2 font-mono text-xs">{product.handle}</td>
+                      <td className="px-3 py-2">{product.title}</td>
+                      <td className="px-3 py-2">{product.rows[0]}{product.rows.length > 1 && `–${product.rows[product.rows.length - 1]}`}</td>
+                      <td className="px-3 py-2">{product.variants}</td>
+                      <td className={`px-3 py-2 capitalize ${statusColors[product.status] || ''}`}>
+                        {product.status === 'planned' ? `will ${product.action}` : product.status}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            {report.errors.length > 0 && (
+              <div className="max-h-48 overflow-y-auto border border-red-200 dark:border-red-800 rounded-md">
+                <table className="min-w-full text-sm">
+                  <thead className="bg-red-50 dark:bg-red-900/10 text-left text-xs text-red-700 dark:text-red-300">
+                    <tr>
+                      <th className="px-3 py-2">Row</th>
+                      <th className="px-3 py-2">Handle</th>
+                      <th className="px-3 py-2">Column</th>
+                      <th className="px-3 py-2">Error</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-red-100 dark:divide-red-900/30">
+                    {report.errors.map((error, index) => (
+                      <tr key={`${error.row}-${error.column}-${index}`}>
+                        <td className="px-3 py-2">{error.row}</td>
+                        <td className="px-3 py-2 font-mono text-xs">{error.handle}</td>
+                        <td className="px-3 py-2">{error.column}</td>
+                        <td className="px-3 py-2 text-red-700 dark:text-red-400">{error.message}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </Modal>
+  )
+}
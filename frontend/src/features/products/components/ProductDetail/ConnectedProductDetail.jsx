@@ -16,6 +16,7 @@ import {
 import { useInventorySummary } from '../../hooks/useInventoryApi.js';
 import { useSyncToStore, useDeleteFromStore } from '../../hooks/useShopifySync.js';
 import { toast } from 'react-hot-toast';
+import { DriftReviewPanel } from './DriftReviewPanel.jsx';
 
 /**
  * Connected Product Detail Component
@@ -25,6 +26,7 @@ import { toast } from 'react-hot-toast';
 export const ConnectedProductDetail = ({ product, onEdit, onPushToStores }) => {
   const navigate = useNavigate();
   const [selectedStoreForSync, setSelectedStoreForSync] = useState(null);
+  const [driftReviewStore, setDriftReviewStore] = useState(null);
   
   // Only fetch inventory if product has store mappings
   const productId = product.id || product._id;
@@ -48,7 +50,6 @@ export const ConnectedProductDetail = ({ product, onEdit, onPushToStores }) => {
         storeId,
         syncOptions: { forceSync: true }
       });
-      toast.success('Product synced successfully!');
     } catch (error) {
       toast.error(error.message || 'Failed to sync product');
     } finally {
@@ -208,8 +209,20 @@ export const ConnectedProductDetail = ({ product, onEdit, onPushToStores }) => {
                           <div className="w-2 h-2 bg-green-500 rounded-full mr-1"></div>
                           Synced {mapping.lastSyncAt ? `• ${new Date(mapping.lastSyncAt).toLocaleDateString()}` : ''}
                         </div>
+                        {mapping.drift?.hasDrift && (
+                          <Badge variant="warning" size="sm" className="mt-1">
+                            {mapping.drift.fieldCount} field(s) changed in Shopify
+                          </Badge>
+                        )}
                       </div>
                       <div className="flex gap-2">
+                        <Button
+                          size="sm"
+                          variant="outline"
+                          onClick={() => setDriftReviewStore(mapping.store)}
+                        >
+                          Review
+                        </Button>
                         <Button
                           size="sm"
                           variant="outline"
@@ -298,6 +311,16 @@ export const ConnectedProductDetail = ({ product, onEdit, onPushToStores }) => {
         </div>
       </div>
 
+      {/* Drift Review */}
+      {driftReviewStore && (
+        <DriftReviewPanel
+          key={driftReviewStore.id}
+          productId={productId}
+          store={driftReviewStore}
+          onClose={() => setDriftReviewStore(null)}
+        />
+      )}
+
       {/* Description */}
       {product.description && (
         <Card>
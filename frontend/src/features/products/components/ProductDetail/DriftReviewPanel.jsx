@@ -0,0 +1,165 @@
+import React, { useEffect, useState } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/Card.jsx';
+import { Button } from '@/components/ui/Button.jsx';
+import { Badge } from '@/components/ui/Badge.jsx';
+import { ArrowPathIcon, XMarkIcon, CheckCircleIcon } from '@heroicons/react/24/outline';
+import { useProductDrift, useResolveProductDrift } from '../../hooks/useShopifySync.js';
+
+const ACTION_LABELS = {
+  push: 'Push dashboard value',
+  pull: 'Pull store value into master',
+  override: 'Keep as store override',
+  'disable-sync': 'Stop syncing media to this store'
+};
+
+const FIELD_LABELS = {
+  title: 'Title',
+  descriptionHtml: 'Description',
+  vendor: 'Vendor',
+  productType: 'Product type',
+  handle: 'Handle',
+  status: 'Status',
+  tags: 'Tags',
+  mediaCount: 'Media count',
+  price: 'Price',
+  compareAtPrice: 'Compare-at price',
+  sku: 'SKU',
+  barcode: 'Barcode'
+};
+
+// "variants[Red / M].price" -> "Red / M · Price"
+const formatField = (field) => {
+  const variantField = field.match(/^variants\[(.+)\]\.(\w+)$/);
+  if (variantField) return `${variantField[1]} · ${FIELD_LABELS[variantField[2]] || variantField[2]}`;
+  const variant = field.match(/^variants\[(.+)\]$/);
+  if (variant) return `Variant ${variant[1]}`;
+  return FIELD_LABELS[field] || field;
+};
+
+const formatValue = (field, value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (Array.isArray(value)) return value.length ? value.join(', ') : '—';
+  if (typeof value === 'object') return field.startsWith('variants[') ? 'Present' : JSON.stringify(value);
+  if (field === 'descriptionHtml') {
+    const text = String(value).replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+    return text.length > 120 ? `${text.slice(0, 120)}…` : text;
+  }
+  return String(value);
+};
+
+/**
+ * Drift Review Panel
+ * Compares the live Shopify product in one store against the dashboard master
+ * and lets the user resolve each drifted field
+ */
+export const DriftReviewPanel = ({ productId, store, onClose }) => {
+  const storeId = store?.id;
+  const { data: review, isLoading, isFetching, error, refetch } = useProductDrift(productId, storeId);
+  const resolveDrift = useResolveProductDrift();
+  const [choices, setChoices] = useState({});
+
+  const changes = review?.changes || [];
+
+  // Default every field to pushing the dashboard value
+  useEffect(() => {
+    setChoices(Object.fromEntries((review?.changes || []).map((change) => [change.field, change.actions[0]])));
+  }, [review]);
+
+  const handleApply = async () => {
+    const resolutions = Object.entries(choices)
+      .filter(([field]) => changes.some((change) => change.field === field))
+      .map(([field, action]) => ({ field, action }));
+    if (resolutions.length === 0) return;
+
+    await resolveDrift.mutateAsync({ productId, storeId, resolutions }).catch(() => {});
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center justify-between">
+          <div className="flex items-center">
+            <ArrowPathIcon className="h-5 w-5 mr-2" />
+            Drift Review · {store?.shopName || store?.shop}
+          </div>
+          <div className="flex items-center gap-2">
+            <Button size="sm" variant="outline" onClick={() => refetch()} disabled={isFetching}>
+              {isFetching ? 'Checking…' : 'Re-check'}
+            </Button>
+            <Button size="sm" variant="ghost" onClick={onClose}>
+              <XMarkIcon className="h-4 w-4" />
+            </Button>
+          </div>
+        </CardTitle>
+      </CardHeader>
+      <CardContent>
+        {isLoading ? (
+          <div className="animate-pulse space-y-2">
+            <div className="h-4 bg-gray-200 rounded"></div>
+            <div className="h-4 bg-gray-200 rounded w-3/4"></div>
+          </div>
+        ) : error ? (
+          <p className="text-sm text-red-600">
+            {error.response?.data?.message || 'Failed to load the store product'}
+          </p>
+        ) : changes.length === 0 ? (
+          <div className="flex items-center text-sm text-green-700">
+            <CheckCircleIcon className="h-5 w-5 mr-2" />
+            The store product matches the dashboard
+            {review?.checkedAt && (
+              <span className="ml-1 text-gray-500">
+                (checked {new Date(review.checkedAt).toLocaleString()})
+              </span>
+            )}
+          </div>
+        ) : (
+          <div className="space-y-4">
+            <p className="text-sm text-gray-600">
+              {changes.length} field(s) differ from the dashboard. Store values already include this store's
+              customizations and price adjustments.
+            </p>
+
+            <div className="divide-y border rounded-lg">
+              {changes.map((change) => (
+                <div key={change.field} className="p-3 space-y-2">
+                  <div className="flex items-center justify-between">
+                    <span className="text-sm font-medium">{formatField(change.field)}</span>
+                    <Badge variant="warning" size="sm">Drifted</Badge>
+                  </div>
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-2 text-xs">
+                    <div className="p-2 bg-blue-50 rounded">
+                      <div className="text-gray-500 mb-1">Dashboard</div>
+                      <div className="text-gray-900 break-words">{formatValue(change.field, change.dashboardValue)}</div>
+                    </div>
+                    <div className="p-2 bg-yellow-50 rounded">
+                      <div className="text-gray-500 mb-1">Store</div>
+                      <div className="text-gray-900 break-words">{formatValue(change.field, change.storeValue)}</div>
+                    </div>
+                  </div>
+                  <div className="flex flex-wrap gap-2">
+                    {change.actions.map((action) => (
+                      <Button
+                        key={action}
+                        size="sm"
+                        variant={choices[change.field] === action ? 'primary' : 'outline'}
+                        onClick={() => setChoices((prev) => ({ ...prev, [change.field]: action }))}
+                      >
+                        {ACTION_LABELS[action]}
+                      </Button>
+                    ))}
+                  </div>
+                </div>
+              ))}
+            </div>
+
+            <div className="flex justify-end">
+              <Button onClick={handleApply} disabled={resolveDrift.isPending}>
+                {resolveDrift.isPending ? 'Applying…' : 'Apply resolutions'}
+              </Button>
+            </div>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
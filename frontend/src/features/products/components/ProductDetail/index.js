@@ -1,3 +1,4 @@
 export { SimpleProductDetail } from './SimpleProductDetail.jsx';
 export { ConnectedProductDetail } from './ConnectedProductDetail.jsx';
 export { ProductDetailController } from './ProductDetailController.jsx';
+export { DriftReviewPanel } from './DriftReviewPanel.jsx';
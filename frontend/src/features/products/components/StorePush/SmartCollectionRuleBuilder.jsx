@@ -0,0 +1,164 @@
+import React from 'react';
+import { PlusIcon, TrashIcon, EyeIcon, ExclamationTriangleIcon } from '@heroicons/react/24/outline';
+import { Button } from '@/components/ui/Button.jsx';
+import { Input } from '@/components/ui/Input.jsx';
+import { Select } from '@/components/ui/Select.jsx';
+import { usePreviewCollectionRules } from '../../hooks/useCollectionApi.js';
+import { RULE_COLUMNS, RELATION_LABELS, columnFor, emptyRule, cleanRuleSet } from './collectionRules.js';
+
+/**
+ * Smart collection rule editor with a preview against the dashboard catalog.
+ * Store-only rules are kept for the push but flagged, since the preview cannot check them.
+ */
+export const SmartCollectionRuleBuilder = ({ ruleSet, onChange }) => {
+  const previewRules = usePreviewCollectionRules();
+  const preview = previewRules.data;
+  const rules = ruleSet.rules.length ? ruleSet.rules : [emptyRule];
+
+  const update = (changes) => {
+    previewRules.reset();
+    onChange({ ...ruleSet, rules, ...changes });
+  };
+
+  const setRule = (index, changes) => {
+    update({ rules: rules.map((rule, ruleIndex) => (ruleIndex === index ? { ...rule, ...changes } : rule)) });
+  };
+
+  const setColumn = (index, value) => {
+    const column = columnFor(value);
+    const rule = rules[index];
+    setRule(index, {
+      column: value,
+      relation: column.relations.includes(rule.relation) ? rule.relation : column.relations[0],
+      ...(column.noCondition && { condition: '' }),
+      ...(!column.needsDefinition && { conditionObjectId: undefined }),
+    });
+  };
+
+  const flagFor = (index) => preview?.rules?.find((rule) => rule.index === index && rule.status !== 'evaluated');
+  const cleaned = cleanRuleSet({ ...ruleSet, rules });
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center gap-4 text-sm">
+        <span className="font-medium text-gray-700 dark:text-gray-300">Products must match:</span>
+        <label className="flex items-center gap-1">
+          <input
+            type="radio"
+            checked={!ruleSet.appliedDisjunctively}
+            onChange={() => update({ appliedDisjunctively: false })}
+          />
+          all conditions
+        </label>
+        <label className="flex items-center gap-1">
+          <input
+            type="radio"
+            checked={!!ruleSet.appliedDisjunctively}
+            onChange={() => update({ appliedDisjunctively: true })}
+          />
+          any condition
+        </label>
+      </div>
+
+      {rules.map((rule, index) => {
+        const column = columnFor(rule.column);
+        const flag = flagFor(index);
+
+        return (
+          <div key={index} className="space-y-1">
+            <div className="grid grid-cols-12 gap-2 items-center">
+              <Select
+                className="col-span-4"
+                value={rule.column}
+                onChange={(value) => setColumn(index, value)}
+                options={RULE_COLUMNS.map(({ value, label }) => ({ value, label }))}
+              />
+              <Select
+                className="col-span-3"
+                value={rule.relation}
+                onChange={(value) => setRule(index, { relation: value })}
+                options={column.relations.map((relation) => ({ value: relation, label: RELATION_LABELS[relation] }))}
+              />
+              {column.noCondition ? (
+                <div className="col-span-4" />
+              ) : (
+                <Input
+                  containerClassName={column.needsDefinition ? 'col-span-2' : 'col-span-4'}
+                  value={rule.condition}
+                  placeholder={column.placeholder}
+                  onChange={(e) => setRule(index, { condition: e.target.value })}
+                />
+              )}
+              {column.needsDefinition && (
+                <Input
+                  containerClassName="col-span-2"
+                  value={rule.conditionObjectId || ''}
+                  placeholder="Definition ID"
+                  onChange={(e) => setRule(index, { conditionObjectId: e.target.value })}
+                />
+              )}
+              <Button
+                variant="ghost"
+                size="sm"
+                className="col-span-1 p-2"
+                disabled={rules.length === 1}
+                onClick={() => update({ rules: rules.filter((_, ruleIndex) => ruleIndex !== index) })}
+              >
+                <TrashIcon className="h-4 w-4" />
+              </Button>
+            </div>
+            {(flag || column.storeOnly) && (
+              <p className={`flex items-center gap-1 text-xs ${flag?.status === 'invalid' ? 'text-red-600 dark:text-red-400' : 'text-yellow-700 dark:text-yellow-400'}`}>
+                <ExclamationTriangleIcon className="h-4 w-4" />
+                {flag?.reason || 'Evaluated by each store; not included in the preview'}
+              </p>
+            )}
+          </div>
+        );
+      })}
+
+      <div className="flex items-center gap-2">
+        <Button variant="outline" size="sm" onClick={() => update({ rules: [...rules, emptyRule] })}>
+          <PlusIcon className="h-4 w-4 mr-1" />
+          Add condition
+        </Button>
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={() => previewRules.mutate(cleaned)}
+          disabled={cleaned.rules.length === 0}
+          loading={previewRules.isPending}
+        >
+          <EyeIcon className="h-4 w-4 mr-1" />
+          Preview products
+        </Button>
+      </div>
+
+      {preview && (
+        <div className="border border-gray-200 dark:border-gray-700 rounded-md">
+          <div className="px-3 py-2 text-sm text-gray-900 dark:text-white bg-gray-50 dark:bg-gray-800 rounded-t-md">
+            {preview.matchedCount} of {preview.totalProducts} products match
+            {!preview.exact && (
+              <span className="text-yellow-700 dark:text-yellow-400">
+                {' '}• approximate, {preview.rules.filter((rule) => rule.status !== 'evaluated').length} rule(s) not evaluated
+              </span>
+            )}
+          </div>
+          <div className="max-h-48 overflow-y-auto divide-y divide-gray-100 dark:divide-gray-800">
+            {preview.products.map((product) => (
+              <div key={product._id} className="flex items-center gap-3 px-3 py-2 text-sm">
+                <span className="flex-1 text-gray-900 dark:text-white">{product.title}</span>
+                <span className="text-xs text-gray-500">{[product.vendor, product.productType].filter(Boolean).join(' • ')}</span>
+              </div>
+            ))}
+            {preview.matchedCount > preview.products.length && (
+              <p className="px-3 py-2 text-xs text-gray-500">
+                and {preview.matchedCount - preview.products.length} more
+              </p>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,50 @@
+/**
+ * Smart collection rule columns and helpers shared by the rule builder and collection forms
+ */
+
+const TEXT_RELATIONS = ['EQUALS', 'NOT_EQUALS', 'STARTS_WITH', 'ENDS_WITH', 'CONTAINS', 'NOT_CONTAINS'];
+const NUMBER_RELATIONS = ['EQUALS', 'NOT_EQUALS', 'GREATER_THAN', 'LESS_THAN'];
+
+// Mirrors RULE_COLUMNS in backend services/collectionRules.service.js
+export const RULE_COLUMNS = [
+  { value: 'TITLE', label: 'Title', relations: TEXT_RELATIONS },
+  { value: 'TYPE', label: 'Product type', relations: TEXT_RELATIONS },
+  { value: 'VENDOR', label: 'Vendor', relations: TEXT_RELATIONS },
+  { value: 'TAG', label: 'Tag', relations: ['EQUALS'] },
+  { value: 'VARIANT_TITLE', label: 'Variant title', relations: TEXT_RELATIONS },
+  { value: 'VARIANT_PRICE', label: 'Price', relations: NUMBER_RELATIONS, placeholder: '19.99' },
+  { value: 'VARIANT_COMPARE_AT_PRICE', label: 'Compare-at price', relations: NUMBER_RELATIONS, placeholder: '29.99' },
+  { value: 'VARIANT_WEIGHT', label: 'Weight', relations: NUMBER_RELATIONS, placeholder: '500 g' },
+  { value: 'VARIANT_INVENTORY', label: 'Inventory stock', relations: NUMBER_RELATIONS, placeholder: '0' },
+  { value: 'IS_PRICE_REDUCED', label: 'Price is reduced', relations: ['IS_SET', 'IS_NOT_SET'], noCondition: true },
+  { value: 'PRODUCT_CATEGORY_ID', label: 'Product category (store only)', relations: ['EQUALS', 'NOT_EQUALS'], storeOnly: true },
+  { value: 'PRODUCT_METAFIELD_DEFINITION', label: 'Product metafield (store only)', relations: TEXT_RELATIONS, storeOnly: true, needsDefinition: true },
+  { value: 'VARIANT_METAFIELD_DEFINITION', label: 'Variant metafield (store only)', relations: TEXT_RELATIONS, storeOnly: true, needsDefinition: true },
+];
+
+export const RELATION_LABELS = {
+  EQUALS: 'is equal to',
+  NOT_EQUALS: 'is not equal to',
+  GREATER_THAN: 'is greater than',
+  LESS_THAN: 'is less than',
+  STARTS_WITH: 'starts with',
+  ENDS_WITH: 'ends with',
+  CONTAINS: 'contains',
+  NOT_CONTAINS: 'does not contain',
+  IS_SET: 'is true',
+  IS_NOT_SET: 'is false',
+};
+
+export const columnFor = (value) => RULE_COLUMNS.find((column) => column.value === value) || RULE_COLUMNS[0];
+
+export const emptyRule = { column: 'TAG', relation: 'EQUALS', condition: '' };
+
+/**
+ * Rules that can be saved: conditions filled in, condition-less columns given a placeholder value
+ */
+export const cleanRuleSet = (ruleSet) => ({
+  appliedDisjunctively: !!ruleSet.appliedDisjunctively,
+  rules: ruleSet.rules
+    .map((rule) => (columnFor(rule.column).noCondition ? { ...rule, condition: 'true' } : rule))
+    .filter((rule) => rule.condition.trim()),
+});
@@ -1,23 +1,26 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { Button } from '@/components/ui/Button.jsx';
 import { ArrowLeftIcon } from '@heroicons/react/24/outline';
 import { StoreSelectionCard } from './StoreSelectionCard.jsx';
-// Collections/Locations UI disabled in new flow
-// import { StoreConfigurationCard } from './StoreConfigurationCard.jsx';
+import { StoreConfigurationCard } from './StoreConfigurationCard.jsx';
 import { StoreOverridesCard } from './StoreOverridesCard.jsx';
 import { PushProgressCard } from './PushProgressCard.jsx';
 import { useConnectedStores } from '@/features/shopify/hooks/useShopify.js';
-import { useSyncToMultipleStores } from '../../hooks/useShopifySync.js';
+import {
+  useSyncToMultipleStores,
+  useSyncJobsProgress,
+  useCancelSyncJob
+} from '../../hooks/useShopifySync.js';
 import { toast } from 'react-hot-toast';
 
 /**
  * New StorePush Page - Completely Rebuilt
  * Professional implementation following your requirements:
  * - Load connected stores from DB
- * - Per-store configuration with collections and locations
+ * - Per-store persistent rules (customizations and price adjustments)
  * - Clean component structure
- * - Real-time progress tracking
+ * - Real-time progress tracking (one background sync job per store, streamed over Socket.IO)
  */
 export const NewStorePushPage = ({ product }) => {
   const navigate = useNavigate();
@@ -27,12 +30,75 @@ export const NewStorePushPage = ({ product }) => {
   // Per-store overrides and inventory assignment
   // { [storeId]: { variantOverrides: { [index]: { price?, compareAtPrice?, sku? } }, assignedInventory: { [index]: number } } }
   const [storeOverrides, setStoreOverrides] = useState({});
-  const [pushProgress, setPushProgress] = useState(null);
+  // Persistent per-store rules, loaded from the store mapping
+  // { [storeId]: { storeCustomizations, priceAdjustments } }
+  const [storeRules, setStoreRules] = useState({});
+  // One entry per pushed store: { storeId, jobId?, error? }
+  const [pushJobs, setPushJobs] = useState([]);
   const [isPushing, setIsPushing] = useState(false);
 
   // API Hooks
   const { data: stores = [], isLoading: storesLoading } = useConnectedStores();
   const syncToMultipleStores = useSyncToMultipleStores();
+  const cancelSyncJob = useCancelSyncJob();
+  const jobs = useSyncJobsProgress(pushJobs.filter(entry => entry.jobId).map(entry => entry.jobId));
+
+  // Derive card progress from live job state
+  const pushProgress = useMemo(() => {
+    if (pushJobs.length === 0) return null;
+
+    const storeName = (storeId) => stores.find(s => s._id === storeId)?.shopName || 'Unknown Store';
+    const results = pushJobs.map(entry => {
+      if (!entry.jobId) {
+        return { storeName: storeName(entry.storeId), status: 'failed', error: entry.error };
+      }
+      const job = jobs.find(j => String(j.jobId) === String(entry.jobId));
+      const item = job?.items?.[0];
+      return {
+        storeName: storeName(entry.storeId),
+        status: job?.status || 'queued',
+        attempts: item?.attempts || 0,
+        error: item?.error || job?.error
+      };
+    });
+
+    const finished = results.filter(r => ['succeeded', 'failed', 'cancelled'].includes(r.status));
+    const running = results.find(r => r.status === 'running');
+
+    return {
+      status: finished.length === results.length ? 'completed' : 'syncing',
+      total: results.length,
+      completed: finished.length,
+      succeeded: results.filter(r => r.status === 'succeeded').length,
+      failed: results.filter(r => r.status === 'failed').length,
+      current: running ? { name: running.storeName } : null,
+      results
+    };
+  }, [pushJobs, jobs, stores]);
+
+  const pushFinished = pushProgress?.status === 'completed';
+  const succeededCount = pushProgress?.succeeded || 0;
+  const failedCount = pushProgress?.failed || 0;
+
+  // Report the outcome once every job has finished
+  useEffect(() => {
+    if (!pushFinished) return;
+
+    if (succeededCount > 0) {
+      toast.success(`Product pushed to ${succeededCount} stores successfully!`);
+    }
+    if (failedCount > 0) {
+      toast.error(`Failed to push to ${failedCount} stores`);
+    }
+
+    // Redirect after success
+    if (succeededCount > 0) {
+      const timer = setTimeout(() => {
+        navigate(`/products/${product.id}`);
+      }, 3000);
+      return () => clearTimeout(timer);
+    }
+  }, [pushFinished, succeededCount, failedCount, navigate, product.id]);
 
   // Debug logging - only when data changes
   useEffect(() => {
@@ -41,9 +107,10 @@ export const NewStorePushPage = ({ product }) => {
       storesLoading, 
       storesCount: stores?.length,
       selectedStores,
-      storeOverrides 
+      storeOverrides,
+      storeRules
     });
-  }, [stores, storesLoading, selectedStores, storeOverrides]);
+  }, [stores, storesLoading, selectedStores, storeOverrides, storeRules]);
 
   // Event Handlers
   const handleStoreToggle = (storeId) => {
@@ -57,6 +124,11 @@ export const NewStorePushPage = ({ product }) => {
           delete next[storeId];
           return next;
         });
+        setStoreRules(prevState => {
+          const next = { ...prevState };
+          delete next[storeId];
+          return next;
+        });
         return newSelected;
       } else {
         // Add store
@@ -69,6 +141,10 @@ export const NewStorePushPage = ({ product }) => {
     setStoreOverrides(prev => ({ ...prev, [storeId]: next }));
   };
 
+  const handleRulesChange = (storeId, next) => {
+    setStoreRules(prev => ({ ...prev, [storeId]: next }));
+  };
+
   const handleStartPush = async () => {
     if (selectedStores.length === 0) {
       toast.error('Please select at least one store');
@@ -77,13 +153,6 @@ export const NewStorePushPage = ({ product }) => {
 
     try {
       setIsPushing(true);
-      setPushProgress({
-        status: 'syncing',
-        total: selectedStores.length,
-        completed: 0,
-        current: null,
-        results: []
-      });
 
       // Prepare sync options for each store
       const storesWithOptions = selectedStores.map(storeId => {
@@ -93,64 +162,40 @@ export const NewStorePushPage = ({ product }) => {
           options: {
             forceSync: true,
             variantOverrides: ov.variantOverrides || {},
-            assignedInventory: ov.assignedInventory || {}
+            assignedInventory: ov.assignedInventory || {},
+            // Saved on the store mapping and applied on every later push
+            storeRules: storeRules[storeId]
           }
         });
       });
 
-      // Execute the push
+      // Queue one background job per store
       const results = await syncToMultipleStores.mutateAsync({
         productId: product.id,
         storesWithOptions
       });
 
-      // Process results
-      const successCount = results.filter(r => r.status === 'fulfilled').length;
-      const failedCount = results.filter(r => r.status === 'rejected').length;
-
-      setPushProgress({
-        status: 'completed',
-        total: selectedStores.length,
-        completed: successCount,
-        results: results.map(result => ({
-          status: result.status === 'fulfilled' ? 'completed' : 'failed',
-          storeName: stores.find(s => s._id === result.storeId)?.shopName || 'Unknown Store',
-          error: result.error?.message || result.error
-        }))
-      });
-
-      // Show notifications
-      if (successCount > 0) {
-        toast.success(`Product pushed to ${successCount} stores successfully!`);
-      }
-      if (failedCount > 0) {
-        toast.error(`Failed to push to ${failedCount} stores`);
-      }
-
-      // Redirect after success
-      if (successCount > 0) {
-        setTimeout(() => {
-          navigate(`/products/${product.id}`);
-        }, 3000);
-      }
+      setPushJobs(results.map(result => ({
+        storeId: result.storeId,
+        jobId: result.data?.data?.jobId || null,
+        error: result.error?.response?.data?.message || result.error?.message
+      })));
 
     } catch (error) {
       console.error('Push error:', error);
-      setPushProgress({
-        status: 'error',
-        error: error.message || 'Failed to push product to stores'
-      });
       toast.error(error.message || 'Failed to push product to stores');
     } finally {
       setIsPushing(false);
     }
   };
 
-  const handleCancelPush = () => {
-    // Note: In a real implementation, you'd cancel the API request
-    setIsPushing(false);
-    setPushProgress(null);
-    toast.info('Push cancelled');
+  const handleCancelPush = async () => {
+    const activeJobIds = jobs
+      .filter(job => ['queued', 'running'].includes(job.status))
+      .map(job => job.jobId);
+
+    await Promise.allSettled(activeJobIds.map(jobId => cancelSyncJob.mutateAsync(jobId)));
+    toast('Push cancellation requested');
   };
 
   // Helper functions
@@ -192,6 +237,17 @@ export const NewStorePushPage = ({ product }) => {
             isLoading={storesLoading}
           />
 
+          {/* Per-store persistent rules */}
+          {selectedStoreObjects.map((store) => (
+            <StoreConfigurationCard
+              key={`rules-${store._id}`}
+              store={store}
+              productId={product.id}
+              value={storeRules[store._id]}
+              onChange={(next) => handleRulesChange(store._id, next)}
+            />
+          ))}
+
           {/* Per-store overrides and inventory assignment */}
           {selectedStoreObjects.map((store) => (
             <StoreOverridesCard
@@ -208,7 +264,7 @@ export const NewStorePushPage = ({ product }) => {
         <div className="space-y-6">
           {/* Push Progress */}
           <PushProgressCard
-            isActive={isPushing}
+            isActive={isPushing || pushProgress !== null}
             progress={pushProgress}
             onStart={handleStartPush}
             onCancel={handleCancelPush}
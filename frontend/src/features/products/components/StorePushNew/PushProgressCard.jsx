@@ -12,7 +12,8 @@ import {
 
 /**
  * Push Progress Component - New Implementation
- * Shows real-time progress of product push to multiple stores
+ * Shows real-time progress of product push to multiple stores.
+ * Result statuses follow the backend sync job states (queued/running/succeeded/failed/cancelled).
  */
 export const PushProgressCard = ({ 
   isActive, 
@@ -24,11 +25,13 @@ export const PushProgressCard = ({
 }) => {
   const getStatusIcon = (status) => {
     switch (status) {
-      case 'completed':
+      case 'succeeded':
         return <CheckCircleIcon className="h-5 w-5 text-green-500" />;
       case 'failed':
         return <XCircleIcon className="h-5 w-5 text-red-500" />;
-      case 'pending':
+      case 'cancelled':
+        return <XCircleIcon className="h-5 w-5 text-gray-400" />;
+      case 'queued':
         return <ClockIcon className="h-5 w-5 text-yellow-500" />;
       default:
         return <div className="w-5 h-5 border-2 border-gray-300 rounded-full animate-spin border-t-blue-500" />;
@@ -37,11 +40,13 @@ export const PushProgressCard = ({
 
   const getStatusColor = (status) => {
     switch (status) {
-      case 'completed':
+      case 'succeeded':
         return 'bg-green-100 text-green-800';
       case 'failed':
         return 'bg-red-100 text-red-800';
-      case 'pending':
+      case 'cancelled':
+        return 'bg-gray-100 text-gray-700';
+      case 'queued':
         return 'bg-yellow-100 text-yellow-800';
       default:
         return 'bg-blue-100 text-blue-800';
@@ -81,14 +86,26 @@ export const PushProgressCard = ({
     );
   }
 
-  const { status, total, completed, current, results = [], error } = progress;
+  // Jobs are still being queued when no progress has arrived yet
+  const {
+    status,
+    total,
+    completed = 0,
+    succeeded = 0,
+    failed = 0,
+    current,
+    results = [],
+    error
+  } = progress || { status: 'syncing', total: selectedStores.length };
 
   return (
     <Card>
       <CardHeader>
         <CardTitle className="flex items-center justify-between">
           <div className="flex items-center">
-            <div className="w-5 h-5 border-2 border-gray-300 rounded-full animate-spin border-t-blue-500 mr-2" />
+            {status === 'syncing' && (
+              <div className="w-5 h-5 border-2 border-gray-300 rounded-full animate-spin border-t-blue-500 mr-2" />
+            )}
             Push Progress
           </div>
           {status === 'syncing' && (
@@ -105,7 +122,7 @@ export const PushProgressCard = ({
             <span className="text-sm font-medium">Overall Progress</span>
             <span className="text-sm text-gray-600">{completed}/{total}</span>
           </div>
-          <Progress value={(completed / total) * 100} className="w-full" />
+          <Progress value={total ? (completed / total) * 100 : 0} className="w-full" />
         </div>
 
         {/* Current Store */}
@@ -120,16 +137,24 @@ export const PushProgressCard = ({
         {results.length > 0 && (
           <div className="space-y-2">
             <h4 className="text-sm font-medium">Results:</h4>
-            <div className="max-h-32 overflow-y-auto space-y-2">
+            <div className="max-h-48 overflow-y-auto space-y-2">
               {results.map((result, index) => (
-                <div key={index} className="flex items-center justify-between p-2 bg-gray-50 rounded">
-                  <div className="flex items-center space-x-2">
-                    {getStatusIcon(result.status)}
-                    <span className="text-sm">{result.storeName || `Store ${index + 1}`}</span>
+                <div key={index} className="p-2 bg-gray-50 rounded">
+                  <div className="flex items-center justify-between">
+                    <div className="flex items-center space-x-2">
+                      {getStatusIcon(result.status)}
+                      <span className="text-sm">{result.storeName || `Store ${index + 1}`}</span>
+                    </div>
+                    <Badge variant="outline" className={getStatusColor(result.status)}>
+                      {result.status}
+                    </Badge>
                   </div>
-                  <Badge variant="outline" className={getStatusColor(result.status)}>
-                    {result.status}
-                  </Badge>
+                  {result.attempts > 1 && (
+                    <p className="text-xs text-gray-500 mt-1">Attempt {result.attempts}</p>
+                  )}
+                  {result.error && (
+                    <p className="text-xs text-red-600 mt-1">{result.error}</p>
+                  )}
                 </div>
               ))}
             </div>
@@ -145,16 +170,17 @@ export const PushProgressCard = ({
         )}
 
         {/* Success/Completion State */}
-        {status === 'completed' && (
+        {status === 'completed' && succeeded > 0 && (
           <div className="p-3 bg-green-50 border border-green-200 rounded">
             <div className="flex items-center">
               <CheckCircleIcon className="h-5 w-5 text-green-500 mr-2" />
               <span className="text-sm font-medium text-green-900">
-                Push completed successfully!
+                {failed > 0 ? 'Push partially completed' : 'Push completed successfully!'}
               </span>
             </div>
             <p className="text-sm text-green-700 mt-1">
-              Product has been pushed to {completed} store(s)
+              Product has been pushed to {succeeded} store(s)
+              {failed > 0 && `, ${failed} failed`}
             </p>
           </div>
         )}
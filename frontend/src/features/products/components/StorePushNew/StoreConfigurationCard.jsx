@@ -3,83 +3,157 @@ import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/Card.j
 import { Button } from '@/components/ui/Button.jsx';
 import { Select } from '@/components/ui/Select.jsx';
 import { Badge } from '@/components/ui/Badge.jsx';
-import { CheckboxGroup } from '@/components/ui/CheckboxGroup.jsx';
-import { 
-  CogIcon, 
-  TagIcon, 
-  MapPinIcon,
+import {
+  CogIcon,
+  TagIcon,
+  CurrencyDollarIcon,
   ChevronDownIcon,
-  ChevronUpIcon
+  ChevronUpIcon,
+  PlusIcon,
+  TrashIcon
 } from '@heroicons/react/24/outline';
-import { useCollectionsByStore } from '../../hooks/useCollectionApi.js';
-import { useStoreLocationsForStore } from '../../hooks/useInventoryApi.js';
-import { toast } from 'react-hot-toast';
+import {
+  useStoreRules,
+  useUpdateStoreRules,
+  useResetStoreRules,
+  usePreviewStoreRules
+} from '../../hooks/useShopifySync.js';
+
+const ADJUSTMENT_TYPE_OPTIONS = [
+  { value: 'none', label: 'No adjustment' },
+  { value: 'markup', label: 'Markup (%)' },
+  { value: 'markdown', label: 'Markdown (%)' },
+  { value: 'fixed', label: 'Fixed amount (+/-)' }
+];
+
+const ROUND_TO_OPTIONS = [
+  { value: 0.01, label: 'Nearest cent' },
+  { value: 0.05, label: 'Nearest 0.05' },
+  { value: 0.1, label: 'Nearest 0.10' },
+  { value: 1, label: 'Whole units' }
+];
+
+const ROUNDING_MODE_OPTIONS = [
+  { value: 'nearest', label: 'Round to nearest' },
+  { value: 'up', label: 'Always round up' },
+  { value: 'down', label: 'Always round down' }
+];
+
+const PRICE_ENDING_OPTIONS = [
+  { value: '', label: 'No forced ending' },
+  { value: 0.99, label: '.99 endings' },
+  { value: 0.95, label: '.95 endings' },
+  { value: 0.49, label: '.49 endings' },
+  { value: 0, label: '.00 endings' }
+];
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+
+// Saved rules -> editable form state (tags are edited as comma separated text)
+const toFormState = (rules) => {
+  const customizations = rules?.storeCustomizations || {};
+  const adjustments = rules?.priceAdjustments || {};
+  return {
+    storeCustomizations: {
+      titlePrefix: customizations.titlePrefix || '',
+      titleSuffix: customizations.titleSuffix || '',
+      descriptionPrepend: customizations.descriptionPrepend || '',
+      descriptionAppend: customizations.descriptionAppend || '',
+      additionalTags: (customizations.additionalTags || []).join(', '),
+      excludeTags: (customizations.excludeTags || []).join(', '),
+      customHandle: customizations.customHandle || '',
+      customMetafields: (customizations.customMetafields || []).map(({ namespace, key, value, type }) => ({ namespace, key, value, type }))
+    },
+    priceAdjustments: {
+      type: adjustments.type === 'percentage' ? 'markup' : (adjustments.type || 'none'),
+      value: adjustments.value ?? 0,
+      roundTo: adjustments.roundTo ?? 0.01,
+      roundingMode: adjustments.roundingMode || 'nearest',
+      priceEnding: adjustments.priceEnding ?? '',
+      applyToCompareAt: adjustments.applyToCompareAt !== false
+    }
+  };
+};
 
 /**
- * Store Configuration Component - New Implementation
- * Handles collections and locations configuration for each selected store
+ * Store Configuration Component - Persistent Store Rules
+ * Edits the store mapping's storeCustomizations and priceAdjustments for one selected store.
+ * Rules are sent with the push (and saved on the mapping), or saved directly for products
+ * already pushed to the store.
+ * Props:
+ * - store: store object
+ * - productId: dashboard product ID
+ * - value: { storeCustomizations, priceAdjustments } form state, undefined until loaded
+ * - onChange: (next) => void
  */
-export const StoreConfigurationCard = ({ 
-  store, 
-  selectedCollections, 
-  selectedLocation, 
-  onCollectionsChange, 
-  onLocationChange 
-}) => {
+export const StoreConfigurationCard = ({ store, productId, value, onChange }) => {
   const [isExpanded, setIsExpanded] = useState(false);
-  const [collectionsLoaded, setCollectionsLoaded] = useState(false);
-  const [locationsLoaded, setLocationsLoaded] = useState(false);
-
-  // Only fetch data when expanded
-  const { 
-    data: collections = [], 
-    isLoading: collectionsLoading,
-    error: collectionsError 
-  } = useCollectionsByStore(store._id, { enabled: isExpanded });
-  
-  const { 
-    data: locations = [], 
-    isLoading: locationsLoading,
-    error: locationsError 
-  } = useStoreLocationsForStore(store._id, { enabled: isExpanded });
+  const [preview, setPreview] = useState(null);
 
-  useEffect(() => {
-    if (isExpanded && collections.length > 0 && !collectionsLoaded) {
-      setCollectionsLoaded(true);
-    }
-  }, [collections, isExpanded, collectionsLoaded]);
+  const { data: savedRules, isLoading } = useStoreRules(productId, store._id);
+  const updateStoreRules = useUpdateStoreRules();
+  const resetStoreRules = useResetStoreRules();
+  const previewStoreRules = usePreviewStoreRules();
 
+  // Start from the rules saved on the store mapping
   useEffect(() => {
-    if (isExpanded && locations.length > 0 && !locationsLoaded) {
-      setLocationsLoaded(true);
+    if (savedRules && value === undefined) {
+      onChange(toFormState(savedRules));
+      setPreview(savedRules.preview);
     }
-  }, [locations, isExpanded, locationsLoaded]);
+  }, [savedRules, value, onChange]);
 
-  useEffect(() => {
-    if (collectionsError) {
-      toast.error(`Failed to load collections for ${store.name}: ${collectionsError.message}`);
+  const rules = value || toFormState(null);
+  const customizations = rules.storeCustomizations;
+  const adjustments = rules.priceAdjustments;
+  const isPushed = !!savedRules?.isPushed;
+
+  const updateCustomization = (field, fieldValue) => {
+    onChange({ ...rules, storeCustomizations: { ...customizations, [field]: fieldValue } });
+  };
+
+  const updateAdjustment = (field, fieldValue) => {
+    onChange({ ...rules, priceAdjustments: { ...adjustments, [field]: fieldValue } });
+  };
+
+  const updateMetafield = (index, field, fieldValue) => {
+    const next = customizations.customMetafields.map((meta, i) => (i === index ? { ...meta, [field]: fieldValue } : meta));
+    updateCustomization('customMetafields', next);
+  };
+
+  const handlePreview = async () => {
+    const result = await previewStoreRules.mutateAsync({ productId, storeId: store._id, rules }).catch(() => null);
+    if (result?.data?.preview) setPreview(result.data.preview);
+  };
+
+  const handleSave = async () => {
+    const result = await updateStoreRules.mutateAsync({ productId, storeId: store._id, rules }).catch(() => null);
+    if (result?.data) {
+      onChange(toFormState(result.data));
+      setPreview(result.data.preview);
     }
-  }, [collectionsError, store.name]);
+  };
 
-  useEffect(() => {
-    if (locationsError) {
-      toast.error(`Failed to load locations for ${store.name}: ${locationsError.message}`);
+  const handleReset = async () => {
+    const result = await resetStoreRules.mutateAsync({ productId, storeId: store._id }).catch(() => null);
+    if (result?.data) {
+      onChange(toFormState(result.data));
+      setPreview(result.data.preview);
     }
-  }, [locationsError, store.name]);
-
-  const collectionOptions = (collections || []).map(collection => ({
-    value: collection.id,
-    label: collection.title,
-    description: `${collection.productsCount || 0} products`
-  }));
-
-  const locationOptions = (locations || []).map(location => ({
-    value: location.id,
-    label: location.name,
-    description: location.isActive ? 
-      (location.fulfillsOnlineOrders ? 'Primary Location' : 'Active') : 
-      'Inactive'
-  }));
+  };
+
+  const activeRuleCount = [
+    customizations.titlePrefix,
+    customizations.titleSuffix,
+    customizations.descriptionPrepend,
+    customizations.descriptionAppend,
+    customizations.additionalTags,
+    customizations.excludeTags,
+    customizations.customHandle,
+    customizations.customMetafields.length > 0,
+    adjustments.type !== 'none',
+    adjustments.priceEnding !== ''
+  ].filter(Boolean).length;
 
   return (
     <Card className="border-l-4 border-l-blue-500">
@@ -87,7 +161,12 @@ export const StoreConfigurationCard = ({
         <div className="flex items-center justify-between">
           <CardTitle className="flex items-center text-base">
             <CogIcon className="h-4 w-4 mr-2" />
-            Configure: {store.name || store.shop}
+            Store Rules: {store.shopName || store.name || store.shop}
+            {activeRuleCount > 0 && (
+              <Badge variant="primary" size="sm" className="ml-2">
+                {activeRuleCount} active
+              </Badge>
+            )}
           </CardTitle>
           <Button
             variant="ghost"
@@ -101,87 +180,244 @@ export const StoreConfigurationCard = ({
             )}
           </Button>
         </div>
-        <p className="text-sm text-gray-500">{store.domain || store.shop}</p>
+        <p className="text-sm text-gray-500">
+          Customizations and price rules saved for this store and applied on every push
+        </p>
       </CardHeader>
-      
+
       {isExpanded && (
         <CardContent className="space-y-6">
-          {/* Collections Configuration */}
-          <div>
-            <div className="flex items-center mb-3">
-              <TagIcon className="h-4 w-4 mr-2 text-gray-600" />
-              <h4 className="font-medium text-sm">Collections</h4>
-              <Badge variant="outline" className="ml-2 text-xs">
-                {selectedCollections.length} selected
-              </Badge>
+          {isLoading ? (
+            <div className="animate-pulse">
+              <div className="h-10 bg-gray-200 rounded mb-2"></div>
+              <div className="h-4 bg-gray-200 rounded w-1/2"></div>
             </div>
-            
-            {collectionsLoading ? (
-              <div className="animate-pulse">
-                <div className="h-10 bg-gray-200 rounded mb-2"></div>
-                <div className="h-4 bg-gray-200 rounded w-1/2"></div>
-              </div>
-            ) : collectionsError ? (
-              <div className="p-3 bg-red-50 border border-red-200 rounded">
-                <p className="text-sm text-red-600">Failed to load collections</p>
+          ) : (
+            <>
+              {/* Content Customizations */}
+              <div>
+                <div className="flex items-center mb-3">
+                  <TagIcon className="h-4 w-4 mr-2 text-gray-600" />
+                  <h4 className="font-medium text-sm">Content</h4>
+                </div>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                  <div>
+                    <label className="block text-xs font-medium text-gray-700 mb-1">Title Prefix</label>
+                    <input
+                      type="text"
+                      value={customizations.titlePrefix}
+                      onChange={(e) => updateCustomization('titlePrefix', e.target.value)}
+                      className={inputClassName}
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-xs font-medium text-gray-700 mb-1">Title Suffix</label>
+                    <input
+                      type="text"
+                      value={customizations.titleSuffix}
+                      onChange={(e) => updateCustomization('titleSuffix', e.target.value)}
+                      className={inputClassName}
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-xs font-medium text-gray-700 mb-1">Description Prepend (HTML)</label>
+                    <textarea
+                      rows={2}
+                      value={customizations.descriptionPrepend}
+                      onChange={(e) => updateCustomization('descriptionPrepend', e.target.value)}
+                      className={inputClassName}
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-xs font-medium text-gray-700 mb-1">Description Append (HTML)</label>
+                    <textarea
+                      rows={2}
+                      value={customizations.descriptionAppend}
+                      onChange={(e) => updateCustomization('descriptionAppend', e.target.value)}
+                      className={inputClassName}
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-xs font-medium text-gray-700 mb-1">Additional Tags</label>
+                    <input
+                      type="text"
+                      placeholder="sale, eu"
+                      value={customizations.additionalTags}
+                      onChange={(e) => updateCustomization('additionalTags', e.target.value)}
+                      className={inputClassName}
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-xs font-medium text-gray-700 mb-1">Excluded Tags</label>
+                    <input
+                      type="text"
+                      placeholder="internal"
+                      value={customizations.excludeTags}
+                      onChange={(e) => updateCustomization('excludeTags', e.target.value)}
+                      className={inputClassName}
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-xs font-medium text-gray-700 mb-1">Custom Handle</label>
+                    <input
+                      type="text"
+                      placeholder="leave empty to use the product handle"
+                      value={customizations.customHandle}
+                      onChange={(e) => updateCustomization('customHandle', e.target.value)}
+                      className={inputClassName}
+                    />
+                  </div>
+                </div>
+
+                {/* Custom Metafields */}
+                <div className="mt-4 space-y-2">
+                  <div className="flex items-center justify-between">
+                    <span className="text-xs font-medium text-gray-700">Custom Metafields</span>
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      onClick={() => updateCustomization('customMetafields', [
+                        ...customizations.customMetafields,
+                        { namespace: 'custom', key: '', value: '', type: 'single_line_text_field' }
+                      ])}
+                    >
+                      <PlusIcon className="h-4 w-4 mr-1" />
+                      Add
+                    </Button>
+                  </div>
+                  {customizations.customMetafields.map((meta, index) => (
+                    <div key={`meta-${index}`} className="grid grid-cols-7 gap-2">
+                      <input
+                        type="text"
+                        placeholder="namespace"
+                        value={meta.namespace}
+                        onChange={(e) => updateMetafield(index, 'namespace', e.target.value)}
+                        className={`${inputClassName} col-span-2`}
+                      />
+                      <input
+                        type="text"
+                        placeholder="key"
+                        value={meta.key}
+                        onChange={(e) => updateMetafield(index, 'key', e.target.value)}
+                        className={`${inputClassName} col-span-2`}
+                      />
+                      <input
+                        type="text"
+                        placeholder="value"
+                        value={meta.value}
+                        onChange={(e) => updateMetafield(index, 'value', e.target.value)}
+                        className={`${inputClassName} col-span-2`}
+                      />
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={() => updateCustomization(
+                          'customMetafields',
+                          customizations.customMetafields.filter((_, i) => i !== index)
+                        )}
+                      >
+                        <TrashIcon className="h-4 w-4" />
+                      </Button>
+                    </div>
+                  ))}
+                </div>
               </div>
-            ) : collections.length === 0 ? (
-              <div className="p-3 bg-gray-50 border border-gray-200 rounded">
-                <p className="text-sm text-gray-500">No collections available</p>
+
+              {/* Price Rules */}
+              <div>
+                <div className="flex items-center mb-3">
+                  <CurrencyDollarIcon className="h-4 w-4 mr-2 text-gray-600" />
+                  <h4 className="font-medium text-sm">Price Rules</h4>
+                </div>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                  <Select
+                    label="Adjustment"
+                    options={ADJUSTMENT_TYPE_OPTIONS}
+                    value={adjustments.type}
+                    onChange={(next) => updateAdjustment('type', next)}
+                  />
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      {adjustments.type === 'fixed' ? 'Amount' : 'Percent'}
+                    </label>
+                    <input
+                      type="number"
+                      step="0.01"
+                      value={adjustments.value}
+                      disabled={adjustments.type === 'none'}
+                      onChange={(e) => updateAdjustment('value', e.target.value === '' ? 0 : Number(e.target.value))}
+                      className={inputClassName}
+                    />
+                  </div>
+                  <Select
+                    label="Rounding"
+                    options={ROUND_TO_OPTIONS}
+                    value={adjustments.roundTo}
+                    onChange={(next) => updateAdjustment('roundTo', next)}
+                  />
+                  <Select
+                    label="Rounding Direction"
+                    options={ROUNDING_MODE_OPTIONS}
+                    value={adjustments.roundingMode}
+                    onChange={(next) => updateAdjustment('roundingMode', next)}
+                  />
+                  <Select
+                    label="Price Ending"
+                    options={PRICE_ENDING_OPTIONS}
+                    value={adjustments.priceEnding}
+                    onChange={(next) => updateAdjustment('priceEnding', next)}
+                  />
+                  <label className="flex items-center text-sm text-gray-700 mt-6">
+                    <input
+                      type="checkbox"
+                      className="mr-2"
+                      checked={adjustments.applyToCompareAt}
+                      onChange={(e) => updateAdjustment('applyToCompareAt', e.target.checked)}
+                    />
+                    Apply to compare-at prices
+                  </label>
+                </div>
               </div>
-            ) : (
-              <CheckboxGroup
-                options={collectionOptions}
-                selectedValues={selectedCollections}
-                onChange={onCollectionsChange}
-                className="max-h-32 overflow-y-auto"
-              />
-            )}
-          </div>
-
-          {/* Location Configuration */}
-          <div>
-            <div className="flex items-center mb-3">
-              <MapPinIcon className="h-4 w-4 mr-2 text-gray-600" />
-              <h4 className="font-medium text-sm">Inventory Location</h4>
-              {selectedLocation && (
-                <Badge variant="default" className="ml-2 text-xs">
-                  Selected
-                </Badge>
+
+              {/* Preview */}
+              {preview && (
+                <div className="pt-3 border-t border-gray-200">
+                  <h5 className="text-xs font-medium text-gray-700 mb-2">Store Preview:</h5>
+                  <div className="text-xs text-gray-600 space-y-1">
+                    <p>• Title: {preview.title}</p>
+                    <p>• Handle: {preview.handle}</p>
+                    <p>• Tags: {preview.tags?.length ? preview.tags.join(', ') : 'None'}</p>
+                    {preview.variants?.map((variant, index) => (
+                      <p key={`preview-${index}`}>
+                        • {variant.title}: {variant.masterPrice ?? '—'} → {variant.price}
+                        {variant.compareAtPrice && ` (compare at ${variant.compareAtPrice})`}
+                      </p>
+                    ))}
+                  </div>
+                </div>
               )}
-            </div>
-            
-            {locationsLoading ? (
-              <div className="animate-pulse">
-                <div className="h-10 bg-gray-200 rounded"></div>
-              </div>
-            ) : locationsError ? (
-              <div className="p-3 bg-red-50 border border-red-200 rounded">
-                <p className="text-sm text-red-600">Failed to load locations</p>
-              </div>
-            ) : locations.length === 0 ? (
-              <div className="p-3 bg-gray-50 border border-gray-200 rounded">
-                <p className="text-sm text-gray-500">No locations available</p>
+
+              {/* Actions */}
+              <div className="flex flex-wrap items-center justify-end gap-2">
+                {!isPushed && (
+                  <span className="text-xs text-gray-500 mr-auto">Rules are saved with the push</span>
+                )}
+                <Button variant="outline" size="sm" onClick={handlePreview} disabled={previewStoreRules.isPending}>
+                  {previewStoreRules.isPending ? 'Previewing…' : 'Preview'}
+                </Button>
+                {isPushed && (
+                  <>
+                    <Button variant="outline" size="sm" onClick={handleReset} disabled={resetStoreRules.isPending}>
+                      Reset
+                    </Button>
+                    <Button size="sm" onClick={handleSave} disabled={updateStoreRules.isPending}>
+                      {updateStoreRules.isPending ? 'Saving…' : 'Save Rules'}
+                    </Button>
+                  </>
+                )}
               </div>
-            ) : (
-              <Select
-                options={locationOptions}
-                value={selectedLocation || ''}
-                onChange={onLocationChange}
-                placeholder="Select inventory location..."
-                className="w-full"
-              />
-            )}
-          </div>
-
-          {/* Configuration Summary */}
-          <div className="pt-3 border-t border-gray-200">
-            <h5 className="text-xs font-medium text-gray-700 mb-2">Configuration Summary:</h5>
-            <div className="text-xs text-gray-600 space-y-1">
-              <p>• Collections: {selectedCollections.length > 0 ? `${selectedCollections.length} selected` : 'None selected'}</p>
-              <p>• Location: {selectedLocation ? 'Selected' : 'Not selected'}</p>
-            </div>
-          </div>
+            </>
+          )}
         </CardContent>
       )}
     </Card>
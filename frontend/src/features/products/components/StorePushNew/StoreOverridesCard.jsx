@@ -3,6 +3,7 @@ import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/Card.j
 import { Button } from '@/components/ui/Button.jsx';
 import { Input } from '@/components/ui/Input.jsx';
 import { ChevronDownIcon, ChevronUpIcon, AdjustmentsHorizontalIcon } from '@heroicons/react/24/outline';
+import { useInventoryPool } from '../../hooks/useInventoryApi.js';
 
 /**
  * StoreOverridesCard
@@ -12,12 +13,24 @@ import { ChevronDownIcon, ChevronUpIcon, AdjustmentsHorizontalIcon } from '@hero
  * - product: dashboard product with variants
  * - value: { variantOverrides: { [index]: { price?, compareAtPrice?, sku? } }, assignedInventory: { [index]: number } }
  * - onChange: (next) => void
+ * Assignable units come from the server-side stock pool: units not allocated to any store plus
+ * what this store already holds. The server enforces the same limit when the push runs.
  */
 export const StoreOverridesCard = ({ store, product, value, onChange }) => {
   const [expanded, setExpanded] = useState(true);
 
   const variantCount = product?.variants?.length || 0;
   const current = value || { variantOverrides: {}, assignedInventory: {} };
+  const { data: pool } = useInventoryPool(product?.id);
+
+  const getAssignable = (idx) => {
+    const poolVariant = pool?.variants?.find(v => v.variantIndex === idx);
+    if (!poolVariant) return Number(product?.variants?.[idx]?.inventoryQuantity || 0);
+    const heldByStore = poolVariant.allocations
+      .filter(a => a.store === store._id)
+      .reduce((sum, a) => sum + a.quantity, 0);
+    return poolVariant.unallocated + heldByStore;
+  };
 
   const updateVariantField = (idx, field, fieldValue) => {
     const next = {
@@ -35,8 +48,7 @@ export const StoreOverridesCard = ({ store, product, value, onChange }) => {
 
   const updateAssignedInventory = (idx, qty) => {
     const parsed = qty === '' ? '' : Math.max(0, Number(qty));
-    const pool = Number(product?.variants?.[idx]?.inventoryQuantity || 0);
-    const safe = parsed === '' ? '' : Math.min(parsed, pool);
+    const safe = parsed === '' ? '' : Math.min(parsed, getAssignable(idx));
     const next = {
       ...current,
       assignedInventory: {
@@ -72,7 +84,7 @@ export const StoreOverridesCard = ({ store, product, value, onChange }) => {
               {product.variants.map((v, idx) => {
                 const ov = current.variantOverrides?.[idx] || {};
                 const qty = current.assignedInventory?.[idx] ?? '';
-                const pool = Number(v.inventoryQuantity || 0);
+                const assignable = getAssignable(idx);
                 return (
                   <div key={`variant-${idx}`} className="bg-gray-50 rounded-lg p-4 space-y-3">
                     <div className="flex items-center justify-between">
@@ -132,7 +144,7 @@ export const StoreOverridesCard = ({ store, product, value, onChange }) => {
                       <div>
                         <label className="block text-xs font-medium text-gray-700 mb-1">
                           Assign Inventory
-                          <span className="text-gray-500 ml-1">(Pool: {pool})</span>
+                          <span className="text-gray-500 ml-1">(Available: {assignable})</span>
                         </label>
                         <input
                           type="number"
@@ -146,9 +158,9 @@ export const StoreOverridesCard = ({ store, product, value, onChange }) => {
                       </div>
                     </div>
                     
-                    {qty !== '' && Number(qty) > pool && (
+                    {qty !== '' && Number(qty) > assignable && (
                       <div className="text-xs text-red-600 bg-red-50 border border-red-200 rounded px-2 py-1">
-                        ⚠️ Cannot assign more than available pool ({pool})
+                        ⚠️ Cannot assign more than the units not held by other stores ({assignable})
                       </div>
                     )}
                   </div>
@@ -1,5 +1,4 @@
 export { StoreSelectionCard } from './StoreSelectionCard.jsx';
-// NOTE: Collections/Locations UI is disabled in the new flow.
-// export { StoreConfigurationCard } from './StoreConfigurationCard.jsx';
+export { StoreConfigurationCard } from './StoreConfigurationCard.jsx';
 export { PushProgressCard } from './PushProgressCard.jsx';
 export { NewStorePushPage } from './NewStorePushPage.jsx';
@@ -1,6 +1,6 @@
 import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
 import { useState, useMemo, useCallback } from 'react';
-import { collectionApi } from '../api/collectionApi.js';
+import { collectionApi, masterCollectionApi } from '../api/collectionApi.js';
 import { toast } from 'react-hot-toast';
 
 /**
@@ -65,6 +65,119 @@ export const useCreateCollection = () => {
   });
 };
 
+// ==============================================
+// MASTER COLLECTION HOOKS
+// ==============================================
+
+// Toast for responses that carry per-store push results
+const notifyStoreResults = (response, fallback) => {
+  const failed = response?.data?.storeResults?.filter(result => !result.success) || [];
+  if (failed.length > 0) {
+    toast.error(`${response.message || fallback}: ${failed[0].shopName} - ${failed[0].error}`);
+  } else {
+    toast.success(response?.message || fallback);
+  }
+};
+
+export const useMasterCollections = (params = {}) => {
+  return useQuery({
+    queryKey: ['master-collections', params],
+    queryFn: () => masterCollectionApi.getAll(params),
+  });
+};
+
+export const useMasterCollection = (id) => {
+  return useQuery({
+    queryKey: ['master-collections', 'detail', id],
+    queryFn: () => masterCollectionApi.getById(id),
+    enabled: !!id,
+  });
+};
+
+export const useCreateMasterCollection = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: masterCollectionApi.create,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['master-collections'] });
+      toast.success('Collection created successfully!');
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to create collection');
+    }
+  });
+};
+
+export const useUpdateMasterCollection = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ id, ...data }) => masterCollectionApi.update(id, data),
+    onSuccess: (response) => {
+      queryClient.invalidateQueries({ queryKey: ['master-collections'] });
+      notifyStoreResults(response, 'Collection updated');
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to update collection');
+    }
+  });
+};
+
+export const useDeleteMasterCollection = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ id, deleteFromStores }) => masterCollectionApi.delete(id, { deleteFromStores }),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['master-collections'] });
+      toast.success('Collection deleted successfully!');
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to delete collection');
+    }
+  });
+};
+
+export const usePushMasterCollection = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ id, storeIds }) => masterCollectionApi.push(id, storeIds),
+    onSuccess: (response) => {
+      queryClient.invalidateQueries({ queryKey: ['master-collections'] });
+      notifyStoreResults(response, 'Collection pushed');
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to push collection');
+    }
+  });
+};
+
+export const useUnlinkMasterCollectionStore = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ id, storeId, deleteInStore }) => masterCollectionApi.unlinkStore(id, storeId, { deleteInStore }),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['master-collections'] });
+      toast.success('Collection removed from store');
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to remove collection from store');
+    }
+  });
+};
+
+export const usePreviewCollectionRules = () => {
+  return useMutation({
+    mutationFn: (ruleSet) => masterCollectionApi.previewRules(ruleSet),
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to preview collection rules');
+    }
+  });
+};
+
 // ==============================================
 // UTILITY HOOKS
 // ==============================================
@@ -66,7 +66,18 @@ export const useAssignInventoryToStore = () => {
       queryClient.invalidateQueries({ 
         queryKey: ['inventory', variables.productId, variables.storeId] 
       });
-      toast.success('Inventory assigned to store successfully!');
+      queryClient.invalidateQueries({ 
+        queryKey: ['inventory', 'history', variables.productId, variables.storeId] 
+      });
+      queryClient.invalidateQueries({ 
+        queryKey: ['inventory', 'pool', variables.productId] 
+      });
+      // Shopify levels that did not end up as assigned are listed by InventoryAssignmentModal
+      if (data?.success === false) {
+        toast.error('Inventory assigned, but some Shopify quantities do not match');
+      } else {
+        toast.success('Inventory assigned to store successfully!');
+      }
     },
     onError: (error) => {
       toast.error(error.response?.data?.message || 'Failed to assign inventory');
@@ -128,6 +139,38 @@ export const useInventorySummary = (productId, storeId = null, options = {}) =>
   });
 };
 
+/**
+ * Get the master stock pool for a product (unallocated units are what stores can still be given)
+ */
+export const useInventoryPool = (productId, options = {}) => {
+  return useQuery({
+    queryKey: ['inventory', 'pool', productId],
+    queryFn: () => inventoryApi.getInventoryPool(productId),
+    enabled: !!productId && (options.enabled !== false),
+    staleTime: 30 * 1000, // 30 seconds
+    select: (data) => data?.pool || null
+  });
+};
+
+/**
+ * Turn shared pool mode on or off
+ */
+export const useUpdateInventoryPool = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ productId, sharedPool }) =>
+      inventoryApi.updateInventoryPool(productId, { sharedPool }),
+    onSuccess: (data, variables) => {
+      queryClient.setQueryData(['inventory', 'pool', variables.productId], data);
+      toast.success(variables.sharedPool ? 'Shared pool enabled' : 'Shared pool disabled');
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to update inventory pool');
+    }
+  });
+};
+
 /**
  * Get inventory history for a product in a store
  */
@@ -138,7 +181,7 @@ export const useInventoryHistory = (productId, storeId, options = {}) => {
     enabled: !!productId && !!storeId,
     staleTime: 5 * 60 * 1000, // 5 minutes
     select: (data) => {
-      return data?.data?.history || [];
+      return data?.history || [];
     }
   });
 };
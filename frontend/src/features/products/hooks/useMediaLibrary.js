@@ -0,0 +1,125 @@
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { mediaLibraryApi } from '../api/mediaLibraryApi.js';
+import { toast } from 'react-hot-toast';
+
+/**
+ * Media Library Hooks
+ * Attach and detach also refresh products, whose media arrays change
+ */
+
+const errorMessage = (error, fallback) => error.response?.data?.message || fallback;
+
+export const useMediaLibrary = (params = {}) => {
+  return useQuery({
+    queryKey: ['media-library', params],
+    queryFn: () => mediaLibraryApi.getAll(params),
+    placeholderData: (previous) => previous,
+  });
+};
+
+export const useMediaLibraryFacets = () => {
+  return useQuery({
+    queryKey: ['media-library', 'facets'],
+    queryFn: mediaLibraryApi.getFacets,
+  });
+};
+
+export const useUploadLibraryMedia = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: mediaLibraryApi.upload,
+    onSuccess: (response) => {
+      queryClient.invalidateQueries({ queryKey: ['media-library'] });
+      const failed = response?.data?.errors || [];
+      if (failed.length > 0) {
+        toast.error(`${response.message}: ${failed[0].filename} - ${failed[0].message}`);
+      } else {
+        toast.success(response?.message || 'Files uploaded');
+      }
+    },
+    onError: (error) => {
+      toast.error(errorMessage(error, 'Failed to upload files'));
+    }
+  });
+};
+
+export const useUpdateLibraryMedia = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ id, ...data }) => mediaLibraryApi.update(id, data),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['media-library'] });
+      queryClient.invalidateQueries({ queryKey: ['products'] });
+      toast.success('Media updated');
+    },
+    onError: (error) => {
+      toast.error(errorMessage(error, 'Failed to update media'));
+    }
+  });
+};
+
+export const useDeleteLibraryMedia = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ id, force }) => mediaLibraryApi.delete(id, { force }),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['media-library'] });
+      queryClient.invalidateQueries({ queryKey: ['products'] });
+      toast.success('Media deleted');
+    },
+    onError: (error) => {
+      toast.error(errorMessage(error, 'Failed to delete media'));
+    }
+  });
+};
+
+export const useAttachLibraryMedia = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ id, productIds }) => mediaLibraryApi.attach(id, productIds),
+    onSuccess: (response) => {
+      queryClient.invalidateQueries({ queryKey: ['media-library'] });
+      queryClient.invalidateQueries({ queryKey: ['products'] });
+      toast.success(response?.message || 'Media attached');
+    },
+    onError: (error) => {
+      toast.error(errorMessage(error, 'Failed to attach media'));
+    }
+  });
+};
+
+export const useDetachLibraryMedia = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ id, productIds }) => mediaLibraryApi.detach(id, productIds),
+    onSuccess: (response) => {
+      queryClient.invalidateQueries({ queryKey: ['media-library'] });
+      queryClient.invalidateQueries({ queryKey: ['products'] });
+      toast.success(response?.message || 'Media detached');
+    },
+    onError: (error) => {
+      toast.error(errorMessage(error, 'Failed to detach media'));
+    }
+  });
+};
+
+export const useCleanupUnusedMedia = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: mediaLibraryApi.cleanup,
+    onSuccess: (response, variables) => {
+      if (variables?.dryRun) return;
+      queryClient.invalidateQueries({ queryKey: ['media-library'] });
+      toast.success(response?.message || 'Unused media deleted');
+    },
+    onError: (error) => {
+      toast.error(errorMessage(error, 'Failed to clean up media'));
+    }
+  });
+};
@@ -77,6 +77,27 @@ export const useDeleteProduct = () => {
   });
 };
 
+export const useImportProductsCsv = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: productApi.importCsv,
+    onSuccess: (report) => {
+      if (report.dryRun) return;
+      queryClient.invalidateQueries({ queryKey: ['products'] });
+      const { created, updated, failed } = report.summary;
+      if (failed > 0) {
+        toast.error(`Imported ${created + updated} product(s); ${failed} had errors`);
+      } else {
+        toast.success(`Imported ${created + updated} product(s)`);
+      }
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to import CSV');
+    }
+  });
+};
+
 // Option management hooks
 export const useProductOptions = (productId) => {
   return useQuery({
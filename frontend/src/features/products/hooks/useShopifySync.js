@@ -1,7 +1,11 @@
-import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { useEffect } from 'react';
+import { useMutation, useQueries, useQuery, useQueryClient } from '@tanstack/react-query';
 import { shopifySyncApi } from '../api/shopifySyncApi.js';
+import { socket } from '@/lib/socket';
 import { toast } from 'react-hot-toast';
 
+const FINISHED_JOB_STATUSES = ['succeeded', 'failed', 'cancelled'];
+
 /**
  * Shopify Sync Hooks
  * Product synchronization operations between dashboard and Shopify stores
@@ -28,7 +32,7 @@ export const useCreateInStore = () => {
       queryClient.invalidateQueries({ 
         queryKey: ['products', variables.productId] 
       });
-      toast.success('Product created in store successfully!');
+      toast.success('Product creation queued');
     },
     onError: (error) => {
       toast.error(error.response?.data?.message || 'Failed to create product in store');
@@ -51,7 +55,7 @@ export const useUpdateInStore = () => {
       queryClient.invalidateQueries({ 
         queryKey: ['products', variables.productId] 
       });
-      toast.success('Product updated in store successfully!');
+      toast.success('Product update queued');
     },
     onError: (error) => {
       toast.error(error.response?.data?.message || 'Failed to update product in store');
@@ -90,12 +94,7 @@ export const useSyncToStore = () => {
         queryKey: ['inventory', 'summary', variables.productId] 
       });
       
-      const hasCollections = variables.syncOptions?.collectionsToJoin?.length > 0;
-      const message = hasCollections 
-        ? 'Product synced to store with collections successfully!'
-        : 'Product synced to store successfully!';
-      
-      toast.success(message);
+      toast.success('Product sync queued');
     },
     onError: (error) => {
       toast.error(error.response?.data?.message || 'Failed to sync product to store');
@@ -149,12 +148,14 @@ export const useSyncToMultipleStores = () => {
         queryKey: ['inventory', 'summary', variables.productId] 
       });
       
-  const successCount = results.filter(r => r.status === 'fulfilled').length;
-  const failedCount = results.filter(r => r.status === 'rejected').length;
+      const queuedCount = results.filter(r => r.status === 'fulfilled').length;
+      const failedCount = results.filter(r => r.status === 'rejected').length;
       
-      toast.success(`Product synced to ${successCount} stores successfully!`);
+      if (queuedCount > 0) {
+        toast.success(`Push queued for ${queuedCount} store(s)`);
+      }
       if (failedCount > 0) {
-        toast.error(`Failed to sync to ${failedCount} stores`);
+        toast.error(`Failed to queue push for ${failedCount} store(s)`);
       }
     },
     onError: (error) => {
@@ -177,8 +178,8 @@ export const useBulkSyncToStore = () => {
       queryClient.invalidateQueries({ queryKey: ['sync-status'] });
       queryClient.invalidateQueries({ queryKey: ['products'] });
       
-      const { successful = 0, failed = 0 } = data?.data?.summary || {};
-      toast.success(`Bulk sync completed: ${successful} successful, ${failed} failed`);
+      const total = data?.data?.job?.progress?.total || variables.productIds?.length || 0;
+      toast.success(`Bulk sync queued for ${total} product(s)`);
     },
     onError: (error) => {
       toast.error(error.response?.data?.message || 'Bulk sync failed');
@@ -186,6 +187,78 @@ export const useBulkSyncToStore = () => {
   });
 };
 
+// ==============================================
+// SYNC JOB HOOKS
+// ==============================================
+
+/**
+ * Track background sync jobs live
+ * Loads each job once, then applies 'sync_job_update' socket events to the cache.
+ * Falls back to polling while the socket is disconnected.
+ * @param {string[]} jobIds - Sync job IDs to follow
+ * @returns {Object[]} Job progress payloads in the same order as jobIds
+ */
+export const useSyncJobsProgress = (jobIds = []) => {
+  const queryClient = useQueryClient();
+  const idsKey = jobIds.join(',');
+
+  const queries = useQueries({
+    queries: jobIds.map((jobId) => ({
+      queryKey: ['sync-job', jobId],
+      queryFn: () => shopifySyncApi.getSyncJob(jobId),
+      enabled: !!jobId,
+      select: (data) => data?.data,
+      refetchInterval: (query) => {
+        const status = query.state.data?.data?.status;
+        if (FINISHED_JOB_STATUSES.includes(status) || socket.connected) return false;
+        return 5000;
+      }
+    }))
+  });
+
+  useEffect(() => {
+    const ids = idsKey.split(',').filter(Boolean);
+    if (ids.length === 0) return;
+
+    const handleJobUpdate = (payload) => {
+      const jobId = String(payload?.jobId);
+      if (!ids.includes(jobId)) return;
+
+      queryClient.setQueryData(['sync-job', jobId], { data: payload });
+
+      if (FINISHED_JOB_STATUSES.includes(payload.status)) {
+        queryClient.invalidateQueries({ queryKey: ['sync-status'] });
+        queryClient.invalidateQueries({ queryKey: ['products'] });
+      }
+    };
+
+    socket.on('sync_job_update', handleJobUpdate);
+    return () => {
+      socket.off('sync_job_update', handleJobUpdate);
+    };
+  }, [idsKey, queryClient]);
+
+  return queries.map((query) => query.data).filter(Boolean);
+};
+
+/**
+ * Cancel a queued or running sync job
+ * @returns {Object} Mutation object for job cancellation
+ */
+export const useCancelSyncJob = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (jobId) => shopifySyncApi.cancelSyncJob(jobId),
+    onSuccess: (data, jobId) => {
+      queryClient.setQueryData(['sync-job', String(jobId)], data);
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to cancel sync job');
+    }
+  });
+};
+
 // ==============================================
 // STORE DATA HOOKS
 // ==============================================
@@ -236,6 +309,126 @@ export const useSearchStoreProducts = () => {
   });
 };
 
+// ==============================================
+// STORE RULES HOOKS
+// ==============================================
+
+/**
+ * Saved customizations and price rules for a product in a store
+ * @param {string} productId - Product ID
+ * @param {string} storeId - Store ID
+ * @param {Object} options - Query options (e.g. { enabled })
+ * @returns {Object} Query object with { isPushed, storeCustomizations, priceAdjustments, preview }
+ */
+export const useStoreRules = (productId, storeId, options = {}) => {
+  return useQuery({
+    queryKey: ['store-rules', productId, storeId],
+    queryFn: () => shopifySyncApi.getStoreRules(productId, storeId),
+    enabled: !!productId && !!storeId && (options.enabled ?? true),
+    staleTime: 60 * 1000,
+    select: (data) => data?.data
+  });
+};
+
+/**
+ * Save store rules for a pushed product
+ * @returns {Object} Mutation object for saving rules
+ */
+export const useUpdateStoreRules = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ productId, storeId, rules }) =>
+      shopifySyncApi.updateStoreRules(productId, storeId, rules),
+    onSuccess: (data, variables) => {
+      queryClient.setQueryData(['store-rules', variables.productId, variables.storeId], data);
+      toast.success('Store rules saved');
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to save store rules');
+    }
+  });
+};
+
+/**
+ * Reset store rules to defaults
+ * @returns {Object} Mutation object for resetting rules
+ */
+export const useResetStoreRules = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ productId, storeId }) => shopifySyncApi.deleteStoreRules(productId, storeId),
+    onSuccess: (data, variables) => {
+      queryClient.setQueryData(['store-rules', variables.productId, variables.storeId], data);
+      toast.success('Store rules reset');
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to reset store rules');
+    }
+  });
+};
+
+/**
+ * Preview unsaved store rules
+ * @returns {Object} Mutation object resolving to { preview }
+ */
+export const usePreviewStoreRules = () => {
+  return useMutation({
+    mutationFn: ({ productId, storeId, rules }) =>
+      shopifySyncApi.previewStoreRules(productId, storeId, rules),
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to preview store rules');
+    }
+  });
+};
+
+// ==============================================
+// DRIFT REVIEW HOOKS
+// ==============================================
+
+/**
+ * Field-by-field diff between the live store product and the dashboard master
+ * @param {string} productId - Product ID
+ * @param {string} storeId - Store ID
+ * @param {Object} options - Query options (e.g. { enabled })
+ * @returns {Object} Query object with { changes, checkedAt }
+ */
+export const useProductDrift = (productId, storeId, options = {}) => {
+  return useQuery({
+    queryKey: ['product-drift', productId, storeId],
+    queryFn: () => shopifySyncApi.getProductDrift(productId, storeId),
+    enabled: !!productId && !!storeId && (options.enabled ?? true),
+    staleTime: 0,
+    select: (data) => data?.data
+  });
+};
+
+/**
+ * Apply per-field drift resolutions for a store
+ * @returns {Object} Mutation object for drift resolution
+ */
+export const useResolveProductDrift = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ productId, storeId, resolutions }) =>
+      shopifySyncApi.resolveProductDrift(productId, storeId, resolutions),
+    onSuccess: (data, variables) => {
+      queryClient.setQueryData(['product-drift', variables.productId, variables.storeId], data);
+      queryClient.invalidateQueries({ queryKey: ['products', variables.productId] });
+
+      const result = data?.data;
+      toast.success(result?.jobId
+        ? `${result.applied.length} change(s) applied, push queued`
+        : `${result?.applied?.length || 0} change(s) applied`);
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to resolve drift');
+    }
+  });
+};
+
 // ==============================================
 // COMPREHENSIVE SYNC MANAGEMENT HOOK
 // ==============================================
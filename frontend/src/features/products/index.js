@@ -23,7 +23,15 @@ export {
   useStoreProduct,
   useStoreInventory,
   useSyncStatus,
-  useProductSyncManagement
+  useProductSyncManagement,
+  useSyncJobsProgress,
+  useCancelSyncJob,
+  useProductDrift,
+  useResolveProductDrift,
+  useStoreRules,
+  useUpdateStoreRules,
+  useResetStoreRules,
+  usePreviewStoreRules
 } from './hooks/useProductApi.js';
 
 // Export API functions
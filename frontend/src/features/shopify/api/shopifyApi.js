@@ -3,6 +3,7 @@
  * Store management, OAuth, and store-related operations
  */
 import { api } from '@/lib/api';
+import useWorkspaceStore from '@/stores/workspaceStore';
 
 /**
  * Initiate OAuth flow with Shopify
@@ -11,7 +12,10 @@ import { api } from '@/lib/api';
  */
 export const initiateShopifyAuth = async (shop) => {
   const backendUrl = import.meta.env.VITE_API_URL || 'http://localhost:8000';
-  const oauthUrl = `${backendUrl}/api/shopify/auth?shop=${encodeURIComponent(shop)}`;
+  const { currentWorkspaceId } = useWorkspaceStore.getState();
+  // A browser redirect can't carry the X-Workspace-Id header, so the workspace goes in the query
+  const workspaceParam = currentWorkspaceId ? `&workspaceId=${encodeURIComponent(currentWorkspaceId)}` : '';
+  const oauthUrl = `${backendUrl}/api/shopify/auth?shop=${encodeURIComponent(shop)}${workspaceParam}`;
   
   // Direct redirect to backend OAuth endpoint
   window.location.href = oauthUrl;
@@ -86,3 +90,123 @@ export const linkStoreToUser = async (token) => {
   const response = await api.post('/api/shopify/link-store', { token });
   return response.data;
 };
+
+/**
+ * Start importing a store's existing Shopify catalog as master products
+ * @param {Object} params - { storeId, dryRun, onDuplicate: 'skip' | 'link' | 'create', query }
+ * @returns {Promise} - Import progress payload
+ */
+export const startCatalogImport = async (params) => {
+  const response = await api.post('/api/catalog-imports', params);
+  return response.data.data;
+};
+
+/**
+ * List catalog imports for a store
+ * @param {string} storeId - Store ID
+ * @returns {Promise} - { imports, pagination }
+ */
+export const getCatalogImports = async (storeId) => {
+  const response = await api.get('/api/catalog-imports', { params: { storeId, limit: 10 } });
+  return response.data.data;
+};
+
+/**
+ * Get one catalog import with its per-product items
+ * @param {string} importId - Import ID
+ * @returns {Promise} - Import progress payload with items
+ */
+export const getCatalogImport = async (importId) => {
+  const response = await api.get(`/api/catalog-imports/${importId}`);
+  return response.data.data;
+};
+
+/**
+ * Cancel a queued or running catalog import
+ * @param {string} importId - Import ID
+ * @returns {Promise} - Import progress payload
+ */
+export const cancelCatalogImport = async (importId) => {
+  const response = await api.post(`/api/catalog-imports/${importId}/cancel`);
+  return response.data.data;
+};
+
+/**
+ * Start importing a store's past orders for sales analytics
+ * @param {Object} params - { storeId, from, to } (no "from" imports the whole history)
+ * @returns {Promise} - Backfill progress payload
+ */
+export const startOrderBackfill = async (params) => {
+  const response = await api.post('/api/order-backfills', params);
+  return response.data.data;
+};
+
+/**
+ * List order backfills for a store
+ * @param {string} storeId - Store ID
+ * @returns {Promise} - { backfills, pagination }
+ */
+export const getOrderBackfills = async (storeId) => {
+  const response = await api.get('/api/order-backfills', { params: { storeId, limit: 5 } });
+  return response.data.data;
+};
+
+/**
+ * Cancel a queued or running order backfill
+ * @param {string} backfillId - Backfill ID
+ * @returns {Promise} - Backfill progress payload
+ */
+export const cancelOrderBackfill = async (backfillId) => {
+  const response = await api.post(`/api/order-backfills/${backfillId}/cancel`);
+  return response.data.data;
+};
+
+/**
+ * Scan stores for existing products that match dashboard master products
+ * @param {Object} params - { storeIds, productIds } (all stores/products when omitted)
+ * @returns {Promise} - { scans }
+ */
+export const startProductMatching = async (params = {}) => {
+  const response = await api.post('/api/product-matching/scan', params);
+  return response.data.data;
+};
+
+/**
+ * Get the current or last matching scan for a store
+ * @param {string} storeId - Store ID
+ * @returns {Promise} - { scans }
+ */
+export const getProductMatchingStatus = async (storeId) => {
+  const response = await api.get('/api/product-matching/scan', { params: { storeId } });
+  return response.data.data;
+};
+
+/**
+ * List match proposals for a store
+ * @param {Object} params - { storeId, status, minConfidence }
+ * @returns {Promise} - { proposals, pagination }
+ */
+export const getMatchProposals = async (params) => {
+  const response = await api.get('/api/product-matching/proposals', { params });
+  return response.data.data;
+};
+
+/**
+ * Confirm match proposals, linking the dashboard products to the store products
+ * @param {Array<string>} proposalIds - Proposal IDs
+ * @returns {Promise} - { confirmed, failed }
+ */
+export const confirmMatchProposals = async (proposalIds) => {
+  const response = await api.post('/api/product-matching/proposals/confirm', { proposalIds });
+  return response.data.data;
+};
+
+/**
+ * Reject a match proposal
+ * @param {string} proposalId - Proposal ID
+ * @returns {Promise} - Rejected proposal
+ */
+export const rejectMatchProposal = async (proposalId) => {
+  const response = await api.post(`/api/product-matching/proposals/${proposalId}/reject`);
+  return response.data.data;
+};
@@ -0,0 +1,257 @@
+import React, { useState } from 'react';
+import { Download, Eye, Loader2, X } from 'lucide-react';
+import {
+  useCatalogImports,
+  useCatalogImport,
+  useStartCatalogImport,
+  useCancelCatalogImport
+} from '../hooks/useShopify.js';
+
+const DUPLICATE_MODES = [
+  { value: 'skip', label: 'Skip products that already exist' },
+  { value: 'link', label: 'Link to the existing master product' },
+  { value: 'create', label: 'Create a new master anyway' }
+];
+
+const STATUS_STYLES = {
+  queued: 'bg-gray-100 text-gray-800 dark:bg-gray-800 dark:text-gray-200',
+  running: 'bg-blue-100 text-blue-800 dark:bg-blue-900/20 dark:text-blue-200',
+  succeeded: 'bg-green-100 text-green-800 dark:bg-green-900/20 dark:text-green-200',
+  failed: 'bg-red-100 text-red-800 dark:bg-red-900/20 dark:text-red-200',
+  cancelled: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/20 dark:text-yellow-200'
+};
+
+const ITEM_LABELS = {
+  planned: 'Planned',
+  imported: 'Imported',
+  skipped: 'Skipped',
+  failed: 'Failed'
+};
+
+const REASON_LABELS = {
+  duplicate: 'Duplicate',
+  'already-linked': 'Already linked',
+  'master-already-in-store': 'Master already in this store',
+  'too-many-variants': 'Too many variants'
+};
+
+const ImportItems = ({ importId }) => {
+  const { data, isLoading } = useCatalogImport(importId);
+  const items = data?.items || [];
+  const totalItems = data?.itemsPagination?.total || items.length;
+
+  if (isLoading) {
+    return <p className="p-4 text-sm text-gray-500 dark:text-gray-400">Loading products…</p>;
+  }
+  if (items.length === 0) {
+    return <p className="p-4 text-sm text-gray-500 dark:text-gray-400">No products processed yet.</p>;
+  }
+
+  return (
+    <div className="max-h-96 overflow-y-auto">
+      <table className="min-w-full text-sm">
+        <thead className="bg-gray-50 dark:bg-gray-800 text-left text-xs text-gray-500 dark:text-gray-400">
+          <tr>
+            <th className="px-4 py-2">Product</th>
+            <th className="px-4 py-2">Action</th>
+            <th className="px-4 py-2">Result</th>
+            <th className="px-4 py-2">Notes</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+          {items.map((item) => (
+            <tr key={item.shopifyProductId}>
+              <td className="px-4 py-2">
+                <div className="font-medium text-gray-900 dark:text-white">{item.title}</div>
+                <div className="text-xs text-gray-500 dark:text-gray-400">{item.handle}</div>
+              </td>
+              <td className="px-4 py-2 capitalize text-gray-700 dark:text-gray-300">{item.action}</td>
+              <td className="px-4 py-2 text-gray-700 dark:text-gray-300">{ITEM_LABELS[item.status] || item.status}</td>
+              <td className="px-4 py-2 text-xs text-gray-600 dark:text-gray-400 space-y-1">
+                {item.reason && <div>{REASON_LABELS[item.reason] || item.reason}</div>}
+                {item.duplicateOf?.matchedBy && <div>Matched by {item.duplicateOf.matchedBy}</div>}
+                {item.error && <div className="text-red-600 dark:text-red-400">{item.error}</div>}
+                {item.warnings?.map((warning) => (
+                  <div key={warning} className="text-yellow-700 dark:text-yellow-400">{warning}</div>
+                ))}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {totalItems > items.length && (
+        <p className="p-4 text-xs text-gray-500 dark:text-gray-400">
+          Showing the first {items.length} of {totalItems} products.
+        </p>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Catalog Import
+ * Imports a store's existing Shopify products as dashboard master products
+ */
+const CatalogImport = ({ storeId }) => {
+  const [query, setQuery] = useState('');
+  const [onDuplicate, setOnDuplicate] = useState('skip');
+  const [expandedId, setExpandedId] = useState(null);
+
+  const { data, isLoading } = useCatalogImports(storeId);
+  const startImport = useStartCatalogImport();
+  const cancelImport = useCancelCatalogImport();
+
+  const imports = data?.imports || [];
+  const inProgress = imports.some((job) => ['queued', 'running'].includes(job.status));
+
+  const handleStart = (dryRun, options = { query, onDuplicate }) => {
+    startImport.mutate({ storeId, dryRun, ...options });
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white dark:bg-gray-900 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6 space-y-4">
+        <div>
+          <h3 className="text-lg font-medium text-gray-900 dark:text-white">Import Shopify Catalog</h3>
+          <p className="text-sm text-gray-600 dark:text-gray-400 mt-1">
+            Create master products from the products already in this store and link them for syncing.
+            Run a preview first to see what will be created, linked or skipped.
+          </p>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <label className="block text-sm">
+            <span className="text-gray-700 dark:text-gray-300">Shopify search filter (optional)</span>
+            <input
+              type="text"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder="status:active vendor:Acme"
+              className="mt-1 w-full rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 px-3 py-2 text-gray-900 dark:text-white"
+            />
+          </label>
+          <label className="block text-sm">
+            <span className="text-gray-700 dark:text-gray-300">When a handle or SKU already exists</span>
+            <select
+              value={onDuplicate}
+              onChange={(e) => setOnDuplicate(e.target.value)}
+              className="mt-1 w-full rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 px-3 py-2 text-gray-900 dark:text-white"
+            >
+              {DUPLICATE_MODES.map((mode) => (
+                <option key={mode.value} value={mode.value}>{mode.label}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+
+        <div className="flex gap-3">
+          <button
+            onClick={() => handleStart(true)}
+            disabled={inProgress || startImport.isPending}
+            className="inline-flex items-center gap-2 px-4 py-2 rounded-md border border-gray-300 dark:border-gray-600 text-sm text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-gray-800 disabled:opacity-50"
+          >
+            <Eye className="w-4 h-4" />
+            Preview
+          </button>
+          <button
+            onClick={() => handleStart(false)}
+            disabled={inProgress || startImport.isPending}
+            className="inline-flex items-center gap-2 px-4 py-2 rounded-md bg-blue-600 text-sm text-white hover:bg-blue-700 disabled:opacity-50"
+          >
+            <Download className="w-4 h-4" />
+            Import
+          </button>
+        </div>
+      </div>
+
+      <div className="bg-white dark:bg-gray-900 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700">
+        <div className="p-6 border-b border-gray-200 dark:border-gray-700">
+          <h3 className="text-lg font-medium text-gray-900 dark:text-white">Recent Imports</h3>
+        </div>
+
+        {isLoading ? (
+          <div className="p-6 flex justify-center">
+            <Loader2 className="w-5 h-5 animate-spin text-blue-600" />
+          </div>
+        ) : imports.length === 0 ? (
+          <p className="p-6 text-sm text-gray-500 dark:text-gray-400">No imports yet.</p>
+        ) : (
+          <div className="divide-y divide-gray-200 dark:divide-gray-700">
+            {imports.map((job) => {
+              const { total, processed, created, linked, skipped, failed } = job.progress || {};
+              const percent = total ? Math.min(100, Math.round((processed / total) * 100)) : 0;
+              const active = ['queued', 'running'].includes(job.status);
+
+              return (
+                <div key={job.importId}>
+                  <div className="p-4 space-y-2">
+                    <div className="flex items-center justify-between gap-4">
+                      <div className="text-sm">
+                        <span className="font-medium text-gray-900 dark:text-white">
+                          {job.options?.dryRun ? 'Preview' : 'Import'}
+                        </span>
+                        <span className="ml-2 text-gray-500 dark:text-gray-400">
+                          {new Date(job.createdAt).toLocaleString()}
+                          {job.options?.query && ` • "${job.options.query}"`}
+                        </span>
+                      </div>
+                      <div className="flex items-center gap-2">
+                        <span className={`px-2 py-1 rounded-full text-xs font-medium ${STATUS_STYLES[job.status] || ''}`}>
+                          {job.status}
+                        </span>
+                        {active && (
+                          <button
+                            onClick={() => cancelImport.mutate(job.importId)}
+                            className="p-1 text-gray-500 hover:text-red-600"
+                            title="Cancel import"
+                          >
+                            <X className="w-4 h-4" />
+                          </button>
+                        )}
+                      </div>
+                    </div>
+
+                    {active && (
+                      <div className="w-full bg-gray-200 dark:bg-gray-700 rounded-full h-2">
+                        <div className="bg-blue-600 h-2 rounded-full transition-all" style={{ width: `${percent}%` }} />
+                      </div>
+                    )}
+
+                    <div className="flex flex-wrap items-center justify-between gap-2 text-xs text-gray-600 dark:text-gray-400">
+                      <span>
+                        {processed || 0}/{total || 0} processed • {created || 0} {job.options?.dryRun ? 'to create' : 'created'} •{' '}
+                        {linked || 0} linked • {skipped || 0} skipped • {failed || 0} failed
+                      </span>
+                      <div className="flex gap-3">
+                        {job.options?.dryRun && job.status === 'succeeded' && (
+                          <button
+                            onClick={() => handleStart(false, { query: job.options.query, onDuplicate: job.options.onDuplicate })}
+                            disabled={inProgress || startImport.isPending}
+                            className="text-blue-600 hover:underline disabled:opacity-50"
+                          >
+                            Run this import
+                          </button>
+                        )}
+                        <button
+                          onClick={() => setExpandedId(expandedId === job.importId ? null : job.importId)}
+                          className="text-blue-600 hover:underline"
+                        >
+                          {expandedId === job.importId ? 'Hide products' : 'Show products'}
+                        </button>
+                      </div>
+                    </div>
+                    {job.error && <p className="text-xs text-red-600 dark:text-red-400">{job.error}</p>}
+                  </div>
+
+                  {expandedId === job.importId && <ImportItems importId={job.importId} />}
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CatalogImport;
@@ -0,0 +1,171 @@
+import React, { useState } from 'react';
+import { History, Loader2, X } from 'lucide-react';
+import {
+  useOrderBackfills,
+  useStartOrderBackfill,
+  useCancelOrderBackfill
+} from '../hooks/useShopify.js';
+
+const STATUS_STYLES = {
+  queued: 'bg-gray-100 text-gray-800 dark:bg-gray-800 dark:text-gray-200',
+  running: 'bg-blue-100 text-blue-800 dark:bg-blue-900/20 dark:text-blue-200',
+  succeeded: 'bg-green-100 text-green-800 dark:bg-green-900/20 dark:text-green-200',
+  failed: 'bg-red-100 text-red-800 dark:bg-red-900/20 dark:text-red-200',
+  cancelled: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/20 dark:text-yellow-200'
+};
+
+const toDateInput = (date) => date.toISOString().slice(0, 10);
+
+const formatRange = ({ from, to } = {}) => {
+  const format = (value) => new Date(value).toLocaleDateString();
+  if (!from) return to ? `All orders until ${format(to)}` : 'All orders';
+  return `${format(from)} – ${to ? format(to) : 'today'}`;
+};
+
+/**
+ * Order Backfill
+ * Imports a store's past Shopify orders so sales analytics cover the time before it was connected
+ */
+const OrderBackfill = ({ storeId }) => {
+  const [from, setFrom] = useState(() => toDateInput(new Date(Date.now() - 365 * 24 * 60 * 60 * 1000)));
+  const [to, setTo] = useState(() => toDateInput(new Date()));
+  const [expandedId, setExpandedId] = useState(null);
+
+  const { data, isLoading } = useOrderBackfills(storeId);
+  const startBackfill = useStartOrderBackfill();
+  const cancelBackfill = useCancelOrderBackfill();
+
+  const backfills = data?.backfills || [];
+  const inProgress = backfills.some((job) => ['queued', 'running'].includes(job.status));
+
+  const handleStart = () => {
+    startBackfill.mutate({
+      storeId,
+      from: from ? new Date(`${from}T00:00:00`).toISOString() : undefined,
+      to: to ? new Date(`${to}T23:59:59.999`).toISOString() : undefined
+    });
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-900 rounded-lg border border-gray-200 dark:border-gray-700 p-4 space-y-4">
+      <div>
+        <h3 className="text-sm font-semibold text-gray-900 dark:text-white">Import Order History</h3>
+        <p className="text-sm text-gray-600 dark:text-gray-400 mt-1">
+          Add orders placed before this store was connected. Orders that are already stored are updated, not
+          counted twice. Leave the start date empty to import the whole history.
+        </p>
+      </div>
+
+      <div className="flex flex-wrap items-end gap-3">
+        <label className="block text-sm">
+          <span className="text-gray-700 dark:text-gray-300">From</span>
+          <input
+            type="date"
+            value={from}
+            max={to || undefined}
+            onChange={(e) => setFrom(e.target.value)}
+            className="mt-1 block rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 px-3 py-2 text-gray-900 dark:text-white"
+          />
+        </label>
+        <label className="block text-sm">
+          <span className="text-gray-700 dark:text-gray-300">To</span>
+          <input
+            type="date"
+            value={to}
+            min={from || undefined}
+            onChange={(e) => setTo(e.target.value)}
+            className="mt-1 block rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 px-3 py-2 text-gray-900 dark:text-white"
+          />
+        </label>
+        <button
+          onClick={handleStart}
+          disabled={inProgress || startBackfill.isPending}
+          className="inline-flex items-center gap-2 px-4 py-2 rounded-md bg-blue-600 text-sm text-white hover:bg-blue-700 disabled:opacity-50"
+        >
+          <History className="w-4 h-4" />
+          Import Orders
+        </button>
+      </div>
+
+      {isLoading ? (
+        <div className="flex justify-center">
+          <Loader2 className="w-5 h-5 animate-spin text-blue-600" />
+        </div>
+      ) : backfills.length > 0 && (
+        <div className="divide-y divide-gray-200 dark:divide-gray-700 border-t border-gray-200 dark:border-gray-700">
+          {backfills.map((job) => {
+            const { total, processed, created, updated, skipped, failed } = job.progress || {};
+            const percent = total ? Math.min(100, Math.round((processed / total) * 100)) : 0;
+            const active = ['queued', 'running'].includes(job.status);
+
+            return (
+              <div key={job.backfillId} className="py-3 space-y-2">
+                <div className="flex items-center justify-between gap-4">
+                  <div className="text-sm">
+                    <span className="font-medium text-gray-900 dark:text-white">{formatRange(job.options)}</span>
+                    <span className="ml-2 text-gray-500 dark:text-gray-400">
+                      {new Date(job.createdAt).toLocaleString()}
+                    </span>
+                  </div>
+                  <div className="flex items-center gap-2">
+                    <span className={`px-2 py-1 rounded-full text-xs font-medium ${STATUS_STYLES[job.status] || ''}`}>
+                      {job.status}
+                    </span>
+                    {active && (
+                      <button
+                        onClick={() => cancelBackfill.mutate(job.backfillId)}
+                        className="p-1 text-gray-500 hover:text-red-600"
+                        title="Cancel order import"
+                      >
+                        <X className="w-4 h-4" />
+                      </button>
+                    )}
+                  </div>
+                </div>
+
+                {active && (
+                  <div className="w-full bg-gray-200 dark:bg-gray-700 rounded-full h-2">
+                    <div className="bg-blue-600 h-2 rounded-full transition-all" style={{ width: `${percent}%` }} />
+                  </div>
+                )}
+
+                <div className="flex flex-wrap items-center justify-between gap-2 text-xs text-gray-600 dark:text-gray-400">
+                  <span>
+                    {processed || 0}/{total || 0} processed • {created || 0} added • {updated || 0} updated •{' '}
+                    {skipped || 0} unchanged • {failed || 0} failed
+                  </span>
+                  {job.failures?.length > 0 && (
+                    <button
+                      onClick={() => setExpandedId(expandedId === job.backfillId ? null : job.backfillId)}
+                      className="text-blue-600 hover:underline"
+                    >
+                      {expandedId === job.backfillId ? 'Hide failures' : 'Show failures'}
+                    </button>
+                  )}
+                </div>
+                {job.historyLimited && (
+                  <p className="text-xs text-yellow-700 dark:text-yellow-300">
+                    Only orders from the last 60 days were available. Reconnect the store to import older orders.
+                  </p>
+                )}
+                {job.error && <p className="text-xs text-red-600 dark:text-red-400">{job.error}</p>}
+
+                {expandedId === job.backfillId && (
+                  <ul className="text-xs space-y-1">
+                    {job.failures.map((failure) => (
+                      <li key={failure.shopifyOrderId} className="text-red-600 dark:text-red-400">
+                        {failure.name || failure.shopifyOrderId}: {failure.error}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default OrderBackfill;
@@ -0,0 +1,224 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useQueryClient } from '@tanstack/react-query';
+import { Check, ChevronDown, ChevronRight, Link2, Loader2, Search, X } from 'lucide-react';
+import {
+  useProductMatchingStatus,
+  useMatchProposals,
+  useStartProductMatching,
+  useConfirmMatchProposals,
+  useRejectMatchProposal
+} from '../hooks/useShopify.js';
+
+const LEVEL_STYLES = {
+  high: 'bg-green-100 text-green-800 dark:bg-green-900/20 dark:text-green-200',
+  medium: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/20 dark:text-yellow-200',
+  low: 'bg-gray-100 text-gray-800 dark:bg-gray-800 dark:text-gray-200'
+};
+
+const CONFIDENCE_FILTERS = [
+  { value: '', label: 'All matches' },
+  { value: '0.5', label: 'Medium and high' },
+  { value: '0.8', label: 'High only' }
+];
+
+const VariantAlignment = ({ proposal }) => {
+  const variants = proposal.product?.variants || [];
+
+  return (
+    <div className="px-4 pb-4 pl-12 text-xs text-gray-600 dark:text-gray-400 space-y-1">
+      {proposal.variantAlignment.map((pair) => {
+        const variant = variants[pair.dashboardVariantIndex];
+        return (
+          <div key={pair.shopifyVariantId} className="flex gap-2">
+            <span className="text-gray-900 dark:text-white">
+              {variant?.optionValues?.map((option) => option.value).join(' / ') || `Variant ${pair.dashboardVariantIndex + 1}`}
+            </span>
+            <span>→</span>
+            <span>{pair.shopifyVariantTitle}{pair.sku && ` (${pair.sku})`}</span>
+            <span className="text-gray-400">by {pair.matchedBy}</span>
+          </div>
+        );
+      })}
+      {proposal.unmatchedDashboardVariants.map((index) => (
+        <div key={`dashboard-${index}`} className="text-yellow-700 dark:text-yellow-400">
+          Dashboard variant {variants[index]?.sku || index + 1} has no store variant
+        </div>
+      ))}
+      {proposal.unmatchedShopifyVariants.map((variant) => (
+        <div key={variant.shopifyVariantId} className="text-yellow-700 dark:text-yellow-400">
+          Store variant {variant.title}{variant.sku && ` (${variant.sku})`} is not linked
+        </div>
+      ))}
+    </div>
+  );
+};
+
+/**
+ * Product Matching
+ * Finds products that already exist in the store and links them to dashboard masters
+ */
+const ProductMatching = ({ storeId }) => {
+  const queryClient = useQueryClient();
+  const [minConfidence, setMinConfidence] = useState('');
+  const [selected, setSelected] = useState([]);
+  const [expandedId, setExpandedId] = useState(null);
+
+  const { data: statusData } = useProductMatchingStatus(storeId);
+  const { data, isLoading } = useMatchProposals(storeId, { minConfidence: minConfidence || undefined });
+  const startMatching = useStartProductMatching();
+  const confirmProposals = useConfirmMatchProposals();
+  const rejectProposal = useRejectMatchProposal();
+
+  const scan = statusData?.scans?.[0];
+  const scanning = scan?.status === 'running';
+  const proposals = data?.proposals || [];
+
+  // Reload proposals when a scan finishes
+  const wasScanning = useRef(false);
+  useEffect(() => {
+    if (wasScanning.current && !scanning) {
+      queryClient.invalidateQueries({ queryKey: ['match-proposals', storeId] });
+    }
+    wasScanning.current = scanning;
+  }, [scanning, storeId, queryClient]);
+
+  const toggleSelected = (proposalId) => {
+    setSelected((previous) => (previous.includes(proposalId)
+      ? previous.filter((id) => id !== proposalId)
+      : [...previous, proposalId]));
+  };
+
+  const handleConfirm = (proposalIds) => {
+    confirmProposals.mutate(proposalIds, {
+      onSettled: () => setSelected((previous) => previous.filter((id) => !proposalIds.includes(id)))
+    });
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white dark:bg-gray-900 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6 space-y-4">
+        <div>
+          <h3 className="text-lg font-medium text-gray-900 dark:text-white">Match Existing Products</h3>
+          <p className="text-sm text-gray-600 dark:text-gray-400 mt-1">
+            Look for products in this store that already match your dashboard products by handle, SKU or barcode.
+            Confirming a match links the products so they sync without creating duplicates.
+          </p>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-4">
+          <button
+            onClick={() => startMatching.mutate({ storeIds: [storeId] })}
+            disabled={scanning || startMatching.isPending}
+            className="inline-flex items-center gap-2 px-4 py-2 rounded-md bg-blue-600 text-sm text-white hover:bg-blue-700 disabled:opacity-50"
+          >
+            {scanning ? <Loader2 className="w-4 h-4 animate-spin" /> : <Search className="w-4 h-4" />}
+            {scanning ? 'Scanning…' : 'Find Matches'}
+          </button>
+
+          {scan && (
+            <span className="text-sm text-gray-600 dark:text-gray-400">
+              {scanning
+                ? `Checked ${scan.scanned} of ${scan.total} products`
+                : scan.status === 'failed'
+                  ? `Last scan failed: ${scan.error}`
+                  : `Last scan found ${scan.proposals} possible match(es)`}
+            </span>
+          )}
+        </div>
+      </div>
+
+      <div className="bg-white dark:bg-gray-900 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700">
+        <div className="p-6 border-b border-gray-200 dark:border-gray-700 flex flex-wrap items-center justify-between gap-4">
+          <h3 className="text-lg font-medium text-gray-900 dark:text-white">Proposed Matches</h3>
+          <div className="flex items-center gap-3">
+            <select
+              value={minConfidence}
+              onChange={(e) => setMinConfidence(e.target.value)}
+              className="rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 px-3 py-2 text-sm text-gray-900 dark:text-white"
+            >
+              {CONFIDENCE_FILTERS.map((filter) => (
+                <option key={filter.value} value={filter.value}>{filter.label}</option>
+              ))}
+            </select>
+            <button
+              onClick={() => handleConfirm(selected)}
+              disabled={selected.length === 0 || confirmProposals.isPending}
+              className="inline-flex items-center gap-2 px-4 py-2 rounded-md bg-green-600 text-sm text-white hover:bg-green-700 disabled:opacity-50"
+            >
+              <Link2 className="w-4 h-4" />
+              Link selected ({selected.length})
+            </button>
+          </div>
+        </div>
+
+        {isLoading ? (
+          <div className="p-6 flex justify-center">
+            <Loader2 className="w-5 h-5 animate-spin text-blue-600" />
+          </div>
+        ) : proposals.length === 0 ? (
+          <p className="p-6 text-sm text-gray-500 dark:text-gray-400">No pending matches. Run a scan to look for some.</p>
+        ) : (
+          <div className="divide-y divide-gray-200 dark:divide-gray-700">
+            {proposals.map((proposal) => (
+              <div key={proposal._id}>
+                <div className="p-4 flex items-center gap-4">
+                  <input
+                    type="checkbox"
+                    checked={selected.includes(proposal._id)}
+                    onChange={() => toggleSelected(proposal._id)}
+                    className="rounded border-gray-300"
+                  />
+                  <button
+                    onClick={() => setExpandedId(expandedId === proposal._id ? null : proposal._id)}
+                    className="text-gray-500 hover:text-gray-700"
+                    title="Show variant alignment"
+                  >
+                    {expandedId === proposal._id ? <ChevronDown className="w-4 h-4" /> : <ChevronRight className="w-4 h-4" />}
+                  </button>
+                  <div className="flex-1 grid grid-cols-1 md:grid-cols-2 gap-2 text-sm">
+                    <div>
+                      <div className="font-medium text-gray-900 dark:text-white">{proposal.product?.title}</div>
+                      <div className="text-xs text-gray-500 dark:text-gray-400">Dashboard • {proposal.product?.handle}</div>
+                    </div>
+                    <div>
+                      <div className="font-medium text-gray-900 dark:text-white">{proposal.shopifyTitle}</div>
+                      <div className="text-xs text-gray-500 dark:text-gray-400">Store • {proposal.shopifyHandle}</div>
+                    </div>
+                  </div>
+                  <div className="text-right text-xs text-gray-600 dark:text-gray-400">
+                    <span className={`px-2 py-1 rounded-full font-medium ${LEVEL_STYLES[proposal.level] || ''}`}>
+                      {Math.round(proposal.confidence * 100)}%
+                    </span>
+                    <div className="mt-1">by {proposal.matchedBy.join(', ')}</div>
+                  </div>
+                  <div className="flex gap-1">
+                    <button
+                      onClick={() => handleConfirm([proposal._id])}
+                      disabled={confirmProposals.isPending}
+                      className="p-1 text-gray-500 hover:text-green-600 disabled:opacity-50"
+                      title="Link products"
+                    >
+                      <Check className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => rejectProposal.mutate(proposal._id)}
+                      disabled={rejectProposal.isPending}
+                      className="p-1 text-gray-500 hover:text-red-600 disabled:opacity-50"
+                      title="Not a match"
+                    >
+                      <X className="w-4 h-4" />
+                    </button>
+                  </div>
+                </div>
+
+                {expandedId === proposal._id && <VariantAlignment proposal={proposal} />}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ProductMatching;
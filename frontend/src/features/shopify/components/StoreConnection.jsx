@@ -201,6 +201,7 @@ const handleConnect = async (e) => {
               store={store}
               onDisconnect={() => handleDisconnectClick(store._id, store.shopName)}
               isDisconnecting={disconnectStore.isPending}
+              onReconnect={() => initiateAuthMutation.mutate(store.shopDomain)}
               onViewDetails={() => {
                 // Navigate to store details page
                 window.location.href = `/stores/${store._id}`;
@@ -230,7 +231,7 @@ const handleConnect = async (e) => {
   );
 };
 
-const StoreCard = ({ store, onDisconnect, onViewDetails, isDisconnecting }) => {
+const StoreCard = ({ store, onDisconnect, onViewDetails, isDisconnecting, onReconnect }) => {
   const formatDate = (date) => {
     return new Date(date).toLocaleDateString('en-US', {
       year: 'numeric',
@@ -277,6 +278,22 @@ const StoreCard = ({ store, onDisconnect, onViewDetails, isDisconnecting }) => {
               Currency: <span className="font-medium">{store.shopData?.currency || '—'}</span>
             </div>
           </div>
+
+          {/* Stores connected before a permission was added have to approve it again */}
+          {store.missingScopes?.length > 0 && (
+            <div className="mt-3 p-3 rounded-md border border-yellow-200 bg-yellow-50 dark:border-yellow-800 dark:bg-yellow-900/20 flex items-center justify-between gap-4">
+              <p className="text-sm text-yellow-800 dark:text-yellow-200">
+                Reconnect this store to grant new permissions: {store.missingScopes.join(', ')}.
+                {store.missingScopes.includes('read_all_orders') && ' Until then, order history imports only cover the last 60 days.'}
+              </p>
+              <button
+                onClick={onReconnect}
+                className="shrink-0 px-3 py-1.5 rounded-md bg-yellow-600 hover:bg-yellow-700 text-sm text-white"
+              >
+                Reconnect
+              </button>
+            </div>
+          )}
         </div>
 
         <div className="flex space-x-2 ml-4">
@@ -2,8 +2,11 @@
  * Shopify Store Management Hooks
  * React Query hooks for store operations using shopify API functions
  */
+import { useEffect } from 'react';
 import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { toast } from 'react-hot-toast';
 import { queryKeys } from '@/lib';
+import { socket } from '@/lib/socket';
 import {
   initiateShopifyAuth,
   getConnectedStores,
@@ -12,9 +15,23 @@ import {
   getStoreSummary,
   getStoreCollections,
   getStoreLocations,
-  linkStoreToUser
+  linkStoreToUser,
+  startCatalogImport,
+  getCatalogImports,
+  getCatalogImport,
+  cancelCatalogImport,
+  startOrderBackfill,
+  getOrderBackfills,
+  cancelOrderBackfill,
+  startProductMatching,
+  getProductMatchingStatus,
+  getMatchProposals,
+  confirmMatchProposals,
+  rejectMatchProposal
 } from '../api/shopifyApi';
 
+const FINISHED_IMPORT_STATUSES = ['succeeded', 'failed', 'cancelled'];
+
 /**
  * Hook to initiate Shopify OAuth flow
  * @returns {Object} Mutation object for OAuth initiation
@@ -119,3 +136,270 @@ export const useLinkStore = () => {
     },
   });
 };
+
+/**
+ * Hook to list a store's catalog imports, kept live by 'catalog_import_update' socket events
+ * @param {string} storeId - Store ID
+ * @returns {Object} Query object with { imports, pagination }
+ */
+export const useCatalogImports = (storeId) => {
+  const queryClient = useQueryClient();
+
+  useEffect(() => {
+    if (!storeId) return;
+
+    const handleImportUpdate = (payload) => {
+      if (String(payload?.storeId) !== String(storeId)) return;
+
+      queryClient.setQueryData(['catalog-imports', storeId], (previous) => {
+        if (!previous) return previous;
+        const exists = previous.imports.some((job) => job.importId === payload.importId);
+        return {
+          ...previous,
+          imports: exists
+            ? previous.imports.map((job) => (job.importId === payload.importId ? payload : job))
+            : [payload, ...previous.imports]
+        };
+      });
+
+      if (FINISHED_IMPORT_STATUSES.includes(payload.status)) {
+        queryClient.invalidateQueries({ queryKey: ['catalog-import', String(payload.importId)] });
+        queryClient.invalidateQueries({ queryKey: ['products'] });
+      }
+    };
+
+    socket.on('catalog_import_update', handleImportUpdate);
+    return () => {
+      socket.off('catalog_import_update', handleImportUpdate);
+    };
+  }, [storeId, queryClient]);
+
+  return useQuery({
+    queryKey: ['catalog-imports', storeId],
+    queryFn: () => getCatalogImports(storeId),
+    enabled: !!storeId,
+    refetchInterval: (query) => {
+      const running = query.state.data?.imports?.some((job) => !FINISHED_IMPORT_STATUSES.includes(job.status));
+      return running && !socket.connected ? 5000 : false;
+    }
+  });
+};
+
+/**
+ * Hook to get one catalog import with its per-product plan/results
+ * @param {string} importId - Import ID
+ * @returns {Object} Query object with import data
+ */
+export const useCatalogImport = (importId) => {
+  return useQuery({
+    queryKey: ['catalog-import', String(importId)],
+    queryFn: () => getCatalogImport(importId),
+    enabled: !!importId
+  });
+};
+
+/**
+ * Hook to start a catalog import or dry-run preview
+ * @returns {Object} Mutation object for starting an import
+ */
+export const useStartCatalogImport = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: startCatalogImport,
+    onSuccess: (job, variables) => {
+      queryClient.invalidateQueries({ queryKey: ['catalog-imports', variables.storeId] });
+      toast.success(variables.dryRun ? 'Import preview started' : 'Catalog import started');
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to start import');
+    }
+  });
+};
+
+/**
+ * Hook to cancel a catalog import
+ * @returns {Object} Mutation object for import cancellation
+ */
+export const useCancelCatalogImport = () => {
+  return useMutation({
+    mutationFn: cancelCatalogImport,
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to cancel import');
+    }
+  });
+};
+
+/**
+ * Hook to list a store's order backfills, kept live by 'order_backfill_update' socket events
+ * @param {string} storeId - Store ID
+ * @returns {Object} Query object with { backfills, pagination }
+ */
+export const useOrderBackfills = (storeId) => {
+  const queryClient = useQueryClient();
+
+  useEffect(() => {
+    if (!storeId) return;
+
+    const handleBackfillUpdate = (payload) => {
+      if (String(payload?.storeId) !== String(storeId)) return;
+
+      queryClient.setQueryData(['order-backfills', storeId], (previous) => {
+        if (!previous) return previous;
+        const exists = previous.backfills.some((job) => job.backfillId === payload.backfillId);
+        return {
+          ...previous,
+          backfills: exists
+            ? previous.backfills.map((job) => (job.backfillId === payload.backfillId ? payload : job))
+            : [payload, ...previous.backfills]
+        };
+      });
+
+      // Imported orders change the sales charts and the store's cached totals
+      if (FINISHED_IMPORT_STATUSES.includes(payload.status)) {
+        queryClient.invalidateQueries({ queryKey: ['dashboard'] });
+        queryClient.invalidateQueries({ queryKey: ['store-details', storeId] });
+        queryClient.invalidateQueries({ queryKey: ['store-stats', storeId] });
+      }
+    };
+
+    socket.on('order_backfill_update', handleBackfillUpdate);
+    return () => {
+      socket.off('order_backfill_update', handleBackfillUpdate);
+    };
+  }, [storeId, queryClient]);
+
+  return useQuery({
+    queryKey: ['order-backfills', storeId],
+    queryFn: () => getOrderBackfills(storeId),
+    enabled: !!storeId,
+    refetchInterval: (query) => {
+      const running = query.state.data?.backfills?.some((job) => !FINISHED_IMPORT_STATUSES.includes(job.status));
+      return running && !socket.connected ? 5000 : false;
+    }
+  });
+};
+
+/**
+ * Hook to start an order backfill
+ * @returns {Object} Mutation object for starting a backfill
+ */
+export const useStartOrderBackfill = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: startOrderBackfill,
+    onSuccess: (job, variables) => {
+      queryClient.invalidateQueries({ queryKey: ['order-backfills', variables.storeId] });
+      toast.success('Order import started');
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to start order import');
+    }
+  });
+};
+
+/**
+ * Hook to cancel an order backfill
+ * @returns {Object} Mutation object for backfill cancellation
+ */
+export const useCancelOrderBackfill = () => {
+  return useMutation({
+    mutationFn: cancelOrderBackfill,
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to cancel order import');
+    }
+  });
+};
+
+/**
+ * Hook to get a store's product matching scan; polls while the scan runs
+ * @param {string} storeId - Store ID
+ * @returns {Object} Query object with { scans }
+ */
+export const useProductMatchingStatus = (storeId) => {
+  return useQuery({
+    queryKey: ['product-matching-scan', storeId],
+    queryFn: () => getProductMatchingStatus(storeId),
+    enabled: !!storeId,
+    refetchInterval: (query) => (query.state.data?.scans?.[0]?.status === 'running' ? 3000 : false)
+  });
+};
+
+/**
+ * Hook to list pending match proposals for a store
+ * @param {string} storeId - Store ID
+ * @param {Object} filters - { status, minConfidence }
+ * @returns {Object} Query object with { proposals, pagination }
+ */
+export const useMatchProposals = (storeId, filters = {}) => {
+  return useQuery({
+    queryKey: ['match-proposals', storeId, filters],
+    queryFn: () => getMatchProposals({ storeId, ...filters }),
+    enabled: !!storeId
+  });
+};
+
+/**
+ * Hook to start a product matching scan
+ * @returns {Object} Mutation object for starting a scan
+ */
+export const useStartProductMatching = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: startProductMatching,
+    onSuccess: (data, variables) => {
+      (variables?.storeIds || []).forEach((storeId) => {
+        queryClient.invalidateQueries({ queryKey: ['product-matching-scan', storeId] });
+      });
+      toast.success('Matching started');
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to start matching');
+    }
+  });
+};
+
+/**
+ * Hook to confirm match proposals
+ * @returns {Object} Mutation object for confirming proposals
+ */
+export const useConfirmMatchProposals = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: confirmMatchProposals,
+    onSuccess: ({ confirmed, failed }) => {
+      queryClient.invalidateQueries({ queryKey: ['match-proposals'] });
+      queryClient.invalidateQueries({ queryKey: ['products'] });
+      if (failed.length > 0) {
+        toast.error(`Linked ${confirmed.length} product(s), ${failed.length} failed: ${failed[0].message}`);
+      } else {
+        toast.success(`Linked ${confirmed.length} product(s)`);
+      }
+    },
+    onError: (error) => {
+      queryClient.invalidateQueries({ queryKey: ['match-proposals'] });
+      toast.error(error.response?.data?.message || 'Failed to link products');
+    }
+  });
+};
+
+/**
+ * Hook to reject a match proposal
+ * @returns {Object} Mutation object for rejecting a proposal
+ */
+export const useRejectMatchProposal = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: rejectMatchProposal,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['match-proposals'] });
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to reject proposal');
+    }
+  });
+};
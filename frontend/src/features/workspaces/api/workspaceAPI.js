@@ -0,0 +1,109 @@
+import { api } from '../../../lib/api.js';
+
+/**
+ * Workspace API Module
+ *
+ * Team workspaces: the workspace switcher, members and roles, and email invitations.
+ *
+ * Backend Integration:
+ * - Base URL: /api/workspaces
+ * - "current" is the workspace selected with the X-Workspace-Id header (set in lib/api.js)
+ * - Invitation previews are public; everything else requires authentication
+ */
+
+export const workspaceAPI = {
+  /**
+   * Workspaces the user belongs to, their own first
+   * Backend Returns: { workspaces: [{ _id, name, role, permissions, memberCount, isPersonal, ownerName, ownerEmail }] }
+   */
+  getWorkspaces: async () => {
+    const response = await api.get('/api/workspaces');
+    return response.data.data;
+  },
+
+  /**
+   * Selected workspace with its members
+   * Backend Returns: { _id, name, role, permissions, members: [...] }
+   */
+  getCurrentWorkspace: async () => {
+    const response = await api.get('/api/workspaces/current');
+    return response.data.data;
+  },
+
+  /**
+   * Rename the selected workspace
+   * @param {Object} data - { name }
+   */
+  updateCurrentWorkspace: async (data) => {
+    const response = await api.patch('/api/workspaces/current', data);
+    return response.data;
+  },
+
+  /**
+   * Change a member's role
+   * @param {Object} params - { userId, role }
+   */
+  updateMemberRole: async ({ userId, role }) => {
+    const response = await api.patch(`/api/workspaces/current/members/${userId}`, { role });
+    return response.data;
+  },
+
+  /**
+   * Remove a member, or leave the workspace when userId is the current user
+   * @param {string} userId - Member user ID
+   */
+  removeMember: async (userId) => {
+    const response = await api.delete(`/api/workspaces/current/members/${userId}`);
+    return response.data;
+  },
+
+  /**
+   * Pending invitations of the selected workspace
+   * Backend Returns: { invitations: [...] }
+   */
+  getInvitations: async () => {
+    const response = await api.get('/api/workspaces/current/invitations');
+    return response.data.data;
+  },
+
+  /**
+   * Invite someone by email
+   * @param {Object} data - { email, role }
+   * Backend Returns: { invitation, inviteUrl, emailSent }
+   */
+  createInvitation: async (data) => {
+    const response = await api.post('/api/workspaces/current/invitations', data);
+    return response.data;
+  },
+
+  /**
+   * Revoke a pending invitation
+   * @param {string} invitationId - Invitation ID
+   */
+  revokeInvitation: async (invitationId) => {
+    const response = await api.delete(`/api/workspaces/current/invitations/${invitationId}`);
+    return response.data;
+  },
+
+  /**
+   * What an invitation link is for (no sign-in required)
+   * @param {string} token - Token from the invitation link
+   * Backend Returns: { workspaceId, workspaceName, email, role, invitedBy, expiresAt }
+   */
+  getInvitation: async (token) => {
+    const response = await api.get(`/api/workspaces/invitations/${token}`);
+    return response.data.data;
+  },
+
+  /**
+   * Accept an invitation as the signed-in user
+   * @param {string} token - Token from the invitation link
+   * Backend Returns: workspace summary
+   */
+  acceptInvitation: async (token) => {
+    const response = await api.post(`/api/workspaces/invitations/${token}/accept`);
+    return response.data;
+  },
+};
+
+export default workspaceAPI;
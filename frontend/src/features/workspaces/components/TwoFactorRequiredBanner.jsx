@@ -0,0 +1,28 @@
+import { Link } from 'react-router-dom';
+import { ShieldExclamationIcon } from '@heroicons/react/24/outline';
+import useAuthStore from '../../../stores/authStore.js';
+import { useActiveWorkspace } from '../hooks/useWorkspaces.js';
+
+// The backend rejects every request to a workspace that requires two-factor (TWO_FACTOR_REQUIRED)
+// until the member enables it; explain why instead of leaving pages empty
+export function TwoFactorRequiredBanner() {
+  const { user } = useAuthStore();
+  const { workspace } = useActiveWorkspace();
+
+  if (!workspace?.requireTwoFactor || user?.twoFactor?.enabled) return null;
+
+  return (
+    <div className="mb-6 flex items-start gap-3 rounded-lg border border-red-200 bg-red-50 p-4 dark:border-red-800 dark:bg-red-900/20">
+      <ShieldExclamationIcon className="h-5 w-5 flex-shrink-0 text-red-600 dark:text-red-400" />
+      <div className="flex-1 text-sm text-red-800 dark:text-red-200">
+        <span className="font-medium">{workspace.name}</span> requires two-factor authentication.{' '}
+        <Link to="/settings?tab=security" className="font-medium underline hover:no-underline">
+          Enable it now
+        </Link>{' '}
+        or switch to another workspace.
+      </div>
+    </div>
+  );
+}
+
+export default TwoFactorRequiredBanner;
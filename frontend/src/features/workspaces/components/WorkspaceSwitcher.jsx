@@ -0,0 +1,100 @@
+import { Fragment } from 'react';
+import { Menu, Transition } from '@headlessui/react';
+import { Link, useNavigate } from 'react-router-dom';
+import {
+  BuildingOffice2Icon,
+  CheckIcon,
+  ChevronUpDownIcon,
+  UserGroupIcon
+} from '@heroicons/react/24/outline';
+import { useActiveWorkspace, useSwitchWorkspace } from '../hooks/useWorkspaces.js';
+
+/**
+ * Workspace switcher for the header: lists the workspaces the user belongs to
+ * and switches the one all API requests act on.
+ */
+export function WorkspaceSwitcher() {
+  const { workspace, workspaces } = useActiveWorkspace();
+  const switchWorkspace = useSwitchWorkspace();
+  const navigate = useNavigate();
+
+  if (!workspace) return null;
+
+  const handleSelect = (target) => {
+    if (target._id === workspace._id) return;
+    switchWorkspace(target);
+    navigate('/');
+  };
+
+  return (
+    <Menu as="div" className="relative">
+      <Menu.Button className="flex items-center space-x-2 px-3 py-2 rounded-lg text-sm text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-800 focus:outline-none focus:ring-2 focus:ring-blue-500">
+        <BuildingOffice2Icon className="h-5 w-5 text-gray-400" />
+        <span className="hidden sm:block max-w-[10rem] truncate font-medium">{workspace.name}</span>
+        <ChevronUpDownIcon className="h-4 w-4 text-gray-400" />
+      </Menu.Button>
+      <Transition
+        as={Fragment}
+        enter="transition ease-out duration-100"
+        enterFrom="transform opacity-0 scale-95"
+        enterTo="transform opacity-100 scale-100"
+        leave="transition ease-in duration-75"
+        leaveFrom="transform opacity-100 scale-100"
+        leaveTo="transform opacity-0 scale-95"
+      >
+        <Menu.Items className="origin-top-right absolute right-0 mt-2 w-64 rounded-md shadow-lg py-1 bg-white dark:bg-gray-800 ring-1 ring-black ring-opacity-5 focus:outline-none z-50">
+          <div className="px-4 py-2 border-b border-gray-200 dark:border-gray-600">
+            <p className="text-xs font-medium uppercase tracking-wide text-gray-500 dark:text-gray-400">
+              Workspaces
+            </p>
+          </div>
+
+          {workspaces.map((item) => (
+            <Menu.Item key={item._id}>
+              {({ active }) => (
+                <button
+                  onClick={() => handleSelect(item)}
+                  className={`flex items-center w-full px-4 py-2 text-sm text-left ${
+                    active
+                      ? 'bg-gray-100 dark:bg-gray-700 text-gray-900 dark:text-white'
+                      : 'text-gray-700 dark:text-gray-200'
+                  }`}
+                >
+                  <div className="flex-1 min-w-0">
+                    <p className="truncate font-medium">{item.name}</p>
+                    <p className="truncate text-xs text-gray-500 dark:text-gray-400 capitalize">
+                      {item.isPersonal ? 'Your workspace' : `${item.role} · ${item.ownerName || item.ownerEmail || 'Team'}`}
+                    </p>
+                  </div>
+                  {item._id === workspace._id && (
+                    <CheckIcon className="ml-2 h-4 w-4 text-blue-600 dark:text-blue-400" />
+                  )}
+                </button>
+              )}
+            </Menu.Item>
+          ))}
+
+          <div className="border-t border-gray-200 dark:border-gray-600 mt-1 pt-1">
+            <Menu.Item>
+              {({ active }) => (
+                <Link
+                  to="/team"
+                  className={`flex items-center px-4 py-2 text-sm ${
+                    active
+                      ? 'bg-gray-100 dark:bg-gray-700 text-gray-900 dark:text-white'
+                      : 'text-gray-700 dark:text-gray-200'
+                  }`}
+                >
+                  <UserGroupIcon className="mr-3 h-4 w-4" />
+                  Members & invitations
+                </Link>
+              )}
+            </Menu.Item>
+          </div>
+        </Menu.Items>
+      </Transition>
+    </Menu>
+  );
+}
+
+export default WorkspaceSwitcher;
@@ -0,0 +1,187 @@
+import { useEffect } from 'react';
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { toast } from 'react-hot-toast';
+import { workspaceAPI } from '../api/workspaceAPI.js';
+import useAuthStore from '../../../stores/authStore.js';
+import useWorkspaceStore from '../../../stores/workspaceStore.js';
+
+// Workspaces the user belongs to (workspace switcher)
+export const useWorkspaces = () => {
+  const { isAuthenticated } = useAuthStore();
+
+  return useQuery({
+    queryKey: ['workspaces'],
+    queryFn: workspaceAPI.getWorkspaces,
+    enabled: isAuthenticated,
+    staleTime: 5 * 60 * 1000, // 5 minutes
+    select: (data) => data.workspaces || [],
+  });
+};
+
+// The selected workspace from the list, falling back to the user's own.
+// A selection the user lost access to (removed, left) is reset.
+export const useActiveWorkspace = () => {
+  const { data: workspaces = [], isLoading } = useWorkspaces();
+  const { currentWorkspaceId, clearWorkspace } = useWorkspaceStore();
+
+  const selected = workspaces.find(workspace => workspace._id === currentWorkspaceId);
+  const workspace = selected || workspaces.find(workspace => workspace.isPersonal) || null;
+
+  useEffect(() => {
+    if (!isLoading && currentWorkspaceId && workspaces.length > 0 && !selected) {
+      clearWorkspace();
+    }
+  }, [isLoading, currentWorkspaceId, workspaces.length, selected, clearWorkspace]);
+
+  const can = (permission) => Boolean(workspace?.permissions?.includes(permission));
+
+  return { workspace, workspaces, isLoading, can };
+};
+
+// Switch workspace; every cached query belongs to the previous workspace, so reload them all
+export const useSwitchWorkspace = () => {
+  const { setCurrentWorkspace } = useWorkspaceStore();
+  const queryClient = useQueryClient();
+
+  return (workspace) => {
+    setCurrentWorkspace(workspace.isPersonal ? null : workspace._id);
+    queryClient.resetQueries();
+    toast.success(`Switched to ${workspace.name}`);
+  };
+};
+
+// Selected workspace with its members
+export const useCurrentWorkspace = () => {
+  const { isAuthenticated } = useAuthStore();
+  const { currentWorkspaceId } = useWorkspaceStore();
+
+  return useQuery({
+    queryKey: ['workspace', 'current', currentWorkspaceId],
+    queryFn: workspaceAPI.getCurrentWorkspace,
+    enabled: isAuthenticated,
+  });
+};
+
+export const useUpdateWorkspace = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: workspaceAPI.updateCurrentWorkspace,
+    onSuccess: (data) => {
+      toast.success(data.message || 'Workspace updated');
+      queryClient.invalidateQueries({ queryKey: ['workspaces'] });
+      queryClient.invalidateQueries({ queryKey: ['workspace'] });
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to update workspace');
+    },
+  });
+};
+
+export const useUpdateMemberRole = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: workspaceAPI.updateMemberRole,
+    onSuccess: (data) => {
+      toast.success(data.message || 'Member role updated');
+      queryClient.invalidateQueries({ queryKey: ['workspace'] });
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to update member role');
+    },
+  });
+};
+
+// Remove a member, or leave the workspace (then back to the user's own workspace)
+export const useRemoveMember = () => {
+  const queryClient = useQueryClient();
+  const { clearWorkspace } = useWorkspaceStore();
+
+  return useMutation({
+    mutationFn: workspaceAPI.removeMember,
+    onSuccess: (data) => {
+      toast.success(data.message || 'Member removed');
+      if (data.data?.left) {
+        clearWorkspace();
+        queryClient.resetQueries();
+        return;
+      }
+      queryClient.invalidateQueries({ queryKey: ['workspace'] });
+      queryClient.invalidateQueries({ queryKey: ['workspaces'] });
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to remove member');
+    },
+  });
+};
+
+// Pending invitations of the selected workspace
+export const useWorkspaceInvitations = (enabled = true) => {
+  const { currentWorkspaceId } = useWorkspaceStore();
+
+  return useQuery({
+    queryKey: ['workspace', 'invitations', currentWorkspaceId],
+    queryFn: workspaceAPI.getInvitations,
+    enabled,
+    select: (data) => data.invitations || [],
+  });
+};
+
+export const useCreateInvitation = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: workspaceAPI.createInvitation,
+    onSuccess: (data) => {
+      toast.success(data.message || 'Invitation sent');
+      queryClient.invalidateQueries({ queryKey: ['workspace', 'invitations'] });
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to send invitation');
+    },
+  });
+};
+
+export const useRevokeInvitation = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: workspaceAPI.revokeInvitation,
+    onSuccess: (data) => {
+      toast.success(data.message || 'Invitation revoked');
+      queryClient.invalidateQueries({ queryKey: ['workspace', 'invitations'] });
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to revoke invitation');
+    },
+  });
+};
+
+// Invitation preview for the accept page (works signed out)
+export const useInvitation = (token) => {
+  return useQuery({
+    queryKey: ['invitation', token],
+    queryFn: () => workspaceAPI.getInvitation(token),
+    enabled: !!token,
+    retry: false,
+  });
+};
+
+// Accept an invitation and switch to the joined workspace
+export const useAcceptInvitation = () => {
+  const queryClient = useQueryClient();
+  const { setCurrentWorkspace } = useWorkspaceStore();
+
+  return useMutation({
+    mutationFn: workspaceAPI.acceptInvitation,
+    onSuccess: (data) => {
+      toast.success(data.message || 'Invitation accepted');
+      setCurrentWorkspace(data.data?._id);
+      queryClient.resetQueries();
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to accept invitation');
+    },
+  });
+};
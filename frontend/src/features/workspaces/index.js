@@ -0,0 +1,5 @@
+// Workspace Feature Exports
+export * from './api/workspaceAPI.js';
+export * from './hooks/useWorkspaces.js';
+export * from './components/WorkspaceSwitcher.jsx';
+export * from './components/TwoFactorRequiredBanner.jsx';
@@ -1,4 +1,5 @@
 import axios from 'axios'
+import useWorkspaceStore from '@/stores/workspaceStore'
 
 // Create base axios instance
 const api = axios.create({
@@ -30,6 +31,10 @@ const processQueue = (error, token = null) => {
 api.interceptors.request.use(
   (config) => {
     // No need to manually add tokens - httpOnly cookies handle auth
+    const { currentWorkspaceId } = useWorkspaceStore.getState()
+    if (currentWorkspaceId) {
+      config.headers['X-Workspace-Id'] = currentWorkspaceId
+    }
     return config
   },
   (error) => {
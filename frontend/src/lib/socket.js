@@ -49,6 +49,11 @@ export const socket = io(import.meta.env.VITE_SOCKET_URL, {
  * - 'notification_read': Notification marked as read
  * - 'notification_deleted': Notification removed
  * 
+ * Sync Jobs:
+ * - 'sync_job_update': Background push/bulk sync job progress
+ * - 'catalog_import_update': Shopify catalog import progress
+ * - 'order_backfill_update': Historical order import progress
+ * 
  * System Events:
  * - 'system_announcement': Broadcast system messages
  * - 'maintenance_mode': Server maintenance notifications
@@ -19,16 +19,23 @@ import Products from '@/pages/Products'
 import ProductCreatePage from '@/pages/ProductCreatePage'
 import ProductDetail from '@/pages/ProductDetail'
 import ProductEdit from '@/pages/ProductEdit'
+import Collections from '@/pages/Collections'
+import MediaLibrary from '@/pages/MediaLibrary'
 import StorePushPageWrapper from '@/pages/StorePushPageWrapper'
 import Notifications from '@/pages/Notifications'
 import Settings from '@/pages/Settings'
 import UserProfile from '@/pages/UserProfile'
+import Team from '@/pages/Team'
 
 // Auth components
 import Login from '@/pages/auth/Login'
 import Signup from '@/pages/auth/Signup'
+import ForgotPassword from '@/pages/auth/ForgotPassword'
+import ResetPassword from '@/pages/auth/ResetPassword'
+import VerifyEmail from '@/pages/auth/VerifyEmail'
 import { AuthGuard, PublicRoute } from '@/features/auth/components/AuthGuard'
 import LinkStore from '@/pages/LinkStore'
+import AcceptInvitation from '@/pages/AcceptInvitation'
 
 // Initialize auth system on app startup
 useAuthStore.getState().initializeAuth();
@@ -40,8 +47,14 @@ const router = createBrowserRouter(
       {/* Auth routes (public) */}
   <Route path="/auth/login" element={<PublicRoute><Login /></PublicRoute>} />
   <Route path="/auth/signup" element={<PublicRoute><Signup /></PublicRoute>} />
+  <Route path="/auth/forgot-password" element={<PublicRoute><ForgotPassword /></PublicRoute>} />
+  <Route path="/auth/reset-password" element={<ResetPassword />} />
+  {/* Verification links are opened signed in or not */}
+  <Route path="/auth/verify-email" element={<VerifyEmail />} />
   {/* Link store must be accessible whether user is logged in or not, so do NOT wrap in PublicRoute */}
   <Route path="/link-store" element={<LinkStore />} />
+  {/* Invitation links are opened signed in or not */}
+  <Route path="/invitations/:token" element={<AcceptInvitation />} />
       
       {/* Protected routes */}
       <Route path="/" element={<AuthGuard><Layout /></AuthGuard>}>
@@ -53,8 +66,11 @@ const router = createBrowserRouter(
         <Route path="products/:id" element={<ProductDetail />} />
         <Route path="products/:id/push" element={<StorePushPageWrapper />} />
         <Route path="products/:id/edit" element={<ProductEdit />} />
+        <Route path="collections" element={<Collections />} />
+        <Route path="media" element={<MediaLibrary />} />
         <Route path="notifications" element={<Notifications />} />
         <Route path="profile" element={<UserProfile />} />
+        <Route path="team" element={<Team />} />
         <Route path="settings" element={<Settings />} />
       </Route>
     </>
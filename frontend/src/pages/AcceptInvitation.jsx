@@ -0,0 +1,110 @@
+import { Link, useLocation, useNavigate, useParams } from 'react-router-dom'
+import { Loader2, Users } from 'lucide-react'
+import { Button } from '@/components/ui/Button'
+import { Card, CardContent, CardDescription, CardFooter, CardHeader, CardTitle } from '@/components/ui/Card'
+import { useInvitation, useAcceptInvitation } from '@/features/workspaces/hooks/useWorkspaces'
+import useAuthStore from '@/stores/authStore'
+
+// Invitation links are opened signed in or not, so this page is not wrapped in AuthGuard or PublicRoute
+export default function AcceptInvitation() {
+  const { token } = useParams()
+  const location = useLocation()
+  const navigate = useNavigate()
+  const { isAuthenticated, user } = useAuthStore()
+  const { data: invitation, isLoading, error } = useInvitation(token)
+  const acceptMutation = useAcceptInvitation()
+
+  const emailMatches = invitation && user?.email?.toLowerCase() === invitation.email
+  const needsVerification = isAuthenticated && user?.isVerified === false
+
+  const handleAccept = async () => {
+    try {
+      await acceptMutation.mutateAsync(token)
+      navigate('/', { replace: true })
+    } catch {
+      // Error toast is shown by the hook
+    }
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-blue-50 to-indigo-100 p-4">
+      <Card className="w-full max-w-md">
+        <CardHeader className="space-y-1">
+          <div className="flex justify-center mb-2">
+            <Users className="h-10 w-10 text-blue-600" />
+          </div>
+          <CardTitle className="text-2xl font-bold text-center">Workspace invitation</CardTitle>
+          {invitation && (
+            <CardDescription className="text-center">
+              {invitation.invitedBy?.fullName || 'Someone'} invited {invitation.email} to join{' '}
+              <span className="font-semibold">{invitation.workspaceName}</span> as{' '}
+              <span className="font-semibold capitalize">{invitation.role}</span>.
+            </CardDescription>
+          )}
+        </CardHeader>
+
+        <CardContent className="space-y-4">
+          {isLoading && (
+            <div className="flex justify-center py-6">
+              <Loader2 className="h-6 w-6 animate-spin text-blue-600" />
+            </div>
+          )}
+
+          {error && (
+            <p className="text-sm text-center text-red-600">
+              {error.response?.data?.message || 'This invitation is invalid or has expired'}
+            </p>
+          )}
+
+          {invitation && (
+            <p className="text-sm text-center text-gray-500">
+              Expires {new Date(invitation.expiresAt).toLocaleDateString()}
+            </p>
+          )}
+
+          {invitation && emailMatches && needsVerification && (
+            <p className="text-sm text-center text-yellow-700">
+              Verify your email address first; use the link we emailed to {user?.email}.
+            </p>
+          )}
+
+          {invitation && isAuthenticated && !emailMatches && (
+            <p className="text-sm text-center text-yellow-700">
+              You are signed in as {user?.email}. Sign in with {invitation.email} to accept this invitation.
+            </p>
+          )}
+        </CardContent>
+
+        {invitation && (
+          <CardFooter className="flex flex-col gap-3">
+            {isAuthenticated ? (
+              <Button className="w-full" onClick={handleAccept} loading={acceptMutation.isPending} disabled={!emailMatches || needsVerification}>
+                Accept invitation
+              </Button>
+            ) : (
+              <>
+                <Button className="w-full" onClick={() => navigate('/auth/login', { state: { from: location } })}>
+                  Sign in to accept
+                </Button>
+                <p className="text-sm text-center text-gray-600">
+                  No account yet?{' '}
+                  <Link to="/auth/signup" state={{ from: location }} className="text-blue-600 hover:underline">
+                    Sign up with {invitation.email}
+                  </Link>
+                </p>
+              </>
+            )}
+          </CardFooter>
+        )}
+
+        {error && (
+          <CardFooter>
+            <Link to="/" className="w-full text-center text-sm text-blue-600 hover:underline">
+              Go to dashboard
+            </Link>
+          </CardFooter>
+        )}
+      </Card>
+    </div>
+  )
+}
@@ -0,0 +1,271 @@
+import { useState } from 'react'
+import {
+  RectangleStackIcon,
+  PlusIcon,
+  MagnifyingGlassIcon,
+  EllipsisVerticalIcon,
+  PencilIcon,
+  TrashIcon,
+  ArrowTopRightOnSquareIcon
+} from '@heroicons/react/24/outline'
+
+import { Button } from '@/components/ui/Button'
+import { Input } from '@/components/ui/Input'
+import { Select } from '@/components/ui/Select'
+import { Badge } from '@/components/ui/Badge'
+import { Modal } from '@/components/ui/Modal'
+import Dropdown from '@/components/ui/Dropdown'
+
+import { useMasterCollections, useDeleteMasterCollection } from '@/features/products/hooks/useCollectionApi'
+import CollectionFormModal from '@/features/products/components/MasterCollections/CollectionFormModal'
+import PushCollectionModal from '@/features/products/components/MasterCollections/PushCollectionModal'
+
+const typeOptions = [
+  { value: 'all', label: 'All Types' },
+  { value: 'MANUAL', label: 'Manual' },
+  { value: 'SMART', label: 'Smart' },
+]
+
+export default function Collections() {
+  const [searchTerm, setSearchTerm] = useState('')
+  const [typeFilter, setTypeFilter] = useState('all')
+  const [editing, setEditing] = useState(null)
+  const [showForm, setShowForm] = useState(false)
+  const [pushingId, setPushingId] = useState(null)
+  const [deleteConfirm, setDeleteConfirm] = useState(null)
+  const [deleteFromStores, setDeleteFromStores] = useState(false)
+
+  const { data, isLoading, error, refetch } = useMasterCollections({
+    search: searchTerm || undefined,
+    collectionType: typeFilter === 'all' ? undefined : typeFilter,
+    page: 1,
+    limit: 50
+  })
+  const deleteCollection = useDeleteMasterCollection()
+
+  const collections = data?.collections || []
+  // Read from the list so the push modal shows store mappings as they refresh
+  const pushing = collections.find((collection) => collection._id === pushingId) || null
+
+  const openForm = (collection = null) => {
+    setEditing(collection)
+    setShowForm(true)
+  }
+
+  const closeDelete = () => {
+    setDeleteConfirm(null)
+    setDeleteFromStores(false)
+  }
+
+  const handleDelete = () => {
+    deleteCollection.mutate(
+      { id: deleteConfirm._id, deleteFromStores },
+      { onSuccess: closeDelete }
+    )
+  }
+
+  return (
+    <div className="space-y-8 animate-fade-in">
+      {/* Header */}
+      <div className="flex justify-between items-center">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900 dark:text-white">
+            Collections
+          </h1>
+          <p className="mt-2 text-gray-600 dark:text-gray-400">
+            Define collections once and keep them in sync across your stores
+          </p>
+        </div>
+        <Button onClick={() => openForm()} className="inline-flex items-center">
+          <PlusIcon className="h-4 w-4 mr-2" />
+          New Collection
+        </Button>
+      </div>
+
+      {/* Filters */}
+      <div className="flex flex-col sm:flex-row gap-4">
+        <div className="flex-1 relative">
+          <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none z-10">
+            <MagnifyingGlassIcon className="h-5 w-5 text-gray-400" />
+          </div>
+          <Input
+            type="text"
+            placeholder="Search collections..."
+            value={searchTerm}
+            onChange={(e) => setSearchTerm(e.target.value)}
+            className="w-full pl-10"
+          />
+        </div>
+        <div className="w-full sm:w-48">
+          <Select value={typeFilter} onChange={setTypeFilter} options={typeOptions} />
+        </div>
+      </div>
+
+      {/* Loading State */}
+      {isLoading && (
+        <div className="flex justify-center items-center py-12">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+          <span className="ml-2 text-gray-600">Loading collections...</span>
+        </div>
+      )}
+
+      {/* Error State */}
+      {error && (
+        <div className="bg-red-50 dark:bg-red-900/10 border border-red-200 dark:border-red-800 rounded-lg p-4">
+          <h3 className="text-sm font-medium text-red-800 dark:text-red-200">
+            Error loading collections
+          </h3>
+          <div className="mt-2 text-sm text-red-700 dark:text-red-300">
+            {error?.message || 'Something went wrong. Please try again.'}
+          </div>
+          <div className="mt-4">
+            <Button variant="outline" size="sm" onClick={() => refetch()}>
+              Try Again
+            </Button>
+          </div>
+        </div>
+      )}
+
+      {/* Collections Table */}
+      {!isLoading && !error && (
+        <div className="bg-white dark:bg-gray-900 shadow-sm rounded-lg border border-gray-200 dark:border-gray-800">
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-800">
+              <thead className="bg-gray-50 dark:bg-gray-800">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    Collection
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    Type
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    Products
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    Stores
+                  </th>
+                  <th className="relative px-6 py-3">
+                    <span className="sr-only">Actions</span>
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="bg-white dark:bg-gray-900 divide-y divide-gray-200 dark:divide-gray-800">
+                {collections.map((collection) => (
+                  <tr key={collection._id} className="hover:bg-gray-50 dark:hover:bg-gray-800">
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <div className="text-sm font-medium text-gray-900 dark:text-white">{collection.title}</div>
+                      <div className="text-sm text-gray-500 dark:text-gray-400 font-mono">{collection.handle}</div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <Badge variant={collection.collectionType === 'SMART' ? 'info' : 'default'} size="sm">
+                        {collection.collectionType === 'SMART' ? 'Smart' : 'Manual'}
+                      </Badge>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-white">
+                      {collection.collectionType === 'SMART'
+                        ? `${collection.ruleSet?.rules?.length || 0} rule${collection.ruleSet?.rules?.length !== 1 ? 's' : ''}`
+                        : `${collection.productIds?.length || 0} product${collection.productIds?.length !== 1 ? 's' : ''}`}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400">
+                      <div className="flex flex-wrap gap-1">
+                        {collection.storeMappings?.length > 0 ? (
+                          collection.storeMappings.map((mapping) => (
+                            <Badge
+                              key={mapping._id}
+                              variant={mapping.status === 'error' ? 'error' : 'success'}
+                              size="sm"
+                              title={mapping.lastError || undefined}
+                            >
+                              {mapping.store?.shopName || mapping.store?.shopDomain || 'Store'}
+                            </Badge>
+                          ))
+                        ) : (
+                          <span className="text-gray-400">Not pushed</span>
+                        )}
+                      </div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                      <Dropdown
+                        align="right"
+                        trigger={
+                          <Button variant="ghost" size="sm" className="p-2">
+                            <EllipsisVerticalIcon className="h-5 w-5" />
+                          </Button>
+                        }
+                      >
+                        <Dropdown.Item onClick={() => openForm(collection)} icon={PencilIcon}>
+                          Edit Collection
+                        </Dropdown.Item>
+                        <Dropdown.Item onClick={() => setPushingId(collection._id)} icon={ArrowTopRightOnSquareIcon}>
+                          {collection.storeMappings?.length > 0 ? 'Manage Stores' : 'Push to Stores'}
+                        </Dropdown.Item>
+                        <Dropdown.Separator />
+                        <Dropdown.Item
+                          onClick={() => setDeleteConfirm(collection)}
+                          icon={TrashIcon}
+                          className="text-red-600 hover:text-red-700 hover:bg-red-50"
+                        >
+                          Delete Collection
+                        </Dropdown.Item>
+                      </Dropdown>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {collections.length === 0 && (
+            <div className="text-center py-12">
+              <RectangleStackIcon className="mx-auto h-12 w-12 text-gray-400 dark:text-gray-500" />
+              <h3 className="mt-2 text-sm font-medium text-gray-900 dark:text-white">No collections found</h3>
+              <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">
+                {searchTerm || typeFilter !== 'all'
+                  ? 'Try adjusting your search or filter criteria.'
+                  : 'Create a collection and push it to your stores.'}
+              </p>
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Delete Confirmation Modal */}
+      <Modal
+        isOpen={!!deleteConfirm}
+        onClose={closeDelete}
+        title="Delete Collection"
+        footer={
+          <>
+            <Button variant="outline" onClick={closeDelete} disabled={deleteCollection.isPending}>
+              Cancel
+            </Button>
+            <Button variant="danger" onClick={handleDelete} loading={deleteCollection.isPending}>
+              Delete Collection
+            </Button>
+          </>
+        }
+      >
+        <div className="space-y-4">
+          <p className="text-gray-600 dark:text-gray-300">
+            Are you sure you want to delete "<strong>{deleteConfirm?.title}</strong>"? This action cannot be undone.
+          </p>
+          {deleteConfirm?.storeMappings?.length > 0 && (
+            <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+              <input
+                type="checkbox"
+                checked={deleteFromStores}
+                onChange={(e) => setDeleteFromStores(e.target.checked)}
+                className="rounded border-gray-300"
+              />
+              Also delete it from {deleteConfirm.storeMappings.length} store{deleteConfirm.storeMappings.length !== 1 ? 's' : ''}
+            </label>
+          )}
+        </div>
+      </Modal>
+
+      <CollectionFormModal isOpen={showForm} onClose={() => setShowForm(false)} collection={editing} />
+      <PushCollectionModal key={pushingId || 'closed'} isOpen={!!pushing} onClose={() => setPushingId(null)} collection={pushing} />
+    </div>
+  )
+}
@@ -2,6 +2,7 @@ import React from 'react';
 import { Link } from 'react-router-dom';
 import { Plus, Package, Store, TrendingUp, Users } from 'lucide-react';
 import { useDashboardStats, useUnpushedProducts } from '../features/dashboard/hooks/useDashboard.js';
+import { SalesAnalytics } from '../features/dashboard/components/SalesAnalytics.jsx';
 
 const Dashboard = () => {
   const { data: statsResponse, isLoading: statsLoading, error: statsError } = useDashboardStats();
@@ -108,6 +109,11 @@ const Dashboard = () => {
         </div>
       </div>
 
+      {/* Sales from stored orders */}
+      <div className="mb-8">
+        <SalesAnalytics />
+      </div>
+
       {/* Main Content Grid */}
       <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
         {/* Unpushed Products - Full width when no other sections */}
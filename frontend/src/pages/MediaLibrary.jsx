@@ -0,0 +1,329 @@
+import { useRef, useState } from 'react'
+import {
+  PhotoIcon,
+  FilmIcon,
+  FolderIcon,
+  MagnifyingGlassIcon,
+  ArrowUpTrayIcon,
+  TrashIcon
+} from '@heroicons/react/24/outline'
+
+import { Button } from '@/components/ui/Button'
+import { Input } from '@/components/ui/Input'
+import { Select } from '@/components/ui/Select'
+import { Badge } from '@/components/ui/Badge'
+import { Modal } from '@/components/ui/Modal'
+
+import {
+  useMediaLibrary,
+  useMediaLibraryFacets,
+  useUploadLibraryMedia,
+  useCleanupUnusedMedia
+} from '@/features/products/hooks/useMediaLibrary'
+import MediaDetailsModal from '@/features/products/components/MediaLibrary/MediaDetailsModal'
+
+const typeOptions = [
+  { value: 'all', label: 'All Types' },
+  { value: 'IMAGE', label: 'Images' },
+  { value: 'VIDEO', label: 'Videos' },
+]
+
+const formatBytes = (bytes) => {
+  if (!bytes) return '0 KB'
+  const mb = bytes / (1024 * 1024)
+  return mb >= 1 ? `${mb.toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`
+}
+
+export default function MediaLibrary() {
+  const fileInput = useRef(null)
+  const [searchTerm, setSearchTerm] = useState('')
+  const [typeFilter, setTypeFilter] = useState('all')
+  const [folder, setFolder] = useState('')
+  const [tag, setTag] = useState('')
+  const [unusedOnly, setUnusedOnly] = useState(false)
+  const [page, setPage] = useState(1)
+  const [selectedId, setSelectedId] = useState(null)
+  const [showCleanup, setShowCleanup] = useState(false)
+  const [olderThanDays, setOlderThanDays] = useState('7')
+
+  const { data, isLoading, error, refetch } = useMediaLibrary({
+    search: searchTerm || undefined,
+    mediaContentType: typeFilter === 'all' ? undefined : typeFilter,
+    folder: folder || undefined,
+    tags: tag || undefined,
+    unused: unusedOnly || undefined,
+    page,
+    limit: 40
+  })
+  const { data: facets } = useMediaLibraryFacets()
+  const uploadMedia = useUploadLibraryMedia()
+  const cleanup = useCleanupUnusedMedia()
+
+  const media = data?.media || []
+  const pagination = data?.pagination
+  // Read from the list so usage refreshes after attach/detach
+  const selected = media.find((item) => item._id === selectedId) || null
+
+  const updateFilter = (setter) => (value) => {
+    setter(value)
+    setPage(1)
+  }
+
+  const handleFiles = (e) => {
+    const files = Array.from(e.target.files || [])
+    if (files.length > 0) {
+      uploadMedia.mutate({ files, folder: folder || undefined, tags: tag || undefined })
+    }
+    e.target.value = ''
+  }
+
+  const closeCleanup = () => {
+    setShowCleanup(false)
+    cleanup.reset()
+  }
+
+  const cleanupOptions = { olderThanDays: parseInt(olderThanDays) || 0 }
+  const cleanupPreview = cleanup.variables?.dryRun ? cleanup.data?.data : null
+  const cleanupDone = cleanup.isSuccess && !cleanup.variables?.dryRun
+
+  return (
+    <div className="space-y-8 animate-fade-in">
+      {/* Header */}
+      <div className="flex justify-between items-center">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900 dark:text-white">
+            Media Library
+          </h1>
+          <p className="mt-2 text-gray-600 dark:text-gray-400">
+            Upload once and reuse images and videos across products
+          </p>
+        </div>
+        <div className="flex items-center gap-3">
+          <Button variant="outline" onClick={() => setShowCleanup(true)} className="inline-flex items-center">
+            <TrashIcon className="h-4 w-4 mr-2" />
+            Clean Up Unused
+          </Button>
+          <Button
+            onClick={() => fileInput.current?.click()}
+            loading={uploadMedia.isPending}
+            className="inline-flex items-center"
+          >
+            <ArrowUpTrayIcon className="h-4 w-4 mr-2" />
+            Upload{folder ? ` to ${folder}` : ''}
+          </Button>
+          <input
+            ref={fileInput}
+            type="file"
+            multiple
+            accept="image/*,video/*"
+            onChange={handleFiles}
+            className="hidden"
+          />
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-5 gap-6">
+        {/* Folders & Tags */}
+        <div className="space-y-6">
+          <div>
+            <h3 className="text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider mb-2">Folders</h3>
+            <div className="space-y-1">
+              {[{ name: '', count: null }, ...(facets?.folders || [])].map((entry) => (
+                <button
+                  key={entry.name || 'all'}
+                  type="button"
+                  onClick={() => updateFilter(setFolder)(entry.name)}
+                  className={`w-full flex items-center gap-2 px-2 py-1.5 rounded-md text-sm text-left ${folder === entry.name
+                    ? 'bg-blue-50 dark:bg-blue-900/20 text-blue-700 dark:text-blue-300'
+                    : 'text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-800'}`}
+                >
+                  <FolderIcon className="h-4 w-4" />
+                  <span className="flex-1 truncate">{entry.name || 'All media'}</span>
+                  {entry.count !== null && <span className="text-xs text-gray-400">{entry.count}</span>}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {facets?.tags?.length > 0 && (
+            <div>
+              <h3 className="text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider mb-2">Tags</h3>
+              <div className="flex flex-wrap gap-1">
+                {facets.tags.map((entry) => (
+                  <button key={entry.name} type="button" onClick={() => updateFilter(setTag)(tag === entry.name ? '' : entry.name)}>
+                    <Badge size="sm" variant={tag === entry.name ? 'primary' : 'default'}>
+                      {entry.name} ({entry.count})
+                    </Badge>
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+
+        <div className="lg:col-span-4 space-y-6">
+          {/* Filters */}
+          <div className="flex flex-col sm:flex-row gap-4 sm:items-center">
+            <div className="flex-1 relative">
+              <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none z-10">
+                <MagnifyingGlassIcon className="h-5 w-5 text-gray-400" />
+              </div>
+              <Input
+                type="text"
+                placeholder="Search by file name, alt text or tag..."
+                value={searchTerm}
+                onChange={(e) => updateFilter(setSearchTerm)(e.target.value)}
+                className="w-full pl-10"
+              />
+            </div>
+            <div className="w-full sm:w-40">
+              <Select value={typeFilter} onChange={updateFilter(setTypeFilter)} options={typeOptions} />
+            </div>
+            <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300 whitespace-nowrap">
+              <input
+                type="checkbox"
+                checked={unusedOnly}
+                onChange={(e) => updateFilter(setUnusedOnly)(e.target.checked)}
+                className="rounded border-gray-300"
+              />
+              Unused only
+            </label>
+          </div>
+
+          {isLoading && (
+            <div className="flex justify-center items-center py-12">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+              <span className="ml-2 text-gray-600">Loading media...</span>
+            </div>
+          )}
+
+          {error && (
+            <div className="bg-red-50 dark:bg-red-900/10 border border-red-200 dark:border-red-800 rounded-lg p-4">
+              <div className="text-sm text-red-700 dark:text-red-300">
+                {error?.message || 'Something went wrong. Please try again.'}
+              </div>
+              <div className="mt-4">
+                <Button variant="outline" size="sm" onClick={() => refetch()}>
+                  Try Again
+                </Button>
+              </div>
+            </div>
+          )}
+
+          {!isLoading && !error && (
+            <>
+              <div className="grid grid-cols-2 sm:grid-cols-3 xl:grid-cols-5 gap-4">
+                {media.map((item) => (
+                  <button
+                    key={item._id}
+                    type="button"
+                    onClick={() => setSelectedId(item._id)}
+                    className="text-left bg-white dark:bg-gray-900 rounded-lg border border-gray-200 dark:border-gray-800 overflow-hidden hover:ring-2 hover:ring-blue-500"
+                  >
+                    <div className="aspect-square bg-gray-100 dark:bg-gray-800 flex items-center justify-center">
+                      {item.mediaContentType === 'IMAGE' ? (
+                        <img
+                          src={item.optimizedUrls?.small || item.url}
+                          alt={item.alt || item.originalFilename}
+                          className="h-full w-full object-cover"
+                        />
+                      ) : (
+                        <FilmIcon className="h-10 w-10 text-gray-400" />
+                      )}
+                    </div>
+                    <div className="p-2 space-y-1">
+                      <div className="text-xs font-medium text-gray-900 dark:text-white truncate">{item.originalFilename}</div>
+                      <div className="flex items-center justify-between text-xs text-gray-500 dark:text-gray-400">
+                        <span>{formatBytes(item.fileSize)}</span>
+                        <Badge size="sm" variant={item.usageCount > 0 ? 'success' : 'default'}>
+                          {item.usageCount > 0 ? `${item.usageCount} product${item.usageCount !== 1 ? 's' : ''}` : 'Unused'}
+                        </Badge>
+                      </div>
+                    </div>
+                  </button>
+                ))}
+              </div>
+
+              {media.length === 0 && (
+                <div className="text-center py-12">
+                  <PhotoIcon className="mx-auto h-12 w-12 text-gray-400 dark:text-gray-500" />
+                  <h3 className="mt-2 text-sm font-medium text-gray-900 dark:text-white">No media found</h3>
+                  <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">
+                    Upload images or videos to reuse them across products.
+                  </p>
+                </div>
+              )}
+
+              {pagination?.totalPages > 1 && (
+                <div className="flex items-center justify-between text-sm text-gray-600 dark:text-gray-400">
+                  <span>Page {pagination.page} of {pagination.totalPages} • {pagination.total} files</span>
+                  <div className="flex gap-2">
+                    <Button variant="outline" size="sm" disabled={page <= 1} onClick={() => setPage(page - 1)}>
+                      Previous
+                    </Button>
+                    <Button variant="outline" size="sm" disabled={page >= pagination.totalPages} onClick={() => setPage(page + 1)}>
+                      Next
+                    </Button>
+                  </div>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+
+      {/* Cleanup Modal */}
+      <Modal
+        isOpen={showCleanup}
+        onClose={closeCleanup}
+        title="Clean Up Unused Media"
+        footer={
+          <>
+            <Button variant="outline" onClick={closeCleanup} disabled={cleanup.isPending}>
+              Close
+            </Button>
+            {!cleanupPreview && !cleanupDone && (
+              <Button onClick={() => cleanup.mutate({ ...cleanupOptions, dryRun: true })} loading={cleanup.isPending}>
+                Find Unused
+              </Button>
+            )}
+            {cleanupPreview && cleanupPreview.candidates > 0 && (
+              <Button variant="danger" onClick={() => cleanup.mutate({ ...cleanupOptions, dryRun: false })} loading={cleanup.isPending}>
+                Delete {cleanupPreview.candidates} file{cleanupPreview.candidates !== 1 ? 's' : ''}
+              </Button>
+            )}
+          </>
+        }
+      >
+        <div className="space-y-4 text-sm text-gray-600 dark:text-gray-300">
+          <p>
+            Files not attached to any product or collection are deleted from the library and from Cloudinary.
+          </p>
+          <Input
+            label="Only files older than (days)"
+            type="number"
+            min="0"
+            value={olderThanDays}
+            onChange={(e) => {
+              setOlderThanDays(e.target.value)
+              cleanup.reset()
+            }}
+          />
+          {cleanupPreview && (
+            <p>
+              {cleanupPreview.candidates} unused file{cleanupPreview.candidates !== 1 ? 's' : ''} • {formatBytes(cleanupPreview.freedBytes)}
+            </p>
+          )}
+          {cleanupDone && (
+            <p>
+              Deleted {cleanup.data?.data?.deleted?.length || 0} file(s), freed {formatBytes(cleanup.data?.data?.freedBytes)}
+              {cleanup.data?.data?.failed?.length > 0 && `; ${cleanup.data.data.failed.length} could not be deleted`}
+            </p>
+          )}
+        </div>
+      </Modal>
+
+      <MediaDetailsModal key={selectedId || 'closed'} isOpen={!!selected} onClose={() => setSelectedId(null)} media={selected} />
+    </div>
+  )
+}
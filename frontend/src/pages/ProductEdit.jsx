@@ -74,7 +74,6 @@ export default function ProductEdit() {
         storeId, 
         syncOptions: { forceSync: true }
       })
-      toast.success('Synced to store')
     } catch (e) {
       toast.error(e?.response?.data?.message || e?.message || 'Sync failed')
     }
@@ -9,7 +9,8 @@ import {
   EyeIcon,
   PencilIcon,
   TrashIcon,
-  ArrowTopRightOnSquareIcon
+  ArrowTopRightOnSquareIcon,
+  ArrowUpTrayIcon
 } from '@heroicons/react/24/outline'
 
 // Import headless UI components
@@ -22,6 +23,7 @@ import Dropdown from '@/components/ui/Dropdown'
 
 // Import product hooks
 import { useProducts, useDeleteProduct } from '@/features/products/hooks/useProductApi'
+import ProductCsvImportModal from '@/features/products/components/ProductCsvImportModal'
 import { formatCurrency } from '@/utils/currency'
 import { toast } from 'react-hot-toast'
 
@@ -43,6 +45,7 @@ export default function Products() {
   const [searchTerm, setSearchTerm] = useState('')
   const [statusFilter, setStatusFilter] = useState('all')
   const [deleteConfirm, setDeleteConfirm] = useState(null)
+  const [showCsvImport, setShowCsvImport] = useState(false)
 
   // Fetch products from API
   const { 
@@ -124,13 +127,23 @@ export default function Products() {
             Manage products across all your stores
           </p>
         </div>
-        <Button
-          onClick={handleCreateProduct}
-          className="inline-flex items-center"
-        >
-          <PlusIcon className="h-4 w-4 mr-2" />
-          Create Product
-        </Button>
+        <div className="flex items-center gap-3">
+          <Button
+            variant="outline"
+            onClick={() => setShowCsvImport(true)}
+            className="inline-flex items-center"
+          >
+            <ArrowUpTrayIcon className="h-4 w-4 mr-2" />
+            Import CSV
+          </Button>
+          <Button
+            onClick={handleCreateProduct}
+            className="inline-flex items-center"
+          >
+            <PlusIcon className="h-4 w-4 mr-2" />
+            Create Product
+          </Button>
+        </div>
       </div>
 
       {/* Filters */}
@@ -423,6 +436,8 @@ export default function Products() {
           )}
         </div>
       </Modal>
+
+      <ProductCsvImportModal isOpen={showCsvImport} onClose={() => setShowCsvImport(false)} />
     </div>
   )
 }
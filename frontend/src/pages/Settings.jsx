@@ -1,7 +1,11 @@
 import { useState } from 'react'
+import { useSearchParams } from 'react-router-dom'
+import { useQueryClient } from '@tanstack/react-query'
 import { toast } from 'react-hot-toast'
 import { authAPI } from '@/features/auth/api/authAPI'
 import { userAPI } from '@/features/user/api/userAPI'
+import { TwoFactorSettings } from '@/features/auth/components/TwoFactorSettings'
+import { ActiveSessions } from '@/features/auth/components/ActiveSessions'
 import useAuthStore from '@/stores/authStore'
 import { useTheme } from '@/providers/ThemeProvider'
 import { 
@@ -30,14 +34,19 @@ const settingsCategories = [
     id: 'security',
     name: 'Security',
     icon: ShieldCheckIcon,
-    description: 'Password and security settings',
+    description: 'Password, two-factor and signed-in devices',
   },
 ]
 
 export default function Settings() {
-  const [activeCategory, setActiveCategory] = useState('preferences')
+  // ?tab=security links straight to a category (e.g. when a workspace requires two-factor)
+  const [searchParams] = useSearchParams()
+  const [activeCategory, setActiveCategory] = useState(() =>
+    settingsCategories.some(cat => cat.id === searchParams.get('tab')) ? searchParams.get('tab') : 'preferences'
+  )
   const { user, updateUser } = useAuthStore()
   const { theme, setTheme, effectiveTheme } = useTheme()
+  const queryClient = useQueryClient()
   
   const [prefs, setPrefs] = useState({
     notifications: user?.preferences?.notifications ?? true,
@@ -91,7 +100,9 @@ export default function Settings() {
         oldPassword: pwd.oldPassword, 
         newPassword: pwd.newPassword 
       })
-      toast.success('Password changed successfully')
+      toast.success('Password changed. Other devices have been signed out.')
+      // The backend ended every other session
+      queryClient.invalidateQueries({ queryKey: ['user', 'sessions'] })
       setPwd({ oldPassword: '', newPassword: '', confirmPassword: '' })
     } catch (e) {
       console.error('Password change error:', e);
@@ -283,6 +294,14 @@ export default function Settings() {
           </div>
         </div>
       </div>
+
+      <div className="pt-8 border-t border-gray-200 dark:border-gray-700">
+        <TwoFactorSettings />
+      </div>
+
+      <div className="pt-8 border-t border-gray-200 dark:border-gray-700">
+        <ActiveSessions />
+      </div>
     </div>
   )
 
@@ -15,9 +15,15 @@ import {
   PencilIcon,
   ArrowTopRightOnSquareIcon,
   TagIcon,
-  CurrencyDollarIcon
+  CurrencyDollarIcon,
+  ArrowDownTrayIcon,
+  LinkIcon
 } from '@heroicons/react/24/outline'
 import { api } from '@/lib/api'
+import CatalogImport from '@/features/shopify/components/CatalogImport'
+import ProductMatching from '@/features/shopify/components/ProductMatching'
+import OrderBackfill from '@/features/shopify/components/OrderBackfill'
+import { SalesAnalytics } from '@/features/dashboard/components/SalesAnalytics'
 
 const statusConfig = {
   active: {
@@ -117,6 +123,8 @@ export default function StoreDetail() {
   const products = productsData?.data?.products || []
   const productsPagination = productsData?.data?.pagination || {}
   const syncHistory = syncHistoryData?.data?.syncHistory || []
+  const scheduledRuns = syncHistoryData?.data?.scheduledRuns || []
+  const syncSchedule = syncHistoryData?.data?.schedule
 
   console.log('Rendered data - Store:', store?.shopName, 'Stats:', stats, 'Products:', products.length);
 
@@ -248,7 +256,9 @@ export default function StoreDetail() {
           {[
             { id: 'products', label: 'Pushed Products', icon: CubeIcon },
             { id: 'sync-history', label: 'Sync History', icon: ClockIcon },
-            { id: 'analytics', label: 'Analytics', icon: ChartBarIcon }
+            { id: 'analytics', label: 'Analytics', icon: ChartBarIcon },
+            { id: 'import', label: 'Import Catalog', icon: ArrowDownTrayIcon },
+            { id: 'matching', label: 'Match Products', icon: LinkIcon }
           ].map((tab) => (
             <button
               key={tab.id}
@@ -476,6 +486,59 @@ export default function StoreDetail() {
 
   const renderSyncHistoryTab = () => (
     <div className="space-y-6">
+      <div className="bg-white dark:bg-gray-900 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700">
+        <div className="p-6 border-b border-gray-200 dark:border-gray-700">
+          <h3 className="text-lg font-medium text-gray-900 dark:text-white">
+            Scheduled Syncs
+          </h3>
+          <p className="text-sm text-gray-600 dark:text-gray-400 mt-1">
+            {syncSchedule?.autoSync === false
+              ? 'Store schedule is off'
+              : `Runs ${syncSchedule?.syncFrequency || 'daily'}`} • Last run {formatTimeAgo(syncSchedule?.lastSyncAt)}
+          </p>
+        </div>
+
+        <div className="divide-y divide-gray-200 dark:divide-gray-700">
+          {!syncHistoryLoading && scheduledRuns.length === 0 ? (
+            <p className="p-6 text-sm text-gray-500 dark:text-gray-400">No scheduled runs yet.</p>
+          ) : (
+            scheduledRuns.map((run) => (
+              <div key={run._id} className="p-4 flex items-start justify-between gap-4">
+                <div>
+                  <p className="text-sm font-medium text-gray-900 dark:text-white">
+                    {run.scope === 'store' ? 'Store sync' : 'Product schedules'} • {formatTimeAgo(run.startedAt)}
+                  </p>
+                  <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                    {run.stats?.mappings || 0} checked • {run.stats?.inventoryUpdated || 0} inventory updates •{' '}
+                    {run.stats?.driftFound || 0} drifted • {run.stats?.pushesQueued || 0} pushes queued
+                    {run.stats?.pushesSkipped > 0 && ` • ${run.stats.pushesSkipped} held for review`}
+                  </p>
+                  {run.failures?.length > 0 && (
+                    <p className="text-xs text-red-600 dark:text-red-400 mt-1">
+                      {run.failures[0].message}
+                      {run.failures.length > 1 && ` (+${run.failures.length - 1} more)`}
+                    </p>
+                  )}
+                </div>
+                <span className={`
+                  inline-flex items-center px-2 py-1 rounded-full text-xs font-medium
+                  ${run.status === 'succeeded'
+                    ? 'bg-green-100 dark:bg-green-900/20 text-green-800 dark:text-green-200'
+                    : run.status === 'running'
+                      ? 'bg-blue-100 dark:bg-blue-900/20 text-blue-800 dark:text-blue-200'
+                      : run.status === 'partial'
+                        ? 'bg-yellow-100 dark:bg-yellow-900/20 text-yellow-800 dark:text-yellow-200'
+                        : 'bg-red-100 dark:bg-red-900/20 text-red-800 dark:text-red-200'
+                  }
+                `}>
+                  {run.status}
+                </span>
+              </div>
+            ))
+          )}
+        </div>
+      </div>
+
       <div className="bg-white dark:bg-gray-900 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700">
         <div className="p-6 border-b border-gray-200 dark:border-gray-700">
           <h3 className="text-lg font-medium text-gray-900 dark:text-white">
@@ -579,15 +642,8 @@ export default function StoreDetail() {
 
   const renderAnalyticsTab = () => (
     <div className="space-y-6">
-      <div className="text-center py-12">
-        <ChartBarIcon className="mx-auto h-12 w-12 text-gray-400 dark:text-gray-500" />
-        <h3 className="mt-2 text-sm font-medium text-gray-900 dark:text-white">
-          Analytics Coming Soon
-        </h3>
-        <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">
-          Detailed analytics and insights for this store will be available soon.
-        </p>
-      </div>
+      <SalesAnalytics storeId={storeId} />
+      <OrderBackfill storeId={storeId} />
     </div>
   )
 
@@ -632,6 +688,8 @@ export default function StoreDetail() {
       <div className="mt-6">
         {activeTab === 'products' && renderProductsTab()}
         {activeTab === 'sync-history' && renderSyncHistoryTab()}
+        {activeTab === 'import' && <CatalogImport storeId={storeId} />}
+        {activeTab === 'matching' && <ProductMatching storeId={storeId} />}
         {activeTab === 'analytics' && renderAnalyticsTab()}
       </div>
     </div>
@@ -0,0 +1,364 @@
+import { useState } from 'react'
+import { toast } from 'react-hot-toast'
+import {
+  UserGroupIcon,
+  EnvelopeIcon,
+  TrashIcon,
+  ClipboardDocumentIcon,
+  ArrowRightOnRectangleIcon,
+  UserCircleIcon,
+  ShieldCheckIcon
+} from '@heroicons/react/24/outline'
+import { Link } from 'react-router-dom'
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/Card.jsx'
+import { Button } from '@/components/ui/Button.jsx'
+import { Badge } from '@/components/ui/Badge.jsx'
+import useAuthStore from '@/stores/authStore'
+import {
+  useCurrentWorkspace,
+  useUpdateWorkspace,
+  useUpdateMemberRole,
+  useRemoveMember,
+  useWorkspaceInvitations,
+  useCreateInvitation,
+  useRevokeInvitation
+} from '@/features/workspaces/hooks/useWorkspaces'
+
+// Roles that can be given to members (the owner role is fixed)
+const roleOptions = [
+  { value: 'admin', label: 'Admin', description: 'Everything, including members and store connections' },
+  { value: 'editor', label: 'Editor', description: 'Edit products and collections; view inventory and stores' },
+  { value: 'inventory', label: 'Inventory', description: 'Manage stock levels; view products and collections' },
+  { value: 'viewer', label: 'Viewer', description: 'Read-only access' }
+]
+
+const roleBadgeVariant = {
+  owner: 'primary',
+  admin: 'info',
+  editor: 'success',
+  inventory: 'warning',
+  viewer: 'default'
+}
+
+const inputClassName = 'block w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-800 text-sm text-gray-900 dark:text-white focus:outline-none focus:ring-1 focus:ring-blue-500 focus:border-blue-500'
+
+function WorkspaceName({ workspace, canManage }) {
+  const [name, setName] = useState(workspace.name)
+  const updateWorkspace = useUpdateWorkspace()
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    if (!name.trim() || name.trim() === workspace.name) return
+    updateWorkspace.mutate({ name: name.trim() })
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Workspace</CardTitle>
+      </CardHeader>
+      <CardContent>
+        <form onSubmit={handleSubmit} className="flex items-end gap-3">
+          <div className="flex-1">
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Name</label>
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              disabled={!canManage}
+              maxLength={100}
+              className={inputClassName}
+            />
+          </div>
+          {canManage && (
+            <Button type="submit" loading={updateWorkspace.isPending} disabled={!name.trim() || name.trim() === workspace.name}>
+              Save
+            </Button>
+          )}
+        </form>
+        <p className="mt-2 text-sm text-gray-500 dark:text-gray-400">
+          Your role: <span className="capitalize font-medium">{workspace.role}</span>
+        </p>
+        {workspace.role === 'owner' && <TwoFactorRequirement workspace={workspace} />}
+      </CardContent>
+    </Card>
+  )
+}
+
+// Owner-only switch; members without two-factor lose access until they enable it
+function TwoFactorRequirement({ workspace }) {
+  const { user } = useAuthStore()
+  const updateWorkspace = useUpdateWorkspace()
+  const ownTwoFactor = Boolean(user?.twoFactor?.enabled)
+  const missing = workspace.members.filter(member => !member.twoFactorEnabled)
+
+  const handleToggle = () => {
+    const requireTwoFactor = !workspace.requireTwoFactor
+    if (requireTwoFactor && missing.length > 0 && !window.confirm(
+      `${missing.length} member${missing.length === 1 ? '' : 's'} without two-factor authentication will lose access until they enable it. Continue?`
+    )) return
+    updateWorkspace.mutate({ requireTwoFactor })
+  }
+
+  return (
+    <div className="mt-4 pt-4 border-t border-gray-200 dark:border-gray-800 flex items-start justify-between gap-4">
+      <div>
+        <p className="text-sm font-medium text-gray-900 dark:text-white flex items-center">
+          <ShieldCheckIcon className="h-4 w-4 mr-1.5 text-blue-600" />
+          Require two-factor authentication
+        </p>
+        <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">
+          {ownTwoFactor || workspace.requireTwoFactor
+            ? 'Members must enable two-factor authentication to access this workspace.'
+            : <>Enable <Link to="/settings?tab=security" className="text-blue-600 hover:underline">two-factor authentication</Link> on your account first.</>}
+        </p>
+      </div>
+      <Button
+        variant={workspace.requireTwoFactor ? 'outline' : 'primary'}
+        size="sm"
+        onClick={handleToggle}
+        loading={updateWorkspace.isPending}
+        disabled={!ownTwoFactor && !workspace.requireTwoFactor}
+      >
+        {workspace.requireTwoFactor ? 'Turn off' : 'Turn on'}
+      </Button>
+    </div>
+  )
+}
+
+function MemberList({ workspace, canManage, currentUserId }) {
+  const updateMemberRole = useUpdateMemberRole()
+  const removeMember = useRemoveMember()
+
+  const handleRemove = (member) => {
+    const leaving = member.userId === currentUserId
+    const message = leaving
+      ? `Leave ${workspace.name}? You will lose access to its stores and products.`
+      : `Remove ${member.fullName || member.email} from ${workspace.name}?`
+    if (window.confirm(message)) {
+      removeMember.mutate(member.userId)
+    }
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Members ({workspace.members.length})</CardTitle>
+      </CardHeader>
+      <CardContent className="divide-y divide-gray-200 dark:divide-gray-800">
+        {workspace.members.map((member) => {
+          const isSelf = member.userId === currentUserId
+          const isOwner = member.role === 'owner'
+
+          return (
+            <div key={member.userId} className="flex items-center gap-4 py-3">
+              {member.avatar ? (
+                <img src={member.avatar} alt={member.fullName} className="h-9 w-9 rounded-full object-cover" />
+              ) : (
+                <UserCircleIcon className="h-9 w-9 text-gray-400" />
+              )}
+              <div className="flex-1 min-w-0">
+                <p className="text-sm font-medium text-gray-900 dark:text-white truncate">
+                  {member.fullName || member.username}{isSelf && ' (you)'}
+                </p>
+                <p className="text-sm text-gray-500 dark:text-gray-400 truncate">{member.email}</p>
+              </div>
+
+              {canManage && !member.twoFactorEnabled && (
+                <Badge variant={workspace.requireTwoFactor ? 'error' : 'default'} size="sm">No 2FA</Badge>
+              )}
+
+              {canManage && !isOwner && !isSelf ? (
+                <select
+                  value={member.role}
+                  onChange={(e) => updateMemberRole.mutate({ userId: member.userId, role: e.target.value })}
+                  disabled={updateMemberRole.isPending}
+                  className="px-2 py-1 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-800 text-sm text-gray-900 dark:text-white"
+                >
+                  {roleOptions.map(role => (
+                    <option key={role.value} value={role.value}>{role.label}</option>
+                  ))}
+                </select>
+              ) : (
+                <Badge variant={roleBadgeVariant[member.role]} size="sm" className="capitalize">{member.role}</Badge>
+              )}
+
+              {!isOwner && (isSelf || canManage) && (
+                <button
+                  onClick={() => handleRemove(member)}
+                  disabled={removeMember.isPending}
+                  className="p-1.5 rounded-md text-gray-400 hover:text-red-600 hover:bg-red-50 dark:hover:bg-red-900/20"
+                  title={isSelf ? 'Leave workspace' : 'Remove member'}
+                >
+                  {isSelf ? <ArrowRightOnRectangleIcon className="h-5 w-5" /> : <TrashIcon className="h-5 w-5" />}
+                </button>
+              )}
+            </div>
+          )
+        })}
+      </CardContent>
+    </Card>
+  )
+}
+
+function Invitations() {
+  const [email, setEmail] = useState('')
+  const [role, setRole] = useState('editor')
+  const [inviteLink, setInviteLink] = useState(null)
+  const { data: invitations = [] } = useWorkspaceInvitations()
+  const createInvitation = useCreateInvitation()
+  const revokeInvitation = useRevokeInvitation()
+
+  const handleInvite = async (e) => {
+    e.preventDefault()
+    try {
+      const result = await createInvitation.mutateAsync({ email: email.trim(), role })
+      setEmail('')
+      // Without email delivery the link has to be shared by hand
+      setInviteLink(result.data?.emailSent ? null : result.data?.inviteUrl)
+    } catch {
+      // Error toast is shown by the hook
+    }
+  }
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(inviteLink)
+      toast.success('Invitation link copied')
+    } catch {
+      toast.error('Failed to copy link')
+    }
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Invite people</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        <form onSubmit={handleInvite} className="grid grid-cols-1 sm:grid-cols-[1fr_auto_auto] gap-3 items-end">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Email</label>
+            <input
+              type="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              placeholder="teammate@example.com"
+              required
+              className={inputClassName}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Role</label>
+            <select value={role} onChange={(e) => setRole(e.target.value)} className={inputClassName}>
+              {roleOptions.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+          <Button type="submit" loading={createInvitation.isPending} disabled={!email.trim()}>
+            <EnvelopeIcon className="h-4 w-4 mr-2" />
+            Invite
+          </Button>
+        </form>
+
+        <ul className="space-y-1 text-sm text-gray-500 dark:text-gray-400">
+          {roleOptions.map(option => (
+            <li key={option.value}>
+              <span className="font-medium text-gray-700 dark:text-gray-300">{option.label}:</span> {option.description}
+            </li>
+          ))}
+        </ul>
+
+        {inviteLink && (
+          <div className="p-3 rounded-md bg-yellow-50 dark:bg-yellow-900/20 border border-yellow-200 dark:border-yellow-800">
+            <p className="text-sm text-yellow-800 dark:text-yellow-200 mb-2">
+              Email delivery is not configured. Share this link with the invitee:
+            </p>
+            <div className="flex items-center gap-2">
+              <input type="text" readOnly value={inviteLink} className={inputClassName} />
+              <Button type="button" variant="outline" size="sm" onClick={copyLink}>
+                <ClipboardDocumentIcon className="h-4 w-4" />
+              </Button>
+            </div>
+          </div>
+        )}
+
+        {invitations.length > 0 && (
+          <div>
+            <h4 className="text-sm font-medium text-gray-900 dark:text-white mb-2">Pending invitations</h4>
+            <div className="divide-y divide-gray-200 dark:divide-gray-800">
+              {invitations.map(invitation => (
+                <div key={invitation._id} className="flex items-center gap-3 py-2">
+                  <div className="flex-1 min-w-0">
+                    <p className="text-sm text-gray-900 dark:text-white truncate">{invitation.email}</p>
+                    <p className="text-xs text-gray-500 dark:text-gray-400">
+                      {invitation.expired
+                        ? 'Expired'
+                        : `Expires ${new Date(invitation.expiresAt).toLocaleDateString()}`}
+                      {invitation.invitedBy?.fullName && ` · invited by ${invitation.invitedBy.fullName}`}
+                    </p>
+                  </div>
+                  <Badge variant={roleBadgeVariant[invitation.role]} size="sm" className="capitalize">{invitation.role}</Badge>
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => revokeInvitation.mutate(invitation._id)}
+                    disabled={revokeInvitation.isPending}
+                  >
+                    Revoke
+                  </Button>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
+
+export default function Team() {
+  const { user } = useAuthStore()
+  const { data: workspace, isLoading, error } = useCurrentWorkspace()
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+      </div>
+    )
+  }
+
+  if (error || !workspace) {
+    return (
+      <div className="text-center py-12 text-gray-500 dark:text-gray-400">
+        {error?.response?.data?.message || 'Failed to load workspace'}
+      </div>
+    )
+  }
+
+  const canManageMembers = workspace.permissions?.includes('members:manage')
+
+  return (
+    <div className="max-w-4xl mx-auto space-y-6">
+      <div className="flex items-center gap-3">
+        <UserGroupIcon className="h-8 w-8 text-blue-600" />
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900 dark:text-white">Team</h1>
+          <p className="text-sm text-gray-500 dark:text-gray-400">
+            Members share this workspace&apos;s stores, products, collections and inventory.
+          </p>
+        </div>
+      </div>
+
+      <WorkspaceName
+        key={workspace._id}
+        workspace={workspace}
+        canManage={workspace.permissions?.includes('workspace:manage')}
+      />
+      <MemberList workspace={workspace} canManage={canManageMembers} currentUserId={user?._id} />
+      {canManageMembers && <Invitations key={workspace._id} />}
+    </div>
+  )
+}
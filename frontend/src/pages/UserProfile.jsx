@@ -1,4 +1,5 @@
 import React, { useState, useRef } from 'react';
+import { Link } from 'react-router-dom';
 import { Camera, User, Save, Trash2, Upload } from 'lucide-react';
 import { useUpdateProfile, useUploadAvatar, useDeleteAvatar } from '../features/user/hooks/useUser.js';
 import useAuthStore from '../stores/authStore.js';
@@ -201,6 +202,20 @@ const UserProfile = () => {
                   {user?.createdAt ? new Date(user.createdAt).toLocaleDateString() : 'Unknown'}
                 </div>
               </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                  Two-Factor Authentication
+                </label>
+                <div className="flex items-center justify-between px-3 py-2 bg-gray-50 dark:bg-gray-800 border border-gray-300 dark:border-gray-600 rounded-lg text-gray-900 dark:text-white">
+                  {user?.twoFactor?.enabled ? 'Enabled' : 'Not enabled'}
+                  <Link
+                    to="/settings?tab=security"
+                    className="text-sm text-blue-600 dark:text-blue-400 hover:text-blue-800 dark:hover:text-blue-300"
+                  >
+                    Manage
+                  </Link>
+                </div>
+              </div>
             </div>
           )}
 
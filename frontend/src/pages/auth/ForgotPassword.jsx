@@ -0,0 +1,116 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import { z } from 'zod';
+import { Field, Label } from '@headlessui/react';
+import { useForgotPassword } from '@/features/auth/hooks/useAuth';
+import { Button } from '@/components/ui/Button';
+import { Input } from '@/components/ui/Input';
+import { Card, CardContent, CardDescription, CardFooter, CardHeader, CardTitle } from '@/components/ui/Card';
+import { Loader2, Mail, MailCheck } from 'lucide-react';
+
+const forgotPasswordSchema = z.object({
+  email: z.string().min(1, 'Email is required').email('Invalid email address'),
+});
+
+const ForgotPassword = () => {
+  const [sentTo, setSentTo] = useState(null);
+  const forgotPasswordMutation = useForgotPassword();
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors, isSubmitting },
+  } = useForm({
+    resolver: zodResolver(forgotPasswordSchema),
+    defaultValues: { email: '' },
+  });
+
+  const onSubmit = async (data) => {
+    try {
+      await forgotPasswordMutation.mutateAsync(data.email);
+      setSentTo(data.email);
+    } catch {
+      // Error already handled in hook
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-blue-50 to-indigo-100 p-4">
+      <Card className="w-full max-w-md">
+        <CardHeader className="space-y-1">
+          <CardTitle className="text-2xl font-bold text-center">Forgot password</CardTitle>
+          <CardDescription className="text-center">
+            {sentTo
+              ? 'Check your inbox'
+              : "Enter your account email and we'll send you a link to reset your password"}
+          </CardDescription>
+        </CardHeader>
+
+        {sentTo ? (
+          <>
+            <CardContent className="space-y-4 text-center">
+              <MailCheck className="mx-auto h-10 w-10 text-green-600" />
+              <p className="text-sm text-gray-600">
+                If an account exists for <span className="font-medium">{sentTo}</span>, a password reset link is on its way.
+                The link expires in 1 hour.
+              </p>
+            </CardContent>
+            <CardFooter className="flex flex-col space-y-4">
+              <Button type="button" variant="outline" className="w-full" onClick={() => setSentTo(null)}>
+                Use a different email
+              </Button>
+              <Link to="/auth/login" className="text-sm text-blue-600 hover:underline">
+                Back to sign in
+              </Link>
+            </CardFooter>
+          </>
+        ) : (
+          <form onSubmit={handleSubmit(onSubmit)}>
+            <CardContent className="space-y-4">
+              <Field>
+                <Label className="text-sm font-medium">Email</Label>
+                <div className="relative mt-2">
+                  <Mail className="absolute left-3 top-3 h-4 w-4 text-gray-400" />
+                  <Input
+                    type="email"
+                    placeholder="Enter your email"
+                    className="pl-10"
+                    disabled={isSubmitting}
+                    {...register('email')}
+                  />
+                </div>
+                {errors.email && (
+                  <p className="mt-1 text-sm text-red-600">{errors.email.message}</p>
+                )}
+              </Field>
+            </CardContent>
+
+            <CardFooter className="flex flex-col space-y-4">
+              <Button type="submit" className="w-full" disabled={isSubmitting}>
+                {isSubmitting ? (
+                  <>
+                    <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                    Sending link...
+                  </>
+                ) : (
+                  'Send reset link'
+                )}
+              </Button>
+
+              <p className="text-center text-sm text-gray-600">
+                Remembered it?{' '}
+                <Link to="/auth/login" className="text-blue-600 hover:underline font-medium">
+                  Sign in
+                </Link>
+              </p>
+            </CardFooter>
+          </form>
+        )}
+      </Card>
+    </div>
+  );
+};
+
+export default ForgotPassword;
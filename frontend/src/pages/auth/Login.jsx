@@ -5,6 +5,7 @@ import { zodResolver } from '@hookform/resolvers/zod';
 import { z } from 'zod';
 import { Field, Label } from '@headlessui/react';
 import { useLogin } from '@/features/auth/hooks/useAuth';
+import { TwoFactorLoginForm } from '@/features/auth/components/TwoFactorLoginForm';
 import { Button } from '@/components/ui/Button';
 import { Input } from '@/components/ui/Input';
 import { Card, CardContent, CardDescription, CardFooter, CardHeader, CardTitle } from '@/components/ui/Card';
@@ -18,6 +19,8 @@ const loginSchema = z.object({
 
 const Login = () => {
   const [showPassword, setShowPassword] = useState(false);
+  // Set when the password was accepted but the account has two-factor enabled
+  const [challengeToken, setChallengeToken] = useState(null);
 
   const loginMutation = useLogin();
   const navigate = useNavigate();
@@ -40,7 +43,11 @@ const Login = () => {
 
   const onSubmit = async (data) => {
     try {
-      await loginMutation.mutateAsync(data);
+      const response = await loginMutation.mutateAsync(data);
+      if (response.data?.twoFactorRequired) {
+        setChallengeToken(response.data.challengeToken);
+        return;
+      }
       navigate(from, { replace: true });
     } catch (error) {
       // Error already handled in hook
@@ -51,12 +58,23 @@ const Login = () => {
     <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-blue-50 to-indigo-100 p-4">
       <Card className="w-full max-w-md">
         <CardHeader className="space-y-1">
-          <CardTitle className="text-2xl font-bold text-center">Welcome back</CardTitle>
+          <CardTitle className="text-2xl font-bold text-center">
+            {challengeToken ? 'Two-factor authentication' : 'Welcome back'}
+          </CardTitle>
           <CardDescription className="text-center">
-            Sign in to your Shopify Dashboard account
+            {challengeToken
+              ? 'Confirm it is you to finish signing in'
+              : 'Sign in to your Shopify Dashboard account'}
           </CardDescription>
         </CardHeader>
         
+        {challengeToken ? (
+          <TwoFactorLoginForm
+            challengeToken={challengeToken}
+            onSuccess={() => navigate(from, { replace: true })}
+            onCancel={() => setChallengeToken(null)}
+          />
+        ) : (
         <form onSubmit={handleSubmit(onSubmit)}>
           <CardContent className="space-y-4">
             <Field>
@@ -148,6 +166,7 @@ const Login = () => {
             </p>
           </CardFooter>
         </form>
+        )}
       </Card>
     </div>
   );
@@ -0,0 +1,144 @@
+import { useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import { z } from 'zod';
+import { Field, Label } from '@headlessui/react';
+import { useResetPassword } from '@/features/auth/hooks/useAuth';
+import { Button } from '@/components/ui/Button';
+import { Input } from '@/components/ui/Input';
+import { Card, CardContent, CardDescription, CardFooter, CardHeader, CardTitle } from '@/components/ui/Card';
+import { Loader2, Lock, Eye, EyeOff } from 'lucide-react';
+
+const resetPasswordSchema = z.object({
+  password: z.string().min(6, 'Password must be at least 6 characters'),
+  confirmPassword: z.string(),
+}).refine((data) => data.password === data.confirmPassword, {
+  message: "Passwords don't match",
+  path: ['confirmPassword'],
+});
+
+const ResetPassword = () => {
+  const [showPassword, setShowPassword] = useState(false);
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || '';
+
+  const resetPasswordMutation = useResetPassword();
+  const navigate = useNavigate();
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors, isSubmitting },
+  } = useForm({
+    resolver: zodResolver(resetPasswordSchema),
+    defaultValues: { password: '', confirmPassword: '' },
+  });
+
+  const onSubmit = async (data) => {
+    try {
+      await resetPasswordMutation.mutateAsync({ token, password: data.password });
+      navigate('/auth/login', { replace: true });
+    } catch {
+      // Error already handled in hook
+    }
+  };
+
+  if (!token) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-blue-50 to-indigo-100 p-4">
+        <Card className="w-full max-w-md">
+          <CardHeader className="space-y-1">
+            <CardTitle className="text-2xl font-bold text-center">Invalid reset link</CardTitle>
+            <CardDescription className="text-center">
+              This link is missing its token. Request a new one to reset your password.
+            </CardDescription>
+          </CardHeader>
+          <CardFooter className="flex justify-center">
+            <Link to="/auth/forgot-password" className="text-sm text-blue-600 hover:underline font-medium">
+              Request a new link
+            </Link>
+          </CardFooter>
+        </Card>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-blue-50 to-indigo-100 p-4">
+      <Card className="w-full max-w-md">
+        <CardHeader className="space-y-1">
+          <CardTitle className="text-2xl font-bold text-center">Choose a new password</CardTitle>
+          <CardDescription className="text-center">
+            You will be signed out of all devices and can sign in with the new password.
+          </CardDescription>
+        </CardHeader>
+
+        <form onSubmit={handleSubmit(onSubmit)}>
+          <CardContent className="space-y-4">
+            <Field>
+              <Label className="text-sm font-medium">New password</Label>
+              <div className="relative mt-2">
+                <Lock className="absolute left-3 top-3 h-4 w-4 text-gray-400" />
+                <Input
+                  type={showPassword ? 'text' : 'password'}
+                  placeholder="Enter a new password"
+                  className="pl-10 pr-10"
+                  disabled={isSubmitting}
+                  {...register('password')}
+                />
+                <button
+                  type="button"
+                  onClick={() => setShowPassword(!showPassword)}
+                  className="absolute right-3 top-3 h-4 w-4 text-gray-400 hover:text-gray-600"
+                  disabled={isSubmitting}
+                >
+                  {showPassword ? <EyeOff /> : <Eye />}
+                </button>
+              </div>
+              {errors.password && (
+                <p className="mt-1 text-sm text-red-600">{errors.password.message}</p>
+              )}
+            </Field>
+
+            <Field>
+              <Label className="text-sm font-medium">Confirm password</Label>
+              <div className="relative mt-2">
+                <Lock className="absolute left-3 top-3 h-4 w-4 text-gray-400" />
+                <Input
+                  type={showPassword ? 'text' : 'password'}
+                  placeholder="Repeat the new password"
+                  className="pl-10"
+                  disabled={isSubmitting}
+                  {...register('confirmPassword')}
+                />
+              </div>
+              {errors.confirmPassword && (
+                <p className="mt-1 text-sm text-red-600">{errors.confirmPassword.message}</p>
+              )}
+            </Field>
+          </CardContent>
+
+          <CardFooter className="flex flex-col space-y-4">
+            <Button type="submit" className="w-full" disabled={isSubmitting}>
+              {isSubmitting ? (
+                <>
+                  <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                  Resetting password...
+                </>
+              ) : (
+                'Reset password'
+              )}
+            </Button>
+
+            <Link to="/auth/forgot-password" className="text-center text-sm text-blue-600 hover:underline">
+              Link expired? Request a new one
+            </Link>
+          </CardFooter>
+        </form>
+      </Card>
+    </div>
+  );
+};
+
+export default ResetPassword;
@@ -1,5 +1,5 @@
 import { useState } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { useForm } from 'react-hook-form';
 import { zodResolver } from '@hookform/resolvers/zod';
 import { z } from 'zod';
@@ -29,6 +29,9 @@ const Signup = () => {
 
   const registerMutation = useRegister();
   const navigate = useNavigate();
+  const location = useLocation();
+
+  const from = location.state?.from?.pathname || '/';
 
   // React Hook Form with Zod validation
   const {
@@ -56,7 +59,7 @@ const Signup = () => {
         email: data.email,
         password: data.password,
       });
-      navigate('/');
+      navigate(from, { replace: true });
     } catch (error) {
       // Error already handled in hook
     }
@@ -0,0 +1,69 @@
+import { useEffect, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useVerifyEmail, useResendVerification } from '@/features/auth/hooks/useAuth';
+import useAuthStore from '@/stores/authStore';
+import { Button } from '@/components/ui/Button';
+import { Card, CardContent, CardDescription, CardFooter, CardHeader, CardTitle } from '@/components/ui/Card';
+import { Loader2, MailCheck, MailX } from 'lucide-react';
+
+// Opened from the verification email, signed in or not, so it is not wrapped in PublicRoute or AuthGuard
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || '';
+  const { isAuthenticated } = useAuthStore();
+
+  const verifyMutation = useVerifyEmail();
+  const resendMutation = useResendVerification();
+  const attempted = useRef(false);
+
+  // Tokens are single-use: submit once, even when StrictMode runs effects twice
+  useEffect(() => {
+    if (token && !attempted.current) {
+      attempted.current = true;
+      verifyMutation.mutate(token);
+    }
+  }, [token, verifyMutation]);
+
+  const failed = !token || verifyMutation.isError;
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-blue-50 to-indigo-100 p-4">
+      <Card className="w-full max-w-md">
+        <CardHeader className="space-y-1">
+          <CardTitle className="text-2xl font-bold text-center">Email verification</CardTitle>
+          <CardDescription className="text-center">
+            {verifyMutation.isSuccess && 'Your email address is verified.'}
+            {failed && (verifyMutation.error?.response?.data?.message || 'This verification link is invalid or has expired.')}
+            {!failed && !verifyMutation.isSuccess && 'Verifying your email address...'}
+          </CardDescription>
+        </CardHeader>
+
+        <CardContent className="flex justify-center py-4">
+          {verifyMutation.isSuccess && <MailCheck className="h-10 w-10 text-green-600" />}
+          {failed && <MailX className="h-10 w-10 text-red-600" />}
+          {!failed && !verifyMutation.isSuccess && <Loader2 className="h-8 w-8 animate-spin text-blue-600" />}
+        </CardContent>
+
+        <CardFooter className="flex flex-col space-y-4">
+          {failed && isAuthenticated && (
+            <Button
+              className="w-full"
+              onClick={() => resendMutation.mutate()}
+              disabled={resendMutation.isPending || resendMutation.isSuccess}
+            >
+              {resendMutation.isSuccess ? 'Verification email sent' : 'Send a new link'}
+            </Button>
+          )}
+          <Link
+            to={isAuthenticated ? '/' : '/auth/login'}
+            className="text-sm text-blue-600 hover:underline font-medium"
+          >
+            {isAuthenticated ? 'Go to dashboard' : 'Sign in'}
+          </Link>
+        </CardFooter>
+      </Card>
+    </div>
+  );
+};
+
+export default VerifyEmail;
@@ -1,5 +1,6 @@
 import { create } from 'zustand';
 import { persist, createJSONStorage } from 'zustand/middleware';
+import useWorkspaceStore from './workspaceStore';
 
 // Using persist middleware to save auth state to localStorage.
 // This way, the user remains logged in even after a page refresh.
@@ -22,6 +23,7 @@ export const useAuthStore = create(
       // Action to clear user state upon logout.
       logout: () => {
         set({ user: null, isAuthenticated: false });
+        useWorkspaceStore.getState().clearWorkspace();
         
         // Stop token refresh cycle
         import('@/lib/tokenManager.js').then(({ default: tokenManager }) => {
@@ -0,0 +1,22 @@
+import { create } from 'zustand';
+import { persist, createJSONStorage } from 'zustand/middleware';
+
+// The selected team workspace, sent with every API request as X-Workspace-Id (see lib/api.js).
+// null means the user's own workspace.
+export const useWorkspaceStore = create(
+  persist(
+    (set) => ({
+      currentWorkspaceId: null,
+
+      setCurrentWorkspace: (workspaceId) => set({ currentWorkspaceId: workspaceId || null }),
+
+      clearWorkspace: () => set({ currentWorkspaceId: null }),
+    }),
+    {
+      name: 'workspace-storage',
+      storage: createJSONStorage(() => localStorage),
+    }
+  )
+);
+
+export default useWorkspaceStore;